@@ -0,0 +1,269 @@
+/**
+ * User-declared agents: one JSON manifest per agent in ~/.deepsteve/agents/.
+ *
+ * The five built-in agents are code (AGENT_CATALOG + AGENT_CONFIGS in server.js),
+ * because each of them has at least one quirk no data format would capture — Codex's
+ * MCP readiness, Claude's transcript watch, pi's session dir. An in-house agent CLI
+ * usually has none of those: it needs a binary, an argv for new/resume/fork, somewhere
+ * to be told about deepsteve's MCP server, and a way for the screen classifier (#568)
+ * to tell a turn from an idle prompt. That much IS data, so it lives in a file the
+ * user owns rather than in a patch to server.js.
+ *
+ *   {
+ *     "id": "acme",                       // [a-z][a-z0-9-]*; must not shadow a built-in
+ *     "name": "Acme Agent",
+ *     "shortName": "AC",                  // tab badge; defaults to the first two letters
+ *     "tier": "experimental",             // or "supported"
+ *     "binary": "acme",                   // bare name (resolved on PATH) or a path
+ *     "args": {
+ *       "spawn":        [["--session-id", "{sessionId}"]],
+ *       "resume":       ["--resume", "{sessionId}"],
+ *       "resumeLatest": ["--continue"],
+ *       "fork":         ["--resume", "{parentSessionId}", "--fork", "--session-id", "{sessionId}"]
+ *     },
+ *     "mcpConfigFlag": "--mcp-config",    // receives a Claude-format mcpServers JSON file
+ *     "screen": {
+ *       "spinner":    "[⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏]",     // a chunk matching this = mid-turn heartbeat
+ *       "idle":       ["^> $", "ctrl-d to quit"],
+ *       "permission": ["Allow this tool\\?"]
+ *     },
+ *     "exitMethod": "ctrl-c",             // exit-cmd | sigterm | ctrl-c | sighup
+ *     "initialPromptDelay": 3000          // only used when there is no `screen` block
+ *   }
+ *
+ * Argument templates are arrays whose items are strings or groups (nested arrays).
+ * Placeholders are {sessionId}, {parentSessionId} and {shellId}. An item or group that
+ * names a placeholder with no value is dropped WHOLE, so `["--session-id",
+ * "{sessionId}"]` never leaves a dangling flag behind when there is no id.
+ *
+ * Worktrees are deliberately not a placeholder: deepsteve creates the worktree and
+ * spawns the agent inside it, the same as for every non-Claude built-in. Agents that
+ * place worktrees themselves would each put them somewhere different, and
+ * sessionPaths() has to know where a session's cwd really is.
+ *
+ * A manifest that fails validation is skipped with a log line naming the file and the
+ * reason; it never takes the other manifests or the daemon down with it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ID_RE = /^[a-z][a-z0-9-]{0,31}$/;
+// Spliced unquoted into the `-c` command line, like the built-ins' binary settings —
+// so no whitespace and no shell metacharacters. `~` is allowed on purpose: the login
+// shell expands it.
+const BINARY_RE = /^[A-Za-z0-9_.~/+-]{1,256}$/;
+const FLAG_RE = /^-{1,2}[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const TIERS = ['supported', 'experimental'];
+const EXIT_METHODS = ['exit-cmd', 'sigterm', 'ctrl-c', 'sighup'];
+const PLACEHOLDERS = ['sessionId', 'parentSessionId', 'shellId'];
+const TEMPLATE_KEYS = ['spawn', 'resume', 'resumeLatest', 'fork'];
+const DEFAULT_PROMPT_DELAY_MS = 3000;
+const MAX_TEMPLATE_ITEMS = 32;
+
+// Never matches. Stands in for an omitted spinner so the output path can test it
+// unconditionally, the way it tests Claude's.
+const NEVER = /(?!)/;
+
+function validateTemplate(name, tpl) {
+  if (tpl === undefined) return null;
+  if (!Array.isArray(tpl)) throw new Error(`args.${name} must be an array`);
+  if (tpl.length > MAX_TEMPLATE_ITEMS) throw new Error(`args.${name} has more than ${MAX_TEMPLATE_ITEMS} items`);
+  for (const item of tpl) {
+    const parts = Array.isArray(item) ? item : [item];
+    for (const p of parts) {
+      if (typeof p !== 'string') throw new Error(`args.${name} may only hold strings and arrays of strings`);
+      for (const [, key] of p.matchAll(/\{(\w+)\}/g)) {
+        if (!PLACEHOLDERS.includes(key)) throw new Error(`args.${name} uses unknown placeholder {${key}}`);
+      }
+    }
+  }
+  return tpl;
+}
+
+function compilePatterns(field, value) {
+  const list = value === undefined ? [] : [].concat(value);
+  return list.map((src) => {
+    if (typeof src !== 'string' || !src) throw new Error(`screen.${field} must be a string or an array of strings`);
+    try { return new RegExp(src, 'im'); } catch (e) { throw new Error(`screen.${field}: ${e.message}`); }
+  });
+}
+
+/**
+ * Validate one parsed manifest and turn it into a catalog row plus an AGENT_CONFIGS-
+ * shaped config. Throws an Error whose message is fit for the log.
+ */
+function normalizeManifest(raw, { reserved = [] } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('not a JSON object');
+  const id = raw.id;
+  if (typeof id !== 'string' || !ID_RE.test(id)) throw new Error('id must match [a-z][a-z0-9-]* (max 32 chars)');
+  if (reserved.includes(id)) throw new Error(`id "${id}" is a built-in agent`);
+  if (typeof raw.binary !== 'string' || !BINARY_RE.test(raw.binary)) {
+    throw new Error('binary must be a command name or path without spaces or shell characters');
+  }
+  const tier = raw.tier === undefined ? 'experimental' : raw.tier;
+  if (!TIERS.includes(tier)) throw new Error(`tier must be one of ${TIERS.join(', ')}`);
+  const exitMethod = raw.exitMethod === undefined ? 'ctrl-c' : raw.exitMethod;
+  if (!EXIT_METHODS.includes(exitMethod)) throw new Error(`exitMethod must be one of ${EXIT_METHODS.join(', ')}`);
+  if (raw.mcpConfigFlag !== undefined && (typeof raw.mcpConfigFlag !== 'string' || !FLAG_RE.test(raw.mcpConfigFlag))) {
+    throw new Error('mcpConfigFlag must look like --flag');
+  }
+
+  const rawArgs = raw.args === undefined ? {} : raw.args;
+  if (!rawArgs || typeof rawArgs !== 'object' || Array.isArray(rawArgs)) throw new Error('args must be an object');
+  const args = {};
+  for (const key of TEMPLATE_KEYS) args[key] = validateTemplate(key, rawArgs[key]);
+  if (!args.spawn) args.spawn = [];
+
+  let screenMarkers = null;
+  if (raw.screen !== undefined) {
+    if (!raw.screen || typeof raw.screen !== 'object') throw new Error('screen must be an object');
+    const spinner = compilePatterns('spinner', raw.screen.spinner);
+    const atPrompt = compilePatterns('idle', raw.screen.idle);
+    const permission = compilePatterns('permission', raw.screen.permission);
+    if (atPrompt.length === 0 && permission.length === 0) {
+      throw new Error('screen needs at least one idle or permission pattern');
+    }
+    screenMarkers = {
+      // One regex, as the classifier's caller expects; alternates join into it.
+      spinner: spinner.length ? new RegExp(spinner.map(r => `(?:${r.source})`).join('|'), 'im') : NEVER,
+      permission,
+      atPrompt,
+    };
+  }
+
+  const delay = raw.initialPromptDelay;
+  const initialPromptDelay = screenMarkers
+    ? 0 // readiness comes from the classifier, with deliverPromptWhenReady's deadline
+    : (Number.isFinite(delay) && delay >= 0 ? Math.min(delay, 60000) : DEFAULT_PROMPT_DELAY_MS);
+
+  const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 40) : id;
+  const shortName = typeof raw.shortName === 'string' && raw.shortName.trim()
+    ? raw.shortName.trim().slice(0, 3)
+    : name.slice(0, 2).toUpperCase();
+  const mentions = (tpl, key) => JSON.stringify(tpl || []).includes(`{${key}}`);
+
+  return {
+    id,
+    name,
+    shortName,
+    tier,
+    binary: raw.binary,
+    args,
+    config: {
+      supportsWorktree: false,
+      supportsSessionId: mentions(args.spawn, 'sessionId'),
+      supportsSessionWatch: false,
+      emitsBel: false,
+      screenMarkers,
+      exitMethod,
+      initialPromptDelay,
+      mcpConfigFlag: raw.mcpConfigFlag || null,
+      manifest: true,
+    },
+  };
+}
+
+/**
+ * Expand an argument template. Groups and items naming a placeholder without a value
+ * are dropped whole; everything else is passed through verbatim.
+ */
+function expandArgs(template, values = {}) {
+  const out = [];
+  for (const item of template || []) {
+    const parts = Array.isArray(item) ? item : [item];
+    let missing = false;
+    const expanded = parts.map(p => p.replace(/\{(\w+)\}/g, (_, key) => {
+      const v = values[key];
+      if (v === undefined || v === null || v === '') { missing = true; return ''; }
+      return String(v);
+    }));
+    if (!missing) out.push(...expanded);
+  }
+  return out;
+}
+
+/**
+ * Load every *.json manifest in `dir`. Returns { agents: Map(id → normalized), errors:
+ * [{ file, message }] }. A missing directory is simply no manifests. Files are read in
+ * name order and a duplicate id keeps the first, so which one wins is stable.
+ */
+function loadAgentManifests(dir, { reserved = [] } = {}) {
+  const agents = new Map();
+  const errors = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch {
+    return { agents, errors };
+  }
+  for (const file of files) {
+    try {
+      const agent = normalizeManifest(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), { reserved });
+      if (agents.has(agent.id)) throw new Error(`id "${agent.id}" is already declared by another manifest`);
+      agents.set(agent.id, { ...agent, file });
+    } catch (e) {
+      errors.push({ file, message: e.message });
+    }
+  }
+  return { agents, errors };
+}
+
+/**
+ * The live registry the daemon consults. `watch()` reloads on any change to the
+ * directory (debounced — editors write a file in several steps) and calls onChange
+ * only when the set of valid manifests actually changed, so saving a file with a
+ * typo logs the error and leaves the previous good catalog in place for the others.
+ */
+function createAgentRegistry({ dir, reserved = [], log = () => {}, onChange = () => {} }) {
+  let agents = new Map();
+  let watcher = null;
+  let debounce = null;
+
+  function reload() {
+    const result = loadAgentManifests(dir, { reserved });
+    for (const { file, message } of result.errors) log(`[agents] skipping ${file}: ${message}`);
+    const before = signature(agents);
+    agents = result.agents;
+    return signature(agents) !== before;
+  }
+
+  function watch() {
+    try { fs.mkdirSync(dir, { recursive: true }); } catch {}
+    try {
+      watcher = fs.watch(dir, () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          if (reload()) {
+            log(`[agents] manifests changed: ${agents.size ? [...agents.keys()].join(', ') : 'none'}`);
+            onChange();
+          }
+        }, 200);
+      });
+    } catch (e) {
+      log(`[agents] cannot watch ${dir}: ${e.message} — manifest changes need a restart`);
+    }
+  }
+
+  function close() {
+    clearTimeout(debounce);
+    if (watcher) { try { watcher.close(); } catch {} watcher = null; }
+  }
+
+  return {
+    reload,
+    watch,
+    close,
+    get: (id) => agents.get(id) || null,
+    list: () => [...agents.values()],
+    ids: () => [...agents.keys()],
+  };
+}
+
+// A comparable rendering of the whole registry. RegExps serialize as {} by default,
+// which would hide an edit to a screen pattern.
+function signature(agents) {
+  return JSON.stringify([...agents.values()], (key, value) => (value instanceof RegExp ? value.toString() : value));
+}
+
+module.exports = { normalizeManifest, expandArgs, loadAgentManifests, createAgentRegistry };
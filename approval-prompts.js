@@ -0,0 +1,176 @@
+/**
+ * Approval prompts — the permission dialog or AskUserQuestion menu an agent is
+ * blocked on, read off its screen as a structured record, and the keys that answer it.
+ *
+ * composer-state.js already has to tell these menus apart from the composer (the
+ * `❯` selection cursor looks like a prompt glyph); this module does the opposite
+ * job and reads the menu itself, so the approvals inbox (mods/approvals) can list
+ * "session X wants to run `npm test`" and answer it without the terminal focused —
+ * from the panel, or from a phone over REST.
+ *
+ * A prompt is recognized only when ALL of these hold, because an agent's ordinary
+ * output is full of numbered lists:
+ *
+ *   - a contiguous run of numbered options starting at "1." with consecutive numbers;
+ *   - one of them carries the selection cursor (`❯`, `›` or `>`);
+ *   - nothing but blank lines, a rule or the menu footer ("Esc to cancel", "Enter to
+ *     select") follows the run.
+ *
+ * The question line directly above the options decides the kind: "Do you want to
+ * proceed?" (or "make this edit", "create", …) and "Would you like to proceed?" are
+ * permission dialogs, anything else is an AskUserQuestion. For a permission dialog
+ * the block above the question, back to the dialog's top rule, is the tool heading
+ * ("Bash command", "Edit file", "server - tool (MCP)") and its detail.
+ *
+ * Answers are keystrokes, not digits: arrow keys from the option the cursor is on
+ * to the chosen one, then Enter. That is what a human does, and it works the same in
+ * every Ink select; a number shortcut would depend on the agent build.
+ *
+ * Input is INTERPRETED screen lines (TerminalScreen.lines()), oldest first. Pure
+ * and dependency-free; root-level *.js ships with no packaging change.
+ */
+
+const OPTION_RE = /^([❯›>])?\s*(\d+)\.\s*(.*)$/;
+const FOOTER_RE = /Esc to cancel|Enter to (?:select|confirm)|Tab to (?:amend|switch)|ctrl\+e to explain/i;
+const RULE_RE = /^[╭╮╰╯┌┐└┘├┤\s]*[─━═╌┄-]{6,}[╭╮╰╯┌┐└┘├┤\s]*$/;
+// Transcript glyphs (tool call, tool result, spinner): a line starting with one is
+// the agent's output, never the wrapped tail of a menu option.
+const TRANSCRIPT_RE = /^[⏺⎿●✻✢✳✶✽]/;
+const PERMISSION_QUESTION_RE = /^(?:Do|Would) you (?:want|like) to\b/i;
+// "Yes, and don't ask again for …", "Yes, allow all edits during this session",
+// "Yes, and auto-accept edits" — the option that also changes future prompts.
+const ALWAYS_RE = /don't ask again|allow all|always allow|auto-accept/i;
+
+// How far above the question a permission dialog's heading may sit. An Edit dialog
+// shows a diff, so this has to clear a screenful of it.
+const MAX_BODY_LINES = 40;
+
+const KEYS = { up: '\x1b[A', down: '\x1b[B', enter: '\r', escape: '\x1b' };
+
+function stripBorders(line) {
+  return String(line == null ? '' : line)
+    .replace(/^[ \t]*[│┃|][ \t]?/, '')
+    .replace(/[ \t]*[│┃|][ \t]*$/, '')
+    .trim();
+}
+
+// Short, stable id for a prompt's content (not its cursor position): a decision
+// sent for one prompt must not land on the next one that happens to replace it.
+function fingerprint(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+// The numbered run whose first option is at `start`, or null when it isn't a menu.
+function readOptions(lines, start) {
+  const options = [];
+  let selected = -1;
+  let i = start;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === '' || RULE_RE.test(line) || FOOTER_RE.test(line) || TRANSCRIPT_RE.test(line)) break;
+    const m = OPTION_RE.exec(line);
+    if (m && Number(m[2]) === options.length + 1) {
+      if (m[1]) selected = options.length;
+      options.push({ n: Number(m[2]), label: m[3].trim() });
+    } else if (options.length) {
+      // A wrapped label ("…commands in" / "/Users/me/repo").
+      options[options.length - 1].label += ` ${line}`;
+    }
+  }
+  if (options.length < 2 || selected < 0) return null;
+  // Only the footer, rules and blank lines may follow the menu: it is the last thing
+  // an agent draws while it waits. Whatever comes after the footer is not read.
+  for (let j = i; j < lines.length; j++) {
+    if (FOOTER_RE.test(lines[j])) break;
+    if (lines[j] !== '' && !RULE_RE.test(lines[j])) return null;
+  }
+  return { options, selected, end: i };
+}
+
+/**
+ * The prompt an agent is blocked on, or null.
+ *
+ * @param {string[]} rawLines  Interpreted screen lines, oldest first.
+ * @returns {{ id, kind: 'permission'|'question', tool, command, detail, question,
+ *             options: {n, label}[], selected, actions: {approve, always, deny} } | null}
+ *   `command` is a Bash dialog's whole command, newlines kept when it spans several,
+ *   or the first detail line of any other dialog. `actions` are option numbers (null when the dialog has no such option; deny
+ *   then falls back to Esc in keysFor).
+ */
+function parseApprovalPrompt(rawLines) {
+  if (!Array.isArray(rawLines) || rawLines.length === 0) return null;
+  const lines = rawLines.map(stripBorders);
+
+  let menu = null;
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0 && !menu; i--) {
+    const m = OPTION_RE.exec(lines[i]);
+    if (m && m[2] === '1') {
+      menu = readOptions(lines, i);
+      start = i;
+    }
+  }
+  if (!menu) return null;
+
+  let q = start - 1;
+  while (q >= 0 && lines[q] === '') q--;
+  const question = q >= 0 && !RULE_RE.test(lines[q]) ? lines[q] : '';
+  const kind = PERMISSION_QUESTION_RE.test(question) ? 'permission' : 'question';
+
+  let tool = 'AskUserQuestion';
+  let command = null;
+  let detail = '';
+  if (kind === 'permission') {
+    const body = [];
+    for (let j = q - 1; j >= 0 && j >= q - MAX_BODY_LINES; j--) {
+      if (RULE_RE.test(lines[j]) || TRANSCRIPT_RE.test(lines[j])) break;
+      if (lines[j] !== '') body.unshift(lines[j]);
+    }
+    tool = body[0] || 'Permission';
+    // A Bash dialog is the command, then its one-line description; a command may
+    // itself span lines (a heredoc, a `\`-continued pipeline, two commands), and all
+    // of them are the command — approval rules must see `rm -rf` on line two.
+    const detailLines = body.slice(1);
+    const commandLines = /^Bash\b/i.test(tool) && detailLines.length > 2 ? detailLines.slice(0, -1) : detailLines.slice(0, 1);
+    command = commandLines.join('\n') || null;
+    detail = body.slice(1).join('\n');
+  }
+
+  const find = (re, not) => {
+    const o = menu.options.find(x => re.test(x.label) && !(not && not.test(x.label)));
+    return o ? o.n : null;
+  };
+  const actions = kind === 'permission'
+    ? { approve: find(/^Yes\b/i, ALWAYS_RE), always: find(ALWAYS_RE), deny: find(/^No\b/i) }
+    : { approve: null, always: null, deny: null };
+
+  const id = fingerprint([kind, tool, detail, question, ...menu.options.map(o => o.label)].join('\n'));
+  return { id, kind, tool, command, detail, question, options: menu.options, selected: menu.selected, actions };
+}
+
+/**
+ * The key bytes that answer `prompt` with `decision` — 'approve', 'always', 'deny',
+ * or an option number — or null when the prompt has no such answer. Each element
+ * is one write (Ink only sees control keys that arrive as separate reads).
+ */
+function keysFor(prompt, decision) {
+  if (!prompt) return null;
+  let n = null;
+  if (typeof decision === 'number') n = decision;
+  else if (decision === 'approve' || decision === 'always' || decision === 'deny') n = prompt.actions[decision];
+  else return null;
+  if (n === null) return decision === 'deny' ? [KEYS.escape] : null;
+  const target = prompt.options.findIndex(o => o.n === n);
+  if (target < 0) return null;
+  const delta = target - prompt.selected;
+  const key = delta < 0 ? KEYS.up : KEYS.down;
+  return [...Array(Math.abs(delta)).fill(key), KEYS.enter];
+}
+
+module.exports = {
+  parseApprovalPrompt,
+  keysFor,
+  KEYS,
+};
@@ -0,0 +1,156 @@
+/**
+ * Auto-approval rules — declarative allow / deny decisions for permission prompts,
+ * evaluated by the daemon against the parsed dialog (approval-prompts.js) before a
+ * human ever sees it. The wiring (where rules come from, the sweep, the audit log)
+ * is mods/approvals/tools.js.
+ *
+ * A rule is plain JSON:
+ *
+ *   { "decision": "allow", "tool": "Bash", "command": "npm test*", "repo": "~/src/app" }
+ *   { "decision": "deny", "match": "~/.ssh" }
+ *
+ *   decision  "allow" | "deny" (required)
+ *   tool      glob on the dialog heading, case-insensitive; a bare word also matches
+ *             its longer heading ("Bash" → "Bash command", "Edit" → "Edit file")
+ *   command   glob on the dialog's command — the whole command of a Bash prompt,
+ *             every line of it, or the path of an Edit — whitespace-collapsed
+ *   match     substring anywhere in the heading or detail; a leading ~ also matches
+ *             the home directory spelled out
+ *   repo      the session's directory must be inside this one (settings.json rules;
+ *             a project's .deepsteve/rules.json is already scoped to its repo)
+ *   note      free text, carried into the audit log
+ *
+ * Every field given must match; a rule with no conditions at all is dropped, since
+ * "allow everything" belongs in the agent's own permission mode, not here.
+ *
+ * DENY WINS: any matching deny beats every allow, wherever the two came from, so a
+ * project cannot allow back what the user's settings deny.
+ *
+ * A PROJECT'S ALLOWS NEED TRUST: <repo>/.deepsteve/rules.json is in the tree the agent
+ * is editing — and a cloned repo or a PR branch brings its own — so an allow there
+ * could approve the agent's own next prompt. Its deny rules always apply; its allow
+ * rules only once an admin lists the repo in settings.approvalTrustedProjects, pinned
+ * to the file's SHA-256, so any edit to the file drops it back to deny-only until it
+ * is trusted again. And no allow ever covers a prompt that mentions .deepsteve/: the
+ * rules file must not be able to approve its own rewrite. And an allow never
+ * covers a compound shell command — `npm test*` must not approve
+ * `npm test && curl … | sh`, nor a second line under it — unless the rule's own
+ * `command` spells out the operator. Only permission dialogs are decided; an AskUserQuestion is a question
+ * for the human by definition.
+ *
+ * Pure and dependency-free. Root-level *.js ships with no packaging change.
+ */
+
+const DECISIONS = ['allow', 'deny'];
+const FIELDS = ['tool', 'command', 'match', 'repo'];
+const SHELL_OPERATOR_RE = /&&|\|\||[;|`\n<>]|\$\(/;
+// Where project rules live; a prompt naming it (or its directory) is for a human.
+const PROTECTED_RE = /\.deepsteve\b/;
+const SHA256_RE = /^[0-9a-f]{64}$/;
+
+/** Rules from untrusted JSON: known fields only, a decision and at least one condition. */
+function sanitizeRules(raw) {
+  if (!Array.isArray(raw)) return null;
+  const out = [];
+  for (const r of raw) {
+    if (!r || typeof r !== 'object' || !DECISIONS.includes(r.decision)) continue;
+    const rule = { decision: r.decision };
+    for (const key of FIELDS) {
+      if (typeof r[key] === 'string' && r[key].trim()) rule[key] = r[key].trim();
+    }
+    if (!FIELDS.some(k => rule[k])) continue;
+    if (typeof r.note === 'string' && r.note.trim()) rule.note = r.note.trim();
+    out.push(rule);
+  }
+  return out;
+}
+
+/** settings.approvalTrustedProjects from untrusted JSON: [{ repo, sha256 }], else null. */
+function sanitizeTrustedProjects(raw) {
+  if (!Array.isArray(raw)) return null;
+  const out = [];
+  for (const t of raw) {
+    if (!t || typeof t !== 'object' || typeof t.repo !== 'string' || !t.repo.trim()) continue;
+    const sha256 = typeof t.sha256 === 'string' ? t.sha256.trim().toLowerCase() : '';
+    if (!SHA256_RE.test(sha256)) continue;
+    out.push({ repo: t.repo.trim().replace(/\/+$/, '') || '/', sha256 });
+  }
+  return out;
+}
+
+/**
+ * The rules of `repo`'s rules.json that apply: all of them when `trusted` pins that
+ * repo to `sha256` (the file's content hash), else only its denies.
+ */
+function projectRulesFor(rules, { repo, sha256, trusted = [], home = '' }) {
+  const ok = (trusted || []).some(t => t.sha256 === sha256
+    && expandHome(t.repo, home).replace(/\/+$/, '') === String(repo).replace(/\/+$/, ''));
+  return ok ? rules : rules.filter(r => r.decision === 'deny');
+}
+
+function globToRegExp(glob) {
+  const src = glob.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${src}$`, 'i');
+}
+
+function norm(s) {
+  return String(s == null ? '' : s).replace(/\s+/g, ' ').trim();
+}
+
+function expandHome(p, home) {
+  return home && (p === '~' || p.startsWith('~/')) ? home + p.slice(1) : p;
+}
+
+function insideDir(p, dir) {
+  if (!p || !dir) return false;
+  const d = dir.replace(/\/+$/, '');
+  return p === d || p.startsWith(d + '/');
+}
+
+function ruleMatches(rule, prompt, { cwd, home }) {
+  if (rule.tool) {
+    const re = globToRegExp(rule.tool);
+    if (!re.test(prompt.tool) && !globToRegExp(`${rule.tool} *`).test(prompt.tool)) return false;
+  }
+  if (rule.command) {
+    const command = norm(prompt.command);
+    if (!command || !globToRegExp(norm(rule.command)).test(command)) return false;
+    // Operators are looked for before norm() folds a newline into a space.
+    if (rule.decision === 'allow' && SHELL_OPERATOR_RE.test(prompt.command) && !SHELL_OPERATOR_RE.test(rule.command)) return false;
+  }
+  if (rule.match) {
+    const hay = `${prompt.tool}\n${prompt.detail || ''}`;
+    const needles = [rule.match, expandHome(rule.match, home)];
+    if (!needles.some(n => hay.includes(n))) return false;
+  }
+  if (rule.repo && !insideDir(cwd, expandHome(rule.repo, home))) return false;
+  return true;
+}
+
+/**
+ * The decision for `prompt` (a parseApprovalPrompt record) under `sources` — a list
+ * of { source, rules } in any order — as { decision, rule, source }, or null when
+ * no rule applies and a human has to answer.
+ */
+function evaluateRules(sources, prompt, { cwd = '', home = '' } = {}) {
+  if (!prompt || prompt.kind !== 'permission') return null;
+  let allow = null;
+  for (const { source, rules } of sources || []) {
+    for (const rule of rules || []) {
+      if (!ruleMatches(rule, prompt, { cwd, home })) continue;
+      if (rule.decision === 'deny') return { decision: 'deny', rule, source };
+      if (!allow) allow = { decision: 'allow', rule, source };
+    }
+  }
+  // An allow needs an answer to give: a dialog with no plain "Yes" is left alone.
+  if (allow && prompt.actions.approve === null) return null;
+  if (allow && PROTECTED_RE.test(`${prompt.tool}\n${prompt.detail || ''}\n${prompt.command || ''}`)) return null;
+  return allow;
+}
+
+module.exports = {
+  sanitizeRules,
+  sanitizeTrustedProjects,
+  projectRulesFor,
+  evaluateRules,
+};
@@ -0,0 +1,477 @@
+/**
+ * Backup and restore of deepsteve's configuration — for moving to a new machine.
+ *
+ * A backup is one JSON file (`*.dsbackup`) holding the files of the chosen categories
+ * (settings, contexts, scheduled tasks, …) under ~/.deepsteve. Runtime and secret state
+ * is never in one: not state.json (live sessions don't move between machines), not
+ * auth-token, users.json, share links, push keys or certs.
+ *
+ * settings.json does hold credentials of its own: each trigger's bearer token and each
+ * webhook's signing secret. An encrypted backup keeps them, behind its passphrase; one
+ * without a passphrase leaves them out (stripSecrets), and restoring it mints new ones
+ * (fillSecrets) — so the plan says how many, since whoever calls those triggers or
+ * checks those signatures needs the new values.
+ *
+ * Signed: every backup carries an Ed25519 signature by a per-install key
+ * (~/.deepsteve/backup-signing-key.pem, 0600, made on first use) and that key's public
+ * half. A restore refuses an archive whose signature doesn't verify, and reports the
+ * signer's fingerprint — "this install" or another one — so an edited archive can't
+ * pass as the one you made. Optionally encrypted: with a passphrase the file list is
+ * AES-256-GCM under a scrypt-derived key, and the header is bound in as associated data.
+ *
+ * A restore never writes into a running daemon's files: settings, contexts and the
+ * scheduler all live in memory and would be saved back over it. restore is planned
+ * (planRestore — the dry-run diff), then staged (stageRestore →
+ * ~/.deepsteve/pending-restore.json), and applied by applyPendingRestore, which the
+ * daemon runs at boot before it reads anything — or the CLI runs at once when no
+ * daemon is up. A restore adds and replaces files; it never deletes one. Every file it
+ * replaces is copied to ~/.deepsteve/pre-restore-<time>/ first.
+ *
+ * When the backup was made under a different home directory, string values (and keys)
+ * in its JSON files that are that home or under it are rewritten to this one — cwds,
+ * repo paths, binary paths. Other files are restored byte for byte.
+ *
+ * Errors a user can cause (wrong passphrase, a damaged or edited file, a backup from a
+ * newer version) are thrown with a `code`, for the CLI and the route to report.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const BACKUP_FORMAT = 'deepsteve-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_EXTENSION = '.dsbackup';
+const SIGNING_KEY_FILE = 'backup-signing-key.pem';
+const PENDING_FILE = 'pending-restore.json';
+
+// Category → what it covers under ~/.deepsteve. A trailing '/' is a directory, taken
+// whole. Nothing outside these paths is ever read into a backup or written by a restore.
+const BACKUP_CATEGORIES = {
+  settings: { label: 'Settings', paths: ['settings.json'] },
+  contexts: { label: 'Contexts and their icons', paths: ['contexts.json', 'icons/'] },
+  scheduled: { label: 'Scheduled tasks, triggers and workflows', paths: ['scheduled-tasks.json'] },
+  tasks: { label: 'Tasks', paths: ['tasks.json'] },
+  automations: { label: 'Automations', paths: ['automations/'] },
+  themes: { label: 'Themes', paths: ['themes/'] },
+  commands: { label: 'Custom commands', paths: ['commands/'] },
+  agents: { label: 'Agent manifests', paths: ['agents/'] },
+};
+
+// The credentials inside settings.json, as [setting, field of each entry].
+const SETTINGS_SECRETS = [['triggers', 'token'], ['webhooks', 'secret']];
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+// scrypt at N=2^15, r=8 needs 32 MiB; node's default maxmem is exactly that, so raise it.
+const SCRYPT = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function backupError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function checkCategories(categories) {
+  const names = categories && categories.length ? [...new Set(categories)] : Object.keys(BACKUP_CATEGORIES);
+  const unknown = names.filter(c => !BACKUP_CATEGORIES[c]);
+  if (unknown.length) {
+    throw backupError('CATEGORY', `Unknown backup category "${unknown[0]}". Valid: ${Object.keys(BACKUP_CATEGORIES).join(', ')}`);
+  }
+  return names;
+}
+
+// The category a relative path belongs to, or null — the one check between an archive's
+// contents and the filesystem, so `../`, absolute paths and anything not declared above
+// (auth-token, server.js) are refused however the archive was made.
+function categoryOf(rel) {
+  if (typeof rel !== 'string' || !rel || rel.includes('\\') || rel.includes('\0')) return null;
+  if (path.posix.isAbsolute(rel) || path.posix.normalize(rel) !== rel || rel.split('/').includes('..')) return null;
+  for (const [name, { paths }] of Object.entries(BACKUP_CATEGORIES)) {
+    for (const p of paths) {
+      if (p.endsWith('/') ? rel.startsWith(p) && rel.length > p.length : rel === p) return name;
+    }
+  }
+  return null;
+}
+
+function walk(dsDir, rel, out) {
+  const abs = path.join(dsDir, rel);
+  let st;
+  try { st = fs.lstatSync(abs); } catch { return; }
+  if (st.isDirectory()) {
+    for (const name of fs.readdirSync(abs).sort()) walk(dsDir, path.posix.join(rel, name), out);
+  } else if (st.isFile() && st.size <= MAX_FILE_BYTES) {
+    out.push({ path: rel, mode: st.mode & 0o777, data: fs.readFileSync(abs) });
+  }
+}
+
+/** The files of `categories` under dsDir, as { path, category, mode, data: Buffer }. */
+function collectFiles(dsDir, categories) {
+  const files = [];
+  for (const category of checkCategories(categories)) {
+    for (const p of BACKUP_CATEGORIES[category].paths) {
+      const found = [];
+      walk(dsDir, p.replace(/\/$/, ''), found);
+      for (const f of found) files.push({ ...f, category });
+    }
+  }
+  const total = files.reduce((n, f) => n + f.data.length, 0);
+  if (total > MAX_TOTAL_BYTES) {
+    throw backupError('TOO_LARGE', `The selected categories hold ${Math.round(total / 1048576)} MB; a backup is capped at ${MAX_TOTAL_BYTES / 1048576} MB`);
+  }
+  return files;
+}
+
+// --- settings credentials ---
+
+function eachSecretHolder(settings, fn) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return;
+  for (const [name, field] of SETTINGS_SECRETS) {
+    if (!Array.isArray(settings[name])) continue;
+    for (const entry of settings[name]) if (entry && typeof entry === 'object') fn(entry, field);
+  }
+}
+
+/** settings.json's contents without trigger tokens or webhook secrets. Returns [value, count]. */
+function stripSecrets(settings) {
+  let count = 0;
+  eachSecretHolder(settings, (entry, field) => {
+    if (field in entry) { delete entry[field]; count++; }
+  });
+  return [settings, count];
+}
+
+/** A fresh token or secret for every trigger and webhook without one. Returns [value, count]. */
+function fillSecrets(settings, randomSecret = () => crypto.randomBytes(24).toString('hex')) {
+  let count = 0;
+  eachSecretHolder(settings, (entry, field) => {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) { entry[field] = randomSecret(); count++; }
+  });
+  return [settings, count];
+}
+
+// --- signing ---
+
+function loadOrCreateSigningKey(dsDir) {
+  const file = path.join(dsDir, SIGNING_KEY_FILE);
+  try {
+    return crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+  } catch { /* first backup — create below */ }
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(dsDir, { recursive: true });
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  return privateKey;
+}
+
+function fingerprintOf(publicKeyDer) {
+  return crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 16).match(/.{4}/g).join(':');
+}
+
+/** This install's signing fingerprint, or null before its first backup. */
+function localFingerprint(dsDir) {
+  try {
+    const key = crypto.createPublicKey(crypto.createPrivateKey(fs.readFileSync(path.join(dsDir, SIGNING_KEY_FILE), 'utf8')));
+    return fingerprintOf(key.export({ type: 'spki', format: 'der' }));
+  } catch {
+    return null;
+  }
+}
+
+// What the signature covers: everything but the signature block itself. Rebuilt in this
+// key order on both sides, so reformatting the file doesn't break it but editing it does.
+function signedBytes(archive) {
+  return Buffer.from(JSON.stringify({
+    format: archive.format, version: archive.version, header: archive.header, payload: archive.payload,
+  }));
+}
+
+// --- encryption ---
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(String(passphrase).normalize('NFKC'), salt, 32, { ...SCRYPT, ...params });
+}
+
+function headerAad(header) {
+  return Buffer.from(JSON.stringify(header));
+}
+
+/**
+ * Make a backup. Returns the archive's text (JSON). `passphrase` encrypts it; without
+ * one, the contents are readable by anyone who has the file, so settings.json goes in
+ * without its trigger tokens and webhook secrets.
+ */
+function createBackup({ dsDir, categories, passphrase = null, home = os.homedir(), deepsteveVersion = null, now = Date.now }) {
+  const names = checkCategories(categories);
+  const files = collectFiles(dsDir, names);
+  let secretsLeftOut = 0;
+  if (!passphrase) {
+    for (const f of files) {
+      if (f.path !== 'settings.json') continue;
+      const parsed = parseJson(f.data);
+      const [stripped, n] = stripSecrets(parsed);
+      if (n) {
+        f.data = Buffer.from(JSON.stringify(stripped, null, 2));
+        secretsLeftOut = n;
+      }
+    }
+  }
+  const inner = Buffer.from(JSON.stringify({
+    files: files.map(f => ({ path: f.path, category: f.category, mode: f.mode, data: f.data.toString('base64') })),
+  }));
+
+  const header = {
+    createdAt: new Date(now()).toISOString(),
+    deepsteveVersion,
+    host: os.hostname(),
+    home,
+    categories: names,
+    fileCount: files.length,
+    encrypted: !!passphrase,
+    secretsLeftOut,
+  };
+  let payload;
+  if (passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    header.kdf = { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p };
+    header.cipher = { name: 'aes-256-gcm', iv: iv.toString('base64') };
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, {}), iv);
+    cipher.setAAD(headerAad(header));
+    const body = Buffer.concat([cipher.update(inner), cipher.final()]);
+    payload = Buffer.concat([body, cipher.getAuthTag()]).toString('base64');
+  } else {
+    payload = inner.toString('base64');
+  }
+
+  const archive = { format: BACKUP_FORMAT, version: BACKUP_VERSION, header, payload };
+  const key = loadOrCreateSigningKey(dsDir);
+  const publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+  archive.signature = {
+    alg: 'ed25519',
+    publicKey: publicKey.toString('base64'),
+    value: crypto.sign(null, signedBytes(archive), key).toString('base64'),
+  };
+  return JSON.stringify(archive, null, 2);
+}
+
+/**
+ * Verify, decrypt and unpack a backup. Returns { header, signer: { fingerprint }, files }
+ * with each file's data as a Buffer. Throws with `code`: FORMAT, VERSION, BAD_SIGNATURE,
+ * PASSPHRASE_REQUIRED, BAD_PASSPHRASE.
+ */
+function openBackup(text, { passphrase = null } = {}) {
+  let archive;
+  try { archive = JSON.parse(text); } catch { archive = null; }
+  if (!archive || archive.format !== BACKUP_FORMAT || !archive.header || typeof archive.payload !== 'string') {
+    throw backupError('FORMAT', 'This is not a deepsteve backup');
+  }
+  if (!(archive.version >= 1 && archive.version <= BACKUP_VERSION)) {
+    throw backupError('VERSION', `This backup is format version ${archive.version}; this deepsteve reads up to ${BACKUP_VERSION} — update it first`);
+  }
+
+  let fingerprint;
+  try {
+    const der = Buffer.from(archive.signature.publicKey, 'base64');
+    const publicKey = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    if (!crypto.verify(null, signedBytes(archive), publicKey, Buffer.from(archive.signature.value, 'base64'))) throw new Error('mismatch');
+    fingerprint = fingerprintOf(der);
+  } catch {
+    throw backupError('BAD_SIGNATURE', 'The backup\'s signature does not verify — the file was changed or damaged after it was made');
+  }
+
+  const { header } = archive;
+  let inner = Buffer.from(archive.payload, 'base64');
+  if (header.encrypted) {
+    if (!passphrase) throw backupError('PASSPHRASE_REQUIRED', 'This backup is encrypted; a passphrase is required');
+    try {
+      const { kdf, cipher: c } = header;
+      const key = deriveKey(passphrase, Buffer.from(kdf.salt, 'base64'), { N: kdf.N, r: kdf.r, p: kdf.p });
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(c.iv, 'base64'));
+      decipher.setAAD(headerAad(header));
+      decipher.setAuthTag(inner.subarray(inner.length - 16));
+      inner = Buffer.concat([decipher.update(inner.subarray(0, inner.length - 16)), decipher.final()]);
+    } catch {
+      throw backupError('BAD_PASSPHRASE', 'Wrong passphrase for this backup');
+    }
+  }
+
+  let parsed;
+  try { parsed = JSON.parse(inner.toString('utf8')); } catch { parsed = null; }
+  if (!parsed || !Array.isArray(parsed.files)) throw backupError('FORMAT', 'The backup\'s contents are unreadable');
+  const files = parsed.files.map((f) => {
+    const category = categoryOf(f.path);
+    if (!category || category !== f.category) throw backupError('FORMAT', `The backup holds a file outside its categories: ${String(f.path).slice(0, 200)}`);
+    return { path: f.path, category, mode: f.mode & 0o777 || 0o644, data: Buffer.from(f.data, 'base64') };
+  });
+  return { header, signer: { fingerprint }, files };
+}
+
+// --- restore ---
+
+/** Rewrite home-directory prefixes in a parsed JSON value. Returns [value, count]. */
+function rewriteHome(value, from, to) {
+  let count = 0;
+  const fix = (s) => {
+    if (s === from || s.startsWith(from + '/')) { count++; return to + s.slice(from.length); }
+    return s;
+  };
+  const visit = (v) => {
+    if (typeof v === 'string') return fix(v);
+    if (Array.isArray(v)) return v.map(visit);
+    if (v && typeof v === 'object') {
+      const out = {};
+      for (const [k, x] of Object.entries(v)) out[fix(k)] = visit(x);
+      return out;
+    }
+    return v;
+  };
+  const result = visit(value);
+  return [result, count];
+}
+
+function parseJson(buf) {
+  try { return JSON.parse(buf.toString('utf8')); } catch { return undefined; }
+}
+
+// Top-level keys added / changed / removed between two JSON objects — the part of the
+// diff that says what a settings.json restore will actually change.
+function keyDiff(before, after) {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object' || Array.isArray(before) || Array.isArray(after)) return null;
+  const added = [], changed = [], removed = [];
+  for (const k of Object.keys(after)) {
+    if (!(k in before)) added.push(k);
+    else if (JSON.stringify(before[k]) !== JSON.stringify(after[k])) changed.push(k);
+  }
+  for (const k of Object.keys(before)) if (!(k in after)) removed.push(k);
+  return { added, changed, removed };
+}
+
+/**
+ * What restoring `backup` (from openBackup) into dsDir would do, without doing it: the
+ * dry-run diff. Returns { from, to, categories, files, writes } — `files` describes
+ * each file (status add / change / same, home rewrites, trigger tokens and webhook
+ * secrets minted because the backup left them out, for JSON objects the top-level
+ * keys that change; `removed` keys are ones the backup's copy lacks), and `writes` is
+ * what stageRestore needs. `writes` carries the files' contents, so a route must not
+ * send it back.
+ */
+function planRestore({ dsDir, backup, categories, home = os.homedir() }) {
+  const wanted = categories && categories.length ? checkCategories(categories) : backup.header.categories;
+  const missing = wanted.filter(c => !backup.header.categories.includes(c));
+  if (missing.length) throw backupError('CATEGORY', `This backup has no "${missing[0]}" category`);
+
+  const from = backup.header.home || null;
+  const rewrite = !!from && from !== home;
+  const files = [];
+  const writes = [];
+  for (const f of backup.files) {
+    if (!wanted.includes(f.category)) continue;
+    let data = f.data;
+    let rewrites = 0;
+    let newSecrets = 0;
+    if (f.path === 'settings.json') {
+      const parsed = parseJson(data);
+      const [filled, n] = fillSecrets(parsed);
+      if (n) {
+        newSecrets = n;
+        data = Buffer.from(JSON.stringify(filled, null, 2));
+      }
+    }
+    if (rewrite && f.path.endsWith('.json')) {
+      const parsed = parseJson(data);
+      if (parsed !== undefined) {
+        const [fixed, n] = rewriteHome(parsed, from, home);
+        if (n) {
+          rewrites = n;
+          data = Buffer.from(JSON.stringify(fixed, null, 2));
+        }
+      }
+    }
+    let existing = null;
+    try { existing = fs.readFileSync(path.join(dsDir, f.path)); } catch {}
+    const status = !existing ? 'add' : existing.equals(data) ? 'same' : 'change';
+    const keys = status === 'change' && f.path.endsWith('.json') ? keyDiff(parseJson(existing), parseJson(data)) : null;
+    files.push({ path: f.path, category: f.category, status, bytes: data.length, rewrites, newSecrets, keys });
+    if (status !== 'same') writes.push({ path: f.path, mode: f.mode, data });
+  }
+  return { from, to: home, rewriteHome: rewrite, categories: wanted, files, writes };
+}
+
+function writeFileAtomic(file, data, mode) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.restore-tmp`;
+  fs.writeFileSync(tmp, data, { mode });
+  fs.renameSync(tmp, file);
+}
+
+/** Queue a plan's writes for applyPendingRestore. 0600: it may hold decrypted secrets. */
+function stageRestore(dsDir, plan, { now = Date.now } = {}) {
+  const pending = {
+    stagedAt: new Date(now()).toISOString(),
+    files: plan.writes.map(w => ({ path: w.path, mode: w.mode, data: w.data.toString('base64') })),
+  };
+  writeFileAtomic(path.join(dsDir, PENDING_FILE), JSON.stringify(pending), 0o600);
+  return pending.files.length;
+}
+
+/** Whether a staged restore is waiting for the next boot. */
+function hasPendingRestore(dsDir) {
+  return fs.existsSync(path.join(dsDir, PENDING_FILE));
+}
+
+/**
+ * Apply a staged restore, if there is one. Run with no daemon using the files — at
+ * daemon boot before anything is loaded, or by the CLI when the daemon is down.
+ * Returns { applied, savedTo } or null when nothing was staged. A file that fails the
+ * path check is skipped and logged rather than failing the boot.
+ */
+function applyPendingRestore(dsDir, { log = () => {}, now = Date.now } = {}) {
+  const pendingFile = path.join(dsDir, PENDING_FILE);
+  let pending;
+  try { pending = JSON.parse(fs.readFileSync(pendingFile, 'utf8')); } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    log(`[backup] unreadable ${PENDING_FILE}, discarding it: ${e.message}`);
+    try { fs.unlinkSync(pendingFile); } catch {}
+    return null;
+  }
+  const stamp = new Date(now()).toISOString().replace(/[:.]/g, '-');
+  const saveDir = path.join(dsDir, `pre-restore-${stamp}`);
+  let applied = 0;
+  let saved = 0;
+  for (const f of Array.isArray(pending.files) ? pending.files : []) {
+    if (!categoryOf(f.path)) {
+      log(`[backup] skipped ${String(f.path).slice(0, 200)}: not a restorable path`);
+      continue;
+    }
+    const target = path.join(dsDir, f.path);
+    try {
+      if (fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(path.join(saveDir, f.path)), { recursive: true });
+        fs.copyFileSync(target, path.join(saveDir, f.path));
+        saved++;
+      }
+      writeFileAtomic(target, Buffer.from(f.data, 'base64'), f.mode || 0o644);
+      applied++;
+    } catch (e) {
+      log(`[backup] could not restore ${f.path}: ${e.message}`);
+    }
+  }
+  fs.unlinkSync(pendingFile);
+  log(`[backup] restored ${applied} file(s) staged at ${pending.stagedAt}${saved ? `; the ${saved} replaced are in ${saveDir}` : ''}`);
+  return { applied, savedTo: saved ? saveDir : null };
+}
+
+/** A file name for a new backup: deepsteve-2026-10-19-1130.dsbackup */
+function backupFileName(now = Date.now) {
+  const d = new Date(now());
+  const p = n => String(n).padStart(2, '0');
+  return `deepsteve-${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${BACKUP_EXTENSION}`;
+}
+
+module.exports = {
+  BACKUP_CATEGORIES, BACKUP_VERSION, BACKUP_EXTENSION,
+  createBackup, openBackup, planRestore, stageRestore, applyPendingRestore, hasPendingRestore,
+  localFingerprint, fingerprintOf, backupFileName, rewriteHome,
+};
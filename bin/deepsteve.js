@@ -32,6 +32,9 @@ const PKG_ROOT = path.join(__dirname, '..');
 const { stateDir } = require(path.join(PKG_ROOT, 'paths.js'));
 const { resolveBinary } = require(path.join(PKG_ROOT, 'bin-path.js'));
 const { resolveTmuxPath } = require(path.join(PKG_ROOT, 'tmux-path.js'));
+const backup = require(path.join(PKG_ROOT, 'backup.js'));
+const modCatalog = require(path.join(PKG_ROOT, 'mod-catalog.js'));
+const { screenDelta } = require(path.join(PKG_ROOT, 'screen-delta.js'));
 
 const pkg = JSON.parse(fs.readFileSync(path.join(PKG_ROOT, 'package.json'), 'utf8'));
 const DS_DIR = stateDir();
@@ -145,6 +148,30 @@ async function control(pathname, { method = 'GET', timeoutMs = 10000 } = {}) {
   }
 }
 
+/**
+ * A JSON control call for the session verbs. Unlike control(), which answers "is the
+ * daemon there?" and so swallows every failure into null, these verbs are the whole
+ * point of the invocation — an unreachable daemon or a 4xx must reach the terminal
+ * (and a nonzero exit status, for the Makefile running us) with the server's reason.
+ */
+async function api(pathname, { method = 'GET', body, timeoutMs = 10000 } = {}) {
+  let resp;
+  try {
+    resp = await fetch(controlUrl(pathname), {
+      method,
+      headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch {
+    die(`could not reach the daemon at ${controlUrl('')} — is it running? (deepsteve status)`);
+  }
+  let data = null;
+  try { data = await resp.json(); } catch {}
+  if (!resp.ok) die((data && data.error) || `${method} ${pathname} failed: HTTP ${resp.status}`);
+  return data;
+}
+
 async function waitForHealth(seconds = 15) {
   for (let i = 0; i < seconds; i++) {
     const body = await control('/healthz', { timeoutMs: 2000 });
@@ -528,6 +555,344 @@ function cmdUninstall() {
   process.exit(r.status === null ? 1 : r.status);
 }
 
+// -------------------------------------------------------------------- sessions
+//
+// Drive sessions from a shell, a Makefile or a git hook, with no browser open. Every
+// verb is a thin wrapper over a daemon route, so a tab opened here is an ordinary
+// session: it appears in any connected browser window, survives restarts the same
+// way, and its prompt goes through the same readiness-gated delivery as the UI's.
+//
+// Output is built for scripts: `open` prints only the new id on stdout, and every
+// failure exits nonzero with the server's reason on stderr.
+
+/** Read all of stdin, for `send <id> -` and `… | deepsteve send <id>`. */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let buf = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { buf += chunk; });
+    process.stdin.on('end', () => resolve(buf));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function cmdLs(flags) {
+  const { shells } = await api('/api/shells');
+  const rows = shells
+    .filter(s => flags.all || s.status === 'active')
+    .map(s => [
+      s.id,
+      // A plain terminal has no idle/busy classification, so its flag means nothing.
+      s.status !== 'active' ? s.status : s.agentType === 'terminal' ? 'active' : s.waitingForInput ? 'idle' : 'busy',
+      s.agentType,
+      s.name || '-',
+      s.cwd || '-',
+    ]);
+  if (rows.length === 0) {
+    if (!flags.all) say('No active sessions. (deepsteve ls --all also lists saved and closed ones)');
+    return;
+  }
+  printTable(['ID', 'STATE', 'AGENT', 'NAME', 'CWD'], rows);
+}
+
+/** Columns padded to their widest cell; the last column is left ragged. */
+function printTable(head, rows) {
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  for (const r of [head, ...rows]) {
+    say(r.map((c, i) => (i === r.length - 1 ? String(c) : String(c).padEnd(widths[i]))).join('  '));
+  }
+}
+
+async function cmdOpen(positional, flags) {
+  const cwd = path.resolve(positional[1] || process.cwd());
+  const result = await api('/api/shells', {
+    method: 'POST',
+    body: {
+      cwd,
+      agentType: flags.agent || 'claude',
+      name: flags.name || undefined,
+      worktree: flags.worktree || undefined,
+      prompt: flags.prompt || undefined,
+    },
+  });
+  say(result.id);
+}
+
+async function cmdSend(positional) {
+  const id = positional[1];
+  if (!id) die('usage: deepsteve send <id> <text…>   (or pipe the text in on stdin)');
+  let text = positional.slice(2).join(' ');
+  if (text === '-' || (!text && !process.stdin.isTTY)) text = await readStdin();
+  if (!text.trim()) die('nothing to send');
+  await api(`/api/shells/${encodeURIComponent(id)}/prompt`, { method: 'POST', body: { text } });
+}
+
+/**
+ * Print the session's interpreted screen. With --follow, keep polling and print only
+ * what scrolled in since the last read: the longest suffix of the previous snapshot
+ * that is also a prefix of the new one is the part already on the user's terminal.
+ * Ends on its own when the session goes away.
+ */
+async function cmdTail(positional, flags) {
+  const id = positional[1];
+  if (!id) die('usage: deepsteve tail <id> [-n lines] [--follow]');
+  const route = `/api/shells/${encodeURIComponent(id)}/screen?lines=${flags.lines || 40}`;
+  let prev = (await api(route)).lines;
+  for (const line of prev) say(line);
+  if (!flags.follow) return;
+
+  for (;;) {
+    await new Promise(r => setTimeout(r, 1000));
+    let resp;
+    try {
+      resp = await fetch(controlUrl(route), { headers: authHeaders(), signal: AbortSignal.timeout(10000) });
+    } catch {
+      die('lost the connection to the daemon');
+    }
+    if (resp.status === 404) return say(`[session ${id} ended]`);
+    if (!resp.ok) die(`tail failed: HTTP ${resp.status}`);
+    const next = (await resp.json()).lines;
+    for (const line of screenDelta(prev, next)) say(line);
+    prev = next;
+  }
+}
+
+async function cmdClose(positional) {
+  const id = positional[1];
+  if (!id) die('usage: deepsteve close <id>');
+  await api(`/api/shells/${encodeURIComponent(id)}/close`, { method: 'POST' });
+}
+
+/**
+ * Named users (users.js). This runs as the install's owner, so it is how the first
+ * admin gets a token before anyone can sign in to Settings. A new token is the only
+ * thing printed on stdout (`deepsteve users add ana | pbcopy`); the server keeps just
+ * its hash, so this is the one chance to see it.
+ */
+async function cmdUsers(positional, flags) {
+  const [, sub = 'ls', name, roleArg] = positional;
+  const route = `/api/users/${encodeURIComponent(name || '')}`;
+  const role = roleArg || flags.role;
+  const printToken = (user, token, what) => {
+    process.stderr.write(`${what} ${user.name} (${user.role}). Their token, shown once — they sign in with it at /login:\n`);
+    say(token);
+  };
+  switch (sub) {
+    case 'ls': {
+      const { users } = await api('/api/users');
+      if (users.length === 0) return say('No named users; only the install token can sign in. (deepsteve users add <name> --role <role>)');
+      const when = ts => (ts ? new Date(ts).toISOString().slice(0, 16).replace('T', ' ') : '-');
+      return printTable(['NAME', 'ROLE', 'ADDED', 'LAST SEEN'], users.map(u => [u.name, u.role, when(u.createdAt), when(u.lastSeenAt)]));
+    }
+    case 'add': {
+      if (!name) die('usage: deepsteve users add <name> [--role viewer|operator|admin]');
+      const { user, token } = await api('/api/users', { method: 'POST', body: { name, role: role || 'operator' } });
+      return printToken(user, token, 'Added');
+    }
+    case 'role': {
+      if (!name || !role) die('usage: deepsteve users role <name> <viewer|operator|admin>');
+      const { user } = await api(`${route}/role`, { method: 'POST', body: { role } });
+      return say(`${user.name} is now ${user.role}`);
+    }
+    case 'token': {
+      if (!name) die('usage: deepsteve users token <name>');
+      const { user, token } = await api(`${route}/token`, { method: 'POST' });
+      return printToken(user, token, 'New token for');
+    }
+    case 'rm': {
+      if (!name) die('usage: deepsteve users rm <name>');
+      const { user } = await api(route, { method: 'DELETE' });
+      return say(`Removed ${user.name}`);
+    }
+    default:
+      die(`unknown users command "${sub}" — ls, add, role, token or rm`);
+  }
+}
+
+// --------------------------------------------------------------------- backup
+//
+// Both verbs work on ~/.deepsteve directly, daemon or no daemon: a backup reads files
+// the daemon keeps current, and a restore is staged for the daemon's next start (see
+// backup.js for why it never writes under a running one) — or, with no daemon up,
+// applied on the spot. The passphrase comes from DEEPSTEVE_BACKUP_PASSPHRASE or a
+// prompt; never from argv, where `ps` would show it.
+
+/** Prompt on the terminal without echoing the answer. null when there is no terminal. */
+function askHidden(question) {
+  if (!process.stdin.isTTY) return Promise.resolve(null);
+  const readline = require('readline');
+  return new Promise((resolve) => {
+    process.stderr.write(question);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function backupPassphrase({ confirm }) {
+  if (process.env.DEEPSTEVE_BACKUP_PASSPHRASE) return process.env.DEEPSTEVE_BACKUP_PASSPHRASE;
+  const first = await askHidden('Backup passphrase: ');
+  if (first === null) die('a passphrase is needed: set DEEPSTEVE_BACKUP_PASSPHRASE, or run this in a terminal');
+  if (!first) die('the passphrase is empty');
+  if (confirm && (await askHidden('Again: ')) !== first) die('the passphrases differ');
+  return first;
+}
+
+async function cmdBackup(positional, flags) {
+  const file = path.resolve(positional[1] || backup.backupFileName());
+  const passphrase = flags.encrypt ? await backupPassphrase({ confirm: true }) : null;
+  let text;
+  try {
+    text = backup.createBackup({ dsDir: DS_DIR, categories: flags.only, passphrase, deepsteveVersion: pkg.version });
+  } catch (e) {
+    die(e.message);
+  }
+  fs.writeFileSync(file, text, { mode: 0o600 });
+  const { header } = JSON.parse(text);
+  say(`Wrote ${file}`);
+  say(`  ${header.fileCount} file(s): ${header.categories.join(', ')}${passphrase ? ' — encrypted' : ' — NOT encrypted (--encrypt to add a passphrase)'}`);
+  if (header.secretsLeftOut) say(`  ${header.secretsLeftOut} trigger token(s) / webhook secret(s) left out; a restore makes new ones`);
+  say(`  signed by this install, ${backup.localFingerprint(DS_DIR)}`);
+}
+
+function describeRestoreFile(f) {
+  const mark = { add: '+', change: '~', same: '=' }[f.status];
+  const notes = [];
+  if (f.keys) {
+    for (const k of ['changed', 'added', 'removed']) if (f.keys[k].length) notes.push(`${k}: ${f.keys[k].join(', ')}`);
+  }
+  if (f.rewrites) notes.push(`${f.rewrites} home path(s) rewritten`);
+  if (f.newSecrets) notes.push(`${f.newSecrets} new trigger token(s) / webhook secret(s) — hand them out again`);
+  return `  ${mark} ${f.path}${notes.length ? `  (${notes.join('; ')})` : ''}`;
+}
+
+async function cmdRestore(positional, flags) {
+  const file = positional[1];
+  if (!file) die('usage: deepsteve restore <file> [--only settings,themes,…] [--dry-run]');
+  let text;
+  try { text = fs.readFileSync(path.resolve(file), 'utf8'); } catch (e) { die(`cannot read ${file}: ${e.message}`); }
+
+  let opened;
+  try {
+    try {
+      opened = backup.openBackup(text);
+    } catch (e) {
+      if (e.code !== 'PASSPHRASE_REQUIRED') throw e;
+      opened = backup.openBackup(text, { passphrase: await backupPassphrase({ confirm: false }) });
+    }
+  } catch (e) {
+    die(e.message);
+  }
+  let plan;
+  try {
+    plan = backup.planRestore({ dsDir: DS_DIR, backup: opened, categories: flags.only });
+  } catch (e) {
+    die(e.message);
+  }
+
+  const { header, signer } = opened;
+  const whose = signer.fingerprint === backup.localFingerprint(DS_DIR) ? 'this install' : 'another install';
+  say(`Backup of ${header.host}, ${header.createdAt} (deepsteve ${header.deepsteveVersion || '?'})`);
+  say(`  signed by ${whose}, ${signer.fingerprint}`);
+  if (plan.rewriteHome) say(`  paths under ${plan.from} become ${plan.to}`);
+  say(`  categories: ${plan.categories.join(', ')}`);
+  for (const f of plan.files) say(describeRestoreFile(f));
+  if (plan.writes.length === 0) return say('Nothing to restore: everything already matches.');
+  if (flags.dryRun) return say(`Dry run: ${plan.writes.length} file(s) would be written. Nothing was changed.`);
+
+  backup.stageRestore(DS_DIR, plan);
+  if (await control('/healthz', { timeoutMs: 2000 }) !== null) {
+    say(`Staged ${plan.writes.length} file(s). deepsteve applies them when it next starts: run \`deepsteve restart\`.`);
+    return;
+  }
+  const result = backup.applyPendingRestore(DS_DIR);
+  say(`Restored ${result.applied} file(s).${result.savedTo ? ` The files it replaced are in ${result.savedTo}.` : ''}`);
+}
+
+// ----------------------------------------------------------------------- mods
+//
+// ls, update, pin, unpin and rollback go through the daemon, which owns the installed
+// mods. mirror and sign don't need one: mirror is run on a machine with internet
+// access to fill a directory an offline team points modCatalogSource at, and sign is
+// for a publisher preparing a catalog entry.
+
+/** The catalog source this install is configured with ('' = the public catalog). */
+function configuredCatalogSource() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DS_DIR, 'settings.json'), 'utf8')).modCatalogSource || '';
+  } catch {
+    return '';
+  }
+}
+
+async function cmdMods(positional, flags) {
+  const [, sub = 'ls', arg, arg2, arg3] = positional;
+  const describe = r => `${r.id} v${r.version}${r.pinned ? ' (pinned)' : ''}`;
+  switch (sub) {
+    case 'ls': {
+      const { mods, source, error } = await api('/api/mods/catalog?refresh=1', { timeoutMs: 30000 });
+      if (error) die(error);
+      say(`Catalog: ${source}`);
+      if (mods.length === 0) return say('No mods listed.');
+      return printTable(['ID', 'INSTALLED', 'LATEST', 'STATUS'], mods.map(m => [
+        m.id,
+        m.installedVersion ? `v${m.installedVersion}` : '-',
+        `v${m.version}`,
+        [m.pinned && 'pinned', m.updateAvailable && 'update available', !m.compatible && `needs deepsteve v${m.minDeepsteveVersion}+`,
+          m.newerIncompatible && `v${m.newerIncompatible} needs a newer deepsteve`].filter(Boolean).join(', ') || '-',
+      ]));
+    }
+    case 'update': {
+      if (!arg) die('usage: deepsteve mods update <id> [version]');
+      const result = await api('/api/mods/install', { method: 'POST', body: { id: arg, ...(arg2 ? { version: arg2 } : {}) }, timeoutMs: 60000 });
+      return say(`Installed ${describe({ ...result, id: arg })}${result.signer ? `, signed by ${result.signer.name} ${result.signer.fingerprint}` : ''}`);
+    }
+    case 'pin':
+    case 'unpin': {
+      if (!arg) die(`usage: deepsteve mods ${sub} <id>`);
+      const result = await api('/api/mods/pin', { method: 'POST', body: { id: arg, pinned: sub === 'pin' } });
+      return say(`${result.pinned ? 'Pinned' : 'Unpinned'} ${arg} at v${result.version}`);
+    }
+    case 'rollback': {
+      if (!arg) die('usage: deepsteve mods rollback <id> [version]');
+      const result = await api('/api/mods/rollback', { method: 'POST', body: { id: arg, ...(arg2 ? { version: arg2 } : {}) } });
+      return say(`Rolled ${arg} back to v${result.version}; it is pinned there (deepsteve mods unpin ${arg} to take updates again)`);
+    }
+    case 'mirror': {
+      if (!arg) die('usage: deepsteve mods mirror <dir> [--from <catalog>] [--latest]');
+      const dir = path.resolve(arg);
+      let result;
+      try {
+        const catalog = await modCatalog.loadCatalog(flags.from ?? configuredCatalogSource());
+        say(`Mirroring ${catalog.mods.length} mod(s) from ${catalog.source}`);
+        result = await modCatalog.writeMirror(catalog, dir, { latestOnly: flags.latest, log: m => say(`  ${m.replace(/^\[mods\] /, '')}`) });
+      } catch (e) {
+        die(e.message);
+      }
+      say(`Wrote ${result.file}: ${result.packages} package(s), ${result.downloaded} downloaded, ${result.reused} already there`);
+      return say(`Point Settings → Mod Catalog at ${dir} to install from it.`);
+    }
+    case 'sign': {
+      if (!arg || !arg2 || !arg3 || !flags.key) die('usage: deepsteve mods sign <package.tar.gz> <id> <version> --key <ed25519-private-key.pem>');
+      let release;
+      try {
+        const signed = modCatalog.signPackage(fs.readFileSync(path.resolve(arg)), { id: arg2, version: arg3, privateKey: fs.readFileSync(path.resolve(flags.key), 'utf8') });
+        release = { version: arg3, sha256: signed.sha256, signature: signed.signature };
+      } catch (e) {
+        die(e.message);
+      }
+      // Just the fields to add to the release's catalog entry, as JSON on stdout.
+      return say(JSON.stringify(release, null, 2));
+    }
+    default:
+      die(`unknown mods command "${sub}" — ls, update, pin, unpin, rollback, mirror or sign`);
+  }
+}
+
 function cmdHelp() {
   say(`deepsteve ${pkg.version} — a hackable web UI for your Claude Code and Codex agents
 
@@ -540,9 +905,49 @@ Commands:
   status             Print service state, port, health and log locations
   uninstall          Remove the service, the install dir, and deepsteve's tmux server
 
+Sessions (talk to the running daemon; no browser needed):
+  ls                 List active sessions (--all adds saved and closed ones)
+  open [dir]         Open a session in dir (default: here) and print its id
+  send <id> <text>   Deliver a prompt once the agent is ready (\`-\` or a pipe reads stdin)
+  tail <id>          Print the session's screen (-n lines, --follow to keep watching)
+  close <id>         Close a session and its tab
+
+Users (named tokens with a role — viewer, operator or admin):
+  users [ls]         List named users
+  users add <name>   Add a user (--role, default operator) and print their token
+  users role <name> <role>
+                     Change a user's role
+  users token <name> Replace a user's token and print the new one
+  users rm <name>    Remove a user
+
+Backup (settings, contexts, scheduled tasks, tasks, automations, themes, commands, agents):
+  backup [file]      Write a signed backup of ~/.deepsteve's configuration
+  restore <file>     Restore one; applied at the daemon's next start (--dry-run shows the diff)
+
+Mods (marketplace installs; see Settings → Mod Catalog):
+  mods [ls]          List catalog mods with installed and latest versions
+  mods update <id> [version]
+                     Install the newest version that runs here, or the one named
+  mods pin <id>      Stay on the installed version (mods unpin <id> to undo)
+  mods rollback <id> Put back the version the last update replaced, and pin it
+  mods mirror <dir>  Copy the catalog and its packages into dir, for offline installs
+  mods sign <package> <id> <version>
+                     Print the sha256 and Ed25519 signature for a catalog entry (--key)
+
 Options:
   --refresh          (start/restart) force open browser tabs to reload
   --force            (restart) confirm on this terminal instead of in the browser
+  --agent <type>     (open) claude, codex, opencode, pi, hermes, or terminal
+  --name <name>      (open) tab name
+  --worktree <name>  (open) run the agent in a git worktree
+  --prompt <text>    (open) initial prompt for the agent
+  --role <role>      (users add) viewer, operator or admin
+  --only <a,b>       (backup/restore) just these categories
+  --encrypt          (backup) encrypt with a passphrase (or DEEPSTEVE_BACKUP_PASSPHRASE)
+  --dry-run          (restore) show what would change, change nothing
+  --from <catalog>   (mods mirror) catalog URL or path (default: this install's)
+  --latest           (mods mirror) only each mod's newest version
+  --key <file>       (mods sign) the publisher's Ed25519 private key, PEM
   --no-mcp           skip the global claude/opencode MCP registration
   -v, --version      print the version
   -h, --help         print this help
@@ -553,7 +958,12 @@ serving the UI depends on that being its working directory.`);
 
 async function main() {
   const argv = process.argv.slice(2);
-  const flags = { refresh: false, force: false, prompt: null, mcp: true };
+  const flags = {
+    refresh: false, force: false, prompt: null, mcp: true,
+    agent: null, name: null, worktree: null, lines: null, follow: false, all: false,
+    role: null, only: null, encrypt: false, dryRun: false,
+    from: null, latest: false, key: null,
+  };
   const positional = [];
 
   for (let i = 0; i < argv.length; i++) {
@@ -562,6 +972,19 @@ async function main() {
     else if (a === '--force') flags.force = true;
     else if (a === '--prompt') flags.prompt = argv[++i] ?? '';
     else if (a === '--no-mcp') flags.mcp = false;
+    else if (a === '--agent') flags.agent = argv[++i] ?? '';
+    else if (a === '--name') flags.name = argv[++i] ?? '';
+    else if (a === '--worktree') flags.worktree = argv[++i] ?? '';
+    else if (a === '--role') flags.role = argv[++i] ?? '';
+    else if (a === '--only') flags.only = String(argv[++i] ?? '').split(',').map(c => c.trim()).filter(Boolean);
+    else if (a === '--encrypt') flags.encrypt = true;
+    else if (a === '--dry-run') flags.dryRun = true;
+    else if (a === '--from') flags.from = argv[++i] ?? '';
+    else if (a === '--latest') flags.latest = true;
+    else if (a === '--key') flags.key = argv[++i] ?? '';
+    else if (a === '-n' || a === '--lines') flags.lines = parseInt(argv[++i], 10) || null;
+    else if (a === '-f' || a === '--follow') flags.follow = true;
+    else if (a === '--all') flags.all = true;
     else if (a === '-v' || a === '--version') return say(pkg.version);
     else if (a === '-h' || a === '--help') return cmdHelp();
     else positional.push(a);
@@ -573,6 +996,15 @@ async function main() {
     case 'restart': return cmdRestart(flags);
     case 'status': return cmdStatus();
     case 'uninstall': return cmdUninstall();
+    case 'ls': return cmdLs(flags);
+    case 'open': return cmdOpen(positional, flags);
+    case 'send': return cmdSend(positional);
+    case 'tail': return cmdTail(positional, flags);
+    case 'close': return cmdClose(positional);
+    case 'users': return cmdUsers(positional, flags);
+    case 'backup': return cmdBackup(positional, flags);
+    case 'restore': return cmdRestore(positional, flags);
+    case 'mods': return cmdMods(positional, flags);
     case undefined: return cmdHelp();
     default:
       process.stderr.write(`deepsteve: unknown command "${positional[0]}"\n\n`);
@@ -0,0 +1,137 @@
+/**
+ * Container sandboxes: the per-context policy, and the `docker run` / `podman run`
+ * argv it turns into. The engine that runs it is engines/container.js.
+ *
+ * An issue session — Autopilot above all — runs an agent nobody is watching against
+ * text somebody else wrote. With the tmux and node-pty engines it runs as the user,
+ * with everything the user can reach. A context can instead ask for its issue
+ * sessions (or all of its sessions) to run in a disposable container that sees one
+ * directory: the session's worktree, bind-mounted at the same path so every path in
+ * the transcript, the tab and DEEPSTEVE_CWD still means the same thing.
+ *
+ * The policy, all optional except `image`:
+ *
+ *   image     — an image already present locally (`--pull never`: a pull can take
+ *               minutes, and the engine's calls are synchronous). It must contain the
+ *               agent binary and a /bin/sh.
+ *   network   — false (the default) is `--network none`; true is the runtime's
+ *               default network.
+ *   memory    — `--memory`, e.g. "4g".
+ *   cpus      — `--cpus`, e.g. 2 or 0.5.
+ *   pidsLimit — `--pids-limit`.
+ *   applyTo   — 'issues' (the default): issue sessions only; 'all': every new
+ *               session whose folder is in the context.
+ *   passEnv   — names of daemon env vars to hand the container (ANTHROPIC_API_KEY,
+ *               say). Nothing else of the daemon's environment goes in.
+ *   mountGit  — also mount the repository's git directory, so `git commit` works
+ *               inside. Off by default, because that directory holds hooks the HOST
+ *               runs on its next git command — a container that can write it is not
+ *               sandboxed any more. For the same reason, without it a folder's own
+ *               .git (a session at the repo root, or a worktree's .git file, which
+ *               names the git directory) is mounted over read-only.
+ *
+ * Root-level *.js ships with no packaging change (same as guardrails.js).
+ */
+
+const APPLY_TO = ['issues', 'all'];
+
+/** Where $HOME points inside the container: a tmpfs, gone with the container. */
+const CONTAINER_HOME = '/home/deepsteve';
+
+/**
+ * The key sequence `docker attach` detaches on. Its default, Ctrl-P Ctrl-Q, would
+ * swallow every Ctrl-P typed into an agent; this pair is one nothing sends by
+ * accident. (A detach by key would look like an exit to the engine and be
+ * re-attached anyway.)
+ */
+const DETACH_KEYS = 'ctrl-^,ctrl-_';
+
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MEMORY_RE = /^\d+(?:\.\d+)?[bkmg]?$/i;
+// An image reference: [registry[:port]/]name[:tag][@digest]. Conservative on purpose —
+// it becomes an argv element, and one starting with '-' would be read as an option.
+const IMAGE_RE = /^[A-Za-z0-9][A-Za-z0-9._\-/:@]*$/;
+
+/**
+ * A stored policy from untrusted input; anything malformed is dropped. null when
+ * there is no usable image — a policy without one cannot run anything, and null is
+ * what "no sandbox" means everywhere else.
+ */
+function sanitizeContainerPolicy(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const image = typeof raw.image === 'string' ? raw.image.trim() : '';
+  if (!image || image.length > 256 || !IMAGE_RE.test(image)) return null;
+  const out = { image, network: raw.network === true, applyTo: APPLY_TO.includes(raw.applyTo) ? raw.applyTo : 'issues' };
+  if (typeof raw.memory === 'string' && MEMORY_RE.test(raw.memory.trim())) out.memory = raw.memory.trim().toLowerCase();
+  const cpus = Number(raw.cpus);
+  if (raw.cpus !== '' && raw.cpus != null && Number.isFinite(cpus) && cpus > 0 && cpus <= 1024) out.cpus = cpus;
+  const pids = Math.round(Number(raw.pidsLimit));
+  if (raw.pidsLimit !== '' && raw.pidsLimit != null && Number.isFinite(pids) && pids > 0) out.pidsLimit = pids;
+  if (Array.isArray(raw.passEnv)) {
+    const names = [...new Set(raw.passEnv.map(s => String(s).trim()).filter(s => ENV_NAME_RE.test(s)))];
+    if (names.length) out.passEnv = names;
+  }
+  if (raw.mountGit === true) out.mountGit = true;
+  return out;
+}
+
+/**
+ * Does this policy cover a session of this kind? `issue` is true for issue sessions
+ * (startIssueSession); everything else is an ordinary tab.
+ */
+function policyApplies(policy, { issue = false } = {}) {
+  if (!policy) return false;
+  return policy.applyTo === 'all' || issue;
+}
+
+/**
+ * The `run` argv for one session's container.
+ *
+ * @param {object} o
+ * @param {'docker'|'podman'} o.flavor
+ * @param {string} o.name      — the container name, ds-<id>
+ * @param {string} o.owner     — this daemon's label value (see engines/container.js)
+ * @param {string} o.id        — the session id
+ * @param {object} o.policy    — a sanitizeContainerPolicy() result
+ * @param {string} o.workdir   — the one read-write mount, also the working directory
+ * @param {string[]} [o.mounts] — further host paths, mounted read-write at the same path
+ * @param {string[]} [o.readOnly] — host paths under those, mounted over read-only
+ * @param {object} [o.env]     — the container's environment, complete
+ * @param {{uid: number, gid: number}|null} [o.user] — who files in the mount belong to
+ * @param {string[]} o.argv    — the pane's argv
+ */
+function containerRunArgs({ flavor = 'docker', name, owner, id, policy, workdir, mounts = [], readOnly = [], env = {}, user = null, argv }) {
+  const args = ['run', '-d', '-i', '-t', '--pull', 'never', '--name', name,
+    '--label', `deepsteve.owner=${owner}`, '--label', `deepsteve.session=${id}`,
+    // tini as pid 1: it reaps what the agent's tools leave behind and forwards the
+    // signals kill() sends, which a shell as pid 1 would ignore.
+    '--init',
+    '--cap-drop', 'ALL', '--security-opt', 'no-new-privileges'];
+  if (!policy.network) args.push('--network', 'none');
+  if (policy.memory) args.push('--memory', policy.memory);
+  if (policy.cpus) args.push('--cpus', String(policy.cpus));
+  if (policy.pidsLimit) args.push('--pids-limit', String(policy.pidsLimit));
+  // Files the agent writes into the worktree must belong to the user, not to root.
+  // Rootless podman maps the user to root inside; keep-id maps them to themselves.
+  if (flavor === 'podman') args.push('--userns', 'keep-id');
+  else if (user) args.push('--user', `${user.uid}:${user.gid}`);
+  args.push('--tmpfs', `${CONTAINER_HOME}:rw,exec,mode=1777`, '-e', `HOME=${CONTAINER_HOME}`);
+  for (const dir of [workdir, ...mounts]) args.push('-v', `${bindSource(dir)}:${dir}`);
+  // After the read-write mounts they sit inside: the runtime mounts the deeper path last.
+  for (const p of readOnly) args.push('-v', `${bindSource(p)}:${p}:ro`);
+  args.push('-w', workdir);
+  for (const [key, val] of Object.entries(env)) args.push('-e', `${key}=${val}`);
+  args.push(policy.image, ...argv);
+  return args;
+}
+
+// `-v` splits on ':', so a path containing one can't be expressed — refuse it rather
+// than mount something else.
+function bindSource(dir) {
+  if (!dir || !dir.startsWith('/') || dir.includes(':')) {
+    throw new Error(`Cannot mount "${dir}" into a container: it must be an absolute path without ':'`);
+  }
+  return dir;
+}
+
+module.exports = { sanitizeContainerPolicy, policyApplies, containerRunArgs, CONTAINER_HOME, DETACH_KEYS, APPLY_TO };
@@ -0,0 +1,387 @@
+const { execFileSync, execFile } = require('child_process');
+const Engine = require('./engine');
+const { terminalEnv } = require('../terminal-env');
+const { containerRunArgs, DETACH_KEYS } = require('../container-config');
+
+// Lazily, for the same reason engines/tmux.js does it: a test that injects
+// `spawnPty` must be able to construct this engine on a runner with no node-pty build.
+function defaultSpawnPty(...args) {
+  return require('node-pty').spawn(...args);
+}
+
+const SESSION_PREFIX = 'ds-';
+
+/** Same list, same reason as engines/tmux.js — the attach client is a node-pty child. */
+const PTY_UNSAFE_ENV = ['TMUX', 'TMUX_PANE', 'STY', 'WINDOW', 'WINDOWID', 'TERMCAP', 'COLUMNS', 'LINES'];
+
+/** The #626 budget, unchanged: an attach that died while the container is running. */
+const MAX_SILENT_REATTACHES = 3;
+const REATTACH_RESET_MS = 60000;
+
+/** The line the runtime printed last, which is where the reason lives. */
+function runtimeErrorText(e) {
+  const err = String(e && e.stderr || '').trim().split('\n').pop();
+  return err || (e && e.message) || String(e);
+}
+
+/**
+ * Container engine — each session is a container named ds-{id}, run by Docker or
+ * Podman under a policy from container-config.js. The pane is the container's main
+ * process, started detached with a tty (`run -d -i -t`), and our end of it is a
+ * node-pty running `<runtime> attach ds-{id}` — so data/exit flow through the same
+ * Engine events as the tmux engine's attach client, and resize rides the attach
+ * client's own SIGWINCH forwarding.
+ *
+ * The container belongs to the runtime's daemon, not to us, so sessions outlive
+ * deepsteve exactly as tmux ones do (canDetach): killing the attach client leaves the
+ * container running (`--sig-proxy=false`), and startup reattaches through
+ * tmux-reattach.js like any other detachable engine. A container is never `--rm`:
+ * it stays, stopped, after its agent exits, so the exit code can be read, and is
+ * removed when the session is tombstoned (discard()) or destroyed.
+ *
+ * Every container carries an owner label — the daemon's state dir — and
+ * listSessions() sees only those. Container names are global to the runtime, so a
+ * second daemon (or a test HOME) must not find, reattach or reclaim our ds-* ones.
+ */
+class ContainerEngine extends Engine {
+  /**
+   * @param {{binary?: string, flavor?: 'docker'|'podman', owner: string, user?: {uid: number, gid: number}|null,
+   *          env?: object, exec?: Function, execAsync?: Function, spawnPty?: Function, now?: Function}} opts
+   *   binary — the runtime, resolved by the caller; `flavor` says which CLI it speaks.
+   *   owner — the label value that marks a container as this daemon's.
+   *   user — whose files the workdir holds; ignored for podman (see containerRunArgs).
+   *   exec/execAsync/spawnPty/now are injection points for tests, as in engines/tmux.js.
+   */
+  constructor({ binary = 'docker', flavor, owner, user = null, env, exec, execAsync, spawnPty, now } = {}) {
+    super();
+    if (!owner) throw new TypeError('ContainerEngine: an owner label is required');
+    this._binary = binary || 'docker';
+    this._flavor = flavor || (/podman[^/]*$/.test(this._binary) ? 'podman' : 'docker');
+    this._owner = String(owner);
+    this._user = user;
+    this._env = env || process.env;
+    this._execFn = exec || execFileSync;
+    this._execAsync = execAsync || execFile;
+    this._spawnPty = spawnPty || defaultSpawnPty;
+    this._now = now || Date.now;
+    this._sessions = new Map(); // id → { attachPty, exitCallbacks, dataCallbacks, … }
+    this._version = null;
+    this._probeError = null;
+  }
+
+  _exec(args, opts = {}) {
+    return this._execFn(this._binary, args, { timeout: 30000, stdio: 'pipe', ...opts });
+  }
+
+  /**
+   * Ask the runtime's daemon for its version. Success is remembered; failure is not,
+   * so a Docker Desktop that was still starting when deepsteve booted is picked up
+   * by the next sandboxed spawn rather than at the next restart.
+   */
+  connect() {
+    if (this._version) return true;
+    const format = this._flavor === 'podman' ? '{{.Client.Version}}' : '{{.Server.Version}}';
+    try {
+      const out = String(this._exec(['version', '--format', format], { encoding: 'utf8', timeout: 10000 })).trim();
+      if (!out) throw new Error(`"${this._binary} version" printed nothing — is its daemon running?`);
+      this._version = out;
+      this._probeError = null;
+      return true;
+    } catch (e) {
+      this._probeError = e && e.code === 'ENOENT'
+        ? `no "${this._binary}" found — install Docker or Podman, or set containerRuntime`
+        : runtimeErrorText(e);
+      return false;
+    }
+  }
+
+  get available() {
+    return this._version !== null;
+  }
+
+  get version() {
+    return this._version;
+  }
+
+  get flavor() {
+    return this._flavor;
+  }
+
+  get unavailableReason() {
+    if (this.available) return null;
+    return this._probeError || 'not probed yet';
+  }
+
+  /**
+   * Why a session under `policy` can't start right now, or null: the runtime is
+   * unreachable, or the image isn't present (`--pull never`). For callers that refuse
+   * up front — an issue session — rather than learn it from spawn()'s throw.
+   */
+  sandboxProblem(policy) {
+    if (!this.connect()) return `Container sandbox unavailable: ${this.unavailableReason}`;
+    try {
+      this._exec(['image', 'inspect', '--format', '{{.Id}}', policy.image], { encoding: 'utf8' });
+      return null;
+    } catch (e) {
+      return `Container image ${policy.image} is not available (${runtimeErrorText(e)}) — run "${this._binary} pull ${policy.image}" first`;
+    }
+  }
+
+  _name(id) {
+    return SESSION_PREFIX + id;
+  }
+
+  /** 'running', 'stopped' or 'missing' — what the runtime says about ds-{id}. */
+  _state(id) {
+    try {
+      const out = String(this._exec(['inspect', '--format', '{{.State.Running}}', this._name(id)],
+        { encoding: 'utf8' })).trim();
+      return out === 'true' ? 'running' : 'stopped';
+    } catch {
+      return 'missing';
+    }
+  }
+
+  _exitCode(id) {
+    try {
+      const n = parseInt(String(this._exec(['inspect', '--format', '{{.State.ExitCode}}', this._name(id)],
+        { encoding: 'utf8' })).trim(), 10);
+      return Number.isFinite(n) ? n : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Start ds-{id} and attach to it. `cmd`/`args` are the pane's argv, run by the
+   * image — spawnSession hands this engine /bin/sh rather than the host's login
+   * shell. `cwd` is the one directory the container may write: it is mounted at the
+   * same path and is the working directory. `sandbox` is the context's policy
+   * (required: there is no sensible default image), `mounts` any further host
+   * paths it asked for (mountGit), and `readOnly` paths under those it may read but
+   * not write (the folder's own .git).
+   *
+   * The environment follows the tmux engine's rule — only what differs from the
+   * daemon's own, plus the locale pin — with the policy's `passEnv` names added
+   * from the daemon's env, since those are by definition the same as the daemon's
+   * and the diff would drop them. Nothing else of the host's environment goes in.
+   */
+  spawn(id, cmd, args, cwd, { cols = 120, rows = 40, env, sandbox, mounts = [], readOnly = [] } = {}) {
+    if (!sandbox || !sandbox.image) throw new TypeError('ContainerEngine.spawn: a sandbox policy with an image is required');
+    if (!this.connect()) throw new Error(`Container runtime unavailable: ${this._probeError}`);
+    const name = this._name(id);
+
+    // A running ds-{id} is ADOPTED, as engines/ssh.js does for a session its host was
+    // too far away to reattach at boot. A stopped one is a previous run of this id
+    // whose record the restore is now replacing; its name has to be freed first.
+    const state = this._state(id);
+    if (state === 'running') {
+      this.emit('adopt', id);
+      this._attach(id, cols, rows);
+      return;
+    }
+    if (state === 'stopped') {
+      try { this._exec(['rm', '-f', name]); } catch {}
+    }
+
+    const extraEnv = {};
+    if (env) {
+      for (const [key, val] of Object.entries(env)) {
+        if (val !== undefined && val !== this._env[key]) extraEnv[key] = val;
+      }
+    }
+    for (const key of sandbox.passEnv || []) {
+      if (this._env[key] !== undefined && extraEnv[key] === undefined) extraEnv[key] = this._env[key];
+    }
+    // The locale pin is the image's, not ours: a container is Linux whatever the host
+    // is, and darwin's bare `UTF-8` is not a locale there.
+    Object.assign(extraEnv, { TERM: 'xterm-256color' }, terminalEnv({ platform: 'linux', env: {} }));
+
+    const runArgs = containerRunArgs({
+      flavor: this._flavor, name, owner: this._owner, id, policy: sandbox,
+      workdir: cwd, mounts, readOnly, env: extraEnv, user: this._user, argv: [cmd, ...args],
+    });
+    try {
+      this._exec(runArgs, { timeout: 60000 });
+    } catch (e) {
+      const why = runtimeErrorText(e);
+      // `--pull never` is what makes this synchronous call bounded; say how to fix it.
+      const hint = /no such image|image not known|unable to find image/i.test(why) ? ` — run "${this._binary} pull ${sandbox.image}" first` : '';
+      throw new Error(`Failed to start container ${name}: ${why}${hint}`);
+    }
+    this._attach(id, cols, rows);
+  }
+
+  /** The attach client as `{ file, argv, opts }`. */
+  attachSpawnArgs(name, cols, rows) {
+    const env = { ...this._env, ...terminalEnv({ env: this._env }) };
+    for (const key of PTY_UNSAFE_ENV) delete env[key];
+    return {
+      file: this._binary,
+      argv: ['attach', '--sig-proxy=false', '--detach-keys', DETACH_KEYS, name],
+      opts: { name: 'xterm-256color', cols: cols || 120, rows: rows || 40, env },
+    };
+  }
+
+  /** Open (or re-open) the attach client. `carry` as in engines/tmux.js. */
+  _attach(id, cols, rows, carry) {
+    const { file, argv, opts } = this.attachSpawnArgs(this._name(id), cols, rows);
+    const attachPty = this._spawnPty(file, argv, opts);
+
+    const entry = {
+      attachPty,
+      exitCallbacks: carry ? carry.exitCallbacks : [],
+      dataCallbacks: carry ? carry.dataCallbacks : [],
+      cols: cols || 120,
+      rows: rows || 40,
+      reattachAttempts: carry ? carry.reattachAttempts : 0,
+      attachedAt: this._now(),
+    };
+    this._sessions.set(id, entry);
+
+    attachPty.onData((data) => {
+      for (const cb of entry.dataCallbacks) {
+        try { cb(data); } catch {}
+      }
+    });
+
+    // The #626 question, asked of the runtime: an attach client that ended says
+    // nothing about the container. Only a container that has stopped is an exit, and
+    // then its own exit code — not the attach client's — is the one to report.
+    attachPty.onExit(({ exitCode, signal }) => {
+      if (entry.detaching || this._sessions.get(id) !== entry) return;
+      const strikes = (this._now() - entry.attachedAt) >= REATTACH_RESET_MS ? 0 : entry.reattachAttempts;
+      if (strikes < MAX_SILENT_REATTACHES && this._state(id) === 'running') {
+        const attempt = strikes + 1;
+        this._sessions.delete(id);
+        try {
+          this._attach(id, entry.cols, entry.rows, { ...entry, reattachAttempts: attempt });
+          this.emit('reattach', id, attempt);
+          return;
+        } catch (e) {
+          this.emit('reattach-failed', id, attempt, e);
+        }
+      }
+      const code = this._exitCode(id);
+      this._sessions.delete(id);
+      for (const cb of entry.exitCallbacks) {
+        try { cb({ exitCode: code != null ? code : exitCode, signal }); } catch {}
+      }
+      this.emit('exit', id, code != null ? code : exitCode, signal);
+    });
+  }
+
+  _forget(id) {
+    const entry = this._sessions.get(id);
+    if (!entry) return null;
+    entry.detaching = true;
+    this._sessions.delete(id);
+    try { entry.attachPty.kill(); } catch {}
+    return entry;
+  }
+
+  /** Release our attach client and leave the container running (#620). */
+  detach(id) {
+    return !!this._forget(id);
+  }
+
+  get canDetach() {
+    return true;
+  }
+
+  /** Reattach to a running container (e.g. after daemon restart). */
+  reattach(id, cols, rows) {
+    if (!this.connect()) return false;
+    if (this._state(id) !== 'running') return false;
+    this._attach(id, cols, rows);
+    return true;
+  }
+
+  write(id, data) {
+    const entry = this._sessions.get(id);
+    if (!entry) return;
+    try { entry.attachPty.write(data); } catch {}
+  }
+
+  resize(id, cols, rows) {
+    const entry = this._sessions.get(id);
+    if (!entry) return;
+    entry.cols = cols;
+    entry.rows = rows;
+    try { entry.attachPty.resize(cols, rows); } catch {}
+  }
+
+  /** Signal the container's main process (through --init's tini, which forwards it). */
+  kill(id, signal) {
+    const name = String(signal || 'SIGTERM').replace(/^SIG/, '');
+    const sig = /^[A-Z0-9]+$/.test(name) ? name : 'TERM';
+    try { this._exec(['kill', '--signal', sig, this._name(id)]); } catch {}
+  }
+
+  /**
+   * Always null, for engines/ssh.js's reason: callers hand the pid to process.kill()
+   * and ps(1) here, and a container's pid is in another namespace — or, under Docker
+   * Desktop, another machine. kill() reaches the real one.
+   */
+  getPid() {
+    return null;
+  }
+
+  /** Stop watching and remove the container, now. */
+  destroy(id) {
+    this._forget(id);
+    try { this._exec(['rm', '-f', this._name(id)]); } catch {}
+  }
+
+  /**
+   * Remove ds-{id} in the background. For the tombstone path (server.js's
+   * tombstoneSession), which runs inside every close and must not block on the
+   * runtime; a container that is already gone is not an error.
+   */
+  discard(id, callback) {
+    this._execAsync(this._binary, ['rm', '-f', this._name(id)], { timeout: 30000 }, (err) => {
+      if (callback) callback(err && !/no such container/i.test(runtimeErrorText(err)) ? err : null);
+    });
+  }
+
+  onExit(id, callback) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.exitCallbacks.push(callback);
+  }
+
+  onData(id, callback) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.dataCallbacks.push(callback);
+  }
+
+  removeDataListener(id, handler) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.dataCallbacks = entry.dataCallbacks.filter(cb => cb !== handler);
+  }
+
+  has(id) {
+    return this._sessions.has(id);
+  }
+
+  /** Our ds-* containers, running or stopped, without the prefix; [] without a runtime. */
+  listSessions() {
+    if (!this.connect()) return [];
+    try {
+      const out = String(this._exec(['ps', '-a', '--filter', `label=deepsteve.owner=${this._owner}`,
+        '--format', '{{.Names}}'], { encoding: 'utf8' })).trim();
+      if (!out) return [];
+      return out.split('\n')
+        .map(name => name.trim())
+        .filter(name => name.startsWith(SESSION_PREFIX))
+        .map(name => name.slice(SESSION_PREFIX.length));
+    } catch {
+      return [];
+    }
+  }
+
+  canReattach(id) {
+    return this._state(id) === 'running';
+  }
+}
+
+module.exports = ContainerEngine;
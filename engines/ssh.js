@@ -0,0 +1,646 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Engine = require('./engine');
+const { terminalEnv, TERMINAL_ENV_KEYS } = require('../terminal-env');
+const { posixQuote } = require('../terminal-run');
+const { formatRemotePath } = require('../remote-path');
+
+// Lazily, for the same reason engines/tmux.js does it: a test that injects
+// `spawnPty` must be able to construct this engine on a runner with no node-pty build.
+function defaultSpawnPty(...args) {
+  return require('node-pty').spawn(...args);
+}
+
+const SESSION_PREFIX = 'ds-';
+
+/**
+ * The remote tmux server, by NAME (`tmux -L deepsteve`) rather than by path. The
+ * local engine's `-S <socket>` (#625) can't travel: it is derived from OUR state
+ * dir, and the remote user's tmux keeps its sockets under its own TMUX_TMPDIR. A
+ * name gets the property that matters — our sessions never share a server with the
+ * remote user's own tmux, so `set-option -s` below touches nothing of theirs.
+ */
+const REMOTE_SOCKET_NAME = 'deepsteve';
+
+/** Same list, same reason as engines/tmux.js — the attach client is a node-pty child. */
+const PTY_UNSAFE_ENV = ['TMUX', 'TMUX_PANE', 'STY', 'WINDOW', 'WINDOWID', 'TERMCAP', 'COLUMNS', 'LINES'];
+
+/**
+ * Env a session needs that must not ride the create's argv: ssh's command line sits
+ * in `ps` on both machines for as long as the call runs, and `-e KEY=VAL` would put
+ * the daemon's API token there. These go to the host on stdin instead, into a 0600
+ * file under SECRET_ENV_DIR that the pane sources and deletes before it starts.
+ */
+const SECRET_ENV_KEYS = ['DEEPSTEVE_API_TOKEN'];
+const SECRET_ENV_DIR = '.deepsteve/session-env'; // under the remote $HOME
+
+/** ssh(1) exits 255 on its OWN failures; anything else is the remote command's status. */
+const SSH_FAILED = 255;
+
+/** What spawn()'s remote script exits with when the cwd isn't a directory there. */
+const CWD_MISSING = 66;
+
+/** …and when ds-{id} is already running there (see spawn()). */
+const ALREADY_RUNNING = 67;
+
+/** How long the ControlMaster outlives its last client. */
+const CONTROL_PERSIST = '10m';
+
+/** The #626 budget, unchanged: an attach that died while the pane is alive. */
+const MAX_SILENT_REATTACHES = 3;
+const REATTACH_RESET_MS = 60000;
+
+/**
+ * The OTHER way an attach dies, which a local tmux never has: the network went away.
+ * Then has-session can't answer either, and "we don't know" must not be reported as
+ * "the agent exited" — that tombstones a session still running on the build box, and
+ * the next boot reclaims (kills) it. So wait and ask again, for about two minutes in
+ * total, before admitting the tab is lost. A laptop lid or a Wi-Fi handover fits in
+ * that; a box that is down for good does not, and then the tab says so.
+ */
+const RECONNECT_DELAYS_MS = [2000, 5000, 15000, 30000, 60000];
+
+/** The line ssh or the remote shell printed last, which is where the reason lives. */
+function sshErrorText(e) {
+  const err = String(e && e.stderr || '').trim().split('\n').pop();
+  return err || (e && e.message) || String(e);
+}
+
+/**
+ * ssh engine — each session runs inside a tmux session named ds-{id} on ANOTHER
+ * machine, in a tmux server we own there (REMOTE_SOCKET_NAME). It is the tmux engine
+ * with an ssh hop in front of every command:
+ *
+ *   - tmux verbs (new-session, has-session, kill-session, …) run as
+ *     `ssh <host> 'tmux -L deepsteve …'`, synchronously, like engines/tmux.js's.
+ *   - I/O is a node-pty running `ssh -tt <host> 'tmux … attach-session -t ds-{id}'`,
+ *     so data/exit flow through the same Engine events and BEL detection, scrollback
+ *     and the screen classifier need to know nothing about where the pane is.
+ *   - Window size rides ssh's own SIGWINCH forwarding: resize() resizes the local
+ *     pty, ssh tells the remote one, tmux follows — the same chain as local tmux.
+ *
+ * Every ssh invocation shares ONE connection per host, an OpenSSH ControlMaster under
+ * `controlDir`: the first command opens it, ControlPersist keeps it in the background,
+ * and every later command — including each tab's attach — is a new channel on it
+ * rather than a new TCP connection and key exchange. That is what makes the
+ * synchronous calls cheap enough to keep the Engine interface synchronous.
+ *
+ * Sessions outlive the daemon exactly as local tmux ones do (canDetach), and outlive
+ * the ssh connection too: a dropped link kills only our attach client. See
+ * RECONNECT_DELAYS_MS for what happens then.
+ *
+ * Authentication is whatever ssh already has — keys, an agent, ~/.ssh/config — and
+ * BatchMode is on: the daemon has no terminal to type a password into, so a host
+ * that would prompt fails fast with ssh's own message instead of hanging a spawn.
+ *
+ * Remote commands are necessarily shell command lines (ssh joins its arguments and
+ * the remote shell parses them), so every argv element goes through posixQuote() —
+ * see _remote(). The host itself never does: it is one argv element after `--`
+ * locally, and remote-path.js refuses one that starts with '-'.
+ */
+class SshEngine extends Engine {
+  /**
+   * @param {{host: string, binary?: string, tmuxBinary?: string, controlDir?: string|null,
+   *          forwardPort?: number|null, env?: object, exec?: Function, spawnPty?: Function,
+   *          now?: Function, setTimer?: Function, clearTimer?: Function}} opts
+   *   host — the ssh destination, `user@` included when there is one.
+   *   controlDir — where the ControlMaster socket lives (`%C`, a hash, so one file
+   *   per host+user+port). The caller creates it, 0700. null disables multiplexing,
+   *   which works but pays a full handshake per command.
+   *   forwardPort — the daemon's port, forwarded back to the remote's loopback on the
+   *   same number (`ssh -O forward -R`), so an agent on the build box reaches the
+   *   deepsteve API at the localhost URL every session is given.
+   *   exec/spawnPty/now/setTimer/clearTimer are injection points for tests, as in
+   *   engines/tmux.js; `env` is the daemon's environment.
+   */
+  constructor({ host, binary = 'ssh', tmuxBinary = 'tmux', controlDir = null, forwardPort = null,
+    env, exec, spawnPty, now, setTimer, clearTimer } = {}) {
+    super();
+    if (!host || String(host).startsWith('-')) throw new TypeError(`SshEngine: not an ssh host: "${host}"`);
+    this._host = String(host);
+    this._binary = binary || 'ssh';
+    this._tmuxBinary = tmuxBinary || 'tmux';
+    this._controlDir = controlDir;
+    this._forwardPort = forwardPort ? Number(forwardPort) : null;
+    this._env = env || process.env;
+    this._execFn = exec || execFileSync;
+    this._spawnPty = spawnPty || defaultSpawnPty;
+    this._now = now || Date.now;
+    this._setTimer = setTimer || setTimeout;
+    this._clearTimer = clearTimer || clearTimeout;
+    this._sessions = new Map(); // id → { attachPty, exitCallbacks, dataCallbacks, … }
+    this._tmuxVersion = null;
+    this._loginShell = null;
+    this._home = null;
+    this._connectError = null;
+    this._forwardError = null;
+  }
+
+  get host() {
+    return this._host;
+  }
+
+  /** `-o` options on every ssh we run: no prompts, quick to give up, one connection. */
+  _sshOpts() {
+    const opts = ['-o', 'BatchMode=yes', '-o', 'ConnectTimeout=5',
+      '-o', 'ServerAliveInterval=15', '-o', 'ServerAliveCountMax=3'];
+    if (this._controlDir) {
+      opts.push('-o', 'ControlMaster=auto', '-o', `ControlPath=${path.join(this._controlDir, '%C')}`,
+        '-o', `ControlPersist=${CONTROL_PERSIST}`);
+    }
+    return opts;
+  }
+
+  /**
+   * Run a POSIX sh script on the host. sshd hands the command line to the user's
+   * login shell, which may be fish or anything else; wrapping it in `/bin/sh -c`
+   * means the scripts in this file only have to be valid sh. (A fully quoted
+   * `'tmux' '-L' …` line, which is all the attach argv sends, parses the same in any
+   * of them.)
+   */
+  _remote(script, opts = {}) {
+    return this._execFn(this._binary, [...this._sshOpts(), '-T', '--', this._host, `/bin/sh -c ${posixQuote(script)}`],
+      { timeout: 15000, stdio: 'pipe', ...opts });
+  }
+
+  /** A quoted `tmux -L deepsteve …` command line, for _remote() or the attach argv. */
+  _tmuxLine(args) {
+    return [this._tmuxBinary, '-L', REMOTE_SOCKET_NAME, ...args].map(posixQuote).join(' ');
+  }
+
+  _tmux(args, opts) {
+    return this._remote(this._tmuxLine(args), opts);
+  }
+
+  /**
+   * Reach the host and learn what spawning needs from it: its tmux version (which
+   * flags are safe, as in engines/tmux.js), the user's login shell there, and their
+   * home (see writeFile). One round trip, and it is also what opens the ControlMaster.
+   *
+   * Success is remembered; failure is not, so a host that was down at boot is retried
+   * by the next spawn instead of staying "unavailable" until a restart.
+   */
+  connect() {
+    if (this._tmuxVersion) return true;
+    let out;
+    try {
+      out = String(this._remote(
+        `printf '%s\\n' "\${SHELL:-/bin/sh}" "$HOME"; ${posixQuote(this._tmuxBinary)} -V`,
+        { encoding: 'utf8' }));
+    } catch (e) {
+      // Exit 127 is the remote shell's "command not found" — ssh worked, tmux isn't there.
+      this._connectError = e && e.status === 127
+        ? `no "${this._tmuxBinary}" on ${this._host}'s PATH — install tmux there`
+        : sshErrorText(e);
+      return false;
+    }
+    const [shell, home, versionLine = ''] = out.trim().split('\n');
+    const m = /tmux (?:next-)?(\d+\.\d+[a-z]?)/.exec(versionLine);
+    if (!m) {
+      this._connectError = `could not read a tmux version from ${this._host} ("${versionLine.trim()}")`;
+      return false;
+    }
+    this._tmuxVersion = m[1];
+    this._loginShell = shell && shell.startsWith('/') ? shell : '/bin/sh';
+    this._home = home && home.startsWith('/') ? home : null;
+    this._connectError = null;
+    if (this._forwardPort && this._controlDir) {
+      // On the running master, so it lasts as long as the connection does. Best
+      // effort: the port may be taken on the remote (a second daemon forwarding the
+      // same number), and a session with no API is still a working terminal.
+      try {
+        this._execFn(this._binary, [...this._sshOpts(), '-O', 'forward',
+          '-R', `${this._forwardPort}:127.0.0.1:${this._forwardPort}`, '--', this._host],
+        { timeout: 15000, stdio: 'pipe' });
+        this._forwardError = null;
+      } catch (e) {
+        this._forwardError = sshErrorText(e);
+      }
+    }
+    return true;
+  }
+
+  _requireConnection() {
+    if (!this.connect()) throw new Error(`ssh ${this._host}: ${this._connectError}`);
+  }
+
+  get available() {
+    return this._tmuxVersion !== null;
+  }
+
+  get version() {
+    return this._tmuxVersion;
+  }
+
+  /** The remote user's $SHELL, known after connect(); what spawnSession runs there. */
+  get loginShell() {
+    return this._loginShell || '/bin/sh';
+  }
+
+  /** The remote user's $HOME, known after connect(); null if it didn't say. */
+  get home() {
+    return this._home;
+  }
+
+  /**
+   * Write a file on the host, 0600 in a 0700 directory. For the few things a session's
+   * argv names by path on THIS machine — the MCP config with its bearer token above all
+   * (see server.js's mirrorStateArgs) — which have to exist there too.
+   */
+  writeFile(remotePath, content) {
+    this._requireConnection();
+    this._remote(`umask 077 && mkdir -p ${posixQuote(path.posix.dirname(remotePath))} && cat > ${posixQuote(remotePath)}`,
+      { input: content });
+  }
+
+  /** mkdir -p on the host, 0700 for anything it creates. */
+  mkdirp(remotePath) {
+    this._requireConnection();
+    this._remote(`umask 077 && mkdir -p ${posixQuote(remotePath)}`);
+  }
+
+  get unavailableReason() {
+    if (this.available) return null;
+    return this._connectError || 'not connected yet';
+  }
+
+  /** Why the API port couldn't be forwarded to the host, or null. */
+  get forwardError() {
+    return this._forwardError;
+  }
+
+  _atLeast(major, minor) {
+    if (!this._tmuxVersion) return false;
+    const parts = this._tmuxVersion.split('.').map(n => parseInt(n, 10));
+    return parts[0] > major || (parts[0] === major && parts[1] >= minor);
+  }
+
+  _tmuxSessionName(id) {
+    return SESSION_PREFIX + id;
+  }
+
+  /**
+   * Create ds-{id} on the host and attach to it. `cmd`/`args` are the pane's argv,
+   * exactly as for engines/tmux.js (shellCommand === null → tmux's own login shell),
+   * and `cwd` is the REMOTE path — spawnSession strips the `host:` part.
+   *
+   * The environment is the one the tmux engine computes, for the same reason and by
+   * the same rule: only what differs from the daemon's own env, which is precisely
+   * what deepsteve added for this session (DEEPSTEVE_*, the locale pin). The daemon's
+   * PATH and HOME mean nothing on another machine and must not be sent there.
+   * `stripEnv` is ignored: it undoes what a LOCAL tmux server inherited from the
+   * daemon, and the remote server never saw the daemon's environment. SECRET_ENV_KEYS
+   * are the exception to `-e`: they reach the pane through a file, see above.
+   */
+  spawn(id, cmd, args, cwd, { cols = 120, rows = 40, env, shellCommand } = {}) {
+    if (typeof shellCommand === 'string') {
+      throw new TypeError('SshEngine.spawn: pass the pane argv as cmd+args, or shellCommand null for a bare login shell');
+    }
+    this._requireConnection();
+    const sessionName = this._tmuxSessionName(id);
+    let paneArgv = shellCommand === null ? [] : [cmd, ...args];
+
+    const tmuxArgs = ['new-session', '-d', '-s', sessionName, '-x', String(cols), '-y', String(rows)];
+    if (cwd) tmuxArgs.push('-c', cwd);
+
+    const extraEnv = {};
+    if (env) {
+      for (const [key, val] of Object.entries(env)) {
+        if (val !== undefined && val !== this._env[key]) extraEnv[key] = val;
+      }
+    }
+    const wantedTerminalEnv = { ...terminalEnv({ env: this._env }), ...pick(env, TERMINAL_ENV_KEYS) };
+    for (const [key, val] of Object.entries(wantedTerminalEnv)) {
+      if (extraEnv[key] === undefined) extraEnv[key] = val;
+    }
+
+    let secretScript = '';
+    let secretEnv = null;
+    const secrets = SECRET_ENV_KEYS.filter(key => extraEnv[key] !== undefined);
+    if (secrets.length) {
+      // $HOME, not this._home: it is expanded on the host, by the create script and
+      // again by the pane, so it is right even when connect() couldn't read it.
+      const name = `${sessionName}.sh`;
+      secretEnv = secrets.map(key => `export ${key}=${posixQuote(extraEnv[key])}\n`).join('');
+      for (const key of secrets) delete extraEnv[key];
+      secretScript = `(umask 077 && mkdir -p "$HOME/${SECRET_ENV_DIR}" && cat > "$HOME/${SECRET_ENV_DIR}/"${posixQuote(name)}) || exit 1; `;
+      paneArgv = ['/bin/sh', '-c', `f="$HOME/${SECRET_ENV_DIR}/$1"; shift; . "$f"; rm -f "$f"; exec "$@"`,
+        'sh', name, ...(paneArgv.length ? paneArgv : [this.loginShell, '-l'])];
+    }
+
+    if (this._atLeast(3, 2)) {
+      for (const [key, val] of Object.entries(extraEnv)) tmuxArgs.push('-e', `${key}=${val}`);
+      tmuxArgs.push(...paneArgv);
+    } else if (paneArgv.length && Object.keys(extraEnv).length > 0) {
+      tmuxArgs.push('env', ...Object.entries(extraEnv).map(([k, v]) => `${k}=${v}`), ...paneArgv);
+    } else {
+      tmuxArgs.push(...paneArgv);
+    }
+
+    // The #632 check, made where the directory is. Remote tmux relocates a pane whose
+    // -c is missing to $HOME just as local tmux does, and spawnSession's local stat
+    // can't see this machine — so refuse here, in the same round trip as the create,
+    // with the code and message shape paths.js gives a missing local cwd.
+    //
+    // A session that is already running is ADOPTED, not recreated. Locally that can't
+    // happen — startup reattaches every surviving tmux session before a browser can
+    // ask for one — but a host that was unreachable at boot skips that pass, and the
+    // browser's restore then lands here for a pane that never stopped. Attaching to it
+    // is what reattach would have done; a second new-session would just fail.
+    const guard = cwd ? `test -d ${posixQuote(cwd)} || exit ${CWD_MISSING}; ` : '';
+    const adopt = `${this._tmuxLine(['has-session', '-t', sessionName])} 2>/dev/null && exit ${ALREADY_RUNNING}; `;
+    try {
+      this._remote(guard + adopt + secretScript + this._tmuxLine(tmuxArgs), secretEnv ? { input: secretEnv } : {});
+    } catch (e) {
+      if (e && e.status === ALREADY_RUNNING) {
+        this.emit('adopt', id);
+        this._attach(id, cols, rows);
+        return;
+      }
+      if (e && e.status === CWD_MISSING) {
+        const where = formatRemotePath(this._host, cwd);
+        const err = new Error(`Working directory no longer exists: ${where}`);
+        err.code = 'cwd-missing';
+        err.cwd = where;
+        throw err;
+      }
+      throw new Error(`Failed to create tmux session ${sessionName} on ${this._host}: ${sshErrorText(e)}`);
+    }
+
+    this._attach(id, cols, rows);
+  }
+
+  /**
+   * engines/tmux.js's _applySessionOptions, in one round trip. Always applied: the
+   * remote server is ours by name (REMOTE_SOCKET_NAME), so the server-wide
+   * set-clipboard is as safe here as on our local socket.
+   */
+  _applySessionOptions(sessionName) {
+    const options = [['-t', sessionName, 'status', 'off']];
+    if (this._atLeast(2, 1)) options.push(['-t', sessionName, 'mouse', 'on']);
+    options.push(['-s', 'set-clipboard', 'on']);
+    const script = options.map(opt => `${this._tmuxLine(['set-option', ...opt])} 2>/dev/null`).join('; ');
+    try {
+      this._remote(`${script}; true`);
+    } catch {}
+  }
+
+  /**
+   * The attach client as `{ file, argv, opts }`: ssh with a forced tty, running
+   * engines/tmux.js's attach recipe (`-u`, `-T RGB,256`) on the far side.
+   */
+  attachSpawnArgs(sessionName, cols, rows) {
+    const tmuxArgs = ['-u'];
+    if (this._atLeast(3, 2)) tmuxArgs.push('-T', 'RGB,256');
+    tmuxArgs.push('attach-session', '-t', sessionName);
+    const argv = [...this._sshOpts(), '-tt', '--', this._host, this._tmuxLine(tmuxArgs)];
+
+    const env = { ...this._env, ...terminalEnv({ env: this._env }) };
+    for (const key of PTY_UNSAFE_ENV) delete env[key];
+
+    return {
+      file: this._binary,
+      argv,
+      opts: { name: 'xterm-256color', cols: cols || 120, rows: rows || 40, env },
+    };
+  }
+
+  /** Open (or re-open) the attach client. `carry` as in engines/tmux.js. */
+  _attach(id, cols, rows, carry) {
+    const sessionName = this._tmuxSessionName(id);
+    this._applySessionOptions(sessionName);
+    const { file, argv, opts } = this.attachSpawnArgs(sessionName, cols, rows);
+    const attachPty = this._spawnPty(file, argv, opts);
+
+    const entry = {
+      attachPty,
+      exitCallbacks: carry ? carry.exitCallbacks : [],
+      dataCallbacks: carry ? carry.dataCallbacks : [],
+      cols: cols || 120,
+      rows: rows || 40,
+      reattachAttempts: carry ? carry.reattachAttempts : 0,
+      reconnects: carry ? carry.reconnects : 0,
+      reconnectTimer: null,
+      attachedAt: this._now(),
+    };
+    this._sessions.set(id, entry);
+
+    attachPty.onData((data) => {
+      for (const cb of entry.dataCallbacks) {
+        try { cb(data); } catch {}
+      }
+    });
+
+    attachPty.onExit(({ exitCode, signal }) => {
+      if (entry.detaching || this._sessions.get(id) !== entry) return;
+      const strikes = (this._now() - entry.attachedAt) >= REATTACH_RESET_MS ? 0 : entry.reattachAttempts;
+      const state = this._sessionState(id);
+      if (state === 'alive' && strikes < MAX_SILENT_REATTACHES) {
+        const attempt = strikes + 1;
+        this._sessions.delete(id);
+        try {
+          this._attach(id, entry.cols, entry.rows, { ...entry, reattachAttempts: attempt });
+          this.emit('reattach', id, attempt);
+          return;
+        } catch (e) {
+          this.emit('reattach-failed', id, attempt, e);
+        }
+      } else if (state === 'unreachable' && this._scheduleReconnect(id, entry)) {
+        return;
+      }
+      this._reportExit(id, entry, exitCode, signal);
+    });
+  }
+
+  /**
+   * Try the session again after the next RECONNECT_DELAYS_MS step. The entry stays
+   * in the map meanwhile — has() keeps answering true and write()/resize() land on a
+   * dead pty and are dropped — because the session has not ended, we just can't see
+   * it. Returns false once the schedule is used up.
+   */
+  _scheduleReconnect(id, entry) {
+    if (entry.reconnects >= RECONNECT_DELAYS_MS.length) return false;
+    const delay = RECONNECT_DELAYS_MS[entry.reconnects];
+    entry.reconnects++;
+    this.emit('reconnecting', id, entry.reconnects, delay);
+    entry.reconnectTimer = this._setTimer(() => {
+      entry.reconnectTimer = null;
+      if (entry.detaching || this._sessions.get(id) !== entry) return;
+      const state = this._sessionState(id);
+      if (state === 'alive') {
+        this._sessions.delete(id);
+        try {
+          this._attach(id, entry.cols, entry.rows, { ...entry, reattachAttempts: 0, reconnects: 0 });
+          this.emit('reattach', id, entry.reconnects);
+          return;
+        } catch (e) {
+          this._sessions.set(id, entry);
+          this.emit('reattach-failed', id, entry.reconnects, e);
+        }
+      }
+      if (state !== 'gone' && this._scheduleReconnect(id, entry)) return;
+      this._reportExit(id, entry, null, null);
+    }, delay);
+    return true;
+  }
+
+  _reportExit(id, entry, exitCode, signal) {
+    if (this._sessions.get(id) === entry) this._sessions.delete(id);
+    for (const cb of entry.exitCallbacks) {
+      try { cb({ exitCode, signal }); } catch {}
+    }
+    this.emit('exit', id, exitCode, signal);
+  }
+
+  /**
+   * 'alive', 'gone', or 'unreachable' — the three answers has-session can give over
+   * ssh. The third is why this isn't a boolean: ssh's own failure (255, or our
+   * timeout killing it) says nothing about the pane.
+   */
+  _sessionState(id) {
+    try {
+      this._tmux(['has-session', '-t', this._tmuxSessionName(id)]);
+      return 'alive';
+    } catch (e) {
+      return e && e.status != null && e.status !== SSH_FAILED ? 'gone' : 'unreachable';
+    }
+  }
+
+  _forget(id) {
+    const entry = this._sessions.get(id);
+    if (!entry) return null;
+    entry.detaching = true;
+    if (entry.reconnectTimer) this._clearTimer(entry.reconnectTimer);
+    this._sessions.delete(id);
+    try { entry.attachPty.kill(); } catch {}
+    return entry;
+  }
+
+  /** Release our attach client and leave the remote session running (#620). */
+  detach(id) {
+    return !!this._forget(id);
+  }
+
+  get canDetach() {
+    return true;
+  }
+
+  /** Reattach to an existing remote session (e.g. after daemon restart). */
+  reattach(id, cols, rows) {
+    if (!this.connect()) return false;
+    if (this._sessionState(id) !== 'alive') return false;
+    this._attach(id, cols, rows);
+    return true;
+  }
+
+  write(id, data) {
+    const entry = this._sessions.get(id);
+    if (!entry) return;
+    // CSI u, as in engines/tmux.js: tmux's input parser drops it, so send the bytes.
+    if (data.length < 20 && /^\x1b\[\d+;\d+u$/.test(data)) {
+      try {
+        const hex = [...Buffer.from(data)].map(b => b.toString(16).padStart(2, '0'));
+        this._tmux(['send-keys', '-t', this._tmuxSessionName(id), '-H', ...hex]);
+        return;
+      } catch {}
+    }
+    try { entry.attachPty.write(data); } catch {}
+  }
+
+  resize(id, cols, rows) {
+    const entry = this._sessions.get(id);
+    if (!entry) return;
+    entry.cols = cols;
+    entry.rows = rows;
+    try { entry.attachPty.resize(cols, rows); } catch {}
+  }
+
+  /** Signal the pane's process group on the host; kill the session if we can't find it. */
+  kill(id, signal) {
+    const name = String(signal || 'SIGTERM').replace(/^SIG/, '');
+    const sig = /^[A-Z0-9]+$/.test(name) ? name : 'TERM';
+    const pid = this._panePid(id);
+    if (pid) {
+      try {
+        this._remote(`kill -s ${sig} -- -${pid}`);
+        return;
+      } catch {}
+    }
+    try { this._tmux(['kill-session', '-t', this._tmuxSessionName(id)]); } catch {}
+  }
+
+  _panePid(id) {
+    try {
+      const out = String(this._tmux(['display-message', '-t', this._tmuxSessionName(id), '-p', '#{pane_pid}'],
+        { encoding: 'utf8' })).trim();
+      return parseInt(out, 10) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Always null. Callers use the pid with process.kill() and ps(1) on THIS machine
+   * (killShell's escalation, the foreground-command probe), where a pid from the
+   * build box names an unrelated process — or one of ours. kill() reaches the real
+   * one; null tells those callers there is nothing local to signal.
+   */
+  getPid() {
+    return null;
+  }
+
+  destroy(id) {
+    this._forget(id);
+    try { this._tmux(['kill-session', '-t', this._tmuxSessionName(id)]); } catch {}
+  }
+
+  onExit(id, callback) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.exitCallbacks.push(callback);
+  }
+
+  onData(id, callback) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.dataCallbacks.push(callback);
+  }
+
+  removeDataListener(id, handler) {
+    const entry = this._sessions.get(id);
+    if (entry) entry.dataCallbacks = entry.dataCallbacks.filter(cb => cb !== handler);
+  }
+
+  has(id) {
+    return this._sessions.has(id);
+  }
+
+  /** Our ds-* sessions on the host, without the prefix; [] when it can't be reached. */
+  listSessions() {
+    if (!this.connect()) return [];
+    try {
+      const out = String(this._tmux(['list-sessions', '-F', '#{session_name}'], { encoding: 'utf8' })).trim();
+      if (!out) return [];
+      return out.split('\n')
+        .filter(name => name.startsWith(SESSION_PREFIX))
+        .map(name => name.slice(SESSION_PREFIX.length));
+    } catch {
+      return []; // "no server running" — nothing of ours there yet
+    }
+  }
+
+  canReattach(id) {
+    return this._sessionState(id) === 'alive';
+  }
+}
+
+/** The subset of `src` named by `keys` that is actually defined. */
+function pick(src, keys) {
+  const out = {};
+  if (!src) return out;
+  for (const k of keys) if (src[k] !== undefined) out[k] = src[k];
+  return out;
+}
+
+SshEngine.REMOTE_SOCKET_NAME = REMOTE_SOCKET_NAME;
+SshEngine.RECONNECT_DELAYS_MS = RECONNECT_DELAYS_MS;
+
+module.exports = SshEngine;
@@ -0,0 +1,139 @@
+/**
+ * Runaway-session guardrails: per-session and per-context limits, and the rule for
+ * when one is breached. Enforced by server.js from the reclassifyWaiting sweep.
+ *
+ * Scheduled runs have maxRuntimeMinutes (#596), but an interactive tab, an issue
+ * session, or an autopilot issue session left running overnight had nothing — a
+ * Claude turn stuck re-running a failing test, or a hung tool call under the
+ * spinner, just keeps going. Three limits, all optional:
+ *
+ *   maxWallMinutes  — minutes since the session was created
+ *   maxTokens       — tokens the session has used, from its transcript (input +
+ *                     output + cache writes; cache READS are left out, because a
+ *                     long conversation re-reads its whole context every request
+ *                     and would hit any sensible limit on that alone)
+ *   maxStuckMinutes — consecutive minutes BUSY with no change on screen other
+ *                     than the spinner line and digits (its timer and counters)
+ *
+ * A limit is only checked while the session is busy: interrupting an agent that is
+ * already at its prompt does nothing, and "it went over while idle" is not a
+ * runaway. Each rule trips once — the user may well tell it to carry on, and the
+ * next sweep must not interrupt them again — except maxStuckMinutes, which re-arms
+ * when the turn ends, since every turn can get stuck on its own.
+ *
+ * A session's own policy overrides its context's field by field; 0 in a session
+ * policy switches that limit off for the session even when the context sets one.
+ *
+ * Root-level *.js ships with no packaging change (same as screen-classifier.js).
+ */
+
+const LIMITS = ['maxWallMinutes', 'maxTokens', 'maxStuckMinutes'];
+const ACTIONS = ['interrupt', 'stop'];
+const DEFAULT_ACTION = 'interrupt';
+
+// What each action types into the session. Esc interrupts the current turn in
+// both Claude Code and Codex and leaves the conversation where it was; a second
+// Ctrl+C on an already-interrupted Claude Code exits it.
+const ACTION_KEYS = {
+  interrupt: ['\x1b'],
+  stop: ['\x03', '\x03'],
+};
+
+const RULE_LABELS = {
+  maxWallMinutes: 'wall-time',
+  maxTokens: 'token',
+  maxStuckMinutes: 'stuck',
+};
+
+/**
+ * A stored policy from untrusted input: non-negative integer limits and a known
+ * action; anything else is dropped. null when nothing is left.
+ */
+function sanitizeGuardrails(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const out = {};
+  for (const key of LIMITS) {
+    const v = raw[key];
+    if (v === undefined || v === null || v === '') continue;
+    const n = Math.round(Number(v));
+    if (Number.isFinite(n) && n >= 0) out[key] = n;
+  }
+  if (ACTIONS.includes(raw.action)) out.action = raw.action;
+  return Object.keys(out).length ? out : null;
+}
+
+/** The limits that apply to a session, or null when none is set above 0. */
+function effectiveGuardrails(sessionPolicy, contextPolicy) {
+  const s = sessionPolicy || {};
+  const c = contextPolicy || {};
+  const out = { action: s.action || c.action || DEFAULT_ACTION };
+  let any = false;
+  for (const key of LIMITS) {
+    const v = s[key] !== undefined ? s[key] : c[key];
+    if (v > 0) { out[key] = v; any = true; }
+  }
+  return any ? out : null;
+}
+
+/**
+ * The first limit `stats` ({ wallMs, tokens, stuckMs }) breaches that has not
+ * already tripped, as { rule, limit, value }; null when none does.
+ */
+function checkGuardrails(policy, stats, tripped = {}) {
+  if (!policy) return null;
+  const checks = [
+    ['maxWallMinutes', stats.wallMs / 60000],
+    ['maxTokens', stats.tokens],
+    ['maxStuckMinutes', stats.stuckMs / 60000],
+  ];
+  for (const [rule, value] of checks) {
+    if (!(policy[rule] > 0) || tripped[rule]) continue;
+    if (value >= policy[rule]) return { rule, limit: policy[rule], value };
+  }
+  return null;
+}
+
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${Math.round(n / 1e3)}k`;
+  return String(Math.round(n));
+}
+
+/** One line for the tab notice and the log. */
+function describeBreach(breach, action = DEFAULT_ACTION) {
+  const verb = action === 'stop' ? 'Stopped' : 'Interrupted';
+  switch (breach.rule) {
+    case 'maxWallMinutes':
+      return `${verb}: session has run ${Math.floor(breach.value)} min (limit ${breach.limit} min)`;
+    case 'maxTokens':
+      return `${verb}: session has used ${formatTokens(breach.value)} tokens (limit ${formatTokens(breach.limit)})`;
+    case 'maxStuckMinutes':
+      return `${verb}: busy for ${Math.floor(breach.value)} min with no new output (limit ${breach.limit} min)`;
+    default:
+      return `${verb} by guardrail`;
+  }
+}
+
+/**
+ * What "the screen changed" compares: the rendered lines minus any line carrying
+ * the spinner, with digits masked, so an elapsed-time counter or a token counter
+ * ticking up is not progress but a new line of tool output is.
+ */
+function screenFingerprint(lines, spinner) {
+  return (lines || [])
+    .filter(line => !(spinner && spinner.test(line)))
+    .map(line => line.replace(/\d+/g, '#'))
+    .join('\n');
+}
+
+module.exports = {
+  LIMITS,
+  ACTIONS,
+  ACTION_KEYS,
+  RULE_LABELS,
+  sanitizeGuardrails,
+  effectiveGuardrails,
+  checkGuardrails,
+  describeBreach,
+  screenFingerprint,
+};
@@ -0,0 +1,612 @@
+/**
+ * The mod marketplace: the catalog, the checks a package passes before it is
+ * installed, and the bookkeeping that makes updates reversible.
+ *
+ * A catalog is JSON: { mods: [{ id, name, description, …, versions: [release] }] },
+ * where a release is { version, downloadUrl, sha256, signature, minDeepsteveVersion,
+ * publishedAt, notes }. An entry without `versions` is the original one-release shape
+ * ({ id, version, downloadUrl, … }) and is read as a list of one, so the public catalog
+ * and a team's hand-written one keep working. A relative downloadUrl is resolved
+ * against the catalog's own location — that is what makes a mirror directory portable.
+ *
+ * The catalog can come from a URL, a file:// URL or a local directory (settings'
+ * modCatalogSource). writeMirror() copies a catalog and its packages into a directory
+ * for a team without internet access: they point modCatalogSource at it (a shared
+ * drive, a checkout) and install from it like from the public one. A remote catalog
+ * may only name http(s) packages, never a local file.
+ *
+ * Checks: a release with a sha256 must match it byte for byte. A signature is Ed25519
+ * over `deepsteve-mod:<id>@<version>:<sha256>` — so it vouches for the package, its
+ * name and its version together, and a signed v1 can't be served as v2 — and counts
+ * only if one of the keys in settings' modTrustedKeys made it. Unsigned and
+ * unknown-signer packages install unless modRequireSignatures is on. Fingerprints are
+ * backup.js's, so a publisher key reads the same everywhere deepsteve shows one.
+ *
+ * Installs (createModInstaller): a package is extracted to a staging directory and
+ * checked there, so a bad one never touches the installed mod. The version it
+ * replaces moves to ~/.deepsteve/mod-history/<id>/<version>/ (the last HISTORY_KEEP
+ * are kept) and ~/.deepsteve/mod-installs.json records what is installed, how it was
+ * verified, whether it is pinned and what came before — which is all rollback needs,
+ * with or without the catalog being reachable.
+ *
+ * Errors a user or a publisher can cause are thrown with a `code`, for the routes and
+ * the CLI to report.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { fingerprintOf } = require('./backup');
+
+const DEFAULT_CATALOG_URL = 'https://raw.githubusercontent.com/deepsteve/deepsteve-mods/main/catalog.json';
+const CATALOG_FILE = 'catalog.json';
+const REGISTRY_FILE = 'mod-installs.json';
+const HISTORY_DIRNAME = 'mod-history';
+const HISTORY_KEEP = 3;
+const MAX_PACKAGE_BYTES = 50 * 1024 * 1024;
+const MAX_TRUSTED_KEYS = 32;
+
+const MOD_ID_RE = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+// Versions name directories (mod-history/<id>/<version>, a mirror's packages/), so
+// they are held to what is safe in a path as well as to semver's shape.
+const VERSION_RE = /^\d+(\.\d+){0,2}([-+][0-9A-Za-z.-]+)?$/;
+const SHA256_RE = /^[0-9a-f]{64}$/;
+// Fields that describe one release; everything else on a catalog entry describes the mod.
+const RELEASE_FIELDS = ['version', 'downloadUrl', 'sha256', 'signature', 'minDeepsteveVersion', 'publishedAt', 'notes'];
+// The DER prefix that makes a raw 32-byte Ed25519 key an SPKI one.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function catalogError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function validModId(id) {
+  return typeof id === 'string' && id.length <= 128 && MOD_ID_RE.test(id);
+}
+
+function validVersion(version) {
+  return typeof version === 'string' && version.length <= 64 && VERSION_RE.test(version);
+}
+
+// Compare two semver strings (major.minor.patch). Returns -1, 0, or 1.
+function compareSemver(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) < (pb[i] || 0)) return -1;
+    if ((pa[i] || 0) > (pb[i] || 0)) return 1;
+  }
+  return 0;
+}
+
+function sha256Of(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// --- catalog ---
+
+/**
+ * Where a modCatalogSource points: { url } for http(s), { file } for a file:// URL, a
+ * path or a directory (which means the catalog.json in it). '' is the public catalog.
+ */
+function catalogLocation(source) {
+  const s = String(source || '').trim();
+  if (!s) return { url: DEFAULT_CATALOG_URL };
+  if (/^https?:\/\//i.test(s)) return { url: s };
+  let file = s.startsWith('file:') ? fileURLToPath(s) : s;
+  if (file === '~' || file.startsWith('~/')) file = path.join(os.homedir(), file.slice(1));
+  file = path.resolve(file);
+  try {
+    if (fs.statSync(file).isDirectory()) file = path.join(file, CATALOG_FILE);
+  } catch { /* missing: reported when it is read */ }
+  return { file };
+}
+
+/** modCatalogSource as stored: '' for the public catalog, a URL, or an absolute / ~ path. null if unusable. */
+function sanitizeCatalogSource(raw) {
+  if (raw === null || raw === undefined) return '';
+  if (typeof raw !== 'string') return null;
+  const s = raw.trim();
+  if (!s || s === DEFAULT_CATALOG_URL) return '';
+  if (/^https?:\/\//i.test(s) || s.startsWith('file:')) {
+    try { return new URL(s).href; } catch { return null; }
+  }
+  return path.isAbsolute(s) || s === '~' || s.startsWith('~/') ? s : null;
+}
+
+// Every field comes from the release itself, minDeepsteveVersion included: on an entry
+// with `versions`, the top-level fields are only the newest release's, repeated for
+// older readers, and don't apply to the others.
+function normalizeRelease(raw, base) {
+  if (!raw || typeof raw !== 'object' || !validVersion(raw.version) || typeof raw.downloadUrl !== 'string') return null;
+  let downloadUrl;
+  try { downloadUrl = new URL(raw.downloadUrl, base); } catch { return null; }
+  // A catalog on disk may name packages on disk or on the web; one on the web only
+  // the web — it must not be able to read this machine's files into an install.
+  const allowed = base.startsWith('file:') ? ['file:', 'http:', 'https:'] : ['http:', 'https:'];
+  if (!allowed.includes(downloadUrl.protocol)) return null;
+  const sha256 = raw.sha256 ? String(raw.sha256).toLowerCase() : null;
+  if (sha256 && !SHA256_RE.test(sha256)) return null; // a malformed checksum could never be met
+  return {
+    version: raw.version,
+    downloadUrl: downloadUrl.href,
+    sha256,
+    signature: typeof raw.signature === 'string' && raw.signature ? raw.signature : null,
+    minDeepsteveVersion: typeof raw.minDeepsteveVersion === 'string' && raw.minDeepsteveVersion ? raw.minDeepsteveVersion : null,
+    publishedAt: raw.publishedAt || null,
+    notes: typeof raw.notes === 'string' ? raw.notes : null,
+  };
+}
+
+/**
+ * A parsed catalog in one shape: every entry has `versions`, newest first, and — so a
+ * mirror still reads in older deepsteve versions — the newest release's fields at the
+ * top level too. `base` is the catalog's URL, for relative downloadUrls. Entries with
+ * a bad id or no usable release are dropped.
+ */
+function normalizeCatalog(raw, base) {
+  const mods = [];
+  for (const entry of (raw && Array.isArray(raw.mods) ? raw.mods : [])) {
+    if (!entry || !validModId(entry.id) || mods.some(m => m.id === entry.id)) continue;
+    const listed = Array.isArray(entry.versions) ? entry.versions : [entry];
+    const versions = [];
+    for (const r of listed) {
+      const release = normalizeRelease(r, base);
+      if (release && !versions.some(v => v.version === release.version)) versions.push(release);
+    }
+    if (versions.length === 0) continue;
+    versions.sort((a, b) => compareSemver(b.version, a.version));
+    const info = {};
+    for (const [k, v] of Object.entries(entry)) if (k !== 'versions' && !RELEASE_FIELDS.includes(k)) info[k] = v;
+    mods.push({ ...info, ...versions[0], versions });
+  }
+  return { mods };
+}
+
+/** Read a catalog from a modCatalogSource: { source, mods } with mods normalized. */
+async function loadCatalog(source, { fetchImpl = fetch, timeoutMs = 10000 } = {}) {
+  const where = catalogLocation(source);
+  if (where.file) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(where.file, 'utf8'));
+    } catch (e) {
+      throw catalogError('CATALOG', `Cannot read the mod catalog at ${where.file}: ${e.message}`);
+    }
+    return { source: where.file, ...normalizeCatalog(raw, pathToFileURL(where.file).href) };
+  }
+  let raw;
+  try {
+    const resp = await fetchImpl(where.url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    raw = await resp.json();
+  } catch (e) {
+    throw catalogError('CATALOG', `Cannot fetch the mod catalog from ${where.url}: ${e.message}`);
+  }
+  return { source: where.url, ...normalizeCatalog(raw, where.url) };
+}
+
+function isCompatible(release, deepsteveVersion) {
+  return !release.minDeepsteveVersion || compareSemver(deepsteveVersion, release.minDeepsteveVersion) >= 0;
+}
+
+/** The newest release of a catalog entry this deepsteve can run, or null. */
+function latestCompatible(entry, deepsteveVersion) {
+  return entry.versions.find(r => isCompatible(r, deepsteveVersion)) || null;
+}
+
+/**
+ * Catalog entries as the Mods modal shows them. `installed` maps a mod id to
+ * createModInstaller's describe() for it. The top-level release is the newest one
+ * this deepsteve can run (the newest overall when none can, so the card can say what
+ * it needs); `newerIncompatible` names a newer release that needs a newer deepsteve.
+ * A pinned mod never reports an update.
+ */
+function annotateCatalog(catalog, { installed = new Map(), deepsteveVersion }) {
+  return catalog.mods.map((entry) => {
+    const latest = latestCompatible(entry, deepsteveVersion);
+    const shown = latest || entry.versions[0];
+    const mine = installed.get(entry.id) || null;
+    const installedVersion = mine ? mine.version : null;
+    return {
+      ...entry,
+      ...shown,
+      versions: entry.versions.map(r => ({ ...r, compatible: isCompatible(r, deepsteveVersion) })),
+      compatible: !!latest,
+      newerIncompatible: latest && latest !== entry.versions[0] ? entry.versions[0].version : null,
+      installed: !!mine,
+      installedVersion,
+      pinned: !!(mine && mine.pinned),
+      updateAvailable: !!(mine && latest && !mine.pinned && compareSemver(latest.version, installedVersion) > 0),
+    };
+  });
+}
+
+/** A package's bytes, from an http(s) or file:// URL. */
+async function readPackage(url, { fetchImpl = fetch, timeoutMs = 30000 } = {}) {
+  const u = new URL(url);
+  if (u.protocol === 'file:') {
+    const file = fileURLToPath(u);
+    let size;
+    try { size = fs.statSync(file).size; } catch (e) {
+      throw catalogError('DOWNLOAD', `Cannot read ${file}: ${e.message}`);
+    }
+    if (size > MAX_PACKAGE_BYTES) throw catalogError('DOWNLOAD', `${file} is larger than ${MAX_PACKAGE_BYTES / 1048576} MB`);
+    return fs.readFileSync(file);
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw catalogError('DOWNLOAD', `Unsupported package URL: ${url}`);
+  const resp = await fetchImpl(u.href, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!resp.ok) throw catalogError('DOWNLOAD', `Download failed: HTTP ${resp.status}`);
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  if (buffer.length > MAX_PACKAGE_BYTES) throw catalogError('DOWNLOAD', `The package is larger than ${MAX_PACKAGE_BYTES / 1048576} MB`);
+  return buffer;
+}
+
+// --- signatures ---
+
+/** What a release signature covers. */
+function signedMessage(id, version, sha256) {
+  return Buffer.from(`deepsteve-mod:${id}@${version}:${sha256}`);
+}
+
+/** An Ed25519 public key from PEM, base64 SPKI DER or base64 raw 32 bytes: { key, der }. */
+function parsePublicKey(text) {
+  const s = String(text || '').trim();
+  let key;
+  if (s.includes('-----BEGIN')) {
+    key = crypto.createPublicKey(s);
+  } else {
+    const bytes = Buffer.from(s, 'base64');
+    const der = bytes.length === 32 ? Buffer.concat([ED25519_SPKI_PREFIX, bytes]) : bytes;
+    key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+  }
+  if (key.asymmetricKeyType !== 'ed25519') throw catalogError('KEY', `Not an Ed25519 key (${key.asymmetricKeyType})`);
+  return { key, der: key.export({ type: 'spki', format: 'der' }) };
+}
+
+/**
+ * modTrustedKeys as stored: [{ name, publicKey (base64 SPKI DER), fingerprint }]. Takes
+ * that shape, or text with one `name key` (or bare `key`) per line. Keys that don't
+ * parse are dropped; null when the value isn't a list at all.
+ */
+function sanitizeTrustedKeys(raw) {
+  const list = typeof raw === 'string' ? raw.split('\n') : Array.isArray(raw) ? raw : null;
+  if (!list) return null;
+  const out = [];
+  for (const item of list) {
+    let name = '';
+    let text = '';
+    if (item && typeof item === 'object') {
+      name = String(item.name || '').trim();
+      text = String(item.publicKey || '');
+    } else {
+      const parts = String(item || '').trim().split(/\s+/).filter(Boolean);
+      if (parts.length === 0) continue;
+      text = parts.pop();
+      name = parts.join(' ');
+    }
+    let parsed;
+    try { parsed = parsePublicKey(text); } catch { continue; }
+    const fingerprint = fingerprintOf(parsed.der);
+    if (out.some(k => k.fingerprint === fingerprint)) continue;
+    out.push({ name: name || fingerprint, publicKey: parsed.der.toString('base64'), fingerprint });
+  }
+  return out.slice(0, MAX_TRUSTED_KEYS);
+}
+
+/** Sign a package for a catalog: { sha256, signature } for its release entry. */
+function signPackage(buffer, { id, version, privateKey }) {
+  const sha256 = sha256Of(buffer);
+  const key = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+  return { sha256, signature: crypto.sign(null, signedMessage(id, version, sha256), key).toString('base64') };
+}
+
+/**
+ * Check a downloaded package against its release. Returns { sha256, checksum, signature,
+ * signer } — checksum 'verified' or 'none'; signature 'verified' (signer is then
+ * { name, fingerprint }), 'untrusted' (signed, but by no trusted key) or 'none'.
+ * Throws CHECKSUM on a mismatch, and UNSIGNED / UNTRUSTED when requireSignature is set
+ * and no trusted key signed it.
+ */
+function verifyPackage(buffer, { id, release, trustedKeys = [], requireSignature = false }) {
+  const sha256 = sha256Of(buffer);
+  if (release.sha256 && release.sha256 !== sha256) {
+    throw catalogError('CHECKSUM', `${id} v${release.version} failed its checksum: the download's sha256 is ${sha256}, the catalog lists ${release.sha256}`);
+  }
+  let signer = null;
+  if (release.signature && release.version) {
+    const message = signedMessage(id, release.version, sha256);
+    const signature = Buffer.from(release.signature, 'base64');
+    for (const trusted of trustedKeys) {
+      try {
+        if (crypto.verify(null, message, parsePublicKey(trusted.publicKey).key, signature)) {
+          signer = { name: trusted.name, fingerprint: trusted.fingerprint };
+          break;
+        }
+      } catch { /* a bad key or signature is just not a match */ }
+    }
+  }
+  if (requireSignature && !signer) {
+    throw release.signature
+      ? catalogError('UNTRUSTED', `${id} v${release.version} is not signed by a trusted publisher key`)
+      : catalogError('UNSIGNED', `${id} v${release.version} is not signed, and this install requires signed mods`);
+  }
+  return {
+    sha256,
+    checksum: release.sha256 ? 'verified' : 'none',
+    signature: signer ? 'verified' : release.signature ? 'untrusted' : 'none',
+    signer,
+  };
+}
+
+// --- installs ---
+
+// rename, or copy and delete when the two directories are on different filesystems
+// (MODS_DIR is the checkout in development, not ~/.deepsteve).
+function moveDir(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.cpSync(from, to, { recursive: true, verbatimSymlinks: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
+
+function readManifest(dir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'mod.json'), 'utf8'));
+    return manifest && typeof manifest === 'object' ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Installs, updates, pins and rollbacks of catalog mods under `modsDir`, with their
+ * history and records in `stateDir`. Everything is synchronous, so no two operations
+ * on the same mod interleave.
+ */
+function createModInstaller({ modsDir, stateDir, keep = HISTORY_KEEP, log = () => {} }) {
+  const registryFile = path.join(stateDir, REGISTRY_FILE);
+  const historyRoot = path.join(stateDir, HISTORY_DIRNAME);
+
+  let registry = {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) registry = parsed;
+  } catch { /* none yet */ }
+
+  function save() {
+    fs.mkdirSync(stateDir, { recursive: true });
+    const tmp = `${registryFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(registry, null, 2) + '\n');
+    fs.renameSync(tmp, registryFile);
+  }
+
+  const modDir = id => path.join(modsDir, id);
+  const historyDir = (id, version) => path.join(historyRoot, id, version);
+  // Dot-named, so neither GET /api/mods nor the mod loader takes it for a mod.
+  const stagingDir = id => path.join(modsDir, `.${id}.staging`);
+
+  function assertId(id) {
+    if (!validModId(id)) throw catalogError('INVALID', `Invalid mod ID "${id}"`);
+  }
+
+  // Move the installed version into history and return the history list, pruned.
+  function retire(id) {
+    const dir = modDir(id);
+    const manifest = readManifest(dir);
+    const current = registry[id] || {};
+    const history = (current.history || []).filter(h => fs.existsSync(historyDir(id, h.version)));
+    if (!manifest) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      return history;
+    }
+    // A mod installed before this bookkeeping, or by hand, may carry any version string.
+    const version = validVersion(manifest.version) ? manifest.version : String(manifest.version).replace(/[^0-9A-Za-z.+-]/g, '_') || 'unknown';
+    const dest = historyDir(id, version);
+    fs.rmSync(dest, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    moveDir(dir, dest);
+    const same = current.version === version;
+    const entry = {
+      version,
+      sha256: same ? current.sha256 || null : null,
+      signer: same ? current.signer || null : null,
+      installedAt: same ? current.installedAt || null : null,
+      replacedAt: Date.now(),
+    };
+    const next = [entry, ...history.filter(h => h.version !== version)];
+    for (const old of next.slice(keep)) fs.rmSync(historyDir(id, old.version), { recursive: true, force: true });
+    return next.slice(0, keep);
+  }
+
+  /**
+   * Install a package's bytes as mod `id`, replacing (and keeping) the installed
+   * version. `release` is the catalog release it came from, `verification` what
+   * verifyPackage() found, `pin` whether to pin the result.
+   */
+  function install(id, buffer, { release = {}, verification = {}, source = null, pin = false } = {}) {
+    assertId(id);
+    const staging = stagingDir(id);
+    fs.rmSync(staging, { recursive: true, force: true });
+    fs.mkdirSync(staging, { recursive: true });
+    let history;
+    let manifest;
+    try {
+      try {
+        execFileSync('tar', ['xzf', '-', '-C', staging, '--strip-components=1'], { input: buffer, timeout: 10000, stdio: ['pipe', 'ignore', 'pipe'] });
+      } catch (e) {
+        throw catalogError('INVALID', `Invalid mod package: ${String(e.stderr || e.message).trim().split('\n')[0]}`);
+      }
+      manifest = readManifest(staging);
+      if (!manifest) throw catalogError('INVALID', 'Invalid mod: no mod.json found');
+      if (!validVersion(manifest.version)) throw catalogError('INVALID', `Invalid mod: mod.json has no usable version (${manifest.version})`);
+      if (release.version && manifest.version !== release.version) {
+        throw catalogError('VERSION', `The package is ${id} v${manifest.version}, but the catalog lists it as v${release.version}`);
+      }
+      fs.writeFileSync(path.join(staging, '.source'), 'official');
+      history = fs.existsSync(modDir(id)) ? retire(id) : (registry[id]?.history || []);
+      moveDir(staging, modDir(id));
+    } catch (e) {
+      fs.rmSync(staging, { recursive: true, force: true });
+      throw e;
+    }
+    registry[id] = {
+      version: manifest.version,
+      sha256: verification.sha256 || sha256Of(buffer),
+      checksum: verification.checksum || 'none',
+      signature: verification.signature || 'none',
+      signer: verification.signer || null,
+      source,
+      installedAt: Date.now(),
+      pinned: !!pin,
+      history,
+    };
+    save();
+    log(`[mods] installed ${id} v${manifest.version}${history.length ? ` (kept v${history[0].version} for rollback)` : ''}`);
+    return describe(id);
+  }
+
+  /**
+   * Put back an earlier version (`version`, or the one installed before this one). The
+   * version rolled back from becomes history in its turn, and the mod is pinned, so
+   * the update it was rolled back from isn't offered straight back.
+   */
+  function rollback(id, version = null) {
+    assertId(id);
+    const current = registry[id] || {};
+    const history = (current.history || []).filter(h => fs.existsSync(historyDir(id, h.version)));
+    const target = version ? history.find(h => h.version === version) : history[0];
+    if (!target) {
+      throw catalogError('NO_HISTORY', version ? `${id} v${version} is not in this install's history` : `There is no earlier version of ${id} to roll back to`);
+    }
+    const staging = stagingDir(id);
+    fs.rmSync(staging, { recursive: true, force: true });
+    moveDir(historyDir(id, target.version), staging);
+    registry[id] = { ...current, history: history.filter(h => h !== target) };
+    const next = retire(id);
+    moveDir(staging, modDir(id));
+    const { replacedAt, ...restored } = target;
+    registry[id] = {
+      ...restored,
+      checksum: target.sha256 ? 'verified' : 'none',
+      signature: target.signer ? 'verified' : 'none',
+      source: 'rollback',
+      restoredAt: Date.now(),
+      pinned: true,
+      history: next,
+    };
+    save();
+    log(`[mods] rolled ${id} back to v${target.version}`);
+    return describe(id);
+  }
+
+  function setPinned(id, pinned) {
+    assertId(id);
+    const manifest = readManifest(modDir(id));
+    if (!manifest) throw catalogError('NOT_FOUND', `Mod "${id}" is not installed`);
+    registry[id] = { ...(registry[id] || { version: manifest.version, history: [] }), pinned: !!pinned };
+    save();
+    return describe(id);
+  }
+
+  /** Drop a mod's record and history — after it is uninstalled. */
+  function forget(id) {
+    assertId(id);
+    delete registry[id];
+    save();
+    fs.rmSync(path.join(historyRoot, id), { recursive: true, force: true });
+  }
+
+  /**
+   * What is installed as `id`, or null: { version, pinned, sha256, checksum, signature,
+   * signer, source, installedAt, restoredAt, history }. The version is read from the
+   * mod's own mod.json; when that no longer matches the record (edited in place), the
+   * record's checksum and signer no longer describe it and are left out.
+   */
+  function describe(id) {
+    const manifest = readManifest(modDir(id));
+    if (!manifest) return null;
+    const record = registry[id] || {};
+    const history = (record.history || [])
+      .filter(h => fs.existsSync(historyDir(id, h.version)))
+      .map(({ version, installedAt, replacedAt, signer }) => ({ version, installedAt, replacedAt, signer: signer || null }));
+    const known = record.version === manifest.version;
+    return {
+      version: manifest.version,
+      pinned: !!record.pinned,
+      sha256: known ? record.sha256 || null : null,
+      checksum: known ? record.checksum || 'none' : 'none',
+      signature: known ? record.signature || 'none' : 'none',
+      signer: known ? record.signer || null : null,
+      source: known ? record.source || null : null,
+      installedAt: known ? record.installedAt || null : null,
+      restoredAt: known ? record.restoredAt || null : null,
+      history,
+    };
+  }
+
+  return { install, rollback, setPinned, forget, describe };
+}
+
+// --- mirrors ---
+
+/**
+ * Copy a loaded catalog and its packages into `dir`, for modCatalogSource to point at:
+ * dir/catalog.json, with relative downloadUrls into dir/packages/. Every download is
+ * checked against its sha256, and a release without one gets the sha256 of what was
+ * downloaded, so installs from the mirror are checked from then on. Signatures are
+ * copied as they are — they cover the package, not where it lives. Packages already
+ * in the mirror with the right checksum are not fetched again, so running it again
+ * only brings in what is new. `latestOnly` keeps just each mod's newest release.
+ */
+async function writeMirror(catalog, dir, { fetchImpl = fetch, latestOnly = false, log = () => {} } = {}) {
+  const packagesDir = path.join(dir, 'packages');
+  fs.mkdirSync(packagesDir, { recursive: true });
+  const mods = [];
+  let downloaded = 0;
+  let reused = 0;
+  for (const entry of catalog.mods) {
+    const versions = [];
+    for (const release of latestOnly ? entry.versions.slice(0, 1) : entry.versions) {
+      const name = `${entry.id}-${release.version}.tar.gz`;
+      const dest = path.join(packagesDir, name);
+      let sha256 = null;
+      if (release.sha256) {
+        try { if (sha256Of(fs.readFileSync(dest)) === release.sha256) sha256 = release.sha256; } catch { /* not mirrored yet */ }
+      }
+      if (sha256) {
+        reused++;
+      } else {
+        const buffer = await readPackage(release.downloadUrl, { fetchImpl });
+        sha256 = verifyPackage(buffer, { id: entry.id, release }).sha256;
+        fs.writeFileSync(`${dest}.tmp`, buffer);
+        fs.renameSync(`${dest}.tmp`, dest);
+        downloaded++;
+        log(`[mods] mirrored ${entry.id} v${release.version}`);
+      }
+      versions.push({ ...release, sha256, downloadUrl: `packages/${name}` });
+    }
+    mods.push({ ...entry, ...versions[0], versions });
+  }
+  const file = path.join(dir, CATALOG_FILE);
+  const out = { mirroredFrom: catalog.source || null, mirroredAt: new Date().toISOString(), mods };
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(out, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  return { file, mods: mods.length, packages: downloaded + reused, downloaded, reused };
+}
+
+module.exports = {
+  DEFAULT_CATALOG_URL, HISTORY_KEEP,
+  compareSemver, validModId, catalogLocation, sanitizeCatalogSource, normalizeCatalog, loadCatalog,
+  isCompatible, latestCompatible, annotateCatalog, readPackage,
+  parsePublicKey, sanitizeTrustedKeys, signPackage, verifyPackage,
+  createModInstaller, writeMirror,
+};
@@ -0,0 +1,127 @@
+import * as React from 'react';
+import * as ReactDOM from 'react-dom/client';
+const { useState, useEffect, useCallback, useRef } = React;
+
+// Inside deepsteve the panel re-reads the inbox whenever a session's waiting flag
+// flips; opened on its own (a phone on the LAN) there is no bridge, so it polls.
+const POLL_MS = 3000;
+
+const C = {
+  border: 'var(--ds-border, #30363d)',
+  bg2: 'var(--ds-bg-secondary, #161b22)',
+  text: 'var(--ds-text-primary, #c9d1d9)',
+  dim: 'var(--ds-text-secondary, #8b949e)',
+  accent: 'var(--ds-accent, #58a6ff)',
+  green: '#3fb950',
+  red: '#f85149',
+  amber: '#d29922',
+};
+
+function api(method, url, body) {
+  return fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => {
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    return data;
+  });
+}
+
+function btn(color) {
+  return { background: 'transparent', color: color || C.text, border: `1px solid ${color || C.border}`, borderRadius: 4, padding: '6px 10px', fontSize: 13, cursor: 'pointer' };
+}
+
+function ago(ts) {
+  const s = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m`;
+  return `${Math.floor(s / 3600)}h`;
+}
+
+function Card({ a, busy, onDecide }) {
+  const bridge = window.deepsteve;
+  const detail = a.detail && a.detail !== a.command ? a.detail.split('\n').slice(1).join('\n') : '';
+  return (
+    <div style={{ border: `1px solid ${C.border}`, borderRadius: 6, padding: 10, marginBottom: 10, opacity: busy ? 0.5 : 1 }}>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'baseline', marginBottom: 6 }}>
+        <div
+          style={{ flex: 1, minWidth: 0, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', cursor: bridge ? 'pointer' : 'default' }}
+          title={a.cwd || a.name}
+          onClick={() => bridge?.focusSession(a.sessionId)}
+        >{a.name}</div>
+        <div style={{ fontSize: 11, color: C.dim }}>{ago(a.since)}</div>
+      </div>
+      <div style={{ fontSize: 12, color: C.amber, marginBottom: 4 }}>{a.kind === 'permission' ? a.tool : a.question}</div>
+      {a.command && (
+        <pre style={{ background: C.bg2, borderRadius: 4, padding: '6px 8px', fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-all', margin: '0 0 4px' }}>{a.command}</pre>
+      )}
+      {detail && <div style={{ fontSize: 11, color: C.dim, whiteSpace: 'pre-wrap', maxHeight: 80, overflow: 'hidden', marginBottom: 4 }}>{detail}</div>}
+      {a.kind === 'permission' && <div style={{ fontSize: 12, color: C.dim, marginBottom: 8 }}>{a.question}</div>}
+      {a.kind === 'permission' ? (
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {a.actions.approve !== null && <button disabled={busy} onClick={() => onDecide(a, 'approve')} style={btn(C.green)}>Approve</button>}
+          {a.actions.always !== null && (
+            <button disabled={busy} onClick={() => onDecide(a, 'always')} style={btn(C.accent)} title={a.options.find(o => o.n === a.actions.always)?.label}>Always</button>
+          )}
+          <button disabled={busy} onClick={() => onDecide(a, 'deny')} style={btn(C.red)}>Deny</button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+          {a.options.map((o) => (
+            <button key={o.n} disabled={busy} onClick={() => onDecide(a, o.n)} style={{ ...btn(), textAlign: 'left' }}>{o.n}. {o.label}</button>
+          ))}
+          <button disabled={busy} onClick={() => onDecide(a, 'deny')} style={btn(C.dim)}>Cancel (Esc)</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function App() {
+  const [approvals, setApprovals] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null); // sessionId being answered
+  const loadingRef = useRef(false);
+
+  const load = useCallback(() => {
+    if (loadingRef.current) return;
+    loadingRef.current = true;
+    api('GET', '/api/approvals')
+      .then((d) => { setApprovals(d.approvals || []); setError(null); })
+      .catch((e) => setError(e.message))
+      .finally(() => { loadingRef.current = false; });
+  }, []);
+
+  useEffect(() => {
+    load();
+    const t = setInterval(() => { if (!document.hidden) load(); }, POLL_MS);
+    const unsub = window.deepsteve?.onSessionsChanged?.(() => load());
+    return () => { clearInterval(t); unsub?.(); };
+  }, [load]);
+
+  const decide = (a, decision) => {
+    setBusy(a.sessionId);
+    api('POST', `/api/approvals/${encodeURIComponent(a.sessionId)}`, { id: a.id, decision })
+      .then(() => setError(null))
+      .catch((e) => setError(`${a.name}: ${e.message}`))
+      .finally(() => { setBusy(null); load(); });
+  };
+
+  return (
+    <div style={{ padding: 12, color: C.text, fontSize: 13 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+        <div style={{ fontWeight: 700, fontSize: 15, flex: 1 }}>Approvals{approvals.length ? ` (${approvals.length})` : ''}</div>
+        <button onClick={load} style={btn()}>Refresh</button>
+      </div>
+      {error && <div style={{ fontSize: 12, color: C.red, marginBottom: 8 }}>{error}</div>}
+      {approvals.length === 0 && !error && (
+        <div style={{ color: C.dim, fontSize: 13, marginTop: 24, textAlign: 'center' }}>No agent is waiting on a permission prompt or question.</div>
+      )}
+      {approvals.map((a) => <Card key={`${a.sessionId}:${a.id}`} a={a} busy={busy === a.sessionId} onDecide={decide} />)}
+    </div>
+  );
+}
+
+ReactDOM.createRoot(document.getElementById('approvals-root')).render(<App />);
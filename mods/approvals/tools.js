@@ -0,0 +1,320 @@
+// Approvals inbox: the permission dialogs and AskUserQuestion menus agents are
+// blocked on, across every session, answerable without focusing the terminal.
+//
+// The parsing lives in approval-prompts.js at the repo root and is pure; this mod
+// is the wiring around it:
+//
+//   - WHICH sessions: every live agent session whose waiting flag is up — a
+//     dialog is only ever drawn while the agent waits for input — read through the
+//     interpreted screen (readTerminalScreen), the same view read_session_screen
+//     returns.
+//   - ANSWERING: the keys are typed with deepsteve-core's writeKeys, the meta_type
+//     write path, so a decision made here reaches the agent exactly as if a human
+//     had pressed them. No Meta Controls consent: that guards agents typing into
+//     each other's sessions, and here the user is the one clicking.
+//   - STALENESS: every decision names the prompt id it was made against. The
+//     screen is re-read first, and if the dialog has changed (or gone) the decision
+//     is refused with 409 rather than landing on whatever replaced it — the inbox
+//     on a phone can easily be a few seconds old.
+//   - RULES: a once-a-second sweep answers permission dialogs that an auto-approval
+//     rule (approval-rules.js) decides, before they reach the inbox — this is what
+//     lets an unattended scheduled run get past `npm test` instead of wedging.
+//     Rules come from settings.approvalRules and from the session repo's
+//     .deepsteve/rules.json ({ "rules": [...] } or a bare array) — that file's
+//     denies always, its allows only while settings.approvalTrustedProjects pins
+//     the repo to the file's current SHA-256 (see approval-rules.js). Each prompt is
+//     tried ONCE: a dialog a rule answered that is still on screen afterwards is
+//     left for a human rather than hammered.
+//   - AUDIT: every decision — a rule's or a person's — is appended to
+//     ~/.deepsteve/approval-audit.jsonl (bounded), readable with the
+//     read_approval_audit MCP tool and GET /api/approvals/audit.
+//
+// REST (the panel, and a phone on the LAN — open /mods/approvals/index.html there):
+//   GET  /api/approvals                   → { approvals: [record, …] }
+//   GET  /api/approvals/audit             → { events: [...] }  (?session=&after_id=&limit=)
+//   GET  /api/approvals/:sessionId        → record (404 when nothing is pending)
+//   POST /api/approvals/:sessionId        { id, decision: 'approve'|'always'|'deny'|<option n> }
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+const { stateDir } = require('../../paths');
+const { findGitRoot } = require('../../git-root');
+const { parseApprovalPrompt, keysFor } = require('../../approval-prompts');
+const { sanitizeRules, projectRulesFor, evaluateRules } = require('../../approval-rules');
+
+const SCREEN_LINES = 60;
+const SETTLE_MS = 600; // let the dialog close and the screen redraw before re-reading
+const SWEEP_MS = 1000;
+const AUDIT_FILE = path.join(stateDir(), 'approval-audit.jsonl');
+const MAX_AUDIT_EVENTS = 5000; // keep the file bounded; oldest events drop off
+
+let ctx = null;
+// sessionId → { id, since }: when the prompt now on that session first showed up, so
+// the inbox can order by age. Re-keyed when the prompt changes.
+const firstSeen = new Map();
+// Sessions a decision is being typed into right now; a second one would interleave.
+const answering = new Set();
+// sessionId → prompt id a rule already answered (see RULES above).
+const ruleTried = new Map();
+// <repo>/.deepsteve/rules.json → { mtimeMs, rules, sha256 }, re-read when it changes.
+const projectRulesCache = new Map();
+// `${file}:${sha256}` already logged as having allows nobody trusted — once is enough.
+const untrustedLogged = new Set();
+let sweepStarted = false;
+
+// In-memory mirror of the audit log. `audit` is reassigned when trimming, so use let.
+let audit = [];
+let nextAuditId = 1;
+try {
+  if (fs.existsSync(AUDIT_FILE)) {
+    for (const line of fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').filter(Boolean)) {
+      try { audit.push(JSON.parse(line)); } catch { /* skip malformed line */ }
+    }
+    if (audit.length > MAX_AUDIT_EVENTS) audit = audit.slice(-MAX_AUDIT_EVENTS);
+    nextAuditId = audit.reduce((max, e) => Math.max(max, e.id || 0), 0) + 1;
+  }
+} catch { /* start with an empty log */ }
+
+function recordAudit(evt) {
+  evt.id = nextAuditId++;
+  audit.push(evt);
+  let trimmed = false;
+  if (audit.length > MAX_AUDIT_EVENTS) {
+    audit = audit.slice(-MAX_AUDIT_EVENTS);
+    trimmed = true;
+  }
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    if (trimmed) fs.writeFileSync(AUDIT_FILE, audit.map(e => JSON.stringify(e)).join('\n') + '\n');
+    else fs.appendFileSync(AUDIT_FILE, JSON.stringify(evt) + '\n');
+  } catch (e) {
+    ctx.log(`[approvals] failed to write the audit log: ${e.message}`);
+  }
+}
+
+function queryAudit({ after_id, session_id, by, limit }) {
+  let result = audit;
+  if (session_id) result = result.filter(e => e.session_id === session_id);
+  if (by) result = result.filter(e => e.by === by);
+  if (after_id !== undefined && after_id !== null && after_id !== '') result = result.filter(e => e.id > Number(after_id));
+  const max = Number(limit) || 100;
+  return result.length > max ? result.slice(-max) : result;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function pendingFor(id, entry) {
+  if (!entry || entry.killed || !entry.waitingForInput) return null;
+  if (entry.agentType === 'terminal' || entry.agentType === 'tmux-attach') return null;
+  const prompt = parseApprovalPrompt(await ctx.readTerminalScreen(entry, SCREEN_LINES));
+  if (!prompt) { firstSeen.delete(id); return null; }
+  let seen = firstSeen.get(id);
+  if (!seen || seen.id !== prompt.id) {
+    seen = { id: prompt.id, since: Date.now() };
+    firstSeen.set(id, seen);
+  }
+  return {
+    ...prompt,
+    sessionId: id,
+    name: entry.name || ctx.deriveSessionLabel(entry) || id,
+    cwd: entry.cwd || null,
+    agentType: entry.agentType || 'claude',
+    since: seen.since,
+  };
+}
+
+async function listPending() {
+  const out = [];
+  for (const [id, entry] of ctx.shells) {
+    const rec = await pendingFor(id, entry);
+    if (rec) out.push(rec);
+  }
+  for (const id of firstSeen.keys()) if (!ctx.shells.has(id)) firstSeen.delete(id);
+  return out.sort((a, b) => a.since - b.since);
+}
+
+function parseDecision(raw) {
+  if (raw === 'approve' || raw === 'always' || raw === 'deny') return raw;
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Answer the prompt on `sessionId`. → { status, body } for the REST layer.
+ */
+async function decide(sessionId, promptId, rawDecision, by = { by: 'user' }) {
+  const decision = parseDecision(rawDecision);
+  if (decision === null) return { status: 400, body: { error: 'decision must be approve, always, deny or an option number' } };
+  if (!promptId) return { status: 400, body: { error: 'id (the prompt id from GET /api/approvals) is required' } };
+  const entry = ctx.shells.get(sessionId);
+  if (!entry) return { status: 404, body: { error: 'Session not found' } };
+  if (answering.has(sessionId)) return { status: 409, body: { error: 'A decision is already being sent to this session' } };
+  answering.add(sessionId);
+  try {
+    const current = await pendingFor(sessionId, entry);
+    if (!current) return { status: 409, body: { error: 'Nothing is waiting for approval in this session any more' } };
+    if (current.id !== promptId) return { status: 409, body: { error: 'The prompt has changed since it was listed', pending: current } };
+    const keys = keysFor(current, decision);
+    if (!keys) return { status: 400, body: { error: `This prompt has no "${rawDecision}" option`, pending: current } };
+    const writeKeys = require('../deepsteve-core/tools').writeKeys;
+    if (!(await writeKeys(ctx.shells, sessionId, keys))) return { status: 410, body: { error: 'Session closed while answering' } };
+    ctx.log(`[approvals] ${sessionId}: ${typeof decision === 'number' ? `option ${decision}` : decision} by ${by.by} — ${current.tool}${current.command ? `: ${current.command}` : ''}`);
+    recordAudit({
+      ts: Date.now(), session_id: sessionId, name: current.name, cwd: current.cwd,
+      kind: current.kind, tool: current.tool, command: current.command, question: current.question,
+      decision, ...by,
+    });
+    firstSeen.delete(sessionId);
+    await sleep(SETTLE_MS);
+    // A batch of tool calls asks one dialog after another; hand the next one back
+    // so the caller can keep going without a second round trip.
+    return { status: 200, body: { ok: true, sessionId, decision, next: await pendingFor(sessionId, entry) } };
+  } finally {
+    answering.delete(sessionId);
+  }
+}
+
+// --- Auto-approval rules ---------------------------------------------------
+
+function projectRules(repo) {
+  const file = path.join(repo, '.deepsteve', 'rules.json');
+  let st;
+  try { st = fs.statSync(file); } catch { projectRulesCache.delete(file); return null; }
+  const hit = projectRulesCache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit;
+  let rules = [];
+  let sha256 = null;
+  try {
+    const text = fs.readFileSync(file);
+    sha256 = crypto.createHash('sha256').update(text).digest('hex');
+    const raw = JSON.parse(text.toString('utf8'));
+    rules = sanitizeRules(Array.isArray(raw) ? raw : raw && raw.rules) || [];
+  } catch (e) {
+    ctx.log(`[approvals] ignoring ${file}: ${e.message}`);
+  }
+  const out = { mtimeMs: st.mtimeMs, rules, sha256 };
+  projectRulesCache.set(file, out);
+  return out;
+}
+
+// Global rules first only for the audit's sake — evaluateRules lets a deny from
+// either source win regardless of order.
+function ruleSourcesFor(entry) {
+  const sources = [{ source: 'settings', rules: Array.isArray(ctx.settings.approvalRules) ? ctx.settings.approvalRules : [] }];
+  const { repoRoot } = ctx.sessionPaths(entry);
+  const repo = repoRoot ? findGitRoot(repoRoot) || repoRoot : null;
+  const project = repo ? projectRules(repo) : null;
+  if (!project || !project.rules.length) return sources;
+  const file = path.join(repo, '.deepsteve', 'rules.json');
+  const rules = projectRulesFor(project.rules, {
+    repo, sha256: project.sha256, trusted: ctx.settings.approvalTrustedProjects, home: os.homedir(),
+  });
+  if (rules.length < project.rules.length && !untrustedLogged.has(`${file}:${project.sha256}`)) {
+    untrustedLogged.add(`${file}:${project.sha256}`);
+    ctx.log(`[approvals] ${file}: only its deny rules apply — an admin trusts its allows with ${JSON.stringify({ repo, sha256: project.sha256 })} in approvalTrustedProjects`);
+  }
+  if (rules.length) sources.push({ source: file, rules });
+  return sources;
+}
+
+async function sweep() {
+  for (const [id, entry] of ctx.shells) {
+    if (!entry.waitingForInput) { ruleTried.delete(id); continue; }
+    if (answering.has(id)) continue;
+    // Rules first: with none that could apply, there is no screen worth reading.
+    const sources = ruleSourcesFor(entry);
+    if (!sources.some(src => src.rules.length)) continue;
+    const rec = await pendingFor(id, entry);
+    if (!rec) { ruleTried.delete(id); continue; }
+    if (rec.kind !== 'permission' || ruleTried.get(id) === rec.id) continue;
+    const verdict = evaluateRules(sources, rec, { cwd: ctx.sessionPaths(entry).cwd, home: os.homedir() });
+    if (!verdict) continue;
+    ruleTried.set(id, rec.id);
+    const { status, body } = await decide(id, rec.id, verdict.decision === 'allow' ? 'approve' : 'deny', {
+      by: 'rule', rule: verdict.rule, source: verdict.source,
+    });
+    if (status !== 200) ctx.log(`[approvals] rule ${verdict.decision} on ${id} not applied: ${body.error}`);
+  }
+  for (const id of ruleTried.keys()) if (!ctx.shells.has(id)) ruleTried.delete(id);
+}
+
+function startSweep() {
+  if (sweepStarted) return;
+  sweepStarted = true;
+  let running = false;
+  // .unref() so the timer never keeps the process alive on its own.
+  setInterval(() => {
+    if (running) return;
+    running = true;
+    sweep().catch(e => ctx.log(`[approvals] rule sweep error: ${e.message}`)).finally(() => { running = false; });
+  }, SWEEP_MS).unref();
+}
+
+/**
+ * Initialize approvals. Returns tool definitions keyed by name.
+ */
+function init(context) {
+  ctx = context;
+  startSweep();
+  return {
+    read_approval_audit: {
+      description: 'Read the approvals audit log: every permission prompt deepsteve answered on an agent\'s behalf — automatically, by an auto-approval rule (with the rule and where it came from: Settings or a repo\'s .deepsteve/rules.json), or by a person from the Approvals inbox. Use it to check what an unattended or scheduled run was allowed or denied. Returns one JSON object per line, oldest first.',
+      schema: {
+        after_id: z.number().optional().describe('Only return events with id greater than this (for polling for new events).'),
+        limit: z.number().optional().describe('Max events to return, from most recent (default 100).'),
+        session_id: z.string().optional().describe('Filter to a single deepsteve session id.'),
+        by: z.enum(['rule', 'user']).optional().describe('Only automatic (rule) or only human (user) decisions.'),
+      },
+      handler: async ({ after_id, limit, session_id, by }) => {
+        const result = queryAudit({ after_id, session_id, by, limit });
+        if (result.length === 0) {
+          return { content: [{ type: 'text', text: 'No matching approval decisions.' }] };
+        }
+        return { content: [{ type: 'text', text: result.map(e => JSON.stringify(e)).join('\n') }] };
+      },
+    },
+  };
+}
+
+/**
+ * Register REST endpoints for the panel and remote clients.
+ */
+function registerRoutes(app, context) {
+  ctx = ctx || context;
+
+  app.get('/api/approvals', async (req, res) => {
+    try {
+      res.json({ approvals: await listPending() });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Before /:sessionId, which would otherwise take "audit" as a session id.
+  app.get('/api/approvals/audit', (req, res) => {
+    const { session, after_id, by, limit } = req.query;
+    res.json({ events: queryAudit({ session_id: session, after_id, by, limit }) });
+  });
+
+  app.get('/api/approvals/:sessionId', async (req, res) => {
+    const entry = ctx.shells.get(req.params.sessionId);
+    if (!entry) return res.status(404).json({ error: 'Session not found' });
+    const rec = await pendingFor(req.params.sessionId, entry);
+    if (!rec) return res.status(404).json({ error: 'Nothing is waiting for approval in this session' });
+    res.json(rec);
+  });
+
+  app.post('/api/approvals/:sessionId', async (req, res) => {
+    const b = req.body || {};
+    try {
+      const { status, body } = await decide(req.params.sessionId, b.id ? String(b.id) : null, b.decision);
+      res.status(status).json(body);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+module.exports = { init, registerRoutes };
@@ -0,0 +1,598 @@
+/**
+ * Headless Chromium for Baby Browser — the backend that needs no browser window.
+ *
+ * The iframe backend (index.html + /api/proxy) is a page inside a deepsteve tab: it only
+ * works while a window is open, and a proxied page runs on deepsteve's origin, where an
+ * app that routes on its own location gets lost. This one runs a real Chromium with no window and drives it over the
+ * DevTools protocol (CDP), so JS-heavy apps work, logins stick (the profile lives in
+ * ~/.deepsteve/baby-browser-profile), and an unattended scheduled run — no browser
+ * connected at all — can still browse.
+ *
+ * Nothing is installed for it. findChromium() looks for one already on the machine:
+ * DEEPSTEVE_CHROMIUM, then Playwright's Chromium (the `playwright`/`playwright-core`
+ * package if it resolves, else its download cache), then an installed Chrome, Chromium,
+ * Edge or Brave. With none, the backend reports itself unavailable and Baby Browser
+ * behaves exactly as before. CDP is spoken directly rather than through Playwright's
+ * API, so a plain Chrome is enough — and over the pipe `--remote-debugging-pipe` opens
+ * on the browser's fds 3 and 4, not a DevTools port: a port on 127.0.0.1 takes
+ * commands from any local user, with this profile's cookies and logins behind it.
+ *
+ * The browser starts on first use and is shut down after IDLE_MS without a call; its
+ * tabs go with it. Pages may only be http(s), not file:// or chrome:// on the daemon's
+ * machine.
+ */
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IDLE_MS = 10 * 60 * 1000;
+const LAUNCH_TIMEOUT_MS = 20000;
+const COMMAND_TIMEOUT_MS = 30000;
+const LOAD_TIMEOUT_MS = 15000;
+const NETWORK_LOG_MAX = 300;
+const SNAPSHOT_MAX_CHARS = 20000;
+
+// Installed browsers, by platform. Linux ones are names looked up on PATH.
+const SYSTEM_BROWSERS = {
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+    '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser',
+  ],
+  linux: ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable', 'microsoft-edge', 'brave-browser'],
+};
+
+// Where `npx playwright install chromium` puts its builds, and the binary inside one.
+const PLAYWRIGHT_CACHE = {
+  darwin: { dir: ['Library', 'Caches', 'ms-playwright'], bins: ['chrome-mac/Chromium.app/Contents/MacOS/Chromium', 'chrome-mac-arm64/Chromium.app/Contents/MacOS/Chromium'] },
+  linux: { dir: ['.cache', 'ms-playwright'], bins: ['chrome-linux/chrome', 'chrome-linux64/chrome'] },
+};
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The Chromium to run, or null. Injectable like paths.js, so the darwin answers can be
+ * asserted on a Linux CI box.
+ */
+function findChromium({
+  env = process.env, platform = process.platform, homedir = os.homedir(),
+  executable = isExecutable, requireImpl = require, readdir = fs.readdirSync,
+} = {}) {
+  if (env.DEEPSTEVE_CHROMIUM) return executable(env.DEEPSTEVE_CHROMIUM) ? env.DEEPSTEVE_CHROMIUM : null;
+
+  for (const name of ['playwright-core', 'playwright']) {
+    try {
+      const p = requireImpl(name).chromium.executablePath();
+      if (p && executable(p)) return p;
+    } catch { /* not installed */ }
+  }
+
+  const cache = PLAYWRIGHT_CACHE[platform];
+  if (cache) {
+    const dir = path.join(homedir, ...cache.dir);
+    let builds = [];
+    try { builds = readdir(dir).filter(n => /^chromium-\d+$/.test(n)); } catch {}
+    builds.sort((a, b) => Number(b.split('-')[1]) - Number(a.split('-')[1]));
+    for (const build of builds) {
+      for (const bin of cache.bins) {
+        const p = path.join(dir, build, bin);
+        if (executable(p)) return p;
+      }
+    }
+  }
+
+  for (const candidate of SYSTEM_BROWSERS[platform] || []) {
+    if (path.isAbsolute(candidate)) {
+      if (executable(candidate)) return candidate;
+      continue;
+    }
+    for (const dir of String(env.PATH || '').split(path.delimiter).filter(Boolean)) {
+      const p = path.join(dir, candidate);
+      if (executable(p)) return p;
+    }
+  }
+  return null;
+}
+
+/** `example.com` → `https://example.com`, like the iframe's URL bar. Throws on other schemes. */
+function normalizeUrl(url) {
+  let u = String(url || '').trim();
+  if (!u) throw new Error('A URL is required');
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(u)) u = 'https://' + u;
+  let parsed;
+  try { parsed = new URL(u); } catch { throw new Error(`Not a valid URL: ${url}`); }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Only http and https pages can be opened, not ${parsed.protocol}`);
+  }
+  return parsed.href;
+}
+
+/** `ref=12` (from a snapshot) → its CSS selector; anything else is CSS already. */
+function toSelector(selector) {
+  const m = /^ref=(\d+)$/.exec(String(selector || '').trim());
+  return m ? `[data-bb-ref="${m[1]}"]` : String(selector || '');
+}
+
+// --- scripts run in the page. Each is stringified, so it must be self-contained. ---
+
+function pageRead() {
+  const clone = document.body ? document.body.cloneNode(true) : null;
+  if (!clone) return null;
+  for (const tag of clone.querySelectorAll('script, style, noscript, svg, link, meta')) tag.remove();
+  const title = document.title || '';
+  // The iframe backend's read, verbatim — the same page reads the same either way.
+  const text = clone.innerText.replace(/\n{3,}/g, '\n\n').trim();
+  return (title ? `# ${title}\n\n` : '') + text;
+}
+
+function pageLocate(selector) {
+  const el = document.querySelector(selector);
+  if (!el) return { error: `No element matches ${selector}` };
+  el.scrollIntoView({ block: 'center', inline: 'center' });
+  const r = el.getBoundingClientRect();
+  if (r.width === 0 && r.height === 0) return { error: `${selector} matches an element that is not visible` };
+  const label = (el.innerText || el.value || el.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+  return { x: r.left + r.width / 2, y: r.top + r.height / 2, tag: el.tagName.toLowerCase(), label };
+}
+
+// An element's box in page coordinates, for a screenshot clip.
+function pageBounds(selector) {
+  const el = document.querySelector(selector);
+  if (!el) return { error: `No element matches ${selector}` };
+  const r = el.getBoundingClientRect();
+  if (r.width === 0 || r.height === 0) return { error: `${selector} matches an element that is not visible` };
+  return { x: r.left + scrollX, y: r.top + scrollY, width: r.width, height: r.height };
+}
+
+function pageSize() {
+  const d = document.documentElement;
+  return { width: Math.max(d.scrollWidth, innerWidth), height: Math.max(d.scrollHeight, innerHeight) };
+}
+
+function pageFocus({ selector, clear }) {
+  const el = document.querySelector(selector);
+  if (!el) return { error: `No element matches ${selector}` };
+  el.scrollIntoView({ block: 'center' });
+  el.focus();
+  if (document.activeElement !== el) return { error: `${selector} can't take keyboard focus` };
+  if (clear && 'value' in el) {
+    el.value = '';
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  } else if (clear && el.isContentEditable) {
+    el.textContent = '';
+  }
+  return { tag: el.tagName.toLowerCase() };
+}
+
+function pageQuery({ selector, state }) {
+  const el = document.querySelector(selector);
+  const visible = !!el && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  if (state === 'attached') return !!el;
+  if (state === 'hidden') return !visible;
+  return visible;
+}
+
+// An outline of the page for a model to act on: headings, text, and every interactive
+// element — each tagged with data-bb-ref so `ref=N` can target it in click/type.
+function pageSnapshot(maxChars) {
+  const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'TEMPLATE', 'HEAD', 'IFRAME']);
+  const INTERACTIVE = 'a[href], button, input, select, textarea, summary, [role=button], [role=link], [role=checkbox], [role=tab], [role=menuitem], [contenteditable=""], [contenteditable=true], [onclick]';
+  const lines = [];
+  let size = 0;
+  let next = Number(document.documentElement.getAttribute('data-bb-next-ref') || 1);
+  const clip = (s, n) => { s = String(s || '').trim().replace(/\s+/g, ' '); return s.length > n ? s.slice(0, n - 1) + '…' : s; };
+  const push = (depth, line) => {
+    if (size > maxChars) return;
+    const l = '  '.repeat(Math.min(depth, 8)) + line;
+    lines.push(l);
+    size += l.length + 1;
+  };
+  const visible = (el) => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  function visit(el, depth) {
+    if (size > maxChars || SKIP.has(el.tagName.toUpperCase()) || !visible(el)) return;
+    const tag = el.tagName.toLowerCase();
+    if (el.matches(INTERACTIVE)) {
+      let ref = el.getAttribute('data-bb-ref');
+      if (!ref) { ref = String(next++); el.setAttribute('data-bb-ref', ref); }
+      const role = el.getAttribute('role') || (tag === 'a' ? 'link' : tag);
+      const bits = [role];
+      if (tag === 'input') bits.push(`type=${el.type}`);
+      if (el.name) bits.push(`name=${el.name}`);
+      const name = el.getAttribute('aria-label') || el.innerText || el.placeholder || el.title || el.alt || '';
+      if (name) bits.push(JSON.stringify(clip(name, 80)));
+      if ('value' in el && el.value && el.type !== 'password' && tag !== 'button') bits.push(`value=${JSON.stringify(clip(el.value, 80))}`);
+      if (el.checked) bits.push('checked');
+      if (el.disabled) bits.push('disabled');
+      if (tag === 'a') bits.push(`→ ${clip(el.getAttribute('href'), 100)}`);
+      if (tag === 'select') bits.push(`options: ${[...el.options].slice(0, 10).map(o => JSON.stringify(clip(o.text, 30))).join(', ')}`);
+      push(depth, `${bits.join(' ')} [ref=${ref}]`);
+      return;
+    }
+    if (/^h[1-6]$/.test(tag)) {
+      push(depth, `${'#'.repeat(Number(tag[1]))} ${clip(el.innerText, 200)}`);
+      return;
+    }
+    const own = [...el.childNodes].filter(n => n.nodeType === 3).map(n => n.textContent).join(' ');
+    const landmark = ['form', 'nav', 'main', 'header', 'footer', 'dialog', 'table', 'ul', 'ol'].includes(tag);
+    if (landmark) push(depth, `${tag}${el.id ? `#${el.id}` : ''}:`);
+    if (clip(own, 300)) push(depth + (landmark ? 1 : 0), clip(own, 300));
+    for (const child of el.children) visit(child, depth + (landmark ? 1 : 0));
+  }
+  if (document.body) visit(document.body, 0);
+  document.documentElement.setAttribute('data-bb-next-ref', String(next));
+  return (size > maxChars ? lines.concat('… (truncated)') : lines).join('\n');
+}
+
+/**
+ * CDP over --remote-debugging-pipe: the browser reads commands from fd 3 and writes
+ * replies and events to fd 4, each message JSON ended by a NUL. Emits 'message' (the
+ * JSON text) and 'close', and has send()/close(), which is all the client uses.
+ */
+function pipeTransport(input, output) {
+  const t = new EventEmitter();
+  let buffered = Buffer.alloc(0);
+  output.on('data', (chunk) => {
+    // Split on the raw bytes, not on decoded text, so a character cut in two by a
+    // chunk boundary is whole again before it is decoded.
+    buffered = Buffer.concat([buffered, chunk]);
+    let end;
+    while ((end = buffered.indexOf(0)) !== -1) {
+      const msg = buffered.subarray(0, end).toString('utf8');
+      buffered = buffered.subarray(end + 1);
+      t.emit('message', msg);
+    }
+  });
+  output.on('close', () => t.emit('close'));
+  // A write after the browser died fails with EPIPE; its exit is what reports that.
+  input.on('error', () => {});
+  t.send = (raw) => input.write(raw + '\0');
+  t.close = () => { try { input.end(); } catch {} };
+  return t;
+}
+
+const call = (fn, arg) => `(${fn})(${arg === undefined ? '' : JSON.stringify(arg)})`;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * A lazily started headless Chromium. Every method takes a tab id from openTab() and
+ * throws an Error whose message is meant for the model.
+ */
+function createHeadlessBrowser({
+  profileDir, log = () => {}, chromium = () => findChromium(),
+  spawnImpl = spawn, idleMs = IDLE_MS, now = Date.now,
+} = {}) {
+  let browser = null;    // { child, pipe }
+  let launching = null;
+  let idleTimer = null;
+  let nextCommandId = 1;
+  let nextTab = 1;
+  const pending = new Map();   // CDP command id → { resolve, reject, timer }
+  const tabs = new Map();      // tab id → tab
+  const bySession = new Map(); // CDP sessionId → tab
+
+  function touch() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      log(`[baby-browser] headless browser idle for ${Math.round(idleMs / 60000)} min, shutting it down`);
+      close();
+    }, idleMs);
+    idleTimer.unref?.();
+  }
+
+  function send(method, params = {}, sessionId) {
+    if (!browser) return Promise.reject(new Error('The headless browser is not running'));
+    return new Promise((resolve, reject) => {
+      const id = nextCommandId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`The headless browser did not answer ${method} within ${COMMAND_TIMEOUT_MS / 1000}s`));
+      }, COMMAND_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+      browser.pipe.send(JSON.stringify(sessionId ? { id, method, params, sessionId } : { id, method, params }));
+    });
+  }
+
+  function onMessage(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (msg.id !== undefined) {
+      const p = pending.get(msg.id);
+      if (!p) return;
+      pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.error) p.reject(new Error(msg.error.message || 'DevTools protocol error'));
+      else p.resolve(msg.result || {});
+      return;
+    }
+    if (msg.method === 'Target.detachedFromTarget') {
+      const tab = bySession.get(msg.params?.sessionId);
+      if (tab) dropTab(tab);
+      return;
+    }
+    const tab = bySession.get(msg.sessionId);
+    if (tab) onTabEvent(tab, msg.method, msg.params || {});
+  }
+
+  function onTabEvent(tab, method, p) {
+    switch (method) {
+      case 'Page.frameNavigated':
+        if (!p.frame.parentId) tab.url = p.frame.url;
+        break;
+      case 'Page.frameStartedLoading':
+        if (p.frameId === tab.targetId) tab.loading = true;
+        break;
+      case 'Page.frameStoppedLoading':
+        if (p.frameId === tab.targetId) tab.loading = false;
+        break;
+      case 'Page.loadEventFired':
+        tab.loading = false;
+        for (const w of tab.loadWaiters.splice(0)) w();
+        break;
+      case 'Network.requestWillBeSent': {
+        const entry = { id: p.requestId, at: now(), method: p.request.method, url: p.request.url, type: p.type || 'Other', status: null, failed: null };
+        tab.network.push(entry);
+        tab.requests.set(p.requestId, entry);
+        if (tab.network.length > NETWORK_LOG_MAX) tab.requests.delete(tab.network.shift().id);
+        break;
+      }
+      case 'Network.responseReceived': {
+        const entry = tab.requests.get(p.requestId);
+        if (entry) { entry.status = p.response.status; entry.mimeType = p.response.mimeType; }
+        break;
+      }
+      case 'Network.loadingFailed': {
+        const entry = tab.requests.get(p.requestId);
+        if (entry) entry.failed = p.canceled ? 'canceled' : (p.blockedReason ? `blocked: ${p.blockedReason}` : p.errorText);
+        break;
+      }
+    }
+  }
+
+  function dropTab(tab) {
+    tabs.delete(tab.id);
+    bySession.delete(tab.sessionId);
+    for (const w of tab.loadWaiters.splice(0)) w();
+  }
+
+  function launch() {
+    if (browser) return Promise.resolve();
+    if (launching) return launching;
+    launching = (async () => {
+      const exe = chromium();
+      if (!exe) throw new Error(NO_CHROMIUM);
+      fs.mkdirSync(profileDir, { recursive: true, mode: 0o700 });
+      const args = [
+        '--headless=new', '--remote-debugging-pipe', `--user-data-dir=${profileDir}`,
+        '--no-first-run', '--no-default-browser-check', '--disable-gpu', '--mute-audio',
+        '--window-size=1280,900', 'about:blank',
+      ];
+      // Chromium refuses to start its sandbox as root (containers, CI); it has no
+      // sandbox to drop in that case anyway.
+      if (process.getuid?.() === 0) args.unshift('--no-sandbox');
+      const child = spawnImpl(exe, args, { stdio: ['ignore', 'ignore', 'pipe', 'pipe', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+      const pipe = pipeTransport(child.stdio[3], child.stdio[4]);
+      pipe.on('message', onMessage);
+      browser = { child, pipe };
+      // There is no "listening" line on a pipe: the browser is up when it answers.
+      try {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => finish(new Error(`${path.basename(exe)} did not start within ${LAUNCH_TIMEOUT_MS / 1000}s`)), LAUNCH_TIMEOUT_MS);
+          function finish(err) {
+            clearTimeout(timer);
+            child.removeListener('exit', onExit);
+            if (err) reject(err); else resolve();
+          }
+          function onExit(code) {
+            const tail = stderr.trim().split('\n').slice(-3).join(' ');
+            finish(new Error(`${path.basename(exe)} exited (${code}) before it was ready${tail ? `: ${tail}` : ''}`));
+          }
+          child.on('exit', onExit);
+          child.on('error', (e) => finish(e));
+          send('Browser.getVersion').then(() => finish(null), (e) => finish(new Error(`${path.basename(exe)} did not answer on its DevTools pipe: ${e.message}`)));
+        });
+      } catch (e) {
+        shutdown(e.message);
+        throw e;
+      }
+      pipe.on('close', () => shutdown('the DevTools pipe closed'));
+      child.on('exit', (code) => shutdown(`the browser exited (${code})`));
+      log(`[baby-browser] headless browser started: ${exe} (pid ${child.pid})`);
+    })().finally(() => { launching = null; });
+    return launching;
+  }
+
+  // Forget the browser and everything in flight, whichever side went first.
+  function shutdown(reason) {
+    if (!browser) return;
+    const { child, pipe } = browser;
+    browser = null;
+    clearTimeout(idleTimer);
+    for (const tab of [...tabs.values()]) dropTab(tab);
+    for (const p of pending.values()) { clearTimeout(p.timer); p.reject(new Error(`The headless browser stopped: ${reason}`)); }
+    pending.clear();
+    try { pipe.close(); } catch {}
+    try { child.kill(); } catch {}
+    log(`[baby-browser] headless browser stopped: ${reason}`);
+  }
+
+  function close() {
+    shutdown('closed');
+  }
+
+  function tabOf(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab) throw new Error(`Headless tab "${tabId}" is gone (the headless browser shuts down after ${Math.round(idleMs / 60000)} idle minutes). Navigate again to open a new one.`);
+    touch();
+    return tab;
+  }
+
+  async function evaluate(tab, expression) {
+    const r = await send('Runtime.evaluate', { expression, returnByValue: true, awaitPromise: true }, tab.sessionId);
+    if (r.exceptionDetails) {
+      throw new Error(r.exceptionDetails.exception?.description?.split('\n')[0] || r.exceptionDetails.text || 'The page threw');
+    }
+    return r.result?.value;
+  }
+
+  function waitForLoad(tab, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        tab.loadWaiters = tab.loadWaiters.filter(w => w !== done);
+        resolve(false);
+      }, timeoutMs);
+      function done() { clearTimeout(timer); resolve(true); }
+      tab.loadWaiters.push(done);
+    });
+  }
+
+  // After a click or Enter: if the page started navigating, wait for it to finish.
+  async function settle(tab, before) {
+    await sleep(300);
+    if (tab.loading) await waitForLoad(tab, LOAD_TIMEOUT_MS);
+    return tab.url !== before ? ` — now at ${tab.url}` : '';
+  }
+
+  async function openTab(owner = null) {
+    await launch();
+    touch();
+    const { targetId } = await send('Target.createTarget', { url: 'about:blank' });
+    const { sessionId } = await send('Target.attachToTarget', { targetId, flatten: true });
+    const tab = {
+      id: `headless-${nextTab++}`, owner, targetId, sessionId, url: 'about:blank',
+      loading: false, loadWaiters: [], network: [], requests: new Map(),
+    };
+    tabs.set(tab.id, tab);
+    bySession.set(sessionId, tab);
+    await Promise.all(['Page.enable', 'Network.enable'].map(m => send(m, {}, sessionId)));
+    return tab.id;
+  }
+
+  async function closeTab(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab) return false;
+    dropTab(tab);
+    await send('Target.closeTarget', { targetId: tab.targetId }).catch(() => {});
+    return true;
+  }
+
+  async function navigate(tabId, url) {
+    const tab = tabOf(tabId);
+    const target = normalizeUrl(url);
+    const loaded = waitForLoad(tab, LOAD_TIMEOUT_MS);
+    const r = await send('Page.navigate', { url: target }, tab.sessionId);
+    if (r.errorText) throw new Error(`Could not load ${target}: ${r.errorText}`);
+    // No loaderId: a same-document navigation (a #fragment), which fires no load event.
+    if (!r.loaderId) return `Navigated to ${target}`;
+    if (await loaded) return `Navigated to ${tab.url}`;
+    return `Navigated to ${target} (load event timed out after ${LOAD_TIMEOUT_MS / 1000}s, page may still be loading)`;
+  }
+
+  async function read(tabId) {
+    const text = await evaluate(tabOf(tabId), call(pageRead));
+    if (text === null) throw new Error('No page loaded in this headless tab');
+    return text;
+  }
+
+  function url(tabId) {
+    return tabOf(tabId).url;
+  }
+
+  async function click(tabId, selector) {
+    const tab = tabOf(tabId);
+    const before = tab.url;
+    const at = await evaluate(tab, call(pageLocate, toSelector(selector)));
+    if (at.error) throw new Error(at.error);
+    const base = { x: at.x, y: at.y, button: 'left', clickCount: 1 };
+    await send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: at.x, y: at.y }, tab.sessionId);
+    await send('Input.dispatchMouseEvent', { type: 'mousePressed', ...base }, tab.sessionId);
+    await send('Input.dispatchMouseEvent', { type: 'mouseReleased', ...base }, tab.sessionId);
+    return `Clicked ${at.tag}${at.label ? ` "${at.label}"` : ''}${await settle(tab, before)}`;
+  }
+
+  async function type(tabId, selector, text, { clear = true, submit = false } = {}) {
+    const tab = tabOf(tabId);
+    const before = tab.url;
+    const focused = await evaluate(tab, call(pageFocus, { selector: toSelector(selector), clear }));
+    if (focused.error) throw new Error(focused.error);
+    if (text) await send('Input.insertText', { text: String(text) }, tab.sessionId);
+    if (!submit) return `Typed ${String(text).length} character(s) into ${focused.tag}`;
+    const enter = { key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13, nativeVirtualKeyCode: 13 };
+    await send('Input.dispatchKeyEvent', { type: 'keyDown', text: '\r', ...enter }, tab.sessionId);
+    await send('Input.dispatchKeyEvent', { type: 'keyUp', ...enter }, tab.sessionId);
+    return `Typed ${String(text).length} character(s) into ${focused.tag} and pressed Enter${await settle(tab, before)}`;
+  }
+
+  async function waitFor(tabId, selector, { state = 'visible', timeoutMs = 10000 } = {}) {
+    const tab = tabOf(tabId);
+    const started = now();
+    const css = toSelector(selector);
+    for (;;) {
+      if (await evaluate(tab, call(pageQuery, { selector: css, state }))) {
+        return `${selector} is ${state} (after ${now() - started}ms)`;
+      }
+      if (now() - started >= timeoutMs) throw new Error(`${selector} was not ${state} within ${timeoutMs}ms`);
+      await sleep(100);
+    }
+  }
+
+  function network(tabId, { filter = '', failedOnly = false, limit = 50, clear = false } = {}) {
+    const tab = tabOf(tabId);
+    const needle = String(filter).toLowerCase();
+    const rows = tab.network
+      .filter(e => !needle || e.url.toLowerCase().includes(needle))
+      .filter(e => !failedOnly || e.failed || e.status >= 400)
+      .slice(-limit);
+    const total = tab.network.length;
+    if (clear) { tab.network = []; tab.requests.clear(); }
+    if (!rows.length) return total ? 'No requests match.' : 'No requests recorded yet.';
+    return rows.map(e => `${e.method} ${e.failed ? `failed (${e.failed})` : e.status ?? 'pending'} ${e.type} ${e.url}`).join('\n');
+  }
+
+  async function snapshot(tabId, { maxChars = SNAPSHOT_MAX_CHARS } = {}) {
+    const tab = tabOf(tabId);
+    const outline = await evaluate(tab, call(pageSnapshot, maxChars));
+    return `Page: ${tab.url}\n\n${outline || '(empty page)'}`;
+  }
+
+  // PNG bytes of the viewport, the whole page, or one element.
+  async function screenshot(tabId, { selector = null, fullPage = false } = {}) {
+    const tab = tabOf(tabId);
+    const params = { format: 'png' };
+    if (selector || fullPage) {
+      const box = selector ? await evaluate(tab, call(pageBounds, toSelector(selector))) : { x: 0, y: 0, ...await evaluate(tab, call(pageSize)) };
+      if (box.error) throw new Error(box.error);
+      Object.assign(params, { clip: { ...box, scale: 1 }, captureBeyondViewport: true });
+    }
+    const { data } = await send('Page.captureScreenshot', params, tab.sessionId);
+    return Buffer.from(data, 'base64');
+  }
+
+  function list() {
+    return [...tabs.values()].map(t => ({ tab_id: t.id, url: t.url, owner: t.owner }));
+  }
+
+  return {
+    available: () => !!chromium(),
+    running: () => !!browser,
+    has: (tabId) => tabs.has(tabId),
+    list, openTab, closeTab, navigate, read, url, click, type, waitFor, network, snapshot, screenshot, close,
+  };
+}
+
+const NO_CHROMIUM = 'No Chromium found for the headless backend. Install Google Chrome or Chromium, '
+  + 'or Playwright\'s (`npx playwright install chromium`), or set DEEPSTEVE_CHROMIUM to a Chrome binary, '
+  + 'then try again — it is looked for on every call.';
+
+module.exports = { createHeadlessBrowser, findChromium, normalizeUrl, toSelector, NO_CHROMIUM };
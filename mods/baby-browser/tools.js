@@ -1,5 +1,7 @@
 const { z } = require('zod');
 const { randomUUID } = require('crypto');
+const { statePath } = require('../../paths');
+const { createHeadlessBrowser, NO_CHROMIUM } = require('./headless');
 
 // Pending requests awaiting browser response: requestId → { resolve, timer }
 const pendingRequests = new Map();
@@ -9,11 +11,27 @@ const activeTabs = new Map();
 
 const TIMEOUT_MS = 15000;
 
+const text = (t) => ({ content: [{ type: 'text', text: t }] });
+const fail = (message) => text(`Error: ${message}`);
+
 /**
  * Initialize Baby Browser MCP tools.
+ *
+ * Two backends sit behind the same tools. The iframe one is a Baby Browser tab in a
+ * deepsteve window, reached by broadcasting a request and waiting for the tab to post
+ * the result back (registerRoutes). The headless one (headless.js) is a windowless
+ * Chromium in the daemon, used when asked for (`headless: true`, or a `headless-N`
+ * tab_id) and whenever no Baby Browser tab is open — which is always the case in an
+ * unattended scheduled run. click/type/wait_for/network/snapshot need the headless one.
  */
 function init(context) {
-  const { broadcast, broadcastToWindow, shells } = context;
+  const { broadcast, broadcastToWindow, shells, setScreenshot, getScreenshotPath, log = () => {} } = context;
+
+  const headless = createHeadlessBrowser({ profileDir: statePath('baby-browser-profile'), log });
+  process.on('exit', () => headless.close());
+
+  // A session's own headless tab: session_id (or '' without one) → headless tab id.
+  const headlessTabs = new Map();
 
   // Resolve session_id to a windowId, returning the send function and optional targetWindowId
   function resolveTarget(session_id) {
@@ -47,42 +65,113 @@ function init(context) {
     return { error: `Multiple Baby Browser tabs are open. Specify tab_id to target one:\n${info}` };
   }
 
-  const SESSION_ID_SCHEMA = z.string().optional().describe('DeepSteve session ID. Run `echo $DEEPSTEVE_SESSION_ID` in your terminal to get this value. When provided, the command is sent only to the browser window that owns this session.');
-  const TAB_ID_SCHEMA = z.string().optional().describe('Target a specific Baby Browser tab by its ID. Use baby_browser_list to see available tabs. When omitted and only one tab is open, it is auto-targeted.');
+  function ownHeadlessTab(session_id) {
+    const own = headlessTabs.get(session_id || '');
+    return own && headless.has(own) ? own : null;
+  }
+
+  // The session's headless tab if it still exists, else the only headless tab, else null.
+  function sessionHeadlessTab(session_id) {
+    const own = ownHeadlessTab(session_id);
+    if (own) return own;
+    const all = headless.list();
+    return all.length === 1 ? all[0].tab_id : null;
+  }
+
+  /**
+   * Which backend a call goes to. An explicit tab_id decides it. Otherwise `headless`
+   * asks for the headless backend, an open Baby Browser tab is used as it always was,
+   * and with none open the headless backend takes over when there is a Chromium to run.
+   * Returns { iframe: <resolveTab result> } | { headless: tabId | null } | { error }.
+   */
+  function route({ tab_id, session_id, headless: wantHeadless }) {
+    if (tab_id && headless.has(tab_id)) return { headless: tab_id };
+    if (tab_id || (!wantHeadless && activeTabs.size > 0)) {
+      const tab = resolveTab(tab_id);
+      return tab.error ? { error: tab.error } : { iframe: tab };
+    }
+    if (!wantHeadless && !headless.available()) return { iframe: {} };
+    return { headless: sessionHeadlessTab(session_id) };
+  }
+
+  // The iframe backend: ask the tab in the browser and wait for its POST back.
+  function viaIframe(tab, session_id, request) {
+    const requestId = randomUUID();
+    const { send } = resolveTarget(session_id);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        resolve(fail('Timed out waiting for Baby Browser response. Make sure the Baby Browser mod is enabled and a Baby Browser tab is open'
+          + (headless.available() ? ', or pass headless: true to use the headless browser.' : '.')));
+      }, TIMEOUT_MS);
+
+      pendingRequests.set(requestId, { resolve, timer });
+
+      send({
+        type: 'baby-browser-request',
+        requestId,
+        targetTabId: tab.targetTabId,
+        ...request,
+      });
+    });
+  }
+
+  // The headless backend: run fn against the routed tab and turn a throw into an error result.
+  async function viaHeadless(tabId, fn) {
+    try {
+      return text(await fn(tabId));
+    } catch (e) {
+      return fail(e.message);
+    }
+  }
+
+  // For the headless-only tools: the tab to act on, or an error result.
+  function headlessOnly({ tab_id, session_id }) {
+    if (tab_id && activeTabs.has(tab_id)) {
+      return { error: fail(`"${tab_id}" is a Baby Browser tab in a deepsteve window; this tool needs a headless tab. Open one with baby_browser_navigate and headless: true.`) };
+    }
+    if (tab_id && !headless.has(tab_id)) {
+      return { error: fail(`Headless tab "${tab_id}" not found. Use baby_browser_list to see available tabs.`) };
+    }
+    const tabId = tab_id || sessionHeadlessTab(session_id);
+    if (!tabId) {
+      return { error: fail(headless.available()
+        ? 'No headless page is open. Open one with baby_browser_navigate (headless: true).'
+        : NO_CHROMIUM) };
+    }
+    return { tabId };
+  }
+
+  const SESSION_ID_SCHEMA = z.string().optional().describe('DeepSteve session ID. Run `echo $DEEPSTEVE_SESSION_ID` in your terminal to get this value. When provided, the command is sent only to the browser window that owns this session, and the session gets its own headless tab.');
+  const TAB_ID_SCHEMA = z.string().optional().describe('Target a specific Baby Browser tab by its ID — a window tab or a `headless-N` one. Use baby_browser_list to see available tabs. When omitted and only one tab is open, it is auto-targeted.');
+  const SELECTOR_SCHEMA = z.string().describe('A CSS selector (e.g. "button[type=submit]", "#search"), or `ref=N` for an element listed by baby_browser_snapshot.');
 
   return {
     baby_browser_navigate: {
-      description: 'Navigate Baby Browser to a URL and wait for the page to load. Baby Browser is a built-in iframe-based web browser tab in deepsteve. Use this to browse external websites.',
+      description: 'Navigate Baby Browser to a URL and wait for the page to load. Baby Browser is a built-in web browser in deepsteve: a tab in the deepsteve window, or, with headless: true or when no such tab is open, a headless Chromium in the daemon that runs JavaScript, keeps cookies, and works with no browser window connected (e.g. in scheduled runs). Use this to browse external websites.',
       schema: {
         url: z.string().describe('The URL to navigate to (e.g. "https://example.com").'),
+        headless: z.boolean().optional().describe('Use the headless browser even if a Baby Browser tab is open. Needed for baby_browser_click/type/wait_for/network/snapshot.'),
         session_id: SESSION_ID_SCHEMA,
         tab_id: TAB_ID_SCHEMA,
       },
-      handler: async ({ url, session_id, tab_id }) => {
-        const tab = resolveTab(tab_id);
-        if (tab.error) return { content: [{ type: 'text', text: `Error: ${tab.error}` }] };
-
-        const requestId = randomUUID();
-        const { send } = resolveTarget(session_id);
-
-        return new Promise((resolve) => {
-          const timer = setTimeout(() => {
-            pendingRequests.delete(requestId);
-            resolve({
-              content: [{ type: 'text', text: 'Error: Timed out waiting for Baby Browser response. Make sure the Baby Browser mod is enabled and a Baby Browser tab is open.' }],
-            });
-          }, TIMEOUT_MS);
-
-          pendingRequests.set(requestId, { resolve, timer });
-
-          send({
-            type: 'baby-browser-request',
-            requestId,
-            targetTabId: tab.targetTabId,
-            action: 'navigate',
-            url,
-          });
-        });
+      handler: async ({ url, headless: wantHeadless, session_id, tab_id }) => {
+        const to = route({ tab_id, session_id, headless: wantHeadless });
+        if (to.error) return fail(to.error);
+        if (to.iframe) return viaIframe(to.iframe, session_id, { action: 'navigate', url });
+
+        // Without a tab_id a session navigates its own tab, never another session's.
+        let tabId = tab_id ? to.headless : ownHeadlessTab(session_id);
+        if (!tabId) {
+          try {
+            tabId = await headless.openTab(session_id || null);
+          } catch (e) {
+            return fail(e.message);
+          }
+          headlessTabs.set(session_id || '', tabId);
+        }
+        return viaHeadless(tabId, async id => `${await headless.navigate(id, url)} [headless tab ${id}]`);
       },
     },
 
@@ -93,29 +182,11 @@ function init(context) {
         tab_id: TAB_ID_SCHEMA,
       },
       handler: async ({ session_id, tab_id }) => {
-        const tab = resolveTab(tab_id);
-        if (tab.error) return { content: [{ type: 'text', text: `Error: ${tab.error}` }] };
-
-        const requestId = randomUUID();
-        const { send } = resolveTarget(session_id);
-
-        return new Promise((resolve) => {
-          const timer = setTimeout(() => {
-            pendingRequests.delete(requestId);
-            resolve({
-              content: [{ type: 'text', text: 'Error: Timed out waiting for Baby Browser response. Make sure the Baby Browser mod is enabled and a Baby Browser tab is open.' }],
-            });
-          }, TIMEOUT_MS);
-
-          pendingRequests.set(requestId, { resolve, timer });
-
-          send({
-            type: 'baby-browser-request',
-            requestId,
-            targetTabId: tab.targetTabId,
-            action: 'read',
-          });
-        });
+        const to = route({ tab_id, session_id });
+        if (to.error) return fail(to.error);
+        if (to.iframe) return viaIframe(to.iframe, session_id, { action: 'read' });
+        if (!to.headless) return fail('No page loaded in Baby Browser');
+        return viaHeadless(to.headless, id => headless.read(id));
       },
     },
 
@@ -126,45 +197,133 @@ function init(context) {
         tab_id: TAB_ID_SCHEMA,
       },
       handler: async ({ session_id, tab_id }) => {
-        const tab = resolveTab(tab_id);
-        if (tab.error) return { content: [{ type: 'text', text: `Error: ${tab.error}` }] };
-
-        const requestId = randomUUID();
-        const { send } = resolveTarget(session_id);
-
-        return new Promise((resolve) => {
-          const timer = setTimeout(() => {
-            pendingRequests.delete(requestId);
-            resolve({
-              content: [{ type: 'text', text: 'Error: Timed out waiting for Baby Browser response. Make sure the Baby Browser mod is enabled and a Baby Browser tab is open.' }],
-            });
-          }, TIMEOUT_MS);
-
-          pendingRequests.set(requestId, { resolve, timer });
-
-          send({
-            type: 'baby-browser-request',
-            requestId,
-            targetTabId: tab.targetTabId,
-            action: 'url',
-          });
-        });
+        const to = route({ tab_id, session_id });
+        if (to.error) return fail(to.error);
+        if (to.iframe) return viaIframe(to.iframe, session_id, { action: 'url' });
+        if (!to.headless) return text('');
+        return viaHeadless(to.headless, id => headless.url(id));
       },
     },
 
     baby_browser_list: {
-      description: 'List all open Baby Browser tabs with their IDs and current URLs. Use this to find the tab_id needed for other baby_browser commands.',
+      description: 'List all open Baby Browser tabs — window tabs and headless ones — with their IDs and current URLs. Use this to find the tab_id needed for other baby_browser commands.',
       schema: {
         session_id: SESSION_ID_SCHEMA,
       },
       handler: async () => {
-        const tabs = [...activeTabs.entries()].map(([id, info]) => ({
-          tab_id: id, url: info.url,
-        }));
+        const tabs = [
+          ...[...activeTabs.entries()].map(([id, info]) => ({ tab_id: id, url: info.url, backend: 'iframe' })),
+          ...headless.list().map(t => ({ tab_id: t.tab_id, url: t.url, backend: 'headless', session_id: t.owner })),
+        ];
         if (tabs.length === 0) {
-          return { content: [{ type: 'text', text: 'No Baby Browser tabs are currently open.' }] };
+          return text('No Baby Browser tabs are currently open.'
+            + (headless.available() ? ' baby_browser_navigate opens a headless one.' : ''));
         }
-        return { content: [{ type: 'text', text: JSON.stringify(tabs, null, 2) }] };
+        return text(JSON.stringify(tabs, null, 2));
+      },
+    },
+
+    baby_browser_click: {
+      description: 'Click an element in a headless Baby Browser page, as a user would (scrolled into view, real mouse events). Waits for any navigation it starts. Use baby_browser_snapshot to find elements.',
+      schema: {
+        selector: SELECTOR_SCHEMA,
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ selector, session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, id => headless.click(id, selector));
+      },
+    },
+
+    baby_browser_type: {
+      description: 'Type text into a field in a headless Baby Browser page. Focuses the element, replaces its contents unless clear is false, and optionally presses Enter (and waits for any navigation that starts).',
+      schema: {
+        selector: SELECTOR_SCHEMA,
+        text: z.string().describe('The text to type.'),
+        clear: z.boolean().optional().describe('Empty the field first (default true).'),
+        submit: z.boolean().optional().describe('Press Enter afterwards, e.g. to submit a search form.'),
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ selector, text: value, clear, submit, session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, id => headless.type(id, selector, value, { clear: clear !== false, submit: !!submit }));
+      },
+    },
+
+    baby_browser_wait_for: {
+      description: 'Wait until an element is visible (or attached, or hidden) in a headless Baby Browser page — for content a JavaScript app renders after load.',
+      schema: {
+        selector: SELECTOR_SCHEMA,
+        state: z.enum(['visible', 'attached', 'hidden']).optional().describe('What to wait for (default visible).'),
+        timeout_ms: z.number().int().min(100).max(60000).optional().describe('Give up after this long (default 10000).'),
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ selector, state, timeout_ms, session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, id => headless.waitFor(id, selector, { state: state || 'visible', timeoutMs: timeout_ms || 10000 }));
+      },
+    },
+
+    baby_browser_network: {
+      description: 'The network requests a headless Baby Browser page has made (most recent last): method, status or failure, resource type and URL. Useful for debugging API calls and failed loads.',
+      schema: {
+        filter: z.string().optional().describe('Only requests whose URL contains this.'),
+        failed_only: z.boolean().optional().describe('Only failed requests and HTTP errors (status >= 400).'),
+        limit: z.number().int().min(1).max(300).optional().describe('At most this many (default 50).'),
+        clear: z.boolean().optional().describe('Empty the log after reading it.'),
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ filter, failed_only, limit, clear, session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, id => headless.network(id, { filter, failedOnly: !!failed_only, limit: limit || 50, clear: !!clear }));
+      },
+    },
+
+    baby_browser_snapshot: {
+      description: 'An outline of a headless Baby Browser page\'s DOM: headings, text, and every link, button and form field with a ref (e.g. [ref=7]) that baby_browser_click and baby_browser_type accept as selector "ref=7".',
+      schema: {
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, id => headless.snapshot(id));
+      },
+    },
+
+    baby_browser_screenshot: {
+      description: 'Capture a headless Baby Browser page — the viewport, the full page, or one element — as a PNG in the deepsteve screenshot collection. Returns the file path (view it with the Read tool) and a screenshot id that screenshot_compare accepts for visual regression checks.',
+      schema: {
+        selector: SELECTOR_SCHEMA.optional(),
+        full_page: z.boolean().optional().describe('Capture the whole scrollable page instead of the viewport (ignored with selector).'),
+        session_id: SESSION_ID_SCHEMA,
+        tab_id: TAB_ID_SCHEMA,
+      },
+      handler: async ({ selector, full_page, session_id, tab_id }) => {
+        const tab = headlessOnly({ tab_id, session_id });
+        if (tab.error) return tab.error;
+        return viaHeadless(tab.tabId, async (id) => {
+          const png = await headless.screenshot(id, { selector, fullPage: !!full_page });
+          const meta = {
+            id: randomUUID().slice(0, 8),
+            timestamp: Date.now(),
+            source: 'baby-browser',
+            ...(selector ? { selector } : {}),
+            url: headless.list().find(t => t.tab_id === id)?.url,
+          };
+          setScreenshot(meta, png);
+          broadcast({ type: 'screenshot-added', meta });
+          return `Screenshot saved to ${getScreenshotPath(meta.id)} (screenshot id ${meta.id})`;
+        });
       },
     },
   };
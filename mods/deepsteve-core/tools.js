@@ -4,6 +4,8 @@ const path = require('path');
 const { execFileSync } = require('child_process');
 const { mergeWorktree } = require('./merge-worktree');
 const { stateDir, spawnCwdProblem } = require('../../paths');
+const { isRemotePath } = require('../../remote-path');
+const { roleAtLeast } = require('../../users');
 const { splitAtMarker, capOutput, createRunLog } = require('../../terminal-run');
 
 // git via execFile with an argv array — no shell, so no quoting/injection concerns
@@ -53,11 +55,22 @@ function refuseCwdProblem(problem) {
   };
 }
 
+// A `host:/path` cwd (a caller running on a remote host) is checked on that host by
+// the ssh engine at spawn, not stat'ed here.
 function refuseMissingCwd(cwd) {
-  const problem = spawnCwdProblem(cwd);
+  const problem = isRemotePath(cwd) ? null : spawnCwdProblem(cwd);
   return problem ? refuseCwdProblem(problem) : null;
 }
 
+// What a shell entry records as its engineType. Keyed on the engine spawnSession
+// RETURNED — it can differ from the one asked for (a tmux → node-pty fallback, or a
+// `host:/path` cwd routed to that host's ssh engine), and every later write, resize
+// and kill goes to the recorded engine.
+function engineTypeName(eng) {
+  const name = eng && eng.constructor.name;
+  return { TmuxEngine: 'tmux', SshEngine: 'ssh', ContainerEngine: 'container' }[name] || 'node-pty';
+}
+
 // Control keys meta_type can send (#519). Values are the raw bytes written to the
 // PTY — both engines pass them through unchanged. `C-a`…`C-z` map to control chars.
 const KEY_MAP = {
@@ -81,6 +94,20 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 // how long to let the echo/redraw reach the scrollback before reading it back.
 const TIMINGS = { keyGapMs: 250, settleMs: 500, waitForIdleMs: 30000, idlePollMs: 250 };
 
+// Each control byte is its own engine write with a gap — Ink only recognizes
+// control keys that arrive as separate stdin reads (same reason submitToShell
+// defers Enter). Shared with the approvals inbox (mods/approvals), which answers
+// permission dialogs with these same writes. false when the session closed mid-send.
+async function writeKeys(shells, id, bytes) {
+  const entry = shells.get(id);
+  for (const b of bytes) {
+    if (!entry || shells.get(id) !== entry) return false;
+    entry.engine.write(id, b);
+    await sleep(TIMINGS.keyGapMs);
+  }
+  return true;
+}
+
 // run_in_terminal knobs (#631), exported alongside TIMINGS for the same reason.
 // maxWatchMs is an absolute ceiling on the poll loop, independent of the caller's
 // timeout: the tool call may return long before the command does, and a watcher whose
@@ -112,7 +139,7 @@ function init(context) {
     reloadClients, deliverToWindow, settings, log, isShuttingDown,
     emitSessionOpen,
     stripEscapeSequences, readTerminalScreen, sessionInputState, maybeInheritRemoteControl, requestMetaControlsConsent,
-    armSessionAutoClose,
+    armSessionAutoClose, sessionLog,
   } = context;
 
   // Read the interpreted terminal buffer maintained at the PTY boundary. Tests
@@ -196,6 +223,13 @@ function init(context) {
         wait_for_idle: z.boolean().optional().describe('If the session is busy, wait (up to 30s) for it to reach its input prompt before typing; on timeout nothing is typed and the result says so. Recommended when targeting an agent session that may be mid-task.'),
       },
       handler: async ({ text, keys, session_id, submit, clear_first, wait_for_idle }, extra) => {
+        // Typing into any session is an install-wide power, so a named user (users.js)
+        // needs the admin role; authGate puts the caller's role in authInfo.scopes. Agents
+        // authenticate with the install token, which is always admin.
+        const role = extra?.authInfo?.scopes?.[0];
+        if (role && !roleAtLeast(role, 'admin')) {
+          return { content: [{ type: 'text', text: `meta_type needs the admin role; ${extra.authInfo.clientId} is ${role}.` }], isError: true };
+        }
         const callerId = extra?.requestInfo?.url?.searchParams?.get('shellId');
         const targetId = session_id || callerId;
         if (!text && (!keys || keys.length === 0)) {
@@ -247,16 +281,9 @@ function init(context) {
           }
         }
 
-        // Each control byte is its own engine write with a gap — Ink only
-        // recognizes control keys that arrive as separate stdin reads (same
-        // reason submitToShell defers Enter).
         const allKeyBytes = [...(clear_first ? [KEY_MAP.Escape] : []), ...keyBytes];
-        for (const b of allKeyBytes) {
-          if (!shells.has(targetId)) {
-            return { content: [{ type: 'text', text: `Session "${targetId}" closed mid-send.` }] };
-          }
-          entry.engine.write(targetId, b);
-          await sleep(TIMINGS.keyGapMs);
+        if (!(await writeKeys(shells, targetId, allKeyBytes))) {
+          return { content: [{ type: 'text', text: `Session "${targetId}" closed mid-send.` }] };
         }
 
         const doSubmit = text ? submit !== false : false;
@@ -348,6 +375,9 @@ function init(context) {
           // rather than being silently forced off.
           autopilot,
         });
+        if (result.error?.code === 'sandbox-unavailable') {
+          return { content: [{ type: 'text', text: result.error.message }], isError: true };
+        }
         if (result.error) return refuseCwdProblem(result.error);
         return { content: [{ type: 'text', text: JSON.stringify({ id: result.id, name: result.name, cwd: result.cwd, worktree: result.worktree, autopilot: result.autopilot }) }] };
       },
@@ -414,6 +444,7 @@ function init(context) {
         // this, and this line is the only evidence of the call rate — which is what a
         // daemon-side backstop would have to be justified by.
         log(`[MCP] issue_complete: ${callerId} autopilot=${on ? 'on' : 'off'} -> ${payload.next}`);
+        sessionLog?.emit('event', { type: 'issue_complete', ts: Date.now(), session_id: callerId, name: caller.name || null, cwd: caller.cwd || null, worktree: caller.worktree || null, autopilot: on, next: payload.next });
         return { content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }] };
       },
     },
@@ -435,6 +466,7 @@ function init(context) {
         }
         const result = mergeWorktree({ git: runGit, worktreeCwd: cwd, repoRoot, target });
         log(`[MCP] merge_worktree: ${result.branch || '?'} -> ${result.target || '?'} = ${result.status}`);
+        sessionLog?.emit('event', { type: 'merge_worktree', ts: Date.now(), session_id: callerId, name: caller.name || null, cwd: repoRoot, branch: result.branch || null, target: result.target || null, status: result.status });
         // #627: a successful merge FINISHES this worktree session, so the daemon arms
         // the close here rather than trusting the agent to remember step 9 — it doesn't
         // (30/30 in #609, and again on Opus 5 after the prose had been strengthened as
@@ -528,10 +560,9 @@ function init(context) {
           const hasCommand = rawCommand.length > 0;
           // Auto-name the tab from the command when no explicit name was given.
           const tabName = name || (hasCommand ? deriveTabName(rawCommand) : undefined);
-          const shellEngine = getDefaultEngine();
-          const shellEngineType = shellEngine.constructor.name === 'TmuxEngine' ? 'tmux' : 'node-pty';
+          const shellEngine = spawnSession(getDefaultEngine(), id, 'terminal', [], effectiveCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name: tabName, windowId, cwd: effectiveCwd, agentType: 'terminal', configDir: effectiveConfigDir }) }) || getDefaultEngine();
+          const shellEngineType = engineTypeName(shellEngine);
           log(`[MCP] open_terminal (shell): id=${id}, engine=${shellEngineType}, cwd=${effectiveCwd}, caller=${session_id}${hasCommand ? `, command=${JSON.stringify(rawCommand)}` : ''}`);
-          spawnSession(shellEngine, id, 'terminal', [], effectiveCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name: tabName, windowId, cwd: effectiveCwd, agentType: 'terminal', configDir: effectiveConfigDir }) });
           shells.set(id, {
             clients: new Set(), cwd: effectiveCwd,
             claudeSessionId: null, agentType: 'terminal',
@@ -604,13 +635,12 @@ function init(context) {
 
         const tabName = name || (validatedWorktree ? validatedWorktree : undefined);
 
-        const sessionEngine2 = getDefaultEngine();
-        const engineType2 = sessionEngine2.constructor.name === 'TmuxEngine' ? 'tmux' : 'node-pty';
-        log(`[MCP] open_terminal: id=${id}, agent=${effectiveAgentType}, engine=${engineType2}, worktree=${validatedWorktree || 'none'}, cwd=${spawnCwd}, caller=${session_id}`);
         // Forked sessions don't pass --permission-mode plan in spawnArgs, so record
         // planMode=false for them regardless of the caller-supplied plan_mode arg.
         const recordedPlanMode = (fork && caller.claudeSessionId && effectiveAgentType === 'claude') ? false : !!plan_mode;
-        spawnSession(sessionEngine2, id, effectiveAgentType, spawnArgs, spawnCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name: tabName, worktree: validatedWorktree, windowId, cwd: spawnCwd, agentType: effectiveAgentType, configDir: effectiveConfigDir, codexHomeId }) });
+        const sessionEngine2 = spawnSession(getDefaultEngine(), id, effectiveAgentType, spawnArgs, spawnCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name: tabName, worktree: validatedWorktree, windowId, cwd: spawnCwd, agentType: effectiveAgentType, configDir: effectiveConfigDir, codexHomeId }) }) || getDefaultEngine();
+        const engineType2 = engineTypeName(sessionEngine2);
+        log(`[MCP] open_terminal: id=${id}, agent=${effectiveAgentType}, engine=${engineType2}, worktree=${validatedWorktree || 'none'}, cwd=${spawnCwd}, caller=${session_id}`);
         shells.set(id, {
           clients: new Set(), cwd: spawnCwd,
           claudeSessionId, agentType: effectiveAgentType,
@@ -704,15 +734,13 @@ function init(context) {
         const tabName = name || deriveTabName(rawCommand);
         const startedAt = Date.now();
 
-        const shellEngine = getDefaultEngine();
-        const shellEngineType = shellEngine.constructor.name === 'TmuxEngine' ? 'tmux' : 'node-pty';
-        log(`[MCP] run_in_terminal: id=${id}, engine=${shellEngineType}, cwd=${effectiveCwd}, caller=${callerId}, command=${JSON.stringify(rawCommand)}`);
-
-        spawnSession(shellEngine, id, 'terminal', [], effectiveCwd, {
+        const shellEngine = spawnSession(getDefaultEngine(), id, 'terminal', [], effectiveCwd, {
           cols: 120, rows: 40,
           env: sessionEnv(id, { name: tabName, windowId, cwd: effectiveCwd, agentType: 'terminal', configDir: effectiveConfigDir }),
           runCommand: rawCommand, runNonce: nonce,
-        });
+        }) || getDefaultEngine();
+        const shellEngineType = engineTypeName(shellEngine);
+        log(`[MCP] run_in_terminal: id=${id}, engine=${shellEngineType}, cwd=${effectiveCwd}, caller=${callerId}, command=${JSON.stringify(rawCommand)}`);
         shells.set(id, {
           clients: new Set(), cwd: effectiveCwd,
           claudeSessionId: null, agentType: 'terminal',
@@ -897,4 +925,4 @@ function registerRoutes(app) {
   });
 }
 
-module.exports = { init, registerRoutes, deriveTabName, TIMINGS, RUN_TIMINGS };
+module.exports = { init, registerRoutes, deriveTabName, writeKeys, TIMINGS, RUN_TIMINGS };
@@ -1,20 +1,35 @@
-// Tiny, dependency-free 5-field cron for the scheduled-tasks mod.
+// Tiny, dependency-free cron for the scheduled-tasks mod.
 //
-// Fields (standard Vixie cron), all evaluated in the daemon's LOCAL time:
-//   ┌─────── minute        (0-59)
-//   │ ┌───── hour          (0-23)
-//   │ │ ┌─── day-of-month  (1-31)
-//   │ │ │ ┌─ month         (1-12)
-//   │ │ │ │ ┌ day-of-week  (0-6, 0=Sunday; 7 also accepted as Sunday)
-//   * * * * *
+// Fields (standard Vixie cron, plus an optional leading seconds field):
+//   ┌───────── second        (0-59)  optional — 6 fields when present
+//   │ ┌─────── minute        (0-59)
+//   │ │ ┌───── hour          (0-23)
+//   │ │ │ ┌─── day-of-month  (1-31)
+//   │ │ │ │ ┌─ month         (1-12 or JAN-DEC)
+//   │ │ │ │ │ ┌ day-of-week  (0-6 or SUN-SAT, 0=Sunday; 7 also accepted as Sunday)
+//   * * * * * *
 //
-// Per-field syntax: `*`, `n`, `a,b,c`, `a-b`, `*/n`, `a-b/n`.
+// Per-field syntax: `*`, `n`, `a,b,c`, `a-b`, `*/n`, `a-b/n`, `a/n` (a, then every n
+// up to the field's max). Names are case-insensitive and work anywhere a number does.
+// `?` is `*` in the two day fields (Quartz spelling). The day fields also take:
+//   day-of-month  `L` last day, `L-3` three days before it, `15W` the weekday nearest
+//                 the 15th (never crossing into another month), `LW` the last weekday
+//   day-of-week   `FRI#2` / `5#2` the second Friday of the month, `FRIL` / `5L` the last
+//
+// Macros: @yearly (@annually), @monthly, @weekly, @daily (@midnight), @hourly.
 //
 // Day-of-month / day-of-week follow the classic cron rule: when BOTH are
 // restricted (neither is `*`), a match on EITHER field fires the job; if one is
 // `*` the other simply applies (AND).
+//
+// Times are wall-clock times in `timezone` (an IANA name), or in the daemon's local
+// time when there is none. Across a DST change a job fires once per wall-clock time:
+// a time the clocks skip (02:30 on spring-forward night) fires at the same distance
+// past the jump (03:30), and a time that happens twice (01:30 on fall-back night)
+// fires the first time only.
 
 const FIELD_RANGES = [
+  { name: 'second', min: 0, max: 59 },
   { name: 'minute', min: 0, max: 59 },
   { name: 'hour', min: 0, max: 23 },
   { name: 'dom', min: 1, max: 31 },
@@ -23,16 +38,72 @@ const FIELD_RANGES = [
 ];
 
 const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_ABBR = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_ABBR = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// How far nextRun looks before calling an expression unsatisfiable. Five years is
+// the shortest span that always contains a Feb 29 and every `#5` / `L-n` shape.
+const SEARCH_YEARS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// JAN → 1, MON → 1. Replaced before parsing, so `MON-FRI`, `JAN,JUL` and `FRI#2` all
+// reduce to the numeric forms. Anything else alphabetic is left for the parser to
+// reject by name.
+function replaceNames(raw, names, base) {
+  return raw.replace(/[A-Za-z]{3}/g, (w) => {
+    const i = names.indexOf(w.toUpperCase());
+    return i === -1 ? w : String(i + base);
+  });
+}
 
-// Parse one field into a Set of allowed integers. `star` is tracked so the
-// dom/dow OR-rule can tell a restricted field from an unrestricted `*`.
-function parseField(raw, { min, max }) {
+// Parse one field into a Set of allowed integers, plus the day-field specials that
+// can't be a fixed set (`L`, `15W`, `FRI#2` depend on the month). `star` is tracked so
+// the dom/dow OR-rule can tell a restricted field from an unrestricted `*`.
+function parseField(raw, { name, min, max }) {
   const set = new Set();
+  const specials = [];
   let star = false;
-  for (const part of String(raw).split(',')) {
-    const token = part.trim();
+  let text = String(raw);
+  if (name === 'month') text = replaceNames(text, MONTH_ABBR, 1);
+  // SUN closing a range is 7, not 0, so `FRI-SUN` reads as the `5-7` it means.
+  if (name === 'dow') text = replaceNames(text.replace(/(?<!SUN)-SUN\b/gi, '-7'), DAY_ABBR, 0);
+  for (const part of text.split(',')) {
+    const token = part.trim().toUpperCase();
     if (token === '') throw new Error(`Empty cron field component in "${raw}"`);
 
+    if (name === 'dom') {
+      let m;
+      if ((m = /^L(?:-(\d+))?$/.exec(token))) { specials.push({ kind: 'last', offset: Number(m[1] || 0) }); continue; }
+      if (token === 'LW') { specials.push({ kind: 'lastWeekday' }); continue; }
+      if ((m = /^(\d+)W$/.exec(token))) {
+        const day = Number(m[1]);
+        if (day < 1 || day > 31) throw new Error(`Cron value out of range (1-31) in "${raw}"`);
+        specials.push({ kind: 'nearestWeekday', day });
+        continue;
+      }
+    }
+    if (name === 'dow') {
+      let m;
+      if ((m = /^([0-7])L$/.exec(token))) { specials.push({ kind: 'lastDow', dow: Number(m[1]) % 7 }); continue; }
+      if ((m = /^([0-7])#(\d)$/.exec(token))) {
+        const n = Number(m[2]);
+        if (n < 1 || n > 5) throw new Error(`Cron "#" must be 1-5 (the nth weekday of the month) in "${raw}"`);
+        specials.push({ kind: 'nthDow', dow: Number(m[1]) % 7, n });
+        continue;
+      }
+    }
+
     // Split off an optional step: `<range>/<n>`
     let stepStr = null;
     let rangeStr = token;
@@ -46,7 +117,7 @@ function parseField(raw, { min, max }) {
     if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${stepStr}" in "${raw}"`);
 
     let lo, hi;
-    if (rangeStr === '*') {
+    if (rangeStr === '*' || (rangeStr === '?' && (name === 'dom' || name === 'dow'))) {
       star = true;
       lo = min;
       hi = max;
@@ -56,65 +127,189 @@ function parseField(raw, { min, max }) {
       hi = Number(b);
     } else {
       lo = hi = Number(rangeStr);
+      if (stepStr !== null) hi = max; // `a/n`: from a to the end of the field
     }
 
     if (!Number.isInteger(lo) || !Number.isInteger(hi)) throw new Error(`Invalid cron value "${rangeStr}" in "${raw}"`);
-    // Accept 7 as Sunday for the day-of-week field before the range check.
-    if (max === 6) {
-      if (lo === 7) lo = 0;
-      if (hi === 7) hi = 0;
+    // Day-of-week takes 7 for Sunday as well as 0, so it is range-checked against
+    // 0-7 (`5-7` is Friday to Sunday) and 7 folds into 0 only in the set. `7/n`
+    // starts on Sunday and runs to Saturday, as `0/n` does.
+    let top = max;
+    if (name === 'dow') {
+      top = 7;
+      if (lo === 7 && hi < 7) lo = 0;
     }
     if (lo > hi) throw new Error(`Descending cron range "${rangeStr}" in "${raw}"`);
-    if (lo < min || hi > max) throw new Error(`Cron value out of range (${min}-${max}) in "${raw}"`);
+    if (lo < min || hi > top) throw new Error(`Cron value out of range (${min}-${top}) in "${raw}"`);
 
-    for (let v = lo; v <= hi; v += step) set.add(v);
+    for (let v = lo; v <= hi; v += step) set.add(name === 'dow' ? v % 7 : v);
   }
-  return { set, star };
+  return { set, star, specials };
 }
 
-// Parse a 5-field cron string. Throws on anything malformed.
+// Parse a 5-field (or 6-field, with seconds) cron string, or a macro. Throws on
+// anything malformed.
 function parseCron(str) {
   if (typeof str !== 'string') throw new Error('Cron expression must be a string');
-  const fields = str.trim().split(/\s+/);
-  if (fields.length !== 5) throw new Error(`Cron expression must have 5 fields, got ${fields.length}: "${str}"`);
-  const parsed = { raw: str.trim() };
-  for (let i = 0; i < 5; i++) {
+  const trimmed = str.trim();
+  let expr = trimmed;
+  if (expr.startsWith('@')) {
+    expr = MACROS[expr.toLowerCase()];
+    if (!expr) throw new Error(`Unknown cron macro "${trimmed}" (supported: ${Object.keys(MACROS).join(', ')})`);
+  }
+  const fields = expr.split(/\s+/);
+  if (fields.length !== 5 && fields.length !== 6) {
+    throw new Error(`Cron expression must have 5 fields (or 6, with seconds first), got ${fields.length}: "${str}"`);
+  }
+  const hasSeconds = fields.length === 6;
+  if (!hasSeconds) fields.unshift('0');
+  const parsed = { raw: trimmed, hasSeconds };
+  for (let i = 0; i < 6; i++) {
     parsed[FIELD_RANGES[i].name] = parseField(fields[i], FIELD_RANGES[i]);
   }
   return parsed;
 }
 
-// Does a local-time Date satisfy a parsed (or string) cron expression?
-function matches(cron, date) {
-  const c = typeof cron === 'string' ? parseCron(cron) : cron;
-  if (!c.minute.set.has(date.getMinutes())) return false;
-  if (!c.hour.set.has(date.getHours())) return false;
-  if (!c.month.set.has(date.getMonth() + 1)) return false;
+/**
+ * An IANA timezone name, canonicalized ("europe/london" → "Europe/London"); null
+ * for none (local time). Throws on a name the runtime doesn't know.
+ */
+function normalizeTimezone(tz) {
+  if (tz === undefined || tz === null || String(tz).trim() === '') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: String(tz).trim() }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown timezone "${tz}" — use an IANA name such as "Europe/London"`);
+  }
+}
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
 
-  const domOk = c.dom.set.has(date.getDate());
-  const dowOk = c.dow.set.has(date.getDay());
+// (instant ms) → that instant's UTC offset in ms in `timezone`, or in local time.
+function offsetFn(timezone) {
+  if (!timezone) return (t) => -new Date(t).getTimezoneOffset() * 60e3;
+  let fmt = formatters.get(timezone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    formatters.set(timezone, fmt);
+  }
+  return (t) => {
+    const p = {};
+    for (const { type, value } of fmt.formatToParts(t)) p[type] = Number(value);
+    const whole = Math.floor(t / 1000) * 1000;
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - whole;
+  };
+}
+
+// Wall-clock time (encoded as if it were UTC) → the instant it names. Offsets are
+// sampled a day either side — no zone changes offset twice in two days — and a wall
+// time is real under an offset when that offset is in force at the result. Two real
+// answers: the hour repeated at fall-back, take the first. None: the hour skipped at
+// spring-forward, read it with the offset from before the jump, which lands as far
+// past the jump as the time was into the gap.
+function wallToInstant(wall, offset) {
+  const before = offset(wall - DAY_MS);
+  const after = offset(wall + DAY_MS);
+  const real = [before, after].map(o => wall - o).filter(t => offset(t) === wall - t);
+  return real.length ? Math.min(...real) : wall - before;
+}
+
+function daysInMonth(year, month) { return new Date(Date.UTC(year, month, 0)).getUTCDate(); }
+
+function domSpecialMatches(sp, year, month, day) {
+  const last = daysInMonth(year, month);
+  if (sp.kind === 'last') return day === last - sp.offset;
+  if (sp.kind === 'lastWeekday') {
+    const dow = new Date(Date.UTC(year, month - 1, last)).getUTCDay();
+    return day === (dow === 6 ? last - 1 : dow === 0 ? last - 2 : last);
+  }
+  // nearestWeekday: a Saturday moves back to Friday and a Sunday on to Monday,
+  // unless that would leave the month — then it goes the other way.
+  if (sp.day > last) return false;
+  const dow = new Date(Date.UTC(year, month - 1, sp.day)).getUTCDay();
+  let target = sp.day;
+  if (dow === 6) target = sp.day === 1 ? 3 : sp.day - 1;
+  else if (dow === 0) target = sp.day === last ? sp.day - 2 : sp.day + 1;
+  return day === target;
+}
+
+function dowSpecialMatches(sp, year, month, day, dow) {
+  if (dow !== sp.dow) return false;
+  if (sp.kind === 'lastDow') return day + 7 > daysInMonth(year, month);
+  return Math.ceil(day / 7) === sp.n;
+}
+
+function dayMatches(c, year, month, day) {
+  const dow = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domOk = c.dom.set.has(day) || c.dom.specials.some(sp => domSpecialMatches(sp, year, month, day));
+  const dowOk = c.dow.set.has(dow) || c.dow.specials.some(sp => dowSpecialMatches(sp, year, month, day, dow));
   // Classic rule: both restricted → OR; otherwise the restricted one applies.
   if (!c.dom.star && !c.dow.star) return domOk || dowOk;
   return domOk && dowOk;
 }
 
-// Next fire time strictly after `from`, as epoch ms. Steps minute-by-minute
-// (cron granularity is a minute) with a ~400-day cap so an unsatisfiable
-// expression returns null instead of looping forever. Only called on
-// save/run/load — never in the hot tick path.
-function nextRun(cron, from = new Date()) {
+// Does a Date satisfy a parsed (or string) cron expression, read in `timezone`
+// (local time when omitted)?
+function matches(cron, date, { timezone = null } = {}) {
   const c = typeof cron === 'string' ? parseCron(cron) : cron;
-  const d = new Date(from);
-  d.setSeconds(0, 0);
-  d.setMinutes(d.getMinutes() + 1); // strictly after `from`
-  const capMs = d.getTime() + 400 * 24 * 60 * 60 * 1000;
-  while (d.getTime() <= capMs) {
-    if (matches(c, d)) return d.getTime();
-    d.setMinutes(d.getMinutes() + 1);
+  const t = new Date(date).getTime();
+  const w = new Date(t + offsetFn(timezone)(t));
+  if (!c.second.set.has(w.getUTCSeconds())) return false;
+  if (!c.minute.set.has(w.getUTCMinutes())) return false;
+  if (!c.hour.set.has(w.getUTCHours())) return false;
+  if (!c.month.set.has(w.getUTCMonth() + 1)) return false;
+  return dayMatches(c, w.getUTCFullYear(), w.getUTCMonth() + 1, w.getUTCDate());
+}
+
+// Next fire time strictly after `from`, as epoch ms, or null when the expression
+// can't match within SEARCH_YEARS (e.g. "0 0 30 2 *"). Walks wall-clock time a
+// field at a time — a month that can't match is skipped whole, then a day, an hour,
+// a minute — so even a once-a-year expression takes a few hundred steps, and only
+// converts to an instant once every field matches.
+function nextRun(cron, from = new Date(), { timezone = null } = {}) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const offset = offsetFn(timezone);
+  const fromMs = new Date(from).getTime();
+  let w = Math.floor((fromMs + offset(fromMs)) / 1000) * 1000 + 1000; // strictly after `from`
+  const limit = w + SEARCH_YEARS * 366 * DAY_MS;
+  while (w <= limit) {
+    const d = new Date(w);
+    const y = d.getUTCFullYear();
+    const mo = d.getUTCMonth();
+    const day = d.getUTCDate();
+    const h = d.getUTCHours();
+    const mi = d.getUTCMinutes();
+    if (!c.month.set.has(mo + 1)) { w = Date.UTC(y, mo + 1, 1); continue; }
+    if (!dayMatches(c, y, mo + 1, day)) { w = Date.UTC(y, mo, day + 1); continue; }
+    if (!c.hour.set.has(h)) { w = Date.UTC(y, mo, day, h + 1); continue; }
+    if (!c.minute.set.has(mi)) { w = Date.UTC(y, mo, day, h, mi + 1); continue; }
+    if (!c.second.set.has(d.getUTCSeconds())) { w += 1000; continue; }
+    // A wall time inside the repeated fall-back hour can name an instant before
+    // `from` (it already fired on the first pass) — keep looking.
+    const t = wallToInstant(w, offset);
+    if (t > fromMs) return t;
+    w += 1000;
   }
   return null;
 }
 
+// The next `count` fire times after `from` — the panel's and list_scheduled_tasks'
+// preview. Shorter than `count` when the expression runs out.
+function nextRuns(cron, from = new Date(), count = 10, opts = {}) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const out = [];
+  let at = new Date(from).getTime();
+  while (out.length < count) {
+    at = nextRun(c, at, opts);
+    if (at == null) break;
+    out.push(at);
+  }
+  return out;
+}
+
 // Human-readable summary for common shapes; falls back to the raw expression.
 function describe(cron) {
   let c;
@@ -126,22 +321,41 @@ function describe(cron) {
   const raw = c.raw;
   const pad = (n) => String(n).padStart(2, '0');
   const single = (f) => (f.set.size === 1 ? [...f.set][0] : null);
+  // `*/2` also counts as a star for the dom/dow rule, so "every" needs the whole range.
+  const every = (f, n) => f.star && f.set.size === n;
   const min = single(c.minute);
   const hr = single(c.hour);
   const dom = single(c.dom);
-  const dow = single(c.dow);
   const hasTime = min !== null && hr !== null;
   const time = hasTime ? `${pad(hr)}:${pad(min)}` : null;
 
-  if (raw === '* * * * *') return 'Every minute';
+  // Seconds other than :00 are rare enough that the expression says it best.
+  if (single(c.second) !== 0) return raw;
+  const everyDay = every(c.dom, 31) && every(c.month, 12) && every(c.dow, 7);
+  if (every(c.minute, 60) && every(c.hour, 24) && everyDay) return 'Every minute';
   // Every hour at :MM
-  if (min !== null && c.hour.star && c.dom.star && c.month.star && c.dow.star) {
+  if (min !== null && every(c.hour, 24) && everyDay) {
     return `Every hour at :${pad(min)}`;
   }
-  if (hasTime && c.month.star) {
+  if (hasTime && every(c.month, 12)) {
+    // One month-relative day (`L`, `15W`, `FRI#2`) and nothing else.
+    const domSp = c.dom.specials.length === 1 && !c.dom.set.size ? c.dom.specials[0] : null;
+    const dowSp = c.dow.specials.length === 1 && !c.dow.set.size ? c.dow.specials[0] : null;
+    if (domSp && c.dow.star) {
+      if (domSp.kind === 'last') return domSp.offset ? `Monthly ${domSp.offset} days before the last day at ${time}` : `Monthly on the last day at ${time}`;
+      if (domSp.kind === 'lastWeekday') return `Monthly on the last weekday at ${time}`;
+      return `Monthly on the weekday nearest day ${domSp.day} at ${time}`;
+    }
+    if (dowSp && c.dom.star) {
+      const which = dowSp.kind === 'lastDow' ? 'last' : ORDINALS[dowSp.n];
+      return `Every ${which} ${DAY_NAMES[dowSp.dow]} of the month at ${time}`;
+    }
+    if (c.dom.specials.length || c.dow.specials.length) return raw;
     // Weekly (dow restricted, dom not)
     if (!c.dow.star && c.dom.star) {
-      const days = [...c.dow.set].sort((a, b) => a - b).map((d) => DAY_NAMES[d]);
+      const sorted = [...c.dow.set].sort((a, b) => a - b);
+      if (sorted.join(',') === '1,2,3,4,5') return `Every weekday at ${time}`;
+      const days = sorted.map((d) => DAY_NAMES[d]);
       const label = days.length === 1 ? days[0] : days.join(', ');
       return `Every ${label} at ${time}`;
     }
@@ -150,11 +364,11 @@ function describe(cron) {
       return `Monthly on day ${dom} at ${time}`;
     }
     // Daily
-    if (c.dom.star && c.dow.star) {
+    if (every(c.dom, 31) && every(c.dow, 7)) {
       return `Every day at ${time}`;
     }
   }
   return raw;
 }
 
-module.exports = { parseCron, matches, nextRun, describe };
+module.exports = { parseCron, matches, nextRun, nextRuns, describe, normalizeTimezone, MACROS };
@@ -0,0 +1,214 @@
+// Event-driven schedules for the scheduled-tasks mod — a task that fires when
+// something happens instead of at a cron time. A task has either a `cron` or an
+// `event`, never both:
+//
+//   { type: 'files',  glob: 'src/**/*.ts' }    a file matching the glob (relative to
+//                                               the project) was added, changed or removed
+//   { type: 'commit', branch: 'main' }          the branch points at a new commit — any
+//                                               ref git can resolve, so 'origin/main'
+//                                               fires after a fetch
+//   { type: 'idle',   minutes: 30 }             nobody has touched the machine for N minutes
+//   { type: 'after',  task: '<id>', status: 'succeeded' | 'failed' | 'any' }
+//                                               another task's run ended that way (chaining)
+//
+// Everything here is pure or takes its I/O as an argument; the polling itself (the
+// scheduler tick, git, the idle probe) lives in tools.js. Files and commits are
+// POLLED on the tick, not watched: fs.watch on a whole repo is unreliable across
+// platforms and holds a descriptor per directory on Linux, and a 30s answer is fine
+// for "the tests changed, go look".
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['files', 'commit', 'idle', 'after'];
+const CHAIN_STATUSES = ['succeeded', 'failed', 'any'];
+// A scan that has to look at more files than this is almost certainly a glob that
+// reaches into build output; it still fingerprints what it saw, and says so.
+const MAX_SCAN_ENTRIES = 20000;
+// Never descended into: VCS internals, dependencies, and the per-run worktrees
+// (#565) — which a files-triggered task's own isolated run writes into.
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+const SKIP_PATHS = ['.claude/worktrees'];
+
+/**
+ * A task's `event` from untrusted input, normalized. Throws on anything unusable,
+ * like cron.parseCron — callers already catch that and answer 400.
+ */
+function parseEvent(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('event must be an object with a type');
+  const type = raw.type;
+  switch (type) {
+    case 'files': {
+      const glob = String(raw.glob || '').trim().replace(/^\.\/+/, '');
+      if (!glob) throw new Error('a files event needs a glob, e.g. "src/**/*.js"');
+      if (path.isAbsolute(glob) || glob.split('/').includes('..')) throw new Error('the glob must stay inside the project');
+      return { type, glob };
+    }
+    case 'commit': {
+      const branch = String(raw.branch || '').trim();
+      // A ref name, not a revision expression: no options, ranges or reflog syntax.
+      if (!branch || branch.startsWith('-') || !/^[A-Za-z0-9._/-]+$/.test(branch) || branch.includes('..')) {
+        throw new Error('a commit event needs a branch name, e.g. "main" or "origin/main"');
+      }
+      return { type, branch };
+    }
+    case 'idle': {
+      const minutes = Math.round(Number(raw.minutes));
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > 24 * 60) throw new Error('an idle event needs minutes between 1 and 1440');
+      return { type, minutes };
+    }
+    case 'after': {
+      const task = String(raw.task || '').trim();
+      if (!task) throw new Error('an after event needs the id of the task to follow');
+      const status = raw.status == null || raw.status === '' ? 'succeeded' : raw.status;
+      if (!CHAIN_STATUSES.includes(status)) throw new Error(`status must be one of ${CHAIN_STATUSES.join(', ')}`);
+      return { type, task, status };
+    }
+    default:
+      throw new Error(`unknown event type "${type}" (expected ${EVENT_TYPES.join(', ')})`);
+  }
+}
+
+/** Human-readable event for the panel and the tools. `taskTitle` names an `after` target. */
+function describeEvent(event, { taskTitle } = {}) {
+  if (!event) return '';
+  switch (event.type) {
+    case 'files': return `When ${event.glob} changes`;
+    case 'commit': return `On a new commit to ${event.branch}`;
+    case 'idle': return `After ${event.minutes} min idle`;
+    case 'after': {
+      const what = taskTitle ? `"${taskTitle}"` : `task ${event.task}`;
+      return event.status === 'any' ? `After ${what} ends` : `After ${what} ${event.status}`;
+    }
+    default: return String(event.type);
+  }
+}
+
+/**
+ * Glob → RegExp over '/'-separated relative paths. `**` spans directories (and
+ * `**\/` may match none), `*` and `?` stay within one segment, `{a,b}` alternates.
+ * A glob with no '/' matches at any depth, the way .gitignore reads `*.log`.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  let depth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        re += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') re += '[^/]';
+    else if (c === '{') { re += '(?:'; depth++; }
+    else if (c === '}' && depth) { re += ')'; depth--; }
+    else if (c === ',' && depth) re += '|';
+    else re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+  }
+  const anyDepth = !glob.includes('/');
+  return new RegExp(`^${anyDepth ? '(?:.*/)?' : ''}${re}$`);
+}
+
+// The directory a glob can't match outside of: its leading segments with no
+// wildcard in them. The walk starts there instead of at the project root.
+function globBase(glob) {
+  if (!glob.includes('/')) return '';
+  const segs = glob.split('/');
+  const fixed = [];
+  for (const s of segs.slice(0, -1)) {
+    if (/[*?{]/.test(s)) break;
+    fixed.push(s);
+  }
+  return fixed.join('/');
+}
+
+/**
+ * The files under `root` matching `glob`, as Map(relPath → "mtimeMs:size"), read
+ * asynchronously so a big tree never holds the event loop. `fsp` is injectable for
+ * tests. Resolves { files, truncated }.
+ */
+async function scanFiles(root, glob, { fsp = fs.promises, maxEntries = MAX_SCAN_ENTRIES } = {}) {
+  const match = globToRegExp(glob);
+  const files = new Map();
+  let seen = 0;
+  let truncated = false;
+  const walk = async (rel) => {
+    let entries;
+    try { entries = await fsp.readdir(path.join(root, rel), { withFileTypes: true }); }
+    catch { return; } // a directory removed mid-walk, or unreadable — skip it
+    for (const ent of entries) {
+      if (++seen > maxEntries) { truncated = true; return; }
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) {
+        if (SKIP_DIRS.has(ent.name) || SKIP_PATHS.includes(childRel)) continue;
+        await walk(childRel);
+        if (truncated) return;
+      } else if (ent.isFile() && match.test(childRel)) {
+        try {
+          const st = await fsp.stat(path.join(root, childRel));
+          files.set(childRel, `${st.mtimeMs}:${st.size}`);
+        } catch { /* gone between readdir and stat */ }
+      }
+    }
+  };
+  await walk(globBase(glob));
+  return { files, truncated };
+}
+
+/** A stable hash of a scan, small enough to persist on the task between restarts. */
+function fingerprint(files) {
+  const h = crypto.createHash('sha1');
+  for (const key of [...files.keys()].sort()) h.update(`${key}\0${files.get(key)}\n`);
+  return h.digest('hex');
+}
+
+/** What changed between two scans: { added, changed, removed }, each sorted. */
+function diffScans(before, after) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+  for (const [k, v] of after) {
+    if (!before.has(k)) added.push(k);
+    else if (before.get(k) !== v) changed.push(k);
+  }
+  for (const k of before.keys()) if (!after.has(k)) removed.push(k);
+  return { added: added.sort(), changed: changed.sort(), removed: removed.sort() };
+}
+
+/** Whether a run that ended with `run` satisfies an `after` event's status. */
+function chainMatches(event, run) {
+  if (!event || event.type !== 'after' || !run) return false;
+  if (event.status === 'any') return true;
+  if (event.status === 'succeeded') return run.status === 'succeeded';
+  // 'failed' is every way a run can end without succeeding: it said so, it ran out
+  // of time, or it closed without reporting.
+  return run.status === 'failed' || run.status === 'timed-out' || run.status === 'ended';
+}
+
+/**
+ * One idle sample against an idle event's threshold. An idle stretch fires once:
+ * the event disarms when it fires and re-arms only once the machine has been used
+ * again. Starting disarmed means a daemon restart during a long idle stretch does
+ * not fire a second time. Returns { fire, armed }.
+ */
+function idleStep(armed, idleMs, minutes) {
+  if (idleMs == null) return { fire: false, armed };
+  const over = idleMs >= minutes * 60e3;
+  if (!over) return { fire: false, armed: true };
+  return { fire: !!armed, armed: false };
+}
+
+/** macOS: HIDIdleTime (nanoseconds) from `ioreg -c IOHIDSystem -d 4`, as ms; null if absent. */
+function parseHidIdle(ioregOutput) {
+  const m = /"HIDIdleTime"\s*=\s*(\d+)/.exec(String(ioregOutput || ''));
+  return m ? Math.floor(Number(m[1]) / 1e6) : null;
+}
+
+module.exports = {
+  EVENT_TYPES, CHAIN_STATUSES, parseEvent, describeEvent, globToRegExp, globBase,
+  scanFiles, fingerprint, diffScans, chainMatches, idleStep, parseHidIdle,
+};
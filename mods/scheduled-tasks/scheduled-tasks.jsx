@@ -12,6 +12,53 @@ const FALLBACK_AGENTS = [{ id: 'claude', name: 'claude' }, { id: 'codex', name:
 // offering, with an escape hatch for pinning an exact id (e.g. claude-fable-5).
 const MODEL_ALIASES = ['opus', 'sonnet', 'haiku', 'fable'];
 const EFFORT_LEVELS = ['low', 'medium', 'high', 'xhigh', 'max'];
+// Event-driven schedules (events.js on the server): the panel's labels for each type.
+const EVENT_TYPES = [
+  { id: 'files', name: 'Files change' },
+  { id: 'commit', name: 'New commit' },
+  { id: 'idle', name: 'Machine idle' },
+  { id: 'after', name: 'Another task ends' },
+];
+
+// The form's event state → the `event` the server takes, with only the fields
+// its type reads.
+function buildEvent(ev) {
+  if (ev.type === 'files') return { type: 'files', glob: ev.glob.trim() };
+  if (ev.type === 'commit') return { type: 'commit', branch: ev.branch.trim() };
+  if (ev.type === 'idle') return { type: 'idle', minutes: Number(ev.minutes) || 0 };
+  return { type: 'after', task: ev.task, status: ev.status };
+}
+
+// Workflow steps (workflow.js on the server). The form keeps `after` as the text the
+// user typed — ids, comma-separated, empty meaning "starts with the workflow" — and
+// always sends it, so a step that starts the workflow stays that way on the next edit.
+const FAILURE_POLICIES = [
+  { id: 'stop', name: 'on failure: stop' },
+  { id: 'continue', name: 'on failure: continue' },
+  { id: 'retry', name: 'on failure: retry' },
+];
+
+function stepToForm(s) {
+  return {
+    id: s.id || '', prompt: s.prompt || '', after: (s.after || []).filter((a) => a !== s.forEach).join(', '),
+    forEach: s.forEach || '', onFailure: s.onFailure || 'stop', retries: String(s.retries || 1),
+    maxParallel: String(s.maxParallel || 3), model: s.model || '', effort: s.effort || '',
+  };
+}
+
+function newStepForm(prev, n) {
+  return stepToForm({ id: `step${n}`, after: prev && prev.id ? [prev.id] : [] });
+}
+
+function buildStep(f) {
+  return {
+    id: f.id.trim(), prompt: f.prompt.trim(),
+    after: f.after.split(',').map((a) => a.trim()).filter(Boolean),
+    forEach: f.forEach || null, onFailure: f.onFailure,
+    retries: Number(f.retries) || 1, maxParallel: Number(f.maxParallel) || 3,
+    model: f.model.trim() || null, effort: f.effort || null,
+  };
+}
 
 // A config profile is claude + an alternate config dir, encoded 'config:<id>' in
 // the Agent dropdown exactly like the main new-tab menu does.
@@ -35,6 +82,11 @@ const C = {
   amber: '#d29922',
 };
 
+// Every IANA zone the browser knows, for the form's timezone suggestions. The
+// server validates whatever is typed, so an older browser without the list just
+// loses the suggestions.
+const TIMEZONES = (() => { try { return Intl.supportedValuesOf('timeZone'); } catch { return []; } })();
+
 // --- small time + cron helpers (display + form preview only) ---
 function relTime(ms) {
   if (!ms) return 'n/a';
@@ -214,9 +266,10 @@ function TaskCard({ task, onEdit }) {
         {task.once ? <span style={{ fontSize: 10, color: done ? C.green : C.dim, border: `1px solid ${done ? C.green : C.border}`, borderRadius: 4, padding: '0 4px', whiteSpace: 'nowrap' }}>{done ? 'one-shot ✓' : 'one-shot'}</span> : null}
         <StatusBadge status={last && last.status} />
       </div>
-      <div style={{ fontSize: 12, color: C.dim, marginTop: 3 }}>{task.schedule || task.cron}</div>
+      <div style={{ fontSize: 12, color: C.dim, marginTop: 3 }}>{task.schedule || task.cron}{task.steps && task.steps.length ? ` · workflow, ${task.steps.length} steps` : ''}</div>
       <div style={{ fontSize: 12, marginTop: 4, display: 'flex', gap: 12, flexWrap: 'wrap' }}>
-        {!done ? <span title={absTime(task.nextRun)}>next: <b>{task.enabled ? relTime(task.nextRun) : 'paused'}</b></span> : null}
+        {!done && task.event ? <span>next: <b>{task.enabled ? 'on event' : 'paused'}</b></span> : null}
+        {!done && !task.event ? <span title={absTime(task.nextRun)}>next: <b>{task.enabled ? relTime(task.nextRun) : 'paused'}</b></span> : null}
         {task.lastRun ? <span title={absTime(task.lastRun)}>last: {relTime(task.lastRun)}</span> : null}
       </div>
       <div style={{ display: 'flex', gap: 6, marginTop: 8, flexWrap: 'wrap' }}>
@@ -234,6 +287,7 @@ function TaskCard({ task, onEdit }) {
               <div style={{ fontSize: 11, color: C.dim, display: 'flex', gap: 8 }}>
                 <span>{absTime(r.startedAt)}</span>
                 <StatusBadge status={r.status} />
+                {r.workflow ? <span>{r.workflow.step}{r.workflow.item != null ? ` · ${r.workflow.item}` : ''}{r.workflow.attempt > 1 ? ` (retry ${r.workflow.attempt - 1})` : ''}</span> : null}
                 <span style={{ opacity: 0.6 }}>{r.sessionId}</span>
                 {r.worktree ? <span style={{ opacity: 0.5 }}>{r.worktree}{r.worktreeRemoved ? '' : ' (kept)'}</span> : null}
                 {/* Effective model/effort for this run (#592) — recorded per run so
@@ -270,9 +324,11 @@ function input() {
 function label() { return { fontSize: 12, color: C.dim, marginTop: 10, display: 'block' }; }
 
 // ------------------------------------------------------------------ Task form
-function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
+function TaskForm({ task, projects, agents, tasks = [], defaults = {}, onClose }) {
   const initial = task || {};
   const initForm = cronToForm(initial.cron || '0 9 * * 1');
+  // An event task keeps cron '' — the cron controls start from the default, for
+  // switching it back.
   const [title, setTitle] = useState(initial.title || '');
   const [prompt, setPrompt] = useState(initial.prompt || '');
   const [project, setProject] = useState(initial.project || (projects[0] && projects[0].root) || '');
@@ -290,13 +346,50 @@ function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
   const [isolateWorktree, setIsolateWorktree] = useState(initial.isolateWorktree !== false); // default on (#565)
   const [maxRuntime, setMaxRuntime] = useState(initial.maxRuntimeMinutes != null ? String(initial.maxRuntimeMinutes) : '60'); // #596
   const [once, setOnce] = useState(!!initial.once);
-  const [mode, setMode] = useState(initForm.mode);
+  const [mode, setMode] = useState(initial.event ? 'event' : initForm.mode);
   const [fld, setFld] = useState(initForm.fld);
+  const [timezone, setTimezone] = useState(initial.timezone || '');
+  const [jitter, setJitter] = useState(String(initial.jitterMinutes || 0));
+  // The server's reading of the cron (GET /preview): description, next fire times,
+  // or the parse error. The server is the one cron parser, so the form never
+  // disagrees with what will actually run.
+  const [preview, setPreview] = useState({ times: [] });
+  const [ev, setEv] = useState({ type: 'files', glob: '', branch: 'main', minutes: 30, task: '', status: 'succeeded', ...(initial.event || {}) });
+  const [steps, setSteps] = useState((initial.steps || []).map(stepToForm));
   const [saving, setSaving] = useState(false);
   const [err, setErr] = useState('');
 
   const cronStr = useMemo(() => buildCron(mode, fld), [mode, fld]);
+  useEffect(() => {
+    if (mode === 'event') return undefined;
+    let live = true;
+    const t = setTimeout(() => {
+      api('GET', `/api/scheduled-tasks/preview?cron=${encodeURIComponent(cronStr)}&timezone=${encodeURIComponent(timezone.trim())}`)
+        .then((p) => { if (live) setPreview(p); })
+        .catch(() => {});
+    }, 300);
+    return () => { live = false; clearTimeout(t); };
+  }, [mode, cronStr, timezone]);
+  const fmtFire = (ms) => new Date(ms).toLocaleString([], {
+    timeZone: preview.timezone || undefined, weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
   const setF = (patch) => setFld((p) => ({ ...p, ...patch }));
+  const setE = (patch) => setEv((p) => ({ ...p, ...patch }));
+  const setStep = (i, patch) => setSteps((list) => list.map((st, j) => (j === i ? { ...st, ...patch } : st)));
+  // Splitting a single-prompt task: its prompt becomes the first step, and a second
+  // step is there to fill in.
+  const addStep = () => {
+    if (!steps.length) {
+      const first = { ...newStepForm(null, 1), prompt };
+      setPrompt('');
+      setSteps([first, newStepForm(first, 2)]);
+      return;
+    }
+    setSteps((list) => [...list, newStepForm(list[list.length - 1], list.length + 1)]);
+  };
+  const removeStep = (i) => setSteps((list) => list.filter((_, j) => j !== i));
+  // `after` targets: any other task. Chaining a task to itself is refused server-side.
+  const chainable = tasks.filter((t) => !task || t.id !== task.id);
   // A 'config:<id>' selection IS claude, so every claude-only control below stays
   // enabled for it.
   const { agentType, configProfile } = splitAgentSel(agentSel);
@@ -311,9 +404,12 @@ function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
   const save = async () => {
     setErr('');
     if (!title.trim()) return setErr('Title is required');
-    if (!prompt.trim()) return setErr('Prompt is required');
+    if (!steps.length && !prompt.trim()) return setErr('Prompt is required');
+    if (steps.some((st) => !st.prompt.trim())) return setErr('Every step needs a prompt');
     const proj = project === '__custom__' ? customPath.trim() : project;
-    const body = { title: title.trim(), prompt: prompt.trim(), cron: cronStr, once, project: proj, agentType, configProfile, model: model === '__custom__' ? customModel.trim() : model, effort, planMode, keepOpen, keepOpenOnFailure, isolateWorktree, maxRuntimeMinutes: Number(maxRuntime) || 0 };
+    if (mode === 'event' && ev.type === 'after' && !ev.task) return setErr('Pick the task to run after');
+    const schedule = mode === 'event' ? { cron: '', event: buildEvent(ev) } : { cron: cronStr, event: null };
+    const body = { title: title.trim(), prompt: prompt.trim(), steps: steps.length ? steps.map(buildStep) : null, ...schedule, timezone: timezone.trim(), jitterMinutes: Number(jitter) || 0, once, project: proj, agentType, configProfile, model: model === '__custom__' ? customModel.trim() : model, effort, planMode, keepOpen, keepOpenOnFailure, isolateWorktree, maxRuntimeMinutes: Number(maxRuntime) || 0 };
     setSaving(true);
     try {
       if (task && task.id) await api('PUT', `/api/scheduled-tasks/${task.id}`, body);
@@ -329,8 +425,56 @@ function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
       <label style={label()}>Title</label>
       <input style={input()} value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Weekly analytics report" />
 
-      <label style={label()}>Prompt (runs each time)</label>
-      <textarea style={{ ...input(), minHeight: 72, resize: 'vertical', fontFamily: 'inherit' }} value={prompt} onChange={(e) => setPrompt(e.target.value)} placeholder="Generate the weekly GA report using the analytics MCP and post it to…" />
+      <label style={label()}>{steps.length ? 'Brief (optional — every step gets it as context)' : 'Prompt (runs each time)'}</label>
+      <textarea style={{ ...input(), minHeight: steps.length ? 40 : 72, resize: 'vertical', fontFamily: 'inherit' }} value={prompt} onChange={(e) => setPrompt(e.target.value)} placeholder={steps.length ? 'Keep the issue tracker tidy.' : 'Generate the weekly GA report using the analytics MCP and post it to…'} />
+
+      {/* Workflow steps: each one its own session, told what the steps it runs
+          after reported. A "for each" step runs once per item an earlier step
+          passed to scheduled_task_finished. */}
+      {steps.map((st, i) => {
+        const earlier = steps.slice(0, i).filter((o) => o.id.trim());
+        return (
+          <div key={i} style={{ border: `1px solid ${C.border}`, borderRadius: 4, padding: 8, marginTop: 8 }}>
+            <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+              <input style={{ ...input(), width: 110, marginTop: 0 }} value={st.id} onChange={(e) => setStep(i, { id: e.target.value })} placeholder={`step${i + 1}`} title="Step id" />
+              <label style={{ fontSize: 12, color: C.dim }} title="Ids of the steps this one waits for, comma-separated. Empty = starts with the workflow.">after{' '}
+                <input style={{ ...input(), width: 120, display: 'inline-block', marginTop: 0 }} value={st.after} onChange={(e) => setStep(i, { after: e.target.value })} placeholder="(start)" />
+              </label>
+              <select style={{ ...input(), width: 150, marginTop: 0 }} value={st.forEach} onChange={(e) => setStep(i, { forEach: e.target.value })}>
+                <option value="">once</option>
+                {earlier.map((o) => <option key={o.id} value={o.id.trim()}>for each item of {o.id.trim()}</option>)}
+              </select>
+              <button onClick={() => removeStep(i)} style={{ ...btn(C.red), marginLeft: 'auto' }}>Remove</button>
+            </div>
+            <textarea style={{ ...input(), minHeight: 48, resize: 'vertical', fontFamily: 'inherit', marginTop: 6 }} value={st.prompt} onChange={(e) => setStep(i, { prompt: e.target.value })}
+              placeholder={st.forEach ? 'Work on issue {{item}}: reproduce, fix, open a PR.' : 'List the open bugs worth fixing today.'} />
+            <div style={{ display: 'flex', gap: 6, marginTop: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+              <select style={{ ...input(), width: 160, marginTop: 0 }} value={st.onFailure} onChange={(e) => setStep(i, { onFailure: e.target.value })}>
+                {FAILURE_POLICIES.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+              </select>
+              {st.onFailure === 'retry' && (
+                <label style={{ fontSize: 12, color: C.dim }}><input type="number" min="1" max="3" style={{ ...input(), width: 50, display: 'inline-block', marginTop: 0 }} value={st.retries} onChange={(e) => setStep(i, { retries: e.target.value })} /> times</label>
+              )}
+              {st.forEach && (
+                <label style={{ fontSize: 12, color: C.dim }}><input type="number" min="1" max="10" style={{ ...input(), width: 50, display: 'inline-block', marginTop: 0 }} value={st.maxParallel} onChange={(e) => setStep(i, { maxParallel: e.target.value })} /> at once</label>
+              )}
+              <select style={{ ...input(), width: 120, marginTop: 0 }} value={st.model} disabled={agentType !== 'claude'} onChange={(e) => setStep(i, { model: e.target.value })} title="Model for this step; default is the task's">
+                <option value="">task's model</option>
+                {MODEL_ALIASES.map((m) => <option key={m} value={m}>{m}</option>)}
+                {st.model && !MODEL_ALIASES.includes(st.model) ? <option value={st.model}>{st.model}</option> : null}
+              </select>
+              <select style={{ ...input(), width: 110, marginTop: 0 }} value={st.effort} disabled={agentType !== 'claude'} onChange={(e) => setStep(i, { effort: e.target.value })} title="Effort for this step; default is the task's">
+                <option value="">task's effort</option>
+                {EFFORT_LEVELS.map((l) => <option key={l} value={l}>{l}</option>)}
+              </select>
+            </div>
+          </div>
+        );
+      })}
+      <div style={{ display: 'flex', gap: 8, marginTop: 6, alignItems: 'center' }}>
+        <button onClick={addStep} style={btn()}>{steps.length ? '+ Add step' : '+ Split into steps'}</button>
+        {steps.length ? <span style={{ fontSize: 11, color: C.dim }}>Each step runs in its own session; the run graph is on the history page.</span> : null}
+      </div>
 
       <label style={label()}>Repo</label>
       <select style={input()} value={project} onChange={(e) => setProject(e.target.value)}>
@@ -344,7 +488,7 @@ function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
 
       <label style={label()}>Schedule</label>
       <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
-        {['hourly', 'daily', 'weekly', 'monthly', 'custom'].map((mo) => (
+        {['hourly', 'daily', 'weekly', 'monthly', 'custom', 'event'].map((mo) => (
           <button key={mo} onClick={() => setMode(mo)} style={{ ...btn(mode === mo ? C.accent : undefined), textTransform: 'capitalize' }}>{mo}</button>
         ))}
       </div>
@@ -369,8 +513,60 @@ function TaskForm({ task, projects, agents, defaults = {}, onClose }) {
         {mode === 'custom' && (
           <input style={input()} value={fld.raw} onChange={(e) => setF({ raw: e.target.value })} placeholder="0 9 * * 1  (min hour dom mon dow)" />
         )}
+        {mode === 'event' && (
+          <div>
+            <select style={input()} value={ev.type} onChange={(e) => setE({ type: e.target.value })}>
+              {EVENT_TYPES.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+            {ev.type === 'files' && (
+              <input style={{ ...input(), marginTop: 6 }} value={ev.glob} onChange={(e) => setE({ glob: e.target.value })} placeholder="src/**/*.ts  (relative to the repo)" />
+            )}
+            {ev.type === 'commit' && (
+              <input style={{ ...input(), marginTop: 6 }} value={ev.branch} onChange={(e) => setE({ branch: e.target.value })} placeholder="main  (or origin/main, after a fetch)" />
+            )}
+            {ev.type === 'idle' && (
+              <div style={{ marginTop: 6 }}>After <input type="number" min="1" max="1440" style={{ ...input(), width: 70, display: 'inline-block' }} value={ev.minutes} onChange={(e) => setE({ minutes: Math.max(1, Math.min(1440, +e.target.value)) })} /> minutes without keyboard or mouse</div>
+            )}
+            {ev.type === 'after' && (
+              <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+                <select style={{ ...input(), marginTop: 0 }} value={ev.task} onChange={(e) => setE({ task: e.target.value })}>
+                  <option value="">Pick a task…</option>
+                  {chainable.map((t) => <option key={t.id} value={t.id}>{t.title}</option>)}
+                </select>
+                <select style={{ ...input(), width: 130, marginTop: 0 }} value={ev.status} onChange={(e) => setE({ status: e.target.value })}>
+                  <option value="succeeded">succeeds</option>
+                  <option value="failed">fails</option>
+                  <option value="any">ends</option>
+                </select>
+              </div>
+            )}
+          </div>
+        )}
       </div>
-      <div style={{ fontSize: 12, color: C.accent, marginTop: 6 }}>{describeCron(cronStr)} — <span style={{ color: C.dim }}>cron: {cronStr} (local time)</span></div>
+      {mode === 'event'
+        ? <div style={{ fontSize: 12, color: C.dim, marginTop: 6 }}>{ev.type === 'idle' || ev.type === 'after' ? 'Checked as it happens' : 'Checked every 30 seconds'}; a run already in flight is never doubled up.</div>
+        : preview.error
+          ? <div style={{ fontSize: 12, color: C.red, marginTop: 6 }}>{preview.error}</div>
+          : <div style={{ fontSize: 12, color: C.accent, marginTop: 6 }}>{preview.description || describeCron(cronStr)} — <span style={{ color: C.dim }}>cron: {cronStr} ({preview.timezone || 'local time'})</span></div>}
+      {mode !== 'event' && (
+        <div>
+          <div style={{ display: 'flex', gap: 12, marginTop: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <label style={{ fontSize: 12, color: C.dim }}>Timezone{' '}
+              <input list="sched-tz-list" style={{ ...input(), width: 180, display: 'inline-block', marginTop: 0 }} value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="local time" />
+            </label>
+            <datalist id="sched-tz-list">{TIMEZONES.map((z) => <option key={z} value={z} />)}</datalist>
+            <label style={{ fontSize: 12, color: C.dim }} title="Delay each fire by a random amount up to this, so tasks on the same schedule don't all start at once">Jitter{' '}
+              <input type="number" min="0" max="30" style={{ ...input(), width: 60, display: 'inline-block', marginTop: 0 }} value={jitter} onChange={(e) => setJitter(e.target.value)} /> min
+            </label>
+          </div>
+          {preview.times && preview.times.length > 0 && (
+            <details style={{ fontSize: 12, color: C.dim, marginTop: 6 }}>
+              <summary style={{ cursor: 'pointer' }}>Next {preview.times.length} fire times{Number(jitter) > 0 ? ' (before jitter)' : ''}</summary>
+              {preview.times.map((t) => <div key={t}>{fmtFire(t)}</div>)}
+            </details>
+          )}
+        </div>
+      )}
 
       <label style={{ fontSize: 12, color: C.dim, marginTop: 8, display: 'block' }}>
         <input type="checkbox" checked={once} onChange={(e) => setOnce(e.target.checked)} /> run once (retire after it fires)
@@ -680,7 +876,7 @@ function App() {
 
       {showGroups && <GroupsManager contexts={contexts} projects={data.projects} onClose={() => setShowGroups(false)} />}
       {/* Only a NEW task's form lives up here — editing happens in the task's own row (#613). */}
-      {creating && <TaskForm key="new" task={null} projects={data.projects} agents={agents} defaults={data.defaults || {}} onClose={closeEditor} />}
+      {creating && <TaskForm key="new" task={null} projects={data.projects} agents={agents} tasks={data.tasks} defaults={data.defaults || {}} onClose={closeEditor} />}
 
       {sections.length === 0 && !creating && (
         <div style={{ color: C.dim, fontSize: 13, marginTop: 20, textAlign: 'center' }}>No scheduled tasks yet.<br />Click <b>+ New</b> to create one.</div>
@@ -696,7 +892,7 @@ function App() {
           {sec.tasks.map((t) => (
             <div key={t.id} data-task-id={t.id}>
               {editingId === t.id
-                ? <TaskForm task={t} projects={data.projects} agents={agents} defaults={data.defaults || {}} onClose={closeEditor} />
+                ? <TaskForm task={t} projects={data.projects} agents={agents} tasks={data.tasks} defaults={data.defaults || {}} onClose={closeEditor} />
                 : <TaskCard task={t} onEdit={() => openEdit(t.id)} />}
             </div>
           ))}
@@ -14,16 +14,22 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { stateDir, expandTilde, spawnCwdProblem } = require('../../paths');
-const { runBinary } = require('../../bin-path');
+const { runBinary, resolveBinary } = require('../../bin-path');
+const { execFile } = require('child_process');
 const { randomUUID } = require('crypto');
 const { z } = require('zod');
 const cron = require('./cron');
+const events = require('./events');
+const workflow = require('./workflow');
+const { MAX_FIRES_PER_TRIGGER, tokenMatches, triggerPrompt, admitFire, triggerView } = require('../../triggers');
 // Resolves to ~/.deepsteve/git-root.js once deployed — mods sit at ~/.deepsteve/mods/<id>/.
 const { findGitRoot } = require('../../git-root');
 
 const TASKS_FILE = path.join(stateDir(), 'scheduled-tasks.json');
+const FIRES_FILE = path.join(stateDir(), 'trigger-fires.json');
 const MAX_RUNS = 20;          // per-task run history is bounded
 const TICK_MS = 30 * 1000;    // cron granularity is 1 min; 30s never misses a minute
+                              // (a fire due sooner than the next tick gets its own wake-up)
 const CATCHUP_DELAY_MS = 10 * 1000; // let the daemon settle before the overdue pass
 
 // Run status lifecycle (interactive Claude sessions don't exit when they finish,
@@ -63,17 +69,43 @@ const DEFAULT_MAX_RUNTIME_MINUTES = 60;
 // every value still goes through ctx.validateEffort before it reaches argv.
 const EFFORT_LEVELS = ['low', 'medium', 'high', 'xhigh', 'max'];
 
+// An `after` chain that loops back on itself (A after B after A) would otherwise
+// run forever; a run more than this many links down a chain does not start the next.
+const MAX_CHAIN_DEPTH = 10;
+
+// Random delay added to each fire of a task with jitterMinutes, so twenty tasks on
+// "0 9 * * *" don't all spawn at 09:00:00. Capped well under an hour: a delay longer
+// than the gap between two fires would push a fire past the next one, which is
+// then skipped.
+const MAX_JITTER_MINUTES = 30;
+// How many upcoming fire times the panel and list_scheduled_tasks preview.
+const PREVIEW_COUNT = 10;
+// Workflow runs kept per workflow task (workflow.js), newest first — the graph view
+// on the history page reads them. Their step sessions are ordinary `runs` rows.
+const MAX_WORKFLOW_RUNS = 10;
+
 // --- Persistent state (load on start, write-through on mutate) ---
 // Tasks live here; the named groups that drive scope:'group' are now the shared
 // server-owned "contexts" (#526), read live via ctx.getContexts() — this mod no
 // longer stores project-groups.json of its own.
 let tasks = [];
+// Inbound trigger fires (see triggers.js), newest first. The triggers themselves are
+// the `triggers` setting; this is only the record of what each one was asked to do.
+let fires = [];
 let ctx = null;               // set in init(); shared with registerRoutes
+// Per-task watcher state for event-driven tasks (events.js), in memory only:
+// { files: Map|null, armed, polling, error }. What must survive a restart — the
+// last commit seen, the last file fingerprint — is `task.eventCursor`.
+const eventState = new Map();
 let schedulerStarted = false;
+let wakeTimer = null;         // the one pending early tick (armWakeup)
 
 try {
   if (fs.existsSync(TASKS_FILE)) tasks = JSON.parse(fs.readFileSync(TASKS_FILE, 'utf8')) || [];
 } catch { tasks = []; }
+try {
+  if (fs.existsSync(FIRES_FILE)) fires = JSON.parse(fs.readFileSync(FIRES_FILE, 'utf8')) || [];
+} catch { fires = []; }
 
 function writeJson(file, data) {
   try {
@@ -256,9 +288,16 @@ function groupScopeDirs(project) {
 
 // --- Scheduling core ------------------------------------------------------
 
-function safeNextRun(cronStr, from) {
-  try { return cron.nextRun(cronStr, new Date(from)); }
-  catch (e) { if (ctx) ctx.log(`[scheduled] bad cron "${cronStr}": ${e.message}`); return null; }
+function safeNextRun(cronStr, from, timezone) {
+  try { return cron.nextRun(cronStr, new Date(from), { timezone: timezone || null }); }
+  catch (e) { if (ctx) ctx.log(`[scheduled] bad cron "${cronStr}"${timezone ? ` (${timezone})` : ''}: ${e.message}`); return null; }
+}
+
+// Minutes → an integer in 0..MAX_JITTER_MINUTES; 0 (no jitter) when absent/garbage.
+function sanitizeJitter(v) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(n, MAX_JITTER_MINUTES);
 }
 
 // Next fire time for a task. A one-shot (#528) fires at its next cron match and then
@@ -266,7 +305,20 @@ function safeNextRun(cronStr, from) {
 // what makes it run exactly once. Recurring tasks always recompute from their cron.
 function nextRunFor(task, from) {
   if (task.once && task.firedAt) return null;
-  return safeNextRun(task.cron, from);
+  if (task.event) return null; // fires on its event, never on the clock
+  const at = safeNextRun(task.cron, from, task.timezone);
+  // Jitter is drawn per fire and baked into nextRun, so the panel shows the real time
+  // and a restart doesn't re-roll it.
+  const jitter = sanitizeJitter(task.jitterMinutes);
+  return at == null || !jitter ? at : at + Math.floor(Math.random() * jitter * 60e3);
+}
+
+// The next PREVIEW_COUNT cron times for a task, without jitter ([] for an event task
+// or a retired one-shot). A one-shot only ever fires the first of them.
+function upcomingRuns(task, from = Date.now()) {
+  if (task.event || (task.once && task.firedAt)) return [];
+  try { return cron.nextRuns(task.cron, new Date(from), task.once ? 1 : PREVIEW_COUNT, { timezone: task.timezone || null }); }
+  catch { return []; }
 }
 
 // Isolation contract (#565): tell the agent its work area is disposable and
@@ -322,7 +374,17 @@ function findRunByShell(shellId) {
 // terminal (succeeded/failed) no longer blocks the next fire, even though its idle
 // tab may still be alive. Shared by runTask's overlap guard and the Run-now route,
 // which reports the reason back to the panel (#611).
+//
+// A workflow task (workflow.js) is occupied for as long as its workflow run is: any
+// live step session of it blocks, not just the newest row — fan-out steps run
+// several at once, and a step that ends first must not let the next fire in.
 function activeRunFor(task) {
+  const wf = task && (task.workflowRuns || []).find(w => w.status === 'running');
+  if (wf) {
+    const step = (task.runs || []).find(r => r.workflow && r.workflow.runId === wf.id
+      && ACTIVE_STATUSES.has(r.status) && ctx && ctx.shells.has(r.sessionId));
+    if (step) return step;
+  }
   const last = task && task.runs && task.runs[0];
   if (!last || !ACTIVE_STATUSES.has(last.status)) return null;
   return (ctx && ctx.shells.has(last.sessionId)) ? last : null;
@@ -331,8 +393,18 @@ function activeRunFor(task) {
 // Spawn a session for a task and record the run. Returns the new shell id, or
 // null if the run was skipped (overlap guard) or the scheduler isn't ready.
 // `foreground` opts out of the background open (#600) — only the panel's own
-// "Run now" button sets it, since the user just asked to see the run.
-function runTask(task, reason, { foreground = false } = {}) {
+// "Run now" button sets it, since the user just asked to see the run. A trigger
+// fire passes its id as `trigger`, recorded on the run row, and its rendered
+// payload as `extraPrompt`, which follows the task's own prompt for this run only.
+// An event-driven fire passes the event type as `event` (and what happened as
+// `extraPrompt`); `chainDepth` counts how many `after` links led to this run.
+//
+// A task with `steps` starts a workflow run instead (startWorkflow), which comes
+// back here once per step session with `workflow` set: { runId, step, index,
+// attempt, item, prompt, model, effort }. Those spawns skip the overlap guard —
+// the workflow run they belong to is what it is guarding — and run `prompt` with
+// the step's model/effort in place of the task's.
+function runTask(task, reason, { foreground = false, trigger = null, extraPrompt = '', event = null, chainDepth = 0, workflow: step = null } = {}) {
   if (!ctx) return null;
   const {
     shells, getDefaultEngine, getSpawnArgs, spawnSession, sessionEnv, getAgentConfig,
@@ -341,11 +413,14 @@ function runTask(task, reason, { foreground = false } = {}) {
   } = ctx;
 
   // Overlap guard: don't stack a run on a still-running previous run.
-  const blocking = activeRunFor(task);
+  const blocking = step ? null : activeRunFor(task);
   if (blocking) {
     log(`[scheduled] "${task.title}" (${task.id}) skipped — previous run ${blocking.sessionId} still active`);
     return null;
   }
+  if (!step && task.steps && task.steps.length) {
+    return startWorkflow(task, reason, { foreground, trigger, extraPrompt, event, chainDepth });
+  }
 
   const { agentType } = splitAgentSelection(task.agentType, task.configProfile);
   const agentConfig = getAgentConfig(agentType);
@@ -360,8 +435,8 @@ function runTask(task, reason, { foreground = false } = {}) {
   // limits). Read live off ctx.settings — like the scheduledTasksEnabled gate — so
   // a Settings change applies to already-created tasks on their next fire, with no
   // restart. cleanModel/cleanEffort never return '', so `||` is the whole chain.
-  const model = cleanModel(task.model) || defaultModel();
-  const effort = cleanEffort(task.effort) || defaultEffort();
+  const model = (step && cleanModel(step.model)) || cleanModel(task.model) || defaultModel();
+  const effort = (step && cleanEffort(step.effort)) || cleanEffort(task.effort) || defaultEffort();
   // #632: a task whose project directory is gone is REFUSED, not quietly rehomed.
   // The old `: os.homedir()` fallback was the worst instance of that bug in the tree:
   // unattended, so nobody was watching; and the `cwd === task.project` guard below
@@ -384,6 +459,7 @@ function runTask(task, reason, { foreground = false } = {}) {
       startedAt: at, sessionId: null, status: 'ended', endedAt: at, agentStartedAt: null,
       success: false, summary: cwdProblem.message, worktree: null,
       model: null, effort: null, configDir: null,
+      ...(step ? { workflow: workflowLink(step) } : {}),
     });
     trimRuns(task);
     // Retire a one-shot in place rather than retrying a directory that is gone —
@@ -420,14 +496,16 @@ function runTask(task, reason, { foreground = false } = {}) {
   const mcpWired = ctx.mcpConfigArgs(agentType, id).length > 0;
   const allowedTools = mcpWired ? CONTRACT_TOOLS : null;
   const spawnArgs = getSpawnArgs(agentType, { sessionId: claudeSessionId, shellId: id, planMode: !!task.planMode, worktree, model, effort, allowedTools });
-  const sessionEngine = getDefaultEngine();
-  const engineType = sessionEngine.constructor.name === 'TmuxEngine' ? 'tmux' : 'node-pty';
-  const name = `⏰ ${task.title}`;
+  const name = step ? `⏰ ${task.title} · ${step.step}${step.item != null ? ` ${step.index + 1}` : ''}` : `⏰ ${task.title}`;
 
-  log(`[scheduled] running "${task.title}" (${task.id}) id=${id} agent=${agentType} model=${model || 'default'} effort=${effort || 'default'} profile=${task.configProfile || 'none'} engine=${engineType} cwd=${cwd} worktree=${worktree || 'none'} allowedTools=${allowedTools ? 'contract' : 'none'} reason=${reason}`);
-  spawnSession(sessionEngine, id, agentType, spawnArgs, cwd, {
+  // spawnSession returns the engine that actually spawned — tmux can degrade to
+  // node-pty, and a project whose container sandbox covers every session routes the
+  // run into a container — so record that one, not the one asked for.
+  const sessionEngine = spawnSession(getDefaultEngine(), id, agentType, spawnArgs, cwd, {
     cols: 120, rows: 40, env: sessionEnv(id, { name, windowId: null, cwd, agentType, worktree, codexHomeId, configDir }),
-  });
+  }) || getDefaultEngine();
+  const engineType = { TmuxEngine: 'tmux', ContainerEngine: 'container' }[sessionEngine.constructor.name] || 'node-pty';
+  log(`[scheduled] running "${task.title}" (${task.id}) id=${id} agent=${agentType} model=${model || 'default'} effort=${effort || 'default'} profile=${task.configProfile || 'none'} engine=${engineType} cwd=${cwd} worktree=${worktree || 'none'} allowedTools=${allowedTools ? 'contract' : 'none'} reason=${reason}`);
   shells.set(id, {
     clients: new Set(), cwd, claudeSessionId, agentType,
     codexHomeId, configDir, model, effort,
@@ -447,14 +525,16 @@ function runTask(task, reason, { foreground = false } = {}) {
   // the scheduled-run contract so the agent self-reports start/finish (#525);
   // agents without deepsteve MCP get the raw prompt as before — except that an
   // isolated run must always be told its work area is disposable (#565).
-  if (task.prompt) {
+  const basePrompt = step ? step.prompt : task.prompt;
+  const prompt = extraPrompt ? [basePrompt, extraPrompt].filter(Boolean).join('\n\n') : basePrompt;
+  if (prompt) {
     const iso = worktree ? {
       path: path.join(cwd, '.claude', 'worktrees', worktree),
       branch: `worktree-${worktree}`, repoRoot: cwd,
     } : null;
     deliverPromptWhenReady(id, mcpWired
-      ? scheduledRunPrompt(task, iso)
-      : (iso ? `${worktreeContract(iso)}\n\n${task.prompt}` : task.prompt),
+      ? scheduledRunPrompt({ ...task, prompt }, iso)
+      : (iso ? `${worktreeContract(iso)}\n\n${prompt}` : prompt),
     { retryCodexEnter: agentType === 'codex' })
   }
   if (agentConfig.supportsSessionWatch) watchClaudeSessionDir(id);
@@ -471,6 +551,7 @@ function runTask(task, reason, { foreground = false } = {}) {
       const run = t && t.runs.find(r => r.sessionId === id);
       if (run && ACTIVE_STATUSES.has(run.status)) {
         run.status = 'ended'; run.endedAt = Date.now(); saveTasks(); broadcastTasks();
+        notifyRunEnded(t, run);
       }
       // Named, because an unattended run's death is the one this log line has to be
       // able to explain on its own: nobody was watching, and the run row above is the
@@ -494,7 +575,7 @@ function runTask(task, reason, { foreground = false } = {}) {
   // Record the *effective* model/effort/config dir on the run row (#592). Nothing
   // else stores them: reconstructing what a past run actually used previously meant
   // digging through Claude transcripts, and effort isn't in there at all.
-  task.runs.unshift({ startedAt: now, sessionId: id, status: 'queued', endedAt: null, agentStartedAt: null, success: null, summary: null, worktree, model, effort, configDir });
+  task.runs.unshift({ startedAt: now, sessionId: id, status: 'queued', endedAt: null, agentStartedAt: null, success: null, summary: null, worktree, model, effort, configDir, ...(trigger ? { trigger } : {}), ...(event ? { event } : {}), ...(chainDepth ? { chainDepth } : {}), ...(step ? { workflow: workflowLink(step) } : {}) });
   trimRuns(task);
   saveTasks();
   broadcastTasks();
@@ -512,10 +593,15 @@ function runTask(task, reason, { foreground = false } = {}) {
 // still alive (#614). A keepOpen tab can outlive MAX_RUNS later fires, and dropping
 // its row orphans that live agent exactly the way a mid-run delete used to: its
 // self-report tools would find no record of the run it is sitting in.
+//
+// Rows of a workflow run still in progress are kept the same way: a fan-out step can
+// start more sessions than MAX_RUNS, and reconcileWorkflows reads each one's row.
 function trimRuns(task) {
   if (!task.runs || task.runs.length <= MAX_RUNS) return;
+  const running = new Set((task.workflowRuns || []).filter(w => w.status === 'running').map(w => w.id));
   task.runs = task.runs.slice(0, MAX_RUNS)
-    .concat(task.runs.slice(MAX_RUNS).filter(r => ctx && ctx.shells.has(r.sessionId)));
+    .concat(task.runs.slice(MAX_RUNS).filter(r => (ctx && ctx.shells.has(r.sessionId))
+      || (r.workflow && running.has(r.workflow.runId))));
 }
 
 // Close any run that has outlived its task's maxRuntimeMinutes (#596).
@@ -548,6 +634,7 @@ function enforceRunTimeouts(now) {
       run.endedAt = now;
       run.summary = run.summary || `Timed out after ${mins}m with no completion report.`;
       changed = true;
+      notifyRunEnded(task, run);
       // Status is already terminal before teardown, so the onExit fallback leaves it alone.
       try { ctx.closeSession(run.sessionId, 'scheduled-timeout'); }
       catch (e) { log_(`timeout close failed for ${run.sessionId}: ${e.message}`); }
@@ -591,10 +678,12 @@ function tick() {
   const now = Date.now();
   let changed = false;
   if (enforceRunTimeouts(now)) changed = true;
+  if (reconcileWorkflows()) changed = true;
   if (purgeTombstonedTasks(now)) changed = true;
   for (const task of liveTasks()) {
     if (!task.enabled) continue;
     if (task.once && task.firedAt) continue; // one-shot already fired — done, never again
+    if (task.event) continue; // event-driven: pollEvents / notifyRunEnded fire it
     if (task.nextRun == null) { task.nextRun = nextRunFor(task, now); changed = true; continue; }
     if (task.nextRun <= now) {
       const started = runTask(task, 'schedule');
@@ -609,6 +698,28 @@ function tick() {
     }
   }
   if (changed) { saveTasks(); broadcastTasks(); }
+  armWakeup(now);
+}
+
+// The 30s tick is plenty for a minute-granular cron, but not for a seconds field, and
+// it leaves any fire up to 30s late. So after each tick (and each edit) one timer is
+// armed for the soonest fire due before the next tick. Only future fires count: an
+// overdue one-shot the overlap guard keeps skipping would otherwise re-arm at 0ms
+// forever.
+function armWakeup(now = Date.now()) {
+  if (wakeTimer) { clearTimeout(wakeTimer); wakeTimer = null; }
+  if (!ctx || !ctx.settings.scheduledTasksEnabled) return;
+  let soonest = null;
+  for (const task of liveTasks()) {
+    if (!task.enabled || task.event || task.nextRun == null || task.nextRun <= now) continue;
+    if (task.once && task.firedAt) continue;
+    if (soonest == null || task.nextRun < soonest) soonest = task.nextRun;
+  }
+  if (soonest == null || soonest - now >= TICK_MS) return;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    try { tick(); } catch (e) { log_(`tick error: ${e.message}`); }
+  }, soonest - now).unref();
 }
 
 // One-shot startup pass: run each genuinely-overdue task ONCE (catch-up), then
@@ -623,6 +734,7 @@ function runCatchUp() {
   for (const task of liveTasks()) {
     if (!task.enabled) continue;
     if (task.once && task.firedAt) continue; // one-shot already fired — never re-run or re-arm
+    if (task.event) continue; // nothing to catch up: an event that happened while down is seen on the first poll
     if (task.nextRun != null && task.nextRun <= now) {
       log_(`catch-up running overdue "${task.title}" (${task.id})`);
       const started = runTask(task, 'catch-up');
@@ -643,6 +755,41 @@ function runCatchUp() {
 }
 function log_(msg) { if (ctx) ctx.log(`[scheduled] ${msg}`); }
 
+// Runs starting and ending go out on the core lifecycle bus (ctx.sessionLog), where
+// mods/webhooks and the session lifecycle log pick them up.
+function emitRunEvent(type, task, run) {
+  if (!ctx || !ctx.sessionLog) return;
+  ctx.sessionLog.emit('event', {
+    type, ts: Date.now(), session_id: run.sessionId || null, task_id: task.id,
+    title: task.title, project: task.project || null, status: run.status, summary: run.summary || null,
+  });
+}
+
+// A run reached a terminal status: put it on the bus, and tell subscribed browsers
+// (server.js pushNotify, which applies the project's mute rules and quiet hours).
+// Either hook may be absent on an older core.
+//
+// A workflow step's session goes on the bus like any run, but what it ended moves
+// the workflow on rather than finishing the task: chaining and the push wait for the
+// workflow run as a whole (finishWorkflow).
+function notifyRunEnded(task, run) {
+  emitRunEvent('scheduled_task_finished', task, run);
+  if (run.workflow) {
+    try { workflowStepEnded(task, run); } catch (e) { log_(`workflow error: ${e.message}`); }
+    return;
+  }
+  try { fireChained(task, run); } catch (e) { log_(`chain error: ${e.message}`); }
+  pushRunEnded(task, run.sessionId, run.status, run.summary);
+}
+
+function pushRunEnded(task, sessionId, status, summary) {
+  if (!ctx || !ctx.pushNotify) return;
+  ctx.pushNotify({
+    kind: 'scheduled', sessionId: sessionId || null, cwd: task.project,
+    label: task.title, status, line: summary || '',
+  }).catch(e => log_(`push failed: ${e.message}`));
+}
+
 // Worktrees the sweep already tried and couldn't remove (dirty/unmerged) this
 // process lifetime — don't retry every tick (log spam); a daemon restart retries.
 const sweepAttempted = new Set();
@@ -675,6 +822,280 @@ function sweepLeakedWorktrees() {
   if (changed) { saveTasks(); broadcastTasks(); }
 }
 
+// --- Event-driven tasks ----------------------------------------------------
+//
+// A task with an `event` (events.js) instead of a cron. files / commit / idle are
+// polled once per tick by pollEvents(); `after` is pushed from notifyRunEnded. All
+// four go through fireEventTask → runTask, so an event run gets the same recipe,
+// overlap guard, timeout and history row as a scheduled one — plus `event` on the
+// row, and a note in the prompt saying what happened.
+
+// Async git: a poll runs every tick for every commit task, and runBinary's
+// execFileSync would hold the event loop for as long as git takes.
+function gitAsync(argv, cwd) {
+  return new Promise((resolve, reject) => {
+    const bin = resolveBinary('git');
+    if (!bin) return reject(new Error('git not found'));
+    execFile(bin, argv, { cwd, encoding: 'utf8', timeout: 15000 }, (err, stdout) => (err ? reject(err) : resolve(String(stdout).trim())));
+  });
+}
+
+// Milliseconds since anyone last touched the machine. macOS reports it through
+// IOKit; X11 sessions through xprintidle when it's installed. Anywhere else (a
+// headless Linux box, Wayland) the best signal is deepsteve's own: the newest
+// output or keystroke across the open sessions.
+async function machineIdleMs() {
+  const probe = process.platform === 'darwin' ? ['ioreg', ['-c', 'IOHIDSystem', '-d', '4']]
+    : process.env.DISPLAY ? ['xprintidle', []] : null;
+  const bin = probe && resolveBinary(probe[0]);
+  if (bin) {
+    const out = await new Promise(resolve => execFile(bin, probe[1], { encoding: 'utf8', timeout: 5000, maxBuffer: 8 * 1024 * 1024 },
+      (err, stdout) => resolve(err ? null : String(stdout))));
+    const ms = probe[0] === 'ioreg' ? events.parseHidIdle(out) : (out && /^\d+\s*$/.test(out) ? Number(out) : null);
+    if (ms != null) return ms;
+  }
+  let latest = 0;
+  for (const entry of ctx.shells.values()) latest = Math.max(latest, entry.lastInputTime || 0, entry.lastActivity || 0);
+  return latest ? Date.now() - latest : null;
+}
+
+function clipList(list, max = 50) {
+  return list.length > max ? [...list.slice(0, max), `…and ${list.length - max} more`] : list;
+}
+
+// Start `task` because its event happened. `note` says what happened and follows
+// the task's prompt. Returns the session id, or null when nothing started.
+function fireEventTask(task, note, { chainDepth = 0 } = {}) {
+  const blocking = activeRunFor(task);
+  if (blocking) {
+    log_(`"${task.title}" (${task.id}) ${task.event.type} event skipped — previous run ${blocking.sessionId} still active`);
+    return null;
+  }
+  log_(`"${task.title}" (${task.id}) firing on ${task.event.type} event`);
+  const started = runTask(task, `event:${task.event.type}`, { event: task.event.type, extraPrompt: note, chainDepth });
+  if (started && task.once) task.firedAt = Date.now();
+  saveTasks();
+  broadcastTasks();
+  return started;
+}
+
+// files: compare a fresh scan to the last one. The first scan after a restart has
+// only the persisted fingerprint to go on — it can say "something changed", not
+// what. Changes made while the task's own run is in flight are taken to be that
+// run's and folded into the baseline, or a task that edits what it watches would
+// retrigger itself forever.
+async function pollFilesEvent(task, state) {
+  const { files, truncated } = await events.scanFiles(task.project, task.event.glob);
+  const print = events.fingerprint(files);
+  const before = state.files;
+  state.files = files;
+  if (truncated && !state.truncatedLogged) {
+    state.truncatedLogged = true;
+    log_(`"${task.title}" (${task.id}) glob ${task.event.glob} reaches too many files — watching only the first part of the tree`);
+  }
+  if (task.eventCursor === print) return;
+  const firstLook = task.eventCursor == null;
+  task.eventCursor = print;
+  if (firstLook || activeRunFor(task)) { saveTasks(); return; }
+  const lines = [`This run was started because files matching ${task.event.glob} changed in ${task.project}.`];
+  if (before) {
+    const { added, changed, removed } = events.diffScans(before, files);
+    if (added.length) lines.push(`Added: ${clipList(added).join(', ')}`);
+    if (changed.length) lines.push(`Changed: ${clipList(changed).join(', ')}`);
+    if (removed.length) lines.push(`Removed: ${clipList(removed).join(', ')}`);
+  }
+  if (!fireEventTask(task, lines.join('\n'))) saveTasks();
+}
+
+// commit: the branch's tip against the last one seen. Same rule as files for the
+// task's own run — a run that commits to the branch it watches must not re-fire it.
+async function pollCommitEvent(task, state) {
+  const { branch } = task.event;
+  let sha;
+  try {
+    sha = await gitAsync(['rev-parse', '--verify', '--quiet', `${branch}^{commit}`], task.project);
+    state.error = null;
+  } catch (e) {
+    if (state.error !== branch) log_(`"${task.title}" (${task.id}) cannot resolve ${branch} in ${task.project}`);
+    state.error = branch; // once per outage, not every tick
+    return;
+  }
+  if (!sha || task.eventCursor === sha) return;
+  const prev = task.eventCursor;
+  task.eventCursor = sha;
+  if (!prev || activeRunFor(task)) { saveTasks(); return; }
+  const note = `This run was started by new commits on ${branch} (${prev.slice(0, 12)}..${sha.slice(0, 12)}). `
+    + `\`git log ${prev}..${sha}\` lists them.`;
+  if (!fireEventTask(task, note)) saveTasks();
+}
+
+async function pollIdleEvent(task, state) {
+  const step = events.idleStep(state.armed, await machineIdleMs(), task.event.minutes);
+  state.armed = step.armed;
+  if (step.fire) fireEventTask(task, `This run was started because the machine had been idle for ${task.event.minutes} minutes.`);
+}
+
+const EVENT_POLLERS = { files: pollFilesEvent, commit: pollCommitEvent, idle: pollIdleEvent };
+
+// One pass over the polled event tasks. Each task's poll is independent and
+// skipped while its previous one is still going (a slow scan on a big tree).
+async function pollEvents() {
+  if (!featureEnabled()) return;
+  const live = new Set();
+  const polls = [];
+  for (const task of liveTasks()) {
+    live.add(task.id);
+    const poll = task.event && EVENT_POLLERS[task.event.type];
+    if (!poll || !task.enabled || (task.once && task.firedAt)) continue;
+    if (!eventState.has(task.id)) eventState.set(task.id, { files: null, armed: false, polling: false, error: null });
+    const state = eventState.get(task.id);
+    if (state.polling) continue;
+    state.polling = true;
+    polls.push(poll(task, state)
+      .catch(e => log_(`"${task.title}" (${task.id}) ${task.event.type} poll failed: ${e.message}`))
+      .finally(() => { state.polling = false; }));
+  }
+  for (const id of eventState.keys()) if (!live.has(id)) eventState.delete(id);
+  await Promise.all(polls);
+}
+
+// `after`: `task`'s run just ended — start every task chained to it whose status
+// matches. `run.chainDepth` carries how far down a chain we are, so A-after-B-after-A
+// stops at MAX_CHAIN_DEPTH instead of running forever.
+function fireChained(task, run) {
+  if (!featureEnabled()) return;
+  const depth = (run.chainDepth || 0) + 1;
+  for (const next of liveTasks()) {
+    if (!next.enabled || (next.once && next.firedAt)) continue;
+    if (!next.event || next.event.type !== 'after' || next.event.task !== task.id) continue;
+    if (!events.chainMatches(next.event, run)) continue;
+    if (depth > MAX_CHAIN_DEPTH) {
+      log_(`"${next.title}" (${next.id}) not chained after "${task.title}" — ${MAX_CHAIN_DEPTH} links deep already`);
+      continue;
+    }
+    const note = `This run was started because "${task.title}" ${run.status}${run.summary ? `: ${run.summary}` : '.'}`;
+    fireEventTask(next, note, { chainDepth: depth });
+  }
+}
+
+// --- Workflows ---------------------------------------------------------------
+//
+// A task with `steps` (workflow.js). One fire starts a workflow run; each step it
+// reaches spawns through runTask as an ordinary scheduled-run session, and each of
+// those ending (self-report, timeout, tab closed) comes back through
+// notifyRunEnded → workflowStepEnded, which records it and starts whatever can go
+// next. The workflow run is the task's unit of work: the overlap guard holds until
+// it is done, and `after` chains and the push fire once, for the whole run.
+
+// What a step's run row records about where it belongs.
+function workflowLink(step) {
+  return { runId: step.runId, step: step.step, index: step.index, attempt: step.attempt, item: step.item };
+}
+
+function findWorkflowRun(task, runId) {
+  return (task.workflowRuns || []).find(w => w.id === runId) || null;
+}
+
+// Start a workflow run for `task`. Returns the first step session's id, or null
+// when nothing could start — the same contract as runTask, whose callers this
+// serves unchanged.
+function startWorkflow(task, reason, { foreground = false, trigger = null, extraPrompt = '', event = null, chainDepth = 0 } = {}) {
+  const wf = workflow.newRun(task.steps, {
+    id: randomUUID().slice(0, 8), now: Date.now(), reason, brief: task.prompt,
+    note: extraPrompt, trigger, event, chainDepth,
+  });
+  task.workflowRuns = [wf, ...(task.workflowRuns || [])].slice(0, MAX_WORKFLOW_RUNS);
+  task.lastRun = wf.startedAt;
+  log_(`"${task.title}" (${task.id}) workflow run ${wf.id} starting (${task.steps.length} steps) reason=${reason}`);
+  const first = advanceWorkflow(task, wf, { foreground });
+  saveTasks();
+  broadcastTasks();
+  return first;
+}
+
+// Spawn everything `wf` can start now, until nothing more can. A spawn that fails
+// (the project directory is gone) counts as that session failing, which may queue a
+// retry or stop the run — hence the loop. Returns the first session spawned.
+function advanceWorkflow(task, wf, { foreground = false } = {}) {
+  let first = null;
+  // An unscheduled task lets the sessions already running finish and report, but
+  // starts nothing new.
+  if (task.deleted) wf.stopping = true;
+  for (;;) {
+    const launch = workflow.advance(wf, Date.now());
+    if (!launch.length) break;
+    for (const { step, instance } of launch) {
+      const sessionId = runTask(task, `workflow:${step.id}`, {
+        foreground: foreground && !first,
+        trigger: wf.trigger, event: wf.event, chainDepth: wf.chainDepth,
+        workflow: {
+          runId: wf.id, step: step.id, index: instance.index, attempt: instance.attempt, item: instance.item,
+          prompt: workflow.stepPrompt(wf, step, instance, { title: task.title }),
+          model: step.model, effort: step.effort,
+        },
+      });
+      if (sessionId) {
+        instance.sessionId = sessionId;
+        instance.startedAt = Date.now();
+        if (!first) first = sessionId;
+      } else {
+        instance.status = 'failed';
+        instance.summary = 'the session could not be started';
+        instance.endedAt = Date.now();
+      }
+    }
+  }
+  if (wf.status !== 'running') finishWorkflow(task, wf);
+  return first;
+}
+
+function finishWorkflow(task, wf) {
+  const summary = workflow.summarize(wf);
+  log_(`"${task.title}" (${task.id}) workflow run ${wf.id} ${wf.status} — ${summary}`);
+  const run = { status: wf.status, summary, chainDepth: wf.chainDepth };
+  try { fireChained(task, run); } catch (e) { log_(`chain error: ${e.message}`); }
+  pushRunEnded(task, null, wf.status, summary);
+}
+
+// A step session reached a terminal status (notifyRunEnded).
+function workflowStepEnded(task, run) {
+  const wf = findWorkflowRun(task, run.workflow.runId);
+  if (!wf || wf.status !== 'running') return;
+  if (!workflow.recordEnd(wf, run.sessionId, run)) return;
+  advanceWorkflow(task, wf);
+  saveTasks();
+  broadcastTasks();
+}
+
+// The tick's safety net for a workflow run that missed a step ending: a session
+// resumed after a daemon restart that then closed without reporting goes through
+// the restore path's onExit, not runTask's, so nothing calls notifyRunEnded for it.
+// A step whose row went terminal, or whose session is gone while its row still
+// says active (the same staleness rule as activeRunFor), is recorded here.
+function reconcileWorkflows() {
+  if (!ctx) return false;
+  let changed = false;
+  for (const task of tasks) { // tombstones included — their runs still need to finish
+    for (const wf of task.workflowRuns || []) {
+      if (wf.status !== 'running') continue;
+      let moved = false;
+      for (const st of Object.values(wf.steps)) {
+        for (const inst of st.instances) {
+          if (!inst.sessionId || !['queued', 'running', 'started'].includes(inst.status)) continue;
+          const row = (task.runs || []).find(r => r.sessionId === inst.sessionId);
+          if (row && !ACTIVE_STATUSES.has(row.status)) {
+            if (workflow.recordEnd(wf, inst.sessionId, row)) moved = true;
+          } else if (!ctx.shells.has(inst.sessionId)) {
+            if (workflow.recordEnd(wf, inst.sessionId, { status: 'ended', summary: 'the session went away without reporting' })) moved = true;
+          }
+        }
+      }
+      if (moved) { advanceWorkflow(task, wf); changed = true; }
+    }
+  }
+  return changed;
+}
+
 function startScheduler() {
   if (schedulerStarted) return;
   schedulerStarted = true;
@@ -687,6 +1108,7 @@ function startScheduler() {
   }, CATCHUP_DELAY_MS).unref();
   setInterval(() => {
     try { tick(); } catch (e) { log_(`tick error: ${e.message}`); }
+    pollEvents().catch(e => log_(`event poll error: ${e.message}`));
     try { sweepLeakedWorktrees(); } catch (e) { log_(`worktree sweep error: ${e.message}`); }
   }, TICK_MS).unref();
   log_(`scheduler started (${liveTasks().length} task(s))`);
@@ -730,14 +1152,50 @@ function settingsObj() { return (ctx && ctx.settings) || {}; }
 function defaultModel() { return cleanModel(settingsObj().scheduledDefaultModel); }
 function defaultEffort() { return cleanEffort(settingsObj().scheduledDefaultEffort); }
 
-function createTask({ title, prompt, cron: cronStr, once, project, agentType, configProfile, model, effort, planMode, enabled, createdBy, keepOpen, keepOpenOnFailure, isolateWorktree, maxRuntimeMinutes }) {
-  cron.parseCron(cronStr); // throws on invalid — caller catches (a one-shot still uses a cron)
+// A task's `event` (events.js), checked against the rest of the task: files and
+// commit events watch the project, so they need one, and an `after` event has to
+// follow a task that exists and isn't itself. Throws like parseCron.
+function checkEvent(rawEvent, { project, selfId = null }) {
+  const event = events.parseEvent(rawEvent);
+  if ((event.type === 'files' || event.type === 'commit') && !project) {
+    throw new Error(`a ${event.type} event watches the project — set one`);
+  }
+  if (event.type === 'commit' && !isGitRepo(project)) throw new Error(`${project} is not a git repository`);
+  if (event.type === 'after') {
+    if (event.task === selfId) throw new Error('a task cannot run after itself');
+    if (!findLiveTask(event.task)) throw new Error(`no scheduled task with id ${event.task} to run after`);
+  }
+  return event;
+}
+
+// A task's `steps` (workflow.js), with each step's model/effort cleaned the way the
+// task's own are. null = a single-prompt task. Throws like parseCron.
+function checkSteps(rawSteps) {
+  const steps = workflow.parseSteps(rawSteps);
+  return steps && steps.map(s => ({ ...s, model: cleanModel(s.model), effort: cleanEffort(s.effort) }));
+}
+
+// A task has a cron or an event (events.js), never both — an event task stores
+// cron ''. Exactly one must be given.
+function createTask({ title, prompt, steps: rawSteps, cron: cronStr, timezone, jitterMinutes, event: rawEvent, once, project, agentType, configProfile, model, effort, planMode, enabled, createdBy, keepOpen, keepOpenOnFailure, isolateWorktree, maxRuntimeMinutes }) {
+  const hasCron = typeof cronStr === 'string' && cronStr.trim() !== '';
+  if (hasCron && rawEvent) throw new Error('give either a cron or an event, not both');
+  if (!hasCron && !rawEvent) throw new Error('a task needs a cron schedule or an event');
+  const event = rawEvent ? checkEvent(rawEvent, { project }) : null;
+  if (!event) cron.parseCron(cronStr); // throws on invalid — caller catches (a one-shot still uses a cron)
+  const tz = cron.normalizeTimezone(timezone); // throws on an unknown zone, same contract
+  const steps = checkSteps(rawSteps);
   const now = Date.now();
   const agent = splitAgentSelection(agentType, configProfile);
   const task = {
     id: randomUUID().slice(0, 8),
     title: String(title || 'Untitled task'),
     prompt: String(prompt || ''),
+    // A multi-step workflow (workflow.js), or null for a single prompt. With steps,
+    // `prompt` is the brief every step is given as shared context. Each fire's
+    // workflow run is kept in `workflowRuns`.
+    steps,
+    workflowRuns: [],
     project: project || '',
     agentType: agent.agentType,
     // Custom Claude config profile (#537) to run under, by profile id. Stored as the
@@ -760,7 +1218,16 @@ function createTask({ title, prompt, cron: cronStr, once, project, agentType, co
     // Wall-clock ceiling per run (#596); 0 = unlimited. Legacy tasks (field absent)
     // inherit the default rather than staying unbounded.
     maxRuntimeMinutes: sanitizeMaxRuntime(maxRuntimeMinutes),
-    cron: cronStr.trim(),
+    cron: event ? '' : cronStr.trim(),
+    // IANA zone the cron is read in; null = the daemon's local time (every task
+    // before per-task zones). jitterMinutes: see MAX_JITTER_MINUTES.
+    timezone: tz,
+    jitterMinutes: sanitizeJitter(jitterMinutes),
+    // Event-driven trigger (events.js), or null for a cron task. `eventCursor` is
+    // what the watcher last saw — a commit sha, a file-scan fingerprint — kept on
+    // the task so a change made while the daemon was down still fires on restart.
+    event,
+    eventCursor: null,
     // One-shot (#528): fires at the next cron match then retires (firedAt set). firedAt
     // stays null on a manual Run now — only the scheduled/catch-up fire retires it.
     once: !!once,
@@ -776,17 +1243,47 @@ function createTask({ title, prompt, cron: cronStr, once, project, agentType, co
   tasks.push(task);
   saveTasks();
   broadcastTasks();
-  log_(`created "${task.title}" (${task.id}) cron="${task.cron}"${task.once ? ' once' : ''} project=${task.project || 'none'} by=${task.createdBy || 'panel'}`);
+  armWakeup(now);
+  log_(`created "${task.title}" (${task.id}) ${event ? `event=${event.type}` : `cron="${task.cron}"`}${task.once ? ' once' : ''}${steps ? ` steps=${steps.length}` : ''} project=${task.project || 'none'} by=${task.createdBy || 'panel'}`);
   return task;
 }
 
 function updateTask(id, fields) {
   const task = findLiveTask(id); // a tombstone is not a schedule — nothing to edit
   if (!task) return null;
-  if (fields.cron !== undefined) { cron.parseCron(fields.cron); task.cron = fields.cron.trim(); }
+  // Switching between cron and event: an event replaces the cron, `event: null`
+  // goes back to the cron (given alongside, or the one the task had), and a new
+  // cron on its own drops the event. Checked before anything is assigned so a bad
+  // edit leaves the task as it was.
+  const project = fields.project !== undefined ? (fields.project || '') : task.project;
+  const hasCron = typeof fields.cron === 'string' && fields.cron.trim() !== '';
+  if (hasCron) cron.parseCron(fields.cron);
+  const tz = fields.timezone !== undefined ? cron.normalizeTimezone(fields.timezone) : undefined;
+  // A running workflow run keeps the steps it started with (its own copy), so this
+  // takes effect from the next fire.
+  const steps = fields.steps !== undefined ? checkSteps(fields.steps) : undefined;
+  let event = task.event || null;
+  if (fields.event) event = checkEvent(fields.event, { project, selfId: task.id });
+  else if (fields.event === null || hasCron) event = null;
+  if (event && hasCron) throw new Error('give either a cron or an event, not both');
+  if (!event && !hasCron && !task.cron) throw new Error('a task needs a cron schedule to go back to');
+  if (hasCron) task.cron = fields.cron.trim();
+  if (event) task.cron = '';
+  if (tz !== undefined) task.timezone = tz;
+  if (fields.jitterMinutes !== undefined) task.jitterMinutes = sanitizeJitter(fields.jitterMinutes);
+  if (JSON.stringify(event) !== JSON.stringify(task.event || null)) {
+    task.event = event;
+    task.eventCursor = null; // a different thing to watch — start from what's there now
+    eventState.delete(task.id);
+  }
   if (fields.title !== undefined) task.title = String(fields.title);
   if (fields.prompt !== undefined) task.prompt = String(fields.prompt);
-  if (fields.project !== undefined) task.project = fields.project || '';
+  if (steps !== undefined) task.steps = steps;
+  if (fields.project !== undefined && task.project !== project) {
+    task.project = project;
+    task.eventCursor = null;
+    eventState.delete(task.id);
+  }
   // Agent + config profile move together: switching to a non-claude agent must drop
   // the profile, and a 'config:<id>' agentType carries the profile inside it.
   if (fields.agentType !== undefined || fields.configProfile !== undefined) {
@@ -804,12 +1301,18 @@ function updateTask(id, fields) {
   if (fields.isolateWorktree !== undefined) task.isolateWorktree = !!fields.isolateWorktree;
   if (fields.maxRuntimeMinutes !== undefined) task.maxRuntimeMinutes = sanitizeMaxRuntime(fields.maxRuntimeMinutes);
   if (fields.once !== undefined) task.once = !!fields.once;
-  if (fields.enabled !== undefined) task.enabled = !!fields.enabled;
+  if (fields.enabled !== undefined) {
+    // Re-enabling an event task watches from now on; what changed while it was
+    // paused is not a backlog to fire on.
+    if (fields.enabled && !task.enabled) { task.eventCursor = null; eventState.delete(task.id); }
+    task.enabled = !!fields.enabled;
+  }
   // Recompute next run from any schedule/enable change. A one-shot that has already
   // fired stays retired (nextRunFor returns null via its firedAt guard).
   task.nextRun = task.enabled ? nextRunFor(task, Date.now()) : null;
   saveTasks();
   broadcastTasks();
+  armWakeup();
   return task;
 }
 
@@ -853,13 +1356,23 @@ function deleteTask(id) {
 // would read as "Every day at 15:00", which is misleading for a run-once — so show the
 // concrete single fire time instead, or "fired …" once it has retired (#528).
 function scheduleLabel(task) {
+  if (task.event) {
+    const after = task.event.type === 'after' ? tasks.find(t => t.id === task.event.task) : null;
+    const label = events.describeEvent(task.event, { taskTitle: after && after.title });
+    if (!task.once) return label;
+    return task.firedAt ? `One-shot · fired ${new Date(task.firedAt).toLocaleString()}` : `One-shot · ${label}`;
+  }
+  // A zoned cron says which zone its times are in; a fire time (a one-shot's) is
+  // an instant, already shown in the reader's local time.
+  const zone = task.timezone ? ` (${task.timezone})` : '';
+  const jitter = task.jitterMinutes ? ` + up to ${task.jitterMinutes} min jitter` : '';
   if (task.once) {
     if (task.firedAt) return `One-shot · fired ${new Date(task.firedAt).toLocaleString()}`;
     return task.nextRun
       ? `One-shot · ${new Date(task.nextRun).toLocaleString()}`
-      : `One-shot · ${cron.describe(task.cron)}`;
+      : `One-shot · ${cron.describe(task.cron)}${zone}`;
   }
-  return cron.describe(task.cron);
+  return `${cron.describe(task.cron)}${zone}${jitter}`;
 }
 
 // Compact one task for tool/JSON output.
@@ -871,7 +1384,12 @@ function taskView(task) {
     project: task.project || null,
     projectName: displayName(task.project),
     cron: task.cron,
+    timezone: task.timezone || null,
+    jitterMinutes: sanitizeJitter(task.jitterMinutes),
+    event: task.event || null,
+    steps: task.steps || null,
     schedule: scheduleLabel(task),
+    upcoming: upcomingRuns(task),
     once: !!task.once,
     firedAt: task.firedAt || null,
     done: !!(task.once && task.firedAt),
@@ -893,6 +1411,113 @@ function taskView(task) {
   };
 }
 
+// --- Inbound triggers ------------------------------------------------------
+//
+// A trigger (triggers.js; the `triggers` setting) lets an authenticated POST start
+// one of these tasks, or a saved automation, with the request body worked into the
+// prompt. server.js routes the POST here (registerTriggerHandler) because the runs,
+// the overlap guard and the history page all live in this mod.
+//
+// Every fire that gets past the token is recorded, refused ones included: "CI fired
+// and nothing happened" is exactly the question the record is for. A request with a
+// bad token is not a fire and leaves no row, or anyone could fill the log.
+
+function configuredTriggers() { return Array.isArray(settingsObj().triggers) ? settingsObj().triggers : []; }
+
+// Newest first, MAX_FIRES_PER_TRIGGER per trigger, and nothing for a trigger that
+// has since been removed from Settings.
+function recordFire(fire) {
+  fires.unshift(fire);
+  const configured = new Set(configuredTriggers().map(t => t.id));
+  const counts = new Map();
+  fires = fires.filter((f) => {
+    if (!configured.has(f.triggerId)) return false;
+    counts.set(f.triggerId, (counts.get(f.triggerId) || 0) + 1);
+    return counts.get(f.triggerId) <= MAX_FIRES_PER_TRIGGER;
+  });
+  writeJson(FIRES_FILE, fires);
+  broadcastTasks(); // the history page refetches on this
+}
+
+// Start whatever `trigger` points at. Returns { status, httpStatus, sessionId?, error? }.
+function startTriggerTarget(trigger, extraPrompt) {
+  if (trigger.task) {
+    const task = findLiveTask(trigger.task);
+    if (!task) return { status: 'failed', httpStatus: 404, error: `scheduled task ${trigger.task} not found` };
+    if (!featureEnabled()) return { status: 'skipped', httpStatus: 409, error: 'scheduled tasks are turned off in Settings' };
+    // Asked before firing for the same reason as the Run-now route (#611): runTask's
+    // own guard only returns null, and the caller should hear why.
+    const blocking = activeRunFor(task);
+    if (blocking) return { status: 'skipped', httpStatus: 409, error: `previous run ${blocking.sessionId} is still active` };
+    const sessionId = runTask(task, `trigger:${trigger.id}`, { trigger: trigger.id, extraPrompt });
+    if (!sessionId) return { status: 'skipped', httpStatus: 409, error: 'the task did not start — see its last run' };
+    return { status: 'started', httpStatus: 202, sessionId };
+  }
+  if (!ctx.startAutomation) return { status: 'failed', httpStatus: 501, error: 'this daemon cannot start automations from a trigger' };
+  const result = ctx.startAutomation(trigger.automation, {
+    extraPrompt, background: settingsObj().scheduledTasksOpenInBackground !== false,
+  });
+  if (result.error) return { status: 'failed', httpStatus: result.error.status || 500, error: result.error.message };
+  return { status: 'started', httpStatus: 202, sessionId: result.id };
+}
+
+/**
+ * Fire `trigger` with the caller's `payload`: check it is enabled, under its rate
+ * limit and its concurrency limit, start its target, and record the outcome.
+ * Returns { fire, httpStatus, retryAfterMs }.
+ */
+function fireTrigger(trigger, payload, now = Date.now()) {
+  const mine = fires.filter(f => f.triggerId === trigger.id);
+  const admit = trigger.enabled === false ? null
+    : admitFire(trigger, mine, { now, isLive: id => ctx.shells.has(id) });
+  let outcome;
+  if (trigger.enabled === false) {
+    outcome = { status: 'disabled', httpStatus: 403, error: 'trigger is disabled' };
+  } else if (admit && admit.status === 'rate-limited') {
+    const { count, perMinutes } = trigger.rateLimit;
+    outcome = { status: 'rate-limited', httpStatus: 429, error: `limit is ${count} fire${count === 1 ? '' : 's'} per ${perMinutes} min`, retryAfterMs: admit.retryAfterMs };
+  } else if (admit) {
+    outcome = { status: 'busy', httpStatus: 409, error: `${admit.live} session${admit.live === 1 ? '' : 's'} from this trigger still open (max ${trigger.maxConcurrent})` };
+  } else {
+    try {
+      outcome = startTriggerTarget(trigger, triggerPrompt(trigger, payload));
+    } catch (e) {
+      outcome = { status: 'failed', httpStatus: 500, error: e.message };
+    }
+  }
+  const fire = {
+    id: randomUUID().slice(0, 8),
+    triggerId: trigger.id,
+    ...(trigger.task ? { task: trigger.task } : { automation: trigger.automation }),
+    at: now,
+    status: outcome.status,
+    sessionId: outcome.sessionId || null,
+    error: outcome.error || null,
+    // The size only. The body can carry anything the caller had to hand (CI logs,
+    // tokens in URLs), and the session's prompt is where it was meant to go.
+    payloadBytes: Buffer.byteLength(JSON.stringify(payload === undefined ? null : payload)),
+  };
+  recordFire(fire);
+  log_(`trigger "${trigger.id}" fired → ${fire.status}${fire.sessionId ? ` ${fire.sessionId}` : ''}${fire.error ? ` (${fire.error})` : ''}`);
+  return { fire, httpStatus: outcome.httpStatus, retryAfterMs: outcome.retryAfterMs || null };
+}
+
+// POST /api/triggers/:id/fire — installed in front of the auth gate by server.js,
+// so the trigger's own token is the only check this request gets.
+function handleTriggerFire(req, res) {
+  const trigger = configuredTriggers().find(t => t.id === req.params.id);
+  const auth = String(req.headers.authorization || '');
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  // An unknown id and a wrong token get the same answer, so ids can't be probed.
+  if (!trigger || !tokenMatches(trigger, token)) {
+    log_(`trigger fire for "${req.params.id}" refused — ${trigger ? 'wrong token' : 'no such trigger'}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  const { fire, httpStatus, retryAfterMs } = fireTrigger(trigger, req.body);
+  if (retryAfterMs) res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  res.status(httpStatus).json({ fire: fire.id, status: fire.status, sessionId: fire.sessionId, ...(fire.error ? { error: fire.error } : {}) });
+}
+
 // --- Cross-project run history (#633) -------------------------------------
 //
 // The status page's whole point is that a schedule which has quietly stopped
@@ -939,6 +1564,42 @@ function runView(r) {
     worktreeRemoved: !!r.worktreeRemoved,
     model: r.model || null,
     effort: r.effort || null,
+    trigger: r.trigger || null,
+    event: r.event || null,
+    workflow: r.workflow || null,
+  };
+}
+
+// One workflow run for the history page's graph: its steps in run order, each with
+// the column to draw it in and its sessions. A session still in flight shows its
+// row's status (queued → running), which the workflow record itself doesn't track.
+function workflowRunView(task, wf) {
+  const depth = workflow.depths(wf.plan);
+  const rowStatus = (sessionId) => {
+    const row = sessionId && (task.runs || []).find(r => r.sessionId === sessionId);
+    return row ? row.status : null;
+  };
+  return {
+    id: wf.id,
+    startedAt: wf.startedAt || null,
+    endedAt: wf.endedAt || null,
+    status: wf.status,
+    reason: wf.reason || null,
+    trigger: wf.trigger || null,
+    event: wf.event || null,
+    summary: wf.status === 'running' ? null : workflow.summarize(wf),
+    steps: wf.plan.map(s => {
+      const st = wf.steps[s.id];
+      return {
+        id: s.id, after: s.after, forEach: s.forEach, onFailure: s.onFailure, depth: depth[s.id],
+        status: st.status, itemsDropped: st.itemsDropped || 0,
+        sessions: st.instances.map(i => ({
+          item: i.item, index: i.index, attempt: i.attempt, sessionId: i.sessionId,
+          status: i.status === 'queued' ? (rowStatus(i.sessionId) || i.status) : i.status,
+          summary: i.summary, items: i.items, startedAt: i.startedAt, endedAt: i.endedAt,
+        })),
+      };
+    }),
   };
 }
 
@@ -948,6 +1609,7 @@ function historyTaskView(task) {
     title: task.title,
     schedule: scheduleLabel(task),
     cron: task.cron,
+    event: task.event || null,
     agentType: task.agentType || null,
     enabled: !!task.enabled,
     once: !!task.once,
@@ -960,6 +1622,23 @@ function historyTaskView(task) {
     // still live — are appended at the END. Slicing to 20 would drop exactly the
     // in-flight run the page most needs to show. The client orders for display.
     runs: (task.runs || []).map(runView),
+    workflowRuns: (task.workflowRuns || []).map(wf => workflowRunView(task, wf)),
+  };
+}
+
+// One trigger and its fires for the history page — never its token. A task-bound
+// trigger's started fires also appear as runs on that task's row (run.trigger).
+function historyTriggerView(trigger, taskList, fireList) {
+  const task = trigger.task ? taskList.find(t => t.id === trigger.task && !t.deleted) : null;
+  return {
+    ...triggerView(trigger),
+    targetLabel: trigger.task
+      ? (task ? task.title : `task ${trigger.task} (not found)`)
+      : `automation ${trigger.automation}`,
+    fires: fireList.filter(f => f.triggerId === trigger.id).map(f => ({
+      id: f.id, at: f.at, status: f.status, sessionId: f.sessionId || null,
+      error: f.error || null, payloadBytes: f.payloadBytes || 0,
+    })),
   };
 }
 
@@ -979,7 +1658,7 @@ function isSchedulable(task) {
  * @param {object[]} contextList contexts in their stored (rail drag) order
  * @param {(root: string) => boolean} exists  folder-existence probe
  */
-function buildRunHistory({ tasks: taskList = [], contexts: contextList = [], exists = dirExists, enabled = true, now = Date.now() } = {}) {
+function buildRunHistory({ tasks: taskList = [], contexts: contextList = [], triggers: triggerList = [], fires: fireList = [], exists = dirExists, enabled = true, now = Date.now() } = {}) {
   const withRepo = taskList.filter(t => t && t.id);
 
   // Names are disambiguated against the roots this page actually renders — which
@@ -1046,7 +1725,10 @@ function buildRunHistory({ tasks: taskList = [], contexts: contextList = [], exi
     });
   }
 
-  return { enabled: !!enabled, generatedAt: now, groups };
+  return {
+    enabled: !!enabled, generatedAt: now, groups,
+    triggers: triggerList.map(t => historyTriggerView(t, taskList, fireList)),
+  };
 }
 
 function formatTaskLines(list) {
@@ -1056,11 +1738,24 @@ function formatTaskLines(list) {
     const state = v.done ? ' (one-shot, done)' : v.once ? ' (one-shot)' : v.enabled ? '' : ' (disabled)';
     const next = v.nextRun ? new Date(v.nextRun).toLocaleString() : 'n/a';
     // A retired one-shot has no next run — don't print a misleading "n/a".
-    const nextLine = v.done ? '' : `\n  next run: ${next}`;
+    const nextLine = v.done || v.event ? '' : `\n  next run: ${next}`;
+    // The cron's own times, jitter not applied — what "0 9 * * MON#2" or a zone means
+    // is easiest to check by reading where it lands.
+    // A zoned task's preview reads in its own zone, the one its cron is written in.
+    const fmt = (t) => new Date(t).toLocaleString(undefined, v.timezone ? { timeZone: v.timezone } : undefined);
+    const upcomingLine = v.upcoming.length > 1 && v.enabled
+      ? `\n  upcoming${v.timezone ? ` (${v.timezone})` : ''}: ${v.upcoming.map(fmt).join('; ')}`
+      : '';
     const lastLine = v.lastRun
       ? `\n  last run: ${new Date(v.lastRun).toLocaleString()} [${v.lastStatus}]${v.lastSummary ? ` — ${v.lastSummary}` : ''}`
       : '';
-    return `#${v.id} "${v.title}"${state}\n  ${v.schedule} (cron: ${v.cron})\n  project: ${v.project || 'none'}${nextLine}${lastLine}`;
+    const source = v.event ? `event: ${JSON.stringify(v.event)}` : `cron: ${v.cron}${v.timezone ? `, ${v.timezone}` : ''}`;
+    const stepsLine = v.steps ? `\n  workflow: ${workflow.describeSteps(v.steps)}` : '';
+    const wf = (t.workflowRuns || [])[0];
+    const wfLine = wf
+      ? `\n  last workflow run: ${new Date(wf.startedAt).toLocaleString()} [${wf.status}] — ${workflow.summarize(wf)}`
+      : '';
+    return `#${v.id} "${v.title}"${state}\n  ${v.schedule} (${source})\n  project: ${v.project || 'none'}${stepsLine}${nextLine}${upcomingLine}${wfLine}${lastLine}`;
   }).join('\n\n');
 }
 
@@ -1135,20 +1830,57 @@ const AGENT_TUNING_SCHEMA = () => ({
   config_profile: z.string().optional().describe('Id of a custom Claude config profile (Settings → config profiles, #537) to run under, i.e. an alternate CLAUDE_CONFIG_DIR. Omit for the default config. claude only.'),
 });
 
+// The `event` argument (events.js), shared the same way.
+const EVENT_SCHEMA = () => z.object({
+  type: z.enum(events.EVENT_TYPES).describe('"files": a file matching `glob` changed in the project. "commit": `branch` points at a new commit. "idle": nobody has used the machine for `minutes`. "after": the task `task` finished with `status`.'),
+  glob: z.string().optional().describe('files: glob relative to the project, e.g. "src/**/*.ts". A glob with no "/" matches at any depth.'),
+  branch: z.string().optional().describe('commit: branch or ref to watch, e.g. "main" or "origin/main" (the latter fires after a fetch).'),
+  minutes: z.number().optional().describe('idle: minutes without keyboard/mouse activity (1–1440). Fires once per idle stretch.'),
+  task: z.string().optional().describe('after: id of the task whose runs to follow.'),
+  status: z.enum(events.CHAIN_STATUSES).optional().describe('after: which outcome starts this task — succeeded (default), failed (includes timed out), or any.'),
+});
+
+// The `steps` argument (workflow.js). Snake_case like every other tool argument;
+// stepsFromTool maps it onto the stored camelCase shape.
+const STEPS_SCHEMA = () => z.array(z.object({
+  id: z.string().optional().describe('Step id, unique in the task (letters, digits, - and _). Defaults to step1, step2, …'),
+  prompt: z.string().describe('What this step\'s session does. In a for_each step, {{item}} is the item it handles.'),
+  after: z.array(z.string()).optional().describe('Ids of the steps that must finish first. Omit to run after the previous step; [] to start with the workflow.'),
+  for_each: z.string().optional().describe('Id of an earlier step: run this step once per entry of the `items` that step reported to scheduled_task_finished.'),
+  on_failure: z.enum(workflow.FAILURE_POLICIES).optional().describe('"stop" (default): start nothing more once this step fails. "continue": later steps run anyway. "retry": rerun a failed session up to `retries` times, then stop.'),
+  retries: z.number().optional().describe(`on_failure "retry": how many reruns (1–${workflow.MAX_RETRIES}, default 1).`),
+  max_parallel: z.number().optional().describe(`for_each: how many of its sessions run at once (1–${workflow.MAX_PARALLEL}, default 3).`),
+  model: z.string().optional().describe('Model for this step only; omit for the task\'s. claude only.'),
+  effort: z.enum(EFFORT_LEVELS).optional().describe('Effort for this step only; omit for the task\'s. claude only.'),
+}));
+
+function stepsFromTool(steps) {
+  if (!steps) return steps;
+  return steps.map(s => ({
+    id: s.id, prompt: s.prompt, after: s.after, forEach: s.for_each, onFailure: s.on_failure,
+    retries: s.retries, maxParallel: s.max_parallel, model: s.model, effort: s.effort,
+  }));
+}
+
 function init(context) {
   ctx = context;
   startScheduler();
   if (ctx.registerRestartBlocker) ctx.registerRestartBlocker(unattendedRunInFlight);
+  if (ctx.registerTriggerHandler) ctx.registerTriggerHandler(handleTriggerFire);
 
   const callerShellId = (extra) => extra?.requestInfo?.url?.searchParams?.get('shellId') || null;
 
   const tools = {
     schedule_task: {
-      description: 'Schedule a local agent task that runs on this machine (with full access to the project\'s MCP servers). Tasks are organized by project. Recurring by default; pass once:true for a run-once task that fires at the next cron match and then retires itself (no need to unschedule it afterward). Use for reports/maintenance/digests that need local MCP — e.g. a weekly analytics report.',
+      description: 'Schedule a local agent task that runs on this machine (with full access to the project\'s MCP servers). Tasks are organized by project. Give either a cron (a time schedule) or an event (files changed, a new commit on a branch, the machine idle, or another task finished). Recurring by default; pass once:true for a run-once task that fires at the next cron match (or the next event) and then retires itself (no need to unschedule it afterward). Use for reports/maintenance/digests that need local MCP — e.g. a weekly analytics report. Pass `steps` for a multi-step workflow where each step is its own session, e.g. triage → one session per issue found → summarize.',
       schema: {
         title: z.string().describe('Short title for the task'),
-        prompt: z.string().describe('The prompt/instructions the agent runs each time'),
-        cron: z.string().describe('5-field cron in local time: "min hour day-of-month month day-of-week". E.g. "0 9 * * 1" = every Monday 9am. For a one-shot (once:true), this is just the next matching time to fire at.'),
+        prompt: z.string().describe('The prompt/instructions the agent runs each time. With `steps`, the brief every step is given as shared context (may be empty).'),
+        steps: STEPS_SCHEMA().optional().describe(`Run as a workflow of up to ${workflow.MAX_STEPS} steps instead of one session. Each step is its own session and is told what the steps before it reported; a for_each step fans out over the \`items\` an earlier step reported.`),
+        cron: z.string().optional().describe('Cron: "min hour day-of-month month day-of-week", or 6 fields with seconds first. E.g. "0 9 * * 1" = every Monday 9am. Also accepts names (MON-FRI, JAN), L (last day of month), 15W (weekday nearest the 15th), MON#2 (second Monday), FRIL (last Friday) and @hourly/@daily/@weekly/@monthly/@yearly. For a one-shot (once:true), this is just the next matching time to fire at. Omit when giving `event`.'),
+        timezone: z.string().optional().describe('IANA timezone the cron is read in, e.g. "America/New_York". Omit for this machine\'s local time. DST is handled: a skipped time fires just after the jump, a repeated one fires once.'),
+        jitter_minutes: z.number().optional().describe(`Delay each fire by a random 0..N minutes (max ${MAX_JITTER_MINUTES}) to spread load. Default 0.`),
+        event: EVENT_SCHEMA().optional().describe('Run when something happens instead of on a cron. Omit when giving `cron`.'),
         once: z.boolean().optional().describe('Run exactly once at the next cron match, then retire (kept as a done row). Default false (recurring).'),
         project: z.string().optional().describe('Repo path to run in (canonicalized to its git root). Defaults to the calling session\'s project.'),
         agent_type: z.string().optional().describe('Agent to run. Supported: "claude" (default), "codex". Experimental: "opencode", "pi", "hermes" — these have no deepsteve MCP tools, so the run cannot self-report and the tab never auto-closes; set max_runtime_minutes. See docs/agents.md.'),
@@ -1160,11 +1892,11 @@ function init(context) {
         max_runtime_minutes: z.number().optional().describe('Close a run that has not reported finished after this many minutes, so a stuck run cannot block future fires. Default 60; 0 disables the limit.'),
         enabled: z.boolean().optional().describe('Whether the schedule is active (default true).'),
       },
-      handler: async ({ title, prompt, cron: cronStr, once, project, agent_type, model, effort, config_profile, plan_mode, keep_open, keep_open_on_failure, isolate_worktree, max_runtime_minutes, enabled }, extra) => {
+      handler: async ({ title, prompt, steps, cron: cronStr, timezone, jitter_minutes, event, once, project, agent_type, model, effort, config_profile, plan_mode, keep_open, keep_open_on_failure, isolate_worktree, max_runtime_minutes, enabled }, extra) => {
         let task;
         try {
           task = createTask({
-            title, prompt, cron: cronStr, once,
+            title, prompt, steps: stepsFromTool(steps), cron: cronStr, timezone, jitterMinutes: jitter_minutes, event, once,
             project: resolveProject(project, callerShellId(extra)),
             agentType: agent_type, configProfile: config_profile, model, effort,
             planMode: plan_mode, enabled,
@@ -1177,7 +1909,8 @@ function init(context) {
           return { content: [{ type: 'text', text: `Could not schedule task: ${e.message}` }] };
         }
         const v = taskView(task);
-        return { content: [{ type: 'text', text: `Scheduled #${v.id} "${v.title}": ${v.schedule} in ${v.project || 'no project'}. Next run: ${v.nextRun ? new Date(v.nextRun).toLocaleString() : 'n/a'}.` }] };
+        const when = v.event ? 'Runs on its event.' : `Next run: ${v.nextRun ? new Date(v.nextRun).toLocaleString() : 'n/a'}.`;
+        return { content: [{ type: 'text', text: `Scheduled #${v.id} "${v.title}": ${v.schedule} in ${v.project || 'no project'}. ${when}` }] };
       },
     },
 
@@ -1210,7 +1943,11 @@ function init(context) {
         id: z.string().describe('Task id'),
         title: z.string().optional(),
         prompt: z.string().optional(),
-        cron: z.string().optional().describe('New 5-field cron (local time)'),
+        steps: STEPS_SCHEMA().nullable().optional().describe('Replace the workflow steps (same shape as schedule_task); null or [] makes it a single-prompt task again. A workflow run in progress finishes with the steps it started with.'),
+        cron: z.string().optional().describe('New cron (same grammar as schedule_task). Replaces an event.'),
+        timezone: z.string().optional().describe('IANA timezone for the cron; "" goes back to local time.'),
+        jitter_minutes: z.number().optional().describe(`Random 0..N minute delay per fire (max ${MAX_JITTER_MINUTES}); 0 turns it off.`),
+        event: EVENT_SCHEMA().nullable().optional().describe('Run on this event instead of the cron; null switches back to the cron.'),
         once: z.boolean().optional().describe('Make this a run-once task (fires at the next cron match, then retires) or back to recurring.'),
         project: z.string().optional(),
         agent_type: z.string().optional().describe('Agent to run. Supported: "claude", "codex". Experimental: "opencode", "pi", "hermes" — these have no deepsteve MCP tools, so the run cannot self-report and the tab never auto-closes. See docs/agents.md.'),
@@ -1222,11 +1959,15 @@ function init(context) {
         max_runtime_minutes: z.number().optional().describe('Close a run that has not reported finished after this many minutes (0 disables the limit).'),
         enabled: z.boolean().optional(),
       },
-      handler: async ({ id, title, prompt, cron: cronStr, once, project, agent_type, model, effort, config_profile, plan_mode, keep_open, keep_open_on_failure, isolate_worktree, max_runtime_minutes, enabled }, extra) => {
+      handler: async ({ id, title, prompt, steps, cron: cronStr, timezone, jitter_minutes, event, once, project, agent_type, model, effort, config_profile, plan_mode, keep_open, keep_open_on_failure, isolate_worktree, max_runtime_minutes, enabled }, extra) => {
         const fields = {};
         if (title !== undefined) fields.title = title;
         if (prompt !== undefined) fields.prompt = prompt;
+        if (steps !== undefined) fields.steps = stepsFromTool(steps);
         if (cronStr !== undefined) fields.cron = cronStr;
+        if (timezone !== undefined) fields.timezone = timezone;
+        if (jitter_minutes !== undefined) fields.jitterMinutes = jitter_minutes;
+        if (event !== undefined) fields.event = event;
         if (once !== undefined) fields.once = once;
         if (project !== undefined) fields.project = resolveProject(project, callerShellId(extra));
         if (agent_type !== undefined) fields.agentType = agent_type;
@@ -1244,7 +1985,8 @@ function init(context) {
         catch (e) { return { content: [{ type: 'text', text: `Could not update: ${e.message}` }] }; }
         if (!task) return { content: [{ type: 'text', text: `Task #${id} not found.` }] };
         const v = taskView(task);
-        return { content: [{ type: 'text', text: `Updated #${v.id} "${v.title}": ${v.schedule}. Next run: ${v.nextRun ? new Date(v.nextRun).toLocaleString() : 'n/a'}.` }] };
+        const when = v.event ? 'Runs on its event.' : `Next run: ${v.nextRun ? new Date(v.nextRun).toLocaleString() : 'n/a'}.`;
+        return { content: [{ type: 'text', text: `Updated #${v.id} "${v.title}": ${v.schedule}. ${when}` }] };
       },
     },
 
@@ -1294,6 +2036,7 @@ function init(context) {
         run.agentStartedAt = Date.now();
         saveTasks();
         broadcastTasks();
+        emitRunEvent('scheduled_task_started', task, run);
         return { content: [{ type: 'text', text: `Marked scheduled run of "${task.title}" (#${task.id}) as started.${deletedScheduleNote(task)}` }] };
       },
     },
@@ -1303,8 +2046,9 @@ function init(context) {
       schema: {
         success: z.boolean().optional().describe('Whether the task completed successfully (default true).'),
         summary: z.string().optional().describe('One-line summary of what was done (or why it failed).'),
+        items: z.array(z.string()).optional().describe('Workflow steps only: the list a later step runs once per entry of (issue numbers, files, URLs…). Your prompt says when to pass it.'),
       },
-      handler: async ({ success, summary }, extra) => {
+      handler: async ({ success, summary, items }, extra) => {
         const shellId = callerShellId(extra);
         const found = findRunByShell(shellId);
         if (!found) return noRunResult(shellId);
@@ -1313,9 +2057,11 @@ function init(context) {
         run.status = ok ? 'succeeded' : 'failed';
         run.success = ok;
         run.summary = summary ? String(summary) : null;
+        if (run.workflow && items) run.items = workflow.cleanItems(items);
         run.endedAt = Date.now();
         saveTasks();
         broadcastTasks();
+        notifyRunEnded(task, run);
         // Auto-close is the default; keepOpen always keeps, keepOpenOnFailure keeps
         // a failed run open for inspection. Closing acks this response first (the
         // core's killShell defers teardown), and the now-terminal status means the
@@ -1352,7 +2098,7 @@ function registerRoutes(app, context) {
   app.get('/api/scheduled-tasks', (req, res) => {
     // Enrich each task with a human-readable schedule + project name for the panel,
     // keeping the full stored fields (prompt, runs, nextRun) for editing/history.
-    const enriched = liveTasks().map(t => ({ ...t, schedule: scheduleLabel(t), projectName: displayName(t.project) }));
+    const enriched = liveTasks().map(t => ({ ...t, schedule: scheduleLabel(t), upcoming: upcomingRuns(t), projectName: displayName(t.project) }));
     // Groups (now the shared "contexts") arrive over /api/contexts + the 'contexts'
     // broadcast, not in this payload.
     // `defaults` (#604) is what an unpinned task actually resolves to, so the form's
@@ -1375,10 +2121,26 @@ function registerRoutes(app, context) {
     res.json(buildRunHistory({
       tasks,                       // the FULL array — tombstones included, on purpose
       contexts: getContexts(),
+      triggers: configuredTriggers(),
+      fires,
       enabled: !!ctx.settings.scheduledTasksEnabled,
     }));
   });
 
+  // The form's live preview: what a cron (in a zone) means, and where it lands next.
+  // Read-only, so ungated like the list. Always 200 — an expression mid-edit is
+  // expected to be invalid, and the form shows `error` inline.
+  app.get('/api/scheduled-tasks/preview', (req, res) => {
+    const expr = String(req.query.cron || '');
+    try {
+      const timezone = cron.normalizeTimezone(req.query.timezone);
+      const times = cron.nextRuns(expr, new Date(), PREVIEW_COUNT, { timezone });
+      res.json({ description: cron.describe(expr), timezone, times });
+    } catch (e) {
+      res.json({ error: e.message, times: [] });
+    }
+  });
+
   app.post('/api/scheduled-tasks', (req, res) => {
     if (!featureEnabled()) return res.status(403).json({ error: FEATURE_OFF_MSG });
     const b = req.body || {};
@@ -1386,7 +2148,8 @@ function registerRoutes(app, context) {
     if (projectRoot) projectRoot = resolveProject(projectRoot, null);
     try {
       const task = createTask({
-        title: b.title, prompt: b.prompt, cron: b.cron, once: b.once, project: projectRoot,
+        title: b.title, prompt: b.prompt, steps: b.steps, cron: b.cron, timezone: b.timezone, jitterMinutes: b.jitterMinutes,
+        event: b.event, once: b.once, project: projectRoot,
         agentType: b.agentType, configProfile: b.configProfile,
         model: b.model, effort: b.effort,
         planMode: b.planMode, enabled: b.enabled,
@@ -1450,4 +2213,4 @@ function registerRoutes(app, context) {
 
 // The mod loader only uses init/registerRoutes; the extra named exports are for
 // unit tests (test/unit/scheduled-worktree.test.js).
-module.exports = { init, registerRoutes, cleanupWorktree, isGitRepo, scheduledRunPrompt, worktreeContract, enforceRunTimeouts, CONTRACT_TOOLS, purgeTombstonedTasks, TOMBSTONE_TTL_MS, buildRunHistory, disambiguate };
+module.exports = { init, registerRoutes, cleanupWorktree, isGitRepo, scheduledRunPrompt, worktreeContract, enforceRunTimeouts, pollEvents, CONTRACT_TOOLS, purgeTombstonedTasks, TOMBSTONE_TTL_MS, buildRunHistory, disambiguate };
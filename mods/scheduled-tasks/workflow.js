@@ -0,0 +1,355 @@
+// Multi-step workflows for the scheduled-tasks mod — a task whose `steps` form a
+// small DAG instead of one prompt in one session:
+//
+//   [ { id: 'triage',    prompt: 'List the open bugs worth fixing today' },
+//     { id: 'fix',       prompt: 'Fix issue {{item}} and open a PR', forEach: 'triage' },
+//     { id: 'summarize', prompt: 'Write up what was fixed' } ]
+//
+//   id           unique within the task; defaults to step1, step2, …
+//   prompt       what this step's session is told to do
+//   after        ids of the steps that must finish first. Omitted = the step before
+//                it, so a plain list is a pipeline; [] = starts with the workflow
+//   forEach      id of an earlier step: run this step once per entry of the `items`
+//                that step reported, with {{item}} filled in. Implies `after` it
+//   onFailure    'stop' (default): nothing new starts once this step fails
+//                'continue': later steps run anyway, and see the failure
+//                'retry': rerun a failed session up to `retries` times, then stop
+//   maxParallel  forEach only: how many of its sessions run at once
+//   model/effort per-step overrides of the task's own
+//
+// Every step runs as its own scheduled-run session, and reports through
+// scheduled_task_finished like any run: its summary — and, for a step a later one
+// fans out over, its `items` — is what the steps after it are told.
+//
+// One fire of a workflow task is a workflow run, kept on the task as
+// `workflowRuns` next to the per-session `runs` rows (which stay what they were: one
+// row per session, so the overlap guard, timeouts and worktree cleanup all apply to
+// each step unchanged). The run carries a copy of the steps it started with, so an
+// edit mid-run can't strand it. Everything here is pure; spawning and persistence
+// are tools.js.
+
+const ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+const FAILURE_POLICIES = ['stop', 'continue', 'retry'];
+const MAX_STEPS = 12;
+const MAX_RETRIES = 3;
+// A forEach over a triage step that listed 200 issues would open 200 tabs. The list
+// is cut here, and the run says how much was dropped.
+const MAX_ITEMS = 25;
+const MAX_PARALLEL = 10;
+const DEFAULT_PARALLEL = 3;
+const MAX_ITEM_CHARS = 500;
+// What one step's summary contributes to the next step's prompt.
+const MAX_SUMMARY_CHARS = 2000;
+
+// Instance statuses: 'pending' until spawned, then the run row's own status. A
+// pending instance that never gets to start — the workflow stopped — is 'cancelled'.
+const ACTIVE = new Set(['pending', 'queued', 'running', 'started']);
+const FAILED = new Set(['failed', 'timed-out', 'ended', 'cancelled']);
+const STEP_DONE = new Set(['succeeded', 'failed', 'skipped']);
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) && n >= min ? Math.min(n, max) : fallback;
+}
+
+function clip(s, max) {
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+/**
+ * Steps in an order where every step comes after the ones it waits on, keeping the
+ * given order wherever the graph allows. Throws when the steps form a cycle.
+ */
+function topoOrder(steps) {
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const placed = new Set();
+  const out = [];
+  while (out.length < steps.length) {
+    const next = steps.find(s => !placed.has(s.id) && s.after.every(a => placed.has(a)));
+    if (!next) {
+      const stuck = steps.filter(s => !placed.has(s.id)).map(s => s.id);
+      throw new Error(`steps wait on each other in a cycle: ${stuck.join(', ')}`);
+    }
+    placed.add(next.id);
+    out.push(byId.get(next.id));
+  }
+  return out;
+}
+
+/**
+ * A task's `steps` from untrusted input, normalized and in run order. null for
+ * no steps at all (an ordinary single-prompt task). Throws on anything unusable,
+ * like cron.parseCron — callers already catch that and answer 400.
+ */
+function parseSteps(raw) {
+  if (raw == null) return null;
+  if (!Array.isArray(raw)) throw new Error('steps must be a list');
+  if (!raw.length) return null;
+  if (raw.length > MAX_STEPS) throw new Error(`a workflow has at most ${MAX_STEPS} steps`);
+  const out = [];
+  const ids = new Set();
+  raw.forEach((s, i) => {
+    if (!s || typeof s !== 'object') throw new Error(`step ${i + 1} must be an object`);
+    const id = s.id == null || s.id === '' ? `step${i + 1}` : String(s.id).trim();
+    if (!ID_RE.test(id)) throw new Error(`step id "${id}" may only use letters, digits, - and _ (up to 32)`);
+    if (ids.has(id)) throw new Error(`two steps are called "${id}"`);
+    ids.add(id);
+    const prompt = String(s.prompt || '').trim();
+    if (!prompt) throw new Error(`step "${id}" needs a prompt`);
+    const after = s.after === undefined || s.after === null
+      ? (i ? [out[i - 1].id] : [])
+      : (Array.isArray(s.after) ? s.after : [s.after]).map(a => String(a).trim()).filter(Boolean);
+    const forEach = s.forEach ? String(s.forEach).trim() : null;
+    if (forEach && !after.includes(forEach)) after.push(forEach);
+    const onFailure = s.onFailure == null || s.onFailure === '' ? 'stop' : s.onFailure;
+    if (!FAILURE_POLICIES.includes(onFailure)) throw new Error(`step "${id}": onFailure must be one of ${FAILURE_POLICIES.join(', ')}`);
+    out.push({
+      id,
+      prompt,
+      after: [...new Set(after)],
+      forEach,
+      onFailure,
+      retries: onFailure === 'retry' ? clampInt(s.retries, 1, MAX_RETRIES, 1) : 0,
+      maxParallel: forEach ? clampInt(s.maxParallel, 1, MAX_PARALLEL, DEFAULT_PARALLEL) : 1,
+      model: typeof s.model === 'string' && s.model.trim() ? s.model.trim() : null,
+      effort: typeof s.effort === 'string' && s.effort.trim() ? s.effort.trim() : null,
+    });
+  });
+  for (const s of out) {
+    for (const a of s.after) {
+      if (a === s.id) throw new Error(`step "${s.id}" cannot run after itself`);
+      if (!ids.has(a)) throw new Error(`step "${s.id}" runs after "${a}", which is not a step`);
+    }
+  }
+  return topoOrder(out);
+}
+
+/** Column of each step in a left-to-right drawing: 0 for a start, else one past its deepest input. */
+function depths(steps) {
+  const d = {};
+  for (const s of steps) d[s.id] = s.after.length ? 1 + Math.max(...s.after.map(a => d[a] || 0)) : 0;
+  return d;
+}
+
+/** One line for the tools: "triage → fix (each of triage) → summarize". */
+function describeSteps(steps) {
+  if (!steps || !steps.length) return '';
+  return steps.map((s, i) => {
+    if (s.forEach) return `${s.id} (each of ${s.forEach})`;
+    const linear = i === 0 ? !s.after.length : s.after.length === 1 && s.after[0] === steps[i - 1].id;
+    if (linear) return s.id;
+    return s.after.length ? `${s.id} (after ${s.after.join(', ')})` : `${s.id} (at start)`;
+  }).join(' → ');
+}
+
+/**
+ * A fresh workflow run for `steps`, nothing started yet. `note` is what the fire
+ * added to the prompt (a trigger's payload, what an event saw); `brief` is the
+ * task's own prompt, which every step is given as shared context.
+ */
+function newRun(steps, { id, now = Date.now(), reason = null, brief = '', note = '', trigger = null, event = null, chainDepth = 0 } = {}) {
+  const state = {};
+  for (const s of steps) state[s.id] = { status: 'pending', startedAt: null, endedAt: null, items: null, itemsDropped: 0, instances: [] };
+  return {
+    id, startedAt: now, endedAt: null, status: 'running', stopping: false,
+    reason, brief: brief || '', note: note || '', trigger, event, chainDepth,
+    plan: steps.map(s => ({ ...s, after: [...s.after] })),
+    steps: state,
+  };
+}
+
+function newInstance(item, index, attempt) {
+  return { item, index, attempt, sessionId: null, status: 'pending', summary: null, items: null, startedAt: null, endedAt: null };
+}
+
+// Per index, the instance from the newest attempt — the one that decides the outcome.
+function latestAttempts(instances) {
+  const byIndex = new Map();
+  for (const inst of instances) {
+    const prev = byIndex.get(inst.index);
+    if (!prev || inst.attempt > prev.attempt) byIndex.set(inst.index, inst);
+  }
+  return [...byIndex.values()].sort((a, b) => a.index - b.index);
+}
+
+// What a step handed on for a forEach: the items of its successful sessions, in
+// order, duplicates dropped, cut to MAX_ITEMS.
+function collectItems(state) {
+  const seen = new Set();
+  for (const inst of latestAttempts(state.instances)) {
+    if (inst.status !== 'succeeded') continue;
+    for (const item of inst.items || []) seen.add(item);
+  }
+  const all = [...seen];
+  return { items: all.slice(0, MAX_ITEMS), dropped: Math.max(0, all.length - MAX_ITEMS) };
+}
+
+/**
+ * Move `run` forward as far as it can go right now: start steps whose inputs are
+ * done, queue retries, skip what can no longer run, and close the run once every
+ * step is done. Returns the instances to spawn, as [{ step, instance }], each
+ * already marked 'queued' — the caller fills in sessionId, or marks it failed and
+ * calls this again.
+ */
+function advance(run, now = Date.now()) {
+  const launch = [];
+  if (run.status !== 'running') return launch;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const step of run.plan) {
+      const st = run.steps[step.id];
+      if (st.status === 'pending') {
+        const inputs = step.after.map(a => run.steps[a]);
+        if (inputs.some(i => !STEP_DONE.has(i.status))) continue;
+        if (run.stopping || inputs.some(i => i.status === 'skipped')) {
+          st.status = 'skipped';
+          st.endedAt = now;
+          changed = true;
+          continue;
+        }
+        let items = [null];
+        if (step.forEach) {
+          const got = collectItems(run.steps[step.forEach]);
+          st.items = got.items;
+          st.itemsDropped = got.dropped;
+          items = got.items;
+        }
+        st.instances = items.map((item, index) => newInstance(item, index, 1));
+        st.status = 'running';
+        st.startedAt = now;
+        changed = true;
+      }
+      if (st.status !== 'running') continue;
+      if (step.onFailure === 'retry' && !run.stopping) {
+        for (const inst of latestAttempts(st.instances)) {
+          if (FAILED.has(inst.status) && inst.attempt <= step.retries) {
+            st.instances.push(newInstance(inst.item, inst.index, inst.attempt + 1));
+            changed = true;
+          }
+        }
+      }
+      // A session failing for good stops the run there and then — a fan-out does
+      // not start its remaining items first. 'continue' is the one exception.
+      if (!run.stopping && step.onFailure !== 'continue'
+          && latestAttempts(st.instances).some(i => FAILED.has(i.status))) {
+        run.stopping = true;
+        changed = true;
+      }
+      if (run.stopping) {
+        for (const inst of st.instances) {
+          if (inst.status === 'pending') { inst.status = 'cancelled'; inst.endedAt = now; changed = true; }
+        }
+      }
+      let live = st.instances.filter(i => ACTIVE.has(i.status) && i.status !== 'pending').length;
+      for (const inst of st.instances) {
+        if (live >= step.maxParallel) break;
+        if (inst.status !== 'pending') continue;
+        inst.status = 'queued';
+        launch.push({ step, instance: inst });
+        live++;
+        changed = true;
+      }
+      if (st.instances.every(i => !ACTIVE.has(i.status))) {
+        const ok = latestAttempts(st.instances).every(i => i.status === 'succeeded');
+        st.status = ok ? 'succeeded' : 'failed';
+        st.endedAt = now;
+        if (!ok && step.onFailure !== 'continue') run.stopping = true;
+        changed = true;
+      }
+    }
+  }
+  if (run.plan.every(s => STEP_DONE.has(run.steps[s.id].status))) {
+    run.status = run.plan.some(s => run.steps[s.id].status !== 'succeeded') ? 'failed' : 'succeeded';
+    run.endedAt = now;
+  }
+  return launch;
+}
+
+/**
+ * A step session ended: copy its outcome from the run row onto its instance.
+ * Returns the instance, or null when the session isn't one of this run's (or was
+ * already recorded — the self-report and the tab closing both end up here).
+ */
+function recordEnd(run, sessionId, row, now = Date.now()) {
+  for (const st of Object.values(run.steps)) {
+    const inst = st.instances.find(i => i.sessionId === sessionId);
+    if (!inst) continue;
+    if (!ACTIVE.has(inst.status)) return null;
+    inst.status = row.status;
+    inst.summary = row.summary || null;
+    inst.items = Array.isArray(row.items) ? row.items : null;
+    inst.endedAt = row.endedAt || now;
+    return inst;
+  }
+  return null;
+}
+
+/** `items` from a scheduled_task_finished call, cleaned: strings, trimmed, bounded. */
+function cleanItems(raw) {
+  if (!Array.isArray(raw)) return null;
+  const out = raw.map(x => clip(String(x == null ? '' : x).trim(), MAX_ITEM_CHARS)).filter(Boolean);
+  return out.slice(0, MAX_ITEMS * 2);
+}
+
+function fillItem(text, item) {
+  return item == null ? text : text.replace(/\{\{\s*item\s*\}\}/g, item);
+}
+
+/**
+ * The prompt for one step session: where it sits in the workflow, what the steps
+ * it waits on reported, and the step's own prompt with {{item}} filled in. The
+ * caller wraps it in the scheduled-run contract like any run's prompt.
+ */
+function stepPrompt(run, step, instance, { title = '' } = {}) {
+  const lines = [`This session is step "${step.id}" of the workflow "${title}" (workflow run ${run.id}).`];
+  if (step.forEach) {
+    const st = run.steps[step.id];
+    lines.push(`It handles one item of what "${step.forEach}" produced — item ${instance.index + 1} of ${st.instances.filter(i => i.attempt === 1).length}:`, instance.item);
+  }
+  if (instance.attempt > 1) lines.push(`This is attempt ${instance.attempt}; the previous one did not succeed.`);
+  if (run.brief) lines.push('', 'What the whole workflow is for:', run.brief);
+  if (run.note) lines.push('', 'Why this workflow run started:', run.note);
+  if (step.after.length) {
+    lines.push('', 'What the steps before this one reported:');
+    for (const id of step.after) {
+      const st = run.steps[id];
+      const latest = latestAttempts(st.instances);
+      if (latest.length === 1 && latest[0].item == null) {
+        const inst = latest[0];
+        lines.push(`- ${id} (${inst.status}): ${inst.summary ? clip(inst.summary, MAX_SUMMARY_CHARS) : 'no summary'}`);
+        if (inst.items && inst.items.length) lines.push(`  items: ${inst.items.join('; ')}`);
+      } else {
+        lines.push(`- ${id} (${st.status}, ${latest.length} session${latest.length === 1 ? '' : 's'}):`);
+        for (const inst of latest) {
+          lines.push(`  - ${inst.item} (${inst.status}): ${inst.summary ? clip(inst.summary, MAX_SUMMARY_CHARS) : 'no summary'}`);
+        }
+      }
+    }
+  }
+  if (run.plan.some(s => s.forEach === step.id)) {
+    lines.push('', 'A later step runs once for each entry of a list this step produces. Pass that list as `items` '
+      + '(one short string per entry — an issue number, a file, a URL) to `scheduled_task_finished` along with your summary.');
+  }
+  lines.push('', 'Your step:', fillItem(step.prompt, instance.item));
+  return lines.join('\n');
+}
+
+/** One line for a finished run: how many steps succeeded, failed or were skipped. */
+function summarize(run) {
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+  for (const s of run.plan) {
+    const status = run.steps[s.id].status;
+    if (status in counts) counts[status]++;
+  }
+  const parts = [`${counts.succeeded}/${run.plan.length} steps succeeded`];
+  if (counts.failed) parts.push(`${counts.failed} failed`);
+  if (counts.skipped) parts.push(`${counts.skipped} skipped`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  FAILURE_POLICIES, MAX_STEPS, MAX_ITEMS, MAX_RETRIES, MAX_PARALLEL,
+  parseSteps, topoOrder, depths, describeSteps, newRun, advance, recordEnd,
+  latestAttempts, cleanItems, stepPrompt, summarize,
+};
@@ -0,0 +1,205 @@
+/**
+ * Pixel diffing and per-project baselines for screenshot_compare.
+ *
+ * compareImages() is pixelmatch's algorithm: two pixels differ when their distance in
+ * YIQ space (which weighs brightness the way eyes do) passes `threshold`, and a differing
+ * pixel that looks like anti-aliasing in both images — an edge pixel between two flat
+ * runs of colour — is drawn but not counted, so a font rendered a hair differently does
+ * not fail a comparison. Images of different sizes are compared over the larger extent,
+ * where every pixel only one of them has counts as a mismatch.
+ *
+ * Baselines are per project and live in the repo, at <root>/.deepsteve/baselines/<name>.png
+ * beside a <name>.json of who set them — like Project Mods (#618), so they are committed,
+ * reviewed and shared with the checkout rather than kept on one machine.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_STATE_DIRNAME } = require('../../paths');
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,79}$/;
+
+// --- diffing ---
+
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.2741761 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+const blend = (c, a) => 255 + (c - 255) * a; // over white
+
+// Squared YIQ distance between pixel k of img1 and m of img2, negative when img2's is
+// brighter. yOnly: just the brightness difference (for the anti-aliasing check).
+function colorDelta(img1, img2, k, m, yOnly) {
+  let r1 = img1[k]; let g1 = img1[k + 1]; let b1 = img1[k + 2]; const a1 = img1[k + 3];
+  let r2 = img2[m]; let g2 = img2[m + 1]; let b2 = img2[m + 2]; const a2 = img2[m + 3];
+  if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+  if (a1 < 255) { const a = a1 / 255; r1 = blend(r1, a); g1 = blend(g1, a); b1 = blend(b1, a); }
+  if (a2 < 255) { const a = a2 / 255; r2 = blend(r2, a); g2 = blend(g2, a); b2 = blend(b2, a); }
+  const y1 = rgb2y(r1, g1, b1);
+  const y2 = rgb2y(r2, g2, b2);
+  const y = y1 - y2;
+  if (yOnly) return y;
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+  return y1 > y2 ? -delta : delta;
+}
+
+// Whether (x1, y1) has more than two neighbours of exactly its own colour.
+function hasManySiblings({ data, width, height }, x1, y1) {
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === 0 || x1 === width - 1 || y1 === 0 || y1 === height - 1 ? 1 : 0;
+  for (let x = Math.max(x1 - 1, 0); x <= Math.min(x1 + 1, width - 1); x++) {
+    for (let y = Math.max(y1 - 1, 0); y <= Math.min(y1 + 1, height - 1); y++) {
+      if (x === x1 && y === y1) continue;
+      const p = (y * width + x) * 4;
+      if (data[pos] === data[p] && data[pos + 1] === data[p + 1] && data[pos + 2] === data[p + 2] && data[pos + 3] === data[p + 3]) zeroes++;
+      if (zeroes > 2) return true;
+    }
+  }
+  return false;
+}
+
+// Whether (x1, y1) in `img` looks like an anti-aliased edge: its brightest and darkest
+// neighbours each sit in a flat region, in both images.
+function antialiased(img, x1, y1, other) {
+  const { data, width, height } = img;
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === 0 || x1 === width - 1 || y1 === 0 || y1 === height - 1 ? 1 : 0;
+  let min = 0; let max = 0;
+  let minX = 0; let minY = 0; let maxX = 0; let maxY = 0;
+  for (let x = Math.max(x1 - 1, 0); x <= Math.min(x1 + 1, width - 1); x++) {
+    for (let y = Math.max(y1 - 1, 0); y <= Math.min(y1 + 1, height - 1); y++) {
+      if (x === x1 && y === y1) continue;
+      const delta = colorDelta(data, data, pos, (y * width + x) * 4, true);
+      if (delta === 0) {
+        zeroes++;
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta; minX = x; minY = y;
+      } else if (delta > max) {
+        max = delta; maxX = x; maxY = y;
+      }
+    }
+  }
+  if (min === 0 || max === 0) return false;
+  const flat = (x, y) => x < other.width && y < other.height && hasManySiblings(img, x, y) && hasManySiblings(other, x, y);
+  return flat(minX, minY) || flat(maxX, maxY);
+}
+
+/**
+ * Compare two decoded images ({ width, height, data: RGBA }).
+ *   threshold  0–1, how different two pixels must be to count (default 0.1)
+ *   includeAA  count anti-aliased pixels too (default false)
+ * Returns { width, height, diffPixels, antialiasedPixels, totalPixels, mismatch (percent),
+ * sizeMismatch, diff } — `diff` is an image: `a` faded to grey, red where the pixels
+ * differ, yellow where they differ only by anti-aliasing, magenta outside the overlap.
+ */
+function compareImages(a, b, { threshold = 0.1, includeAA = false } = {}) {
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+  const out = new Uint8Array(width * height * 4);
+  const maxDelta = 35215 * threshold * threshold;
+  let diffPixels = 0;
+  let antialiasedPixels = 0;
+  const paint = (o, r, g, bl) => { out[o] = r; out[o + 1] = g; out[o + 2] = bl; out[o + 3] = 255; };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (x >= a.width || y >= a.height || x >= b.width || y >= b.height) {
+        diffPixels++;
+        paint(o, 255, 0, 255);
+        continue;
+      }
+      const pa = (y * a.width + x) * 4;
+      const pb = (y * b.width + x) * 4;
+      const delta = colorDelta(a.data, b.data, pa, pb, false);
+      if (Math.abs(delta) > maxDelta) {
+        if (!includeAA && (antialiased(a, x, y, b) || antialiased(b, x, y, a))) {
+          antialiasedPixels++;
+          paint(o, 255, 255, 0);
+        } else {
+          diffPixels++;
+          paint(o, 255, 0, 0);
+        }
+      } else {
+        const d = a.data;
+        const grey = blend(rgb2y(d[pa], d[pa + 1], d[pa + 2]), 0.1 * d[pa + 3] / 255);
+        paint(o, grey, grey, grey);
+      }
+    }
+  }
+  const totalPixels = width * height;
+  return {
+    width, height, diffPixels, antialiasedPixels, totalPixels,
+    mismatch: Math.round((diffPixels / totalPixels) * 100 * 1000) / 1000,
+    sizeMismatch: a.width !== b.width || a.height !== b.height,
+    diff: { width, height, data: out },
+  };
+}
+
+// --- baselines ---
+
+function validBaselineName(name) {
+  return typeof name === 'string' && NAME_RE.test(name) && !name.includes('..');
+}
+
+function assertBaselineName(name) {
+  if (!validBaselineName(name)) throw new Error(`Invalid baseline name "${name}": use letters, digits, ".", "_" and "-" (at most 80)`);
+}
+
+function baselinesDir(root) {
+  return path.join(root, DEFAULT_STATE_DIRNAME, 'baselines');
+}
+
+function baselinePath(root, name) {
+  assertBaselineName(name);
+  return path.join(baselinesDir(root), `${name}.png`);
+}
+
+/** The baselines of the project at `root`, newest first: [{ name, width, height, updatedAt, ... }]. */
+function listBaselines(root) {
+  let files;
+  try { files = fs.readdirSync(baselinesDir(root)); } catch { return []; }
+  return files
+    .filter(f => f.endsWith('.png') && validBaselineName(f.slice(0, -4)))
+    .map((f) => {
+      const name = f.slice(0, -4);
+      let meta = {};
+      try { meta = JSON.parse(fs.readFileSync(path.join(baselinesDir(root), `${name}.json`), 'utf8')); } catch {}
+      if (!meta.updatedAt) {
+        try { meta.updatedAt = fs.statSync(path.join(baselinesDir(root), f)).mtimeMs; } catch {}
+      }
+      return { ...meta, name };
+    })
+    .sort((x, y) => (y.updatedAt || 0) - (x.updatedAt || 0));
+}
+
+/** Write (or replace) a baseline. `meta` is kept in the sidecar: { width, height, source, ... }. */
+function saveBaseline(root, name, png, meta = {}) {
+  const file = baselinePath(root, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, png);
+  const record = { ...meta, name, updatedAt: Date.now() };
+  fs.writeFileSync(path.join(path.dirname(file), `${name}.json`), JSON.stringify(record, null, 2) + '\n');
+  return { ...record, path: file };
+}
+
+/** The baseline's PNG bytes, or null when there is none. */
+function readBaseline(root, name) {
+  try { return fs.readFileSync(baselinePath(root, name)); } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function deleteBaseline(root, name) {
+  const file = baselinePath(root, name);
+  const existed = fs.existsSync(file);
+  try { fs.unlinkSync(file); } catch {}
+  try { fs.unlinkSync(path.join(path.dirname(file), `${name}.json`)); } catch {}
+  return existed;
+}
+
+module.exports = {
+  compareImages, validBaselineName, assertBaselineName, baselinePath, listBaselines, saveBaseline, readBaseline, deleteBaseline,
+};
@@ -14,6 +14,10 @@ function screenshotUrl(id) {
   return `/api/screenshots/${id}.png`;
 }
 
+function comparisonUrl(id, kind) {
+  return `/api/screenshots/comparisons/${id}/${kind}.png`;
+}
+
 /**
  * Render a DOM element to a PNG data URL.
  *
@@ -62,6 +66,8 @@ function ScreenshotsPanel() {
   const [selectedId, setSelectedId] = useState(null);
   const [capturing, setCapturing] = useState(false);
   const [status, setStatus] = useState(null);
+  const [view, setView] = useState('shots'); // 'shots' | 'compare'
+  const [comparisons, setComparisons] = useState([]);
   const statusTimer = useRef(null);
 
   const showStatus = useCallback((text, type) => {
@@ -80,6 +86,10 @@ function ScreenshotsPanel() {
         if (list.length > 0) setSelectedId(list[0].id);
       })
       .catch((e) => console.error('Failed to load screenshots:', e));
+    fetch('/api/screenshots/comparisons')
+      .then((r) => r.json())
+      .then((d) => setComparisons(Array.isArray(d?.comparisons) ? d.comparisons : []))
+      .catch((e) => console.error('Failed to load comparisons:', e));
   }, []);
 
   // Subscribe to server broadcasts so new captures appear in every open window.
@@ -92,6 +102,10 @@ function ScreenshotsPanel() {
           return [msg.meta, ...prev];
         });
         setSelectedId((prev) => prev ?? msg.meta.id);
+      } else if (msg.type === 'screenshot-comparison' && msg.record) {
+        setComparisons((prev) => [msg.record, ...prev.filter((c) => c.id !== msg.record.id)]);
+      } else if (msg.type === 'screenshot-comparison-deleted' && msg.id) {
+        setComparisons((prev) => prev.filter((c) => c.id !== msg.id));
       } else if (msg.type === 'screenshot-deleted' && msg.id) {
         setScreenshots((prev) => {
           const idx = prev.findIndex((s) => s.id === msg.id);
@@ -183,9 +197,18 @@ function ScreenshotsPanel() {
   useEffect(() => {
     if (!window.deepsteve?.onScreenshotCaptureRequest) return;
     return window.deepsteve.onScreenshotCaptureRequest(async (req) => {
-      const { requestId, selector } = req;
+      const { requestId, selector, displayTabId } = req;
       try {
-        const el = parent.document.querySelector(selector);
+        let el;
+        if (displayTabId) {
+          const frame = parent.document.querySelector(`#term-${CSS.escape(displayTabId)} iframe`);
+          // Not open in this window: another window may have it, so stay quiet.
+          if (!frame) return;
+          if (!frame.clientWidth) throw new Error(`Display tab ${displayTabId} is not the visible tab in its window — switch to it first`);
+          el = selector ? frame.contentDocument?.querySelector(selector) : frame;
+        } else {
+          el = parent.document.querySelector(selector);
+        }
         if (!el) {
           await fetch('/api/screenshots/result', {
             method: 'POST',
@@ -243,7 +266,27 @@ function ScreenshotsPanel() {
             </button>
           )}
         </div>
-        <button
+        <div style={{ display: 'flex', gap: 4, marginBottom: 8 }}>
+          {[['shots', 'Shots'], ['compare', `Comparisons${comparisons.length ? ` (${comparisons.length})` : ''}`]].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              style={{
+                flex: 1,
+                padding: '4px 8px',
+                fontSize: 11,
+                border: 'none',
+                borderRadius: 4,
+                cursor: 'pointer',
+                background: view === id ? 'rgba(88,166,255,0.15)' : 'rgba(255,255,255,0.06)',
+                color: view === id ? '#58a6ff' : '#8b949e',
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {view === 'shots' && <button
           onClick={capture}
           disabled={capturing}
           style={{
@@ -260,7 +303,7 @@ function ScreenshotsPanel() {
           }}
         >
           {capturing ? 'Capturing...' : 'Capture Terminal'}
-        </button>
+        </button>}
       </div>
 
       {/* Content */}
@@ -280,7 +323,9 @@ function ScreenshotsPanel() {
           </div>
         )}
 
-        {selected ? (
+        {view === 'compare' ? (
+          <ComparisonsView comparisons={comparisons} showStatus={showStatus} />
+        ) : selected ? (
           <div>
             {/* Preview */}
             <img
@@ -297,6 +342,7 @@ function ScreenshotsPanel() {
             <div style={{ fontSize: 11, color: '#8b949e', marginBottom: 10 }}>
               {formatTimestamp(selected.timestamp)}
               {selected.source === 'mcp' && selected.selector ? ` · ${selected.selector}` : ''}
+              {selected.source === 'terminal' && selected.sessionId ? ` · terminal of ${selected.sessionId}` : ''}
             </div>
 
             {/* Action buttons */}
@@ -379,6 +425,143 @@ function ScreenshotsPanel() {
   );
 }
 
+const smallButton = (extra) => ({
+  padding: '4px 8px',
+  fontSize: 11,
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer',
+  background: 'rgba(255,255,255,0.06)',
+  color: '#c9d1d9',
+  ...extra,
+});
+
+/**
+ * Review screenshot_compare results: the baseline and the new capture side by side, as
+ * an onion skin (the capture faded over the baseline), or as the diff image — and
+ * approve the capture as the new baseline.
+ */
+function ComparisonsView({ comparisons, showStatus }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [mode, setMode] = useState('side'); // 'side' | 'onion' | 'diff'
+  const [opacity, setOpacity] = useState(50);
+  const selected = comparisons.find((c) => c.id === selectedId) || comparisons[0] || null;
+
+  const approve = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/screenshots/comparisons/${selected.id}/approve`, { method: 'POST' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `Server returned ${res.status}`);
+      showStatus(`Baseline "${selected.name}" updated`, 'success');
+    } catch (e) {
+      showStatus('Approve failed: ' + e.message, 'error');
+    }
+  }, [selected, showStatus]);
+
+  const remove = useCallback(() => {
+    fetch(`/api/screenshots/comparisons/${selected.id}`, { method: 'DELETE' }).catch(() => {});
+  }, [selected]);
+
+  if (!selected) {
+    return (
+      <div style={{ padding: 24, textAlign: 'center', color: '#8b949e', fontSize: 13 }}>
+        No comparisons yet. Agents create them with the <code>screenshot_compare</code> tool.
+      </div>
+    );
+  }
+
+  const imgStyle = { width: '100%', display: 'block', borderRadius: 4, border: '1px solid rgba(255,255,255,0.06)' };
+  const caption = { fontSize: 10, color: '#8b949e', margin: '4px 0 2px', textTransform: 'uppercase', letterSpacing: 0.5 };
+  const verdict = selected.approvedAt ? 'approved' : selected.passed ? 'passed' : 'failed';
+  const verdictColor = { approved: '#58a6ff', passed: '#3fb950', failed: '#f85149' }[verdict];
+
+  return (
+    <div>
+      <div style={{ fontSize: 13, fontWeight: 600, color: '#f0f6fc' }}>{selected.name}</div>
+      <div style={{ fontSize: 11, color: '#8b949e', marginBottom: 8 }}>
+        <span style={{ color: verdictColor }}>{verdict}</span>
+        {` · ${selected.mismatch}% differ`}
+        {selected.sizeMismatch ? ` · ${selected.baselineSize.width}×${selected.baselineSize.height} → ${selected.actualSize.width}×${selected.actualSize.height}` : ''}
+        {` · ${formatTimestamp(selected.timestamp)}`}
+        <div title={selected.project} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{selected.project}</div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 4, marginBottom: 8 }}>
+        {[['side', 'Side by side'], ['onion', 'Onion skin'], ['diff', 'Diff']].map(([id, label]) => (
+          <button key={id} onClick={() => setMode(id)} style={smallButton({ flex: 1, color: mode === id ? '#58a6ff' : '#8b949e' })}>{label}</button>
+        ))}
+      </div>
+
+      {mode === 'side' && (
+        <div style={{ display: 'flex', gap: 6 }}>
+          <div style={{ flex: 1, minWidth: 0 }}><div style={caption}>Baseline</div><img src={comparisonUrl(selected.id, 'baseline')} style={imgStyle} alt="Baseline" /></div>
+          <div style={{ flex: 1, minWidth: 0 }}><div style={caption}>New</div><img src={comparisonUrl(selected.id, 'actual')} style={imgStyle} alt="New capture" /></div>
+        </div>
+      )}
+      {mode === 'onion' && (
+        <div>
+          <div style={{ position: 'relative' }}>
+            <img src={comparisonUrl(selected.id, 'baseline')} style={imgStyle} alt="Baseline" />
+            <img
+              src={comparisonUrl(selected.id, 'actual')}
+              style={{ ...imgStyle, position: 'absolute', top: 0, left: 0, opacity: opacity / 100 }}
+              alt="New capture"
+            />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: '#8b949e', marginTop: 6 }}>
+            Baseline
+            <input type="range" min="0" max="100" value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} style={{ flex: 1 }} />
+            New
+          </label>
+        </div>
+      )}
+      {mode === 'diff' && (
+        <div>
+          <img src={comparisonUrl(selected.id, 'diff')} style={imgStyle} alt="Diff" />
+          <div style={{ fontSize: 10, color: '#8b949e', marginTop: 4 }}>
+            Red: differs · yellow: anti-aliasing only · magenta: outside the other image
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, margin: '10px 0 12px' }}>
+        <button
+          onClick={approve}
+          disabled={!!selected.approvedAt}
+          title="Make the new capture this project's baseline"
+          style={smallButton({ flex: 2, padding: '6px 12px', fontSize: 12, fontWeight: 600, background: selected.approvedAt ? 'rgba(255,255,255,0.06)' : '#238636', color: '#fff', cursor: selected.approvedAt ? 'default' : 'pointer' })}
+        >
+          {selected.approvedAt ? 'Approved' : 'Approve as baseline'}
+        </button>
+        <button onClick={remove} style={smallButton({ flex: 1, padding: '6px 12px', fontSize: 12 })}>Remove</button>
+      </div>
+
+      {comparisons.length > 1 && comparisons.map((c) => (
+        <div
+          key={c.id}
+          onClick={() => setSelectedId(c.id)}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: 8,
+            padding: '5px 8px',
+            marginBottom: 2,
+            borderRadius: 4,
+            cursor: 'pointer',
+            fontSize: 12,
+            background: c.id === selected.id ? 'rgba(88,166,255,0.12)' : 'transparent',
+          }}
+        >
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{c.name}</span>
+          <span style={{ color: c.approvedAt ? '#58a6ff' : c.passed ? '#3fb950' : '#f85149', flexShrink: 0 }}>
+            {c.mismatch}% · {formatTimestamp(c.timestamp)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function Thumbnail({ item, isSelected, onSelect, onRemove }) {
   const [hover, setHover] = useState(false);
   return (
@@ -2,20 +2,91 @@ const { z } = require('zod');
 const { randomUUID } = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { decodePng, encodePng } = require('../../png');
+const { findGitRoot } = require('../../git-root');
+const { statePath } = require('../../paths');
+const { compareImages, listBaselines, saveBaseline, readBaseline, deleteBaseline, baselinePath, assertBaselineName } = require('./diff');
 
-// Pending requests awaiting browser response: requestId → { resolve, timer, outPath, selector }
+// Pending requests awaiting browser response: requestId → { resolve, reject, timer }
 const pendingRequests = new Map();
 
 const TIMEOUT_MS = 30000; // 30s — screenshots can be slow
 
-let modContext = null; // stashed for registerRoutes to use
+// screenshot_compare results, newest last: id → record. Each one keeps its own copies of
+// the baseline, the capture and the diff in ~/.deepsteve/screenshot-comparisons/<id>/,
+// so the panel can show what was compared even after the baseline moves on.
+const comparisons = new Map();
+const MAX_COMPARISONS = 50;
+const COMPARISON_IMAGES = ['baseline', 'actual', 'diff'];
+
+const comparisonsDir = () => statePath('screenshot-comparisons');
+
+function loadComparisons(log) {
+  let ids = [];
+  try { ids = fs.readdirSync(comparisonsDir()); } catch { return; }
+  const loaded = [];
+  for (const id of ids) {
+    try {
+      loaded.push(JSON.parse(fs.readFileSync(path.join(comparisonsDir(), id, 'meta.json'), 'utf8')));
+    } catch (e) {
+      log(`[screenshots] Skipping comparison ${id}: ${e.message}`);
+    }
+  }
+  comparisons.clear();
+  for (const record of loaded.sort((a, b) => a.timestamp - b.timestamp)) comparisons.set(record.id, record);
+}
+
+function saveComparison(record, images) {
+  const dir = path.join(comparisonsDir(), record.id);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [kind, png] of Object.entries(images)) fs.writeFileSync(path.join(dir, `${kind}.png`), png);
+  fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify(record, null, 2));
+  comparisons.set(record.id, record);
+  while (comparisons.size > MAX_COMPARISONS) {
+    const oldest = comparisons.keys().next().value;
+    comparisons.delete(oldest);
+    fs.rmSync(path.join(comparisonsDir(), oldest), { recursive: true, force: true });
+  }
+}
+
+function comparisonImagePath(id, kind) {
+  return path.join(comparisonsDir(), id, `${kind}.png`);
+}
+
+function approveComparison(id) {
+  const record = comparisons.get(id);
+  if (!record) throw new Error(`No comparison with id "${id}"`);
+  const png = fs.readFileSync(comparisonImagePath(id, 'actual'));
+  const baseline = saveBaseline(record.project, record.name, png, {
+    width: record.actualSize.width, height: record.actualSize.height, source: `comparison ${id}`,
+  });
+  record.approvedAt = Date.now();
+  fs.writeFileSync(path.join(comparisonsDir(), id, 'meta.json'), JSON.stringify(record, null, 2));
+  return { record, baseline };
+}
+
+// Ask a connected browser to render an element; resolves with the PNG bytes.
+function requestBrowserCapture(send, request) {
+  return new Promise((resolve, reject) => {
+    const requestId = randomUUID();
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(new Error('Timed out waiting for browser response. Make sure the Screenshots mod is enabled in the deepsteve browser tab.'));
+    }, TIMEOUT_MS);
+    pendingRequests.set(requestId, { resolve, reject, timer });
+    send({ type: 'screenshot-capture-request', requestId, ...request });
+  });
+}
 
 /**
  * Initialize screenshot MCP tools.
  */
 function init(context) {
-  modContext = context;
-  const { broadcast, broadcastToWindow, shells, screenshots, deleteScreenshot, getScreenshotPath, reloadClients } = context;
+  const { broadcast, broadcastToWindow, shells, screenshots, setScreenshot, deleteScreenshot, getScreenshotPath, reloadClients, displayTabs, renderTerminalScreenshot, log = () => {} } = context;
+  loadComparisons(log);
+
+  const text = (t) => ({ content: [{ type: 'text', text: t }] });
+  const fail = (message) => ({ isError: true, content: [{ type: 'text', text: `Error: ${message}` }] });
 
   // Capturing requires a browser to render in. With none attached (e.g. an
   // unattended scheduled run) say so at once rather than waiting out the 30s
@@ -24,7 +95,7 @@ function init(context) {
     if (reloadClients && [...reloadClients].some((c) => c.readyState === 1)) return null;
     return {
       isError: true,
-      content: [{ type: 'text', text: 'No deepsteve browser window is connected. Screenshots capture the deepsteve web UI and cannot be taken unattended.' }],
+      content: [{ type: 'text', text: 'No deepsteve browser window is connected. Screenshots capture the deepsteve web UI and cannot be taken unattended. For a picture of a terminal session, use screenshot_terminal, which renders on the server.' }],
     };
   }
 
@@ -40,6 +111,71 @@ function init(context) {
     return { send: broadcast };
   }
 
+  // The project a baseline belongs to: `project` (any path inside it), else the calling
+  // session's repo. A directory that isn't in a git repo is its own project.
+  function resolveProject({ project, session_id }) {
+    const dir = project || (session_id && shells.get(session_id)?.cwd);
+    if (!dir) throw new Error('Pass project (a path in the repo) or session_id, so the baseline has a project to belong to.');
+    const root = findGitRoot(dir) || dir;
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) throw new Error(`Project directory not found: ${root}`);
+    return root;
+  }
+
+  // A session's interpreted screen as an image, drawn by the daemon (server.js
+  // renderTerminalScreenshot) — no browser needed.
+  async function renderTerminal(id, options) {
+    if (!renderTerminalScreenshot) throw new Error('Server-side terminal rendering is not available in this deepsteve.');
+    const entry = id && shells.get(id);
+    if (!entry) throw new Error(`Session "${id || 'unknown'}" not found.`);
+    return renderTerminalScreenshot(entry, options);
+  }
+
+  // The image to check, from exactly one source. Returns { png, source }.
+  async function captureActual({ screenshot_id, image_path, terminal_session_id, selector, display_tab_id, session_id }) {
+    const given = [screenshot_id, image_path, terminal_session_id, selector || display_tab_id].filter(Boolean).length;
+    if (given !== 1) {
+      throw new Error('Give exactly one image source: screenshot_id (e.g. from baby_browser_screenshot), image_path, terminal_session_id, display_tab_id (optionally with selector), or selector.');
+    }
+    if (terminal_session_id) {
+      const { body } = await renderTerminal(terminal_session_id, { format: 'png' });
+      return { png: body, source: { terminal_session_id } };
+    }
+    if (screenshot_id) {
+      if (!screenshots.has(screenshot_id)) throw new Error(`No screenshot with id "${screenshot_id}"`);
+      return { png: fs.readFileSync(getScreenshotPath(screenshot_id)), source: { screenshot_id } };
+    }
+    if (image_path) {
+      return { png: fs.readFileSync(path.resolve(image_path)), source: { image_path: path.resolve(image_path) } };
+    }
+    if (display_tab_id && displayTabs && !displayTabs.has(display_tab_id)) throw new Error(`No display tab with id "${display_tab_id}"`);
+    const noBrowser = noBrowserResult();
+    if (noBrowser) throw new Error(noBrowser.content[0].text);
+    const png = await requestBrowserCapture(resolveTarget(session_id).send, {
+      selector: selector || null,
+      ...(display_tab_id ? { displayTabId: display_tab_id } : {}),
+    });
+    return { png, source: { ...(display_tab_id ? { display_tab_id } : {}), ...(selector ? { selector } : {}) } };
+  }
+
+  const decode = (png, what) => {
+    try {
+      return decodePng(png);
+    } catch (e) {
+      throw new Error(`${what}: ${e.message}`);
+    }
+  };
+
+  const NAME_SCHEMA = z.string().describe('Baseline name, unique within the project (letters, digits, ".", "_", "-"), e.g. "login-page" or "settings-dark".');
+  const PROJECT_SCHEMA = z.string().optional().describe('A path inside the project the baseline belongs to. Defaults to the repo of session_id\'s working directory. Baselines are stored in <repo>/.deepsteve/baselines/ so they can be committed.');
+  const SOURCE_SCHEMA = {
+    screenshot_id: z.string().optional().describe('An id from list_screenshots — e.g. one baby_browser_screenshot just returned.'),
+    image_path: z.string().optional().describe('A PNG file on disk.'),
+    terminal_session_id: z.string().optional().describe('Render this session\'s terminal screen on the server, as screenshot_terminal does. Works with no browser connected.'),
+    display_tab_id: z.string().optional().describe('Capture a display tab (it must be the visible tab in its window). With selector, capture that element inside it.'),
+    selector: z.string().optional().describe('Capture this element of the deepsteve UI (or, with display_tab_id, of the display tab\'s page).'),
+  };
+  const SESSION_SCHEMA = z.string().optional().describe('DeepSteve session ID. Run `echo $DEEPSTEVE_SESSION_ID` in your terminal to get this value. Picks the project when project is omitted and the browser window for captures.');
+
   return {
     screenshot_capture: {
       description: 'Capture a screenshot of a DOM element in the deepsteve management UI browser tab and save it as a PNG file on disk. Returns the file path as text. To view the screenshot, use the Read tool on the returned path — do NOT try to base64-decode, re-save, or otherwise "read back" the image; the bytes are already on disk and the returned path is the canonical way to access them. IMPORTANT: This only captures elements from the deepsteve web interface itself — it cannot screenshot external websites, your project\'s frontend, or any other browser tab. Use CSS selectors to target deepsteve UI elements (e.g. "#app-container", "#tabs", "#content-row"). Make sure the Screenshots mod is enabled in deepsteve.',
@@ -52,29 +188,68 @@ function init(context) {
       handler: async ({ selector, filename, output_dir, session_id }) => {
         const noBrowser = noBrowserResult();
         if (noBrowser) return noBrowser;
-        const requestId = randomUUID();
         const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         const fname = (filename || `deepsteve-${ts}`) + '.png';
         const dir = output_dir || path.join(require('os').homedir(), 'Desktop');
         const outPath = path.join(dir, fname);
-        const { send } = resolveTarget(session_id);
 
-        return new Promise((resolve) => {
-          const timer = setTimeout(() => {
-            pendingRequests.delete(requestId);
-            resolve({
-              content: [{ type: 'text', text: 'Error: Timed out waiting for browser response. Make sure the Screenshots mod is enabled in the deepsteve browser tab.' }],
-            });
-          }, TIMEOUT_MS);
+        let buf;
+        try {
+          buf = await requestBrowserCapture(resolveTarget(session_id).send, { selector });
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Error: ${e.message}` }] };
+        }
+        try {
+          fs.mkdirSync(path.dirname(outPath), { recursive: true });
+          fs.writeFileSync(outPath, buf);
 
-          pendingRequests.set(requestId, { resolve, timer, outPath, selector });
+          // Also persist into the browsable collection so MCP captures appear in the
+          // screenshots panel and survive restarts.
+          const meta = {
+            id: randomUUID().slice(0, 8),
+            timestamp: Date.now(),
+            source: 'mcp',
+            ...(selector ? { selector } : {}),
+            savedTo: outPath,
+          };
+          try {
+            setScreenshot(meta, buf);
+            broadcast({ type: 'screenshot-added', meta });
+          } catch {}
+          return { content: [{ type: 'text', text: `Screenshot saved to ${outPath}` }] };
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Error saving screenshot: ${e.message}` }] };
+        }
+      },
+    },
 
-          send({
-            type: 'screenshot-capture-request',
-            requestId,
-            selector,
-          });
-        });
+    screenshot_terminal: {
+      description: 'Take a picture of a deepsteve session\'s terminal — shell or agent — rendered on the server from its interpreted screen, with its colours and the active theme. Needs no browser window, so it works in unattended and scheduled runs. PNG (the default) is saved to the screenshots collection and its path returned; view it with the Read tool. SVG keeps the text as text and is written to output_path (or a temp file). With no session_id, pictures the calling session.',
+      schema: {
+        session_id: z.string().optional().describe('Target session ID. If omitted, pictures the calling session.'),
+        format: z.enum(['png', 'svg']).optional().describe('png (default) or svg.'),
+        scrollback: z.number().optional().describe('Also include this many rows of scrollback above the visible screen (default 0, max 500).'),
+        scale: z.number().optional().describe('PNG only: pixel scale, 1–4 (default 2 — a 120×40 terminal is 1440×800).'),
+        output_path: z.string().optional().describe('Also write the image to this file.'),
+      },
+      handler: async ({ session_id, format = 'png', scrollback, scale, output_path }, extra) => {
+        const targetId = session_id || extra?.requestInfo?.url?.searchParams?.get('shellId');
+        try {
+          const { body } = await renderTerminal(targetId, { format, scrollback, scale });
+          let outPath = output_path ? path.resolve(output_path) : null;
+          if (format === 'png') {
+            const meta = { id: randomUUID().slice(0, 8), timestamp: Date.now(), source: 'terminal', sessionId: targetId, ...(outPath ? { savedTo: outPath } : {}) };
+            setScreenshot(meta, body);
+            broadcast({ type: 'screenshot-added', meta });
+            if (!outPath) return text(`Screenshot saved to ${getScreenshotPath(meta.id)} (screenshot id ${meta.id})`);
+          }
+          if (!outPath) outPath = path.join(require('os').tmpdir(), `deepsteve-terminal-${targetId}-${Date.now()}.svg`);
+          fs.mkdirSync(path.dirname(outPath), { recursive: true });
+          fs.writeFileSync(outPath, body);
+          return text(`Screenshot saved to ${outPath}`);
+        } catch (e) {
+          return fail(e.message);
+        }
       },
     },
 
@@ -114,6 +289,129 @@ function init(context) {
         return { content: [{ type: 'text', text: JSON.stringify({ id, deleted: true }) }] };
       },
     },
+
+    screenshot_compare: {
+      description: 'Visual regression check: compare an image against a named baseline of the project, pixel by pixel. The image comes from exactly one of screenshot_id (e.g. from baby_browser_screenshot), image_path, terminal_session_id (a session\'s terminal, rendered on the server), display_tab_id (+ optional selector) or selector (deepsteve UI). Returns JSON with mismatch_percent, passed, and diff_path — a PNG with differing pixels in red (anti-aliasing in yellow, size differences in magenta); view it with the Read tool. With no baseline yet, the image becomes the baseline. A human can review and approve the new image in the Screenshots panel\'s Comparisons view, or call screenshot_baseline_save.',
+      schema: {
+        name: NAME_SCHEMA,
+        ...SOURCE_SCHEMA,
+        threshold: z.number().min(0).max(1).optional().describe('Per-pixel colour tolerance, 0–1 (default 0.1). Higher ignores subtler changes.'),
+        max_mismatch_percent: z.number().min(0).max(100).optional().describe('The comparison passes when at most this percentage of pixels differ (default 0).'),
+        include_antialiasing: z.boolean().optional().describe('Count pixels that differ only by anti-aliasing (default false).'),
+        project: PROJECT_SCHEMA,
+        session_id: SESSION_SCHEMA,
+      },
+      handler: async ({ name, threshold = 0.1, max_mismatch_percent = 0, include_antialiasing = false, project, session_id, ...source }) => {
+        try {
+          assertBaselineName(name);
+          const root = resolveProject({ project, session_id });
+          const { png, source: from } = await captureActual({ ...source, session_id });
+          const actual = decode(png, 'The captured image');
+          const baselinePng = readBaseline(root, name);
+          if (!baselinePng) {
+            const saved = saveBaseline(root, name, png, { width: actual.width, height: actual.height, source: from });
+            return text(JSON.stringify({ baseline_created: true, name, project: root, baseline_path: saved.path, width: actual.width, height: actual.height }, null, 2));
+          }
+          const baseline = decode(baselinePng, `Baseline "${name}"`);
+          const result = compareImages(baseline, actual, { threshold, includeAA: include_antialiasing });
+          const record = {
+            id: randomUUID().slice(0, 8),
+            timestamp: Date.now(),
+            project: root,
+            name,
+            source: from,
+            threshold,
+            maxMismatchPercent: max_mismatch_percent,
+            mismatch: result.mismatch,
+            diffPixels: result.diffPixels,
+            totalPixels: result.totalPixels,
+            antialiasedPixels: result.antialiasedPixels,
+            sizeMismatch: result.sizeMismatch,
+            baselineSize: { width: baseline.width, height: baseline.height },
+            actualSize: { width: actual.width, height: actual.height },
+            passed: result.mismatch <= max_mismatch_percent,
+          };
+          saveComparison(record, { baseline: baselinePng, actual: png, diff: encodePng(result.diff) });
+          broadcast({ type: 'screenshot-comparison', record });
+          return text(JSON.stringify({
+            comparison_id: record.id,
+            passed: record.passed,
+            mismatch_percent: record.mismatch,
+            diff_pixels: record.diffPixels,
+            total_pixels: record.totalPixels,
+            size_mismatch: record.sizeMismatch ? { baseline: record.baselineSize, actual: record.actualSize } : false,
+            diff_path: comparisonImagePath(record.id, 'diff'),
+            actual_path: comparisonImagePath(record.id, 'actual'),
+            baseline_path: baselinePath(root, name),
+          }, null, 2));
+        } catch (e) {
+          return fail(e.message);
+        }
+      },
+    },
+
+    screenshot_baseline_save: {
+      description: 'Set (or replace) a named baseline for the project, from an image source (screenshot_id, image_path, terminal_session_id, display_tab_id and/or selector) or by approving a screenshot_compare result (comparison_id). Baselines are stored in <repo>/.deepsteve/baselines/<name>.png.',
+      schema: {
+        name: NAME_SCHEMA.optional().describe('Baseline name. Not needed with comparison_id, which knows its own.'),
+        comparison_id: z.string().optional().describe('Approve this comparison: its captured image becomes the baseline.'),
+        ...SOURCE_SCHEMA,
+        project: PROJECT_SCHEMA,
+        session_id: SESSION_SCHEMA,
+      },
+      handler: async ({ name, comparison_id, project, session_id, ...source }) => {
+        try {
+          if (comparison_id) {
+            const { baseline } = approveComparison(comparison_id);
+            broadcast({ type: 'screenshot-comparison', record: comparisons.get(comparison_id) });
+            return text(`Baseline "${baseline.name}" updated from comparison ${comparison_id}: ${baseline.path}`);
+          }
+          if (!name) throw new Error('Pass name (or comparison_id).');
+          assertBaselineName(name);
+          const root = resolveProject({ project, session_id });
+          const { png, source: from } = await captureActual({ ...source, session_id });
+          const img = decode(png, 'The captured image');
+          const saved = saveBaseline(root, name, png, { width: img.width, height: img.height, source: from });
+          return text(`Baseline "${name}" saved (${img.width}×${img.height}): ${saved.path}`);
+        } catch (e) {
+          return fail(e.message);
+        }
+      },
+    },
+
+    screenshot_baseline_list: {
+      description: 'List the screenshot baselines of a project: name, size, when and from what each was set, and its file path.',
+      schema: {
+        project: PROJECT_SCHEMA,
+        session_id: SESSION_SCHEMA,
+      },
+      handler: async ({ project, session_id }) => {
+        try {
+          const root = resolveProject({ project, session_id });
+          const list = listBaselines(root).map(b => ({ ...b, path: baselinePath(root, b.name) }));
+          return text(list.length ? JSON.stringify(list, null, 2) : `No baselines in ${root}`);
+        } catch (e) {
+          return fail(e.message);
+        }
+      },
+    },
+
+    screenshot_baseline_delete: {
+      description: 'Delete a named screenshot baseline from the project.',
+      schema: {
+        name: NAME_SCHEMA,
+        project: PROJECT_SCHEMA,
+        session_id: SESSION_SCHEMA,
+      },
+      handler: async ({ name, project, session_id }) => {
+        try {
+          const root = resolveProject({ project, session_id });
+          return deleteBaseline(root, name) ? text(`Deleted baseline "${name}"`) : fail(`No baseline "${name}" in ${root}`);
+        } catch (e) {
+          return fail(e.message);
+        }
+      },
+    },
   };
 }
 
@@ -139,57 +437,55 @@ function registerRoutes(app, context) {
     clearTimeout(pending.timer);
 
     if (error) {
-      pending.resolve({
-        content: [{ type: 'text', text: `Error: ${error}` }],
-      });
+      pending.reject(new Error(error));
     } else {
-      // Validate data URL before writing to disk
+      // Validate data URL before handing it on
       if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/png;base64,')) {
-        pending.resolve({
-          content: [{ type: 'text', text: 'Error: Invalid or missing dataUrl — expected a data:image/png;base64,… string' }],
-        });
+        pending.reject(new Error('Invalid or missing dataUrl — expected a data:image/png;base64,… string'));
         return res.status(400).json({ error: 'Invalid dataUrl' });
       }
-      try {
-        const base64 = dataUrl.slice('data:image/png;base64,'.length);
-        const buf = Buffer.from(base64, 'base64');
-        if (buf.length === 0) {
-          pending.resolve({
-            content: [{ type: 'text', text: 'Error: Screenshot data decoded to an empty buffer' }],
-          });
-          return res.status(400).json({ error: 'Empty image data' });
-        }
-        fs.mkdirSync(path.dirname(pending.outPath), { recursive: true });
-        fs.writeFileSync(pending.outPath, buf);
-
-        // Also persist into the browsable collection so MCP captures appear in the
-        // screenshots panel and survive restarts.
-        const { setScreenshot, broadcast } = modContext;
-        const id = randomUUID().slice(0, 8);
-        const meta = {
-          id,
-          timestamp: Date.now(),
-          source: 'mcp',
-          ...(pending.selector ? { selector: pending.selector } : {}),
-          savedTo: pending.outPath,
-        };
-        try {
-          setScreenshot(meta, buf);
-          broadcast({ type: 'screenshot-added', meta });
-        } catch {}
-
-        pending.resolve({
-          content: [{ type: 'text', text: `Screenshot saved to ${pending.outPath}` }],
-        });
-      } catch (e) {
-        pending.resolve({
-          content: [{ type: 'text', text: `Error saving screenshot: ${e.message}` }],
-        });
+      const buf = Buffer.from(dataUrl.slice('data:image/png;base64,'.length), 'base64');
+      if (buf.length === 0) {
+        pending.reject(new Error('Screenshot data decoded to an empty buffer'));
+        return res.status(400).json({ error: 'Empty image data' });
       }
+      pending.resolve(buf);
     }
 
     res.json({ accepted: true });
   });
+
+  // Comparisons, for the panel's review view. The global JSON parser skips
+  // /api/screenshots (server.js), and none of these take a body.
+  app.get('/api/screenshots/comparisons', (req, res) => {
+    res.json({ comparisons: [...comparisons.values()].reverse() });
+  });
+
+  app.get('/api/screenshots/comparisons/:id/:kind.png', (req, res) => {
+    const { id, kind } = req.params;
+    if (!comparisons.has(id) || !COMPARISON_IMAGES.includes(kind)) return res.status(404).end();
+    res.type('png').sendFile(comparisonImagePath(id, kind));
+  });
+
+  app.post('/api/screenshots/comparisons/:id/approve', (req, res) => {
+    try {
+      const { record, baseline } = approveComparison(req.params.id);
+      context.broadcast({ type: 'screenshot-comparison', record });
+      res.json({ record, baselinePath: baseline.path });
+    } catch (e) {
+      res.status(comparisons.has(req.params.id) ? 500 : 404).json({ error: e.message });
+    }
+  });
+
+  app.delete('/api/screenshots/comparisons/:id', (req, res) => {
+    const { id } = req.params;
+    const existed = comparisons.delete(id);
+    if (existed) {
+      fs.rmSync(path.join(comparisonsDir(), id), { recursive: true, force: true });
+      context.broadcast({ type: 'screenshot-comparison-deleted', id });
+    }
+    res.json({ deleted: existed });
+  });
 }
 
 module.exports = { init, registerRoutes };
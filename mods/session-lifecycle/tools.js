@@ -74,13 +74,16 @@ function init(context) {
   if (sessionLog && typeof sessionLog.on === 'function') {
     sessionLog.on('event', (evt) => {
       if (!settings.sessionLogEnabled) return;
+      // Every turn an agent finishes is a 'waiting' event — that is for webhooks
+      // (mods/webhooks), and would drown the opens and closes a recap is built from.
+      if (evt.type === 'waiting') return;
       append({ ...evt });
     });
   }
 
   return {
     read_session_log: {
-      description: 'Read the session lifecycle event log: a chronological list of session opens and closes (with how each closed and how long it ran). Use this to summarize what happened across deepsteve sessions. Returns one JSON object per line.',
+      description: 'Read the session lifecycle event log: a chronological list of session opens and closes (with how each closed and how long it ran), guardrail breaches (the limit a session hit and whether it was interrupted or stopped), issue_complete calls, merge_worktree results and scheduled-task runs starting and finishing. Use this to summarize what happened across deepsteve sessions. Returns one JSON object per line.',
       schema: {
         after_id: z.number().optional().describe('Only return events with id greater than this (for polling for new events).'),
         limit: z.number().optional().describe('Max events to return, from most recent (default 100).'),
@@ -24,6 +24,35 @@ function saveTasks() {
   } catch {}
 }
 
+// Set by init(); module scope so addTask() below can announce a task created from
+// outside this mod (the Usage mod's budget alerts) as well as from add_task.
+let broadcastFn = null;
+
+function broadcastTasks() {
+  if (broadcastFn) broadcastFn({ type: 'tasks', tasks });
+}
+
+/**
+ * Create a task. Exported for other mods' server code, which reaches it with
+ * require('../tasks/tools') — the same module instance initMCP loaded, so the task
+ * lands in this list, tasks.json and every open panel.
+ */
+function addTask({ title, description, priority, session_tag }) {
+  const task = {
+    id: nextId++,
+    title,
+    description: description || '',
+    priority: priority || 'medium',
+    status: 'pending',
+    session_tag: session_tag || '',
+    created: Date.now(),
+  };
+  tasks.push(task);
+  saveTasks();
+  broadcastTasks();
+  return task;
+}
+
 function formatTaskList(filtered) {
   if (filtered.length === 0) return 'No tasks found.';
   return filtered.map(t => {
@@ -40,11 +69,7 @@ function formatTaskList(filtered) {
  * Each tool has: { description, schema (Zod raw shape), handler }
  */
 function init(context) {
-  const { broadcast } = context;
-
-  function broadcastTasks() {
-    broadcast({ type: 'tasks', tasks });
-  }
+  broadcastFn = context.broadcast;
 
   return {
     add_task: {
@@ -56,18 +81,7 @@ function init(context) {
         session_tag: z.string().optional().describe('Tag to identify which session created this task'),
       },
       handler: async ({ title, description, priority, session_tag }) => {
-        const task = {
-          id: nextId++,
-          title,
-          description: description || '',
-          priority: priority || 'medium',
-          status: 'pending',
-          session_tag: session_tag || '',
-          created: Date.now(),
-        };
-        tasks.push(task);
-        saveTasks();
-        broadcastTasks();
+        const task = addTask({ title, description, priority, session_tag });
         return { content: [{ type: 'text', text: `Task #${task.id} created: "${task.title}"` }] };
       },
     },
@@ -131,11 +145,7 @@ function init(context) {
  * Register REST endpoints for the browser panel.
  */
 function registerRoutes(app, context) {
-  const { broadcast } = context;
-
-  function broadcastTasks() {
-    broadcast({ type: 'tasks', tasks });
-  }
+  broadcastFn = context.broadcast;
 
   app.get('/api/tasks', (req, res) => {
     res.json({ tasks });
@@ -180,4 +190,4 @@ function registerRoutes(app, context) {
   });
 }
 
-module.exports = { init, registerRoutes };
+module.exports = { init, registerRoutes, addTask };
@@ -0,0 +1,245 @@
+// Token usage and estimated cost, per session, context, agent and scheduled task.
+//
+// The counting lives in usage.js at the repo root (transcript → usage records →
+// totals) and is pure; this mod is the wiring around it:
+//
+//   - WHICH transcripts: server.js's transcriptSources(), passed in on the initMCP
+//     ctx — the same live / saved / closed / recent list transcript search walks,
+//     so a session deepsteve never spawned is never counted.
+//   - WHAT to call each one: its tab name or deriveSessionLabel(), the context
+//     (#526) whose folders contain its cwd — else its git repo — and, for a
+//     scheduled run, the task it ran for. Runs are matched by shellId against
+//     scheduled-tasks.json (run.sessionId IS the run's shellId, see runTask);
+//     reading the file rather than requiring that mod keeps this one working
+//     whether or not Scheduled Tasks is enabled.
+//   - Daily budget alerts: a background check that raises ONE Tasks entry per day
+//     the first time today's estimated spend reaches the budget.
+//
+// State (~/.deepsteve/usage.json): { dailyBudget, lastAlertDay, pricing } —
+// `pricing` is optional PRICING-shaped rows tried before the built-in table, for a
+// model usage.js doesn't know or a negotiated rate.
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { stateDir } = require('../../paths');
+// Resolves to ~/.deepsteve/usage.js once deployed — mods sit at ~/.deepsteve/mods/<id>/.
+const { PERIODS, aggregateUsage, periodStart, dayKey, budgetExceeded, createUsageIndex } = require('../../usage');
+const { findGitRoot } = require('../../git-root');
+
+const STATE_FILE = path.join(stateDir(), 'usage.json');
+const SCHEDULED_FILE = path.join(stateDir(), 'scheduled-tasks.json');
+const BUDGET_CHECK_MS = 5 * 60 * 1000;
+const BUDGET_FIRST_CHECK_MS = 30 * 1000; // let the daemon settle first
+const GROUPS = ['session', 'context', 'agent', 'task', 'day'];
+
+let ctx = null;
+let budgetTimerStarted = false;
+let state = { dailyBudget: 0, lastAlertDay: null, pricing: [] };
+const index = createUsageIndex();
+
+try {
+  if (fs.existsSync(STATE_FILE)) state = { ...state, ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
+} catch {}
+
+function saveState() {
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    const tmp = STATE_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, STATE_FILE);
+  } catch (e) {
+    if (ctx) ctx.log(`[usage] failed to write usage.json: ${e.message}`);
+  }
+}
+
+function pricing() { return Array.isArray(state.pricing) ? state.pricing : []; }
+
+// shellId → { id, title, runStartedAt }. Tombstoned tasks included (#614): a deleted
+// schedule's past runs still cost what they cost.
+function scheduledRunsByShell() {
+  const out = new Map();
+  let list = [];
+  try { list = JSON.parse(fs.readFileSync(SCHEDULED_FILE, 'utf8')) || []; } catch { return out; }
+  for (const task of Array.isArray(list) ? list : []) {
+    for (const run of task.runs || []) {
+      if (run.sessionId) out.set(run.sessionId, { id: task.id, title: task.title || task.id, runStartedAt: run.startedAt || null });
+    }
+  }
+  return out;
+}
+
+// The context whose folder is the deepest one containing cwd; else the git repo.
+function contextFor(cwd) {
+  if (!cwd) return { key: 'unknown', label: '(unknown)' };
+  let best = null;
+  let bestLen = -1;
+  for (const c of (ctx && ctx.getContexts ? ctx.getContexts() : [])) {
+    for (const dir of c.dirs || []) {
+      if (ctx.pathInside(cwd, dir) && dir.length > bestLen) { best = c; bestLen = dir.length; }
+    }
+  }
+  if (best) return { key: `context:${best.id}`, label: best.name };
+  const root = findGitRoot(cwd) || cwd;
+  return { key: root, label: path.basename(root) || root };
+}
+
+async function collectSessions() {
+  if (!ctx.transcriptSources) throw new Error('this deepsteve core does not expose transcriptSources — update deepsteve');
+  const runs = scheduledRunsByShell();
+  const loaded = await index.load(ctx.transcriptSources());
+  return loaded.map((s) => {
+    const e = s.entry || {};
+    // A recent-sessions row is keyed by its claudeSessionId; the shell it ran in is a field.
+    const shellId = s.source === 'recent' ? e.shellId : s.ref;
+    return {
+      ref: s.ref,
+      label: e.name || ctx.deriveSessionLabel(e) || s.ref,
+      agentType: s.agentType,
+      context: contextFor(e.cwd),
+      task: (shellId && runs.get(shellId)) || null,
+      records: s.records,
+    };
+  });
+}
+
+/** Everything the panel and get_usage show, for one period. */
+async function buildReport(period = '7d', now = Date.now()) {
+  if (!PERIODS.includes(period)) period = '7d';
+  const sessions = await collectSessions();
+  const since = periodStart(period, now);
+  const report = aggregateUsage(sessions, { since, pricing: pricing() });
+  const spentToday = period === 'today'
+    ? report.totals.cost
+    : aggregateUsage(sessions, { since: periodStart('today', now), pricing: pricing() }).totals.cost;
+  return {
+    period, since, generatedAt: now,
+    ...report,
+    budget: { daily: state.dailyBudget || 0, spentToday, lastAlertDay: state.lastAlertDay || null },
+  };
+}
+
+// --- Formatting (MCP text) ---------------------------------------------------
+
+function usd(n) { return n >= 100 ? `$${n.toFixed(0)}` : `$${n.toFixed(2)}`; }
+function tokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+function bucketLine(b) {
+  const unpriced = b.unpricedTokens ? ` (+${tokens(b.unpricedTokens)} unpriced)` : '';
+  return `${usd(b.cost)}${unpriced} — ${tokens(b.tokens)} tokens (in ${tokens(b.input)}, out ${tokens(b.output)}, cache write ${tokens(b.cacheWrite)}, cache read ${tokens(b.cacheRead)})`;
+}
+
+function formatReport(report, groupBy, limit) {
+  const lines = [`Usage for ${report.period === 'all' ? 'all time' : report.period === 'today' ? 'today' : `the last ${report.period}`} (estimated at list prices):`];
+  lines.push(`Total: ${bucketLine(report.totals)}`);
+  if (report.budget.daily) lines.push(`Daily budget: ${usd(report.budget.spentToday)} of ${usd(report.budget.daily)} spent today`);
+  const list = { session: report.sessions, context: report.contexts, agent: report.agents, task: report.tasks, day: report.days }[groupBy];
+  lines.push('', `By ${groupBy}:`);
+  if (!list.length) lines.push('  (nothing recorded)');
+  for (const b of list.slice(0, limit)) {
+    const extra = groupBy === 'session' && b.context ? ` [${b.context}]` : groupBy === 'task' ? ` (${b.runs.length} run${b.runs.length === 1 ? '' : 's'})` : '';
+    lines.push(`  ${b.label}${extra}: ${bucketLine(b)}`);
+  }
+  if (list.length > limit) lines.push(`  …and ${list.length - limit} more`);
+  return lines.join('\n');
+}
+
+// --- Daily budget alert ------------------------------------------------------
+
+async function checkBudget(now = Date.now()) {
+  if (!ctx || !(state.dailyBudget > 0)) return;
+  const today = dayKey(now);
+  const report = await buildReport('today', now);
+  if (!budgetExceeded({ budget: state.dailyBudget, spentToday: report.totals.cost, today, lastAlertDay: state.lastAlertDay })) return;
+  state.lastAlertDay = today;
+  saveState();
+  const top = report.sessions.slice(0, 5).map(s => `- ${s.label}: ${usd(s.cost)}`).join('\n');
+  const title = `Daily usage budget reached: ${usd(report.totals.cost)} of ${usd(state.dailyBudget)}`;
+  try {
+    // Resolves to the Tasks mod's own module instance (the one initMCP loaded), so
+    // the alert shows up in its panel like any agent-created task.
+    require('../tasks/tools').addTask({
+      title,
+      description: `Estimated spend today across deepsteve sessions, at list prices.\n\nTop sessions:\n${top}`,
+      priority: 'high',
+      session_tag: 'usage',
+    });
+  } catch (e) {
+    ctx.log(`[usage] could not raise the budget task: ${e.message}`);
+  }
+  ctx.log(`[usage] ${title}`);
+}
+
+function startBudgetTimer() {
+  if (budgetTimerStarted) return;
+  budgetTimerStarted = true;
+  // .unref() so the timers never keep the process alive on their own.
+  const run = () => checkBudget().catch(e => ctx.log(`[usage] budget check error: ${e.message}`));
+  setTimeout(run, BUDGET_FIRST_CHECK_MS).unref();
+  setInterval(run, BUDGET_CHECK_MS).unref();
+}
+
+function setDailyBudget(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error('dailyBudget must be a non-negative number of US dollars');
+  state.dailyBudget = Math.round(n * 100) / 100;
+  // Raising the budget past today's spend should be able to alert again today.
+  state.lastAlertDay = null;
+  saveState();
+}
+
+/**
+ * Initialize usage tools. Returns tool definitions keyed by name.
+ */
+function init(context) {
+  ctx = context;
+  startBudgetTimer();
+
+  return {
+    get_usage: {
+      description: 'Token usage and estimated cost (USD, at list prices) of deepsteve sessions, read from their Claude/Codex transcripts. Group by session, context (project), agent, scheduled task or day, over today, the last 7 or 30 days, or all time.',
+      schema: {
+        period: z.enum(PERIODS).optional().describe('Time window (default "7d"). "today" and the day windows start at local midnight.'),
+        group_by: z.enum(GROUPS).optional().describe('Breakdown to list (default "session")'),
+        limit: z.number().optional().describe('Maximum rows in the breakdown (default 10)'),
+      },
+      handler: async ({ period, group_by, limit }) => {
+        try {
+          const report = await buildReport(period || '7d');
+          const n = Math.max(1, Math.min(100, Math.round(Number(limit) || 10)));
+          return { content: [{ type: 'text', text: formatReport(report, group_by || 'session', n) }] };
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Could not read usage: ${e.message}` }], isError: true };
+        }
+      },
+    },
+  };
+}
+
+/**
+ * Register REST endpoints for the browser panel.
+ */
+function registerRoutes(app) {
+  app.get('/api/usage', async (req, res) => {
+    try {
+      res.json(await buildReport(String(req.query.period || '7d')));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post('/api/usage/budget', (req, res) => {
+    try {
+      setDailyBudget(req.body && req.body.dailyBudget);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    res.json({ daily: state.dailyBudget });
+    // A budget lowered below today's spend should alert now, not in five minutes.
+    checkBudget().catch(() => {});
+  });
+}
+
+module.exports = { init, registerRoutes };
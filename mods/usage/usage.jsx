@@ -0,0 +1,218 @@
+import * as React from 'react';
+import * as ReactDOM from 'react-dom/client';
+const { useState, useEffect, useCallback } = React;
+
+// Cost is re-read from transcripts on the server; the transcripts of live sessions
+// keep growing, so the panel refreshes itself while it is open.
+const REFRESH_MS = 60 * 1000;
+
+const PERIODS = [
+  { id: 'today', label: 'Today' },
+  { id: '7d', label: 'Last 7 days' },
+  { id: '30d', label: 'Last 30 days' },
+  { id: 'all', label: 'All time' },
+];
+const GROUPS = [
+  { id: 'sessions', label: 'Sessions' },
+  { id: 'contexts', label: 'Projects' },
+  { id: 'agents', label: 'Agents' },
+  { id: 'tasks', label: 'Scheduled' },
+  { id: 'days', label: 'Days' },
+];
+
+const C = {
+  border: 'var(--ds-border, #30363d)',
+  bg2: 'var(--ds-bg-secondary, #161b22)',
+  text: 'var(--ds-text-primary, #c9d1d9)',
+  dim: 'var(--ds-text-secondary, #8b949e)',
+  accent: 'var(--ds-accent, #58a6ff)',
+  green: '#3fb950',
+  red: '#f85149',
+  amber: '#d29922',
+};
+
+function api(method, url, body) {
+  return fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => {
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    return data;
+  });
+}
+
+function usd(n) {
+  if (!n) return '$0.00';
+  if (n < 0.01) return '<$0.01';
+  return n >= 100 ? `$${n.toFixed(0)}` : `$${n.toFixed(2)}`;
+}
+function tokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n || 0);
+}
+function btn(color) {
+  return { background: 'transparent', color: color || C.text, border: `1px solid ${color || C.border}`, borderRadius: 4, padding: '3px 8px', fontSize: 12, cursor: 'pointer' };
+}
+function input() {
+  return { background: 'var(--ds-bg-primary, #0d1117)', color: C.text, border: `1px solid ${C.border}`, borderRadius: 4, padding: '4px 6px', fontSize: 12 };
+}
+
+function Breakdown({ b }) {
+  return (
+    <div style={{ fontSize: 11, color: C.dim, marginTop: 2 }}>
+      in {tokens(b.input)} · out {tokens(b.output)} · cache write {tokens(b.cacheWrite)} · cache read {tokens(b.cacheRead)}
+      {b.unpricedTokens > 0 && <span style={{ color: C.amber }}> · {tokens(b.unpricedTokens)} unpriced</span>}
+    </div>
+  );
+}
+
+function Row({ b, max, sub, children }) {
+  const pct = max > 0 ? Math.max(2, Math.round((b.cost / max) * 100)) : 0;
+  return (
+    <div style={{ padding: '6px 0', borderBottom: `1px solid ${C.border}` }}>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'baseline' }}>
+        <div style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={b.label}>{b.label}</div>
+        <div style={{ fontVariantNumeric: 'tabular-nums', fontWeight: 600 }}>{usd(b.cost)}</div>
+      </div>
+      {sub && <div style={{ fontSize: 11, color: C.dim }}>{sub}</div>}
+      <div style={{ height: 3, background: C.bg2, borderRadius: 2, marginTop: 4 }}>
+        <div style={{ width: `${pct}%`, height: '100%', background: C.accent, borderRadius: 2 }} />
+      </div>
+      <Breakdown b={b} />
+      {children}
+    </div>
+  );
+}
+
+function Budget({ budget, onSaved }) {
+  const [value, setValue] = useState(budget.daily ? String(budget.daily) : '');
+  const [error, setError] = useState(null);
+  useEffect(() => { setValue(budget.daily ? String(budget.daily) : ''); }, [budget.daily]);
+  const save = () => {
+    setError(null);
+    api('POST', '/api/usage/budget', { dailyBudget: value === '' ? 0 : Number(value) })
+      .then(onSaved)
+      .catch((e) => setError(e.message));
+  };
+  const over = budget.daily > 0 && budget.spentToday >= budget.daily;
+  const pct = budget.daily > 0 ? Math.min(100, Math.round((budget.spentToday / budget.daily) * 100)) : 0;
+  return (
+    <div style={{ border: `1px solid ${C.border}`, borderRadius: 4, padding: 8, marginBottom: 10 }}>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        <span style={{ fontSize: 12, color: C.dim, flex: 1 }}>Daily budget (USD)</span>
+        <input
+          type="number" min="0" step="1" placeholder="off" value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+          style={{ ...input(), width: 80 }}
+        />
+        <button onClick={save} style={btn()}>Save</button>
+      </div>
+      {budget.daily > 0 && (
+        <>
+          <div style={{ height: 4, background: C.bg2, borderRadius: 2, marginTop: 6 }}>
+            <div style={{ width: `${pct}%`, height: '100%', background: over ? C.red : pct >= 80 ? C.amber : C.green, borderRadius: 2 }} />
+          </div>
+          <div style={{ fontSize: 11, color: over ? C.red : C.dim, marginTop: 3 }}>
+            {usd(budget.spentToday)} of {usd(budget.daily)} spent today{over ? ' — a task was added to Tasks' : ''}
+          </div>
+        </>
+      )}
+      {!budget.daily && <div style={{ fontSize: 11, color: C.dim, marginTop: 3 }}>Set a budget to get a Tasks entry the first time a day's spend reaches it.</div>}
+      {error && <div style={{ fontSize: 11, color: C.red, marginTop: 3 }}>{error}</div>}
+    </div>
+  );
+}
+
+function App() {
+  const [period, setPeriod] = useState('7d');
+  const [group, setGroup] = useState('sessions');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [openTask, setOpenTask] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    api('GET', `/api/usage?period=${period}`)
+      .then((d) => { setData(d); setError(null); })
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, [period]);
+
+  useEffect(() => {
+    load();
+    const t = setInterval(() => { if (!document.hidden) load(); }, REFRESH_MS);
+    return () => clearInterval(t);
+  }, [load]);
+
+  const list = data ? data[group] || [] : [];
+  const max = list.reduce((m, b) => Math.max(m, b.cost), 0);
+
+  return (
+    <div style={{ padding: 12, color: C.text, fontSize: 13 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 15, flex: 1 }}>Usage</div>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={input()}>
+          {PERIODS.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <button onClick={load} disabled={loading} style={btn()}>{loading ? '…' : 'Refresh'}</button>
+      </div>
+
+      {error && <div style={{ fontSize: 12, color: C.red, marginBottom: 8 }}>Could not load usage: {error}</div>}
+
+      {data && (
+        <>
+          <div style={{ border: `1px solid ${C.border}`, borderRadius: 4, padding: 8, marginBottom: 10 }}>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: 8 }}>
+              <div style={{ fontSize: 22, fontWeight: 700 }}>{usd(data.totals.cost)}</div>
+              <div style={{ fontSize: 12, color: C.dim }}>{tokens(data.totals.tokens)} tokens · {data.totals.requests} requests</div>
+            </div>
+            <Breakdown b={data.totals} />
+            <div style={{ fontSize: 11, color: C.dim, marginTop: 4 }}>Estimated at list prices from session transcripts. Plans and negotiated rates bill differently.</div>
+          </div>
+
+          <Budget budget={data.budget} onSaved={load} />
+
+          <div style={{ display: 'flex', gap: 4, marginBottom: 6, flexWrap: 'wrap' }}>
+            {GROUPS.map((g) => (
+              <button key={g.id} onClick={() => setGroup(g.id)} style={btn(group === g.id ? C.accent : null)}>{g.label}</button>
+            ))}
+          </div>
+
+          {list.length === 0 && <div style={{ color: C.dim, fontSize: 13, marginTop: 16, textAlign: 'center' }}>Nothing recorded for this period.</div>}
+
+          {group === 'days'
+            ? [...list].reverse().map((b) => <Row key={b.key} b={b} max={max} />)
+            : list.map((b) => {
+              if (group === 'tasks') {
+                const open = openTask === b.key;
+                return (
+                  <Row key={b.key} b={b} max={max} sub={
+                    <span style={{ cursor: 'pointer' }} onClick={() => setOpenTask(open ? null : b.key)}>
+                      {open ? '▾' : '▸'} {b.runs.length} run{b.runs.length === 1 ? '' : 's'}
+                    </span>
+                  }>
+                    {open && b.runs.map((r) => (
+                      <div key={r.key} style={{ display: 'flex', gap: 8, fontSize: 11, color: C.dim, padding: '2px 0 0 12px' }}>
+                        <span style={{ flex: 1 }}>{r.startedAt ? new Date(r.startedAt).toLocaleString() : r.label}</span>
+                        <span>{tokens(r.tokens)}</span>
+                        <span style={{ color: C.text }}>{usd(r.cost)}</span>
+                      </div>
+                    ))}
+                  </Row>
+                );
+              }
+              const sub = group === 'sessions' ? [b.context, b.agentType !== 'claude' ? b.agentType : null].filter(Boolean).join(' · ') : null;
+              return <Row key={b.key} b={b} max={max} sub={sub} />;
+            })}
+        </>
+      )}
+    </div>
+  );
+}
+
+ReactDOM.createRoot(document.getElementById('usage-root')).render(<App />);
@@ -0,0 +1,179 @@
+// Outbound webhooks: lifecycle events POSTed as signed JSON to the user's own URLs.
+//
+// The hooks are the `webhooks` setting (shape, signing and retry policy in
+// webhooks.js at the repo root); this mod is the delivery side:
+//
+//   - EVENTS come off the core lifecycle bus (server.js `sessionLog`), the same one
+//     mods/session-lifecycle records: open/close and guardrail from the core,
+//     waiting from setWaiting, issue_complete and merge_worktree from deepsteve-core,
+//     scheduled_task_started/finished from scheduled-tasks.
+//   - DELIVERY is one POST per hook per event, fire-and-forget from the emitter's
+//     point of view: a slow or dead receiver never holds up a session. A transient
+//     failure (network error, timeout, 408/429/5xx) is retried on the backoff in
+//     webhooks.js; any other answer is final.
+//   - THE LOG keeps the last MAX_DELIVERIES deliveries, body included, in
+//     ~/.deepsteve/webhook-deliveries.json, so Settings can show what was sent and
+//     what came back. A delivery still waiting for a retry when the daemon stops is
+//     picked up again on the next start.
+//
+// REST (Settings → Webhooks):
+//   GET  /api/webhooks/deliveries          → { deliveries: [...] }  (?hook=&limit=)
+//   POST /api/webhooks/:id/test            → the test delivery, after its first attempt
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { randomUUID } = require('crypto');
+const { stateDir } = require('../../paths');
+const { hookWants, buildPayload, signPayload, retryPlan } = require('../../webhooks');
+
+const LOG_FILE = path.join(stateDir(), 'webhook-deliveries.json');
+const MAX_DELIVERIES = 200;
+const TIMEOUT_MS = 10000;
+const MAX_RESPONSE_CHARS = 500;
+
+let ctx = null;
+let deliveries = [];
+const timers = new Map(); // delivery id → pending retry timer
+let saveTimer = null;
+
+try {
+  if (fs.existsSync(LOG_FILE)) deliveries = JSON.parse(fs.readFileSync(LOG_FILE, 'utf8')) || [];
+} catch { deliveries = []; }
+
+function hooks() {
+  return (ctx && Array.isArray(ctx.settings.webhooks)) ? ctx.settings.webhooks : [];
+}
+
+// Coalesced: a burst of events (a window closing five tabs) is one write.
+function saveLog() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+      const tmp = LOG_FILE + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(deliveries, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, LOG_FILE);
+    } catch (e) {
+      if (ctx) ctx.log(`[webhooks] failed to write the delivery log: ${e.message}`);
+    }
+  }, 500);
+  saveTimer.unref();
+}
+
+function post(url, headers, body) {
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const lib = url.startsWith('https:') ? https : http;
+    const req = lib.request(url, { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }, timeout: TIMEOUT_MS }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (c) => { if (text.length < MAX_RESPONSE_CHARS) text += c; });
+      res.on('end', () => resolve({ status: res.statusCode, response: text.slice(0, MAX_RESPONSE_CHARS), durationMs: Date.now() - started }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`no response in ${TIMEOUT_MS / 1000}s`)));
+    req.on('error', (e) => resolve({ error: e.message, durationMs: Date.now() - started }));
+    req.end(body);
+  });
+}
+
+// One attempt. The secret is looked up at send time, so a retry after the user
+// rotated it is signed with the new one — and a hook deleted meanwhile is dropped.
+async function attempt(d) {
+  timers.delete(d.id);
+  const hook = hooks().find(h => h.id === d.hookId);
+  if (!hook) {
+    d.status = 'failed';
+    d.error = 'webhook was removed';
+    saveLog();
+    return d;
+  }
+  d.attempts += 1;
+  d.status = 'sending';
+  const res = await post(hook.url, {
+    'Content-Type': 'application/json',
+    'User-Agent': 'deepsteve-webhooks',
+    'X-Deepsteve-Event': d.event,
+    'X-Deepsteve-Delivery': d.id,
+    'X-Deepsteve-Signature': signPayload(hook.secret, d.body),
+  }, d.body);
+  Object.assign(d, { lastAttemptAt: Date.now(), statusCode: res.status || null, response: res.response || '', error: res.error || null, durationMs: res.durationMs });
+  const plan = retryPlan(d.attempts, res.status || new Error(res.error));
+  if (res.status >= 200 && res.status < 300) {
+    d.status = 'delivered';
+    d.nextAttemptAt = null;
+  } else if (plan.retry) {
+    d.status = 'retrying';
+    d.nextAttemptAt = Date.now() + plan.delayMs;
+    schedule(d, plan.delayMs);
+  } else {
+    d.status = 'failed';
+    d.nextAttemptAt = null;
+    ctx.log(`[webhooks] ${d.event} to ${hook.url} failed after ${d.attempts} attempt${d.attempts === 1 ? '' : 's'}: ${res.error || `HTTP ${res.status}`}`);
+  }
+  saveLog();
+  return d;
+}
+
+function schedule(d, delayMs) {
+  clearTimeout(timers.get(d.id));
+  const t = setTimeout(() => attempt(d), Math.max(0, delayMs));
+  t.unref();
+  timers.set(d.id, t);
+}
+
+function enqueue(hook, evt) {
+  const id = randomUUID();
+  const d = {
+    id, hookId: hook.id, url: hook.url, event: evt.type, createdAt: Date.now(),
+    status: 'pending', attempts: 0, statusCode: null, error: null, nextAttemptAt: null,
+    body: buildPayload(id, evt),
+  };
+  deliveries.push(d);
+  if (deliveries.length > MAX_DELIVERIES) {
+    for (const old of deliveries.splice(0, deliveries.length - MAX_DELIVERIES)) {
+      clearTimeout(timers.get(old.id));
+      timers.delete(old.id);
+    }
+  }
+  return attempt(d);
+}
+
+function onEvent(evt) {
+  for (const hook of hooks()) {
+    if (hookWants(hook, evt.type)) enqueue(hook, evt).catch(e => ctx.log(`[webhooks] ${e.message}`));
+  }
+}
+
+function init(context) {
+  ctx = context;
+  if (context.sessionLog && typeof context.sessionLog.on === 'function') {
+    context.sessionLog.on('event', (evt) => { if (evt && evt.type && evt.type !== 'test') onEvent(evt); });
+  }
+  // Retries the last run left pending; anything caught mid-send is retried too.
+  for (const d of deliveries) {
+    if (d.status === 'retrying' || d.status === 'sending' || d.status === 'pending') schedule(d, (d.nextAttemptAt || Date.now()) - Date.now());
+  }
+  return {};
+}
+
+function registerRoutes(app, context) {
+  ctx = ctx || context;
+
+  app.get('/api/webhooks/deliveries', (req, res) => {
+    let result = deliveries;
+    if (req.query.hook) result = result.filter(d => d.hookId === req.query.hook);
+    const limit = Number(req.query.limit) || 50;
+    res.json({ deliveries: result.slice(-limit).reverse() });
+  });
+
+  app.post('/api/webhooks/:id/test', async (req, res) => {
+    const hook = hooks().find(h => h.id === req.params.id);
+    if (!hook) return res.status(404).json({ error: 'No saved webhook with that id — save Settings first' });
+    const d = await enqueue(hook, { type: 'test', ts: Date.now(), message: 'Test event from deepsteve Settings.' });
+    res.json({ delivery: d });
+  });
+}
+
+module.exports = { init, registerRoutes };
@@ -0,0 +1,220 @@
+/**
+ * A small PNG codec: decode any non-interlaced PNG to 8-bit RGBA, encode RGBA back.
+ *
+ * Screenshot diffing (mods/screenshots) has to read the pixels of whatever PNG it is
+ * given — a browser capture, a headless Chromium shot, a file an agent wrote — and write
+ * the diff image it produces. That is one zlib stream plus per-row filters, which Node
+ * already has, so this is done here rather than by adding an image dependency.
+ *
+ * Decoding covers every colour type and bit depth in the spec (grey, RGB, palette, each
+ * with or without alpha, 1–16 bits), honouring tRNS. Adam7-interlaced files are refused:
+ * nothing deepsteve compares produces them. Encoding always writes 8-bit RGBA with the
+ * Paeth filter, which is what browsers and Chromium emit anyway.
+ */
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const MAX_PIXELS = 64 * 1024 * 1024; // 8192×8192 — a bound on what one decode may allocate
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function pngError(message) {
+  const e = new Error(`Not a readable PNG: ${message}`);
+  e.code = 'PNG';
+  return e;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/** PNG bytes → { width, height, data } with `data` a Uint8Array of RGBA, row-major. */
+function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(SIGNATURE)) throw pngError('bad signature');
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let off = 8; off + 8 <= buf.length;) {
+    const length = buf.readUInt32BE(off);
+    const type = buf.toString('latin1', off + 4, off + 8);
+    const data = buf.subarray(off + 8, off + 8 + length);
+    if (data.length !== length) throw pngError(`truncated ${type} chunk`);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8],
+        colorType: data[9], interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    off += 12 + length;
+  }
+  if (!header) throw pngError('no IHDR');
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) throw pngError(`colour type ${colorType} at depth ${depth}`);
+  if (interlace) throw pngError('interlaced images are not supported');
+  if (!width || !height || width * height > MAX_PIXELS) throw pngError(`${width}×${height} is out of range`);
+  if (colorType === 3 && !palette) throw pngError('palette image without PLTE');
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch (e) {
+    throw pngError(e.message);
+  }
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3); // filter unit, in bytes
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  if (raw.length < (stride + 1) * height) throw pngError('image data is short');
+
+  // Undo the per-row filters in place.
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? rows[dst + x - bpp] : 0;
+      const up = y > 0 ? rows[dst + x - stride] : 0;
+      const upLeft = y > 0 && x >= bpp ? rows[dst + x - stride - bpp] : 0;
+      const v = raw[src + x];
+      switch (filter) {
+        case 0: rows[dst + x] = v; break;
+        case 1: rows[dst + x] = v + left; break;
+        case 2: rows[dst + x] = v + up; break;
+        case 3: rows[dst + x] = v + ((left + up) >> 1); break;
+        case 4: rows[dst + x] = v + paeth(left, up, upLeft); break;
+        default: throw pngError(`unknown filter ${filter}`);
+      }
+    }
+  }
+
+  // Samples → RGBA8.
+  const out = new Uint8Array(width * height * 4);
+  const maxSample = (1 << Math.min(depth, 8)) - 1;
+  const sample = (row, i) => {
+    if (depth === 8) return rows[row + i];
+    if (depth === 16) return rows[row + i * 2];
+    const bit = i * depth;
+    const v = (rows[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxSample;
+    return colorType === 3 ? v : Math.round((v * 255) / maxSample);
+  };
+  // tRNS for grey/RGB names one colour, in the image's own bit depth, that is transparent.
+  const rawSample = (row, i) => (depth === 16 ? rows.readUInt16BE(row + i * 2) : depth === 8 ? rows[row + i] : sample(row, i));
+  const keyed = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => transparency.readUInt16BE(i * 2))
+    : null;
+  const keyedRaw = (row, x) => {
+    if (colorType === 0) {
+      const v = depth < 8 ? (rows[row + ((x * depth) >> 3)] >> (8 - depth - ((x * depth) & 7))) & maxSample : rawSample(row, x);
+      return v === keyed[0];
+    }
+    return rawSample(row, x * 3) === keyed[0] && rawSample(row, x * 3 + 1) === keyed[1] && rawSample(row, x * 3 + 2) === keyed[2];
+  };
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      switch (colorType) {
+        case 0: {
+          const g = sample(row, x);
+          out[o] = out[o + 1] = out[o + 2] = g;
+          out[o + 3] = keyed && keyedRaw(row, x) ? 0 : 255;
+          break;
+        }
+        case 2:
+          out[o] = sample(row, x * 3);
+          out[o + 1] = sample(row, x * 3 + 1);
+          out[o + 2] = sample(row, x * 3 + 2);
+          out[o + 3] = keyed && keyedRaw(row, x) ? 0 : 255;
+          break;
+        case 3: {
+          const i = sample(row, x);
+          out[o] = palette[i * 3];
+          out[o + 1] = palette[i * 3 + 1];
+          out[o + 2] = palette[i * 3 + 2];
+          out[o + 3] = transparency && i < transparency.length ? transparency[i] : 255;
+          break;
+        }
+        case 4: {
+          const g = sample(row, x * 2);
+          out[o] = out[o + 1] = out[o + 2] = g;
+          out[o + 3] = sample(row, x * 2 + 1);
+          break;
+        }
+        case 6:
+          out[o] = sample(row, x * 4);
+          out[o + 1] = sample(row, x * 4 + 1);
+          out[o + 2] = sample(row, x * 4 + 2);
+          out[o + 3] = sample(row, x * 4 + 3);
+          break;
+      }
+    }
+  }
+  return { width, height, data: out };
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/** { width, height, data: RGBA } → PNG bytes (8-bit RGBA, Paeth-filtered). */
+function encodePng({ width, height, data }) {
+  if (!width || !height || data.length !== width * height * 4) throw new Error('encodePng: data must be width × height × 4 bytes');
+  const stride = width * 4;
+  const filtered = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const src = y * stride;
+    const dst = y * (stride + 1);
+    filtered[dst] = 4;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? data[src + x - 4] : 0;
+      const up = y > 0 ? data[src + x - stride] : 0;
+      const upLeft = y > 0 && x >= 4 ? data[src + x - stride - 4] : 0;
+      filtered[dst + 1 + x] = data[src + x] - paeth(left, up, upLeft);
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // RGBA
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(filtered)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng, crc32 };
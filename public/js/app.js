@@ -18,6 +18,11 @@ import { createWebSocket } from './ws-client.js';
 import { createConnectionTracker } from './connection-status.js';
 import { showDirectoryPicker } from './dir-picker.js';
 import { showSessionRestoreModal } from './session-restore-modal.js';
+import { TRANSCRIPT_FORMATS, canExportTranscript, downloadTranscript } from './transcript-export.js';
+import { openSessionGuardrails, showGuardrailNotice } from './guardrails.js';
+import { mountPushControls } from './push-notifications.js';
+import { mountWebhookLog } from './webhooks-settings.js';
+import { mountTriggerList } from './triggers-settings.js';
 import { LayoutManager } from './layout-manager.js';
 import { initLiveReload } from './live-reload.js';
 import { ModManager } from './mod-manager.js';
@@ -26,6 +31,10 @@ import { init as initCmdHoldMode, setEnabled as setCmdHoldModeEnabled, setHoldMs
 import { init as initCommandPalette, setEnabled as setCommandPaletteEnabled, setShortcut as setCommandPaletteShortcut } from './command-palette.js';
 import { init as initShortcutsHelp, setEnabled as setShortcutsHelpEnabled, setShortcut as setShortcutsHelpShortcut, open as openShortcutsHelp } from './shortcuts-help.js';
 import { init as initScheduledHistory, open as openScheduledHistory, refresh as refreshScheduledHistory } from './scheduled-history.js';
+import { init as initSessionReplay, open as openSessionReplay, refreshIndex as refreshRecordingIndex, isRecorded } from './session-replay.js';
+import { openShareDialog, mountShareLinks } from './share-links.js';
+import { mountUserList } from './users-settings.js';
+import { mountBackup } from './backup-settings.js';
 import { init as initProgressBar, start as progressStart, done as progressDone } from './progress-bar.js';
 import { init as initHashCommands, beforeSend as hashCommandsBeforeSend, setWaitingForInput as setHashCommandsWaiting, setEnabled as setHashCommandsEnabled, dismiss as dismissHashCommands } from './hash-commands.js';
 import { init as initOverviewMode, setEnabled as setOverviewModeEnabled, setShortcut as setOverviewModeShortcut, setDefaultLayout as setOverviewDefaultLayout, toggle as toggleOverviewMode, isOverviewActive, updateFocus as updateOverviewFocus, onTabsReordered as onOverviewTabsReordered, syncToContext as syncOverviewToContext } from './overview-mode.js';
@@ -145,6 +154,10 @@ const ActiveTab = {
  */
 let issueAutopilotDefault = false;
 
+// The server's `recordSessions` setting, as last announced. Only decides whether a tab
+// offers "Replay recording…" before its recording has shown up in the index.
+let recordSessionsMode = 'off';
+
 /**
  * Persist the picker checkbox as that preference. POST /api/settings only touches keys
  * present in the body, and its broadcast is what updates `issueAutopilotDefault` here
@@ -190,9 +203,18 @@ document.addEventListener('click', () => {
   }
 }, { once: true });
 
-// Register service worker for PWA
+// Register service worker for PWA and Web Push
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker.register('/sw.js');
+  // A clicked push notification (sw.js) names its session: select it here, or in
+  // whichever window has it open.
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type !== 'focus-session') return;
+    const id = e.data.id;
+    if (sessions.has(id)) { focusTab(id); return; }
+    const owner = WindowManager.getLiveWindows().find(w => w.sessions.some(s => s.id === id));
+    if (owner) WindowManager.focusSessionInWindow(owner.windowId, id);
+  });
 }
 
 function showNotification(id, name) {
@@ -284,6 +306,9 @@ function applySettings(settings) {
   if (settings.overviewDefaultLayout !== undefined) {
     setOverviewDefaultLayout(settings.overviewDefaultLayout);
   }
+  if (settings.recordSessions !== undefined) {
+    recordSessionsMode = settings.recordSessions;
+  }
   if (settings.contextViewsEnabled !== undefined) {
     setContextViewsEnabled(settings.contextViewsEnabled);
   }
@@ -303,12 +328,7 @@ function applySettings(settings) {
   // Enabled agents + custom config profiles (#537) aren't in the broadcast payload
   // (broadcast:false), so re-fetch /api/agents to pick up changes made in another window
   // and keep the pickers + badge mapping current. (`which` probes are fast.)
-  fetch('/api/agents').then(r => r.json()).then(data => {
-    window.__deepsteveAgents = data.agents || [];
-    const stillExists = window.__deepsteveAgents.some(a => a.id === window.__deepsteveDefaultAgent);
-    if (!stillExists) window.__deepsteveDefaultAgent = data.defaultAgent || 'claude';
-    if (typeof refreshEnginesDropdown === 'function') refreshEnginesDropdown();
-  }).catch(() => {});
+  refreshAgents();
   // Same "fact isn't in the payload" move for the engine (#620): tmuxAvailable and
   // migrationOffer are derived, not settings. This is how a second window drops its
   // copy of the migration modal once the first one answers — the answer broadcasts
@@ -434,6 +454,17 @@ async function restoreRecentSession(key) {
   createSession(r.cwd, r.id, false, { name: r.name, agentType: r.agentType, allowDuplicate: true });
 }
 
+// "Resume here" from a transcript search hit (command palette). An open tab is just
+// focused; a saved or closed session reconnects by id, which resurrects it the same
+// way the restore modal does (#561); a recents row goes through its restore route.
+function resumeTranscriptResult(r) {
+  if (sessions.has(r.ref)) { focusTab(r.ref); return; }
+  if (r.source === 'recent') { restoreRecentSession(r.ref); return; }
+  TabManager.addPlaceholderTab(r.ref, r.name || r.label || getDefaultTabName(r.cwd));
+  updateEmptyState();
+  createSession(r.cwd, r.ref, false, { name: r.name, agentType: r.agentType, allowDuplicate: true });
+}
+
 // Load recent sessions on startup. init()'s landing decision (landWithNoTabs) awaits
 // this rather than racing it — whether the empty state has anything on it is the whole
 // question there.
@@ -839,6 +870,16 @@ settingsBtn?.addEventListener('click', async () => {
   const currentAutoUpdateCheckIntervalHours = settingsData.autoUpdateCheckIntervalHours || 6;
   const currentAutoUpdateApply = settingsData.autoUpdateApply !== undefined ? settingsData.autoUpdateApply : true;
   const currentSessionLogEnabled = !!settingsData.sessionLogEnabled;
+  const currentRecordSessions = settingsData.recordSessions || 'off';
+  const currentApprovalRules = Array.isArray(settingsData.approvalRules) ? settingsData.approvalRules : [];
+  const currentApprovalTrustedProjects = Array.isArray(settingsData.approvalTrustedProjects) ? settingsData.approvalTrustedProjects : [];
+  const currentPushQuietHours = settingsData.pushQuietHours || null;
+  const currentWebhooks = Array.isArray(settingsData.webhooks) ? settingsData.webhooks : [];
+  const currentProxyAllowedHosts = Array.isArray(settingsData.proxyAllowedHosts) ? settingsData.proxyAllowedHosts : [];
+  const currentModCatalogSource = settingsData.modCatalogSource || '';
+  const currentModTrustedKeys = Array.isArray(settingsData.modTrustedKeys) ? settingsData.modTrustedKeys : [];
+  const currentModRequireSignatures = !!settingsData.modRequireSignatures;
+  const currentTriggers = Array.isArray(settingsData.triggers) ? settingsData.triggers : [];
   const currentScheduledTasksEnabled = settingsData.scheduledTasksEnabled !== false;
   const currentScheduledTasksOpenInBackground = settingsData.scheduledTasksOpenInBackground !== false;
   // #604: system-wide fallback model/effort for scheduled runs. '' = inherit Claude
@@ -1053,6 +1094,86 @@ settingsBtn?.addEventListener('click', async () => {
           Lets agents type into terminals via the <code>meta_type</code> tool — self-driving loops are possible. Off by default.
         </p>
       </div>
+      <div class="settings-section">
+        <h3>Auto-Approval Rules</h3>
+        <textarea id="approval-rules" rows="5" spellcheck="false" placeholder='[{ "decision": "allow", "tool": "Bash", "command": "npm test*" }]' style="width: 100%; box-sizing: border-box; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical;">${currentApprovalRules.length ? escapeHtml(JSON.stringify(currentApprovalRules, null, 2)) : ''}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Answer agents' permission prompts automatically. Each rule has a <code>decision</code> (<code>allow</code> or <code>deny</code>) and any of
+          <code>tool</code>, <code>command</code> (globs), <code>match</code> (text anywhere in the prompt) and <code>repo</code>. A matching deny always wins.
+          A repo can add its own in <code>.deepsteve/rules.json</code>. Every automatic decision is logged (<code>read_approval_audit</code>).
+        </p>
+        <textarea id="approval-trusted-projects" rows="3" spellcheck="false" placeholder='[{ "repo": "~/src/app", "sha256": "…" }]' style="width: 100%; box-sizing: border-box; margin-top: 8px; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical;">${currentApprovalTrustedProjects.length ? escapeHtml(JSON.stringify(currentApprovalTrustedProjects, null, 2)) : ''}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          A repo's own rules file is in the tree its agent edits, so only its deny rules apply until you trust it here, pinned to the file's
+          <code>sha256</code> (the daemon log prints the entry to paste). Editing the file untrusts it.
+        </p>
+      </div>
+      <div class="settings-section">
+        <h3>Push Notifications</h3>
+        <div id="push-controls"></div>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Notifies this browser when a session starts waiting, hits a permission prompt, or a scheduled run finishes — even with every deepsteve tab closed.
+          Mute a project from its right-click menu in the projects panel.
+        </p>
+        <label style="font-size: 13px; color: var(--ds-text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px; margin-top: 10px;">
+          <input type="checkbox" id="push-quiet-enabled" ${currentPushQuietHours ? 'checked' : ''} style="accent-color: var(--ds-accent-green);">
+          Quiet hours
+          <input type="time" id="push-quiet-start" value="${currentPushQuietHours?.start || '22:00'}" style="padding: 2px 6px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary);">
+          to
+          <input type="time" id="push-quiet-end" value="${currentPushQuietHours?.end || '07:00'}" style="padding: 2px 6px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary);">
+        </label>
+        <label style="font-size: 13px; color: var(--ds-text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px; margin-top: 6px;">
+          <input type="checkbox" id="push-quiet-allow-permission" ${!currentPushQuietHours || currentPushQuietHours.allow?.includes('permission') ? 'checked' : ''} style="accent-color: var(--ds-accent-green);">
+          Still notify for permission prompts during quiet hours
+        </label>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Quiet hours use this machine's local time.
+        </p>
+      </div>
+      <div class="settings-section">
+        <h3>Webhooks</h3>
+        <textarea id="webhooks" rows="5" spellcheck="false" placeholder='[{ "url": "http://localhost:9000/hook", "events": ["close", "scheduled_task_finished"] }]' style="width: 100%; box-sizing: border-box; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical;">${currentWebhooks.length ? escapeHtml(JSON.stringify(currentWebhooks, null, 2)) : ''}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          POST signed JSON to each <code>url</code> on <code>open</code>, <code>close</code>, <code>waiting</code>, <code>issue_complete</code>, <code>merge_worktree</code>,
+          <code>scheduled_task_started</code>, <code>scheduled_task_finished</code> and <code>guardrail</code> events (<code>events</code> omitted = all).
+          Each delivery carries <code>X-Deepsteve-Signature: t=…,v1=…</code>, an HMAC-SHA256 of <code>t.body</code> with the hook's <code>secret</code> (generated on save if missing). Failed deliveries are retried with backoff.
+        </p>
+        <div id="webhook-log"></div>
+      </div>
+      <div class="settings-section">
+        <h3>Triggers</h3>
+        <textarea id="triggers" rows="5" spellcheck="false" placeholder='[{ "id": "ci-failed", "automation": "triage-ci", "template": "CI job {{payload.job}} failed:\\n{{payload.log}}" }]' style="width: 100%; box-sizing: border-box; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical;">${currentTriggers.length ? escapeHtml(JSON.stringify(currentTriggers, null, 2)) : ''}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Each trigger starts a scheduled <code>task</code> (by id) or a saved <code>automation</code> when something POSTs to <code>/api/triggers/&lt;id&gt;/fire</code> with <code>Authorization: Bearer &lt;token&gt;</code> (generated on save if missing).
+          The JSON body fills <code>{{payload.field}}</code> in the <code>template</code>, which is added to the prompt; without one the body is appended as JSON.
+          <code>maxConcurrent</code> (default 1) and <code>rateLimit</code> (<code>{ "count": 10, "perMinutes": 60 }</code>) refuse fires past the limit. Every fire shows in the scheduled run history.
+        </p>
+        <div id="trigger-list"></div>
+      </div>
+      <div class="settings-section">
+        <h3>Baby Browser Proxy</h3>
+        <textarea id="proxy-allowed-hosts" rows="3" spellcheck="false" placeholder="localhost:5173&#10;*.lan&#10;192.168.1.0/24" style="width: 100%; box-sizing: border-box; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical;">${escapeHtml(currentProxyAllowedHosts.join('\n'))}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Private-network hosts Baby Browser may open, one per line: <code>host</code>, <code>host:port</code>, <code>*.domain</code> or a CIDR.
+          Anything that resolves to a loopback or LAN address is refused unless it is listed here; public sites need no entry.
+        </p>
+      </div>
+      <div class="settings-section">
+        <h3>Mod Catalog</h3>
+        <input type="text" id="mod-catalog-source" spellcheck="false" value="${escapeHtml(currentModCatalogSource)}" placeholder="Public catalog (or a URL, or a mirror directory)" style="width: 100%; box-sizing: border-box; padding: 6px 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace;">
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Where the Mods marketplace finds mods. Leave empty for the public catalog; for a team without internet access, make a mirror with <code>deepsteve mods mirror &lt;dir&gt;</code> and put its directory (or a <code>file://</code> URL) here.
+        </p>
+        <textarea id="mod-trusted-keys" rows="3" spellcheck="false" placeholder="acme-mods MCowBQYDK2VwAyEA…" style="width: 100%; box-sizing: border-box; padding: 8px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 12px; font-family: monospace; resize: vertical; margin-top: 8px;">${escapeHtml(currentModTrustedKeys.map(k => `${k.name} ${k.publicKey}`).join('\n'))}</textarea>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Trusted publisher keys, one per line: a name, then an Ed25519 public key in base64. A mod whose catalog signature one of these made is shown as signed.
+          ${currentModTrustedKeys.length ? `Fingerprints: ${currentModTrustedKeys.map(k => `${escapeHtml(k.name)} <code>${escapeHtml(k.fingerprint)}</code>`).join(', ')}.` : ''}
+        </p>
+        <label style="font-size: 13px; color: var(--ds-text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px; margin-top: 6px;">
+          <input type="checkbox" id="mod-require-signatures" ${currentModRequireSignatures ? 'checked' : ''} style="accent-color: var(--ds-accent-green);">
+          Only install mods signed by a trusted key
+        </label>
+      </div>
       <div class="settings-section">
         <h3>Remote Control Inheritance</h3>
         <label style="font-size: 13px; color: var(--ds-text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px;">
@@ -1077,6 +1198,41 @@ settingsBtn?.addEventListener('click', async () => {
           Record an append-only log of session opens and closes to ~/.deepsteve/session-lifecycle.jsonl. Agents can read it (read_session_log) or fetch /api/session-lifecycle to recap what happened. Off by default.
         </p>
       </div>
+      <div class="settings-section">
+        <h3>Session Recording</h3>
+        <label style="font-size: 13px; color: var(--ds-text-primary); display: flex; align-items: center; gap: 8px;">
+          Record:
+          <select id="record-sessions" style="padding: 4px 6px; background: var(--ds-bg-primary); border: 1px solid var(--ds-border); border-radius: 4px; color: var(--ds-text-primary); font-size: 13px;">
+            <option value="off" ${currentRecordSessions === 'off' ? 'selected' : ''}>Nothing</option>
+            <option value="scheduled" ${currentRecordSessions === 'scheduled' ? 'selected' : ''}>Scheduled runs</option>
+            <option value="all" ${currentRecordSessions === 'all' ? 'selected' : ''}>Every session</option>
+          </select>
+        </label>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-top: 4px;">
+          Keep each session's terminal output, with timing, in ~/.deepsteve/recordings/ (asciicast v2) to replay later — from a tab's menu, a run in the scheduled history, or Session Replay in the command palette. Applies to sessions started from now on. Recordings hold everything the session printed; they are kept for 14 days, 1 GB in all. Off by default.
+        </p>
+      </div>
+      <div class="settings-section">
+        <h3>Share Links</h3>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-bottom: 6px;">
+          Read-only links made with "Share read-only…" in a tab's menu, and who is watching through each. A link shows one session's terminal until it expires, the session ends, or you revoke it; it can't type into the session or reach anything else.
+        </p>
+        <div id="share-links"></div>
+      </div>
+      <div class="settings-section">
+        <h3>Users</h3>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-bottom: 6px;">
+          Named users sign in with their own token and get a role: viewers watch, operators drive sessions, admins also change settings, mods and users. Operators run commands as the account deepsteve runs under, so roles keep people out of settings rather than sandboxing them. Also: <code>deepsteve users</code>.
+        </p>
+        <div id="user-list"></div>
+      </div>
+      <div class="settings-section">
+        <h3>Backup &amp; Restore</h3>
+        <p style="font-size: 11px; color: var(--ds-text-secondary); margin-bottom: 6px;">
+          One signed file with your settings, contexts, scheduled tasks, automations, themes and commands, for moving to another machine. Sessions, tokens and users are never included, nor trigger tokens and webhook secrets unless you set a passphrase (a restore makes new ones). A restore shows what would change first, rewrites paths under your old home directory, and is applied when deepsteve next starts. Also: <code>deepsteve backup</code> / <code>restore</code>.
+        </p>
+        <div id="backup-controls"></div>
+      </div>
       <div class="settings-section">
         <h3>Scheduled Tasks</h3>
         <label style="font-size: 13px; color: var(--ds-text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px;">
@@ -1279,6 +1435,12 @@ settingsBtn?.addEventListener('click', async () => {
     </div>
   `;
   document.body.appendChild(overlay);
+  mountPushControls(overlay.querySelector('#push-controls'));
+  mountWebhookLog(overlay.querySelector('#webhook-log'), currentWebhooks);
+  mountTriggerList(overlay.querySelector('#trigger-list'), currentTriggers);
+  mountShareLinks(overlay.querySelector('#share-links'));
+  mountUserList(overlay.querySelector('#user-list'));
+  mountBackup(overlay.querySelector('#backup-controls'));
 
   // Tab switching
   overlay.querySelectorAll('.settings-tab').forEach(tab => {
@@ -1623,6 +1785,64 @@ settingsBtn?.addEventListener('click', async () => {
     const autoUpdateCheckIntervalHours = Math.max(1, Math.min(168, Number(overlay.querySelector('#auto-update-check-interval-hours').value) || 6));
     const autoUpdateApply = overlay.querySelector('#auto-update-apply').checked;
     const sessionLogEnabled = overlay.querySelector('#session-log-enabled').checked;
+    const recordSessions = overlay.querySelector('#record-sessions').value;
+    // Blank means no rules. Anything else must parse: saving a typo as "no rules"
+    // would quietly re-wedge every unattended run the rules were written for.
+    let approvalRules = [];
+    const approvalRulesText = overlay.querySelector('#approval-rules').value.trim();
+    if (approvalRulesText) {
+      try {
+        approvalRules = JSON.parse(approvalRulesText);
+        if (!Array.isArray(approvalRules)) throw new Error('expected a JSON array of rules');
+      } catch (err) {
+        alert(`Auto-Approval Rules: ${err.message}`);
+        return;
+      }
+    }
+    let approvalTrustedProjects = [];
+    const approvalTrustedText = overlay.querySelector('#approval-trusted-projects').value.trim();
+    if (approvalTrustedText) {
+      try {
+        approvalTrustedProjects = JSON.parse(approvalTrustedText);
+        if (!Array.isArray(approvalTrustedProjects)) throw new Error('expected a JSON array of { repo, sha256 }');
+      } catch (err) {
+        alert(`Trusted rule files: ${err.message}`);
+        return;
+      }
+    }
+    let webhooks = [];
+    const webhooksText = overlay.querySelector('#webhooks').value.trim();
+    if (webhooksText) {
+      try {
+        webhooks = JSON.parse(webhooksText);
+        if (!Array.isArray(webhooks)) throw new Error('expected a JSON array of webhooks');
+      } catch (err) {
+        alert(`Webhooks: ${err.message}`);
+        return;
+      }
+    }
+    let triggers = [];
+    const triggersText = overlay.querySelector('#triggers').value.trim();
+    if (triggersText) {
+      try {
+        triggers = JSON.parse(triggersText);
+        if (!Array.isArray(triggers)) throw new Error('expected a JSON array of triggers');
+      } catch (err) {
+        alert(`Triggers: ${err.message}`);
+        return;
+      }
+    }
+    const proxyAllowedHosts = overlay.querySelector('#proxy-allowed-hosts').value.split('\n').map(l => l.trim()).filter(Boolean);
+    const modCatalogSource = overlay.querySelector('#mod-catalog-source').value.trim();
+    const modTrustedKeys = overlay.querySelector('#mod-trusted-keys').value;
+    const modRequireSignatures = overlay.querySelector('#mod-require-signatures').checked;
+    const pushQuietHours = overlay.querySelector('#push-quiet-enabled').checked
+      ? {
+          start: overlay.querySelector('#push-quiet-start').value,
+          end: overlay.querySelector('#push-quiet-end').value,
+          allow: overlay.querySelector('#push-quiet-allow-permission').checked ? ['permission'] : [],
+        }
+      : false;
     const scheduledTasksEnabled = overlay.querySelector('#scheduled-tasks-enabled').checked;
     const scheduledTasksOpenInBackground = overlay.querySelector('#scheduled-tasks-open-in-background').checked;
     const scheduledModelChoice = overlay.querySelector('#scheduled-default-model').value;
@@ -1633,7 +1853,7 @@ settingsBtn?.addEventListener('click', async () => {
     const preventSleepWhileActive = overlay.querySelector('#prevent-sleep-while-active').checked;
     const inheritRemoteControl = overlay.querySelector('#inherit-rc-newtab').checked;
     const inheritRemoteControlOnFork = overlay.querySelector('#inherit-rc-fork').checked;
-    const settingsPayload = { shellProfile, maxIssueTitleLength: newMaxTitle, wandPlanMode, issueAutopilot, wandPromptTemplate, symlinkWorktreeSettings, cmdTabSwitch, cmdTabSwitchHoldMs, commandPaletteEnabled, commandPaletteShortcut, shortcutsHelpEnabled, shortcutsHelpShortcut, hashCommandsEnabled, contextViewsEnabled, projectModsEnabled, metaControlsEnabled, inheritRemoteControl, inheritRemoteControlOnFork, overviewDefaultLayout, enabledAgents, ...agentBinaries, ...(selectedEngine ? { engine: selectedEngine } : {}), scrollbackKB, recentSessionsLimit, autoUpdateCheckEnabled, autoUpdateCheckIntervalHours, autoUpdateApply, sessionLogEnabled, scheduledTasksEnabled, scheduledTasksOpenInBackground, scheduledDefaultModel, scheduledDefaultEffort, preventSleepWhileActive, customAgentConfigs };
+    const settingsPayload = { shellProfile, maxIssueTitleLength: newMaxTitle, wandPlanMode, issueAutopilot, wandPromptTemplate, symlinkWorktreeSettings, cmdTabSwitch, cmdTabSwitchHoldMs, commandPaletteEnabled, commandPaletteShortcut, shortcutsHelpEnabled, shortcutsHelpShortcut, hashCommandsEnabled, contextViewsEnabled, projectModsEnabled, metaControlsEnabled, inheritRemoteControl, inheritRemoteControlOnFork, overviewDefaultLayout, enabledAgents, ...agentBinaries, ...(selectedEngine ? { engine: selectedEngine } : {}), scrollbackKB, recentSessionsLimit, autoUpdateCheckEnabled, autoUpdateCheckIntervalHours, autoUpdateApply, sessionLogEnabled, recordSessions, approvalRules, approvalTrustedProjects, webhooks, triggers, proxyAllowedHosts, modCatalogSource, modTrustedKeys, modRequireSignatures, pushQuietHours, scheduledTasksEnabled, scheduledTasksOpenInBackground, scheduledDefaultModel, scheduledDefaultEffort, preventSleepWhileActive, customAgentConfigs };
     let resp = await fetch('/api/settings', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -1880,6 +2100,9 @@ function createSession(cwd, existingId = null, isNew = false, opts = {}) {
               notifyTabsChanged();
             }
           }
+          // A guardrail that tripped while no browser was attached (the usual case)
+          // is still pinned on the server; show it on open.
+          if (msg.guardrail) pinGuardrailNotice(msg.id, msg.guardrail);
         }
         // Expose the reconnect handle to close paths outside this closure
         // (killSession, sendToWindow) — a teardown mid-outage must untrack it
@@ -1887,12 +2110,16 @@ function createSession(cwd, existingId = null, isNew = false, opts = {}) {
         const connSess = sessions.get(msg.id);
         if (connSess) connSess.connHandle = connHandle;
         // The server re-sends these on every (re)connect, so a page reload restores
-        // what the tab context menu needs to render the Autopilot item (#643).
+        // what the tab context menu needs to render the Autopilot item (#643) and
+        // decide whether the tab has a transcript to export.
         {
           const sess = sessions.get(msg.id);
           if (sess) {
             sess.worktree = msg.worktree || null;
             sess.autopilot = !!msg.autopilot;
+            sess.agentType = msg.agentType || null;
+            // A viewer (users.js): the server drops its input, so don't pretend to take any.
+            if (msg.readOnly) sess.term.options.disableStdin = true;
           }
         }
         // Track engineType and claudeSessionId for session verification (after initTerminal
@@ -1973,6 +2200,9 @@ function createSession(cwd, existingId = null, isNew = false, opts = {}) {
           }
           notifyTabsChanged();
         }
+      } else if (msg.type === 'guardrail') {
+        const entry = [...sessions.entries()].find(([, s]) => s.ws === ws);
+        if (entry) pinGuardrailNotice(entry[0], msg.notice);
       } else if (msg.type === 'tasks') {
         ModManager.notifyTasksChanged(msg.tasks);
       } else if (msg.type === 'scheduled-tasks') {
@@ -2011,7 +2241,8 @@ function createSession(cwd, existingId = null, isNew = false, opts = {}) {
           setTimeout(() => processedBrowserRequests.delete(msg.requestId), 60000);
           ModManager.notifyScreenshotCaptureRequest(msg);
         }
-      } else if (msg.type === 'screenshot-added' || msg.type === 'screenshot-deleted') {
+      } else if (msg.type === 'screenshot-added' || msg.type === 'screenshot-deleted'
+        || msg.type === 'screenshot-comparison' || msg.type === 'screenshot-comparison-deleted') {
         ModManager.notifyScreenshotEvent(msg);
       } else if (msg.type === 'scene-update-request') {
         if (msg.targetWindowId && msg.targetWindowId !== WindowManager.getWindowId()) return;
@@ -2254,6 +2485,13 @@ function showLoadingBanner(sessionId, container) {
   banner._loadingTimeout = setTimeout(() => dismissLoadingBanner(sessionId), 60000);
 }
 
+// Dismissing tells the server too, so the notice doesn't come back on reload.
+function pinGuardrailNotice(sessionId, notice) {
+  const sess = sessions.get(sessionId);
+  if (!sess) return;
+  showGuardrailNotice(sess.container, notice, () => sess.ws?.sendJSON({ type: 'guardrail-dismiss' }));
+}
+
 function dismissLoadingBanner(sessionId) {
   const container = document.getElementById('term-' + sessionId);
   if (!container) return;
@@ -2332,6 +2570,15 @@ function initTerminal(id, ws, cwd, initialName, { hasScrollback = false, pending
       return s && s.worktree ? !!s.autopilot : null;
     },
     onToggleAutopilot: (sessionId, next) => setSessionAutopilot(sessionId, next),
+    getExportFormats: () => (canExportTranscript(sessions.get(id)?.agentType) ? TRANSCRIPT_FORMATS : null),
+    onExport: (sessionId, format) => downloadTranscript(sessionId, format),
+    // Guardrails act on an agent's turn; a plain shell has none to interrupt.
+    hasGuardrails: () => (sessions.get(id)?.agentType || 'claude') !== 'terminal',
+    onGuardrails: (sessionId) => openSessionGuardrails(sessionId, sessions.get(sessionId)?.name),
+    canReplay: () => recordSessionsMode !== 'off' || isRecorded(id),
+    onReplay: (sessionId) => openSessionReplay(sessionId),
+    canShare: () => sessions.get(id)?.agentType !== 'tmux-attach',
+    onShare: (sessionId) => openShareDialog(sessionId, sessions.get(sessionId)?.name),
     getModMenuItems: () => {
       return ModManager.getContextMenuItems().map(item => ({
         label: item.label,
@@ -3432,6 +3679,20 @@ function quickNewTerminal() {
   createSession(cwd, null, true, { agentType: 'terminal' });
 }
 
+/**
+ * Re-read the agent list into the picker cache. Called after a settings broadcast and
+ * on `agents-changed`, which the server sends when a manifest in ~/.deepsteve/agents
+ * is added, edited or removed.
+ */
+function refreshAgents() {
+  fetch('/api/agents').then(r => r.json()).then(data => {
+    window.__deepsteveAgents = data.agents || [];
+    const stillExists = window.__deepsteveAgents.some(a => a.id === window.__deepsteveDefaultAgent);
+    if (!stillExists) window.__deepsteveDefaultAgent = data.defaultAgent || 'claude';
+    if (typeof refreshEnginesDropdown === 'function') refreshEnginesDropdown();
+  }).catch(() => {});
+}
+
 /** Get the default agent type from cached settings */
 function getDefaultAgentType() {
   // Cached from /api/agents fetch at init
@@ -4486,7 +4747,7 @@ async function init() {
     hideAutoCycleToast,
     // The Scheduled panel's history button opens a page that lives in the TOP
     // document (#633) — it needs theme variables, which no mod iframe receives.
-    openScheduledHistory: () => openScheduledHistory(),
+    openScheduledHistory: () => { refreshRecordingIndex(); openScheduledHistory(); },
     // Unified groups/contexts (#526): let a panel read + drive the active context.
     getActiveContextId: () => getActiveContextId(),
     setActiveContext: (id) => setActiveContextFromPanel(id),
@@ -4586,6 +4847,7 @@ async function init() {
       if (msg.type === 'theme') applyTheme(msg.css || '');
       if (msg.type === 'settings') applySettings(msg);
       if (msg.type === 'skills-changed') ModManager.handleSkillsChanged(msg.enabledSkills);
+      if (msg.type === 'agents-changed') refreshAgents();
       if (msg.type === 'contexts') {
         applyServerContexts(msg.contexts);
         ModManager.notifyContextsChanged(msg.contexts);
@@ -4722,6 +4984,11 @@ async function init() {
     toggleOverviewMode: () => toggleOverviewMode(),
     showShortcutsHelp: () => openShortcutsHelp(),
     restoreSessions: () => reopenSessionRestore(),
+    openReplay: () => openSessionReplay(activeId && isRecorded(activeId) ? activeId : null),
+    resumeTranscript: resumeTranscriptResult,
+    // Same WS fork path as "Fork tab", so the server resolves the conversation's live
+    // tip (#455) — for a closed session too, by its tombstone or recents key.
+    forkTranscript: (r) => createSession(r.cwd || '~', null, true, { fork: r.ref, name: r.name }),
     focusTerminal: () => {
       if (activeId) {
         const s = sessions.get(activeId);
@@ -4752,7 +5019,21 @@ async function init() {
     // This window's OWN tabs, deliberately — not the server's live session set.
     getSessions: getSessionList,
     focusSession: focusTab,
+    // A run's recording outlives its tab, so this is offered whether or not the tab
+    // is in this window.
+    isRecorded,
+    replaySession: (id) => openSessionReplay(id),
+  });
+
+  initSessionReplay({
+    focusTerminal: () => {
+      if (activeId) {
+        const s = sessions.get(activeId);
+        if (s?.term) s.term.focus();
+      }
+    },
   });
+  refreshRecordingIndex();
 
   // Initialize Overview Mode (Cmd+O by default)
   initOverviewMode({
@@ -0,0 +1,111 @@
+/**
+ * asciicast v2, read side — the pure half of the replay page (session-replay.js).
+ *
+ * The server writes recordings (session-recording.js); this turns one back into a
+ * timeline the player can walk and seek. No DOM and no xterm here, so it is testable
+ * headless.
+ *
+ * A timeline is the file's events as { t, code, data }: `o` output, `r` a resize
+ * ("COLSxROWS"), `m` a marker. Seeking is replaying: a terminal's state at time t is
+ * whatever the output before t drew, so seekPlan() hands back everything up to t in
+ * order, with runs of output joined into one write.
+ */
+
+/**
+ * Parse a recording. A live session's file can end mid-line (the recorder was
+ * flushing as it was read), so a bad LAST line is dropped; a bad header is an error.
+ */
+export function parseCast(text) {
+  const lines = String(text || '').split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error('Not an asciicast recording');
+  }
+  if (!header || header.version !== 2) throw new Error('Only asciicast v2 recordings can be replayed');
+  const events = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+    let ev;
+    try {
+      ev = JSON.parse(line);
+    } catch {
+      if (i >= lines.length - 2) break; // the torn tail of a live recording
+      continue;
+    }
+    if (!Array.isArray(ev) || !Number.isFinite(ev[0]) || typeof ev[1] !== 'string') continue;
+    events.push({ t: ev[0], code: ev[1], data: String(ev[2] ?? '') });
+  }
+  // The file is append-only and its clock monotonic, but a player must never walk
+  // backwards on a hand-edited one.
+  events.sort((a, b) => a.t - b.t);
+  return { header, events, duration: events.length ? events[events.length - 1].t : 0 };
+}
+
+/**
+ * The same timeline with every gap longer than `limit` seconds cut to `limit` — the
+ * "skip idle" mode. An unattended run spends most of its life waiting on the model;
+ * this is what makes it watchable. Marker times move with the events around them.
+ */
+export function compressIdle(events, limit) {
+  if (!(limit > 0)) return events;
+  const out = [];
+  let prev = 0;
+  let shift = 0;
+  for (const ev of events) {
+    const gap = ev.t - prev;
+    if (gap > limit) shift += gap - limit;
+    prev = ev.t;
+    out.push({ ...ev, t: ev.t - shift });
+  }
+  return out;
+}
+
+/** The markers of a timeline, as { t, label }. */
+export function markersOf(events) {
+  return events.filter(ev => ev.code === 'm').map(ev => ({ t: ev.t, label: ev.data }));
+}
+
+/** "120x40" → { cols, rows }, or null. */
+export function parseSize(data) {
+  const m = /^(\d+)x(\d+)$/.exec(String(data));
+  if (!m) return null;
+  const cols = Number(m[1]);
+  const rows = Number(m[2]);
+  return cols > 0 && rows > 0 ? { cols, rows } : null;
+}
+
+/**
+ * Everything a fresh terminal needs to show time `t`: `steps`, in order, each either
+ * a string to write or a { cols, rows } to resize to; and `index`, the first event
+ * AFTER t — where playback continues from.
+ */
+export function seekPlan(events, t) {
+  const steps = [];
+  let buf = '';
+  let index = 0;
+  for (; index < events.length && events[index].t <= t; index++) {
+    const ev = events[index];
+    if (ev.code === 'o') {
+      buf += ev.data;
+    } else if (ev.code === 'r') {
+      const size = parseSize(ev.data);
+      if (!size) continue;
+      if (buf) { steps.push(buf); buf = ''; }
+      steps.push(size);
+    }
+  }
+  if (buf) steps.push(buf);
+  return { steps, index };
+}
+
+/** 75.4 → "1:15", 3725 → "1:02:05". */
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
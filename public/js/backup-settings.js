@@ -0,0 +1,161 @@
+/**
+ * Settings → Backup & Restore: download a backup of the chosen categories (backup.js),
+ * and restore one — a dry run first, showing what each file would become, then Apply,
+ * which stages it for the daemon's next start.
+ *
+ * The archive goes to the server as text and the passphrase with it; both stay inside
+ * the authenticated connection, and neither is kept once the request is answered.
+ */
+
+async function api(url, body) {
+  const res = await fetch(url, body === undefined ? undefined : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw Object.assign(new Error(data.error || `server responded ${res.status}`), { code: data.code });
+  return data;
+}
+
+function el(tag, className, text) {
+  const e = document.createElement(tag);
+  if (className) e.className = className;
+  if (text !== undefined) e.textContent = text;
+  return e;
+}
+
+function button(text, cls = 'btn-secondary') {
+  const b = el('button', cls, text);
+  b.type = 'button';
+  return b;
+}
+
+function fileLine(f) {
+  const mark = { add: '+', change: '~', same: '=' }[f.status];
+  const notes = [];
+  if (f.keys) {
+    for (const k of ['changed', 'added', 'removed']) if (f.keys[k].length) notes.push(`${k}: ${f.keys[k].join(', ')}`);
+  }
+  if (f.rewrites) notes.push(`${f.rewrites} home path(s) rewritten`);
+  if (f.newSecrets) notes.push(`${f.newSecrets} new trigger token(s) / webhook secret(s) — hand them out again`);
+  const line = el('div', `backup-file backup-file-${f.status}`, `${mark} ${f.path}`);
+  if (notes.length) line.appendChild(el('span', 'backup-file-notes', `  ${notes.join('; ')}`));
+  return line;
+}
+
+/** Fill `container` with the backup and restore controls. Admins only; others see why. */
+export async function mountBackup(container) {
+  if (!container) return;
+  let info;
+  try {
+    info = await api('/api/backup/categories');
+  } catch (e) {
+    container.textContent = `Backup is unavailable: ${e.message}`;
+    return;
+  }
+
+  const checks = el('div', 'backup-categories');
+  const boxes = info.categories.map(({ id, label }) => {
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    box.value = id;
+    const l = el('label');
+    l.append(box, ` ${label}`);
+    checks.appendChild(l);
+    return box;
+  });
+  const chosen = () => boxes.filter(b => b.checked).map(b => b.value);
+
+  const passphrase = document.createElement('input');
+  passphrase.type = 'password';
+  passphrase.placeholder = 'passphrase (optional — encrypts the backup)';
+  passphrase.autocomplete = 'new-password';
+  const download = button('Download backup', 'btn-primary');
+  const pick = button('Restore from file…');
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.dsbackup,application/json';
+  fileInput.hidden = true;
+  const row = el('div', 'backup-row');
+  row.append(passphrase, download, pick, fileInput);
+
+  const result = el('div', 'backup-result');
+  const error = el('div', 'share-error');
+  const hint = el('div', 'share-hint', `This install signs its backups as ${info.fingerprint}.`);
+  if (info.pending) hint.textContent += ' A restore is staged and is applied when deepsteve next starts.';
+  container.replaceChildren(checks, row, error, result, hint);
+
+  download.onclick = async () => {
+    error.textContent = '';
+    try {
+      const res = await fetch('/api/backup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ categories: chosen(), passphrase: passphrase.value || null }),
+      });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `server responded ${res.status}`);
+      const name = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'deepsteve.dsbackup';
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  };
+
+  let archive = null;
+  pick.onclick = () => fileInput.click();
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    archive = await file.text();
+    preview();
+  };
+
+  async function preview(apply = false) {
+    error.textContent = '';
+    let plan;
+    try {
+      plan = await api('/api/backup/restore', {
+        archive, passphrase: passphrase.value || null, categories: chosen(), apply,
+      });
+    } catch (e) {
+      error.textContent = e.code === 'PASSPHRASE_REQUIRED'
+        ? 'This backup is encrypted: enter its passphrase above, then choose the file again.'
+        : e.message;
+      result.replaceChildren();
+      return;
+    }
+
+    const { header, signer } = plan;
+    const lines = [
+      el('div', null, `Backup of ${header.host}, ${new Date(header.createdAt).toLocaleString()} (deepsteve ${header.deepsteveVersion || '?'})`),
+      el('div', null, `Signed by ${signer.thisInstall ? 'this install' : 'another install'}, ${signer.fingerprint}`),
+    ];
+    if (plan.rewriteHome) lines.push(el('div', null, `Paths under ${plan.from} become ${plan.to}`));
+    const files = el('div', 'backup-files');
+    files.append(...plan.files.map(fileLine));
+    const toWrite = plan.files.filter(f => f.status !== 'same').length;
+
+    if (plan.staged) {
+      lines.push(files, el('div', 'backup-staged', `Staged ${toWrite} file(s). They are applied when deepsteve next starts — run \`deepsteve restart\`. Files they replace are kept in ~/.deepsteve/pre-restore-…/.`));
+    } else if (!toWrite) {
+      lines.push(files, el('div', null, 'Nothing to restore: everything already matches.'));
+    } else {
+      const applyBtn = button(`Apply ${toWrite} file(s)`, 'btn-primary');
+      applyBtn.onclick = () => preview(true);
+      const cancel = button('Cancel');
+      cancel.onclick = () => { archive = null; result.replaceChildren(); };
+      const actions = el('div', 'backup-row');
+      actions.append(applyBtn, cancel);
+      lines.push(files, actions);
+    }
+    result.replaceChildren(...lines);
+  }
+}
@@ -4,10 +4,15 @@
  * Cmd+K (configurable) opens a filtered command list. Arrow keys navigate,
  * Enter executes, Escape closes. Follows the same init/setEnabled/setShortcut
  * pattern as cmd-tab-switch.js.
+ *
+ * Past a few characters the query also searches session transcripts on the server
+ * (transcript-search.js); matching turns are listed under the commands. Enter on
+ * one resumes that session, Shift+Enter (or its Fork button) forks it.
  */
 
 import { register } from './shortcuts.js';
 import { openNewWindow } from './new-window.js';
+import { MIN_SEARCH_CHARS, snippetSegments, resultTitle, resultMeta, searchTranscripts } from './transcript-search.js';
 
 let enabled = true;
 let shortcut = 'Meta+k';
@@ -21,6 +26,12 @@ let items = [];
 let selectedIndex = 0;
 let hasMouseMoved = false;
 
+// Transcript search: debounced, and only the latest request's answer is drawn.
+const SEARCH_DEBOUNCE_MS = 250;
+let searchTimer = null;
+let searchAbort = null;
+let commandCount = 0; // items[0..commandCount) are commands; the rest are transcript hits
+
 const matchesShortcut = register({
   id: 'command-palette',
   group: 'General',
@@ -65,7 +76,7 @@ function onKeyDown(e) {
   if (e.key === 'Enter') {
     e.preventDefault();
     e.stopPropagation();
-    executeSelected();
+    executeSelected({ fork: e.shiftKey });
     return;
   }
 
@@ -106,17 +117,28 @@ function renderSelection(visible) {
   if (sel) sel.scrollIntoView({ block: 'nearest' });
 }
 
-function executeSelected() {
+function executeSelected({ fork = false } = {}) {
   const visible = getVisibleItems();
   if (visible.length === 0 || selectedIndex >= visible.length) return;
   const el = visible[selectedIndex];
   const cmd = items[parseInt(el.dataset.index, 10)];
-  if (cmd) executeCommand(cmd);
+  if (!cmd) return;
+  if (cmd.type === 'transcript' && fork) {
+    if (cmd.result.canFork) executeCommand({ ...cmd, fork: true });
+    return;
+  }
+  executeCommand(cmd);
 }
 
 async function executeCommand(cmd) {
   close();
 
+  if (cmd.type === 'transcript') {
+    if (cmd.fork) callbacks.forkTranscript?.(cmd.result);
+    else callbacks.resumeTranscript?.(cmd.result);
+    return;
+  }
+
   if (cmd.type === 'builtin') {
     switch (cmd.id) {
       case 'new-tab':
@@ -167,6 +189,9 @@ async function executeCommand(cmd) {
       case 'restore-sessions':
         callbacks.restoreSessions?.();
         break;
+      case 'session-replay':
+        callbacks.openReplay?.();
+        break;
     }
   } else if (cmd.type === 'switch-tab') {
     callbacks.switchToTab?.(cmd.tabId);
@@ -287,9 +312,10 @@ async function open() {
   input = document.createElement('input');
   input.className = 'command-palette-input';
   input.type = 'text';
-  input.placeholder = 'Type a command...';
+  input.placeholder = 'Type a command, or search transcripts...';
   input.addEventListener('input', () => {
     filterItems();
+    scheduleTranscriptSearch();
   });
 
   list = document.createElement('div');
@@ -313,20 +339,11 @@ async function open() {
     }
 
     el.addEventListener('click', () => executeCommand(cmd));
-    el.addEventListener('mouseenter', () => {
-      // Ignore hover until the user has actually moved the mouse — opening via
-      // keyboard shouldn't let a stationary cursor override the default selection.
-      if (!hasMouseMoved) return;
-      const visible = getVisibleItems();
-      const visIdx = visible.indexOf(el);
-      if (visIdx >= 0) {
-        selectedIndex = visIdx;
-        renderSelection(visible);
-      }
-    });
+    trackHover(el);
 
     list.appendChild(el);
   });
+  commandCount = items.length;
 
   palette.appendChild(input);
   palette.appendChild(list);
@@ -340,9 +357,115 @@ async function open() {
   requestAnimationFrame(() => input.focus());
 }
 
+// Ignore hover until the user has actually moved the mouse — opening via
+// keyboard shouldn't let a stationary cursor override the default selection.
+function trackHover(el) {
+  el.addEventListener('mouseenter', () => {
+    if (!hasMouseMoved) return;
+    const visible = getVisibleItems();
+    const visIdx = visible.indexOf(el);
+    if (visIdx >= 0) {
+      selectedIndex = visIdx;
+      renderSelection(visible);
+    }
+  });
+}
+
+function scheduleTranscriptSearch() {
+  clearTimeout(searchTimer);
+  searchAbort?.abort();
+  searchAbort = null;
+  const query = input?.value.trim() || '';
+  if (query.length < MIN_SEARCH_CHARS) {
+    renderTranscriptResults(null);
+    return;
+  }
+  searchTimer = setTimeout(async () => {
+    const controller = new AbortController();
+    searchAbort = controller;
+    try {
+      const data = await searchTranscripts(query, { signal: controller.signal });
+      if (searchAbort !== controller || !isOpen) return; // superseded or closed meanwhile
+      renderTranscriptResults(data.results || []);
+    } catch (err) {
+      if (err.name === 'AbortError' || searchAbort !== controller) return;
+      renderTranscriptResults(null, `Transcript search failed: ${err.message}`);
+    }
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+// Replace the transcript section under the commands. `results === null` clears it.
+function renderTranscriptResults(results, error = null) {
+  if (!list) return;
+  for (const el of list.querySelectorAll('.command-palette-transcript, .command-palette-section')) el.remove();
+  items.length = commandCount;
+  if (!results && !error) { renderSelection(); return; }
+
+  const header = document.createElement('div');
+  header.className = 'command-palette-section';
+  header.textContent = error || (results.length
+    ? `Transcripts — ${results.length}${results.length >= 30 ? '+' : ''} match${results.length === 1 ? '' : 'es'} · ⏎ resume · ⇧⏎ fork`
+    : 'Transcripts — no matches');
+  list.appendChild(header);
+
+  for (const r of results || []) {
+    const cmd = { type: 'transcript', result: r };
+    const el = document.createElement('div');
+    el.className = 'command-palette-item command-palette-transcript';
+    el.dataset.index = items.length;
+    items.push(cmd);
+
+    const body = document.createElement('div');
+    body.className = 'command-palette-transcript-body';
+    const title = document.createElement('span');
+    title.className = 'command-palette-item-name';
+    title.textContent = resultTitle(r);
+    const meta = document.createElement('span');
+    meta.className = 'command-palette-item-desc';
+    meta.textContent = resultMeta(r);
+    const head = document.createElement('div');
+    head.className = 'command-palette-transcript-head';
+    head.append(title, meta);
+    const snippet = document.createElement('div');
+    snippet.className = 'command-palette-transcript-snippet';
+    for (const seg of snippetSegments(r.turn?.snippet || '', r.turn?.highlights)) {
+      if (seg.hit) {
+        const mark = document.createElement('mark');
+        mark.textContent = seg.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(seg.text));
+      }
+    }
+    body.append(head, snippet);
+    el.appendChild(body);
+
+    if (r.canFork) {
+      const forkBtn = document.createElement('button');
+      forkBtn.type = 'button';
+      forkBtn.className = 'command-palette-transcript-fork';
+      forkBtn.textContent = 'Fork';
+      forkBtn.title = 'Fork this conversation into a new tab (⇧⏎)';
+      forkBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        executeCommand({ ...cmd, fork: true });
+      });
+      el.appendChild(forkBtn);
+    }
+
+    el.addEventListener('click', () => executeCommand(cmd));
+    trackHover(el);
+    list.appendChild(el);
+  }
+  renderSelection();
+}
+
 function close() {
   if (!isOpen) return;
   isOpen = false;
+  clearTimeout(searchTimer);
+  searchAbort?.abort();
+  searchAbort = null;
   if (overlay) {
     overlay.remove();
     overlay = null;
@@ -350,6 +473,7 @@ function close() {
   input = null;
   list = null;
   items = [];
+  commandCount = 0;
   selectedIndex = 0;
   hasMouseMoved = false;
   callbacks.focusTerminal?.();
@@ -363,7 +487,7 @@ function filterItems() {
   listItems.forEach(el => {
     const idx = parseInt(el.dataset.index, 10);
     const cmd = items[idx];
-    if (!cmd) return;
+    if (!cmd || cmd.type === 'transcript') return; // already matched server-side
     const text = (cmd.name + ' ' + (cmd.description || '')).toLowerCase();
     el.style.display = text.includes(query) ? '' : 'none';
   });
@@ -0,0 +1,154 @@
+/**
+ * Container sandbox editor (project rail menu).
+ *
+ * The policy lives on the server (container-config.js) and is applied by
+ * spawnSession there, so it holds for every way a session starts — the issue picker,
+ * an agent's start_issue, a scheduled run. This dialog only edits it. An empty image
+ * turns the sandbox off; every other field is optional.
+ */
+
+const LIMITS = [
+  { key: 'memory', label: 'Memory limit', placeholder: 'e.g. 4g', type: 'text' },
+  { key: 'cpus', label: 'CPUs', placeholder: 'e.g. 2', type: 'number', step: '0.5' },
+  { key: 'pidsLimit', label: 'Max processes', placeholder: 'e.g. 512', type: 'number', step: '1' },
+];
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function row(modal, labelText, control) {
+  const r = document.createElement('div');
+  r.className = 'sandbox-row';
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  r.appendChild(label);
+  r.appendChild(control);
+  modal.appendChild(r);
+  return r;
+}
+
+function checkbox(checked) {
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = !!checked;
+  return input;
+}
+
+export function openContextSandbox(ctx) {
+  const current = ctx.container || {};
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  const modal = document.createElement('div');
+  modal.className = 'modal sandbox-editor';
+  overlay.appendChild(modal);
+
+  const h = document.createElement('h2');
+  h.textContent = `Container sandbox — ${ctx.name}`;
+  modal.appendChild(h);
+
+  const p = document.createElement('div');
+  p.className = 'sandbox-hint';
+  p.textContent = 'Runs sessions in a disposable Docker or Podman container that mounts only the session\'s '
+    + 'folder (an issue session\'s worktree). The image must already be pulled and contain the agent. '
+    + 'Sandboxed agents get no deepsteve API access.';
+  modal.appendChild(p);
+
+  const image = document.createElement('input');
+  image.type = 'text';
+  image.placeholder = 'image, e.g. ghcr.io/me/agent:latest';
+  image.value = current.image || '';
+  row(modal, 'Image', image);
+
+  const applyTo = document.createElement('select');
+  for (const [value, text] of [['issues', 'Issue sessions'], ['all', 'Every session']]) {
+    const o = document.createElement('option');
+    o.value = value;
+    o.textContent = text;
+    applyTo.appendChild(o);
+  }
+  applyTo.value = current.applyTo || 'issues';
+  row(modal, 'Applies to', applyTo);
+
+  const network = checkbox(current.network);
+  row(modal, 'Network access', network);
+
+  const inputs = {};
+  for (const f of LIMITS) {
+    const input = document.createElement('input');
+    input.type = f.type;
+    if (f.step) { input.step = f.step; input.min = '0'; }
+    input.placeholder = f.placeholder;
+    input.value = current[f.key] == null ? '' : String(current[f.key]);
+    row(modal, f.label, input);
+    inputs[f.key] = input;
+  }
+
+  const passEnv = document.createElement('input');
+  passEnv.type = 'text';
+  passEnv.placeholder = 'e.g. ANTHROPIC_API_KEY';
+  passEnv.value = (current.passEnv || []).join(' ');
+  row(modal, 'Pass env vars', passEnv);
+
+  const mountGit = checkbox(current.mountGit);
+  const gitRow = row(modal, 'Mount the git directory', mountGit);
+  gitRow.title = 'Lets the agent commit. The git directory holds hooks your own git runs, '
+    + 'so a container that can write it is no longer fully sandboxed.';
+
+  const error = document.createElement('div');
+  error.className = 'sandbox-error';
+  modal.appendChild(error);
+
+  const btns = document.createElement('div');
+  btns.className = 'modal-buttons';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn-secondary';
+  cancel.textContent = 'Cancel';
+  cancel.onclick = () => overlay.remove();
+  btns.appendChild(cancel);
+  const save = document.createElement('button');
+  save.className = 'btn-primary';
+  save.textContent = 'Save';
+  save.onclick = async () => {
+    const img = image.value.trim();
+    const container = img ? {
+      image: img,
+      applyTo: applyTo.value,
+      network: network.checked,
+      mountGit: mountGit.checked,
+      passEnv: passEnv.value.split(/[\s,]+/).filter(Boolean),
+    } : null;
+    if (container) {
+      for (const f of LIMITS) {
+        const v = inputs[f.key].value.trim();
+        if (v !== '') container[f.key] = f.type === 'number' ? Number(v) : v;
+      }
+    }
+    try {
+      const res = await api('POST', `/api/contexts/${encodeURIComponent(ctx.id)}/container`, { container });
+      // Saved either way; a runtime that isn't there is worth saying before the first
+      // issue session finds out.
+      if (res.runtime && !res.runtime.available) {
+        error.textContent = `Saved, but the container runtime isn't usable: ${res.runtime.reason}`;
+        save.textContent = 'Save again';
+        return;
+      }
+      overlay.remove();
+    } catch (e) {
+      error.textContent = `Could not save: ${e.message}`;
+    }
+  };
+  btns.appendChild(save);
+  modal.appendChild(btns);
+
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
+  document.body.appendChild(overlay);
+  image.focus();
+}
@@ -47,6 +47,9 @@ import { tabIcon } from './tab-manager.js';
 // project-mods.js learns about the active view through callbacks app.js injects, never
 // by importing this module back.
 import { railModsFor, appendRailRows, isCompactRail, setCompactRail, modsForProject, openMod, modIcon } from './project-mods.js';
+import { openContextGuardrails } from './guardrails.js';
+import { openContextNotifications } from './push-notifications.js';
+import { openContextSandbox } from './container-sandbox.js';
 
 // Context definitions are server-owned (#526): they are the same entity as the
 // Scheduled Tasks "project groups", loaded from /api/contexts and kept fresh by
@@ -183,6 +186,10 @@ function genId() {
 
 // ------------------------------------------------------------------- matching
 
+// `host:/path` — the client's copy of remote-path.js's pattern, for the editor's
+// remote-folder field. The server re-parses anything it is given.
+const REMOTE_DIR_RE = /^(?:[A-Za-z0-9._][A-Za-z0-9._-]*@)?(?:[A-Za-z0-9_][A-Za-z0-9._-]*|\[[0-9A-Fa-f:.]+\]):\/.*$/;
+
 function tabInContext(cwd, ctx) {
   if (!ctx) return true;
   if (!cwd) return true; // no cwd (mod/display tab) → global, visible everywhere
@@ -589,6 +596,14 @@ function showRowMenu(x, y, ctx) {
     // Archive (#601) — the non-destructive alternative to Delete: the context keeps
     // its dirs/icon/position but leaves the list until it's unarchived.
     addRowMenuItem(menu, ctx.archived ? 'Unarchive' : 'Archive', () => archiveContext(ctx, !ctx.archived));
+    // Guardrails — limits for every session in the project; stored and enforced on
+    // the server, so they arrive back here with the contexts broadcast.
+    addRowMenuItem(menu, 'Guardrails…', () => openContextGuardrails(ctx));
+    // Which push notifications this project sends (push-notifications.js).
+    addRowMenuItem(menu, 'Notifications…', () => openContextNotifications(ctx));
+    // Where its issue sessions run (container-config.js): a disposable container
+    // instead of the user's own account.
+    addRowMenuItem(menu, ctx.container ? 'Container sandbox ✓…' : 'Container sandbox…', () => openContextSandbox(ctx));
     // Compact view (#646) — the same per-browser toggle the mod rows' own right-click
     // menu carries, offered here too because the row you right-click when the rail has
     // grown too tall is as likely to be the project as one of its mods. Only shown when
@@ -1429,6 +1444,25 @@ function openContextEditor(ctx) {
       }
     };
     addWrap.appendChild(browse);
+
+    // A folder on another machine, as `host:/path` — sessions opened from it run there,
+    // over ssh (engines/ssh.js). Typed rather than browsed: the picker lists this disk.
+    const remote = document.createElement('input');
+    remote.className = 'context-remote-input';
+    remote.placeholder = 'or host:/path…';
+    remote.title = 'A folder on a remote host, reached over ssh — e.g. build:/srv/repo';
+    remote.oninput = () => remote.classList.remove('invalid');
+    remote.onkeydown = (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      const dir = remote.value.trim().replace(/(.)\/+$/, '$1');
+      if (!REMOTE_DIR_RE.test(dir)) { remote.classList.add('invalid'); return; }
+      if (!draft.dirs.includes(dir)) {
+        draft.dirs.push(dir);
+        renderDirs();
+      }
+    };
+    addWrap.appendChild(remote);
   }
 
   renderDirs();
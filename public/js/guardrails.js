@@ -0,0 +1,176 @@
+/**
+ * Guardrails editor (tab context menu + project rail menu) and the per-tab notice
+ * shown when one trips.
+ *
+ * The limits themselves live on the server (guardrails.js) and are enforced by the
+ * daemon's sweep, so they hold with no browser open — which is the point: the
+ * session they are for is the one nobody is watching. A blank field means "not
+ * set here"; on a tab that falls through to the project's value, and 0 switches
+ * the limit off for the tab even when its project sets one.
+ */
+
+const FIELDS = [
+  { key: 'maxWallMinutes', label: 'Max run time', unit: 'min' },
+  { key: 'maxTokens', label: 'Max tokens', unit: 'tokens' },
+  { key: 'maxStuckMinutes', label: 'Max busy with no new output', unit: 'min' },
+];
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function openDialog({ title, hint, current, inherited, onSave }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  const modal = document.createElement('div');
+  modal.className = 'modal guardrails-editor';
+  overlay.appendChild(modal);
+
+  const h = document.createElement('h2');
+  h.textContent = title;
+  modal.appendChild(h);
+
+  const p = document.createElement('div');
+  p.className = 'guardrails-hint';
+  p.textContent = hint;
+  modal.appendChild(p);
+
+  const inputs = {};
+  for (const f of FIELDS) {
+    const row = document.createElement('div');
+    row.className = 'guardrails-row';
+    const label = document.createElement('span');
+    label.textContent = f.label;
+    row.appendChild(label);
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    const v = current?.[f.key];
+    input.value = v === undefined || v === null ? '' : String(v);
+    const from = inherited?.[f.key];
+    input.placeholder = from > 0 ? `${from} (project)` : 'off';
+    row.appendChild(input);
+    const unit = document.createElement('span');
+    unit.className = 'guardrails-unit';
+    unit.textContent = f.unit;
+    row.appendChild(unit);
+    modal.appendChild(row);
+    inputs[f.key] = input;
+  }
+
+  const actionRow = document.createElement('div');
+  actionRow.className = 'guardrails-row';
+  const actionLabel = document.createElement('span');
+  actionLabel.textContent = 'When reached';
+  actionRow.appendChild(actionLabel);
+  const action = document.createElement('select');
+  for (const [value, text] of [['', inherited?.action ? `Project default (${inherited.action})` : 'Interrupt (Esc)'], ['interrupt', 'Interrupt (Esc)'], ['stop', 'Stop the agent (Ctrl+C)']]) {
+    const o = document.createElement('option');
+    o.value = value;
+    o.textContent = text;
+    action.appendChild(o);
+  }
+  action.value = current?.action || '';
+  actionRow.appendChild(action);
+  modal.appendChild(actionRow);
+
+  const error = document.createElement('div');
+  error.className = 'guardrails-error';
+  modal.appendChild(error);
+
+  const btns = document.createElement('div');
+  btns.className = 'modal-buttons';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn-secondary';
+  cancel.textContent = 'Cancel';
+  cancel.onclick = () => overlay.remove();
+  btns.appendChild(cancel);
+  const save = document.createElement('button');
+  save.className = 'btn-primary';
+  save.textContent = 'Save';
+  save.onclick = async () => {
+    const policy = {};
+    for (const f of FIELDS) {
+      if (inputs[f.key].value !== '') policy[f.key] = Number(inputs[f.key].value);
+    }
+    if (action.value) policy.action = action.value;
+    try {
+      await onSave(policy);
+      overlay.remove();
+    } catch (e) {
+      error.textContent = `Could not save: ${e.message}`;
+    }
+  };
+  btns.appendChild(save);
+  modal.appendChild(btns);
+
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
+  document.body.appendChild(overlay);
+  inputs[FIELDS[0].key].focus();
+}
+
+export async function openSessionGuardrails(sessionId, name) {
+  const url = `/api/shells/${encodeURIComponent(sessionId)}/guardrails`;
+  let view;
+  try {
+    view = await api('GET', url);
+  } catch (e) {
+    alert(`Could not load guardrails: ${e.message}`);
+    return;
+  }
+  openDialog({
+    title: `Guardrails — ${name || 'session'}`,
+    hint: view.context
+      ? `Blank fields use the "${view.context.name}" project's limits; 0 turns a limit off for this tab. Saving re-arms limits that already tripped.`
+      : 'Blank fields are off. Limits are checked only while the agent is busy. Saving re-arms limits that already tripped.',
+    current: view.guardrails,
+    inherited: view.context?.guardrails,
+    onSave: (guardrails) => api('POST', url, { guardrails }),
+  });
+}
+
+export function openContextGuardrails(ctx) {
+  openDialog({
+    title: `Guardrails — ${ctx.name}`,
+    hint: 'Applies to every session whose folder is in this project, unless the tab sets its own. Blank fields are off.',
+    current: ctx.guardrails,
+    inherited: null,
+    onSave: (guardrails) => api('POST', `/api/contexts/${encodeURIComponent(ctx.id)}/guardrails`, { guardrails }),
+  });
+}
+
+/**
+ * Pin the breach notice on a tab. It stays until dismissed — the user was most
+ * likely away when it happened, and a notice that faded would say nothing.
+ */
+export function showGuardrailNotice(container, notice, onDismiss) {
+  clearGuardrailNotice(container);
+  if (!notice) return;
+  const banner = document.createElement('div');
+  banner.className = 'guardrail-banner';
+  const text = document.createElement('span');
+  text.textContent = `⛔ ${notice.message}`;
+  text.title = new Date(notice.at).toLocaleString();
+  banner.appendChild(text);
+  const btn = document.createElement('button');
+  btn.className = 'guardrail-banner-dismiss';
+  btn.textContent = 'Dismiss';
+  btn.addEventListener('click', () => {
+    clearGuardrailNotice(container);
+    onDismiss?.();
+  });
+  banner.appendChild(btn);
+  container.prepend(banner);
+}
+
+export function clearGuardrailNotice(container) {
+  container?.querySelector('.guardrail-banner')?.remove();
+}
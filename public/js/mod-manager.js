@@ -344,6 +344,10 @@ async function loadAvailableMods() {
     _showMarketplaceModal();
   });
 
+  // Dot the button when an installed mod has an update. The catalog can be slow or
+  // unreachable (offline, a mirror on a share that isn't mounted) — don't wait on it.
+  fetch('/api/mods/catalog').then(r => r.json()).then(data => _markModUpdates(data.mods || [])).catch(() => {});
+
   // Remove incompatible mods from enabledMods (in case they were enabled before)
   for (const mod of allMods) {
     if (mod.compatible === false) enabledMods.delete(mod.id);
@@ -438,6 +442,43 @@ async function loadAvailableMods() {
   }
 }
 
+/**
+ * Toggle the Mods button's update dot from annotated catalog entries.
+ */
+function _markModUpdates(catalogMods) {
+  const modsBtn = document.getElementById('mods-btn');
+  const updates = catalogMods.filter(m => m.updateAvailable);
+  modsBtn.classList.toggle('update-available', updates.length > 0);
+  modsBtn.title = updates.length
+    ? `Toggle mods — update available: ${updates.map(m => `${m.name || m.id} v${m.version}`).join(', ')}`
+    : 'Toggle mods';
+}
+
+/**
+ * POST a mod action (install, rollback, pin) from a card button, then reopen the
+ * marketplace to show the result. On failure the button shows the server's error
+ * for a moment.
+ */
+async function _postModAction(btn, route, body, busyText, marketplaceOverlay) {
+  const idleText = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = busyText;
+  try {
+    const res = await fetch(route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) throw new Error((await res.json()).error);
+    marketplaceOverlay.remove();
+    _showMarketplaceModal();
+  } catch (e) {
+    btn.textContent = 'Failed';
+    btn.title = e.message || '';
+    setTimeout(() => { btn.textContent = idleText; btn.disabled = false; }, 2000);
+  }
+}
+
 /**
  * Show the marketplace modal with mod cards, search, and filters.
  */
@@ -458,6 +499,7 @@ async function _showMarketplaceModal() {
     catalogMods = catalogRes.mods || [];
     automations = automationsRes.automations || [];
   } catch {}
+  _markModUpdates(catalogMods);
 
   // Merge: installed mods first, then catalog-only mods
   const installedIds = new Set(allMods.map(m => m.id));
@@ -469,6 +511,8 @@ async function _showMarketplaceModal() {
     return {
       ...mod,
       catalogVersion: catEntry?.version || null,
+      catalogVersions: catEntry?.versions || [],
+      newerIncompatible: catEntry?.newerIncompatible || null,
       downloadUrl: catEntry?.downloadUrl || null,
       updateAvailable: catEntry?.updateAvailable || false,
     };
@@ -478,6 +522,7 @@ async function _showMarketplaceModal() {
       ...cat,
       source: 'official',
       catalogVersion: cat.version,
+      catalogVersions: cat.versions || [],
     });
   }
 
@@ -1082,6 +1127,21 @@ function _createModCard(mod, marketplaceOverlay) {
   info.innerHTML = `<span class="mod-card-name">${mod.name || mod.id}</span><span class="mod-badge ${badgeClass}">${badgeText}</span>` +
     (mod.experimental ? `<span class="mod-badge experimental">Experimental</span>` : '') +
     `<span class="mod-card-version">v${mod.version || '?'}</span>`;
+  // How the installed package was verified (mod-catalog.js), and whether it is pinned.
+  if (mod.install) {
+    const { signer, checksum, sha256, pinned } = mod.install;
+    const badge = (cls, text, title) => {
+      const el = document.createElement('span');
+      el.className = `mod-badge ${cls}`;
+      el.textContent = text;
+      el.title = title;
+      info.appendChild(el);
+    };
+    if (signer) badge('signed', 'Signed', `Signed by ${signer.name} (${signer.fingerprint})`);
+    else if (checksum !== 'verified') badge('unverified', 'Unverified', 'Installed without a catalog checksum or a trusted signature');
+    else if (sha256) info.querySelector('.mod-card-version').title = `sha256 ${sha256}`;
+    if (pinned) badge('pinned', 'Pinned', `Pinned at v${mod.version}: updates are not offered`);
+  }
 
   const actions = document.createElement('div');
   actions.className = 'mod-card-actions';
@@ -1235,6 +1295,13 @@ function _createModCard(mod, marketplaceOverlay) {
     warn.style.color = 'var(--ds-accent-red)';
     warn.textContent = `Requires deepsteve v${mod.minDeepsteveVersion}+`;
     card.appendChild(warn);
+  } else if (mod.newerIncompatible) {
+    const newer = (mod.catalogVersions || []).find(v => v.version === mod.newerIncompatible);
+    const note = document.createElement('div');
+    note.className = 'mod-card-description';
+    note.style.color = 'var(--ds-text-secondary)';
+    note.textContent = `v${mod.newerIncompatible} is out, and needs deepsteve v${newer?.minDeepsteveVersion || '?'}+`;
+    card.appendChild(note);
   }
 
   // Footer for non-built-in mods (install/uninstall/update)
@@ -1244,31 +1311,58 @@ function _createModCard(mod, marketplaceOverlay) {
 
     if (isInstalled) {
       // Update button (if available)
-      if (mod.updateAvailable && mod.downloadUrl) {
+      if (mod.updateAvailable && mod.catalogVersion) {
         const updateBtn = document.createElement('button');
         updateBtn.className = 'btn-update';
         updateBtn.textContent = `Update to v${mod.catalogVersion}`;
-        updateBtn.addEventListener('click', async () => {
-          updateBtn.disabled = true;
-          updateBtn.textContent = 'Updating...';
-          try {
-            const res = await fetch('/api/mods/install', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ id: mod.id, downloadUrl: mod.downloadUrl })
-            });
-            if (!res.ok) throw new Error((await res.json()).error);
-            // Re-open marketplace to refresh
-            marketplaceOverlay.remove();
-            _showMarketplaceModal();
-          } catch (e) {
-            updateBtn.textContent = 'Update failed';
-            setTimeout(() => { updateBtn.textContent = `Update to v${mod.catalogVersion}`; updateBtn.disabled = false; }, 2000);
-          }
+        updateBtn.addEventListener('click', () => {
+          _postModAction(updateBtn, '/api/mods/install', { id: mod.id, version: mod.catalogVersion }, 'Updating...', marketplaceOverlay);
         });
         footer.appendChild(updateBtn);
       }
 
+      // Any other catalog version this deepsteve can run — a downgrade, or an update
+      // past a pin. The pin, if any, moves with it.
+      const others = (mod.catalogVersions || []).filter(v => v.compatible !== false && v.version !== mod.version);
+      if (others.length > 0) {
+        const select = document.createElement('select');
+        select.className = 'mod-version-select';
+        select.innerHTML = `<option value="">Other versions…</option>` +
+          others.map(v => `<option value="${v.version}">v${v.version}${v.publishedAt ? ` · ${String(v.publishedAt).slice(0, 10)}` : ''}</option>`).join('');
+        select.addEventListener('change', () => {
+          if (!select.value) return;
+          const btn = document.createElement('button');
+          btn.className = 'btn-update';
+          btn.textContent = `Install v${select.value}`;
+          select.replaceWith(btn);
+          _postModAction(btn, '/api/mods/install', { id: mod.id, version: select.value, pin: !!mod.install?.pinned }, 'Installing...', marketplaceOverlay);
+        });
+        footer.appendChild(select);
+      }
+
+      if (mod.install) {
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'btn-pin';
+        pinBtn.textContent = mod.install.pinned ? 'Unpin' : 'Pin';
+        pinBtn.title = mod.install.pinned ? 'Offer updates for this mod again' : `Stay on v${mod.version}: no update offers`;
+        pinBtn.addEventListener('click', () => {
+          _postModAction(pinBtn, '/api/mods/pin', { id: mod.id, pinned: !mod.install.pinned }, '...', marketplaceOverlay);
+        });
+        footer.appendChild(pinBtn);
+
+        const previous = mod.install.history?.[0];
+        if (previous) {
+          const rollbackBtn = document.createElement('button');
+          rollbackBtn.className = 'btn-pin';
+          rollbackBtn.textContent = `Roll back to v${previous.version}`;
+          rollbackBtn.title = 'Put back the version this one replaced, and pin it';
+          rollbackBtn.addEventListener('click', () => {
+            _postModAction(rollbackBtn, '/api/mods/rollback', { id: mod.id }, 'Rolling back...', marketplaceOverlay);
+          });
+          footer.appendChild(rollbackBtn);
+        }
+      }
+
       // Uninstall button
       const uninstallBtn = document.createElement('button');
       uninstallBtn.className = 'btn-uninstall';
@@ -1326,7 +1420,7 @@ function _createModCard(mod, marketplaceOverlay) {
           const res = await fetch('/api/mods/install', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id: mod.id, downloadUrl: mod.downloadUrl })
+            body: JSON.stringify({ id: mod.id, version: mod.catalogVersion })
           });
           if (!res.ok) throw new Error((await res.json()).error);
           marketplaceOverlay.remove();
@@ -2046,7 +2140,8 @@ function notifyScreenshotCaptureRequest(req) {
 }
 
 /**
- * Notify panel mods of a screenshot collection change (screenshot-added / screenshot-deleted).
+ * Notify panel mods of a screenshot collection change (screenshot-added / screenshot-deleted,
+ * screenshot-comparison / screenshot-comparison-deleted).
  */
 function notifyScreenshotEvent(msg) {
   for (const entry of screenshotEventCallbacks) {
@@ -0,0 +1,195 @@
+/**
+ * Web Push: subscribing this browser (Settings → Push Notifications) and the
+ * per-project mute dialog (project rail menu).
+ *
+ * The in-tab Notification in app.js only fires while deepsteve is open somewhere;
+ * a push subscription lets the daemon reach this browser through its push service
+ * with every tab closed. The service worker (public/sw.js) shows what arrives. The
+ * daemon decides what is sent — mute rules, quiet hours, the cooldown — so all this
+ * module does is hand it a subscription.
+ *
+ * Push needs a secure context: https, or http://localhost. On a LAN address over
+ * plain http the browser has no pushManager and the controls say so.
+ */
+
+const MUTE_KINDS = [
+  { kind: 'waiting', label: 'Session is waiting for input' },
+  { kind: 'permission', label: 'Session needs approval or has a question' },
+  { kind: 'scheduled', label: 'Scheduled run finished' },
+];
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function pushSupported() {
+  return window.isSecureContext && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+function keyBytes(b64url) {
+  const s = atob(b64url.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(s, c => c.charCodeAt(0));
+}
+
+function keyString(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function currentSubscription() {
+  const reg = await navigator.serviceWorker.ready;
+  return reg.pushManager.getSubscription();
+}
+
+async function subscribe() {
+  if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+    throw new Error('notification permission was not granted');
+  }
+  const { publicKey } = await api('GET', '/api/push');
+  const reg = await navigator.serviceWorker.ready;
+  let sub = await reg.pushManager.getSubscription();
+  // A subscription made against another key (a reinstalled daemon) can't be used.
+  const key = sub?.options?.applicationServerKey;
+  if (sub && key && keyString(key) !== publicKey) {
+    await sub.unsubscribe();
+    sub = null;
+  }
+  if (!sub) sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+  await api('POST', '/api/push/subscribe', { subscription: sub.toJSON() });
+}
+
+async function unsubscribe() {
+  const sub = await currentSubscription();
+  if (!sub) return;
+  await api('POST', '/api/push/unsubscribe', { endpoint: sub.endpoint });
+  await sub.unsubscribe();
+}
+
+/**
+ * Fill `container` (in the Settings modal) with this browser's push status and its
+ * Enable / Disable / Send test buttons.
+ */
+export async function mountPushControls(container) {
+  if (!container) return;
+  const status = document.createElement('div');
+  status.className = 'push-status';
+  const buttons = document.createElement('div');
+  buttons.className = 'push-buttons';
+  container.replaceChildren(status, buttons);
+
+  if (!pushSupported()) {
+    status.textContent = window.isSecureContext
+      ? 'This browser does not support Web Push.'
+      : 'Web Push needs https or localhost — this page is served over plain http.';
+    return;
+  }
+
+  const button = (text, fn) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn-secondary';
+    b.textContent = text;
+    b.onclick = async () => {
+      b.disabled = true;
+      try {
+        await fn();
+      } catch (e) {
+        status.textContent = `${text} failed: ${e.message}`;
+        b.disabled = false;
+        return;
+      }
+      render();
+    };
+    return b;
+  };
+
+  async function render() {
+    let sub = null;
+    let server = null;
+    try {
+      [sub, server] = await Promise.all([currentSubscription(), api('GET', '/api/push')]);
+    } catch (e) {
+      status.textContent = `Could not read push status: ${e.message}`;
+      return;
+    }
+    const others = Math.max(0, server.subscriptions - (sub ? 1 : 0));
+    status.textContent = `${sub ? 'This browser is subscribed.' : 'This browser is not subscribed.'}${others ? ` ${others} other browser${others === 1 ? '' : 's'} subscribed.` : ''}`;
+    buttons.replaceChildren(
+      sub ? button('Disable on this browser', unsubscribe) : button('Enable on this browser', subscribe),
+      ...(server.subscriptions ? [button('Send test', async () => {
+        const r = await api('POST', '/api/push/test');
+        if (!r.delivered) throw new Error('no push service accepted it — see the daemon log');
+      })] : []),
+    );
+  }
+  render();
+}
+
+/** The project rail menu's "Notifications…" dialog: which pushes this project mutes. */
+export function openContextNotifications(ctx) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  const modal = document.createElement('div');
+  modal.className = 'modal push-mute-editor';
+  overlay.appendChild(modal);
+
+  const h = document.createElement('h2');
+  h.textContent = `Notifications — ${ctx.name}`;
+  modal.appendChild(h);
+
+  const p = document.createElement('div');
+  p.className = 'push-hint';
+  p.textContent = 'Push notifications for sessions in this project. Unchecked kinds are muted here; quiet hours are in Settings.';
+  modal.appendChild(p);
+
+  const mute = ctx.notifications?.mute;
+  const boxes = {};
+  for (const { kind, label } of MUTE_KINDS) {
+    const row = document.createElement('label');
+    row.className = 'push-mute-row';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !(mute === 'all' || (Array.isArray(mute) && mute.includes(kind)));
+    row.appendChild(box);
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(text);
+    modal.appendChild(row);
+    boxes[kind] = box;
+  }
+
+  const error = document.createElement('div');
+  error.className = 'push-error';
+  modal.appendChild(error);
+
+  const btns = document.createElement('div');
+  btns.className = 'modal-buttons';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn-secondary';
+  cancel.textContent = 'Cancel';
+  cancel.onclick = () => overlay.remove();
+  btns.appendChild(cancel);
+  const save = document.createElement('button');
+  save.className = 'btn-primary';
+  save.textContent = 'Save';
+  save.onclick = async () => {
+    const muted = MUTE_KINDS.map(k => k.kind).filter(k => !boxes[k].checked);
+    try {
+      await api('POST', `/api/contexts/${encodeURIComponent(ctx.id)}/notifications`, { notifications: muted.length ? { mute: muted } : null });
+      overlay.remove();
+    } catch (e) {
+      error.textContent = `Could not save: ${e.message}`;
+    }
+  };
+  btns.appendChild(save);
+  modal.appendChild(btns);
+
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
+  document.body.appendChild(overlay);
+}
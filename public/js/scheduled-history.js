@@ -49,6 +49,17 @@ const STATUS_VISUALS = {
   ended: { cls: 'muted', glyph: '–', label: 'no report' },
 };
 
+// Inbound trigger fires (triggers.js). `started` is only "a session was spawned" —
+// a task-bound fire's outcome is the run it left on that task's row.
+const FIRE_VISUALS = {
+  started: { cls: 'ok', glyph: '↯', label: 'started' },
+  'rate-limited': { cls: 'bad', glyph: '⧖', label: 'rate-limited' },
+  busy: { cls: 'queued', glyph: '≡', label: 'busy' },
+  skipped: { cls: 'muted', glyph: '–', label: 'skipped' },
+  disabled: { cls: 'muted', glyph: '∅', label: 'disabled' },
+  failed: { cls: 'bad', glyph: '✕', label: 'failed' },
+};
+
 /** Status → {cls, glyph, label}. Unknown statuses render, they never throw. */
 export function statusVisual(status) {
   if (!status) return { cls: 'muted', glyph: '?', label: 'unknown' };
@@ -232,12 +243,14 @@ function render() {
     warn.textContent = 'Scheduler is off — nothing below will fire. Enable “Run scheduled tasks” in Settings.';
     body.appendChild(warn);
   }
-  if (!data.groups.length) {
+  const triggers = data.triggers || [];
+  if (!data.groups.length && !triggers.length) {
     body.appendChild(note('No scheduled tasks yet.'));
     return;
   }
 
   for (const group of data.groups) body.appendChild(renderGroup(group));
+  if (triggers.length) body.appendChild(renderTriggers(triggers));
 
   // Restoring scroll AFTER the rebuild is what keeps a live status change from
   // yanking the page out from under someone reading the bottom of it.
@@ -265,10 +278,11 @@ function renderHeader() {
   legend.className = 'sched-hist-legend';
   // Two things the grid cannot show, said out loud rather than implied away:
   // columns are ordinal (one cell = one run, not a fixed span of time), and a
-  // fire the overlap guard skipped is recorded nowhere at all.
+  // cron fire the overlap guard skipped is recorded nowhere at all. Trigger fires
+  // are the exception — every one is kept, refused or not.
   legend.textContent =
     'Newest run on the left · one cell per recorded run, not per time interval · '
-    + 'skipped fires are not recorded';
+    + 'skipped fires are not recorded, except a trigger\'s';
   titles.appendChild(legend);
   header.appendChild(titles);
 
@@ -342,7 +356,8 @@ function renderTask(task) {
   const next = task.deleted ? 'unscheduled'
     : task.once && task.firedAt ? 'retired'
       : !task.enabled ? 'paused'
-        : task.nextRun ? `next ${relTime(task.nextRun)}` : 'no next run';
+        : task.nextRun ? `next ${relTime(task.nextRun)}`
+          : task.event ? 'on event' : 'no next run';
   sub.textContent = `${task.schedule || task.cron} · ${next}`;
   sub.title = task.schedule || task.cron;
   label.appendChild(sub);
@@ -359,7 +374,14 @@ function renderRuns(task) {
   // Stored order is only APPROXIMATELY newest-first: trimRuns() keeps a run whose
   // session is still live past the cap by appending it at the end, so an in-flight
   // run can sit at the far end of the array. Sort explicitly.
-  const runs = [...(task.runs || [])].sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+  //
+  // A workflow task's step sessions are drawn as one cell per workflow run (its
+  // detail is the run graph), not a cell each; its rows from before it had steps
+  // still show on their own.
+  const runs = [
+    ...(task.runs || []).filter(r => !r.workflow),
+    ...(task.workflowRuns || []).map(wf => ({ ...wf, isWorkflow: true })),
+  ].sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
 
   if (!runs.length) {
     const idle = idleState(task);
@@ -370,7 +392,7 @@ function renderRuns(task) {
     return strip;
   }
 
-  for (const run of runs) strip.appendChild(renderRun(task, run));
+  for (const run of runs) strip.appendChild(run.isWorkflow ? renderWorkflowRun(task, run) : renderRun(task, run));
 
   // The axis is rank, not wall-clock — column 3 is "3 hours ago" on an hourly
   // task and "3 months ago" on a monthly one in the row below. Anchoring both
@@ -398,6 +420,8 @@ function renderRun(task, run) {
   const dur = formatDuration(run);
   const lines = [absTime(run.startedAt), v.label];
   if (dur) lines.push(dur);
+  if (run.trigger) lines.push(`via trigger ${run.trigger}`);
+  if (run.event) lines.push(`on ${run.event} event`);
   if (run.summary) lines.push(run.summary);
   cell.title = lines.join(' · ');
   // A title tooltip is not an accessible name for a control.
@@ -435,9 +459,135 @@ function renderDetail(task, run, v) {
     ['Session', run.sessionId || '—'],
     ['Model', [run.model, run.effort].filter(Boolean).join(' · ') || '—'],
   ];
+  if (run.trigger) rows.push(['Trigger', run.trigger]);
+  if (run.event) rows.push(['Event', run.event]);
   if (run.worktree) rows.push(['Worktree', run.worktree + (run.worktreeRemoved ? '' : ' (kept)')]);
   if (run.summary) rows.push(['Summary', run.summary]);
+  appendDetailRows(pop, rows);
+  pop.appendChild(sessionFoot(run.sessionId, 'This run’s tab is not open in this window.', 'No session recorded for this run.'));
+  return pop;
+}
+
+// ------------------------------------------------------------------ workflows
+
+// One workflow run (mods/scheduled-tasks/workflow.js): a cell like any run's, with a
+// ⋯ mark so it reads as several sessions, whose detail is the run graph.
+function renderWorkflowRun(task, wf) {
+  const v = statusVisual(wf.status);
+  const wrap = document.createElement('div');
+  wrap.className = 'sched-hist-cellwrap';
+
+  const cell = document.createElement('button');
+  cell.type = 'button';
+  cell.className = `sched-hist-cell wf ${v.cls}`;
+  cell.textContent = v.glyph;
+
+  const dur = formatDuration(wf);
+  const lines = [absTime(wf.startedAt), `workflow ${v.label}`];
+  if (dur) lines.push(dur);
+  if (wf.trigger) lines.push(`via trigger ${wf.trigger}`);
+  if (wf.event) lines.push(`on ${wf.event} event`);
+  if (wf.summary) lines.push(wf.summary);
+  cell.title = lines.join(' · ');
+  cell.setAttribute('aria-label', `${task.title} — workflow ${v.label} — ${absTime(wf.startedAt)}`);
+
+  const key = `wf:${wf.id}`;
+  const isSelected = selected && selected.taskId === task.id && selected.runKey === key;
+  if (isSelected) cell.classList.add('selected');
+  cell.onclick = (e) => {
+    e.stopPropagation();
+    selected = isSelected ? null : { taskId: task.id, runKey: key };
+    render();
+  };
+  wrap.appendChild(cell);
+
+  if (isSelected) {
+    const pop = document.createElement('div');
+    pop.className = 'sched-hist-detail wide';
+    pop.onclick = (e) => e.stopPropagation();
+    const head = document.createElement('div');
+    head.className = 'sched-hist-detail-head';
+    head.textContent = `${task.title} — workflow ${v.label}`;
+    pop.appendChild(head);
+    const rows = [
+      ['Started', absTime(wf.startedAt)],
+      ['Ended', wf.endedAt ? absTime(wf.endedAt) : '—'],
+      ['Duration', dur || '—'],
+    ];
+    if (wf.trigger) rows.push(['Trigger', wf.trigger]);
+    if (wf.event) rows.push(['Event', wf.event]);
+    if (wf.summary) rows.push(['Outcome', wf.summary]);
+    appendDetailRows(pop, rows);
+    pop.appendChild(renderGraph(wf));
+    wrap.appendChild(pop);
+  }
+  return wrap;
+}
+
+/**
+ * The run graph: a column per depth (a step sits one column right of the deepest
+ * step it waits on), a box per step, and a chip per session in it. A chip whose
+ * tab is open in this window goes to it; every chip's tooltip has its summary.
+ */
+function renderGraph(wf) {
+  const graph = document.createElement('div');
+  graph.className = 'sched-hist-graph';
+  const columns = [];
+  for (const step of wf.steps) {
+    while (columns.length <= step.depth) {
+      const col = document.createElement('div');
+      col.className = 'sched-hist-graph-col';
+      columns.push(col);
+      graph.appendChild(col);
+    }
+    columns[step.depth].appendChild(renderStep(step));
+  }
+  return graph;
+}
+
+function renderStep(step) {
+  const v = step.status === 'pending' ? { cls: 'muted', glyph: '·', label: 'waiting' }
+    : step.status === 'skipped' ? { cls: 'muted', glyph: '–', label: 'skipped' }
+      : statusVisual(step.status);
+  const box = document.createElement('div');
+  box.className = `sched-hist-step ${v.cls}`;
+
+  const head = document.createElement('div');
+  head.className = 'sched-hist-step-head';
+  head.textContent = `${v.glyph} ${step.id}`;
+  box.appendChild(head);
 
+  const sub = document.createElement('div');
+  sub.className = 'sched-hist-step-sub';
+  const bits = [];
+  if (step.forEach) bits.push(`each of ${step.forEach}`);
+  else if (step.after.length) bits.push(`after ${step.after.join(', ')}`);
+  if (step.onFailure !== 'stop') bits.push(step.onFailure);
+  if (step.itemsDropped) bits.push(`${step.itemsDropped} items dropped`);
+  sub.textContent = bits.join(' · ') || 'start';
+  box.appendChild(sub);
+
+  const here = new Set((callbacks.getSessions?.() || []).map(s => s.id));
+  for (const session of step.sessions) {
+    const sv = session.status === 'cancelled' ? { cls: 'muted', glyph: '∅', label: 'not started' } : statusVisual(session.status);
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = `sched-hist-step-session ${sv.cls}`;
+    const name = session.item != null ? session.item : 'session';
+    chip.textContent = `${sv.glyph} ${name}${session.attempt > 1 ? ` (retry ${session.attempt - 1})` : ''}`;
+    const tip = [sv.label, formatDuration(session), session.summary, session.items && session.items.length ? `items: ${session.items.join('; ')}` : null, session.sessionId];
+    chip.title = tip.filter(Boolean).join('\n');
+    if (session.sessionId && here.has(session.sessionId)) {
+      chip.onclick = () => { close(); callbacks.focusSession?.(session.sessionId); };
+    } else {
+      chip.disabled = true;
+    }
+    box.appendChild(chip);
+  }
+  return box;
+}
+
+function appendDetailRows(pop, rows) {
   for (const [k, val] of rows) {
     const line = document.createElement('div');
     line.className = 'sched-hist-detail-row';
@@ -451,33 +601,137 @@ function renderDetail(task, run, v) {
     line.appendChild(value);
     pop.appendChild(line);
   }
+}
 
+function sessionFoot(sessionId, elsewhere, none) {
   // "Go to session" is offered ONLY when the run's session is a tab in THIS
   // window. focusSession → switchTo sets activeId unconditionally, so handing it
   // an id this window doesn't have would blank the pane and persist a dead active
   // tab. A scheduled run is unattended by construction, so "live somewhere on the
   // server" is emphatically not the same question.
-  const here = run.sessionId && (callbacks.getSessions?.() || []).some(s => s.id === run.sessionId);
+  const here = sessionId && (callbacks.getSessions?.() || []).some(s => s.id === sessionId);
   const foot = document.createElement('div');
   foot.className = 'sched-hist-detail-foot';
+  // A recording is the one view of an unattended run that survives its tab.
+  if (sessionId && callbacks.isRecorded?.(sessionId)) {
+    const replay = document.createElement('button');
+    replay.type = 'button';
+    replay.className = 'sched-hist-go';
+    replay.textContent = 'Replay';
+    replay.onclick = () => { close(); callbacks.replaySession?.(sessionId); };
+    foot.appendChild(replay);
+  }
   if (here) {
     const go = document.createElement('button');
     go.type = 'button';
     go.className = 'sched-hist-go';
     go.textContent = 'Go to session';
-    go.onclick = () => { const id = run.sessionId; close(); callbacks.focusSession?.(id); };
+    go.onclick = () => { close(); callbacks.focusSession?.(sessionId); };
     foot.appendChild(go);
   } else {
     const why = document.createElement('span');
     why.className = 'sched-hist-detail-hint';
     // There is no transcript pointer on a run row — sessionId is the only handle,
     // so say what can be done rather than offering a link that cannot exist.
-    why.textContent = run.sessionId
-      ? 'This run’s tab is not open in this window.'
-      : 'No session recorded for this run.';
+    why.textContent = sessionId ? elsewhere : none;
     foot.appendChild(why);
   }
-  pop.appendChild(foot);
+  return foot;
+}
 
-  return pop;
+// ------------------------------------------------------------------- triggers
+
+// Inbound triggers get their own section under the projects: a trigger may start
+// an automation, which belongs to no task row, and its refused fires (rate limit,
+// concurrency) never became runs at all. Selection reuses `selected`, keyed
+// `trigger:<id>` so it can't collide with a task id.
+function renderTriggers(triggers) {
+  const el = document.createElement('div');
+  el.className = 'sched-hist-group';
+  const head = document.createElement('div');
+  head.className = 'sched-hist-group-head';
+  head.textContent = 'Triggers';
+  el.appendChild(head);
+
+  for (const trigger of triggers) {
+    const row = document.createElement('div');
+    row.className = 'sched-hist-row' + (trigger.enabled ? '' : ' dim');
+    const label = document.createElement('div');
+    label.className = 'sched-hist-label';
+    const title = document.createElement('div');
+    title.className = 'sched-hist-task-title';
+    title.textContent = trigger.id;
+    label.appendChild(title);
+    const sub = document.createElement('div');
+    sub.className = 'sched-hist-task-sub';
+    const limit = trigger.rateLimit ? ` · ${trigger.rateLimit.count}/${trigger.rateLimit.perMinutes}m` : '';
+    sub.textContent = `→ ${trigger.targetLabel}${limit}${trigger.enabled ? '' : ' · disabled'}`;
+    sub.title = sub.textContent;
+    label.appendChild(sub);
+    row.appendChild(label);
+
+    const strip = document.createElement('div');
+    strip.className = 'sched-hist-runs';
+    if (!trigger.fires.length) {
+      const idle = document.createElement('div');
+      idle.className = 'sched-hist-idle muted';
+      idle.textContent = 'never fired';
+      strip.appendChild(idle);
+    } else {
+      for (const fire of trigger.fires) strip.appendChild(renderFire(trigger, fire));
+      const span = document.createElement('div');
+      span.className = 'sched-hist-span';
+      const newest = relTime(trigger.fires[0].at);
+      const oldest = trigger.fires.length > 1 ? relTime(trigger.fires[trigger.fires.length - 1].at) : null;
+      span.textContent = oldest ? `${newest} … ${oldest}` : (newest || '');
+      strip.appendChild(span);
+    }
+    row.appendChild(strip);
+    el.appendChild(row);
+  }
+  return el;
+}
+
+function renderFire(trigger, fire) {
+  const v = FIRE_VISUALS[fire.status] || { cls: 'muted', glyph: '?', label: String(fire.status) };
+  const wrap = document.createElement('div');
+  wrap.className = 'sched-hist-cellwrap';
+
+  const cell = document.createElement('button');
+  cell.type = 'button';
+  cell.className = `sched-hist-cell ${v.cls}`;
+  cell.textContent = v.glyph;
+  cell.title = [absTime(fire.at), v.label, fire.error].filter(Boolean).join(' · ');
+  cell.setAttribute('aria-label', `${trigger.id} — ${v.label} — ${absTime(fire.at)}`);
+
+  const key = `trigger:${trigger.id}`;
+  const isSelected = selected && selected.taskId === key && selected.runKey === fire.id;
+  if (isSelected) cell.classList.add('selected');
+  cell.onclick = (e) => {
+    e.stopPropagation();
+    selected = isSelected ? null : { taskId: key, runKey: fire.id };
+    render();
+  };
+  wrap.appendChild(cell);
+
+  if (isSelected) {
+    const pop = document.createElement('div');
+    pop.className = 'sched-hist-detail';
+    pop.onclick = (e) => e.stopPropagation();
+    const head = document.createElement('div');
+    head.className = 'sched-hist-detail-head';
+    head.textContent = `${trigger.id} — ${v.label}`;
+    pop.appendChild(head);
+    const rows = [
+      ['Fired', absTime(fire.at)],
+      ['Target', trigger.targetLabel],
+      ['Session', fire.sessionId || '—'],
+      ['Payload', `${fire.payloadBytes} bytes`],
+    ];
+    if (fire.error) rows.push(['Reason', fire.error]);
+    appendDetailRows(pop, rows);
+    pop.appendChild(sessionFoot(fire.sessionId, 'This session’s tab is not open in this window.', 'This fire started no session.'));
+    wrap.appendChild(pop);
+  }
+  return wrap;
 }
@@ -0,0 +1,459 @@
+/**
+ * Session replay — play back a recorded session (session-recording.js) in an xterm,
+ * with scrub, speed, skip-idle, and jumps between markers.
+ *
+ * A full-window page in the TOP document, like the scheduled run history
+ * (scheduled-history.js): opened from a tab's context menu, from a run in that
+ * history, or from the command palette. It lists every recording on the server, so a
+ * session whose tab is long gone — the unattended run this exists for — can still be
+ * watched.
+ *
+ * Playback writes the recorded output into a terminal of the recorded size, on a clock
+ * the speed control scales. Seeking rebuilds the screen from the start of the
+ * recording (asciicast.js's seekPlan): a terminal has no state but the bytes that
+ * drew it.
+ */
+
+import { createTerminal } from './terminal.js';
+import { parseCast, compressIdle, markersOf, seekPlan, parseSize, formatClock } from './asciicast.js';
+
+const SPEEDS = [0.5, 1, 2, 4, 8, 16];
+// Skip idle cuts every pause to this many seconds — long enough to read a screen
+// that then changes, short enough that an hour waiting on the model is gone.
+const IDLE_LIMIT_S = 2;
+const ARROW_SEEK_S = 5;
+
+let callbacks = {};
+let overlay = null;
+let recordings = [];
+let mode = 'off';
+// Ids with a recording, as of the last listing — what isRecorded() answers from.
+let knownIds = new Set();
+let selectedId = null;
+let cast = null;      // parseCast() result for selectedId
+let events = [];      // cast.events, idle-compressed when skipIdle is on
+let markers = [];
+let duration = 0;
+let term = null;
+let pos = 0;          // seconds on the `events` clock
+let next = 0;         // index of the first event not yet written
+let playing = false;
+let speed = 1;
+let skipIdle = true;
+let lastTick = 0;
+let raf = null;
+let els = {};
+
+async function api(method, url) {
+  const res = await fetch(url, { method });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `server responded ${res.status}`);
+  }
+  return res;
+}
+
+/** Refresh the list of recordings behind isRecorded(). */
+export async function refreshIndex() {
+  try {
+    const data = await (await api('GET', '/api/recordings')).json();
+    recordings = data.recordings || [];
+    mode = data.mode || 'off';
+    knownIds = new Set(recordings.map(r => r.id));
+  } catch {
+    // Keep the last good list: a transient failure must not hide a Replay button.
+  }
+  return recordings;
+}
+
+/** Whether a session had a recording at the last refreshIndex(). */
+export function isRecorded(sessionId) {
+  return knownIds.has(sessionId);
+}
+
+export function isPageOpen() { return !!overlay; }
+
+export function init(cbs) {
+  callbacks = cbs || {};
+  document.addEventListener('keydown', onKeyDown, true);
+}
+
+export async function open(sessionId = null) {
+  if (overlay) close();
+  build();
+  await refreshIndex();
+  if (!overlay) return;
+  renderList();
+  const pick = sessionId || (recordings[0] && recordings[0].id);
+  if (pick) await select(pick);
+  else showNote(mode === 'off'
+    ? 'Nothing has been recorded. Turn on Session Recording in Settings to record new sessions.'
+    : 'No recordings yet — they appear here as recorded sessions print.');
+}
+
+export function close() {
+  if (!overlay) return;
+  pause();
+  disposeTerm();
+  overlay.remove();
+  overlay = null;
+  els = {};
+  cast = null;
+  selectedId = null;
+  callbacks.focusTerminal?.();
+}
+
+function onKeyDown(e) {
+  if (!overlay) return;
+  const tag = (e.target && e.target.tagName) || '';
+  const typing = tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
+  if (e.key === 'Escape') {
+    // Capture phase + stopPropagation, same as the run history: with this page on
+    // top, Esc belongs to it and not to the tab underneath.
+    e.preventDefault();
+    e.stopPropagation();
+    close();
+  } else if (!typing && cast && e.key === ' ') {
+    e.preventDefault();
+    e.stopPropagation();
+    togglePlay();
+  } else if (!typing && cast && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+    e.preventDefault();
+    e.stopPropagation();
+    seek(pos + (e.key === 'ArrowLeft' ? -ARROW_SEEK_S : ARROW_SEEK_S));
+  }
+}
+
+// --------------------------------------------------------------------- layout
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function button(text, title, onclick) {
+  const b = el('button', 'replay-btn', text);
+  b.type = 'button';
+  if (title) b.title = title;
+  b.onclick = onclick;
+  return b;
+}
+
+function build() {
+  overlay = el('div', 'replay-overlay');
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  const panel = el('div', 'replay');
+  // Focused on open for the same reason as the run history's: the click that opened
+  // this may have come from inside a mod iframe.
+  panel.tabIndex = -1;
+
+  const header = el('div', 'replay-header');
+  els.title = el('div', 'replay-title', 'Session replay');
+  header.appendChild(els.title);
+  const actions = el('div', 'replay-actions');
+  els.reload = button('Reload', 'Fetch what this session has printed since', () => selectedId && select(selectedId, { keepPosition: true }));
+  els.download = el('a', 'replay-btn', 'Download .cast');
+  els.download.title = 'asciicast v2 — plays in asciinema and other players too';
+  els.remove = button('Delete', 'Delete this recording', removeSelected);
+  actions.append(els.reload, els.download, els.remove, button('Close', null, close));
+  header.appendChild(actions);
+  panel.appendChild(header);
+
+  const body = el('div', 'replay-body');
+  els.list = el('div', 'replay-list');
+  body.appendChild(els.list);
+
+  const main = el('div', 'replay-main');
+  els.note = el('div', 'replay-note');
+  main.appendChild(els.note);
+  els.screen = el('div', 'replay-screen');
+  main.appendChild(els.screen);
+
+  const controls = el('div', 'replay-controls');
+  els.play = button('▶', 'Play / pause (Space)', togglePlay);
+  els.prevMarker = button('⏮', 'Previous marker', () => jumpMarker(-1));
+  els.nextMarker = button('⏭', 'Next marker', () => jumpMarker(1));
+  els.clock = el('span', 'replay-clock', '0:00 / 0:00');
+  const track = el('div', 'replay-track');
+  els.scrub = document.createElement('input');
+  els.scrub.type = 'range';
+  els.scrub.className = 'replay-scrub';
+  els.scrub.min = '0';
+  els.scrub.step = '0.01';
+  els.scrub.value = '0';
+  // The clock follows the thumb while dragging; the screen is rebuilt once, on
+  // release — a rebuild replays the whole recording up to that point.
+  els.scrub.addEventListener('input', () => updateClock(Number(els.scrub.value)));
+  els.scrub.addEventListener('change', () => seek(Number(els.scrub.value)));
+  els.ticks = el('div', 'replay-ticks');
+  track.append(els.ticks, els.scrub);
+  els.speed = document.createElement('select');
+  els.speed.className = 'replay-speed';
+  els.speed.title = 'Playback speed';
+  for (const s of SPEEDS) {
+    const o = document.createElement('option');
+    o.value = String(s);
+    o.textContent = `${s}×`;
+    els.speed.appendChild(o);
+  }
+  els.speed.value = String(speed);
+  els.speed.onchange = () => { speed = Number(els.speed.value) || 1; };
+  const idle = el('label', 'replay-idle');
+  els.skipIdle = document.createElement('input');
+  els.skipIdle.type = 'checkbox';
+  els.skipIdle.checked = skipIdle;
+  els.skipIdle.onchange = () => { skipIdle = els.skipIdle.checked; retime(); };
+  idle.append(els.skipIdle, document.createTextNode(' Skip idle'));
+  controls.append(els.play, els.prevMarker, els.nextMarker, els.clock, track, els.speed, idle);
+  main.appendChild(controls);
+
+  els.markers = el('div', 'replay-markers');
+  main.appendChild(els.markers);
+  body.appendChild(main);
+  panel.appendChild(body);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+  setLoaded(false);
+  requestAnimationFrame(() => panel.focus());
+}
+
+function showNote(text) {
+  if (!els.note) return;
+  els.note.textContent = text || '';
+  els.note.style.display = text ? '' : 'none';
+}
+
+function setLoaded(loaded) {
+  for (const b of [els.play, els.prevMarker, els.nextMarker, els.scrub, els.reload, els.remove]) b.disabled = !loaded;
+  els.download.style.visibility = loaded ? '' : 'hidden';
+  els.screen.style.display = loaded ? '' : 'none';
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function renderList() {
+  els.list.innerHTML = '';
+  if (!recordings.length) {
+    els.list.appendChild(el('div', 'replay-list-empty', 'No recordings'));
+    return;
+  }
+  for (const r of recordings) {
+    const row = el('button', 'replay-item');
+    row.type = 'button';
+    if (r.id === selectedId) row.classList.add('selected');
+    const name = el('div', 'replay-item-name', r.name || r.id);
+    if (r.live) name.appendChild(el('span', 'replay-live', ' ● live'));
+    const meta = el('div', 'replay-item-meta',
+      `${new Date(r.startedAt).toLocaleString()} · ${formatClock((r.updatedAt - r.startedAt) / 1000)} · ${formatSize(r.bytes)}`);
+    row.title = [r.cwd, r.agentType, r.id].filter(Boolean).join(' · ');
+    row.append(name, meta);
+    row.onclick = () => select(r.id);
+    els.list.appendChild(row);
+  }
+}
+
+// ------------------------------------------------------------------- playback
+
+async function select(id, { keepPosition = false } = {}) {
+  // Where we were, on the recording's own clock — the reloaded file's idle gaps may
+  // compress differently.
+  const resume = keepPosition && id === selectedId ? realTimeOf(pos) : 0;
+  pause();
+  selectedId = id;
+  renderList();
+  const rec = recordings.find(r => r.id === id);
+  els.title.textContent = rec ? `Session replay — ${rec.name || id}` : 'Session replay';
+  let text;
+  try {
+    text = await (await api('GET', `/api/recordings/${encodeURIComponent(id)}`)).text();
+    cast = parseCast(text);
+  } catch (e) {
+    cast = null;
+    disposeTerm();
+    setLoaded(false);
+    showNote(`${e.message}${mode === 'off' ? ' — session recording is off in Settings.' : ''}`);
+    return;
+  }
+  if (!overlay || selectedId !== id) return;
+  showNote('');
+  els.download.href = `/api/recordings/${encodeURIComponent(id)}?download=1`;
+  setLoaded(true);
+  disposeTerm();
+  const { term: t } = createTerminal(els.screen, { cols: cast.header.width || 80, rows: cast.header.height || 24 });
+  term = t;
+  term.options.disableStdin = true;
+  retime(resume);
+}
+
+// (Re)derive the playback clock — skip idle changes every time after the first gap —
+// and put the screen back at the same moment of the recording.
+function retime(at) {
+  if (!cast) return;
+  const realPos = at != null ? at : realTimeOf(pos);
+  events = skipIdle ? compressIdle(cast.events, IDLE_LIMIT_S) : cast.events;
+  markers = markersOf(events);
+  duration = events.length ? events[events.length - 1].t : 0;
+  els.scrub.max = String(duration);
+  renderMarkers();
+  seek(playbackTimeOf(realPos));
+}
+
+// Map between the recording's own clock and the (maybe compressed) playback clock,
+// through the event at or before the given time.
+function realTimeOf(t) {
+  if (!cast || !events.length) return 0;
+  let i = 0;
+  while (i + 1 < events.length && events[i + 1].t <= t) i++;
+  return cast.events[i].t + Math.max(0, t - events[i].t);
+}
+
+function playbackTimeOf(real) {
+  if (!cast || !cast.events.length) return 0;
+  let i = 0;
+  while (i + 1 < cast.events.length && cast.events[i + 1].t <= real) i++;
+  return Math.min(events[i].t + Math.max(0, real - cast.events[i].t), duration);
+}
+
+function seek(t) {
+  if (!term) return;
+  pos = Math.max(0, Math.min(duration, t));
+  term.reset();
+  resizeTerm(parseSize(`${cast.header.width}x${cast.header.height}`));
+  const plan = seekPlan(events, pos);
+  for (const step of plan.steps) {
+    if (typeof step === 'string') term.write(step);
+    else resizeAfterWrites(step);
+  }
+  next = plan.index;
+  updateClock(pos);
+}
+
+function resizeTerm(size) {
+  if (size && term && (term.cols !== size.cols || term.rows !== size.rows)) term.resize(size.cols, size.rows);
+}
+
+// term.write() is queued and term.resize() is not: a resize has to wait for the
+// output before it, or that output is drawn at the wrong width.
+function resizeAfterWrites(size) {
+  term.write('', () => resizeTerm(size));
+}
+
+function drain() {
+  let buf = '';
+  while (next < events.length && events[next].t <= pos) {
+    const ev = events[next++];
+    if (ev.code === 'o') buf += ev.data;
+    else if (ev.code === 'r') {
+      if (buf) { term.write(buf); buf = ''; }
+      resizeAfterWrites(parseSize(ev.data));
+    }
+  }
+  if (buf) term.write(buf);
+}
+
+function tick(now) {
+  if (!playing) return;
+  pos = Math.min(duration, pos + ((now - lastTick) / 1000) * speed);
+  lastTick = now;
+  drain();
+  updateClock(pos);
+  if (pos >= duration) { pause(); return; }
+  raf = requestAnimationFrame(tick);
+}
+
+function play() {
+  if (!term || playing) return;
+  if (pos >= duration) seek(0);
+  playing = true;
+  els.play.textContent = '⏸';
+  lastTick = performance.now();
+  raf = requestAnimationFrame(tick);
+}
+
+function pause() {
+  playing = false;
+  if (raf) cancelAnimationFrame(raf);
+  raf = null;
+  if (els.play) els.play.textContent = '▶';
+}
+
+function togglePlay() {
+  if (playing) pause();
+  else play();
+}
+
+function jumpMarker(dir) {
+  // A small tolerance, so "previous" from just after a marker goes to the one before.
+  const target = dir < 0
+    ? [...markers].reverse().find(m => m.t < pos - 0.5)
+    : markers.find(m => m.t > pos + 0.01);
+  if (target) seek(target.t);
+}
+
+function updateClock(t) {
+  els.clock.textContent = `${formatClock(t)} / ${formatClock(duration)}`;
+  if (document.activeElement !== els.scrub) els.scrub.value = String(t);
+}
+
+// Waiting / working / prompt markers get their own color on the track; anything else
+// (a restart, the size cap) is neutral.
+function markerKind(label) {
+  if (label === 'waiting for input') return 'waiting';
+  if (label === 'working') return 'working';
+  if (label.startsWith('prompt')) return 'prompt';
+  return 'other';
+}
+
+function renderMarkers() {
+  els.ticks.innerHTML = '';
+  els.markers.innerHTML = '';
+  for (const m of markers) {
+    const kind = markerKind(m.label);
+    const tick = el('div', `replay-tick replay-tick-${kind}`);
+    tick.style.left = `${duration ? (m.t / duration) * 100 : 0}%`;
+    tick.title = `${formatClock(m.t)} ${m.label}`;
+    els.ticks.appendChild(tick);
+    const row = el('button', `replay-marker replay-marker-${kind}`);
+    row.type = 'button';
+    row.append(el('span', 'replay-marker-time', formatClock(m.t)), el('span', 'replay-marker-label', m.label));
+    row.onclick = () => seek(m.t);
+    els.markers.appendChild(row);
+  }
+  if (!markers.length) els.markers.appendChild(el('div', 'replay-list-empty', 'No markers in this recording'));
+}
+
+function disposeTerm() {
+  if (term) { try { term.dispose(); } catch {} }
+  term = null;
+  if (els.screen) els.screen.innerHTML = '';
+}
+
+async function removeSelected() {
+  const rec = recordings.find(r => r.id === selectedId);
+  if (!rec) return;
+  const live = rec.live ? ' The session is still running; it will not be recorded any further.' : '';
+  if (!confirm(`Delete the recording of "${rec.name || rec.id}"?${live}`)) return;
+  try {
+    await api('DELETE', `/api/recordings/${encodeURIComponent(rec.id)}`);
+  } catch (e) {
+    alert(`Delete failed: ${e.message}`);
+    return;
+  }
+  pause();
+  disposeTerm();
+  cast = null;
+  selectedId = null;
+  setLoaded(false);
+  await refreshIndex();
+  if (!overlay) return;
+  renderList();
+  els.title.textContent = 'Session replay';
+  els.markers.innerHTML = '';
+  els.ticks.innerHTML = '';
+  showNote(recordings.length ? 'Pick a recording.' : 'No recordings.');
+}
@@ -10,6 +10,7 @@
 
 import { getDefaultTabName } from './tab-manager.js';
 import { nsChannel } from './storage-namespace.js';
+import { canExportTranscript, downloadTranscript } from './transcript-export.js';
 
 // Tab names are user- and agent-supplied, and since #551 can arrive from the server
 // too. Never interpolate them into innerHTML raw.
@@ -193,6 +194,7 @@ export function showSessionRestoreModal(initialData, { secondaryLabel = 'Start F
         derived: !s.name && !!s.label,
         meta: meta.join(' · '),
         closed,
+        exportId: canExportTranscript(s.agentType || 'claude') ? s.id : null,
       };
     }
 
@@ -209,6 +211,8 @@ export function showSessionRestoreModal(initialData, { secondaryLabel = 'Start F
         derived: !r.name && !!r.label,
         meta: meta.join(' · '),
         closed: false,
+        // The export route resolves a recents key as well as a shell id.
+        exportId: canExportTranscript(r.agentType || 'claude') ? r.key : null,
       };
     }
 
@@ -274,6 +278,7 @@ export function showSessionRestoreModal(initialData, { secondaryLabel = 'Start F
                 <div class="restore-row-title${row.derived ? ' restore-row-derived' : ''}">${esc(row.title)}</div>
                 ${row.meta ? `<div class="window-sessions">${esc(row.meta)}</div>` : ''}
               </div>
+              ${row.exportId ? `<button type="button" class="restore-row-export" data-export="${esc(row.exportId)}" title="Export the transcript as Markdown without restoring">Export</button>` : ''}
             </label>
           `).join('')}
           ${sec.hidden ? `<button type="button" class="restore-show-more" data-expand="${esc(sec.key)}">Show ${sec.hidden} more</button>` : ''}
@@ -315,6 +320,14 @@ export function showSessionRestoreModal(initialData, { secondaryLabel = 'Start F
     });
 
     listEl.addEventListener('click', (e) => {
+      // Inside the row's <label>: preventDefault keeps the click from toggling the
+      // row's checkbox — exporting a transcript is not choosing to restore it.
+      const exportBtn = e.target.closest('[data-export]');
+      if (exportBtn) {
+        e.preventDefault();
+        downloadTranscript(exportBtn.dataset.export, 'md');
+        return;
+      }
       const btn = e.target.closest('[data-expand]');
       if (!btn) return;
       e.preventDefault();
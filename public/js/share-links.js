@@ -0,0 +1,222 @@
+/**
+ * Read-only share links: the "Share read-only…" dialog (tab context menu) and the
+ * Settings → Share Links audit list.
+ *
+ * The links themselves are the server's (share-links.js). A link opens /share, a
+ * viewer page that streams the session's output and can do nothing else; minting and
+ * revoking need the install token, so both live here and not on that page. The
+ * server returns a link's token once, at minting — this dialog is the only place it
+ * is ever shown, and a lost link is revoked and minted again.
+ */
+
+import { writeClipboardText } from './osc-clipboard.js';
+
+const DURATIONS = [
+  [15, '15 minutes'],
+  [60, '1 hour'],
+  [8 * 60, '8 hours'],
+  [24 * 60, '24 hours'],
+  [7 * 24 * 60, '7 days'],
+];
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function when(ts) {
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function copyButton(getText, label = 'Copy') {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'btn-secondary';
+  b.textContent = label;
+  b.onclick = async () => {
+    b.textContent = (await writeClipboardText(getText())) ? 'Copied' : 'Copy failed';
+    setTimeout(() => { b.textContent = label; }, 1500);
+  };
+  return b;
+}
+
+/** Mint a read-only link to one session and show it. */
+export function openShareDialog(sessionId, name) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  const modal = document.createElement('div');
+  modal.className = 'modal share-dialog';
+  overlay.appendChild(modal);
+
+  const h = document.createElement('h2');
+  h.textContent = `Share read-only — ${name || sessionId}`;
+  modal.appendChild(h);
+
+  const hint = document.createElement('div');
+  hint.className = 'share-hint';
+  hint.textContent = 'Anyone with the link can watch this session\'s terminal until it expires. '
+    + 'They cannot type, resize it, or reach anything else. Revoke it from Settings → Share Links.';
+  modal.appendChild(hint);
+
+  const duration = document.createElement('select');
+  for (const [minutes, text] of DURATIONS) {
+    const o = document.createElement('option');
+    o.value = String(minutes);
+    o.textContent = text;
+    duration.appendChild(o);
+  }
+  duration.value = '60';
+  const durationRow = document.createElement('label');
+  durationRow.className = 'share-row';
+  durationRow.append('Expires after', duration);
+  modal.appendChild(durationRow);
+
+  const result = document.createElement('div');
+  result.className = 'share-result';
+  modal.appendChild(result);
+
+  const error = document.createElement('div');
+  error.className = 'share-error';
+  modal.appendChild(error);
+
+  const btns = document.createElement('div');
+  btns.className = 'modal-buttons';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn-secondary';
+  cancel.textContent = 'Close';
+  cancel.onclick = () => overlay.remove();
+  const create = document.createElement('button');
+  create.className = 'btn-primary';
+  create.textContent = 'Create link';
+  create.onclick = async () => {
+    create.disabled = true;
+    error.textContent = '';
+    let data;
+    try {
+      data = await api('POST', `/api/shells/${encodeURIComponent(sessionId)}/share`, { minutes: Number(duration.value) });
+    } catch (e) {
+      error.textContent = e.message;
+      create.disabled = false;
+      return;
+    }
+    create.remove();
+    duration.disabled = true;
+    showLink(result, data);
+  };
+  btns.append(cancel, create);
+  modal.appendChild(btns);
+
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
+  document.body.appendChild(overlay);
+}
+
+function showLink(container, { url, urls, lanReachable, bind, link }) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.value = url;
+  input.onfocus = () => input.select();
+  const line = document.createElement('div');
+  line.className = 'share-link';
+  line.append(input, copyButton(() => input.value));
+  container.replaceChildren(line);
+
+  // One link per address this daemon answers on; the first is the likeliest to work
+  // from another machine.
+  if (urls.length > 1) {
+    const pick = document.createElement('select');
+    for (const u of urls) {
+      const o = document.createElement('option');
+      o.value = u;
+      o.textContent = new URL(u).host;
+      pick.appendChild(o);
+    }
+    pick.onchange = () => { input.value = pick.value; };
+    const row = document.createElement('label');
+    row.className = 'share-row';
+    row.append('Address', pick);
+    container.appendChild(row);
+  }
+
+  const note = document.createElement('div');
+  note.className = 'share-hint';
+  note.textContent = lanReachable
+    ? `Expires ${when(link.expiresAt)}. This is the only time the link is shown.`
+    : `Expires ${when(link.expiresAt)}. deepsteve is listening on ${bind} only, so this link works on this machine alone — `
+      + 'start it with DEEPSTEVE_BIND=0.0.0.0 (or your LAN address) to share it with your network.';
+  container.appendChild(note);
+  input.focus();
+}
+
+/** Fill `container` with the live links, who is watching each, and a Revoke button. */
+export function mountShareLinks(container) {
+  if (!container) return;
+  const list = document.createElement('div');
+  list.className = 'share-links';
+  const refresh = document.createElement('button');
+  refresh.type = 'button';
+  refresh.className = 'btn-secondary';
+  refresh.textContent = 'Refresh';
+  container.replaceChildren(list, refresh);
+
+  async function render() {
+    let links;
+    try {
+      ({ links } = await api('GET', '/api/share-links'));
+    } catch (e) {
+      list.textContent = `Could not load share links: ${e.message}`;
+      return;
+    }
+    if (!links.length) {
+      list.textContent = 'No active share links.';
+      return;
+    }
+    list.replaceChildren(...links.map((link) => {
+      const row = document.createElement('div');
+      row.className = 'share-links-row';
+      const head = document.createElement('div');
+      head.className = 'share-links-head';
+      const label = document.createElement('span');
+      label.className = 'share-links-label';
+      label.textContent = `${link.sessionName || link.label || link.sessionId}${link.live ? '' : ' (not running)'}`;
+      label.title = `Session ${link.sessionId}, link ${link.id}\nCreated ${when(link.createdAt)}`;
+      const expires = document.createElement('span');
+      expires.className = 'share-links-expires';
+      expires.textContent = `expires ${when(link.expiresAt)}`;
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'btn-secondary';
+      revoke.textContent = 'Revoke';
+      revoke.onclick = async () => {
+        revoke.disabled = true;
+        try {
+          await api('DELETE', `/api/share-links/${encodeURIComponent(link.id)}`);
+        } catch (e) {
+          list.textContent = `Revoke failed: ${e.message}`;
+          return;
+        }
+        render();
+      };
+      head.append(label, expires, revoke);
+      row.appendChild(head);
+
+      const viewers = document.createElement('div');
+      viewers.className = 'share-links-viewers';
+      viewers.textContent = link.viewers.length
+        ? link.viewers.map(v => `${v.address || 'unknown address'} since ${when(v.connectedAt)}`).join(' · ')
+        : 'Nobody watching';
+      viewers.title = link.viewers.map(v => v.userAgent || '').filter(Boolean).join('\n');
+      row.appendChild(viewers);
+      return row;
+    }));
+  }
+
+  refresh.onclick = render;
+  render();
+}
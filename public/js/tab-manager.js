@@ -130,6 +130,82 @@ function showContextMenu(x, y, sessionId, callbacks) {
   };
   menu.appendChild(forkEl);
 
+  // Export transcript — same null-means-omit contract as Autopilot: a plain
+  // terminal has no transcript to export, so the item isn't drawn at all.
+  const exportFormats = callbacks.getExportFormats ? callbacks.getExportFormats() : null;
+  if (exportFormats && exportFormats.length) {
+    const exportEl = document.createElement('div');
+    exportEl.className = 'context-menu-item context-menu-has-submenu';
+    exportEl.innerHTML = 'Export transcript <span class="context-menu-arrow"></span>';
+    let submenu = null;
+    exportEl.addEventListener('mouseenter', () => {
+      if (submenu) return;
+      submenu = document.createElement('div');
+      submenu.className = 'context-menu context-submenu';
+      for (const fmt of exportFormats) {
+        const fmtEl = document.createElement('div');
+        fmtEl.className = 'context-menu-item';
+        fmtEl.textContent = fmt.label;
+        fmtEl.onclick = () => {
+          hideContextMenu();
+          callbacks.onExport?.(sessionId, fmt.id);
+        };
+        submenu.appendChild(fmtEl);
+      }
+      exportEl.appendChild(submenu);
+      const subRect = submenu.getBoundingClientRect();
+      if (subRect.right > window.innerWidth) {
+        submenu.style.left = 'auto';
+        submenu.style.right = '100%';
+        submenu.style.marginLeft = '0';
+        submenu.style.marginRight = '2px';
+      }
+    });
+    exportEl.addEventListener('mouseleave', () => {
+      if (submenu) {
+        submenu.remove();
+        submenu = null;
+      }
+    });
+    menu.appendChild(exportEl);
+  }
+
+  // Replay — drawn only while there is (or will be) a recording to play.
+  if (callbacks.canReplay?.()) {
+    const replayEl = document.createElement('div');
+    replayEl.className = 'context-menu-item';
+    replayEl.textContent = 'Replay recording…';
+    replayEl.onclick = () => {
+      hideContextMenu();
+      callbacks.onReplay?.(sessionId);
+    };
+    menu.appendChild(replayEl);
+  }
+
+  // Share read-only — every tab but an attached tmux session, which is not ours to show.
+  if (callbacks.canShare?.()) {
+    const shareEl = document.createElement('div');
+    shareEl.className = 'context-menu-item';
+    shareEl.textContent = 'Share read-only…';
+    shareEl.onclick = () => {
+      hideContextMenu();
+      callbacks.onShare?.(sessionId);
+    };
+    menu.appendChild(shareEl);
+  }
+
+  // Guardrails — same null-means-omit contract: only agent tabs have a turn to cut short.
+  if (callbacks.hasGuardrails?.()) {
+    const guardEl = document.createElement('div');
+    guardEl.className = 'context-menu-item';
+    guardEl.textContent = 'Guardrails…';
+    guardEl.onclick = () => {
+      hideContextMenu();
+      callbacks.onGuardrails?.(sessionId);
+    };
+    menu.appendChild(guardEl);
+  }
+
   // Close tab
   const closeEl = document.createElement('div');
   closeEl.className = 'context-menu-item';
@@ -0,0 +1,43 @@
+/**
+ * Transcript export download (tab context menu + restore modal).
+ *
+ * Fetched rather than linked: a plain <a download> would save the server's JSON
+ * error ("no transcript yet") as if it were the export. Going through fetch lets a
+ * refusal surface as a message and only a real export become a file.
+ */
+
+export const TRANSCRIPT_FORMATS = [
+  { id: 'md', label: 'Markdown' },
+  { id: 'html', label: 'HTML' },
+  { id: 'json', label: 'JSON' },
+];
+
+// Agents whose on-disk transcript the server knows how to read.
+export function canExportTranscript(agentType) {
+  return agentType === 'claude' || agentType === 'codex';
+}
+
+export async function downloadTranscript(sessionId, format = 'md') {
+  let res;
+  try {
+    res = await fetch(`/api/shells/${encodeURIComponent(sessionId)}/export?format=${encodeURIComponent(format)}`);
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+    return;
+  }
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(`Export failed: ${data.error || `server responded ${res.status}`}`);
+    return;
+  }
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const filename = (/filename="([^"]+)"/.exec(disposition) || [])[1] || `transcript.${format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,60 @@
+/**
+ * Transcript search results for the command palette.
+ *
+ * The palette filters its own commands locally as you type; once the query is long
+ * enough it also asks the server (GET /api/transcripts/search) for conversation
+ * turns that mention it, across live, saved, closed and recent sessions. These are
+ * the pure pieces — turning a result into palette rows — kept apart from the
+ * palette's DOM code so they can be unit-tested without one.
+ */
+
+// Shorter queries match nearly every turn of every session; not worth a round trip.
+export const MIN_SEARCH_CHARS = 3;
+
+const SOURCE_LABELS = { live: 'open', saved: 'saved', closed: 'closed', recent: 'history' };
+
+/** Split a snippet into plain and highlighted runs, for building text nodes. */
+export function snippetSegments(snippet, highlights) {
+  const out = [];
+  let pos = 0;
+  for (const [start, end] of highlights || []) {
+    if (start < pos || end <= start || end > snippet.length) continue; // malformed: skip, never throw
+    if (start > pos) out.push({ text: snippet.slice(pos, start), hit: false });
+    out.push({ text: snippet.slice(start, end), hit: true });
+    pos = end;
+  }
+  if (pos < snippet.length) out.push({ text: snippet.slice(pos), hit: false });
+  return out;
+}
+
+/** The row title: what the restore modal would call the session. */
+export function resultTitle(r) {
+  return r.name || r.label || r.project || r.ref;
+}
+
+/** "project · ⎇ worktree · closed · codex · you, 3 days ago" */
+export function resultMeta(r, now = Date.now()) {
+  const parts = [];
+  if (r.project) parts.push(r.project);
+  if (r.worktree) parts.push(`⎇ ${r.worktree}`);
+  parts.push(SOURCE_LABELS[r.source] || r.source);
+  if (r.agentType && r.agentType !== 'claude') parts.push(r.agentType);
+  const who = r.turn?.role === 'user' ? 'you' : 'agent';
+  const ts = r.turn?.timestamp ? Date.parse(r.turn.timestamp) : NaN;
+  parts.push(Number.isNaN(ts) ? who : `${who}, ${timeAgo(now - ts)}`);
+  return parts.join(' · ');
+}
+
+function timeAgo(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  if (s < 60) return 'just now';
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
+
+export async function searchTranscripts(query, { signal } = {}) {
+  const res = await fetch(`/api/transcripts/search?q=${encodeURIComponent(query)}`, { signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
@@ -0,0 +1,56 @@
+/**
+ * Settings → Triggers: how to call each saved trigger.
+ *
+ * The triggers themselves are the JSON textarea above this (the `triggers`
+ * setting, shape in triggers.js). The daemon fills in a missing token on save, so
+ * a trigger pasted in without one gets its curl line after Save, not before. Fires
+ * show up in the scheduled run history page, not here.
+ */
+
+// The UI is served on deepsteve.localhost (security.js UI_HOST), which a CI job's
+// HTTP client may not resolve; plain localhost reaches the same daemon.
+function baseUrl() {
+  const host = location.hostname.endsWith('.localhost') ? 'localhost' : location.hostname;
+  return `${location.protocol}//${host}${location.port ? `:${location.port}` : ''}`;
+}
+
+/** The curl command that fires `trigger`, token included. */
+export function curlFor(trigger, base = baseUrl()) {
+  return `curl -X POST ${base}/api/triggers/${encodeURIComponent(trigger.id)}/fire \\\n`
+    + `  -H "Authorization: Bearer ${trigger.token}" \\\n`
+    + `  -H "Content-Type: application/json" \\\n`
+    + `  -d '{"example": "payload"}'`;
+}
+
+/** Fill `container` with a row per saved trigger and a button copying its curl line. */
+export function mountTriggerList(container, triggers) {
+  if (!container) return;
+  container.replaceChildren(...triggers.map((t) => {
+    const row = document.createElement('div');
+    row.className = 'trigger-row';
+    const label = document.createElement('span');
+    label.className = 'trigger-row-label';
+    label.textContent = `${t.id} → ${t.task ? `task ${t.task}` : `automation ${t.automation}`}${t.enabled === false ? ' (disabled)' : ''}`;
+    // Below admin the daemon leaves tokens out of settings: nothing to copy.
+    if (!t.token) {
+      row.append(label);
+      return row;
+    }
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'btn-secondary';
+    copy.textContent = 'Copy curl';
+    copy.title = curlFor(t);
+    copy.onclick = async () => {
+      try {
+        await navigator.clipboard.writeText(curlFor(t));
+        copy.textContent = 'Copied';
+      } catch {
+        copy.textContent = 'Copy failed';
+      }
+      setTimeout(() => { copy.textContent = 'Copy curl'; }, 1500);
+    };
+    row.append(label, copy);
+    return row;
+  }));
+}
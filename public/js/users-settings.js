@@ -0,0 +1,173 @@
+/**
+ * Settings → Users: who you are signed in as, and for admins the named users
+ * (users.js) — add, change role, rotate a token, remove.
+ *
+ * A user's token is returned once, when it is created or rotated, and shown here
+ * once; the server keeps only its hash. A lost token is rotated, not recovered.
+ */
+
+import { writeClipboardText } from './osc-clipboard.js';
+
+const ROLES = [
+  ['viewer', 'Viewer — watch sessions, change nothing'],
+  ['operator', 'Operator — open and drive sessions'],
+  ['admin', 'Admin — also settings, mods, users, restart'],
+];
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function when(ts) {
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function roleSelect(value) {
+  const select = document.createElement('select');
+  for (const [role, text] of ROLES) {
+    const o = document.createElement('option');
+    o.value = role;
+    o.textContent = text;
+    select.appendChild(o);
+  }
+  select.value = value;
+  return select;
+}
+
+function button(text, onclick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'btn-secondary';
+  b.textContent = text;
+  b.onclick = onclick;
+  return b;
+}
+
+// The one-time token display, under the list.
+function showToken(box, name, token) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.value = token;
+  input.onfocus = () => input.select();
+  const copy = button('Copy', async () => {
+    copy.textContent = (await writeClipboardText(input.value)) ? 'Copied' : 'Copy failed';
+    setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+  });
+  const line = document.createElement('div');
+  line.className = 'share-link';
+  line.append(input, copy);
+  const note = document.createElement('div');
+  note.className = 'share-hint';
+  note.textContent = `${name}'s token — give it to them to sign in at /login. This is the only time it is shown.`;
+  box.replaceChildren(line, note);
+}
+
+/** Fill `container` with the signed-in user and, for an admin, the user list. */
+export async function mountUserList(container) {
+  if (!container) return;
+  let me;
+  try {
+    me = await api('GET', '/api/me');
+  } catch (e) {
+    container.textContent = `Could not load users: ${e.message}`;
+    return;
+  }
+
+  const who = document.createElement('div');
+  who.className = 'users-me';
+  who.textContent = me.owner
+    ? 'Signed in with the install token (owner, admin).'
+    : `Signed in as ${me.name} (${me.role}).`;
+  if (me.multiUser) {
+    who.appendChild(button('Sign out', async () => {
+      await api('POST', '/api/logout').catch(() => {});
+      location.replace('/login');
+    }));
+  }
+  container.replaceChildren(who);
+  if (me.role !== 'admin') return;
+
+  const list = document.createElement('div');
+  list.className = 'users-list';
+  const tokenBox = document.createElement('div');
+  tokenBox.className = 'share-result';
+  const error = document.createElement('div');
+  error.className = 'share-error';
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.placeholder = 'name';
+  name.maxLength = 32;
+  const role = roleSelect('operator');
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.className = 'btn-primary';
+  add.textContent = 'Add user';
+  const addRow = document.createElement('div');
+  addRow.className = 'users-add';
+  addRow.append(name, role, add);
+
+  container.append(list, addRow, tokenBox, error);
+
+  async function run(fn) {
+    error.textContent = '';
+    try {
+      await fn();
+    } catch (e) {
+      error.textContent = e.message;
+    }
+    render();
+  }
+
+  add.onclick = () => run(async () => {
+    const { user, token } = await api('POST', '/api/users', { name: name.value, role: role.value });
+    name.value = '';
+    showToken(tokenBox, user.name, token);
+  });
+
+  async function render() {
+    let users;
+    try {
+      ({ users } = await api('GET', '/api/users'));
+    } catch (e) {
+      list.textContent = `Could not load users: ${e.message}`;
+      return;
+    }
+    if (!users.length) {
+      list.textContent = 'No named users — only the install token can sign in. Adding one turns on sign-in for every browser, including this one.';
+      return;
+    }
+    list.replaceChildren(...users.map((u) => {
+      const row = document.createElement('div');
+      row.className = 'users-row';
+      const label = document.createElement('span');
+      label.className = 'users-name';
+      label.textContent = u.name;
+      label.title = `Added ${u.createdAt ? when(u.createdAt) : 'unknown'}`
+        + (u.lastSeenAt ? `\nLast seen ${when(u.lastSeenAt)}` : '\nNot seen since the daemon started');
+      const select = roleSelect(u.role);
+      select.onchange = () => run(() => api('POST', `/api/users/${encodeURIComponent(u.name)}/role`, { role: select.value }));
+      const rotate = button('New token', () => run(async () => {
+        const { token } = await api('POST', `/api/users/${encodeURIComponent(u.name)}/token`);
+        showToken(tokenBox, u.name, token);
+      }));
+      rotate.title = 'Replace the token; the old one stops working now';
+      const remove = button('Remove', () => {
+        if (!confirm(`Remove ${u.name}? Their token stops working and their open tabs disconnect.`)) return;
+        run(() => api('DELETE', `/api/users/${encodeURIComponent(u.name)}`));
+      });
+      row.append(label, select, rotate, remove);
+      return row;
+    }));
+  }
+
+  render();
+}
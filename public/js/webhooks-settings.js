@@ -0,0 +1,103 @@
+/**
+ * Settings → Webhooks: the delivery log and the "Send test event" buttons.
+ *
+ * The hooks themselves are the JSON textarea above this (the `webhooks` setting);
+ * mods/webhooks delivers them and keeps the log. A test goes to a hook as saved,
+ * so a hook pasted in but not yet saved has no button until Save.
+ */
+
+const STATUS_COLORS = {
+  delivered: 'var(--ds-accent-green)',
+  failed: 'var(--ds-accent-red)',
+  retrying: 'var(--ds-accent-orange)',
+};
+
+async function api(method, url) {
+  const res = await fetch(url, { method });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `server responded ${res.status}`);
+  return data;
+}
+
+function time(ts) {
+  return ts ? new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+}
+
+function outcome(d) {
+  if (d.status === 'retrying') return `${d.error || `HTTP ${d.statusCode}`} — retry at ${time(d.nextAttemptAt)}`;
+  if (d.error) return d.error;
+  return d.statusCode ? `HTTP ${d.statusCode}${d.durationMs !== undefined ? ` in ${d.durationMs}ms` : ''}` : '';
+}
+
+/**
+ * Fill `container` with a test button per saved hook and the most recent deliveries.
+ * `hooks` is the saved `webhooks` setting.
+ */
+export function mountWebhookLog(container, hooks) {
+  if (!container) return;
+  const tests = document.createElement('div');
+  tests.className = 'webhook-tests';
+  const list = document.createElement('div');
+  list.className = 'webhook-log';
+  container.replaceChildren(tests, list);
+
+  async function render() {
+    let deliveries;
+    try {
+      ({ deliveries } = await api('GET', '/api/webhooks/deliveries?limit=25'));
+    } catch (e) {
+      list.textContent = `Could not load the delivery log: ${e.message}`;
+      return;
+    }
+    if (!deliveries.length) {
+      list.textContent = 'No deliveries yet.';
+      return;
+    }
+    list.replaceChildren(...deliveries.map((d) => {
+      const row = document.createElement('div');
+      row.className = 'webhook-log-row';
+      row.title = `${d.url}\nDelivery ${d.id}\n\n${d.response || ''}`;
+      const status = document.createElement('span');
+      status.className = 'webhook-log-status';
+      status.style.color = STATUS_COLORS[d.status] || 'var(--ds-text-secondary)';
+      status.textContent = d.status;
+      const when = document.createElement('span');
+      when.className = 'webhook-log-time';
+      when.textContent = time(d.lastAttemptAt || d.createdAt);
+      const event = document.createElement('span');
+      event.className = 'webhook-log-event';
+      event.textContent = `${d.event} → ${d.hookId}`;
+      const detail = document.createElement('span');
+      detail.className = 'webhook-log-detail';
+      detail.textContent = `${outcome(d)}${d.attempts > 1 ? ` (attempt ${d.attempts})` : ''}`;
+      row.append(when, status, event, detail);
+      return row;
+    }));
+  }
+
+  for (const hook of hooks) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn-secondary';
+    b.textContent = `Send test event → ${hook.id}`;
+    b.title = hook.url;
+    b.onclick = async () => {
+      b.disabled = true;
+      try {
+        await api('POST', `/api/webhooks/${encodeURIComponent(hook.id)}/test`);
+      } catch (e) {
+        list.textContent = `Test failed: ${e.message}`;
+      }
+      b.disabled = false;
+      render();
+    };
+    tests.appendChild(b);
+  }
+  const refresh = document.createElement('button');
+  refresh.type = 'button';
+  refresh.className = 'btn-secondary';
+  refresh.textContent = 'Refresh log';
+  refresh.onclick = render;
+  tests.appendChild(refresh);
+  render();
+}
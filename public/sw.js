@@ -1,3 +1,37 @@
-// Minimal service worker for PWA support
+// Service worker: PWA support, and Web Push (see public/js/push-notifications.js).
 self.addEventListener('install', () => self.skipWaiting());
 self.addEventListener('activate', (e) => e.waitUntil(clients.claim()));
+
+// The daemon sends { title, body, tag, kind, sessionId } (push-rules.js
+// buildNotification). The tag is the session id, so a newer notice about a session
+// replaces the older one instead of stacking.
+self.addEventListener('push', (e) => {
+  let data = {};
+  try { data = e.data ? e.data.json() : {}; } catch { data = { title: 'deepsteve', body: e.data ? e.data.text() : '' }; }
+  e.waitUntil(self.registration.showNotification(data.title || 'deepsteve', {
+    body: data.body || '',
+    tag: data.tag || undefined,
+    renotify: !!data.tag,
+    requireInteraction: data.kind === 'permission',
+    icon: '/icon-192.png',
+    data: { sessionId: data.sessionId || null },
+  }));
+});
+
+// Clicking a notification brings deepsteve forward on that session: an open window
+// is focused and told which tab to select (app.js listens for 'focus-session');
+// with none open, a new one opens and restores its tabs as usual.
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const sessionId = e.notification.data && e.notification.data.sessionId;
+  e.waitUntil((async () => {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const win = windows.find(w => w.focused) || windows[0];
+    if (win) {
+      await win.focus();
+      if (sessionId) win.postMessage({ type: 'focus-session', id: sessionId });
+      return;
+    }
+    await clients.openWindow('/');
+  })());
+});
@@ -0,0 +1,139 @@
+/**
+ * Push notification policy — whether an event becomes a Web Push, and what it says.
+ * The transport is web-push.js; the wiring (subscriptions, the waiting hook, the
+ * cooldown) is the push section of server.js.
+ *
+ * Three kinds of event are pushed:
+ *
+ *   waiting     a session finished its turn and is waiting for input
+ *   permission  a session is blocked on a permission dialog or question
+ *   scheduled   a scheduled-task run finished, failed, ended or timed out
+ *
+ * Two rules silence them:
+ *
+ *   mute        per project, on the context: { "mute": ["waiting"] } silences only
+ *               idle sessions there, { "mute": "all" } the whole project. The deepest
+ *               context containing the session's directory decides, as for guardrails.
+ *   quiet hours a daily { "start": "22:00", "end": "07:00" } window in the daemon's
+ *               local time, wrapping midnight when start > end. `allow` lists kinds
+ *               that still get through — a permission prompt blocks a run until
+ *               someone answers it, an idle session does not.
+ *
+ * Pure and dependency-free. Root-level *.js ships with no packaging change.
+ */
+
+const KINDS = ['waiting', 'permission', 'scheduled'];
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Composer chrome and status lines an agent draws under its output: never "the last
+// line" worth reading on a lock screen.
+const CHROME_RE = /^(?:[❯›>$%#]\s*$|\? for shortcuts|esc to interrupt|⏵⏵|shift\+tab|bypass permissions|accept edits|plan mode|auto-accept|context left|ctrl\+)/i;
+const RULE_RE = /^[\s─━═╌┄╭╮╰╯│┃-]*$/;
+const MAX_LINE = 160;
+
+/** A context's notification rules from untrusted JSON: { mute: 'all' | kind[] } or null. */
+function sanitizeNotifyRules(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.mute === 'all' || raw.mute === true) return { mute: 'all' };
+  const mute = Array.isArray(raw.mute) ? KINDS.filter(k => raw.mute.includes(k)) : [];
+  if (mute.length === KINDS.length) return { mute: 'all' };
+  return mute.length ? { mute } : null;
+}
+
+/** Quiet hours from untrusted JSON: { start, end, allow } or null (off). */
+function sanitizeQuietHours(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const start = TIME_RE.exec(String(raw.start || '').trim());
+  const end = TIME_RE.exec(String(raw.end || '').trim());
+  if (!start || !end) return null;
+  const hhmm = (m) => `${m[1].padStart(2, '0')}:${m[2]}`;
+  if (hhmm(start) === hhmm(end)) return null;
+  const allow = Array.isArray(raw.allow) ? KINDS.filter(k => raw.allow.includes(k)) : [];
+  return { start: hhmm(start), end: hhmm(end), allow };
+}
+
+function minutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/** Whether `date` (local time) falls inside the quiet window; end is exclusive. */
+function inQuietHours(quiet, date = new Date()) {
+  if (!quiet) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutes(quiet.start);
+  const end = minutes(quiet.end);
+  return start < end ? (now >= start && now < end) : (now >= start || now < end);
+}
+
+/**
+ * Why an event of `kind` is NOT pushed — 'muted' or 'quiet-hours' — or null when
+ * it should be. `rules` is the session's context rules (sanitizeNotifyRules).
+ */
+function suppressReason(kind, { rules = null, quietHours = null, now = new Date() } = {}) {
+  if (rules && (rules.mute === 'all' || (Array.isArray(rules.mute) && rules.mute.includes(kind)))) return 'muted';
+  if (inQuietHours(quietHours, now) && !quietHours.allow.includes(kind)) return 'quiet-hours';
+  return null;
+}
+
+/** The last line of a screen a person would want to read: output, not composer chrome. */
+function lastScreenLine(lines) {
+  for (let i = (lines || []).length - 1; i >= 0; i--) {
+    const line = String(lines[i] || '').replace(/^[\s│┃]+|[\s│┃]+$/g, '');
+    if (!line || RULE_RE.test(line) || CHROME_RE.test(line)) continue;
+    return line.length > MAX_LINE ? `${line.slice(0, MAX_LINE - 1)}…` : line;
+  }
+  return '';
+}
+
+/**
+ * The notification for an event: { title, body, tag, kind, sessionId }.
+ *
+ *   event.kind     one of KINDS, or 'test' (POST /api/push/test)
+ *   event.label    the session's name
+ *   event.project  context or repo name (may be empty)
+ *   event.line     last screen line (waiting), or the run's summary (scheduled)
+ *   event.prompt   a parseApprovalPrompt record (permission)
+ *   event.status   the run's status (scheduled)
+ *
+ * The tag is the session id, so a newer notice about a session replaces the older
+ * one — and the page's own in-tab Notification, which uses the same tag.
+ */
+function buildNotification(event) {
+  const label = event.label || 'Session';
+  const where = event.project ? ` · ${event.project}` : '';
+  let title;
+  let body;
+  if (event.kind === 'permission') {
+    const p = event.prompt || {};
+    title = p.kind === 'question' ? `${label} has a question` : `${label} needs approval`;
+    body = p.kind === 'question' ? (p.question || '') : [p.tool, p.command].filter(Boolean).join(': ');
+  } else if (event.kind === 'scheduled') {
+    const verb = { succeeded: 'finished', failed: 'failed', ended: 'ended', 'timed-out': 'timed out' }[event.status] || event.status || 'finished';
+    title = `Scheduled run ${verb}: ${label}`;
+    body = event.line || '';
+  } else if (event.kind === 'test') {
+    title = label;
+    body = event.line || '';
+  } else {
+    title = `${label} is waiting`;
+    body = event.line || '';
+  }
+  return {
+    title: `${title}${where}`,
+    body: body.length > MAX_LINE * 2 ? `${body.slice(0, MAX_LINE * 2 - 1)}…` : body,
+    tag: event.sessionId || event.kind,
+    kind: event.kind,
+    sessionId: event.sessionId || null,
+  };
+}
+
+module.exports = {
+  KINDS,
+  sanitizeNotifyRules,
+  sanitizeQuietHours,
+  inQuietHours,
+  suppressReason,
+  lastScreenLine,
+  buildNotification,
+};
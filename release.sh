@@ -204,9 +204,13 @@ done
 embed_text "engines/engine.js" "engines/engine.js"
 embed_text "engines/node-pty.js" "engines/node-pty.js"
 embed_text "engines/tmux.js" "engines/tmux.js"
+embed_text "engines/ssh.js" "engines/ssh.js"
+embed_text "engines/container.js" "engines/container.js"
 
 # Public files
 embed_text "public/index.html" "public/index.html"
+embed_text "public/share.html" "public/share.html"
+embed_text "public/login.html" "public/login.html"
 embed_text "public/sw.js" "public/sw.js"
 embed_text "public/manifest.json" "public/manifest.json"
 
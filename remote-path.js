@@ -0,0 +1,55 @@
+/**
+ * `host:/path` — a working directory on another machine, reached over SSH.
+ *
+ * The same spelling scp and rsync use, so a path copied out of either works here
+ * unchanged: `build:/srv/repo`, `me@build.lan:/srv/repo`, `[fd00::7]:/srv/repo`. The
+ * host part is handed to ssh(1) as its destination, so anything ~/.ssh/config knows
+ * (an alias, a User, a ProxyJump) applies without deepsteve having to model it.
+ *
+ * A remote cwd is stored as that one string everywhere a local cwd is — state.json,
+ * contexts.json, the tab's `cwd` — rather than as a `{host, path}` pair. That is what
+ * lets contexts point at a build box without a schema change: pathInside() and the
+ * client's tabInContext() are prefix tests, and `build:/srv/repo/sub` is inside
+ * `build:/srv/repo` by the same test `/srv/repo/sub` is inside `/srv/repo`. The cost is
+ * that every place that would touch a cwd on THIS machine (stat it, run git in it,
+ * watch a transcript dir for it) has to ask parseRemotePath() first.
+ *
+ * Only absolute remote paths. `host:~/x` and `host:x` are relative to a home
+ * directory we would have to ask the remote for, and tmux's `-c` does not expand `~`.
+ *
+ * Root-level so it ships automatically (restart.sh `cp *.js`, release.sh's rootjs loop).
+ */
+const path = require('path');
+
+// user@ is optional. A hostname or ssh alias, or a bracketed IPv6 literal. The host
+// may not start with '-': it becomes an ssh argv element, and a leading dash would be
+// read as an option (`-oProxyCommand=…`), which is the classic ssh injection.
+const REMOTE_RE = /^(?:([A-Za-z0-9._][A-Za-z0-9._-]*)@)?([A-Za-z0-9_][A-Za-z0-9._-]*|\[[0-9A-Fa-f:.]+\]):(\/.*)$/;
+
+/**
+ * `host:/path` → `{ host, path }`, or null when `p` is not a remote path (a local
+ * path, falsy, or malformed). `host` keeps any `user@` — it is exactly what ssh is
+ * given — and `path` is normalized, with no trailing slash unless it is `/`.
+ */
+function parseRemotePath(p) {
+  if (typeof p !== 'string') return null;
+  const m = REMOTE_RE.exec(p.trim());
+  if (!m) return null;
+  // A one-letter "host" before `:/` is a Windows drive (C:/Users/…), not a machine.
+  if (!m[1] && /^[A-Za-z]$/.test(m[2])) return null;
+  let remotePath = path.posix.normalize(m[3]);
+  if (remotePath.length > 1) remotePath = remotePath.replace(/\/+$/, '');
+  return { host: m[1] ? `${m[1]}@${m[2]}` : m[2], path: remotePath };
+}
+
+/** True when `p` names a directory on another machine. */
+function isRemotePath(p) {
+  return parseRemotePath(p) !== null;
+}
+
+/** The inverse of parseRemotePath(). */
+function formatRemotePath(host, remotePath) {
+  return `${host}:${remotePath}`;
+}
+
+module.exports = { parseRemotePath, isRemotePath, formatRemotePath };
@@ -0,0 +1,51 @@
+/**
+ * What `deepsteve tail --follow` prints for each new read of a session's screen.
+ *
+ * A read is the last N INTERPRETED lines (GET /api/shells/:id/screen), not a byte
+ * stream, so what is new has to be recovered by lining the two reads up:
+ *
+ *   - output that scrolled the screen: the new read starts partway down the old one,
+ *     and only the lines below the common part are printed;
+ *   - a line redrawn in place (a spinner's elapsed time, a status line, a composer
+ *     being typed into): the reads agree down to it, and it is printed again — with
+ *     whatever is below it, since a stream can't rewrite a line it already printed;
+ *   - nothing in common (a /clear, or more than a screenful of output in one poll):
+ *     the whole new screen.
+ *
+ * Blank lines never anchor an alignment on their own — every screen has some — and
+ * an empty pane reads as no lines at all, so it prints nothing.
+ *
+ * Pure; root-level so it ships automatically (restart.sh `cp *.js`, release.sh's
+ * rootjs loop).
+ */
+
+function trimTrailingBlank(lines) {
+  let end = Array.isArray(lines) ? lines.length : 0;
+  while (end > 0 && !String(lines[end - 1]).trim()) end--;
+  return end ? lines.slice(0, end) : [];
+}
+
+/**
+ * The lines of `next` to print after `prev` was printed. Tries every offset of `next`
+ * into `prev` and keeps the one whose common run from the top of `next` is longest
+ * (the smallest offset on a tie), so an unchanged screen prints nothing.
+ *
+ * @param {string[]} prev  The previous read, oldest line first.
+ * @param {string[]} next  The new read.
+ * @returns {string[]}
+ */
+function screenDelta(prev, next) {
+  const before = trimTrailingBlank(prev);
+  const after = trimTrailingBlank(next);
+  let best = 0;
+  for (let offset = 0; offset < before.length && best < after.length; offset++) {
+    let run = 0;
+    while (run < after.length && offset + run < before.length && after[run] === before[offset + run]) run++;
+    if (run > best && after.slice(0, run).some(l => l.trim())) best = run;
+  }
+  return after.slice(best);
+}
+
+module.exports = {
+  screenDelta,
+};
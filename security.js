@@ -17,6 +17,15 @@
 // Token transport is cookie (browser) or bearer (everything else). We deliberately do NOT accept a
 // `?token=` query param anywhere, so the secret never lands in server logs or `ps` output.
 //
+// Read-only share links (share-links.js) are a second, much narrower credential: they open the
+// share WebSocket (verifyShareWsClient) and nothing else. No other guard here ever accepts one.
+//
+// Named users (users.js) add per-person tokens with a role. Every guard resolves a credential to
+// a principal — the install token is always the admin "owner" — and hangs it on the request as
+// `req.user`; routes that need more than the default gate use requireRole(). Once a user exists,
+// setAuthCookie stops handing the install token to loopback page loads (on a shared box, loopback
+// is everybody's SSH tunnel) and browsers sign in at /login instead.
+//
 // The canonical browser origin is http://deepsteve.localhost:PORT (#544/#545). Plain `localhost`
 // shares one cookie jar with every other local dev app (cookies key on host, not port), and
 // Firefox's per-host cookie cap evicts our cookie when that shared jar fills. `*.localhost`
@@ -27,6 +36,7 @@ const fs = require('fs');
 const path = require('path');
 const { stateDir } = require('./paths');
 const crypto = require('crypto');
+const { roleAtLeast, OWNER_NAME } = require('./users');
 
 const AUTH_TOKEN_FILE = path.join(stateDir(), 'auth-token');
 const COOKIE_NAME = 'ds_auth';
@@ -99,13 +109,14 @@ function parseCookies(cookieHeader) {
  *   allowOrigins, allowHosts  — operator escape-hatch widening lists (--allow-origin/--allow-host)
  *   canonicalRedirect         — bounce browser page loads on localhost to UI_HOST (default true;
  *                               --no-canonical-redirect turns it off)
+ *   users                     — the named-user store (users.js); optional, absent = single-user
  *   log                       — logger
  */
 function createSecurity(cfg) {
   const {
     port, httpsPort, httpsEnabled,
     getLanAddresses, allowOrigins = [], allowHosts = [],
-    canonicalRedirect = true, log = () => {},
+    canonicalRedirect = true, users = null, log = () => {},
   } = cfg;
 
   const token = loadOrCreateToken(log);
@@ -172,6 +183,15 @@ function createSecurity(cfg) {
     return crypto.timingSafeEqual(cand, tokenHash);
   }
 
+  // Who a credential belongs to, or null. The install token is the owner, an admin; a user
+  // token is that user with their current role (a role change applies to the next request).
+  const OWNER = Object.freeze({ name: OWNER_NAME, role: 'admin', owner: true });
+  function principalOf(candidate) {
+    if (validToken(candidate)) return OWNER;
+    return (users && users.resolve(candidate)) || null;
+  }
+  function multiUser() { return !!users && users.size > 0; }
+
   function bearerOf(req) {
     const m = /^Bearer\s+(.+)$/i.exec(req.headers['authorization'] || '');
     return m ? m[1].trim() : null;
@@ -259,28 +279,89 @@ function createSecurity(cfg) {
   // given the real per-install token in a Set-Cookie and could then drive the whole API. That
   // made --https / --allow-host a full auth bypass for anyone who could reach the address.
   // Non-loopback clients must now supply the token out of band (Authorization: Bearer).
+  // With named users the handout stops altogether: the cookie is whatever token the browser
+  // signed in with at /login, and a page load only renews it (same rolling window) — on any
+  // allowed host, since a user on the LAN holds their own token rather than borrowing ours.
   const LOOPBACK_HOST_SET = new Set(LOOPBACK_HOSTS);
+  const cookieOptions = (req) => ({
+    httpOnly: true, sameSite: 'strict', path: '/', secure: !!req.secure,
+    maxAge: COOKIE_MAX_AGE_MS,
+  });
   function setAuthCookie(req, res, next) {
-    if (req.method === 'GET'
-        && String(req.headers.accept || '').includes('text/html')
-        && LOOPBACK_HOST_SET.has(hostnameOf(req.headers.host))) {
-      res.cookie(COOKIE_NAME, token, {
-        httpOnly: true, sameSite: 'strict', path: '/', secure: !!req.secure,
-        maxAge: COOKIE_MAX_AGE_MS,
-      });
+    if (req.method !== 'GET' || !String(req.headers.accept || '').includes('text/html')) return next();
+    if (multiUser()) {
+      const cookieTok = cookieTokenOf(req);
+      if (cookieTok && principalOf(cookieTok)) res.cookie(COOKIE_NAME, cookieTok, cookieOptions(req));
+    } else if (LOOPBACK_HOST_SET.has(hostnameOf(req.headers.host))) {
+      res.cookie(COOKIE_NAME, token, cookieOptions(req));
     }
     next();
   }
 
+  // 3b. In multi-user mode a page load without a signed-in cookie goes to the sign-in page,
+  //     rather than loading a UI whose every request would 401. Navigations only, like the
+  //     canonical redirect, and never /login itself.
+  function loginRedirect(req, res, next) {
+    if (!multiUser() || req.method !== 'GET' || req.path === '/login') return next();
+    if (!String(req.headers.accept || '').includes('text/html')) return next();
+    if (req.headers.authorization) return next();
+    const cookieTok = cookieTokenOf(req);
+    if (cookieTok && principalOf(cookieTok)) return next();
+    return res.redirect(302, '/login');
+  }
+
+  // POST /api/login {token} — trade a token for the cookie. Sits above authGate (there is no
+  // cookie yet), so it carries the gate's own checks: an allowlisted Origin, because this sets
+  // a cookie and must not be a CSRF target, and the failure limiter, because it is an oracle.
+  function login(req, res) {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin)) {
+      log(`Rejected: login with disallowed/missing Origin "${origin || ''}"`);
+      return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    if (lockedOut()) return res.status(429).json({ error: 'Too many attempts — wait a minute' });
+    const candidate = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    const principal = candidate ? principalOf(candidate) : null;
+    if (!principal) {
+      recordFailure();
+      logAuthReject('Auth: rejected login — unknown token');
+      return res.status(401).json({ error: 'That token is not valid' });
+    }
+    res.cookie(COOKIE_NAME, candidate, cookieOptions(req));
+    log(`Auth: ${principal.name} (${principal.role}) signed in`);
+    res.json({ name: principal.name, role: principal.role });
+  }
+
+  function logout(req, res) {
+    res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'strict', path: '/', secure: !!req.secure });
+    res.json({ ok: true });
+  }
+
   // 4. Token gate — registered as a POSITIONAL middleware before the body-parser and every route
   //    (and before the async-mounted /mcp + mod routes), giving default-deny coverage of current
   //    and future endpoints. Static files are served ahead of this and never reach it.
+  //    The principal goes on `req.user`, and on `req.auth` in the shape the MCP SDK forwards to
+  //    tool handlers as `extra.authInfo` (the role is its one scope). A viewer is read-only here,
+  //    for every route at once: GET/HEAD only, and no MCP, whose tools all act.
+  function admit(req, res, next, principal, tok) {
+    req.user = principal;
+    req.auth = { token: tok, clientId: principal.name, scopes: [principal.role] };
+    if (principal.role === 'viewer'
+        && (!['GET', 'HEAD'].includes(req.method) || req.path === '/mcp' || req.path.startsWith('/mcp/'))) {
+      return res.status(403).json({ error: 'Your role (viewer) is read-only' });
+    }
+    next();
+  }
+
   function authGate(req, res, next) {
     const bearer = bearerOf(req);
-    if (bearer && validToken(bearer)) return next();   // non-browser / agent / MCP path — no Origin needed
+    const bearerPrincipal = bearer ? principalOf(bearer) : null;
+    // non-browser / agent / MCP path — no Origin needed
+    if (bearerPrincipal) return admit(req, res, next, bearerPrincipal, bearer);
 
     const cookieTok = cookieTokenOf(req);
-    if (cookieTok && validToken(cookieTok)) {
+    const cookiePrincipal = cookieTok ? principalOf(cookieTok) : null;
+    if (cookiePrincipal) {
       // SameSite=Strict is port-blind: a page on another localhost:PORT is "same-site" and its
       // request carries our cookie. So on the cookie path, if an Origin is present it must be
       // allowlisted (all methods). Legit same-origin GET/subresource loads omit Origin; a
@@ -290,7 +371,7 @@ function createSecurity(cfg) {
         log(`Rejected: cookie auth with disallowed Origin "${origin}" (${req.method} ${req.url})`);
         return res.status(403).type('text/plain').send('Forbidden: Origin not allowed');
       }
-      return next();
+      return admit(req, res, next, cookiePrincipal, cookieTok);
     }
 
     recordFailure();
@@ -304,6 +385,15 @@ function createSecurity(cfg) {
     return res.status(401).type('text/plain').send('Unauthorized');
   }
 
+  // Route-level role check, after authGate: `app.post('/api/settings', requireRole('admin'), …)`.
+  function requireRole(min) {
+    return (req, res, next) => {
+      if (roleAtLeast(req.user?.role, min)) return next();
+      log(`Auth: ${req.user?.name || '?'} (${req.user?.role || 'no role'}) refused ${req.method} ${req.path} — needs ${min}`);
+      return res.status(403).json({ error: `This needs the ${min} role` });
+    };
+  }
+
   // === WebSocket upgrade guard (ws `verifyClient`) ===
   // Runs during the HTTP upgrade, BEFORE the handshake completes — so a rejected page never gets a
   // live socket. Requires an allowlisted Host, a present+allowlisted Origin (browsers always send
@@ -318,27 +408,54 @@ function createSecurity(cfg) {
     // and are not required to send an Origin — mirrors the HTTP authGate bearer path. Browsers can't
     // set WS request headers, so they fall through to the Origin + cookie checks below.
     const bearer = bearerOf(req);
-    if (bearer && validToken(bearer)) return cb(true);
+    const bearerPrincipal = bearer ? principalOf(bearer) : null;
+    if (bearerPrincipal) { req.user = bearerPrincipal; return cb(true); }
     const origin = info.origin || req.headers.origin;
     if (!isAllowedOrigin(origin)) {
       log(`Rejected WS upgrade: disallowed/missing Origin "${origin || ''}"`);
       return cb(false, 403, 'Forbidden');
     }
     const cookieTok = cookieTokenOf(req);
-    if (!cookieTok || !validToken(cookieTok)) {
+    const cookiePrincipal = cookieTok ? principalOf(cookieTok) : null;
+    if (!cookiePrincipal) {
       recordFailure();
       log(`Rejected WS upgrade: ${cookieTok ? 'invalid' : 'missing'} auth cookie`);
       return cb(false, lockedOut() ? 429 : 401, 'Unauthorized');
     }
+    req.user = cookiePrincipal;
     cb(true);
   }
 
+  // === Read-only share socket guard (share-links.js) ===
+  // The share WebSocket is a separate server with its own credential, and this is its
+  // verifyClient. `resolveGrant(req)` returns the link the request presents, or null.
+  // The install token is NOT accepted here, and a share token is accepted nowhere else.
+  // No Host or Origin check, deliberately: both exist to stop a page from riding the
+  // user's ambient cookie, and this credential is never ambient — a viewer on the LAN
+  // (DEEPSTEVE_BIND=0.0.0.0) arrives under whatever name it used to reach us, and a
+  // rebinding page still needs the token, which only the link holds. Failures feed the
+  // same limiter as everything else.
+  function verifyShareWsClient(resolveGrant) {
+    return (info, cb) => {
+      if (lockedOut()) return cb(false, 429, 'Too Many Requests');
+      const grant = resolveGrant(info.req);
+      if (!grant) {
+        recordFailure();
+        logAuthReject('Rejected share WS upgrade: unknown, revoked or expired link');
+        return cb(false, 401, 'Unauthorized');
+      }
+      info.req.shareGrant = grant;
+      cb(true);
+    };
+  }
+
   return {
     token,
     cookieName: COOKIE_NAME,
     allowedHosts, allowedOrigins, mcpAllowedHosts,
-    isAllowedHost, isAllowedOrigin, validToken,
-    hostGuard, canonicalHostRedirect, setAuthCookie, authGate, verifyWsClient,
+    isAllowedHost, isAllowedOrigin, validToken, principalOf,
+    hostGuard, canonicalHostRedirect, setAuthCookie, loginRedirect, login, logout, authGate, requireRole,
+    verifyWsClient, verifyShareWsClient,
     _rateLimit: { lockedOut, recordFailure }, // exposed for tests
   };
 }
@@ -20,7 +20,26 @@ const { createPendingOpens } = require('./pending-opens');
 const { reattachSurvivingTmuxSessions } = require('./tmux-reattach');
 const { createSessionAutoClose } = require('./session-auto-close');
 const { classifyScreenTail, CLAUDE_SCREEN_MARKERS } = require('./screen-classifier');
+const { createAgentRegistry, expandArgs } = require('./agent-manifests');
+const { buildTranscriptDocument, EXPORT_FORMATS, exportFilename, parseClaudeTranscript, parseCodexRollout } = require('./transcript-export');
+const { recordingFile, createRecorder, listRecordings, pruneRecordings } = require('./session-recording');
+const { createShareLinks, shareTokenFromProtocols } = require('./share-links');
+const { createUserStore, roleAtLeast } = require('./users');
+const backup = require('./backup');
+const { createTranscriptIndex } = require('./transcript-search');
+const { createUsageIndex } = require('./usage');
+const { sanitizeRules: sanitizeApprovalRules, sanitizeTrustedProjects } = require('./approval-rules');
+const { ACTION_KEYS, sanitizeGuardrails, effectiveGuardrails, checkGuardrails, describeBreach, screenFingerprint } = require('./guardrails');
+const { generateVapidKeys, sanitizeSubscription, sendNotification } = require('./web-push');
+const { sanitizeNotifyRules, sanitizeQuietHours, suppressReason, lastScreenLine, buildNotification } = require('./push-rules');
+const { parseApprovalPrompt } = require('./approval-prompts');
+const { sanitizeWebhooks } = require('./webhooks');
+const { sanitizeTriggers, triggerView, MAX_BODY_BYTES: TRIGGER_BODY_BYTES } = require('./triggers');
+const { createWebProxy, sanitizeAllowedHosts } = require('./web-proxy');
+const modCatalog = require('./mod-catalog');
+const { compareSemver } = modCatalog;
 const { TerminalScreen } = require('./terminal-screen');
+const { renderTerminalPng, renderTerminalSvg, terminalTheme } = require('./terminal-render');
 const { terminalEnv } = require('./terminal-env');
 const { readComposerDraft, isPromptStaged, isPromptOnScreen } = require('./composer-state');
 const { wrapRunCommand } = require('./terminal-run');
@@ -28,6 +47,10 @@ const { isTerminalReport } = require('./terminal-input');
 const { renderIssuePrompt, issueWorktreeName, issueTabName } = require('./issue-prompt');
 const NodePtyEngine = require('./engines/node-pty');
 const TmuxEngine = require('./engines/tmux');
+const SshEngine = require('./engines/ssh');
+const ContainerEngine = require('./engines/container');
+const { parseRemotePath } = require('./remote-path');
+const { sanitizeContainerPolicy, policyApplies } = require('./container-config');
 
 const PORT = process.env.PORT || 3000;
 // Canonical browser URL (#545): deepsteve.localhost is loopback (RFC 6761) but has its own cookie
@@ -318,11 +341,17 @@ const RECENT_SESSIONS_FILE = path.join(DS_DIR, 'recent-sessions.json');
 // (#526); read once on first load to migrate, then left in place untouched.
 const LEGACY_GROUPS_FILE = path.join(DS_DIR, 'project-groups.json');
 const RESTARTING_FLAG = path.join(DS_DIR, '.restarting');
+// A restore (backup.js) is staged, not written into a running daemon — which would save its
+// in-memory settings, contexts and schedule back over it. Apply it here, before any of
+// those files is read.
+try { backup.applyPendingRestore(DS_DIR, { log }); } catch (e) { log(`[backup] staged restore failed: ${e.message}`); }
 const app = express();
 
 // Security layer (#536): Host allowlist, Origin allowlist, per-install token auth, and failure
 // rate limiting — the single source of truth shared by the HTTP, WebSocket, and MCP surfaces.
 // Created before app.listen so the token exists before any request / session spawn / MCP config.
+// Named users (users.js) are read first: whether any exist decides how the guards hand out cookies.
+const users = createUserStore({ file: path.join(DS_DIR, 'users.json'), log });
 const security = createSecurity({
   port: PORT,
   httpsPort: HTTPS_PORT,
@@ -331,10 +360,22 @@ const security = createSecurity({
   allowOrigins: ALLOW_ORIGINS,
   allowHosts: ALLOW_HOSTS,
   canonicalRedirect: CANONICAL_REDIRECT,
+  users,
   log,
 });
 const AUTH_TOKEN = security.token;
 
+// 0. The read-only share viewer (share-links.js), ahead of every guard. It is a static page
+//    with no secret in it: the link's token rides in the URL fragment, which never reaches us,
+//    and the page's only power is the share WebSocket, which checks that token itself. A
+//    teammate on the LAN reaches us by an address hostGuard doesn't know, and must neither be
+//    bounced to deepsteve.localhost (their machine's loopback) nor handed the install cookie.
+app.get('/share', (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer', 'X-Frame-Options': 'DENY' });
+  // dotfiles: the install dir is ~/.deepsteve (#621), which send() would otherwise refuse.
+  res.sendFile(path.join(__dirname, 'public', 'share.html'), { dotfiles: 'allow' });
+});
+
 // 1. Host-header guard first — blocks DNS rebinding (the rebind domain shows up in Host) on every
 //    request, static included.
 app.use(security.hostGuard);
@@ -344,6 +385,15 @@ app.use(security.hostGuard);
 app.use(security.canonicalHostRedirect);
 // 3. Hand the auth cookie to page loads (keyed off the request; runs before static streams).
 app.use(security.setAuthCookie);
+// 3b. Named users (users.js): the sign-in page, the token-for-cookie exchange behind it, and the
+//     bounce that sends a signed-out page load there. All three are inert until a user exists.
+app.get('/login', (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', 'X-Frame-Options': 'DENY' });
+  res.sendFile(path.join(__dirname, 'public', 'login.html'), { dotfiles: 'allow' });
+});
+app.post('/api/login', express.json(), security.login);
+app.post('/api/logout', security.logout);
+app.use(security.loginRedirect);
 // Static assets are served ahead of the token gate: they carry no secrets and must load to
 // bootstrap the UI (the cookie is HttpOnly; cross-origin pages can't read our responses under SOP).
 app.use(express.static('public', {
@@ -353,89 +403,47 @@ app.use('/mods', express.static('mods'));
 // Public, unauthenticated readiness probe — lets live-reload detect "server back up" on a deploy
 // that turns auth on, before the reloaded page has re-acquired its cookie. Must stay above the gate.
 app.get('/healthz', (req, res) => res.json({ ok: true }));
+// Inbound trigger fires (triggers.js) authenticate with the trigger's own token, which the
+// handler checks — the install token would let a CI job drive every shell, so this route
+// deliberately sits above the gate. mods/scheduled-tasks installs the handler at init via
+// registerTriggerHandler; until it has, a fire gets a 503 and the caller retries.
+let triggerHandler = null;
+function registerTriggerHandler(fn) { triggerHandler = typeof fn === 'function' ? fn : null; }
+app.post('/api/triggers/:id/fire', express.json({ limit: TRIGGER_BODY_BYTES }), (req, res) => {
+  if (!triggerHandler) return res.status(503).json({ error: 'Triggers are not available yet' });
+  triggerHandler(req, res);
+});
 // 4. Token gate — POSITIONAL, not a trailing catch-all: registered here it precedes every inline
 //    /api route and the async-mounted /mcp + mod routes, so it default-denies all of them (and any
 //    future control endpoint). The static handlers above short-circuit real files before this runs.
 app.use(security.authGate);
+// Routes that change the install rather than a session need the admin role (users.js). The owner
+// (install token) and agents are admins, so this only ever stops a named operator or viewer.
+const requireAdmin = security.requireRole('admin');
 app.use((req, res, next) => {
   if (req.path === '/mcp') return next(); // MCP SDK parses its own body
   // Screenshot routes carry base64 PNGs (often >> 100KB) and declare their own
   // express.json({ limit: '50mb' }). Skip the default-100KB global parser here, or
   // it runs first and rejects them with PayloadTooLargeError before they reach the route.
   if (req.path.startsWith('/api/screenshots')) return next();
+  // Same for a backup being restored: the whole archive rides in the body (backup.js caps it).
+  if (req.path.startsWith('/api/backup')) return next();
+  // Proxied requests go upstream byte for byte, whatever their content type (web-proxy.js).
+  if (req.path.startsWith('/api/proxy/')) return next();
   express.json()(req, res, next);
 });
 
-// Proxy endpoint for Baby Browser — fetches URLs and strips iframe-blocking headers.
-// Resources (CSS/JS/images) load directly from origin via <base> tag — only HTML
-// pages need proxying to bypass X-Frame-Options.
-app.get('/api/proxy', async (req, res) => {
-  const url = req.query.url;
-  log(`[proxy] url=${url}`);
-  if (!url) return res.status(400).json({ error: 'Missing url parameter' });
-  let parsed;
-  try {
-    parsed = new URL(url);
-  } catch {
-    return res.status(400).json({ error: 'Invalid URL' });
-  }
-  try {
-    const resp = await fetch(parsed.href, {
-      headers: { 'User-Agent': req.headers['user-agent'] || 'Mozilla/5.0' },
-      redirect: 'follow',
-    });
-    res.status(resp.status);
-    const skipHeaders = new Set(['x-frame-options', 'content-security-policy', 'content-security-policy-report-only', 'content-encoding', 'transfer-encoding', 'connection']);
-    for (const [key, value] of resp.headers.entries()) {
-      if (!skipHeaders.has(key.toLowerCase())) {
-        res.setHeader(key, value);
-      }
-    }
-    const contentType = resp.headers.get('content-type') || '';
-    let body = Buffer.from(await resp.arrayBuffer());
-    if (contentType.includes('text/html')) {
-      const finalUrl = new URL(resp.url);
-      const origin = finalUrl.origin;
-      let html = body.toString('utf-8');
-      // Rewrite only <a href> and <form action> — not <link href> (stylesheets) or other tags.
-      // Resources load directly from origin via <base> tag.
-      html = html.replace(/<(a\s[^>]*?)href="(\/[^"]*?)"([^>]*?>)/gi, (match, pre, pathVal, post) => {
-        if (pathVal.startsWith('//')) return match;
-        if (pathVal === '#' || pathVal.startsWith('/#')) return match;
-        const absolute = new URL(pathVal, origin + '/').href;
-        return `<${pre}href="/api/proxy?url=${encodeURIComponent(absolute)}"${post}`;
-      });
-      html = html.replace(/<(a\s[^>]*?)href="(https?:\/\/[^"]*?)"([^>]*?>)/gi, (match, pre, urlVal, post) => {
-        try {
-          const u = new URL(urlVal);
-          if (u.origin === origin) {
-            return `<${pre}href="/api/proxy?url=${encodeURIComponent(urlVal)}"${post}`;
-          }
-        } catch {}
-        return match;
-      });
-      html = html.replace(/<(form\s[^>]*?)action="(\/[^"]*?)"([^>]*?>)/gi, (match, pre, pathVal, post) => {
-        if (pathVal.startsWith('//')) return match;
-        const absolute = new URL(pathVal, origin + '/').href;
-        return `<${pre}action="/api/proxy?url=${encodeURIComponent(absolute)}"${post}`;
-      });
-      // Inject <base> so resources (CSS/JS/images) with relative src resolve to origin
-      const baseTag = `<base href="${origin}/">`;
-      if (/<head[^>]*>/i.test(html)) {
-        html = html.replace(/<head([^>]*)>/i, `<head$1>${baseTag}`);
-      } else if (/<html[^>]*>/i.test(html)) {
-        html = html.replace(/<html([^>]*)>/i, `<html$1><head>${baseTag}</head>`);
-      } else {
-        html = baseTag + html;
-      }
-      body = Buffer.from(html, 'utf-8');
-      res.setHeader('content-length', body.length);
-    }
-    res.send(body);
-  } catch (err) {
-    res.status(502).json({ error: err.message });
-  }
+// Baby Browser's proxy (web-proxy.js): /api/proxy/<session>/<scheme>/<host>/<path>, any
+// method, with a per-tab cookie jar. GET /api/proxy?url= is the old form and redirects.
+// WebSockets under the same prefix are relayed by routeUpgrades() below.
+const webProxy = createWebProxy({
+  getAllowedHosts: () => settings.proxyAllowedHosts,
+  verifyWsClient: security.verifyWsClient,
+  log,
 });
+app.get('/api/proxy', webProxy.legacy);
+app.all(/^\/api\/proxy\//, webProxy.handle);
+app.post('/api/proxy-cookie/:sid', webProxy.scriptCookie);
 
 // File upload endpoint — writes to /tmp/deepsteve-drops/ and returns the full path
 const DROPS_DIR = path.join(os.tmpdir(), 'deepsteve-drops');
@@ -472,6 +480,8 @@ app.put('/api/upload/:filename', express.raw({ type: '*/*', limit: '50mb' }), (r
 // --- Settings schema (single source of truth) ---
 // Adding a new setting = one entry in SETTINGS_SCHEMA below. Defaults,
 // POST /api/settings validation, and broadcastSettings() all flow from here.
+// An entry holding a secret also has `redact`, the value as GET /api/settings shows
+// it to anyone below admin.
 // See CLAUDE.md "Adding a New Setting" for the contract.
 
 const WAND_DEFAULT_TEMPLATE = `I need you to work on GitHub issue #{{number}}: "{{title}}"
@@ -572,10 +582,23 @@ const SETTINGS_SCHEMA = [
   // Tilde-expanded. Applies on daemon restart: the socket is fixed at engine
   // construction, like tmuxBinary above.
   { name: 'tmuxSocket',                 type: 'string',  default: '',         broadcast: false },
+  // The Docker/Podman CLI behind container sandboxes (engines/container.js). Empty
+  // means look for `docker`, then `podman`; a bare name is searched like tmuxBinary,
+  // a value with a '/' is used verbatim. Applies on daemon restart.
+  { name: 'containerRuntime',           type: 'string',  default: '',         broadcast: false },
   { name: 'symlinkWorktreeSettings',    type: 'boolean', default: false },
   { name: 'recentSessionsLimit',        type: 'number',  default: 8, clamp: [0, 50], round: true,
     sideEffect: (val, s) => { trimRecentSessions(); } },
   { name: 'scrollbackKB',               type: 'number',  default: SCROLLBACK_DEFAULT_KB, clamp: [1, 10000], round: true },
+  // Session recordings (session-recording.js): 'scheduled' records only unattended
+  // scheduled runs, 'all' every session. Off by default — a recording keeps every byte
+  // a session printed. Read when a session is wired, so it applies to sessions
+  // started (or re-attached after a restart) from then on.
+  { name: 'recordSessions',             type: 'enum',    default: 'off', values: ['off', 'scheduled', 'all'] },
+  // Retention for ~/.deepsteve/recordings/, applied by the same 6-hourly sweep as
+  // closed-session tombstones. Server-internal.
+  { name: 'recordingRetentionDays',     type: 'number',  default: 14, clamp: [1, 365], round: true, broadcast: false },
+  { name: 'recordingsMaxMB',            type: 'number',  default: 1024, clamp: [16, 102400], round: true, broadcast: false },
   // tmux is the default (#620): a node-pty session is a child of server.js and dies
   // with it, so a crash or a restart takes every running agent with it. This one word
   // covers all three cases correctly, because the block right after engine init
@@ -677,6 +700,63 @@ const SETTINGS_SCHEMA = [
       const n = Math.round(Number(raw));
       return Number.isFinite(n) && n >= 0 && n <= 600 ? n : null;
     } },
+  // Auto-approval rules for permission prompts (see approval-rules.js for the rule
+  // shape). Global rules; a project adds its own in <repo>/.deepsteve/rules.json.
+  // Read live by mods/approvals/tools.js off the mutated-in-place settings object, so
+  // a Settings save applies to the next prompt with no restart. A list the sanitizer
+  // can't read is rejected (a POST `warning`), never saved as "no rules".
+  { name: 'approvalRules',              type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => sanitizeApprovalRules(raw),
+    logValue: v => `(${v.length} rule${v.length === 1 ? '' : 's'})` },
+  // Repos whose .deepsteve/rules.json may ALLOW, not just deny: [{ repo, sha256 }],
+  // the hash of the file as the admin reviewed it. The approvals mod logs the entry
+  // to paste when it skips a project's allows; an edit to the file needs it again.
+  { name: 'approvalTrustedProjects',    type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => sanitizeTrustedProjects(raw),
+    logValue: v => v.map(t => `${t.repo}@${t.sha256.slice(0, 12)}`).join(',') || '(none)' },
+  // Outbound webhooks (see webhooks.js for the shape): lifecycle events POSTed as
+  // signed JSON. Delivered by mods/webhooks off the sessionLog bus, reading this live
+  // from the mutated-in-place settings object. The sanitizer fills in a missing id or
+  // secret, so what the Settings textarea shows after a save is what is signed with.
+  { name: 'webhooks',                   type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => sanitizeWebhooks(raw),
+    redact: v => v.map(({ secret, ...hook }) => hook),
+    logValue: v => `(${v.length} webhook${v.length === 1 ? '' : 's'})` },
+  // Inbound triggers (see triggers.js for the shape): authenticated POSTs that start
+  // a scheduled task or an automation with the request body templated into its
+  // prompt. Fired through mods/scheduled-tasks, which reads this live; the sanitizer
+  // fills in a missing id or token, so the textarea shows the token to hand out.
+  { name: 'triggers',                   type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => sanitizeTriggers(raw),
+    redact: v => v.map(triggerView),
+    logValue: v => `(${v.length} trigger${v.length === 1 ? '' : 's'})` },
+  // Quiet hours for Web Push (see push-rules.js): { start: "22:00", end: "07:00",
+  // allow: ["permission"] } in the daemon's local time, or false for none. Read live
+  // by pushNotify, so a Settings save applies to the next event.
+  { name: 'pushQuietHours',             type: 'custom',  default: false, broadcast: false,
+    sanitize: (raw) => (raw === false || raw === null ? false : sanitizeQuietHours(raw)),
+    logValue: v => (v ? `${v.start}-${v.end}` : 'off') },
+  // Private-network hosts Baby Browser's proxy (web-proxy.js) may reach: `host`,
+  // `host:port`, `*.domain` or a CIDR. Anything resolving to a loopback/LAN address is
+  // refused unless listed, so the proxy can't be turned on the user's own network.
+  // Read live per request.
+  { name: 'proxyAllowedHosts',          type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => sanitizeAllowedHosts(raw),
+    logValue: v => v.join(',') || '(none)' },
+  // Where the Mods marketplace reads its catalog (mod-catalog.js): '' for the public
+  // one, or an http(s) URL, a file:// URL or a directory — a mirror made with
+  // `deepsteve mods mirror`, for a team without internet access. Read live; a change
+  // drops the cached catalog.
+  { name: 'modCatalogSource',           type: 'custom',  default: '', broadcast: false,
+    sanitize: (raw) => modCatalog.sanitizeCatalogSource(raw),
+    logValue: v => v || '(public catalog)' },
+  // Publisher keys a mod package's signature is checked against: [{ name, publicKey,
+  // fingerprint }], Ed25519. With modRequireSignatures on, a package no trusted key
+  // signed is refused; off, it installs and is shown as unverified.
+  { name: 'modTrustedKeys',             type: 'custom',  default: [], broadcast: false,
+    sanitize: (raw) => modCatalog.sanitizeTrustedKeys(raw),
+    logValue: v => v.map(k => `${k.name} ${k.fingerprint}`).join(',') || '(none)' },
+  { name: 'modRequireSignatures',       type: 'boolean', default: false, broadcast: false },
   // Custom Claude Code config profiles (#537): each row = { id, name, configDir }.
   // A profile is agentType:'claude' + a CLAUDE_CONFIG_DIR — NOT a new agent type.
   // broadcast:false — the browser reads profiles via GET /api/agents (like enabledAgents).
@@ -967,9 +1047,173 @@ function recordSessionClose(id) {
 
 // Universal close funnel: every engine emits 'exit' for any session that ends,
 // regardless of which spawn path created it — so one listener per engine catches
-// all closes without touching the ~8 inline onExit() handlers.
+// all closes without touching the ~8 inline onExit() handlers. SSH engines are
+// created later, one per host, and subscribe in sshEngineFor(); the container engine
+// subscribes where it is constructed.
+function sessionExited(id) {
+  recordSessionClose(id);
+  stopRecording(id, 'session ended');
+  endShareLinks(id);
+}
 for (const eng of [ptyEngine, tmuxEngine].filter(Boolean)) {
-  eng.on('exit', (id) => recordSessionClose(id));
+  eng.on('exit', sessionExited);
+}
+
+// --- Remote sessions over SSH (engines/ssh.js) ---
+// A session whose cwd is `host:/path` (remote-path.js) runs in a tmux server on that
+// host, reached through an ssh ControlMaster. Not a settings.engine choice: the cwd
+// decides, so a context pointing at `build:/srv/repo` opens remote tabs from every
+// entry point without any of them knowing. One engine per host, created on first use
+// and kept for the daemon's lifetime — it holds the host's session map, and its
+// ControlMaster outlives it anyway (ControlPersist).
+//
+// Control sockets live under the state dir, so an isolated test HOME has its own; the
+// directory is 0700 because anyone who can open a master socket can run commands on
+// the host as us.
+const SSH_CONTROL_DIR = path.join(DS_DIR, 'ssh');
+const sshEngines = new Map(); // host → SshEngine
+
+function sshEngineFor(host) {
+  let eng = sshEngines.get(host);
+  if (eng) return eng;
+  try { fs.mkdirSync(SSH_CONTROL_DIR, { recursive: true, mode: 0o700 }); } catch {}
+  eng = new SshEngine({ host, binary: resolveBinary('ssh') || 'ssh', controlDir: SSH_CONTROL_DIR, forwardPort: PORT });
+  eng.on('exit', sessionExited);
+  eng.on('reattach', (id, attempt) =>
+    log(`ssh ${host}: attach for ${id} died but its tmux session is alive — re-attached (attempt ${attempt})`));
+  eng.on('reattach-failed', (id, attempt, e) =>
+    log(`ssh ${host}: re-attach ${attempt} for ${id} failed (${e.message})`));
+  eng.on('adopt', (id) =>
+    log(`ssh ${host}: ${id} was still running there — attached to it instead of starting it again`));
+  eng.on('reconnecting', (id, attempt, delayMs) =>
+    log(`ssh ${host}: lost the connection under ${id} — trying again in ${Math.round(delayMs / 1000)}s (attempt ${attempt})`));
+  sshEngines.set(host, eng);
+  return eng;
+}
+
+// --- Container sandboxes (engines/container.js, container-config.js) ---
+// A context can put its issue sessions — or all of its sessions — in a disposable
+// Docker/Podman container that mounts only the session's directory. Like ssh, not a
+// settings.engine choice: the context's policy decides, in spawnSession, so every
+// entry point gets it without knowing. Constructed unconditionally and probed
+// lazily (connect()), because most installs never configure a sandbox and `docker
+// version` can take seconds against a Docker Desktop that is still starting.
+//
+// The owner label is the state dir: container names are global to the runtime, and a
+// second daemon or a test HOME must never reattach or reclaim our containers.
+function resolveContainerRuntime() {
+  const want = settings.containerRuntime;
+  if (want) return want.includes('/') ? want : (resolveBinary(want) || want);
+  return resolveBinary('docker') || resolveBinary('podman') || 'docker';
+}
+
+const containerEngine = new ContainerEngine({
+  binary: resolveContainerRuntime(),
+  owner: DS_DIR,
+  user: typeof process.getuid === 'function' ? { uid: process.getuid(), gid: process.getgid() } : null,
+});
+containerEngine.on('exit', sessionExited);
+containerEngine.on('reattach', (id, attempt) =>
+  log(`container: attach for ${id} died but ds-${id} is running — re-attached (attempt ${attempt})`));
+containerEngine.on('reattach-failed', (id, attempt, e) =>
+  log(`container: re-attach ${attempt} for ${id} failed (${e.message})`));
+containerEngine.on('adopt', (id) =>
+  log(`container: ds-${id} was still running — attached to it instead of starting it again`));
+
+// The container policy of the deepest context containing `cwd` that has one, or null.
+// Same resolution as contextGuardrailsFor().
+function contextContainerFor(cwd) {
+  let best = null;
+  for (const c of contexts) {
+    if (!c.container) continue;
+    for (const dir of c.dirs || []) {
+      if (pathInside(cwd, dir) && (!best || dir.length > best.len)) best = { len: dir.length, ctx: c };
+    }
+  }
+  return best ? best.ctx.container : null;
+}
+
+// What a sandboxed agent is NOT given: anything that authenticates to this daemon.
+// The API token (env) and the MCP config (argv, which carries it) would let the agent
+// ask the daemon for an unsandboxed session — the one thing the container is for. So
+// the env keys go, and so does every `flag value` pair whose value is a file in our
+// state dir (the MCP config, pi's session dir — which isn't mounted anyway) or
+// Codex's inline MCP server.
+const SANDBOX_DROPPED_ENV = ['DEEPSTEVE_API_TOKEN', 'DEEPSTEVE_API_URL'];
+
+function sandboxArgs(args) {
+  const prefix = DS_DIR + path.sep;
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    const next = args[i + 1];
+    if (typeof next === 'string' && (next.startsWith(prefix) || next.startsWith('mcp_servers.deepsteve.'))) {
+      i++;
+      continue;
+    }
+    out.push(args[i]);
+  }
+  return out;
+}
+
+// mountGit: the repository's git directory, when it is outside the mounted folder
+// (it is, for a worktree: its .git file points back into the main checkout).
+function sandboxMounts(policy, cwd) {
+  if (!policy.mountGit) return [];
+  try {
+    const out = String(runBinary('git', ['rev-parse', '--git-common-dir'], { cwd, encoding: 'utf8', timeout: 5000 })).trim();
+    const common = path.resolve(cwd, out);
+    return pathInside(common, cwd) ? [] : [common];
+  } catch {
+    return [];
+  }
+}
+
+// Without mountGit, the folder's own .git — the repository's git directory when the
+// session is at its root, or a worktree's .git file, which says where that directory
+// is — goes in read-only: written from inside, either gets the HOST to run a hook or
+// a core.fsmonitor command on its next git call in that folder.
+function sandboxReadOnly(policy, cwd) {
+  if (policy.mountGit) return [];
+  const dotGit = path.join(cwd, '.git');
+  return fs.existsSync(dotGit) ? [dotGit] : [];
+}
+
+// What a shell entry records as its engineType. Every spawn site derives it from the
+// engine that ACTUALLY spawned (spawnSession may degrade tmux → node-pty, and routes a
+// remote cwd to ssh and a sandboxed one to a container whatever was asked for).
+function engineTypeOf(eng) {
+  if (eng === tmuxEngine && tmuxEngine) return 'tmux';
+  if (eng instanceof SshEngine) return 'ssh';
+  if (eng === containerEngine) return 'container';
+  return 'node-pty';
+}
+
+// spawnCwdProblem (#632) for a cwd that may be remote. A remote directory can't be
+// stat'ed from here; SshEngine.spawn checks it on the host in the same round trip as
+// the create, and refuses with the same error code.
+function sessionCwdProblem(cwd) {
+  return parseRemotePath(cwd) ? null : spawnCwdProblem(cwd);
+}
+
+// An agent's argv can name files in our state dir — the MCP config carrying the
+// bearer token, pi's session dir. Those paths mean nothing on another machine, so for
+// a remote session mirror each one under the remote user's own ~/.deepsteve (0600 in
+// 0700, as here) and hand the agent that path instead. Anything else passes through.
+function mirrorStateArgs(eng, args) {
+  const prefix = DS_DIR + path.sep;
+  return args.map(a => {
+    if (typeof a !== 'string' || !a.startsWith(prefix) || !eng.home) return a;
+    const rel = a.slice(prefix.length).split(path.sep).join('/');
+    const remote = path.posix.join(eng.home, '.deepsteve', rel);
+    try {
+      if (fs.statSync(a).isDirectory()) eng.mkdirp(remote);
+      else eng.writeFile(remote, fs.readFileSync(a));
+      return remote;
+    } catch (e) {
+      log(`ssh ${eng.host}: could not mirror ${a} to ${remote}: ${e.message}`);
+      return a;
+    }
+  });
 }
 
 function getDefaultEngine() {
@@ -979,6 +1223,7 @@ function getDefaultEngine() {
 
 function getEngineByType(type) {
   if (type === 'tmux' && tmuxEngine) return tmuxEngine;
+  if (type === 'container') return containerEngine;
   return ptyEngine;
 }
 
@@ -1269,6 +1514,31 @@ function codexSessionHomeHasTranscript(homeId) {
   return false;
 }
 
+// The rollout `codex resume --last` would pick: the most recently written .jsonl in
+// the tab's private home. The home is per-tab, so newest is this tab's conversation.
+function newestCodexRollout(homeId) {
+  const key = String(homeId || '');
+  if (!/^[0-9a-f]{8}$/.test(key)) return null;
+  const pending = [path.join(CODEX_SESSION_ROOT, key, 'sessions')];
+  let best = null;
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); }
+    catch { continue; }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) { pending.push(full); continue; }
+      if (!entry.isFile() || !entry.name.endsWith('.jsonl')) continue;
+      try {
+        const mtimeMs = fs.statSync(full).mtimeMs;
+        if (!best || mtimeMs > best.mtimeMs) best = { file: full, mtimeMs };
+      } catch {}
+    }
+  }
+  return best && best.file;
+}
+
 function sessionEnv(id, { name, worktree, windowId, cwd, agentType, configDir, codexHomeId } = {}) {
   // Ensure this profile's config dir sees deepsteve skills (#543). Cheap + idempotent
   // (an lstat that early-returns when already correct); self-heals a profile whose config
@@ -1346,7 +1616,7 @@ let tmuxRuntimeFailure = null;
  * Returns the engine that actually spawned, so callers can record the truth
  * instead of the engine they asked for.
  */
-function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, env: extraEnv, runCommand, runNonce } = {}) {
+function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, env: extraEnv, runCommand, runNonce, sandbox: sandboxPolicy } = {}) {
   // #632: refuse a cwd that no longer exists, rather than letting tmux relocate the
   // pane to $HOME and say nothing. Deliberately ABOVE the try/catch below — that
   // catch degrades tmux → node-pty, and a missing directory must never degrade:
@@ -1357,14 +1627,56 @@ function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, en
   // Not DEEPSTEVE_CWD, not getWorktreePath(): a Claude session with --worktree is
   // spawned in the repo root and creates .claude/worktrees/<name> itself, so the
   // agent's own cwd legitimately does not exist yet at this point (see sessionEnv).
-  assertSpawnCwd(cwd);
+  //
+  // A `host:/path` cwd goes to that host's SshEngine whatever `eng` was asked for, and
+  // is checked there instead (SshEngine.spawn). The pane then runs the REMOTE user's
+  // login shell — LOGIN_SHELL is a path on this machine — and the engine is given the
+  // bare remote path.
+  //
+  // A local cwd goes to the container engine when a sandbox applies: the caller's
+  // explicit `sandbox` (an issue session under an issues-only policy), the cwd's
+  // context policy when it covers every session, or — a restore of a session that
+  // was born in a container — whatever policy its context has now. That last one
+  // refuses rather than falling back when the policy is gone: a sandboxed session
+  // must never quietly come back with the user's full permissions.
+  let shell = LOGIN_SHELL;
+  let sandbox = null;
+  const remote = parseRemotePath(cwd);
+  if (remote) {
+    eng = sshEngineFor(remote.host);
+    if (!eng.connect()) throw new Error(`Cannot reach ${remote.host} over ssh: ${eng.unavailableReason}`);
+    shell = { path: eng.loginShell, loginFlag: '-l' };
+    cwd = remote.path;
+    args = mirrorStateArgs(eng, args);
+  } else {
+    assertSpawnCwd(cwd);
+    const contextPolicy = contextContainerFor(cwd);
+    sandbox = sandboxPolicy
+      || (policyApplies(contextPolicy, { issue: false }) || eng === containerEngine ? contextPolicy : null);
+    if (eng === containerEngine && !sandbox) {
+      throw new Error(`This session ran in a container, and no project containing ${cwd} has a container sandbox any more — not restoring it without one`);
+    }
+    if (sandbox) {
+      eng = containerEngine;
+      if (!eng.connect()) throw new Error(`Container sandbox unavailable: ${eng.unavailableReason}`);
+      // The image's shell, not ours: LOGIN_SHELL may be /bin/zsh, which a slim image lacks.
+      shell = { path: '/bin/sh', loginFlag: '-l' };
+      args = sandboxArgs(args);
+    }
+  }
   const env = childBaseEnv(extraEnv);
   const opts = { cols, rows, env, stripEnv: DAEMON_INTERNAL_ENV_KEYS };
+  if (sandbox) {
+    for (const key of SANDBOX_DROPPED_ENV) delete env[key];
+    opts.sandbox = sandbox;
+    opts.mounts = sandboxMounts(sandbox, cwd);
+    opts.readOnly = sandboxReadOnly(sandbox, cwd);
+  }
 
   // A session IS the user's interactive shell, so this is one of only two places a
   // login shell is load-bearing rather than a PATH workaround (#621). LOGIN_SHELL is
   // /bin/zsh on macOS — the same shell as before, now as an absolute path.
-  const loginArgs = LOGIN_SHELL.loginFlag ? [LOGIN_SHELL.loginFlag] : [];
+  const loginArgs = shell.loginFlag ? [shell.loginFlag] : [];
 
   let shellArgs;
   if (agentType === 'terminal') {
@@ -1378,7 +1690,7 @@ function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, en
       // hand-opened terminal tab if it has the same PATH one does, and "`gh` works in a
       // terminal tab but not in my session" is half of why agents open those tabs.
       shellArgs = [...loginArgs, '-c', wrapRunCommand(runCommand, {
-        nonce: runNonce, shellPath: LOGIN_SHELL.path, loginFlag: LOGIN_SHELL.loginFlag,
+        nonce: runNonce, shellPath: shell.path, loginFlag: shell.loginFlag,
       })];
     } else {
       shellArgs = loginArgs;
@@ -1394,7 +1706,7 @@ function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, en
       : agentType === 'hermes' ? (settings.hermesBinary || 'hermes')
       : agentType === 'opencode' ? (settings.opencodeBinary || 'opencode')
       : agentType === 'pi' ? (settings.piBinary || 'pi')
-      : 'claude';
+      : agentRegistry.get(agentType)?.binary || 'claude';
     const quoted = args.map(a => `'${a.replace(/'/g, "'\\''")}'`).join(' ');
     shellArgs = [...loginArgs, '-c', `${bin} ${quoted}`];
     // Deliberately NO opts.shellCommand (#630): the tmux engine now execs
@@ -1405,10 +1717,12 @@ function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, en
   }
 
   try {
-    eng.spawn(id, LOGIN_SHELL.path, shellArgs, cwd, opts);
+    eng.spawn(id, shell.path, shellArgs, cwd, opts);
     return eng;
   } catch (e) {
-    if (eng !== tmuxEngine || !tmuxEngine) throw e; // node-pty failing has no fallback
+    // node-pty failing has no fallback, and neither does a container: degrading one
+    // would run an untrusted session with the user's full permissions.
+    if (eng !== tmuxEngine || !tmuxEngine) throw e;
     tmuxRuntimeFailure = e.message;
     log(`Engine: tmux could not create a session for ${id}: ${e.message}`);
     log('Engine: falling back to node-pty for this session — it will NOT survive a restart');
@@ -1417,6 +1731,35 @@ function spawnSession(eng, id, agentType, args, cwd, { cols = 120, rows = 40, en
   }
 }
 
+// Agents declared by manifest in ~/.deepsteve/agents/*.json (agent-manifests.js).
+// AGENT_TYPES is updated IN PLACE rather than reassigned: SETTINGS_SCHEMA holds it by
+// reference as the enabledAgents/defaultAgent allow-list, so enabling a manifest agent
+// in Settings validates against the live set with no schema rebuild. The registry is
+// consulted after AGENT_CONFIGS, so a manifest can never redefine a built-in — the
+// loader refuses those ids anyway, and this order makes that belt-and-braces.
+// Set up here, ahead of the argument helpers rather than among them, because it reads
+// the disk and starts a watcher: the unit tests evaluate those helpers on their own.
+const BUILTIN_AGENT_IDS = AGENT_CATALOG.map(a => a.id);
+const agentRegistry = createAgentRegistry({
+  dir: path.join(DS_DIR, 'agents'),
+  reserved: [...BUILTIN_AGENT_IDS, 'terminal', 'tmux-attach'],
+  log,
+  onChange: () => {
+    syncAgentTypes();
+    // Pickers and Settings re-fetch /api/agents on this, so a saved manifest shows
+    // up without a daemon restart or a page reload.
+    broadcast({ type: 'agents-changed' });
+  },
+});
+
+function syncAgentTypes() {
+  AGENT_TYPES.splice(0, AGENT_TYPES.length, ...BUILTIN_AGENT_IDS, ...agentRegistry.ids());
+}
+
+agentRegistry.reload();
+syncAgentTypes();
+agentRegistry.watch();
+
 // Agent capabilities and argument mapping
 const AGENT_CONFIGS = {
   claude: {
@@ -1433,6 +1776,7 @@ const AGENT_CONFIGS = {
     modelFlag: '--model',        // #592: alias ('opus'/'sonnet'/…) or full id ('claude-fable-5')
     effortFlag: '--effort',      // #592: low | medium | high | xhigh | max
     allowedToolsFlag: '--allowedTools',  // #612: additive permission allowlist, comma-separated
+    mcpConfigFlag: '--mcp-config',
     resumeFlag: '--resume',
     resumeDefault: '-c'
   },
@@ -1491,7 +1835,7 @@ const AGENT_CONFIGS = {
 };
 
 function getAgentConfig(agentType) {
-  return AGENT_CONFIGS[agentType] || AGENT_CONFIGS.claude;
+  return AGENT_CONFIGS[agentType] || agentRegistry.get(agentType)?.config || AGENT_CONFIGS.claude;
 }
 
 function mcpConfigArgs(agentType, shellId) {
@@ -1503,7 +1847,10 @@ function mcpConfigArgs(agentType, shellId) {
       '-c', 'mcp_servers.deepsteve.bearer_token_env_var="DEEPSTEVE_API_TOKEN"',
     ];
   }
-  if (agentType !== 'claude') return [];
+  // Strict lookup, not getAgentConfig(): that falls back to Claude's row, and an
+  // unknown agent type must get no MCP config rather than Claude's flag.
+  const flag = (AGENT_CONFIGS[agentType] || agentRegistry.get(agentType)?.config)?.mcpConfigFlag;
+  if (!flag) return [];
   // The MCP config carries the auth bearer token (#536). Write it to a per-shell 0600 file and pass
   // the PATH (claude's --mcp-config accepts file paths) — never inline JSON in argv, which `ps`
   // exposes to every other local user.
@@ -1526,7 +1873,7 @@ function mcpConfigArgs(agentType, shellId) {
     log(`mcpConfigArgs: failed to write ${file}: ${e.message}`);
     return [];
   }
-  return ['--mcp-config', file];
+  return [flag, file];
 }
 
 // Per-shell session dir for pi. Isolates each tab's session JSONL so `-c`
@@ -1571,6 +1918,10 @@ function validateToolName(value) {
 }
 
 function getSpawnArgs(agentType, { sessionId, planMode, worktree, shellId, model, effort, allowedTools }) {
+  const manifest = agentRegistry.get(agentType);
+  if (manifest) {
+    return [...expandArgs(manifest.args.spawn, { sessionId, shellId }), ...mcpConfigArgs(agentType, shellId)];
+  }
   const config = getAgentConfig(agentType);
   const args = [];
 
@@ -1620,6 +1971,17 @@ function allowedToolsArgs(config, tools) {
 }
 
 function getResumeArgs(agentType, { sessionId, planMode, worktree, shellId, model, effort, allowedTools }) {
+  const manifest = agentRegistry.get(agentType);
+  if (manifest) {
+    // No resume template at all → a fresh start, which is what the agent would do
+    // with no idea of a session anyway. No id (or a template that needs one we don't
+    // have) → the cwd-scoped "latest" form, same fallback as the built-ins.
+    const resumed = sessionId ? expandArgs(manifest.args.resume, { sessionId, shellId }) : [];
+    const args = resumed.length ? resumed
+      : manifest.args.resumeLatest ? expandArgs(manifest.args.resumeLatest, { shellId })
+      : expandArgs(manifest.args.spawn, { sessionId, shellId });
+    return [...args, ...mcpConfigArgs(agentType, shellId)];
+  }
   const config = getAgentConfig(agentType);
   const args = [];
 
@@ -1903,6 +2265,11 @@ function watchClaudeSessionDir(shellId) {
   const entry = shells.get(shellId);
   if (!entry) return;
 
+  // A remote session's transcripts are written on its host, not here — there is
+  // nothing local to watch, and mkdir-ing below would litter ~/.claude/projects with a
+  // directory named after `host:/path`. Fork adoption is unavailable for them.
+  if (parseRemotePath(entry.cwd)) return;
+
   const projectDir = claudeProjectDir(entry.cwd, entry.worktree, entry.configDir);
 
   // Ensure the directory exists before watching
@@ -1976,8 +2343,20 @@ function unwatchClaudeSessionDir(shellId) {
 function resolveForkParentSession(parentShellId) {
   const e = shells.get(parentShellId);
   if (!e || !e.claudeSessionId) return e ? e.claudeSessionId : null;
-  if (!getAgentConfig(e.agentType).supportsSessionWatch) return e.claudeSessionId;
   const original = e.claudeSessionId;
+  const tip = resolveTranscriptTip(e, parentShellId);
+  if (tip !== original) adoptClaudeSession(parentShellId, tip, 'fork-resolve');
+  return tip;
+}
+
+// The filesystem half of resolveForkParentSession, for any record carrying
+// { claudeSessionId, cwd, worktree, configDir, agentType } — a live shell, or a
+// tombstone / recent-sessions row that transcript search forks from. Read-only:
+// adopting the tip is the live caller's business. `ownerShellId` is whose session
+// this is, for the #497 ownership guard.
+function resolveTranscriptTip(e, ownerShellId) {
+  const original = e.claudeSessionId;
+  if (!original || !getAgentConfig(e.agentType).supportsSessionWatch) return original;
   try {
     const dir = claudeProjectDir(e.cwd, e.worktree, e.configDir); // same call the watcher uses
     const files = new Map(); // id -> absolute path
@@ -2002,15 +2381,13 @@ function resolveForkParentSession(parentShellId) {
       headCache.set(id, head);
       return head;
     };
-    const tip = resolveForkTip({
+    return resolveForkTip({
       startId: original,
       ids: [...files.keys()], // array (not a one-shot iterator — resolveForkTip re-scans per hop)
       mtimeOf,
       readHead,
-      ownedElsewhere: (id) => claudeSessionOwnedElsewhere(id, parentShellId),
+      ownedElsewhere: (id) => claudeSessionOwnedElsewhere(id, ownerShellId),
     });
-    if (tip !== original) adoptClaudeSession(parentShellId, tip, 'fork-resolve');
-    return tip;
   } catch {
     return original; // any failure → unchanged, current behavior preserved
   }
@@ -2084,6 +2461,7 @@ function submitToShell(id, text, eng, options = {}) {
     // already cancelled. Keeps the rule statable as "any input, from any source".
     sessionAutoClose.cancel(id, 'prompt submitted');
     auditWaiting('submit', id, e, { len: text.length });
+    if (!options.noEnter) recordingMarker(id, `prompt: ${text}`);
   }
   const engine = eng || getEngine(id);
   // #607: opt-in confirmed Enter — wait for the composer to actually echo the text
@@ -2094,6 +2472,9 @@ function submitToShell(id, text, eng, options = {}) {
   // every shutdown would burn the full cap against killShell's 8s SIGTERM escalation.
   if (options.confirmEcho && e && !e.killed) return submitWithConfirmedEnter(id, e, engine, text, options);
   engine.write(id, text);
+  // A bare keystroke (a guardrail's Esc / Ctrl+C) must not be followed by Enter:
+  // after an interrupt that Enter would land in the now-idle composer.
+  if (options.noEnter) return Promise.resolve();
   // Returns a Promise that resolves once the deferred Enter has been written, so
   // callers (deliverPromptWhenReady) can re-enable input exactly when the submit
   // completes (#512). Existing callers ignore the return value (backward compatible).
@@ -2657,8 +3038,16 @@ function setWaiting(e, id, waiting, via, extra = {}) {
   if (waiting === !!e.waitingForInput) return;
   e.waitingForInput = waiting;
   auditWaiting('transition', id, e, { to: waiting, via, screen: auditScreenTail(e, waiting ? 1500 : 300), ...extra });
+  recordingMarker(id, waiting ? 'waiting for input' : 'working');
   const stateMsg = JSON.stringify({ type: 'state', waiting });
   e.clients.forEach((c) => c.send(stateMsg));
+  shareSend(id, { type: 'state', waitingForInput: waiting });
+  if (waiting) {
+    pushOnWaiting(e, id);
+    if (e.agentType !== 'tmux-attach') {
+      sessionLog.emit('event', { type: 'waiting', ts: Date.now(), session_id: id, name: e.name || null, cwd: e.cwd || null, agentType: e.agentType || 'claude', scheduled: !!e.scheduled });
+    }
+  }
 }
 
 // Re-derive the waiting flag from the screen and apply it, then serve any armed
@@ -2674,6 +3063,9 @@ function reclassifyWaiting(e, id, via) {
   const state = getAgentConfig(e.agentType).screenMarkers ? classifyScreenState(e) : 'unknown';
   if (state !== 'unknown') setWaiting(e, id, state === 'waiting', via);
   servePendingDelivery(e, id, state);
+  // Once a second is plenty for limits measured in minutes, and keeps the
+  // per-chunk output path free of it.
+  if (via === 'sweep') enforceGuardrails(e, id);
 }
 
 /**
@@ -2695,6 +3087,7 @@ function wireShellOutput(id, cols = 120, rows = 40) {
   if (!entry.scrollback) entry.scrollback = [];
   if (!entry.scrollbackSize) entry.scrollbackSize = 0;
   for (const chunk of entry.scrollback) entry.terminalScreen.write(chunk);
+  startRecording(id, entry, cols, rows);
 
   const dataHandler = (data) => {
     const e = shells.get(id);
@@ -2712,6 +3105,8 @@ function wireShellOutput(id, cols = 120, rows = 40) {
     e.scrollback.push(data);
     e.scrollbackSize += data.length;
     e.terminalScreen.write(data);
+    const recorder = sessionRecorders.get(id);
+    if (recorder) recorder.output(data);
     // Trim scrollback if it exceeds the limit
     while (e.scrollbackSize > (settings.scrollbackKB * 1024) && e.scrollback.length > 1) {
       e.scrollbackSize -= e.scrollback.shift().length;
@@ -2763,6 +3158,7 @@ function wireShellOutput(id, cols = 120, rows = 40) {
       observeCodexReadiness(e, id, data);
     }
     e.clients.forEach((c) => c.send(data));
+    if (shareViewers.has(id)) shareSend(id, { type: 'output', data });
   };
 
   (entry.engine || ptyEngine).onData(id, dataHandler);
@@ -2770,12 +3166,248 @@ function wireShellOutput(id, cols = 120, rows = 40) {
   entry._engineDataHandler = dataHandler;
 }
 
-async function readTerminalScreen(entry, lines) {
+// --- Guardrails: wall-time / token / stuck limits (see guardrails.js) ---
+// A session's own policy (entry.guardrails, set from the tab menu) over the policy
+// of the deepest context containing its cwd. Enforced only for agents the screen
+// classifier understands or that record a transcript, and only while busy.
+function contextGuardrailsFor(cwd) {
+  let best = null;
+  for (const c of contexts) {
+    if (!c.guardrails) continue;
+    for (const dir of c.dirs || []) {
+      if (pathInside(cwd, dir) && (!best || dir.length > best.len)) best = { len: dir.length, ctx: c };
+    }
+  }
+  return best ? best.ctx : null;
+}
+
+function sessionGuardrails(e) {
+  const ctx = e.cwd ? contextGuardrailsFor(e.cwd) : null;
+  return { policy: effectiveGuardrails(e.guardrails, ctx && ctx.guardrails), context: ctx };
+}
+
+function enforceGuardrails(e, id) {
+  if (e.killed || e.agentType === 'terminal' || e.agentType === 'tmux-attach') return;
+  const { policy } = sessionGuardrails(e);
+  if (!policy) { e.guardrailStuck = null; return; }
+  const now = Date.now();
+  const tripped = e.guardrailTripped || (e.guardrailTripped = {});
+  if (e.waitingForInput) {
+    // The turn ended: a stuck turn is over, and the next one gets its own chance.
+    e.guardrailStuck = null;
+    delete tripped.maxStuckMinutes;
+    return;
+  }
+  let stuckMs = 0;
+  const markers = getAgentConfig(e.agentType).screenMarkers;
+  if (policy.maxStuckMinutes && e.terminalScreen) {
+    const fp = screenFingerprint(e.terminalScreen.linesSync(40), markers && markers.spinner);
+    if (!e.guardrailStuck || e.guardrailStuck.fp !== fp) e.guardrailStuck = { fp, since: now };
+    stuckMs = now - e.guardrailStuck.since;
+  }
+  const breach = checkGuardrails(policy, {
+    wallMs: now - (e.createdAt || now),
+    tokens: e.guardrailTokens || 0,
+    stuckMs,
+  }, tripped);
+  if (breach) tripGuardrail(e, id, breach, policy.action);
+}
+
+function tripGuardrail(e, id, breach, action) {
+  const now = Date.now();
+  e.guardrailTripped[breach.rule] = now;
+  const message = describeBreach(breach, action);
+  const keys = ACTION_KEYS[action] || ACTION_KEYS.interrupt;
+  keys.forEach((key, i) => setTimeout(() => {
+    if (shells.get(id) === e && !e.killed) submitToShell(id, key, null, { noEnter: true });
+  }, i * 500));
+  e.guardrailNotice = { rule: breach.rule, action, message, at: now };
+  const msg = JSON.stringify({ type: 'guardrail', notice: e.guardrailNotice });
+  e.clients.forEach((c) => c.send(msg));
+  sessionLog.emit('event', {
+    type: 'guardrail', ts: now, session_id: id, name: e.name || null, cwd: e.cwd || null,
+    agentType: e.agentType || 'claude', rule: breach.rule, limit: breach.limit,
+    value: Math.round(breach.value), action,
+  });
+  log(`[guardrail] ${id} ${message}`);
+  saveState();
+}
+
+// Token use comes from the transcript, which is only worth re-reading every half
+// minute. Only sessions with a maxTokens limit are read at all; the index caches
+// by mtime, so a quiet session costs one stat.
+const guardrailUsageIndex = createUsageIndex();
+let guardrailTokenRefreshBusy = false;
+async function refreshGuardrailTokens() {
+  if (guardrailTokenRefreshBusy) return;
+  guardrailTokenRefreshBusy = true;
+  try {
+    const sources = [];
+    for (const [id, e] of shells) {
+      if (!sessionGuardrails(e).policy?.maxTokens) continue;
+      const { file } = transcriptFileFor(e);
+      if (file) sources.push({ file, agentType: e.agentType || 'claude', id });
+    }
+    for (const s of await guardrailUsageIndex.load(sources)) {
+      const e = shells.get(s.id);
+      if (e) e.guardrailTokens = s.records.reduce((n, r) => n + r.input + r.output + r.cacheWrite, 0);
+    }
+  } catch (err) {
+    log(`[guardrail] token refresh failed: ${err.message}`);
+  } finally {
+    guardrailTokenRefreshBusy = false;
+  }
+}
+setInterval(refreshGuardrailTokens, 30000).unref();
+
+// --- Web Push (see web-push.js for the protocol, push-rules.js for the policy) ---
+// Browsers subscribe through the service worker (public/sw.js) and the daemon keeps
+// their subscriptions, so a session that starts waiting reaches a phone or a closed
+// laptop lid — not only a deepsteve tab that happens to be visible. The VAPID key
+// pair is generated once and kept: a new one would orphan every subscription.
+const PUSH_FILE = path.join(DS_DIR, 'push-subscriptions.json');
+const VAPID_FILE = path.join(DS_DIR, 'vapid.json');
+const PUSH_SUBJECT = 'https://deepsteve.com';
+// Per session and kind: an agent that flips waiting/working every few seconds
+// while it retries something would otherwise buzz a phone each time.
+const PUSH_COOLDOWN_MS = 60 * 1000;
+// Let the screen settle before reading it: the waiting flag flips on the first
+// frame of a dialog, before its options have drawn.
+const PUSH_SETTLE_MS = 1500;
+
+let pushSubscriptions = [];
+try {
+  if (fs.existsSync(PUSH_FILE)) pushSubscriptions = (JSON.parse(fs.readFileSync(PUSH_FILE, 'utf8')) || []).filter(s => sanitizeSubscription(s));
+} catch { pushSubscriptions = []; }
+let vapidKeys = null;
+const pushCooldown = new Map(); // `${sessionId}:${kind}` → last push ts
+
+function savePushSubscriptions() {
+  try {
+    fs.mkdirSync(path.dirname(PUSH_FILE), { recursive: true });
+    const tmp = PUSH_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(pushSubscriptions, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, PUSH_FILE);
+  } catch (e) {
+    log(`[push] failed to save subscriptions: ${e.message}`);
+  }
+}
+
+function getVapidKeys() {
+  if (vapidKeys) return vapidKeys;
+  try {
+    const saved = JSON.parse(fs.readFileSync(VAPID_FILE, 'utf8'));
+    if (saved && saved.publicKey && saved.privateKey) return (vapidKeys = saved);
+  } catch {}
+  vapidKeys = generateVapidKeys();
+  fs.mkdirSync(path.dirname(VAPID_FILE), { recursive: true });
+  fs.writeFileSync(VAPID_FILE, JSON.stringify(vapidKeys, null, 2), { mode: 0o600 });
+  log('[push] generated VAPID key pair');
+  return vapidKeys;
+}
+
+// The deepest context containing `cwd`: its notification rules decide the mute,
+// and its name is the push's project.
+function contextForPath(cwd) {
+  let best = null;
+  for (const c of contexts) {
+    for (const dir of c.dirs || []) {
+      if (pathInside(cwd, dir) && (!best || dir.length > best.len)) best = { len: dir.length, ctx: c };
+    }
+  }
+  return best ? best.ctx : null;
+}
+
+function pushSessionLabel(e) {
+  return e.name || deriveSessionLabel(e) || path.basename(e.cwd || '') || 'Session';
+}
+
+/**
+ * Push one event to every subscription, unless the session's project mutes it or
+ * quiet hours hold it back. Resolves to the number of browsers it reached. Exposed
+ * to mods as ctx.pushNotify (scheduled-tasks reports finished runs through it).
+ */
+async function pushNotify(event) {
+  if (!pushSubscriptions.length) return 0;
+  const ctx = event.cwd ? contextForPath(event.cwd) : null;
+  const reason = event.test ? null : suppressReason(event.kind, { rules: ctx && ctx.notifications, quietHours: settings.pushQuietHours });
+  if (reason) return 0;
+  if (event.sessionId && !event.test) {
+    const key = `${event.sessionId}:${event.kind}`;
+    if (Date.now() - (pushCooldown.get(key) || 0) < PUSH_COOLDOWN_MS) return 0;
+    pushCooldown.set(key, Date.now());
+  }
+  const project = event.project || (ctx ? ctx.name : path.basename(event.cwd || ''));
+  const payload = JSON.stringify(buildNotification({ ...event, project }));
+  let delivered = 0;
+  let dropped = false;
+  await Promise.all(pushSubscriptions.slice().map(async (sub) => {
+    try {
+      const res = await sendNotification(sub, payload, { vapid: getVapidKeys(), subject: PUSH_SUBJECT, urgency: event.kind === 'permission' ? 'high' : 'normal', topic: event.sessionId });
+      if (res.statusCode === 404 || res.statusCode === 410) {
+        pushSubscriptions = pushSubscriptions.filter(s => s.endpoint !== sub.endpoint);
+        dropped = true;
+        log(`[push] subscription gone (${res.statusCode}), removed: ${new URL(sub.endpoint).host}`);
+      } else if (res.statusCode >= 400) {
+        log(`[push] ${new URL(sub.endpoint).host} answered ${res.statusCode}: ${res.body.slice(0, 200)}`);
+      } else {
+        delivered++;
+      }
+    } catch (err) {
+      log(`[push] send to ${new URL(sub.endpoint).host} failed: ${err.message}`);
+    }
+  }));
+  if (dropped) savePushSubscriptions();
+  return delivered;
+}
+
+// setWaiting's hook: once the screen has settled, push "needs approval" when a
+// dialog is up and "is waiting" otherwise. Scheduled runs only push for a dialog —
+// their finish is reported by the run itself, and an idle unattended session just
+// before it closes is not news.
+function pushOnWaiting(e, id) {
+  if (!pushSubscriptions.length || e.agentType === 'terminal' || e.agentType === 'tmux-attach') return;
+  setTimeout(() => {
+    if (shells.get(id) !== e || e.killed || !e.waitingForInput || !e.terminalScreen) return;
+    const lines = e.terminalScreen.linesSync(40);
+    const prompt = parseApprovalPrompt(lines);
+    if (!prompt && e.scheduled) return;
+    pushNotify({
+      kind: prompt ? 'permission' : 'waiting',
+      sessionId: id,
+      cwd: e.cwd,
+      label: pushSessionLabel(e),
+      prompt,
+      line: lastScreenLine(lines),
+    }).catch(err => log(`[push] ${err.message}`));
+  }, PUSH_SETTLE_MS).unref();
+}
+
+function terminalScreenOf(entry) {
   if (!entry.terminalScreen) {
     entry.terminalScreen = new TerminalScreen();
     for (const chunk of entry.scrollback || []) entry.terminalScreen.write(chunk);
   }
-  return entry.terminalScreen.lines(lines);
+  return entry.terminalScreen;
+}
+
+async function readTerminalScreen(entry, lines) {
+  return terminalScreenOf(entry).lines(lines);
+}
+
+// A picture of the same interpreted screen (terminal-render.js), in the active theme's
+// colours — what the screenshots mod's screenshot_terminal and GET
+// /api/shells/:id/screenshot return. No browser involved, so it works unattended.
+// Returns { body, type } for format 'png' (a Buffer) or 'svg' (a string).
+const TERMINAL_SCREENSHOT_MAX_SCROLLBACK = 500;
+async function renderTerminalScreenshot(entry, { format = 'png', scrollback = 0, scale } = {}) {
+  if (format !== 'png' && format !== 'svg') throw new Error(`Unknown format "${format}": use png or svg`);
+  const rows = Math.max(0, Math.min(TERMINAL_SCREENSHOT_MAX_SCROLLBACK, Math.round(Number(scrollback)) || 0));
+  const snapshot = await terminalScreenOf(entry).snapshot({ scrollback: rows });
+  const theme = terminalTheme(getActiveThemeCSS());
+  return format === 'svg'
+    ? { body: renderTerminalSvg(snapshot, { theme }), type: 'image/svg+xml' }
+    : { body: renderTerminalPng(snapshot, { theme, scale }), type: 'image/png' };
 }
 
 function disposeTerminalScreen(entry) {
@@ -2784,6 +3416,174 @@ function disposeTerminalScreen(entry) {
   entry.terminalScreen = null;
 }
 
+// --- Session recordings (session-recording.js) ---
+// With settings.recordSessions on, wireShellOutput hands every output chunk to the
+// session's recorder as well, and the replay page plays the file back. Keyed by id in
+// a Map of its own rather than on the shell entry: a natural exit reaches the close
+// funnel after the entry is gone, and the recorder still has to be closed then.
+const RECORDINGS_DIR = path.join(DS_DIR, 'recordings');
+const sessionRecorders = new Map(); // id → recorder
+// Ids whose recording was deleted while the session ran: wireShellOutput runs again
+// on every restore, and must not quietly start the recording over.
+const recordingDeclined = new Set();
+
+function shouldRecord(entry) {
+  if (entry.agentType === 'tmux-attach') return false; // not ours, and never persisted
+  if (settings.recordSessions === 'all') return true;
+  return settings.recordSessions === 'scheduled' && !!entry.scheduled;
+}
+
+// Idempotent: wireShellOutput runs again for the same session on every reattach, and
+// the recorder it already has just notes the new size.
+function startRecording(id, entry, cols, rows) {
+  const existing = sessionRecorders.get(id);
+  if (existing) { existing.resize(cols, rows); return; }
+  if (recordingDeclined.has(id) || !shouldRecord(entry)) return;
+  const file = recordingFile(RECORDINGS_DIR, id);
+  if (!file) return;
+  try {
+    sessionRecorders.set(id, createRecorder({
+      file, cols, rows, title: entry.name || null,
+      meta: { agentType: entry.agentType || 'claude', cwd: entry.cwd || null, ...(entry.scheduled ? { scheduled: true } : {}) },
+    }));
+  } catch (e) {
+    log(`[recording] could not record ${id}: ${e.message}`);
+  }
+}
+
+function recordingMarker(id, label) {
+  const recorder = sessionRecorders.get(id);
+  if (recorder) recorder.marker(label);
+}
+
+function stopRecording(id, why) {
+  const recorder = sessionRecorders.get(id);
+  if (!recorder) return;
+  if (why) recorder.marker(why);
+  recorder.close();
+  sessionRecorders.delete(id);
+}
+
+function pruneSessionRecordings() {
+  if (shuttingDown) return;
+  const removed = pruneRecordings(RECORDINGS_DIR, {
+    maxAgeDays: settings.recordingRetentionDays || 14,
+    maxTotalBytes: (settings.recordingsMaxMB || 1024) * 1024 * 1024,
+    active: new Set(sessionRecorders.keys()),
+  });
+  if (removed.length) log(`[retention] pruned ${removed.length} session recording(s)`);
+}
+
+// A detached tmux session goes on printing while the daemon is down, but none of
+// that reaches us; what did reach us must be on disk before the process goes.
+process.on('exit', () => {
+  for (const recorder of sessionRecorders.values()) recorder.close();
+});
+
+// --- Read-only share links (share-links.js) ---
+// A viewer socket is NOT one of entry.clients: those count toward "last client left"
+// (close-session kills the shell, a node-pty session is reaped) and receive control
+// messages meant for a tab that owns the session. Viewers get their own fan-out, in
+// their own message format, from the same data handler.
+const shareLinks = createShareLinks({ file: path.join(DS_DIR, 'share-links.json'), log });
+const shareViewers = new Map(); // session id → Set of viewer sockets
+
+function shareSend(id, msg) {
+  const viewers = shareViewers.get(id);
+  if (!viewers) return;
+  const data = JSON.stringify(msg);
+  for (const ws of viewers) {
+    if (ws.readyState === 1) try { ws.send(data); } catch {}
+  }
+}
+
+// Close the viewer sockets that match `pred`, telling each why first.
+function closeShareViewers(pred, type) {
+  for (const viewers of shareViewers.values()) {
+    for (const ws of viewers) {
+      if (!pred(ws.shareViewer)) continue;
+      try { ws.send(JSON.stringify({ type })); } catch {}
+      try { ws.close(4000, type); } catch {}
+    }
+  }
+}
+
+// The session ended: its links have nothing left to show. A daemon shutdown is not an
+// end — tmux sessions come back under the same id (#620), and so do their links.
+function endShareLinks(id) {
+  closeShareViewers(v => v.sessionId === id, 'gone');
+  if (!shuttingDown) shareLinks.revokeSession(id);
+}
+
+function expireShareLinks() {
+  const expired = new Set(shareLinks.expire());
+  if (expired.size) closeShareViewers(v => expired.has(v.grantId), 'expired');
+}
+setInterval(expireShareLinks, 15 * 1000);
+
+// Base URLs a link can be opened at from elsewhere. Loopback-bound (the default) is this
+// machine only; DEEPSTEVE_BIND=0.0.0.0 or a LAN address adds that address — the share
+// page and socket are exempt from the Host allowlist, so nothing else has to be widened.
+function shareBaseUrls() {
+  const lan = getLanAddresses().filter(a => a !== 'localhost' && a !== '127.0.0.1');
+  return [
+    ...(HTTPS_ENABLED ? lan.map(a => `https://${a}:${HTTPS_PORT}`) : []),
+    ...lan.map(a => `http://${a}:${PORT}`),
+    `http://localhost:${PORT}`,
+  ];
+}
+
+function handleShareConnection(ws, req) {
+  const grant = req.shareGrant;
+  const entry = shells.get(grant.sessionId);
+  if (!entry) {
+    try { ws.send(JSON.stringify({ type: 'gone' })); } catch {}
+    ws.close(4000, 'gone');
+    return;
+  }
+  const viewer = shareLinks.addViewer(grant, {
+    address: String(req.socket.remoteAddress || '').replace(/^::ffff:/, '') || null,
+    userAgent: req.headers['user-agent'],
+  });
+  ws.shareViewer = viewer;
+  log(`[share] viewer ${viewer.id} from ${viewer.address} watching ${grant.sessionId} (link ${grant.id})`);
+
+  const screen = entry.terminalScreen && entry.terminalScreen.terminal;
+  ws.send(JSON.stringify({
+    type: 'session', name: entry.name || null, label: grant.label,
+    cols: screen ? screen.cols : 120, rows: screen ? screen.rows : 40,
+    expiresAt: grant.expiresAt, waitingForInput: !!entry.waitingForInput,
+  }));
+  // The same replay a reconnecting tab gets, then live output from the data handler.
+  if (entry.scrollback && entry.scrollback.length) {
+    ws.send(JSON.stringify({ type: 'output', data: entry.scrollback.join('') }));
+  }
+  if (!shareViewers.has(grant.sessionId)) shareViewers.set(grant.sessionId, new Set());
+  shareViewers.get(grant.sessionId).add(ws);
+
+  let refused = false;
+  ws.on('message', (msg) => {
+    let parsed = null;
+    try { parsed = JSON.parse(msg.toString()); } catch {}
+    if (parsed && parsed.type === 'ping') { try { ws.send(JSON.stringify({ type: 'pong' })); } catch {} return; }
+    // Input, resize and everything else: this link can only watch. Said once, so a
+    // page that keeps trying learns why, and logged once, because it is worth knowing.
+    if (refused) return;
+    refused = true;
+    log(`[share] viewer ${viewer.id} sent ${parsed && parsed.type ? `"${String(parsed.type).slice(0, 40)}"` : 'input'} — refused, the link is read-only`);
+    try { ws.send(JSON.stringify({ type: 'error', message: 'This is a read-only view' })); } catch {}
+  });
+  ws.on('close', () => {
+    const viewers = shareViewers.get(grant.sessionId);
+    if (viewers) {
+      viewers.delete(ws);
+      if (!viewers.size) shareViewers.delete(grant.sessionId);
+    }
+    shareLinks.removeViewer(viewer.id);
+    log(`[share] viewer ${viewer.id} left ${grant.sessionId}`);
+  });
+}
+
 // Gracefully kill a shell
 function killShell(entry, id, reason = 'closed') {
   if (entry.killed) return;
@@ -3027,7 +3827,7 @@ function loadContexts() {
       const v = JSON.parse(fs.readFileSync(CONTEXTS_FILE, 'utf8'));
       contexts = (Array.isArray(v) ? v : [])
         .filter(c => c && typeof c.name === 'string')
-        .map(c => ({ id: c.id || genContextId(), name: c.name, dirs: Array.isArray(c.dirs) ? c.dirs.filter(Boolean) : [], icon: typeof c.icon === 'string' ? c.icon : '', iconImage: (c.iconImage === 'png' || c.iconImage === 'svg') ? c.iconImage : '', archived: c.archived === true, alwaysShowMods: c.alwaysShowMods !== false }));
+        .map(c => ({ id: c.id || genContextId(), name: c.name, dirs: Array.isArray(c.dirs) ? c.dirs.filter(Boolean) : [], icon: typeof c.icon === 'string' ? c.icon : '', iconImage: (c.iconImage === 'png' || c.iconImage === 'svg') ? c.iconImage : '', archived: c.archived === true, alwaysShowMods: c.alwaysShowMods !== false, guardrails: sanitizeGuardrails(c.guardrails), notifications: sanitizeNotifyRules(c.notifications), container: sanitizeContainerPolicy(c.container) }));
       return;
     }
   } catch (e) {
@@ -3193,7 +3993,7 @@ let stateFrozen = false;  // Set during shutdown to prevent onExit handlers from
 // field it omits is silently wiped for every live shell on a graceful restart
 // (configDir was lost this way, breaking #537 profile resumes — #542).
 function serializeShellEntry(entry) {
-  return { cwd: entry.cwd, claudeSessionId: entry.claudeSessionId, agentType: entry.agentType || 'claude', codexHomeId: entry.codexHomeId || null, configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', worktree: entry.worktree || null, name: entry.name || null, planMode: !!entry.planMode, model: entry.model || null, effort: entry.effort || null, allowedTools: Array.isArray(entry.allowedTools) && entry.allowedTools.length ? entry.allowedTools : null, forkParent: entry.forkParent || null, lastActivity: entry.lastActivity || null, createdAt: entry.createdAt || null, windowId: entry.windowId || null, scheduled: !!entry.scheduled, autopilot: !!entry.autopilot };
+  return { cwd: entry.cwd, claudeSessionId: entry.claudeSessionId, agentType: entry.agentType || 'claude', codexHomeId: entry.codexHomeId || null, configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', worktree: entry.worktree || null, name: entry.name || null, planMode: !!entry.planMode, model: entry.model || null, effort: entry.effort || null, allowedTools: Array.isArray(entry.allowedTools) && entry.allowedTools.length ? entry.allowedTools : null, forkParent: entry.forkParent || null, lastActivity: entry.lastActivity || null, createdAt: entry.createdAt || null, windowId: entry.windowId || null, scheduled: !!entry.scheduled, autopilot: !!entry.autopilot, guardrails: entry.guardrails || null, guardrailTripped: entry.guardrailTripped && Object.keys(entry.guardrailTripped).length ? entry.guardrailTripped : null, owner: entry.owner || null };
 }
 
 // #561: a session record is never hard-deleted by any runtime path. Every close
@@ -3213,6 +4013,13 @@ function tombstoneSession(id, entry, reason) {
   // re-checks the entry identity at fire time and would drop a stale timer anyway —
   // this just frees it now rather than at its deadline.)
   sessionAutoClose.cancel(id, 'session closed');
+  // A container is disposable: once its session is closed nothing will attach to it
+  // again (a restore starts a fresh one), so remove it here, in the background, rather
+  // than leave a stopped container per closed tab. The boot reclaim catches any this
+  // misses.
+  if (entry.engineType === 'container') {
+    containerEngine.discard(id, (err) => { if (err) log(`container: could not remove ds-${id}: ${err.message}`); });
+  }
   if (entry.agentType === 'tmux-attach') return; // ephemeral — never persisted
   savedState[id] = {
     ...serializeShellEntry(entry),
@@ -3324,6 +4131,8 @@ function pruneClosedSessions() {
 // `shells` Map, which is declared (const, TDZ) much further down this file.
 setTimeout(pruneClosedSessions, 10000);
 setInterval(pruneClosedSessions, 6 * 60 * 60 * 1000);
+setTimeout(pruneSessionRecordings, 10000);
+setInterval(pruneSessionRecordings, 6 * 60 * 60 * 1000);
 
 async function shutdown(signal) {
   log(`Received ${signal}, saving state...`);
@@ -3367,6 +4176,8 @@ async function shutdown(signal) {
   for (const [, entry] of shells) {
     entry.clients.forEach((c) => { try { c.terminate(); } catch {} });
   }
+  shareWss.close();
+  for (const viewers of shareViewers.values()) viewers.forEach((c) => { try { c.terminate(); } catch {} });
 
   const allEntries = [...shells.entries()];
   if (allEntries.length === 0) {
@@ -3781,7 +4592,7 @@ app.post('/api/version/check', async (req, res) => {
   }
 });
 
-app.post('/api/update/git-pull', async (req, res) => {
+app.post('/api/update/git-pull', requireAdmin, async (req, res) => {
   try {
     await applyGitPull();
     res.json({ ok: true, action: 'restarting' });
@@ -3791,7 +4602,7 @@ app.post('/api/update/git-pull', async (req, res) => {
   }
 });
 
-app.post('/api/update/curl-reinstall', async (req, res) => {
+app.post('/api/update/curl-reinstall', requireAdmin, async (req, res) => {
   try {
     if (pendingAutoApply) cancelAutoApply();
     await applyCurlReinstall();
@@ -3802,7 +4613,7 @@ app.post('/api/update/curl-reinstall', async (req, res) => {
   }
 });
 
-app.delete('/api/update/pending', (req, res) => {
+app.delete('/api/update/pending', requireAdmin, (req, res) => {
   const cancelled = cancelAutoApply();
   res.json({ ok: true, cancelled });
 });
@@ -3849,6 +4660,25 @@ app.get('/api/agents', (req, res) => {
       binary,
     };
   });
+  // Manifest agents (~/.deepsteve/agents/*.json) after the built-ins. Same row shape,
+  // so the picker and Settings render them with no special case; `manifest` names the
+  // file so the UI can say where an agent came from. Their binary lives in the
+  // manifest, so there is no binarySetting to edit.
+  for (const m of agentRegistry.list()) {
+    const available = binaryAvailable(m.binary);
+    agents.push({
+      id: m.id,
+      name: m.name,
+      shortName: m.shortName,
+      tier: m.tier,
+      available,
+      enabled: available && enabledAgents.includes(m.id),
+      isDefault: defaultAgent === m.id,
+      binarySetting: null,
+      binary: m.binary,
+      manifest: m.file,
+    });
+  }
   // Custom Claude config profiles (#537): appended at the END so they render last in
   // every picker. id is 'config:<pid>' so the client distinguishes them; the runtime
   // agentType stays 'claude' (resolved to a CLAUDE_CONFIG_DIR at spawn). configDir is
@@ -3871,9 +4701,17 @@ app.get('/api/agents', (req, res) => {
   res.json({ agents, defaultAgent });
 });
 
+// Every role reads settings (the UI runs off them), but a trigger token or a webhook
+// secret is a credential: only an admin, who can change them anyway, sees those.
 app.get('/api/settings', (req, res) => {
   const themeCSS = getActiveThemeCSS();
-  res.json({ ...settings, themeCSS });
+  const out = { ...settings, themeCSS };
+  if (!roleAtLeast(req.user?.role, 'admin')) {
+    for (const entry of SETTINGS_SCHEMA) {
+      if (entry.redact && Array.isArray(out[entry.name])) out[entry.name] = entry.redact(out[entry.name]);
+    }
+  }
+  res.json(out);
 });
 
 app.get('/api/settings/defaults', (req, res) => res.json(buildDefaults()));
@@ -3894,6 +4732,20 @@ app.get('/api/engines', (req, res) => {
       { id: 'tmux', name: 'tmux', available: !!tmuxEngine, version: tmuxEngine?.version || null,
         reason: tmuxUnavailableReason },
     ],
+    // Remote hosts this daemon has talked to (engines/ssh.js). Not selectable as a
+    // default — a session goes remote by having a `host:/path` cwd — so they are
+    // listed apart from `engines`, for the settings panel to show their state.
+    sshHosts: [...sshEngines.values()].map(e => ({
+      host: e.host, available: e.available, version: e.version,
+      reason: e.unavailableReason, forwardError: e.forwardError,
+    })),
+    // The container runtime behind sandboxes (engines/container.js), as last probed —
+    // not probed here, since `docker version` against a stopped Docker Desktop takes
+    // its full timeout. Saving a project's sandbox probes it.
+    container: {
+      runtime: containerEngine.flavor, available: containerEngine.available,
+      version: containerEngine.version, reason: containerEngine.unavailableReason,
+    },
     current: settings.engine || 'node-pty',
     tmuxAvailable: !!tmuxEngine,
     // The binary exists but can't actually create sessions here (see
@@ -3957,7 +4809,7 @@ app.get('/api/tmux-sessions', (req, res) => {
   res.json({ sessions });
 });
 
-app.post('/api/settings', (req, res) => {
+app.post('/api/settings', requireAdmin, (req, res) => {
   const warnings = applySettingsFromBody(req.body, settings);
   saveSettings();
   broadcastSettings();
@@ -3991,6 +4843,7 @@ const BUILTIN_COMMANDS = [
   { id: 'overview-mode', type: 'builtin', name: 'Overview Mode', description: 'Show all terminals at once' },
   { id: 'shortcuts-help', type: 'builtin', name: 'Keyboard Shortcuts', description: 'Show all keyboard shortcuts' },
   { id: 'restore-sessions', type: 'builtin', name: 'Restore Sessions', description: 'Recover sessions from closed windows and tombstones' },
+  { id: 'session-replay', type: 'builtin', name: 'Session Replay', description: 'Play back recorded sessions' },
 ];
 
 function getCustomCommands() {
@@ -4094,6 +4947,9 @@ app.post('/api/themes/active', (req, res) => {
 // --- Mods system ---
 const MODS_DIR = path.join(__dirname, 'mods');
 const BUILTIN_MODS = new Set(['browser-console', 'tasks', 'screenshots', 'go-karts', 'tower', 'deepsteve-core', 'agent-dna']);
+// Marketplace installs: versions replaced by an update are kept in DS_DIR/mod-history
+// for rollback, and DS_DIR/mod-installs.json records how each install was verified.
+const modInstaller = modCatalog.createModInstaller({ modsDir: MODS_DIR, stateDir: DS_DIR, log });
 
 // --- Skills system ---
 // The two agent-config dirs hang off agentHomeDir(), NOT os.homedir() (#641). They are
@@ -4337,17 +5193,6 @@ function provisionAllProfileSkills(profiles) {
   for (const p of list) provisionProfileSkills(expandTilde(p && p.configDir));
 }
 
-// Compare two semver strings (major.minor.patch). Returns -1, 0, or 1.
-function compareSemver(a, b) {
-  const pa = a.split('.').map(Number);
-  const pb = b.split('.').map(Number);
-  for (let i = 0; i < 3; i++) {
-    if ((pa[i] || 0) < (pb[i] || 0)) return -1;
-    if ((pa[i] || 0) > (pb[i] || 0)) return 1;
-  }
-  return 0;
-}
-
 app.get('/api/mods', (req, res) => {
   try {
     if (!fs.existsSync(MODS_DIR)) return res.json({ mods: [], deepsteveVersion: pkg.version, mcpReady: isMcpReady() });
@@ -4366,7 +5211,12 @@ app.get('/api/mods', (req, res) => {
         // a third-party mod installed via POST /api/mods/install, whose manifest we do not
         // control and which may still ship a stale tools array, cannot override the real
         // answer. A mod with no tools.js reports [].
-        mods.push({ id: entry.name, source, compatible, ...manifest, tools: getModTools(entry.name) });
+        // `install` is what mod-catalog.js recorded for a marketplace mod — version
+        // verification, pin, and the versions it can roll back to — so the Mods modal
+        // can offer rollback even when the catalog can't be reached. After the spread too,
+        // for the same reason as `tools`.
+        const install = source === 'built-in' ? null : modInstaller.describe(entry.name);
+        mods.push({ id: entry.name, source, compatible, ...manifest, tools: getModTools(entry.name), install });
       } catch { /* skip dirs without valid mod.json */ }
     }
     // Append skills
@@ -4544,28 +5394,32 @@ app.delete('/api/automations/:id', (req, res) => {
 });
 
 // --- Run an automation (spawn session with automation body as prompt) ---
-app.post('/api/start-automation', (req, res) => {
-  const { automationId, windowId: rawWindowId, sessionId } = req.body;
+// Shared by the route below and inbound triggers (mods/scheduled-tasks, via the initMCP
+// ctx). `extraPrompt` is appended to the automation's instructions — a trigger's rendered
+// payload. Returns { id, name }, or { error: { status, message, code?, cwd? } } like
+// startIssueSession's refusals.
+function startAutomation(automationId, { windowId: rawWindowId, sessionId, extraPrompt, background = false } = {}) {
   if (!automationId || !AUTOMATION_ID_RE.test(automationId)) {
-    return res.status(400).json({ error: 'Invalid automation ID' });
+    return { error: { status: 400, message: 'Invalid automation ID' } };
   }
 
   // Read automation file
   const filePath = path.join(AUTOMATIONS_DIR, `${automationId}.md`);
   if (!path.resolve(filePath).startsWith(path.resolve(AUTOMATIONS_DIR) + path.sep)) {
-    return res.status(400).json({ error: 'Invalid automation ID' });
+    return { error: { status: 400, message: 'Invalid automation ID' } };
   }
   let content;
   try {
     content = fs.readFileSync(filePath, 'utf8');
   } catch {
-    return res.status(404).json({ error: 'Automation not found' });
+    return { error: { status: 404, message: 'Automation not found' } };
   }
   const meta = parseSkillFrontmatter(content);
-  const prompt = content.replace(/^---\n[\s\S]*?\n---\n*/, '');
-  if (!prompt.trim()) {
-    return res.status(400).json({ error: 'Automation has no instructions' });
+  const body = content.replace(/^---\n[\s\S]*?\n---\n*/, '');
+  if (!body.trim()) {
+    return { error: { status: 400, message: 'Automation has no instructions' } };
   }
+  const prompt = extraPrompt ? `${body.trimEnd()}\n\n${extraPrompt}` : body;
 
   // Resolve windowId and agentType from caller's session
   let windowId = rawWindowId;
@@ -4596,10 +5450,10 @@ app.post('/api/start-automation', (req, res) => {
   // Covers both inputs: the configured repo above, and the caller's own cwd, which is
   // the one that goes stale on its own (a worktree merged away under the session that
   // triggered this).
-  const cwdProblem = spawnCwdProblem(cwd);
+  const cwdProblem = sessionCwdProblem(cwd);
   if (cwdProblem) {
     log(`[API] start-automation ${automationId} refused: ${cwdProblem.message}`);
-    return res.status(400).json({ error: cwdProblem.message, code: cwdProblem.code, cwd: cwdProblem.cwd });
+    return { error: { status: 400, message: cwdProblem.message, code: cwdProblem.code, cwd: cwdProblem.cwd } };
   }
 
   const id = randomUUID().slice(0, 8);
@@ -4613,7 +5467,7 @@ app.post('/api/start-automation', (req, res) => {
   // spawnSession returns the engine that actually spawned — it can fall back from
   // tmux to node-pty (#620), and engineType must record what happened.
   const sessionEngine = spawnSession(getDefaultEngine(), id, agentType, spawnArgs, cwd, { cols: 120, rows: 40, env: sessionEnv(id, { name, windowId: windowId || null, cwd, agentType, configDir }) });
-  const engineType = sessionEngine === tmuxEngine ? 'tmux' : 'node-pty';
+  const engineType = engineTypeOf(sessionEngine);
   log(`[API] start-automation "${automationId}": id=${id}, agent=${agentType}, engine=${engineType}, cwd=${cwd}`);
   shells.set(id, { clients: new Set(), cwd, claudeSessionId, agentType, codexHomeId: agentType === 'codex' ? id : null, configDir: configDir || null, engine: sessionEngine, engineType, worktree: null, windowId: windowId || null, name, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now(), prefill: true });
   wireShellOutput(id);
@@ -4627,111 +5481,178 @@ app.post('/api/start-automation', (req, res) => {
   });
   saveState();
 
-  deliverToWindow({ type: 'open-session', id, cwd, name, windowId, prefill: true }, windowId);
-  res.json({ id, name });
+  // `background` leaves the tab unfocused, like a scheduled fire (#600): nobody at the
+  // keyboard asked for a triggered run.
+  deliverToWindow({ type: 'open-session', id, cwd, name, windowId, prefill: true, ...(background ? { background: true } : {}) }, windowId);
+  return { id, name };
+}
+
+app.post('/api/start-automation', (req, res) => {
+  const { automationId, windowId, sessionId } = req.body;
+  const result = startAutomation(automationId, { windowId, sessionId });
+  if (result.error) {
+    const { status, message, code, cwd } = result.error;
+    return res.status(status).json({ error: message, ...(code ? { code, cwd } : {}) });
+  }
+  res.json(result);
 });
 
-// Catalog: fetch remote mod catalog with caching
-let catalogCache = null;
-let catalogCacheTime = 0;
+// Catalog: read from settings.modCatalogSource (the public catalog by default), cached.
+// The cache holds the catalog as read; what is installed is annotated per request, so
+// an install or a pin shows at once.
+let catalogCache = null; // { source, time, catalog }
 const CATALOG_TTL = 5 * 60 * 1000; // 5 minutes
 
-app.get('/api/mods/catalog', async (req, res) => {
-  const now = Date.now();
-  if (catalogCache && (now - catalogCacheTime) < CATALOG_TTL) {
-    return res.json(catalogCache);
+async function getModCatalog({ refresh = false } = {}) {
+  const source = settings.modCatalogSource || '';
+  if (!refresh && catalogCache && catalogCache.source === source && (Date.now() - catalogCache.time) < CATALOG_TTL) {
+    return catalogCache.catalog;
   }
+  const catalog = await modCatalog.loadCatalog(source);
+  catalogCache = { source, time: Date.now(), catalog };
+  return catalog;
+}
+
+// What mod-catalog.js knows of every installed marketplace mod, for annotateCatalog.
+function installedModRecords() {
+  const installed = new Map();
   try {
-    const resp = await fetch('https://raw.githubusercontent.com/deepsteve/deepsteve-mods/main/catalog.json', {
-      signal: AbortSignal.timeout(10000)
-    });
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    const catalog = await resp.json();
+    for (const entry of fs.readdirSync(MODS_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory() || BUILTIN_MODS.has(entry.name) || !modCatalog.validModId(entry.name)) continue;
+      const record = modInstaller.describe(entry.name);
+      if (record) installed.set(entry.name, record);
+    }
+  } catch {}
+  return installed;
+}
 
-    // Read installed mods to annotate catalog entries
-    const installedMods = new Map();
-    try {
-      if (fs.existsSync(MODS_DIR)) {
-        for (const entry of fs.readdirSync(MODS_DIR, { withFileTypes: true })) {
-          if (!entry.isDirectory()) continue;
-          try {
-            const manifest = JSON.parse(fs.readFileSync(path.join(MODS_DIR, entry.name, 'mod.json'), 'utf8'));
-            if (manifest.version) installedMods.set(entry.name, manifest.version);
-          } catch {}
-        }
-      }
-    } catch {}
+// mod-catalog.js error codes → HTTP status. Anything else is a 500.
+const MOD_ERROR_STATUS = {
+  INVALID: 422, VERSION: 422, CHECKSUM: 422, UNSIGNED: 403, UNTRUSTED: 403,
+  NOT_FOUND: 404, NO_HISTORY: 404, INCOMPATIBLE: 409, PINNED: 409, CATALOG: 502, DOWNLOAD: 502,
+};
 
-    const annotated = (catalog.mods || []).map(mod => {
-      const installed = installedMods.has(mod.id);
-      const installedVersion = installed ? installedMods.get(mod.id) : null;
-      const updateAvailable = installed && mod.version ? compareSemver(mod.version, installedVersion) > 0 : false;
-      const compatible = !mod.minDeepsteveVersion || compareSemver(pkg.version, mod.minDeepsteveVersion) >= 0;
-      return { ...mod, installed, installedVersion, updateAvailable, compatible };
-    });
+function sendModError(res, what, id, e) {
+  log(`Mod ${what} failed (${id}): ${e.message}`);
+  res.status(MOD_ERROR_STATUS[e.code] || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+}
+
+// An installed or rolled-back mod's files changed under it: re-watch, and let open
+// windows reload it.
+function modFilesReplaced(id) {
+  watchModDirs();
+  broadcast({ type: 'mod-changed', modId: id });
+}
 
-    const result = { mods: annotated };
-    catalogCache = result;
-    catalogCacheTime = now;
-    res.json(result);
+app.get('/api/mods/catalog', async (req, res) => {
+  try {
+    const catalog = await getModCatalog({ refresh: req.query.refresh === '1' });
+    const mods = modCatalog.annotateCatalog(catalog, { installed: installedModRecords(), deepsteveVersion: pkg.version });
+    res.json({ source: catalog.source, mods });
   } catch (e) {
     log(`Catalog fetch failed: ${e.message}`);
-    res.json({ mods: [] });
+    res.json({ mods: [], error: e.message });
   }
 });
 
-// Install a mod from a remote tarball
-app.post('/api/mods/install', async (req, res) => {
-  const { id, downloadUrl } = req.body;
-  if (!id || !downloadUrl) return res.status(400).json({ error: 'id and downloadUrl required' });
+// Install, update or downgrade a mod from the catalog: { id, version?, pin? }. Without
+// a version, the newest one this deepsteve can run — refused for a pinned mod, whose
+// point is not to move until someone names a version. The package is checked against
+// the release's sha256 and signature (verifyPackage) before it replaces anything.
+// { id, downloadUrl } is the original form: it installs the catalog release at that
+// URL when there is one, and otherwise an unlisted tarball, which can only be checked
+// against a sha256 sent with it and is refused when signatures are required.
+app.post('/api/mods/install', requireAdmin, async (req, res) => {
+  const { id, version, downloadUrl, pin } = req.body;
+  if (!id) return res.status(400).json({ error: 'id required' });
 
   // Validate mod ID is filesystem-safe
-  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(id) || id.length > 128) {
+  if (!modCatalog.validModId(id)) {
     return res.status(400).json({ error: 'Invalid mod ID' });
   }
   if (BUILTIN_MODS.has(id)) {
     return res.status(400).json({ error: 'Cannot overwrite built-in mod' });
   }
 
-  const modDir = path.join(MODS_DIR, id);
-  const tmpFile = path.join(os.tmpdir(), `deepsteve-mod-${id}-${Date.now()}.tar.gz`);
-
   try {
-    // Download tarball
-    const resp = await fetch(downloadUrl, { signal: AbortSignal.timeout(30000) });
-    if (!resp.ok) throw new Error(`Download failed: HTTP ${resp.status}`);
-    const buffer = Buffer.from(await resp.arrayBuffer());
-    fs.writeFileSync(tmpFile, buffer);
-
-    // Create mod directory and extract
-    fs.mkdirSync(modDir, { recursive: true });
-    execSync(`tar xzf '${tmpFile}' -C '${modDir}' --strip-components=1`, { timeout: 10000 });
-
-    // Validate mod.json exists
-    const manifestPath = path.join(modDir, 'mod.json');
-    if (!fs.existsSync(manifestPath)) {
-      fs.rmSync(modDir, { recursive: true, force: true });
-      throw new Error('Invalid mod: no mod.json found');
+    let release = null;
+    if (downloadUrl && !version) {
+      const catalog = await getModCatalog().catch(() => null);
+      const entry = catalog && catalog.mods.find(m => m.id === id);
+      release = entry ? entry.versions.find(r => r.downloadUrl === downloadUrl) || null : null;
+      if (!release) {
+        if (!/^https?:\/\//i.test(downloadUrl)) return res.status(400).json({ error: 'downloadUrl must be an http(s) URL' });
+        if (settings.modRequireSignatures) {
+          return res.status(403).json({ error: `${downloadUrl} is not in the mod catalog, and this install requires signed mods`, code: 'UNSIGNED' });
+        }
+        const sha256 = typeof req.body.sha256 === 'string' ? req.body.sha256.toLowerCase() : null;
+        release = { downloadUrl, sha256 };
+      }
+    } else {
+      const catalog = await getModCatalog();
+      const entry = catalog.mods.find(m => m.id === id);
+      if (!entry) return res.status(404).json({ error: `Mod "${id}" is not in the catalog`, code: 'NOT_FOUND' });
+      const current = modInstaller.describe(id);
+      if (!version && current && current.pinned && !pin) {
+        return res.status(409).json({ error: `${id} is pinned to v${current.version}; unpin it or name a version`, code: 'PINNED' });
+      }
+      release = version ? entry.versions.find(r => r.version === version) : modCatalog.latestCompatible(entry, pkg.version);
+      if (!release) {
+        return version
+          ? res.status(404).json({ error: `The catalog has no ${id} v${version}`, code: 'NOT_FOUND' })
+          : res.status(409).json({ error: `No version of ${id} runs on deepsteve v${pkg.version}`, code: 'INCOMPATIBLE' });
+      }
+      if (!modCatalog.isCompatible(release, pkg.version)) {
+        return res.status(409).json({ error: `${id} v${release.version} requires deepsteve v${release.minDeepsteveVersion}+`, code: 'INCOMPATIBLE' });
+      }
     }
 
-    // Write source marker
-    fs.writeFileSync(path.join(modDir, '.source'), 'official');
+    const buffer = await modCatalog.readPackage(release.downloadUrl);
+    const verification = modCatalog.verifyPackage(buffer, {
+      id, release, trustedKeys: settings.modTrustedKeys || [], requireSignature: !!settings.modRequireSignatures,
+    });
+    const record = modInstaller.install(id, buffer, { release, verification, source: release.downloadUrl, pin: !!pin });
+    modFilesReplaced(id);
+    const signed = verification.signer ? `signed by ${verification.signer.name} ${verification.signer.fingerprint}` : `signature ${verification.signature}`;
+    log(`Installed mod: ${id} v${record.version} (checksum ${verification.checksum}, ${signed})`);
+    res.json({ ok: true, id, ...record });
+  } catch (e) {
+    sendModError(res, 'install', id, e);
+  }
+});
 
-    // Refresh file watchers
-    watchModDirs();
+// Put back the version an update replaced (or { version } from the install's history).
+// Works from DS_DIR/mod-history alone — no catalog needed. The mod is left pinned.
+app.post('/api/mods/rollback', requireAdmin, (req, res) => {
+  const { id, version } = req.body;
+  if (!id || !modCatalog.validModId(id)) return res.status(400).json({ error: 'Invalid mod ID' });
+  if (BUILTIN_MODS.has(id)) return res.status(400).json({ error: 'Cannot roll back a built-in mod' });
+  try {
+    const record = modInstaller.rollback(id, version || null);
+    modFilesReplaced(id);
+    res.json({ ok: true, id, ...record });
+  } catch (e) {
+    sendModError(res, 'rollback', id, e);
+  }
+});
 
-    log(`Installed mod: ${id}`);
-    res.json({ ok: true, id });
+// Pin (or unpin) an installed mod at its version: { id, pinned }. A pinned mod is never
+// shown an update, and an install without a version leaves it where it is.
+app.post('/api/mods/pin', requireAdmin, (req, res) => {
+  const { id, pinned } = req.body;
+  if (!id || !modCatalog.validModId(id)) return res.status(400).json({ error: 'Invalid mod ID' });
+  if (BUILTIN_MODS.has(id)) return res.status(400).json({ error: 'Built-in mods are not versioned separately' });
+  try {
+    const record = modInstaller.setPinned(id, pinned !== false);
+    log(`Mod ${record.pinned ? 'pinned' : 'unpinned'}: ${id} v${record.version}`);
+    res.json({ ok: true, id, ...record });
   } catch (e) {
-    log(`Mod install failed (${id}): ${e.message}`);
-    res.status(500).json({ error: e.message });
-  } finally {
-    try { fs.unlinkSync(tmpFile); } catch {}
+    sendModError(res, 'pin', id, e);
   }
 });
 
 // Uninstall a mod
-app.post('/api/mods/uninstall', (req, res) => {
+app.post('/api/mods/uninstall', requireAdmin, (req, res) => {
   const { id } = req.body;
   if (!id) return res.status(400).json({ error: 'id required' });
 
@@ -4751,6 +5672,8 @@ app.post('/api/mods/uninstall', (req, res) => {
 
   try {
     fs.rmSync(modDir, { recursive: true, force: true });
+    // Its kept versions go with it: rollback is for an installed mod.
+    if (modCatalog.validModId(id)) modInstaller.forget(id);
     watchModDirs();
     log(`Uninstalled mod: ${id}`);
     res.json({ ok: true, id });
@@ -4859,8 +5782,8 @@ app.delete('/api/screenshots/:id', (req, res) => {
 });
 
 app.get('/api/shells', (req, res) => {
-  const active = [...shells.entries()].map(([id, entry]) => ({ id, pid: (entry.engine || ptyEngine).getPid(id), cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', status: 'active', lastActivity: entry.lastActivity || null, connectedClients: entry.clients.size, waitingForInput: !!entry.waitingForInput, lastBelTime: entry.lastBelTime || null, lastInputTime: entry.lastInputTime || null }));
-  const saved = Object.entries(savedState).map(([id, entry]) => ({ id, cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', status: entry.closed ? 'closed' : 'saved', lastActivity: entry.lastActivity || null, closedAt: entry.closedAt || null, closeReason: entry.closeReason || null, connectedClients: 0 }));
+  const active = [...shells.entries()].map(([id, entry]) => ({ id, pid: (entry.engine || ptyEngine).getPid(id), cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', owner: entry.owner || null, status: 'active', lastActivity: entry.lastActivity || null, connectedClients: entry.clients.size, waitingForInput: !!entry.waitingForInput, lastBelTime: entry.lastBelTime || null, lastInputTime: entry.lastInputTime || null }));
+  const saved = Object.entries(savedState).map(([id, entry]) => ({ id, cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', owner: entry.owner || null, status: entry.closed ? 'closed' : 'saved', lastActivity: entry.lastActivity || null, closedAt: entry.closedAt || null, closeReason: entry.closeReason || null, connectedClients: 0 }));
   res.json({ shells: [...active, ...saved] });
 });
 
@@ -4985,7 +5908,7 @@ app.get('/api/recoverable-sessions', (req, res) => {
   const cwdSeen = new Map();
   const cwdMissing = (cwd) => {
     if (!cwd) return false;
-    if (!cwdSeen.has(cwd)) cwdSeen.set(cwd, !!spawnCwdProblem(cwd));
+    if (!cwdSeen.has(cwd)) cwdSeen.set(cwd, !!sessionCwdProblem(cwd));
     return cwdSeen.get(cwd);
   };
 
@@ -5048,7 +5971,7 @@ app.get('/api/recoverable-sessions', (req, res) => {
   });
 });
 
-app.post('/api/shells/killall', (req, res) => {
+app.post('/api/shells/killall', requireAdmin, (req, res) => {
   // #562: killall destroys EVERY session on this server. Its only callers are the
   // integration tests; a stray test run against a live daemon once wiped all of a
   // developer's sessions. Only a DEEPSTEVE_TEST_MODE=1 instance will honor it.
@@ -5171,6 +6094,73 @@ app.post('/api/shells/:id/autopilot', (req, res) => {
   res.json({ id: req.params.id, autopilot: entry.autopilot });
 });
 
+// Guardrails (see guardrails.js). GET reports the session's own policy, the
+// project's it inherits, and the merge that is actually enforced; POST replaces the
+// session's own. Changing it re-arms every limit — raising a limit that already
+// tripped should be able to trip again.
+function guardrailsView(id, entry) {
+  const { policy, context } = sessionGuardrails(entry);
+  return {
+    id,
+    guardrails: entry.guardrails || null,
+    context: context ? { id: context.id, name: context.name, guardrails: context.guardrails } : null,
+    effective: policy,
+    tokens: entry.guardrailTokens || 0,
+    notice: entry.guardrailNotice || null,
+  };
+}
+
+app.get('/api/shells/:id/guardrails', (req, res) => {
+  const entry = shells.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Shell not found' });
+  res.json(guardrailsView(req.params.id, entry));
+});
+
+app.post('/api/shells/:id/guardrails', (req, res) => {
+  const entry = shells.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Shell not found' });
+  entry.guardrails = sanitizeGuardrails(req.body?.guardrails);
+  entry.guardrailTripped = {};
+  entry.guardrailStuck = null;
+  saveState();
+  refreshGuardrailTokens();
+  log(`[API] guardrails for ${req.params.id}: ${JSON.stringify(entry.guardrails)}`);
+  res.json(guardrailsView(req.params.id, entry));
+});
+
+// Web Push subscriptions (see the push section above). The browser fetches the
+// public key, subscribes with it and posts the subscription back; subscribing the
+// same endpoint again replaces its keys.
+app.get('/api/push', (req, res) => {
+  res.json({ publicKey: getVapidKeys().publicKey, subscriptions: pushSubscriptions.length, quietHours: settings.pushQuietHours || null });
+});
+
+app.post('/api/push/subscribe', (req, res) => {
+  const sub = sanitizeSubscription(req.body?.subscription);
+  if (!sub) return res.status(400).json({ error: 'subscription with an https endpoint and p256dh/auth keys required' });
+  pushSubscriptions = pushSubscriptions.filter(s => s.endpoint !== sub.endpoint);
+  pushSubscriptions.push({ ...sub, createdAt: Date.now(), userAgent: String(req.get('user-agent') || '').slice(0, 200) });
+  savePushSubscriptions();
+  log(`[push] subscribed ${new URL(sub.endpoint).host} (${pushSubscriptions.length} total)`);
+  res.json({ subscriptions: pushSubscriptions.length });
+});
+
+app.post('/api/push/unsubscribe', (req, res) => {
+  const endpoint = req.body?.endpoint;
+  if (typeof endpoint !== 'string') return res.status(400).json({ error: 'endpoint required' });
+  const before = pushSubscriptions.length;
+  pushSubscriptions = pushSubscriptions.filter(s => s.endpoint !== endpoint);
+  if (pushSubscriptions.length !== before) savePushSubscriptions();
+  res.json({ subscriptions: pushSubscriptions.length });
+});
+
+// Ignores mute rules, quiet hours and the cooldown: it answers "does push reach me".
+app.post('/api/push/test', async (req, res) => {
+  if (!pushSubscriptions.length) return res.status(409).json({ error: 'No browser is subscribed' });
+  const delivered = await pushNotify({ kind: 'test', test: true, label: 'deepsteve', line: 'Test notification — push is working.' });
+  res.json({ delivered, subscriptions: pushSubscriptions.length });
+});
+
 app.get('/api/shells/:id/state', (req, res) => {
   const id = req.params.id;
   const entry = shells.get(id);
@@ -5236,6 +6226,470 @@ app.get('/api/shells/:id/info', (req, res) => {
   });
 });
 
+// --- Headless session control: the `deepsteve open/send/tail` CLI verbs ---
+// `ls` and `close` already have routes (GET /api/shells, POST /api/shells/:id/close);
+// these three are the rest of what a Makefile or a git hook needs to drive a session
+// without a browser. They reuse the UI's own pipelines rather than copying them:
+// spawning goes through the same spawnSession/wireShellOutput/onExit sequence as
+// start-automation, a prompt through deliverPromptWhenReady, and the screen through
+// readTerminalScreen — so a CLI-driven tab is indistinguishable from one the browser
+// opened, and shows up in any browser window that is connected.
+
+app.post('/api/shells', (req, res) => {
+  const b = req.body || {};
+  // Same `config:<pid>` convention as start-issue: a Claude profile rides in the
+  // agent field, and the runtime agentType stays 'claude'.
+  let agentType = typeof b.agentType === 'string' && b.agentType ? b.agentType : 'claude';
+  let configProfile = b.configProfile || null;
+  if (agentType.startsWith('config:')) { configProfile = agentType.slice('config:'.length); agentType = 'claude'; }
+  if (agentType !== 'terminal' && !AGENT_TYPES.includes(agentType)) {
+    return res.status(400).json({ error: `Unknown agent "${agentType}". Valid: terminal, ${AGENT_TYPES.join(', ')}` });
+  }
+  const configDir = configProfile && agentType === 'claude' ? resolveConfigDir(configProfile) : null;
+
+  const cwd = expandTilde(b.cwd || process.env.HOME);
+  const cwdProblem = sessionCwdProblem(cwd);
+  if (cwdProblem) {
+    log(`[API] open refused: ${cwdProblem.message}`);
+    return res.status(400).json({ error: cwdProblem.message, code: cwdProblem.code, cwd: cwdProblem.cwd });
+  }
+  let worktree = null;
+  if (b.worktree && agentType !== 'terminal') {
+    worktree = validateWorktree(b.worktree);
+    if (!worktree) return res.status(400).json({ error: 'Invalid worktree name' });
+  }
+
+  const id = randomUUID().slice(0, 8);
+  const windowId = b.windowId || null;
+  const name = b.name ? String(b.name) : (worktree || undefined);
+
+  if (agentType === 'terminal') {
+    const sessionEngine = spawnSession(getDefaultEngine(), id, 'terminal', [], cwd, { cols: 120, rows: 40, env: sessionEnv(id, { name, windowId, cwd, agentType: 'terminal' }) });
+    const engineType = engineTypeOf(sessionEngine);
+    log(`[API] open (shell): id=${id}, engine=${engineType}, cwd=${cwd}`);
+    shells.set(id, { clients: new Set(), cwd, claudeSessionId: null, agentType: 'terminal', configDir: null, engine: sessionEngine, engineType, worktree: null, windowId, name, owner: req.user?.name || null, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now() });
+    wireShellOutput(id);
+    emitSessionOpen(id);
+    sessionEngine.onExit(id, () => handleShellGone(id));
+    saveState();
+    deliverToWindow({ type: 'open-session', id, cwd, name, windowId }, windowId);
+    return res.json({ id, name: name || id, cwd, agentType: 'terminal', engineType });
+  }
+
+  const agentConfig = getAgentConfig(agentType);
+  let spawnCwd = cwd;
+  if (worktree && !agentConfig.supportsWorktree) spawnCwd = ensureWorktree(cwd, worktree);
+  const claudeSessionId = agentType === 'codex' ? null : randomUUID();
+  const codexHomeId = agentType === 'codex' ? id : null;
+  const spawnArgs = getSpawnArgs(agentType, { sessionId: claudeSessionId, planMode: !!b.planMode, worktree, shellId: id });
+  // spawnSession returns the engine that actually spawned — it can fall back from
+  // tmux to node-pty (#620), and engineType must record what happened.
+  const sessionEngine = spawnSession(getDefaultEngine(), id, agentType, spawnArgs, spawnCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name, worktree, windowId, cwd: spawnCwd, agentType, configDir, codexHomeId }) });
+  const engineType = engineTypeOf(sessionEngine);
+  log(`[API] open: id=${id}, agent=${agentType}, engine=${engineType}, worktree=${worktree || 'none'}, cwd=${spawnCwd}`);
+  shells.set(id, { clients: new Set(), cwd: spawnCwd, claudeSessionId, agentType, codexHomeId, configDir, engine: sessionEngine, engineType, worktree, windowId, name, planMode: !!b.planMode, owner: req.user?.name || null, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now() });
+  wireShellOutput(id);
+  emitSessionOpen(id);
+  recordRecentSession(id);
+  if (b.prompt) deliverPromptWhenReady(id, String(b.prompt));
+  if (agentConfig.supportsSessionWatch) watchClaudeSessionDir(id);
+  sessionEngine.onExit(id, () => {
+    if (agentConfig.supportsSessionWatch) unwatchClaudeSessionDir(id);
+    handleShellGone(id);
+  });
+  saveState();
+  deliverToWindow({ type: 'open-session', id, cwd: spawnCwd, name, windowId }, windowId);
+  res.json({ id, name: name || id, cwd: spawnCwd, agentType, engineType, worktree });
+});
+
+// Queue a prompt for an agent session. Returns as soon as it is queued: delivery
+// waits for the agent's own readiness signal, exactly as a prompt typed into the
+// new-tab dialog does, so a CLI caller that needs the answer polls /screen for idle.
+// A plain terminal has no readiness signal to wait for, so the line is written
+// straight to its PTY, like open_terminal's `command`.
+app.post('/api/shells/:id/prompt', (req, res) => {
+  const id = req.params.id;
+  const entry = shells.get(id);
+  if (!entry) return res.status(404).json({ error: 'Session not found' });
+  const text = typeof req.body?.text === 'string' ? req.body.text : '';
+  if (!text.trim()) return res.status(400).json({ error: 'text is required' });
+  if (entry.agentType === 'terminal') {
+    entry.engine.write(id, text.replace(/\n+$/, '') + '\n');
+  } else {
+    deliverPromptWhenReady(id, text);
+  }
+  log(`[API] prompt: id=${id}, len=${text.length}, state=${sessionInputState(entry)}`);
+  res.json({ id, queued: true, state: sessionInputState(entry) });
+});
+
+// The interpreted screen, in the same shape as the read_session_screen MCP tool —
+// keep the two in lockstep.
+app.get('/api/shells/:id/screen', async (req, res) => {
+  const id = req.params.id;
+  const entry = shells.get(id);
+  if (!entry) return res.status(404).json({ error: 'Session not found' });
+  const n = Math.max(1, Math.min(200, Math.round(Number(req.query.lines) || 40)));
+  res.json({
+    session_id: id,
+    state: sessionInputState(entry),
+    seconds_since_output: entry.lastActivity ? Math.round((Date.now() - entry.lastActivity) / 1000) : null,
+    lines: await readTerminalScreen(entry, n),
+  });
+});
+
+// The screen as an image: ?format=png (default) or svg, ?scrollback=N rows above the
+// viewport, ?scale=1–4 for PNG.
+app.get('/api/shells/:id/screenshot', async (req, res) => {
+  const entry = shells.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Session not found' });
+  try {
+    const { body, type } = await renderTerminalScreenshot(entry, {
+      format: String(req.query.format || 'png').toLowerCase(),
+      scrollback: req.query.scrollback,
+      scale: req.query.scale,
+    });
+    res.set('Cache-Control', 'no-store').type(type).send(body);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// --- Transcript export ---
+// Renders the agent's own on-disk record of a conversation (not the PTY scrollback)
+// as Markdown, standalone HTML or normalized JSON; parsing, redaction and rendering
+// live in transcript-export.js. Resolves live shells, saved/tombstoned state.json
+// records and recent-sessions rows alike — the transcript outlives the tab, and a
+// closed session is exactly the one you write the postmortem about.
+const TRANSCRIPT_EXPORT_MAX_BYTES = 64 * 1024 * 1024;
+
+function findSessionRecord(id) {
+  const live = shells.get(id);
+  if (live) return live;
+  if (savedState[id]) return savedState[id];
+  return recentSessions.find(r => r.key === id || r.shellId === id) || null;
+}
+
+// → { file } or { status, error }.
+function transcriptFileFor(entry) {
+  const agentType = entry.agentType || 'claude';
+  if (agentType === 'claude') {
+    if (!entry.claudeSessionId || !entry.cwd) return { status: 404, error: 'This session has no transcript yet' };
+    const file = path.join(claudeProjectDir(entry.cwd, entry.worktree, entry.configDir), `${entry.claudeSessionId}.jsonl`);
+    return fs.existsSync(file) ? { file } : { status: 404, error: 'Transcript file not found' };
+  }
+  if (agentType === 'codex') {
+    const file = newestCodexRollout(entry.codexHomeId);
+    return file ? { file } : { status: 404, error: 'This session has no Codex rollout yet' };
+  }
+  return { status: 422, error: `Transcript export is not supported for ${agentType} sessions` };
+}
+
+app.get('/api/shells/:id/export', (req, res) => {
+  const id = req.params.id;
+  const format = EXPORT_FORMATS[String(req.query.format || 'md').toLowerCase()];
+  if (!format) return res.status(400).json({ error: 'format must be md, html or json' });
+  const entry = findSessionRecord(id);
+  if (!entry) return res.status(404).json({ error: 'Session not found' });
+  const source = transcriptFileFor(entry);
+  if (source.error) return res.status(source.status).json({ error: source.error });
+
+  let text;
+  try {
+    if (fs.statSync(source.file).size > TRANSCRIPT_EXPORT_MAX_BYTES) {
+      return res.status(413).json({ error: `Transcript is larger than ${TRANSCRIPT_EXPORT_MAX_BYTES / 1024 / 1024}MB` });
+    }
+    text = fs.readFileSync(source.file, 'utf8');
+  } catch (err) {
+    return res.status(500).json({ error: `Failed to read transcript: ${err.message}` });
+  }
+  const doc = buildTranscriptDocument(text, {
+    agentType: entry.agentType || 'claude',
+    session: {
+      id: entry.shellId || id,
+      name: entry.name || null,
+      title: entry.name ? null : deriveSessionLabel(entry),
+      cwd: entry.cwd || null,
+      worktree: entry.worktree || null,
+      createdAt: entry.createdAt || null,
+      closedAt: entry.closedAt || null,
+    },
+    // Our own bearer token turns up in transcripts whenever an agent debugs the MCP
+    // wiring; it matches none of the generic key shapes.
+    literals: [AUTH_TOKEN],
+  });
+  res.set('Content-Type', format.type);
+  if (req.query.download !== '0') {
+    res.set('Content-Disposition', `attachment; filename="${exportFilename(doc, format.ext)}"`);
+  }
+  res.send(format.render(doc));
+});
+
+// --- Session recordings: list, fetch, delete (replay page) ---
+// The files are session-recording.js's; this only names them. A recording outlives
+// its tab — a finished scheduled run is the one most worth replaying — so names come
+// from the live shell, then state.json, then the title the header was written with.
+app.get('/api/recordings', (req, res) => {
+  const recordings = listRecordings(RECORDINGS_DIR).map((r) => {
+    const entry = findSessionRecord(r.id);
+    return { ...r, name: (entry && entry.name) || r.title, live: sessionRecorders.has(r.id) };
+  });
+  res.json({ recordings, mode: settings.recordSessions });
+});
+
+app.get('/api/recordings/:id', (req, res) => {
+  const file = recordingFile(RECORDINGS_DIR, req.params.id);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'No recording for this session' });
+  // A live recording's last quarter-second is still in the recorder's buffer.
+  sessionRecorders.get(req.params.id)?.flush();
+  res.set('Content-Type', 'application/x-asciicast; charset=utf-8');
+  if (req.query.download === '1') res.set('Content-Disposition', `attachment; filename="deepsteve-${req.params.id}.cast"`);
+  // dotfiles: the state dir is ~/.deepsteve, which send() would otherwise refuse.
+  res.sendFile(file, { dotfiles: 'allow' });
+});
+
+// Deleting a live session's recording also stops it: the file is what the user asked
+// to be rid of, and recording on into a fresh one would bring it straight back.
+app.delete('/api/recordings/:id', (req, res) => {
+  const id = req.params.id;
+  const file = recordingFile(RECORDINGS_DIR, id);
+  if (!file) return res.status(400).json({ error: 'Invalid session id' });
+  if (sessionRecorders.has(id)) {
+    stopRecording(id);
+    recordingDeclined.add(id);
+  }
+  try {
+    fs.unlinkSync(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return res.status(404).json({ error: 'No recording for this session' });
+    return res.status(500).json({ error: e.message });
+  }
+  log(`[recording] deleted the recording of ${id}`);
+  res.json({ deleted: id });
+});
+
+// --- Read-only share links: mint, audit, revoke (Settings → Share Links) ---
+// Behind authGate like every /api route: only the owner mints and revokes. The token is
+// in the response exactly once — the store keeps only its hash — so a lost link is
+// revoked and minted again, never looked up.
+app.post('/api/shells/:id/share', (req, res) => {
+  const id = req.params.id;
+  const entry = shells.get(id);
+  if (!entry) return res.status(404).json({ error: 'Session not found' });
+  if (entry.agentType === 'tmux-attach') return res.status(400).json({ error: 'An attached tmux session is not ours to share' });
+  const { grant, token } = shareLinks.mint(id, { minutes: req.body && req.body.minutes, label: req.body && req.body.label });
+  const urls = shareBaseUrls().map(base => `${base}/share#${token}`);
+  log(`[share] link ${grant.id} minted for ${id}, expires ${new Date(grant.expiresAt).toISOString()}`);
+  // lanReachable: whether anyone but this machine can open it — the dialog says how to
+  // change that when it can't.
+  res.json({ link: grant, url: urls[0], urls, lanReachable: urls.length > 1, bind: BIND });
+});
+
+app.get('/api/share-links', (req, res) => {
+  const links = shareLinks.list().map((link) => {
+    const entry = shells.get(link.sessionId);
+    return { ...link, sessionName: (entry && entry.name) || null, live: !!entry };
+  });
+  res.json({ links });
+});
+
+app.delete('/api/share-links/:id', (req, res) => {
+  const grant = shareLinks.revoke(req.params.id);
+  if (!grant) return res.status(404).json({ error: 'No such share link' });
+  closeShareViewers(v => v.grantId === grant.id, 'revoked');
+  log(`[share] link ${grant.id} for ${grant.sessionId} revoked`);
+  res.json({ revoked: grant.id });
+});
+
+// --- Named users (users.js) ---
+// Who this request is, for the Settings header and the CLI. `multiUser` tells the UI
+// whether there is any signing out to offer.
+app.get('/api/me', (req, res) => {
+  res.json({ name: req.user.name, role: req.user.role, owner: !!req.user.owner, multiUser: users.size > 0 });
+});
+
+// A removed user's token, a rotated one, or a changed role applies to the next HTTP
+// request on its own; an open socket was authorized once, at its upgrade, so close
+// it. The browser reconnects under whatever the user can still do, or signs in again.
+function disconnectUser(name) {
+  let n = 0;
+  const sockets = [...reloadClients, ...[...shells.values()].flatMap(e => [...e.clients])];
+  for (const ws of sockets) {
+    if (ws.user?.name !== name || ws.user.owner) continue;
+    try { ws.close(4001, 'credentials changed'); } catch {}
+    n++;
+  }
+  if (n) log(`[users] closed ${n} socket(s) of ${name}`);
+}
+
+function userResult(res, result) {
+  if (result.error) return res.status(/^No user/.test(result.error) ? 404 : 400).json({ error: result.error });
+  res.json(result);
+}
+
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ users: users.list() });
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  const b = req.body || {};
+  const result = users.add(b.name, b.role || 'operator');
+  if (!result.error) log(`[users] ${req.user.name} added ${result.user.name} (${result.user.role})`);
+  userResult(res, result);
+});
+
+app.post('/api/users/:name/role', requireAdmin, (req, res) => {
+  const result = users.setRole(req.params.name, (req.body || {}).role);
+  if (!result.error) {
+    log(`[users] ${req.user.name} set ${result.user.name}'s role to ${result.user.role}`);
+    disconnectUser(result.user.name);
+  }
+  userResult(res, result);
+});
+
+app.post('/api/users/:name/token', requireAdmin, (req, res) => {
+  const result = users.rotate(req.params.name);
+  if (!result.error) {
+    log(`[users] ${req.user.name} rotated ${result.user.name}'s token`);
+    disconnectUser(result.user.name);
+  }
+  userResult(res, result);
+});
+
+app.delete('/api/users/:name', requireAdmin, (req, res) => {
+  const result = users.remove(req.params.name);
+  if (!result.error) {
+    log(`[users] ${req.user.name} removed ${result.user.name}`);
+    disconnectUser(result.user.name);
+  }
+  userResult(res, result);
+});
+
+// --- Backup and restore (backup.js) ---
+// Admin-only: a backup holds the whole configuration, and a restore replaces it. Restores
+// are staged and take effect at the next start; `pending` says one is waiting.
+const BACKUP_BODY_LIMIT = '100mb';
+
+function backupFailure(res, e) {
+  if (e.code) return res.status(400).json({ error: e.message, code: e.code });
+  log(`[backup] ${e.stack || e.message}`);
+  res.status(500).json({ error: e.message });
+}
+
+app.get('/api/backup/categories', requireAdmin, (req, res) => {
+  res.json({
+    categories: Object.entries(backup.BACKUP_CATEGORIES).map(([id, c]) => ({ id, label: c.label })),
+    fingerprint: backup.localFingerprint(DS_DIR),
+    pending: backup.hasPendingRestore(DS_DIR),
+  });
+});
+
+app.post('/api/backup', requireAdmin, express.json({ limit: '1mb' }), (req, res) => {
+  const b = req.body || {};
+  let text;
+  try {
+    text = backup.createBackup({
+      dsDir: DS_DIR,
+      categories: Array.isArray(b.categories) ? b.categories : null,
+      passphrase: b.passphrase || null,
+      deepsteveVersion: pkg.version,
+    });
+  } catch (e) {
+    return backupFailure(res, e);
+  }
+  log(`[backup] ${req.user.name} made a backup${b.passphrase ? ' (encrypted)' : ''}`);
+  res.set('Cache-Control', 'no-store');
+  res.attachment(backup.backupFileName());
+  res.type('application/json').send(text);
+});
+
+// Dry run unless `apply`; either way the answer is the plan, minus the file contents.
+app.post('/api/backup/restore', requireAdmin, express.json({ limit: BACKUP_BODY_LIMIT }), (req, res) => {
+  const b = req.body || {};
+  let opened, plan;
+  try {
+    opened = backup.openBackup(String(b.archive || ''), { passphrase: b.passphrase || null });
+    plan = backup.planRestore({ dsDir: DS_DIR, backup: opened, categories: Array.isArray(b.categories) ? b.categories : null });
+  } catch (e) {
+    return backupFailure(res, e);
+  }
+  const { writes, ...summary } = plan;
+  const { kdf, cipher, ...header } = opened.header;
+  const signer = { ...opened.signer, thisInstall: opened.signer.fingerprint === backup.localFingerprint(DS_DIR) };
+  let staged = false;
+  if (b.apply) {
+    try {
+      backup.stageRestore(DS_DIR, plan);
+    } catch (e) {
+      return backupFailure(res, e);
+    }
+    staged = true;
+    log(`[backup] ${req.user.name} staged a restore of ${writes.length} file(s) (${plan.categories.join(', ')}) — applied at the next start`);
+  }
+  res.json({ header, signer, ...summary, staged });
+});
+
+// --- Transcript search (command palette) ---
+// Every transcript deepsteve can locate for a session it spawned: live shells, then
+// state.json records (saved and tombstoned), then recent-sessions rows. One row per
+// file — a lineage known to several of those (a live shell is usually also the
+// newest recents row) is listed once, under the most live of them, which is the
+// one "resume here" should reach. The usage mod totals the same list (initMCP ctx
+// `transcriptSources`), so search and cost agree on which sessions exist.
+const transcriptIndex = createTranscriptIndex({
+  parse: (text, agentType) => (agentType === 'codex' ? parseCodexRollout : parseClaudeTranscript)(text, { maxToolOutput: 0 }).items,
+  maxBytes: TRANSCRIPT_EXPORT_MAX_BYTES,
+});
+
+function transcriptSources() {
+  const sources = [];
+  const seen = new Set();
+  const add = (ref, entry, source) => {
+    if (!entry || entry.agentType === 'terminal' || entry.agentType === 'tmux-attach') return;
+    const { file } = transcriptFileFor(entry);
+    if (!file || seen.has(file)) return;
+    seen.add(file);
+    sources.push({ file, agentType: entry.agentType || 'claude', ref, source, entry, updatedAt: entry.lastActivity || entry.updatedAt || 0 });
+  };
+  for (const [id, e] of shells) add(id, e, 'live');
+  for (const [id, e] of Object.entries(savedState)) add(id, e, e.closed ? 'closed' : 'saved');
+  for (const r of recentSessions) add(r.key, r, 'recent');
+  return sources;
+}
+
+app.get('/api/transcripts/search', async (req, res) => {
+  const q = String(req.query.q || '').slice(0, 200);
+  const limit = Math.max(1, Math.min(100, Math.round(Number(req.query.limit) || 30)));
+  const started = Date.now();
+  let found;
+  try {
+    found = await transcriptIndex.search(transcriptSources(), q, { limit });
+  } catch (err) {
+    return res.status(500).json({ error: `Search failed: ${err.message}` });
+  }
+  res.json({
+    query: q,
+    searched: found.searched,
+    ms: Date.now() - started,
+    results: found.results.map(({ source, turn }) => {
+      const e = source.entry;
+      return {
+        ref: source.ref,
+        source: source.source,
+        agentType: source.agentType,
+        cwd: e.cwd || null,
+        project: e.cwd ? path.basename(e.cwd) : null,
+        worktree: e.worktree || null,
+        name: e.name || null,
+        label: e.name ? null : deriveSessionLabel(e),
+        // Forking re-runs `claude --resume <tip> --fork-session`; only Claude records
+        // a session id deepsteve can hand back to it.
+        canFork: source.agentType === 'claude' && !!e.claudeSessionId,
+        turn,
+      };
+    }),
+  });
+});
+
 // "Clear disconnected" marks sessions closed — it never hard-deletes (#561).
 // Tombstones age out via pruneClosedSessions() or an explicit per-session forget.
 app.post('/api/shells/clear-disconnected', (req, res) => {
@@ -5359,8 +6813,11 @@ app.post('/api/contexts', (req, res) => {
   // for the same reason `archived` is: a name/dirs edit must not reset a display choice.
   // New projects start with it ON — a project mod is a dashboard, and the whole point of
   // the option is that you don't have to navigate to one to see it.
+  // `guardrails` is owned by POST /api/contexts/:id/guardrails, likewise, and
+  // `notifications` by POST /api/contexts/:id/notifications, and `container` by
+  // POST /api/contexts/:id/container.
   if (existing) { existing.name = name; existing.dirs = dirs; existing.icon = icon; existing.iconImage = iconImage; }
-  else contexts.push({ id, name, dirs, icon, iconImage, archived: false, alwaysShowMods: true });
+  else contexts.push({ id, name, dirs, icon, iconImage, archived: false, alwaysShowMods: true, guardrails: null, notifications: null, container: null });
   saveContexts();
   broadcastContexts();
   res.json({ contexts });
@@ -5483,6 +6940,49 @@ app.post('/api/contexts/:id/always-show-mods', (req, res) => {
   res.json({ contexts });
 });
 
+// Guardrails for every session under this project (see guardrails.js). Its own route
+// for the same reason as `archived`: the editor's name/dirs upsert must not reset it.
+app.post('/api/contexts/:id/guardrails', requireAdmin, (req, res) => {
+  const ctx = contexts.find(c => c.id === req.params.id);
+  if (!ctx) return res.status(404).json({ error: 'Project not found' });
+  ctx.guardrails = sanitizeGuardrails(req.body?.guardrails);
+  saveContexts();
+  broadcastContexts();
+  res.json({ contexts });
+});
+
+// Container sandbox for the project's issue sessions, or all of them (see
+// container-config.js); null turns it off. Applies to sessions started after the
+// change — a running one keeps the container, or the lack of one, it was born with.
+app.post('/api/contexts/:id/container', requireAdmin, (req, res) => {
+  const ctx = contexts.find(c => c.id === req.params.id);
+  if (!ctx) return res.status(404).json({ error: 'Project not found' });
+  const raw = req.body?.container;
+  const container = sanitizeContainerPolicy(raw);
+  if (raw && !container) return res.status(400).json({ error: 'A container sandbox needs a valid image name' });
+  ctx.container = container;
+  saveContexts();
+  broadcastContexts();
+  log(`[API] container sandbox for project "${ctx.name}": ${container ? JSON.stringify(container) : 'off'}`);
+  // Probe now, so the editor can say "Docker isn't running" while the user is still
+  // looking at it rather than when the first issue session fails.
+  const runtime = container
+    ? { available: containerEngine.connect(), runtime: containerEngine.flavor, reason: containerEngine.unavailableReason }
+    : null;
+  res.json({ contexts, runtime });
+});
+
+// Push notification mute rules for the project (see push-rules.js), e.g.
+// { mute: ['waiting'] } or { mute: 'all' }; null unmutes.
+app.post('/api/contexts/:id/notifications', requireAdmin, (req, res) => {
+  const ctx = contexts.find(c => c.id === req.params.id);
+  if (!ctx) return res.status(404).json({ error: 'Project not found' });
+  ctx.notifications = sanitizeNotifyRules(req.body?.notifications);
+  saveContexts();
+  broadcastContexts();
+  res.json({ contexts });
+});
+
 // Reorder contexts (#532): the client sends the full id order after a rail
 // drag-to-reorder. Rebuild the array to match, then persist + broadcast so every
 // window reflects it. Ids the client didn't list are appended defensively so a
@@ -5594,10 +7094,13 @@ app.get('/api/issues', (req, res) => {
  * about which cwd to report to the browser, which cwd pre-flight to run, and
  * whether a start with no browser window open should open one.
  *
+ * `owner` is the signed-in user (users.js) who asked; an agent's MCP call passes
+ * none, and the new session belongs to whoever owns the calling one.
+ *
  * Returns `{ error: <spawnCwdProblem> }` for a bad cwd — the caller formats it,
  * because an HTTP 400 body and an MCP isError result are not the same shape.
  */
-function startIssueSession({ number, title, body, labels, url, cwd, agentType, configDir, windowId, callerId, openBrowser = false, autopilot }) {
+function startIssueSession({ number, title, body, labels, url, cwd, agentType, configDir, windowId, callerId, openBrowser = false, autopilot, owner = null }) {
   // #651: an omitted `autopilot` means "whatever the user usually wants", not "off".
   // A hard default here is what made every MCP / skill / autonomous start ignore the
   // remembered choice — and those are the paths most runs take. Read live off the
@@ -5635,16 +7138,34 @@ function startIssueSession({ number, title, body, labels, url, cwd, agentType, c
   const codexHomeId = agentType === 'codex' ? id : null;
   const agentConfig = getAgentConfig(agentType);
 
+  // A project with a container sandbox runs its issue sessions in one (see
+  // container-config.js). The container mounts only the worktree, so the worktree has
+  // to exist before the spawn — Claude's own --worktree would create it inside the
+  // container, under a repo root that isn't mounted — and the session is recorded as
+  // a plain session IN that directory, so no resume ever passes --worktree again.
+  //
+  // A sandbox that can't start (no runtime, the image not pulled) is refused here the
+  // way a missing cwd is above, never degraded: that is spawnSession's rule for
+  // containers.
+  const containerPolicy = contextContainerFor(cwd);
+  const sandbox = policyApplies(containerPolicy, { issue: true }) ? containerPolicy : null;
+  const sandboxProblem = sandbox && containerEngine.sandboxProblem(sandbox);
+  if (sandboxProblem) {
+    log(`[issue] #${number} refused: ${sandboxProblem}`);
+    return { error: { code: 'sandbox-unavailable', message: sandboxProblem, cwd } };
+  }
+
   // For agents that don't support --worktree natively: manually create worktree
   let spawnCwd = cwd;
-  if (worktree && !agentConfig.supportsWorktree) {
+  if (worktree && (!agentConfig.supportsWorktree || sandbox)) {
     spawnCwd = ensureWorktree(cwd, worktree);
   }
+  const agentWorktree = sandbox ? null : worktree;
 
   const spawnArgs = getSpawnArgs(agentType, {
     sessionId: claudeSessionId,
     planMode: settings.wandPlanMode,
-    worktree,
+    worktree: agentWorktree,
     shellId: id
   });
 
@@ -5652,10 +7173,10 @@ function startIssueSession({ number, title, body, labels, url, cwd, agentType, c
 
   // spawnSession returns the engine that actually spawned — it can fall back from
   // tmux to node-pty (#620), and engineType must record what happened.
-  const sessionEngine = spawnSession(getDefaultEngine(), id, agentType, spawnArgs, spawnCwd, { cols: 120, rows: 40, env: sessionEnv(id, { name, worktree, windowId: windowId || null, cwd: spawnCwd, agentType, configDir, codexHomeId }) });
-  const engineType = sessionEngine === tmuxEngine ? 'tmux' : 'node-pty';
+  const sessionEngine = spawnSession(getDefaultEngine(), id, agentType, spawnArgs, spawnCwd, { cols: 120, rows: 40, sandbox, env: sessionEnv(id, { name, worktree: agentWorktree, windowId: windowId || null, cwd: spawnCwd, agentType, configDir, codexHomeId }) });
+  const engineType = engineTypeOf(sessionEngine);
   log(`[issue] #${number}: id=${id}, agent=${agentType}, engine=${engineType}, worktree=${worktree || 'none'}, cwd=${spawnCwd}`);
-  shells.set(id, { clients: new Set(), cwd: spawnCwd, claudeSessionId, agentType, codexHomeId, configDir: configDir || null, engine: sessionEngine, engineType, worktree: worktree || null, windowId: windowId || null, name, planMode: !!settings.wandPlanMode, autopilot: autopilotOn, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now(), loading: true });
+  shells.set(id, { clients: new Set(), cwd: spawnCwd, claudeSessionId, agentType, codexHomeId, configDir: configDir || null, engine: sessionEngine, engineType, worktree: agentWorktree || null, windowId: windowId || null, name, planMode: !!settings.wandPlanMode, autopilot: autopilotOn, owner: owner || shells.get(callerId)?.owner || null, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now(), loading: true });
   wireShellOutput(id);
   emitSessionOpen(id);
   recordRecentSession(id);
@@ -5689,7 +7210,7 @@ function startIssueSession({ number, title, body, labels, url, cwd, agentType, c
   }
 
   deliverToWindow({ type: 'open-session', id, cwd: spawnCwd, name, windowId, loading: true }, windowId, { openBrowser });
-  return { id, name, cwd: spawnCwd, worktree: worktree || null, engineType, autopilot: autopilotOn };
+  return { id, name, cwd: spawnCwd, worktree: agentWorktree || null, engineType, autopilot: autopilotOn };
 }
 
 app.post('/api/start-issue', (req, res) => {
@@ -5720,6 +7241,7 @@ app.post('/api/start-issue', (req, res) => {
     // Raw, not `!!autopilot` (#651): the coercion is what collapsed an absent field
     // to false before startIssueSession could tell "off" from "not specified".
     autopilot,
+    owner: req.user?.name || null,
   });
   if (result.error) {
     return res.status(400).json({ error: result.error.message, code: result.error.code, cwd: result.error.cwd });
@@ -5731,7 +7253,7 @@ app.post('/api/start-issue', (req, res) => {
 // restart.sh calls this before restarting. Server asks browser(s) for
 // confirmation, waits for response, then replies to curl.
 // Browsers elect a single leader to show the modal; first response wins.
-app.post('/api/request-restart', (req, res) => {
+app.post('/api/request-restart', requireAdmin, (req, res) => {
   const clients = [...reloadClients].filter(c => c.readyState === 1);
   log(`[restart] ${clients.length} reload client(s), windowIds=[${clients.map(c => c.windowId || 'none').join(', ')}]`);
   if (clients.length === 0) {
@@ -6122,7 +7644,27 @@ function getScreenshotPath(id) {
 }
 // verifyClient runs during the HTTP upgrade, before the handshake completes, so a page failing the
 // Host/Origin/token checks never gets a live socket (#536).
-const wss = new WebSocketServer({ server, verifyClient: security.verifyWsClient });
+//
+// Two servers share each listener: the app's, and the read-only share viewers' (share-links.js),
+// which take a different credential and must never appear in wss.clients — every broadcast()
+// walks that set, and would hand a viewer the names and state of every other session. ws aborts
+// an upgrade meant for a sibling server when both attach to one listener, so both are noServer
+// and routeUpgrades() picks by path.
+const SHARE_WS_PATH = '/share/ws';
+const wss = new WebSocketServer({ noServer: true, verifyClient: security.verifyWsClient });
+const shareWss = new WebSocketServer({
+  noServer: true,
+  verifyClient: security.verifyShareWsClient(req => shareLinks.resolve(shareTokenFromProtocols(req.headers['sec-websocket-protocol']))),
+});
+shareWss.on('connection', handleShareConnection);
+function routeUpgrades(httpServer, appWss) {
+  httpServer.on('upgrade', (req, socket, head) => {
+    if (webProxy.isProxyUpgrade(req)) return webProxy.upgrade(req, socket, head);
+    const target = String(req.url || '').split('?')[0] === SHARE_WS_PATH ? shareWss : appWss;
+    target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+  });
+}
+routeUpgrades(server, wss);
 
 // HTTPS server (created async if enabled)
 let httpsServer = null;
@@ -6133,8 +7675,9 @@ if (HTTPS_ENABLED) {
     try {
       const certs = await ensureCerts();
       httpsServer = https.createServer({ key: certs.key, cert: certs.cert }, app);
-      httpsWss = new WebSocketServer({ server: httpsServer, verifyClient: security.verifyWsClient });
+      httpsWss = new WebSocketServer({ noServer: true, verifyClient: security.verifyWsClient });
       httpsWss.on('connection', handleWsConnection);
+      routeUpgrades(httpsServer, httpsWss);
       httpsServer.listen(HTTPS_PORT, BIND, () => {
         const addrs = getLanAddresses().filter(a => a !== 'localhost' && a !== '127.0.0.1');
         log(`HTTPS server listening on ${BIND}:${HTTPS_PORT}`);
@@ -6170,9 +7713,61 @@ wss.on('connection', handleWsConnection);
   if (summary.found.length) saveState();
 }
 
+// The same reattach for sessions on remote hosts (engines/ssh.js). Only hosts that a
+// live (non-closed) saved session names are contacted: each is a blocking ssh round
+// trip with a 5s connect timeout, and tombstones would otherwise keep a long-gone
+// build box on every boot's critical path. A host that can't be reached leaves its
+// records alone — they stay restore candidates, and the next boot tries again.
+{
+  const hosts = new Set();
+  for (const meta of Object.values(savedState)) {
+    const remote = meta && !meta.closed && meta.engineType === 'ssh' ? parseRemotePath(meta.cwd) : null;
+    if (remote) hosts.add(remote.host);
+  }
+  let found = 0;
+  for (const host of hosts) {
+    const eng = sshEngineFor(host);
+    if (!eng.connect()) {
+      log(`ssh ${host}: not reachable at startup (${eng.unavailableReason}) — its sessions will be retried on connect`);
+      continue;
+    }
+    const summary = reattachSurvivingTmuxSessions({
+      tmuxEngine: eng, savedState, shells, log, getAgentConfig, wireShellOutput,
+      watchClaudeSessionDir, unwatchClaudeSessionDir, handleShellGone, recordRecentSession,
+      engineType: 'ssh',
+      killHint: (id) => `ssh ${host} tmux -L ${SshEngine.REMOTE_SOCKET_NAME} kill-session -t ds-${id}`,
+    });
+    found += summary.found.length;
+  }
+  if (found) saveState();
+}
+
+// And for containers (engines/container.js), through the same function and the same
+// ownership rule: a stopped container whose record is a closed tombstone is reclaimed
+// (`rm -f` — the tombstone's own discard() didn't land), one absent from state.json
+// is left alone. Skipped entirely unless some record was a container session, so an
+// install that never configured a sandbox never waits on `docker version`.
+if (Object.values(savedState).some(meta => meta && meta.engineType === 'container')) {
+  if (!containerEngine.connect()) {
+    log(`container: runtime not available at startup (${containerEngine.unavailableReason}) — sandboxed sessions will be retried on connect`);
+  } else {
+    const summary = reattachSurvivingTmuxSessions({
+      tmuxEngine: containerEngine, savedState, shells, log, getAgentConfig, wireShellOutput,
+      watchClaudeSessionDir, unwatchClaudeSessionDir, handleShellGone, recordRecentSession,
+      engineType: 'container',
+      killHint: (id) => `${containerEngine.flavor} rm -f ds-${id}`,
+    });
+    if (summary.found.length) saveState();
+  }
+}
+
 function handleWsConnection(ws, req) {
   const url = new URL(req.url, 'http://localhost');
   const action = url.searchParams.get('action');
+  // A viewer (users.js) watches. It may attach to a running session and ping it — nothing
+  // that creates, restores, types, resizes, renames or closes. Set by verifyWsClient.
+  const readOnly = req.user?.role === 'viewer';
+  ws.user = req.user || null;
   if (action === 'list') {
     const ids = [...new Set([...shells.keys(), ...Object.keys(savedState)])];
     ws.send(JSON.stringify({ type: 'list', ids }));
@@ -6225,9 +7820,9 @@ function handleWsConnection(ws, req) {
         const parsed = JSON.parse(msg.toString());
         if (parsed.type === 'pong') {
           ws.isAlive = true;
-        } else if (parsed.type === 'restart-confirmed' && restartState) {
+        } else if (parsed.type === 'restart-confirmed' && restartState && !readOnly) {
           restartState.resolve('confirmed');
-        } else if (parsed.type === 'restart-declined' && restartState) {
+        } else if (parsed.type === 'restart-declined' && restartState && !readOnly) {
           restartState.resolve('declined');
         } else if (parsed.type === 'client-log' && Array.isArray(parsed.entries)) {
           // Error beacon from public/js/client-log.js — page JS errors and
@@ -6266,6 +7861,11 @@ function handleWsConnection(ws, req) {
     const initialRows = parseInt(url.searchParams.get('rows')) || 40;
     const tabName = url.searchParams.get('name') || tmuxSession;
 
+    if (readOnly) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Your role (viewer) is read-only' }));
+      ws.close();
+      return;
+    }
     if (!tmuxSession) {
       ws.send(JSON.stringify({ type: 'error', message: 'Missing session parameter' }));
       ws.close();
@@ -6427,6 +8027,13 @@ function handleWsConnection(ws, req) {
   log(`[WS] Active shells: ${[...shells.keys()].join(', ') || 'none'}`);
   log(`[WS] Saved state: ${Object.keys(savedState).length} entries (${Object.values(savedState).filter(e => e && e.closed).length} closed)`);
 
+  if (readOnly && (createNew || !id || !shells.has(id))) {
+    log(`[WS] Refusing ${req.user.name} (viewer): may only watch a running session`);
+    try { ws.send(JSON.stringify({ type: 'error', code: 'READ_ONLY', message: 'Your role (viewer) can only watch sessions that are already running' })); } catch {}
+    try { ws.close(); } catch {}
+    return;
+  }
+
   // If client requested a specific ID that doesn't exist, check if we can restore it
   if (id && !shells.has(id) && !createNew) {
     // #596: a client acting on a server-pushed open-session is not asking to
@@ -6465,7 +8072,7 @@ function handleWsConnection(ws, req) {
       // restore modal (flagged `cwdMissing`) and works again if the directory comes
       // back. Never move a purge above this — it would destroy exactly the records
       // this refusal exists to protect.
-      const restoreCwdProblem = spawnCwdProblem(cwd);
+      const restoreCwdProblem = sessionCwdProblem(cwd);
       if (restoreCwdProblem) {
         log(`[WS] Refusing to restore ${id}: ${restoreCwdProblem.message} (record kept)`);
         try { ws.send(JSON.stringify({ type: 'error', code: restoreCwdProblem.code, cwd: restoreCwdProblem.cwd, message: `Failed to restore session: ${restoreCwdProblem.message}` })); } catch {}
@@ -6482,7 +8089,7 @@ function handleWsConnection(ws, req) {
       const savedEngineType = restored.engineType || 'node-pty';
       // Both reassigned below if the tmux spawn fails and we degrade to node-pty.
       let sessionEngine = getEngineByType(savedEngineType);
-      let restoredEngineType = sessionEngine === tmuxEngine ? 'tmux' : 'node-pty';
+      let restoredEngineType = engineTypeOf(sessionEngine);
 
       // Claude only writes <sessionId>.jsonl once the first message is sent, so a
       // tab that was opened but never prompted has no transcript and `--resume` is
@@ -6491,8 +8098,11 @@ function handleWsConnection(ws, req) {
       // tabs collapsed onto one conversation after a restart (#542). Spawn fresh
       // instead, reusing the same session id: it was never used, so nothing is
       // lost, and state.json/TabSessions stay stable.
+      //
+      // A remote session's transcript is on its host, so there is nothing to check
+      // here: resume, and let the respawn chain below handle a resume that fails.
       let spawnFresh = false;
-      if (agentConfig.supportsSessionWatch && claudeSessionId) {
+      if (agentConfig.supportsSessionWatch && claudeSessionId && !parseRemotePath(cwd)) {
         const transcript = path.join(claudeProjectDir(cwd, savedWorktree, restored.configDir), `${claudeSessionId}.jsonl`);
         spawnFresh = !fs.existsSync(transcript);
         if (spawnFresh) log(`Session ${id} has no transcript at ${transcript} — spawning fresh instead of --resume`);
@@ -6527,8 +8137,8 @@ function handleWsConnection(ws, req) {
         return;
       }
       sessionEngine = spawnedEngine;
-      restoredEngineType = spawnedEngine === tmuxEngine ? 'tmux' : 'node-pty';
-      shells.set(id, { clients: new Set(), cwd, claudeSessionId, agentType: savedAgentType, codexHomeId, configDir: restored.configDir || null, engine: sessionEngine, engineType: restoredEngineType, worktree: savedWorktree, name: restoredName, planMode: savedPlanMode, model: restored.model || null, effort: restored.effort || null, allowedTools: restored.allowedTools || null, forkParent: restored.forkParent || null, restored: true, scheduled: !!restored.scheduled, autopilot: !!restored.autopilot, waitingForInput: false, lastActivity: Date.now(), createdAt: restored.createdAt || Date.now(), windowId: restoredWindowId });
+      restoredEngineType = engineTypeOf(spawnedEngine);
+      shells.set(id, { clients: new Set(), cwd, claudeSessionId, agentType: savedAgentType, codexHomeId, configDir: restored.configDir || null, engine: sessionEngine, engineType: restoredEngineType, worktree: savedWorktree, name: restoredName, planMode: savedPlanMode, model: restored.model || null, effort: restored.effort || null, allowedTools: restored.allowedTools || null, forkParent: restored.forkParent || null, restored: true, scheduled: !!restored.scheduled, autopilot: !!restored.autopilot, guardrails: sanitizeGuardrails(restored.guardrails), guardrailTripped: restored.guardrailTripped || {}, owner: restored.owner || null, waitingForInput: false, lastActivity: Date.now(), createdAt: restored.createdAt || Date.now(), windowId: restoredWindowId });
       wireShellOutput(id, initialCols, initialRows);
       recordRecentSession(id);  // bump recency on same-browser reconnect + cross-browser restore
       if (agentConfig.supportsSessionWatch) watchClaudeSessionDir(id);
@@ -6619,7 +8229,7 @@ function handleWsConnection(ws, req) {
     //
     // Attaching to a LIVE shell never lands here, on purpose: a running session
     // whose directory was deleted underneath it must stay reachable.
-    const cwdProblem = spawnCwdProblem(cwd);
+    const cwdProblem = sessionCwdProblem(cwd);
     if (cwdProblem) {
       log(`[WS] Refusing new session in ${cwd}: ${cwdProblem.message}`);
       try { ws.send(JSON.stringify({ type: 'error', code: cwdProblem.code, cwd: cwdProblem.cwd, message: `Failed to start session: ${cwdProblem.message}` })); } catch {}
@@ -6638,6 +8248,13 @@ function handleWsConnection(ws, req) {
     // #561 close-path delete). The reaped entry was never attached/prompted, so
     // nothing resurrectable is lost.
     delete savedState[id];
+    // "Fork tab" sends no agentType, which has always meant claude. A manifest agent's
+    // fork has to stay that agent, or the fork template below could never apply — the
+    // same for a closed session, forked from transcript search.
+    const forkSource = forkFrom ? shells.get(forkFrom) || findSessionRecord(forkFrom) : null;
+    if (forkSource && !url.searchParams.get('agentType') && agentRegistry.get(forkSource.agentType)) {
+      agentType = forkSource.agentType;
+    }
     const sessionId = agentType === 'codex' ? null : randomUUID();
     const agentConfig = getAgentConfig(agentType);
     
@@ -6653,6 +8270,8 @@ function handleWsConnection(ws, req) {
     let spawnedPlanMode;
     let spawnPath = 'new';
     let parentShell = null, parentClaude = null, parentWorktree = null;
+    // A fork runs on the parent's model and effort (#592), live or closed alike.
+    let forkModel = null, forkEffort = null;
     if (forkFrom && shells.has(forkFrom) && agentType === 'claude') {
       const parent = shells.get(forkFrom);
       // Resolve the parent's LIVE transcript tip (#455) — the in-memory claudeSessionId
@@ -6661,7 +8280,9 @@ function handleWsConnection(ws, req) {
       spawnArgs = ['--resume', forkParentSession, '--fork-session', '--session-id', sessionId];
       if (worktree) spawnArgs.push('--worktree', worktree);
       else if (parent.worktree) spawnArgs.push('--worktree', parent.worktree);
+      spawnArgs.push(...modelArgs(agentConfig, parent.model, parent.effort));
       spawnArgs.push(...mcpConfigArgs(agentType, id));
+      [forkModel, forkEffort] = [parent.model || null, parent.effort || null];
       configDir = parent.configDir || configDir;  // fork inherits the parent's config profile (#537)
       spawnedPlanMode = false;
       spawnPath = 'fork';
@@ -6669,6 +8290,50 @@ function handleWsConnection(ws, req) {
       parentClaude = forkParentSession;  // record the RESOLVED tip in lineage/trace
       parentWorktree = parent.worktree || null;
       log(`[WS] Forking from shell ${forkFrom} (parent claude session: ${forkParentSession})`);
+    } else if (forkFrom && shells.get(forkFrom)?.agentType === agentType
+        && shells.get(forkFrom).claudeSessionId && agentRegistry.get(agentType)?.args.fork) {
+      // A manifest agent that declares a fork template. No transcript-tip resolution
+      // here: that is Claude's rotation quirk (#455), and the parent's recorded id is
+      // the only one deepsteve knows for an agent it doesn't watch.
+      const parent = shells.get(forkFrom);
+      spawnArgs = [
+        ...expandArgs(agentRegistry.get(agentType).args.fork, { parentSessionId: parent.claudeSessionId, sessionId, shellId: id }),
+        ...modelArgs(agentConfig, parent.model, parent.effort),
+        ...mcpConfigArgs(agentType, id),
+      ];
+      [forkModel, forkEffort] = [parent.model || null, parent.effort || null];
+      spawnedPlanMode = false;
+      spawnPath = 'fork';
+      parentShell = forkFrom;
+      parentClaude = parent.claudeSessionId;
+      parentWorktree = parent.worktree || null;
+      log(`[WS] Forking ${agentType} shell ${forkFrom} (parent session: ${parent.claudeSessionId})`);
+    } else if (forkSource?.claudeSessionId && (forkSource.agentType || 'claude') === agentType
+        && (agentType === 'claude' || agentRegistry.get(agentType)?.args.fork)) {
+      // Fork from a session that is no longer running — a tombstone or a recents row,
+      // as transcript search offers — built the way its live fork above would be: for
+      // Claude, the same tip resolution (#455) minus the adopt (there is no live shell
+      // whose id could be corrected); for a manifest agent, its fork template.
+      const parent = forkSource;
+      const owner = parent.shellId || forkFrom;
+      const forkParentSession = agentType === 'claude' ? resolveTranscriptTip(parent, owner) : parent.claudeSessionId;
+      if (agentType === 'claude') {
+        spawnArgs = ['--resume', forkParentSession, '--fork-session', '--session-id', sessionId];
+        if (worktree) spawnArgs.push('--worktree', worktree);
+        else if (parent.worktree) spawnArgs.push('--worktree', parent.worktree);
+      } else {
+        spawnArgs = expandArgs(agentRegistry.get(agentType).args.fork, { parentSessionId: forkParentSession, sessionId, shellId: id });
+      }
+      spawnArgs.push(...modelArgs(agentConfig, parent.model, parent.effort));
+      spawnArgs.push(...mcpConfigArgs(agentType, id));
+      [forkModel, forkEffort] = [parent.model || null, parent.effort || null];
+      configDir = parent.configDir || configDir;
+      spawnedPlanMode = false;
+      spawnPath = 'fork';
+      parentShell = owner;
+      parentClaude = forkParentSession;
+      parentWorktree = parent.worktree || null;
+      log(`[WS] Forking closed ${agentType} session ${forkFrom} (parent session: ${forkParentSession})`);
     } else {
       spawnArgs = getSpawnArgs(agentType, {
         sessionId,
@@ -6680,7 +8345,7 @@ function handleWsConnection(ws, req) {
     }
 
     const requestedSessionEngine = getEngineByType(requestedEngine || settings.engine);
-    log(`[WS] Creating NEW shell: oldId=${oldId}, newId=${id}, agent=${agentType}, engine=${requestedSessionEngine === tmuxEngine ? 'tmux' : 'node-pty'}, session=${sessionId}, worktree=${worktree || 'none'}, cwd=${worktreeCwd}, planMode=${spawnedPlanMode}`);
+    log(`[WS] Creating NEW shell: oldId=${oldId}, newId=${id}, agent=${agentType}, engine=${engineTypeOf(requestedSessionEngine)}, session=${sessionId}, worktree=${worktree || 'none'}, cwd=${worktreeCwd}, planMode=${spawnedPlanMode}`);
     // windowId is applied on every connect below, but it has to be set HERE too:
     // saveState() runs at the end of this block, so without it a new session
     // persists windowId:null and its window grouping is missing from state.json
@@ -6701,9 +8366,9 @@ function handleWsConnection(ws, req) {
     // Record the engine that actually spawned, not the one we asked for — the
     // fallback above can differ, and engineType is what restore and the shutdown
     // detach branch key off.
-    const engineType = sessionEngine === tmuxEngine ? 'tmux' : 'node-pty';
+    const engineType = engineTypeOf(sessionEngine);
     traceSession('SPAWN', { path: spawnPath, shell: id, oldId: oldId || null, name: name || null, worktree: worktree || null, cwd: worktreeCwd, claude: sessionId, planMode: spawnedPlanMode, agent: agentType, engine: engineType, parentShell, parentClaude, parentWorktree });
-    shells.set(id, { clients: new Set(), cwd: worktreeCwd, claudeSessionId: sessionId, agentType, codexHomeId: agentType === 'codex' ? id : null, configDir: configDir || null, engine: sessionEngine, engineType, worktree: worktree || null, windowId, name: name || null, planMode: spawnedPlanMode, forkParent: parentClaude, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now() });
+    shells.set(id, { clients: new Set(), cwd: worktreeCwd, claudeSessionId: sessionId, agentType, codexHomeId: agentType === 'codex' ? id : null, configDir: configDir || null, engine: sessionEngine, engineType, worktree: worktree || null, windowId, name: name || null, planMode: spawnedPlanMode, model: forkModel, effort: forkEffort, forkParent: parentClaude, owner: req.user?.name || null, waitingForInput: false, lastActivity: Date.now(), createdAt: Date.now() });
     wireShellOutput(id, initialCols, initialRows);
     emitSessionOpen(id);
     recordRecentSession(id);
@@ -6733,7 +8398,7 @@ function handleWsConnection(ws, req) {
   // pingPong: capability flag (#563) — clients only send {type:'ping'} probes when
   // the server advertises it, because an older server would type the raw JSON into
   // the PTY (unknown control messages fall through to the input write).
-  ws.send(JSON.stringify({ type: 'session', id, restored: entry.restored || false, cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', claudeSessionId: entry.claudeSessionId || null, worktree: entry.worktree || null, autopilot: !!entry.autopilot, scrollback: hasScrollback, existingClients, waitingForInput: entry.waitingForInput || false, pingPong: true }));
+  ws.send(JSON.stringify({ type: 'session', id, restored: entry.restored || false, cwd: entry.cwd, name: entry.name || null, agentType: entry.agentType || 'claude', configDir: entry.configDir || null, engineType: entry.engineType || 'node-pty', claudeSessionId: entry.claudeSessionId || null, worktree: entry.worktree || null, autopilot: !!entry.autopilot, guardrail: entry.guardrailNotice || null, scrollback: hasScrollback, existingClients, waitingForInput: entry.waitingForInput || false, pingPong: true, readOnly }));
 
   // Send buffered scrollback so the client can render the terminal immediately
   if (hasScrollback) {
@@ -6744,13 +8409,17 @@ function handleWsConnection(ws, req) {
 
   ws.on('message', (msg) => {
     const str = msg.toString();
+    if (readOnly) {
+      try { if (JSON.parse(str)?.type === 'ping') ws.send(JSON.stringify({ type: 'pong' })); } catch {}
+      return;
+    }
     try {
       const parsed = JSON.parse(str);
       // Only treat input as a control message if it's a JSON object. Raw user input
       // that happens to parse as a JSON primitive (e.g. typing "1" in a plain terminal
       // parses as the number 1) must fall through to the PTY write below. See #373.
       if (parsed && typeof parsed === 'object') {
-      if (parsed.type === 'resize') { getEngine(id).resize(id, parsed.cols, parsed.rows); entry.terminalScreen.resize(parsed.cols, parsed.rows); return; }
+      if (parsed.type === 'resize') { getEngine(id).resize(id, parsed.cols, parsed.rows); entry.terminalScreen.resize(parsed.cols, parsed.rows); sessionRecorders.get(id)?.resize(parsed.cols, parsed.rows); shareSend(id, { type: 'resize', cols: parsed.cols, rows: parsed.rows }); return; }
       if (parsed.type === 'redraw') { return; } // no-op: Ink echoes \x0c as ^L garbage; scrollback replay handles reconnect
       // Liveness probe from a just-woken client (#563). Must return before the
       // PTY write below, and must not touch lastActivity/waitingForInput — a
@@ -6786,6 +8455,7 @@ function handleWsConnection(ws, req) {
         return;
       }
       if (parsed.type === 'rename') { entry.name = parsed.name || null; return; }
+      if (parsed.type === 'guardrail-dismiss') { entry.guardrailNotice = null; return; }
       if (parsed.type === 'unblock-input') {
         // Manual override from the loading banner's "Enable input" button (#512).
         entry.inputBlocked = false;
@@ -6854,6 +8524,9 @@ function handleWsConnection(ws, req) {
     // count is logged because that is the only way to diagnose it if some future TUI
     // turns on a reporting mode this classifier does not yet know about.
     sessionAutoClose.cancel(id, `user input, ${str.length} byte(s)`);
+    // Enter at an idle prompt is a person submitting one — a jump point in the replay.
+    // The text itself is on screen in the recording; the marker only says when.
+    if (entry.waitingForInput && str.includes('\r')) recordingMarker(id, 'prompt submitted');
     // #558 audit: keystroke-resolution ordering, debounced to 1/s per shell
     // (typing bursts collapse into a `burst` suppressed-count). clearedWaiting is
     // now always false — keystrokes no longer touch the flag.
@@ -6944,7 +8617,7 @@ function broadcastToWindow(windowId, msg) {
 }
 
 // Initialize MCP server (async, ~100ms for dynamic import)
-initMCP({ app, security, shells, wss, broadcast, broadcastToWindow, log, MODS_DIR, closeSession, tombstoneSession, handleShellGone, spawnSession, sessionEnv, getSpawnArgs, mcpConfigArgs, getAgentConfig, resolveConfigDir, validateModel, validateEffort, wireShellOutput, watchClaudeSessionDir, unwatchClaudeSessionDir, resolveForkParentSession, saveState, validateWorktree, ensureWorktree, sessionPaths, submitToShell, fetchIssueFromGitHub, deliverPromptWhenReady, startIssueSession, reloadClients, deliverToWindow, settings, isShuttingDown: () => shuttingDown, displayTabs, setDisplayTab, deleteDisplayTab, screenshots, setScreenshot, deleteScreenshot, getScreenshotPath, getDefaultEngine, getForegroundCommand, sessionLog, emitSessionOpen, getContexts: () => contexts, pathInside, getSavedSession: (id) => savedState[id] || null, stripEscapeSequences, readTerminalScreen, sessionInputState, maybeInheritRemoteControl, requestMetaControlsConsent, registerRestartBlocker, armSessionAutoClose }).catch(e => log('MCP init failed:', e.message));
+initMCP({ app, security, shells, wss, broadcast, broadcastToWindow, log, MODS_DIR, closeSession, tombstoneSession, handleShellGone, spawnSession, sessionEnv, getSpawnArgs, mcpConfigArgs, getAgentConfig, resolveConfigDir, validateModel, validateEffort, wireShellOutput, watchClaudeSessionDir, unwatchClaudeSessionDir, resolveForkParentSession, saveState, validateWorktree, ensureWorktree, sessionPaths, submitToShell, fetchIssueFromGitHub, deliverPromptWhenReady, startIssueSession, reloadClients, deliverToWindow, settings, isShuttingDown: () => shuttingDown, displayTabs, setDisplayTab, deleteDisplayTab, screenshots, setScreenshot, deleteScreenshot, getScreenshotPath, getDefaultEngine, getForegroundCommand, sessionLog, emitSessionOpen, getContexts: () => contexts, pathInside, getSavedSession: (id) => savedState[id] || null, stripEscapeSequences, readTerminalScreen, renderTerminalScreenshot, sessionInputState, pushNotify, maybeInheritRemoteControl, requestMetaControlsConsent, registerRestartBlocker, registerTriggerHandler, startAutomation, armSessionAutoClose, transcriptSources, deriveSessionLabel }).catch(e => log('MCP init failed:', e.message));
 
 // Watch themes directory for changes and broadcast to clients
 let themeWatchDebounce = null;
@@ -0,0 +1,236 @@
+/**
+ * Session recordings — every byte a session printed, with its timing, as asciicast v2.
+ *
+ * Scrollback answers "what is on the screen now"; it is trimmed to scrollbackKB and
+ * redrawn in place by every TUI, so it cannot answer "what did that unattended run
+ * actually do at 03:12". wireShellOutput already sees every chunk; with recording on
+ * it also hands each one to a recorder, which appends it to
+ * ~/.deepsteve/recordings/<session id>.cast.
+ *
+ * asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/) rather than a format
+ * of our own: a header line, then one JSON array per event — `[t, "o", data]` output,
+ * `[t, "r", "COLSxROWS"]` a resize, `[t, "m", label]` a marker — so a file is
+ * playable by `asciinema play` and every other player as well as ours. `t` is seconds
+ * since the header's `timestamp`. Input is never recorded: it would capture whatever
+ * was typed into a password prompt, and the echo is already in the output.
+ *
+ * One file per session, for its whole life. A tmux session outlives a daemon restart
+ * (#620) and is re-wired under the same id, so the recorder re-opens the same file
+ * and keeps appending: `t` stays relative to the original header, the restart shows
+ * up as a gap and a marker, and the file stays one valid recording.
+ *
+ * Markers are the jump points in the replay: a prompt handed to the agent, and each
+ * waiting ↔ working transition of the screen classifier (#568).
+ *
+ * Root-level *.js ships with no packaging change (same as transcript-export.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Writes are batched: a busy agent prints hundreds of chunks a second, and one
+// writeSync each would put a syscall on the PTY hot path. A crash loses at most this
+// much of the tail.
+const FLUSH_MS = 250;
+const FLUSH_BYTES = 64 * 1024;
+
+// One session can't eat the whole retention budget: a runaway `yes` would otherwise
+// get every other recording pruned to make room for itself. Past this the recorder
+// writes a marker saying so and stops.
+const MAX_RECORDING_BYTES = 64 * 1024 * 1024;
+
+// Headers are small; this bounds what reading one costs for a listing.
+const HEADER_READ_BYTES = 8192;
+
+const MARKER_LABEL_MAX = 120;
+
+/** The file for a session's recording, or null for an id that can't name one. */
+function recordingFile(dir, id) {
+  if (typeof id !== 'string' || !ID_RE.test(id)) return null;
+  return path.join(dir, `${id}.cast`);
+}
+
+/** Seconds, to the microsecond — what asciinema itself writes. */
+function castTime(ms) {
+  return Math.round(Math.max(0, ms) * 1000) / 1e6;
+}
+
+/**
+ * Read a recording's header line. null when the file is missing, empty, or doesn't
+ * start with an asciicast v2 header.
+ */
+function readCastHeader(file, { fsImpl = fs } = {}) {
+  let fd;
+  try {
+    fd = fsImpl.openSync(file, 'r');
+    const buf = Buffer.alloc(HEADER_READ_BYTES);
+    const n = fsImpl.readSync(fd, buf, 0, buf.length, 0);
+    const text = buf.subarray(0, n).toString('utf8');
+    const nl = text.indexOf('\n');
+    const header = JSON.parse(nl === -1 ? text : text.slice(0, nl));
+    return header && header.version === 2 && Number.isFinite(header.timestamp) ? header : null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) try { fsImpl.closeSync(fd); } catch {}
+  }
+}
+
+/**
+ * Start (or continue) recording one session.
+ *
+ * @param {object} o
+ * @param {string} o.file   — from recordingFile()
+ * @param {number} o.cols
+ * @param {number} o.rows
+ * @param {string} [o.title] — the tab name when recording started
+ * @param {object} [o.meta]  — extra header fields (agentType, cwd); players ignore them
+ * @returns the recorder: output(data), resize(cols, rows), marker(label), flush(),
+ *          close(), and `stopped` once the size cap has ended it.
+ */
+function createRecorder({
+  file, cols, rows, title, meta = {},
+  now = Date.now, fsImpl = fs, maxBytes = MAX_RECORDING_BYTES,
+  setTimer = setTimeout, clearTimer = clearTimeout,
+}) {
+  const existing = readCastHeader(file, { fsImpl });
+  let startMs;
+  let bytes = 0;
+  let pending = [];
+  let pendingBytes = 0;
+  let timer = null;
+  let stopped = false;
+  let closed = false;
+
+  fsImpl.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  // 0600: a recording holds whatever the session printed, secrets included.
+  const fd = fsImpl.openSync(file, 'a', 0o600);
+
+  if (existing) {
+    startMs = existing.timestamp * 1000;
+    bytes = fsImpl.fstatSync(fd).size;
+  } else {
+    // A partial or foreign file is started over rather than appended to: a header
+    // that doesn't parse makes the whole recording unplayable.
+    fsImpl.ftruncateSync(fd, 0);
+    const timestamp = Math.floor(now() / 1000);
+    startMs = timestamp * 1000;
+    const header = { version: 2, width: cols, height: rows, timestamp, env: { TERM: 'xterm-256color' }, ...meta };
+    if (title) header.title = title;
+    const line = JSON.stringify(header) + '\n';
+    fsImpl.writeSync(fd, line);
+    bytes = Buffer.byteLength(line);
+  }
+
+  function flush() {
+    if (timer) { clearTimer(timer); timer = null; }
+    if (!pending.length || closed) return;
+    const chunk = pending.join('');
+    pending = [];
+    pendingBytes = 0;
+    try { fsImpl.writeSync(fd, chunk); } catch {}
+  }
+
+  function push(code, data) {
+    if (stopped || closed) return;
+    const line = JSON.stringify([castTime(now() - startMs), code, data]) + '\n';
+    const size = Buffer.byteLength(line);
+    if (bytes + size > maxBytes && code !== 'm') {
+      pending.push(JSON.stringify([castTime(now() - startMs), 'm', 'recording stopped: size limit']) + '\n');
+      stopped = true;
+      flush();
+      return;
+    }
+    bytes += size;
+    pending.push(line);
+    pendingBytes += size;
+    if (pendingBytes >= FLUSH_BYTES) flush();
+    else if (!timer) {
+      timer = setTimer(flush, FLUSH_MS);
+      if (timer && timer.unref) timer.unref();
+    }
+  }
+
+  const recorder = {
+    file,
+    output(data) { if (data) push('o', String(data)); },
+    resize(c, r) {
+      if (Number.isFinite(c) && Number.isFinite(r) && c > 0 && r > 0) push('r', `${c}x${r}`);
+    },
+    marker(label) { push('m', String(label).replace(/\s+/g, ' ').trim().slice(0, MARKER_LABEL_MAX)); },
+    flush,
+    close() {
+      if (closed) return;
+      flush();
+      closed = true;
+      try { fsImpl.closeSync(fd); } catch {}
+    },
+    get stopped() { return stopped; },
+    get bytes() { return bytes; },
+  };
+  if (existing) recorder.marker('deepsteve restarted');
+  return recorder;
+}
+
+/**
+ * Every recording in `dir`, newest first: { id, bytes, startedAt, updatedAt, title,
+ * cols, rows, agentType, cwd }. startedAt/updatedAt are ms; their difference is the
+ * span the recording covers.
+ */
+function listRecordings(dir, { fsImpl = fs } = {}) {
+  let names;
+  try { names = fsImpl.readdirSync(dir); } catch { return []; }
+  const out = [];
+  for (const name of names) {
+    if (!name.endsWith('.cast')) continue;
+    const id = name.slice(0, -'.cast'.length);
+    if (!ID_RE.test(id)) continue;
+    const file = path.join(dir, name);
+    let st;
+    try { st = fsImpl.statSync(file); } catch { continue; }
+    const header = readCastHeader(file, { fsImpl });
+    if (!header) continue;
+    out.push({
+      id, bytes: st.size,
+      startedAt: header.timestamp * 1000, updatedAt: st.mtimeMs,
+      title: header.title || null, cols: header.width, rows: header.height,
+      agentType: header.agentType || null, cwd: header.cwd || null,
+    });
+  }
+  return out.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Retention: delete recordings not touched in `maxAgeDays`, then the least recently
+ * touched until the rest fit in `maxTotalBytes`. Ids in `active` (sessions still
+ * being recorded) are never deleted — a running session's history is the one most
+ * likely to be wanted. Returns the ids removed.
+ */
+function pruneRecordings(dir, { maxAgeDays, maxTotalBytes, active = new Set(), now = Date.now(), fsImpl = fs } = {}) {
+  const all = listRecordings(dir, { fsImpl });
+  const removed = [];
+  const remove = (r) => {
+    try { fsImpl.unlinkSync(path.join(dir, `${r.id}.cast`)); removed.push(r.id); return true; } catch { return false; }
+  };
+  const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  const kept = [];
+  for (const r of all) {
+    if (!active.has(r.id) && r.updatedAt < cutoff && remove(r)) continue;
+    kept.push(r);
+  }
+  let total = kept.reduce((n, r) => n + r.bytes, 0);
+  // Oldest first.
+  for (const r of [...kept].reverse()) {
+    if (total <= maxTotalBytes) break;
+    if (active.has(r.id)) continue;
+    if (remove(r)) total -= r.bytes;
+  }
+  return removed;
+}
+
+module.exports = {
+  recordingFile, readCastHeader, createRecorder, listRecordings, pruneRecordings, castTime,
+  MAX_RECORDING_BYTES, FLUSH_MS,
+};
@@ -0,0 +1,197 @@
+/**
+ * Read-only share links — watch one session live without being able to touch it.
+ *
+ * The install token (security.js) is all-or-nothing: whoever holds it can type into
+ * every shell, drive MCP and change settings. Handing it to a teammate who only
+ * wants to watch an agent work is handing them the machine. A share link is a
+ * separate credential with exactly one power: stream one session's output for a
+ * bounded time. It opens /share (a page with no access to anything else) and the
+ * share WebSocket, and nothing else accepts it — authGate and verifyWsClient only
+ * ever compare against the install token, so input, resize, /api and /mcp are
+ * refused by construction rather than by a check someone could forget.
+ *
+ * The token travels in the URL *fragment* (`/share#<token>`), which browsers never
+ * send to the server, and the page hands it back as a WebSocket subprotocol — the
+ * only request header a browser WebSocket can set. So, like the install token
+ * (#536), it never lands in a request line, a log or a Referer.
+ *
+ * Only a SHA-256 of each token is kept, in ~/.deepsteve/share-links.json, so links
+ * survive a daemon restart (the tmux session they show does too — #620) while the
+ * file alone can't be turned back into a working link.
+ *
+ * Root-level *.js ships with no packaging change (same as session-recording.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The first subprotocol the viewer offers; the second is the token. ws answers with
+// the first offered protocol, which is what a browser requires to complete the
+// handshake.
+const SHARE_PROTOCOL = 'deepsteve-share';
+const TOKEN_BYTES = 32;
+
+const DEFAULT_TTL_MINUTES = 60;
+const MIN_TTL_MINUTES = 5;
+// A week. Links are meant for "watch this run", not standing access; a longer need
+// is a new link, which also shows up in the Settings audit list again.
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+
+const LABEL_MAX = 80;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * The share token from a `Sec-WebSocket-Protocol` header ("deepsteve-share, <token>"),
+ * or null. Only a hex string of the right length is a candidate, so nothing else a
+ * client offers is ever hashed and looked up.
+ */
+function shareTokenFromProtocols(header) {
+  const offered = String(header || '').split(',').map(s => s.trim());
+  if (offered[0] !== SHARE_PROTOCOL) return null;
+  const token = offered[1] || '';
+  return new RegExp(`^[0-9a-f]{${TOKEN_BYTES * 2}}$`).test(token) ? token : null;
+}
+
+/** Minutes → a whole number within [MIN, MAX]; anything unusable is the default. */
+function clampTtlMinutes(minutes) {
+  const n = Math.round(Number(minutes));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_TTL_MINUTES;
+  return Math.min(MAX_TTL_MINUTES, Math.max(MIN_TTL_MINUTES, n));
+}
+
+/**
+ * The link store. `file` is where grants persist; `now` and `fsImpl` are for tests.
+ *
+ * A grant is { id, sessionId, label, createdAt, expiresAt } (plus the token hash,
+ * which never leaves this module). A viewer is one open share socket:
+ * { id, grantId, sessionId, address, userAgent, connectedAt } — the audit list.
+ */
+function createShareLinks({ file, now = Date.now, fsImpl = fs, log = () => {} }) {
+  const grants = new Map();   // id → grant (with tokenHash)
+  const byHash = new Map();   // tokenHash → id
+  const viewers = new Map();  // viewer id → viewer
+
+  try {
+    const saved = JSON.parse(fsImpl.readFileSync(file, 'utf8'));
+    for (const g of Array.isArray(saved) ? saved : []) {
+      if (!g || typeof g.id !== 'string' || typeof g.tokenHash !== 'string' || !(g.expiresAt > now())) continue;
+      grants.set(g.id, g);
+      byHash.set(g.tokenHash, g.id);
+    }
+  } catch { /* no links yet */ }
+
+  function save() {
+    try {
+      fsImpl.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = file + '.tmp';
+      fsImpl.writeFileSync(tmp, JSON.stringify([...grants.values()], null, 2), { mode: 0o600 });
+      fsImpl.renameSync(tmp, file);
+    } catch (e) {
+      log(`[share] could not save share links: ${e.message}`);
+    }
+  }
+
+  function publicGrant(g) {
+    const { tokenHash, ...rest } = g;
+    return rest;
+  }
+
+  function drop(id) {
+    const g = grants.get(id);
+    if (!g) return null;
+    grants.delete(id);
+    byHash.delete(g.tokenHash);
+    return g;
+  }
+
+  /** Mint a link for `sessionId`. The raw token is returned here and nowhere else. */
+  function mint(sessionId, { minutes, label } = {}) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const createdAt = now();
+    const grant = {
+      id: crypto.randomBytes(6).toString('hex'),
+      sessionId,
+      label: label ? String(label).replace(/\s+/g, ' ').trim().slice(0, LABEL_MAX) : null,
+      createdAt,
+      expiresAt: createdAt + clampTtlMinutes(minutes) * 60 * 1000,
+      tokenHash: hashToken(token),
+    };
+    grants.set(grant.id, grant);
+    byHash.set(grant.tokenHash, grant.id);
+    save();
+    return { grant: publicGrant(grant), token };
+  }
+
+  /** The live grant a token names, or null (unknown, revoked or expired). */
+  function resolve(token) {
+    if (!token) return null;
+    const g = grants.get(byHash.get(hashToken(token)));
+    return g && g.expiresAt > now() ? publicGrant(g) : null;
+  }
+
+  function get(id) {
+    const g = grants.get(id);
+    return g ? publicGrant(g) : null;
+  }
+
+  /** Revoke one link. Returns the grant, or null if there was none. */
+  function revoke(id) {
+    const g = drop(id);
+    if (g) save();
+    return g ? publicGrant(g) : null;
+  }
+
+  /** Revoke every link to a session (it closed). Returns the ids. */
+  function revokeSession(sessionId) {
+    const ids = [...grants.values()].filter(g => g.sessionId === sessionId).map(g => g.id);
+    for (const id of ids) drop(id);
+    if (ids.length) save();
+    return ids;
+  }
+
+  /** Forget links whose time is up. Returns the ids, so their viewers can be closed. */
+  function expire() {
+    const t = now();
+    const ids = [...grants.values()].filter(g => g.expiresAt <= t).map(g => g.id);
+    for (const id of ids) drop(id);
+    if (ids.length) save();
+    return ids;
+  }
+
+  function addViewer(grant, { address, userAgent } = {}) {
+    const viewer = {
+      id: crypto.randomBytes(6).toString('hex'),
+      grantId: grant.id,
+      sessionId: grant.sessionId,
+      address: address || null,
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+      connectedAt: now(),
+    };
+    viewers.set(viewer.id, viewer);
+    return viewer;
+  }
+
+  function removeViewer(id) {
+    viewers.delete(id);
+  }
+
+  /** Every live link, newest first, each with its connected viewers. */
+  function list() {
+    const t = now();
+    return [...grants.values()]
+      .filter(g => g.expiresAt > t)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(g => ({ ...publicGrant(g), viewers: [...viewers.values()].filter(v => v.grantId === g.id) }));
+  }
+
+  return { mint, resolve, get, revoke, revokeSession, expire, addViewer, removeViewer, list };
+}
+
+module.exports = {
+  createShareLinks, shareTokenFromProtocols, clampTtlMinutes,
+  SHARE_PROTOCOL, DEFAULT_TTL_MINUTES, MIN_TTL_MINUTES, MAX_TTL_MINUTES,
+};
@@ -0,0 +1,376 @@
+/**
+ * Server-side terminal screenshots: draw a TerminalScreen snapshot as PNG or SVG.
+ *
+ * screenshot_capture renders in the browser, so with no window connected (a scheduled
+ * run, a CI box, a laptop with the lid shut) there is nothing to take a picture with.
+ * The daemon already interprets every session's output in an xterm headless emulator
+ * (terminal-screen.js), so the screen itself — characters, colours, attributes — is on
+ * hand; this turns it into an image without a browser.
+ *
+ * SVG is the faithful one: text stays text, in the viewer's monospace font, so any
+ * character the viewer can show comes out right. PNG is rasterized here, with no font
+ * engine to lean on: printable ASCII comes from a built-in 5×7 bitmap font, the
+ * characters TUIs draw their chrome with (box drawing, block elements, braille spinners)
+ * are drawn as shapes, a few common symbols fall back to an ASCII lookalike, and
+ * anything else is a hollow box the width of the character. Italic is not drawn in PNG.
+ *
+ * Colours resolve the way the browser's xterm does for deepsteve: the background is the
+ * active theme's --ds-bg-primary, the foreground its --ds-terminal-foreground (xterm's
+ * white without one), the 256-colour palette xterm's default, and bold turns the eight
+ * normal colours bright.
+ */
+const { encodePng } = require('./png');
+
+const DEFAULT_BACKGROUND = '#0d1117'; // --ds-bg-primary in public/css/style.css
+const DEFAULT_FOREGROUND = '#ffffff'; // xterm.js's default
+const ANSI_16 = [
+  '#2e3436', '#cc0000', '#4e9a06', '#c4a000', '#3465a4', '#75507b', '#06989a', '#d3d7cf',
+  '#555753', '#ef2929', '#8ae234', '#fce94f', '#729fcf', '#ad7fa8', '#34e2e2', '#eeeeec',
+];
+const MAX_PNG_PIXELS = 16 * 1024 * 1024;
+
+// --- colours ---
+
+function hex([r, g, b]) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// '#rgb', '#rrggbb' or 'rgb(r, g, b)' → [r, g, b]; anything else → null.
+function parseColor(value) {
+  const v = String(value || '').trim();
+  let m = v.match(/^#([0-9a-f]{3})$/i);
+  if (m) return [...m[1]].map(c => parseInt(c + c, 16));
+  m = v.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (m) return [0, 2, 4].map(i => parseInt(m[1].slice(i, i + 2), 16));
+  m = v.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (m) return [1, 2, 3].map(i => Math.min(255, Number(m[i])));
+  return null;
+}
+
+function xtermPalette() {
+  const palette = ANSI_16.map(parseColor);
+  const levels = [0, 0x5f, 0x87, 0xaf, 0xd7, 0xff];
+  for (let i = 0; i < 216; i++) palette.push([levels[Math.floor(i / 36)], levels[Math.floor(i / 6) % 6], levels[i % 6]]);
+  for (let i = 0; i < 24; i++) palette.push([8 + i * 10, 8 + i * 10, 8 + i * 10]);
+  return palette;
+}
+
+/**
+ * The terminal colours a theme's CSS gives the browser's xterm (see THEMES.md):
+ * { background, foreground, palette } as [r, g, b]. With no CSS, deepsteve's default.
+ */
+function terminalTheme(css) {
+  const variable = (name) => {
+    const m = String(css || '').match(new RegExp(`${name}\\s*:\\s*([^;}]+)`));
+    return m ? parseColor(m[1]) : null;
+  };
+  return {
+    background: variable('--ds-bg-primary') || parseColor(DEFAULT_BACKGROUND),
+    foreground: variable('--ds-terminal-foreground') || parseColor(DEFAULT_FOREGROUND),
+    palette: xtermPalette(),
+  };
+}
+
+const mix = (a, b, t) => [0, 1, 2].map(i => a[i] + (b[i] - a[i]) * t);
+
+// A cell's colours as [r, g, b] pairs, with bold-is-bright, dim and inverse applied.
+function cellColors(cell, theme) {
+  const resolve = (c, fallback) => (c == null ? fallback : typeof c === 'number' ? theme.palette[c] || fallback : [(c.rgb >> 16) & 255, (c.rgb >> 8) & 255, c.rgb & 255]);
+  const fgIndex = typeof cell.fg === 'number' && cell.bold && cell.fg < 8 ? cell.fg + 8 : cell.fg;
+  let fg = resolve(fgIndex, theme.foreground);
+  let bg = resolve(cell.bg, theme.background);
+  if (cell.inverse) [fg, bg] = [bg, fg];
+  if (cell.dim) fg = mix(bg, fg, 0.5);
+  return { fg, bg };
+}
+
+// --- the PNG glyphs ---
+
+// Printable ASCII, 0x21 '!' to 0x7e '~': seven rows each, five bits per row, most
+// significant bit leftmost, as hex pairs. g j p q y have an eighth row, their descender.
+const FONT_5X7 = [
+  '04040404000004', '0a0a0a00000000', '0a0a1f0a1f0a0a', '040f140e051e04', // ! " # $
+  '18190204081303', '0c12140815120d', '0c040800000000', '02040808080402', // % & ' (
+  '08040202020408', '0004150e150400', '0004041f040400', '000000000c0408', // ) * + ,
+  '0000001f000000', '00000000000c0c', '00010204081000', '0e11131519110e', // - . / 0
+  '040c040404040e', '0e11010204081f', '1f02040201110e', '02060a121f0202', // 1 2 3 4
+  '1f101e0101110e', '0608101e11110e', '1f010204080808', '0e11110e11110e', // 5 6 7 8
+  '0e11110f01020c', '000c0c000c0c00', '000c0c000c0408', '02040810080402', // 9 : ; <
+  '00001f001f0000', '08040201020408', '0e110102040004', '0e11010d15150e', // = > ? @
+  '0e1111111f1111', '1e11111e11111e', '0e11101010110e', '1c12111111121c', // A B C D
+  '1f10101e10101f', '1f10101e101010', '0e11101711110f', '1111111f111111', // E F G H
+  '0e04040404040e', '0702020202120c', '11121418141211', '1010101010101f', // I J K L
+  '111b1515111111', '11111915131111', '0e11111111110e', '1e11111e101010', // M N O P
+  '0e11111115120d', '1e11111e141211', '0f10100e01011e', '1f040404040404', // Q R S T
+  '1111111111110e', '11111111110a04', '1111111515150a', '11110a040a1111', // U V W X
+  '1111110a040404', '1f01020408101f', '0e08080808080e', '00100804020100', // Y Z [ \
+  '0e02020202020e', '040a1100000000', '0000000000001f', '08040200000000', // ] ^ _ `
+  '00000e010f110f', '1010161911111e', '00000e1010110e', '01010d1311110f', // a b c d
+  '00000e111f100e', '0609081c080808', '00000f11110f010e', '10101619111111', // e f g h
+  '04000c0404040e', '020006020202120c', '10101214181412', '0c04040404040e', // i j k l
+  '00001a15151111', '00001619111111', '00000e1111110e', '00001e11111e1010', // m n o p
+  '00000f11110f0101', '00001619101010', '00000e100e011e', '08081c08080906', // q r s t
+  '0000111111130d', '00001111110a04', '0000111115150a', '0000110a040a11', // u v w x
+  '00001111110f010e', '00001f0204081f', '02040408040402', '04040404040404', // y z { |
+  '08040402040408', '00000815020000', // } ~
+];
+
+const GLYPHS = new Map(FONT_5X7.map((rows, i) => [0x21 + i, rows.match(/../g).map(h => parseInt(h, 16))]));
+
+// Symbols TUIs use that the 5×7 font lacks, drawn as the nearest ASCII character
+// or — for the round ones — as a shape.
+const LOOKALIKES = {
+  '●': 'disc', '⏺': 'disc', '•': 'disc', '◉': 'disc', '⬤': 'disc', '○': 'o', '◯': 'o',
+  '·': 'dot', '∙': 'dot', '…': 'ellipsis', '⋯': 'ellipsis',
+  '❯': '>', '›': '>', '»': '>', '▶': '>', '▸': '>', '►': '>', '➜': '>', '→': '>', '⟩': '>',
+  '‹': '<', '«': '<', '◀': '<', '◂': '<', '←': '<', '⟨': '<',
+  '↑': '^', '▲': '^', '▴': '^', '↓': 'v', '▼': 'v', '▾': 'v',
+  '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '×': 'x', '✕': 'x',
+  '✻': '*', '✳': '*', '✶': '*', '✢': '*', '✽': '*', '✦': '*', '✧': '*', '⋆': '*', '★': '*', '☆': '*', '∗': '*',
+  '⎿': 'L', '–': '-', '—': '-', '−': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '\u00a0': ' ',
+};
+
+// Box drawing, U+2500–U+257F: the line leaving the cell's centre up, right, down and
+// left — 0 none, 1 light, 2 heavy, 3 double. Dashed lines are drawn solid, rounded
+// corners square; '....' is a diagonal, which gets the hollow box.
+const BOX = (
+  '0101 0202 1010 2020 0101 0202 1010 2020 0101 0202 1010 2020 0110 0210 0120 0220 '
+  + '0011 0012 0021 0022 1100 1200 2100 2200 1001 1002 2001 2002 1110 1210 2110 1120 '
+  + '2120 2210 1220 2220 1011 1012 2011 1021 2021 2012 1022 2022 0111 0112 0211 0212 '
+  + '0121 0122 0221 0222 1101 1102 1201 1202 2101 2102 2201 2202 1111 1112 1211 1212 '
+  + '2111 1121 2121 2112 2211 1122 1221 2212 1222 2122 2221 2222 0101 0202 1010 2020 '
+  + '0303 3030 0310 0130 0330 0013 0031 0033 1300 3100 3300 1003 3001 3003 1310 3130 '
+  + '3330 1013 3031 3033 0313 0131 0333 1303 3101 3303 1313 3131 3333 0110 0011 1001 '
+  + '1100 .... .... .... 0001 1000 0100 0010 0002 2000 0200 0020 0201 1020 0102 2010'
+).split(' ');
+
+// A raster the size of the image, filled cell by cell.
+function createCanvas(width, height) {
+  const data = new Uint8Array(width * height * 4);
+  const fill = (x, y, w, h, [r, g, b]) => {
+    const x0 = Math.max(0, Math.round(x)); const x1 = Math.min(width, Math.round(x + w));
+    const y0 = Math.max(0, Math.round(y)); const y1 = Math.min(height, Math.round(y + h));
+    for (let yy = y0; yy < y1; yy++) {
+      for (let xx = x0; xx < x1; xx++) {
+        const o = (yy * width + xx) * 4;
+        data[o] = r; data[o + 1] = g; data[o + 2] = b; data[o + 3] = 255;
+      }
+    }
+  };
+  return { width, height, data, fill };
+}
+
+// Cell geometry at scale 1: a 5×7 glyph with a column of space to its right, one row
+// above and two below — descenders use the first, the underline the second.
+const CELL_W = 6;
+const CELL_H = 10;
+
+function drawBox(canvas, spec, x, y, w, h, s, fg) {
+  const cx = x + Math.floor(w / 2);
+  const cy = y + Math.floor(h / 2);
+  const segment = (weight, vertical, from, to) => {
+    const t = weight === 2 ? 2 * s : s;
+    const offsets = weight === 3 ? [-s, s] : [0];
+    for (const off of offsets) {
+      if (vertical) canvas.fill(cx - Math.floor(t / 2) + off, from, t, to - from, fg);
+      else canvas.fill(from, cy - Math.floor(t / 2) + off, to - from, t, fg);
+    }
+  };
+  const [up, right, down, left] = [...spec].map(Number);
+  // How far a line reaches past the centre: to the far edge of the line it meets, so
+  // corners and joints close up without a stub poking out the other side.
+  const extent = (...weights) => Math.max(0, ...weights.filter(Boolean).map(w => (w === 3 ? 2 * s : w === 2 ? s : Math.ceil(s / 2))));
+  const across = extent(left, right);
+  const along = extent(up, down);
+  if (up) segment(up, true, y, cy + across);
+  if (down) segment(down, true, cy - across, y + h);
+  if (left) segment(left, false, x, cx + along);
+  if (right) segment(right, false, cx - along, x + w);
+}
+
+function drawBlock(canvas, code, x, y, w, h, fg, bg) {
+  const eighthH = h / 8;
+  const eighthW = w / 8;
+  if (code === 0x2580) return canvas.fill(x, y, w, h / 2, fg);
+  if (code >= 0x2581 && code <= 0x2588) {
+    const n = code - 0x2580;
+    return canvas.fill(x, y + h - n * eighthH, w, n * eighthH, fg);
+  }
+  if (code >= 0x2589 && code <= 0x258f) return canvas.fill(x, y, (0x2590 - code) * eighthW, h, fg);
+  if (code === 0x2590) return canvas.fill(x + w / 2, y, w / 2, h, fg);
+  if (code >= 0x2591 && code <= 0x2593) return canvas.fill(x, y, w, h, mix(bg, fg, (code - 0x2590) / 4));
+  if (code === 0x2594) return canvas.fill(x, y, w, eighthH, fg);
+  if (code === 0x2595) return canvas.fill(x + w - eighthW, y, eighthW, h, fg);
+  // Quadrants, as bits: upper-left 1, upper-right 2, lower-left 4, lower-right 8.
+  const quads = { 0x2596: 4, 0x2597: 8, 0x2598: 1, 0x2599: 13, 0x259a: 9, 0x259b: 7, 0x259c: 11, 0x259d: 2, 0x259e: 6, 0x259f: 14 }[code];
+  if (quads & 1) canvas.fill(x, y, w / 2, h / 2, fg);
+  if (quads & 2) canvas.fill(x + w / 2, y, w / 2, h / 2, fg);
+  if (quads & 4) canvas.fill(x, y + h / 2, w / 2, h / 2, fg);
+  if (quads & 8) canvas.fill(x + w / 2, y + h / 2, w / 2, h / 2, fg);
+}
+
+function drawBraille(canvas, code, x, y, w, h, s, fg) {
+  // Dot n of the 2×4 grid is bit n: 1 2 3 down the left, 4 5 6 down the right, then 7 8.
+  const dots = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [0, 3], [1, 3]];
+  const bits = code - 0x2800;
+  const size = Math.max(1, Math.round(s * 1.5));
+  dots.forEach(([col, row], i) => {
+    if (!(bits & (1 << i))) return;
+    canvas.fill(x + (w / 4) * (col * 2 + 1) - size / 2, y + (h / 8) * (row * 2 + 1) - size / 2, size, size, fg);
+  });
+}
+
+function drawGlyph(canvas, rows, x, y, s, fg, bold) {
+  rows.forEach((bits, row) => {
+    for (let col = 0; col < 5; col++) {
+      if (!(bits & (0x10 >> col))) continue;
+      canvas.fill(x + col * s, y + (row + 1) * s, bold ? 2 * s : s, s, fg);
+    }
+  });
+}
+
+function drawChar(canvas, chars, x, y, w, h, s, fg, bg, bold) {
+  const code = chars.codePointAt(0);
+  if (GLYPHS.has(code)) return drawGlyph(canvas, GLYPHS.get(code), x, y, s, fg, bold);
+  // An accented Latin letter is drawn as its base letter: é → e.
+  const base = chars.normalize('NFD').codePointAt(0);
+  if (base !== code && GLYPHS.has(base)) return drawGlyph(canvas, GLYPHS.get(base), x, y, s, fg, bold);
+  if (code >= 0x2500 && code <= 0x257f && BOX[code - 0x2500] !== '....') return drawBox(canvas, BOX[code - 0x2500], x, y, w, h, s, fg);
+  if (code >= 0x2580 && code <= 0x259f) return drawBlock(canvas, code, x, y, w, h, fg, bg);
+  if (code >= 0x2800 && code <= 0x28ff) return drawBraille(canvas, code, x, y, w, h, s, fg);
+  const like = LOOKALIKES[String.fromCodePoint(code)];
+  if (like === ' ' || code === 0x20) return;
+  if (like === 'disc') return canvas.fill(x + s, y + 2 * s, 4 * s, 4 * s, fg);
+  if (like === 'dot') return canvas.fill(x + 2 * s, y + 4 * s, s, s, fg);
+  if (like === 'ellipsis') {
+    for (let i = 0; i < 3; i++) canvas.fill(x + i * 2 * s, y + 7 * s, s, s, fg);
+    return;
+  }
+  if (like) return drawGlyph(canvas, GLYPHS.get(like.codePointAt(0)), x, y, s, fg, bold);
+  // Unknown: a hollow box inside the cell (or both cells of a wide character).
+  canvas.fill(x + s, y + s, w - 2 * s, s, fg);
+  canvas.fill(x + s, y + 7 * s, w - 2 * s, s, fg);
+  canvas.fill(x + s, y + s, s, 7 * s, fg);
+  canvas.fill(x + w - 2 * s, y + s, s, 7 * s, fg);
+}
+
+/**
+ * A snapshot (TerminalScreen#snapshot) → PNG bytes. `scale` multiplies the 6×10 cell;
+ * the default 2 gives a 120×40 terminal at 1440×800.
+ */
+function renderTerminalPng(snapshot, { theme = terminalTheme(), scale = 2 } = {}) {
+  const s = Math.max(1, Math.min(4, Math.round(Number(scale)) || 2));
+  const cw = CELL_W * s;
+  const ch = CELL_H * s;
+  const rows = Math.max(1, snapshot.lines.length);
+  const width = snapshot.cols * cw;
+  const height = rows * ch;
+  if (width * height > MAX_PNG_PIXELS) throw new Error(`A ${width}×${height} image is too large — ask for less scrollback or a smaller scale`);
+  const canvas = createCanvas(width, height);
+  canvas.fill(0, 0, width, height, theme.background);
+
+  snapshot.lines.forEach((cells, row) => {
+    cells.forEach((cell, col) => {
+      if (!cell) return;
+      const x = col * cw;
+      const y = row * ch;
+      const w = cw * cell.width;
+      const { fg, bg } = cellColors(cell, theme);
+      canvas.fill(x, y, w, ch, bg);
+      if (cell.invisible) return;
+      if (cell.chars) drawChar(canvas, cell.chars, x, y, w, ch, s, fg, bg, cell.bold);
+      if (cell.underline) canvas.fill(x, y + ch - s, w, s, fg);
+      if (cell.strikethrough) canvas.fill(x, y + 4 * s, w, s, fg);
+    });
+  });
+  return encodePng(canvas);
+}
+
+// --- SVG ---
+
+const escapeXml = (t) => t.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+/**
+ * A snapshot → an SVG document. Characters are <text> in the viewer's monospace font,
+ * each run stretched to exactly its cells so the grid stays aligned whatever the font.
+ */
+function renderTerminalSvg(snapshot, { theme = terminalTheme(), fontSize = 14 } = {}) {
+  const cw = Math.round(fontSize * 0.6 * 100) / 100;
+  const ch = Math.round(fontSize * 1.2 * 100) / 100;
+  const rows = Math.max(1, snapshot.lines.length);
+  const width = Math.ceil(snapshot.cols * cw);
+  const height = Math.ceil(rows * ch);
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${hex(theme.background)}"/>`,
+    `<g font-family="Menlo, Consolas, 'DejaVu Sans Mono', monospace" font-size="${fontSize}" xml:space="preserve">`,
+  ];
+  const background = hex(theme.background);
+
+  snapshot.lines.forEach((cells, row) => {
+    const y = row * ch;
+    const baseline = Math.round((y + ch * 0.78) * 100) / 100;
+    // Background runs first, so text is never painted under a later cell's fill.
+    let run = null;
+    const flushBg = () => {
+      if (run && run.fill !== background) out.push(`<rect x="${run.x}" y="${y}" width="${Math.round(run.w * 100) / 100}" height="${ch}" fill="${run.fill}"/>`);
+      run = null;
+    };
+    cells.forEach((cell, col) => {
+      if (!cell) return;
+      const fill = hex(cellColors(cell, theme).bg);
+      if (run && run.fill === fill && run.end === col) {
+        run.w += cw * cell.width;
+        run.end = col + cell.width;
+      } else {
+        flushBg();
+        run = { fill, x: Math.round(col * cw * 100) / 100, w: cw * cell.width, end: col + cell.width };
+      }
+    });
+    flushBg();
+
+    // Then text runs: consecutive single-width cells of one style. A wide character
+    // is a run of its own, two cells across.
+    let text = null;
+    const flushText = () => {
+      if (!text) return;
+      const { cell, parts } = text;
+      let col = text.col;
+      // Blank edges would only be stretched along with the run — unless they are
+      // underlined or struck through, when the line is what shows.
+      if (!cell.underline && !cell.strikethrough) {
+        while (parts.length && parts[0] === ' ') { parts.shift(); col++; }
+        while (parts.length && parts[parts.length - 1] === ' ') parts.pop();
+      }
+      const chars = parts.join('');
+      text = null;
+      if (!chars.trim() && !cell.underline && !cell.strikethrough) return;
+      const cells = cell.width > 1 ? cell.width : parts.length;
+      const attrs = [
+        `x="${Math.round(col * cw * 100) / 100}"`, `y="${baseline}"`, `fill="${hex(cellColors(cell, theme).fg)}"`,
+        `textLength="${Math.round(cells * cw * 100) / 100}"`, 'lengthAdjust="spacingAndGlyphs"',
+      ];
+      if (cell.bold) attrs.push('font-weight="bold"');
+      if (cell.italic) attrs.push('font-style="italic"');
+      const decoration = [cell.underline && 'underline', cell.strikethrough && 'line-through'].filter(Boolean).join(' ');
+      if (decoration) attrs.push(`text-decoration="${decoration}"`);
+      out.push(`<text ${attrs.join(' ')}>${escapeXml(chars)}</text>`);
+    };
+    const style = (c) => [hex(cellColors(c, theme).fg), c.bold, c.italic, c.underline, c.strikethrough].join();
+    cells.forEach((cell, col) => {
+      if (!cell) return;
+      const chars = cell.invisible || !cell.chars ? ' ' : cell.chars;
+      if (text && cell.width === 1 && text.cell.width === 1 && style(text.cell) === style(cell) && text.col + text.parts.length === col) {
+        text.parts.push(chars);
+        return;
+      }
+      flushText();
+      text = { col, parts: [chars], cell };
+    });
+    flushText();
+  });
+  out.push('</g>', '</svg>');
+  return out.join('\n') + '\n';
+}
+
+module.exports = { renderTerminalPng, renderTerminalSvg, terminalTheme, cellColors };
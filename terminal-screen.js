@@ -85,6 +85,53 @@ class TerminalScreen {
     return lines
   }
 
+  // The screen as cells, for terminal-render.js to draw: the viewport, or with
+  // `scrollback` that many rows above it too. Colours stay in xterm's terms —
+  // null for the default, a palette index, or an RGB number — so the renderer
+  // can resolve them against whichever theme it is drawing with.
+  async snapshot({ scrollback = 0 } = {}) {
+    await this.idlePromise
+    const { cols, rows } = this.terminal
+    if (this.disposed) return { cols, rows, lines: [] }
+    const buffer = this.terminal.buffer.active
+    const bottom = buffer.baseY + rows
+    const top = Math.max(0, buffer.baseY - Math.max(0, Math.trunc(scrollback) || 0))
+    const color = (isDefault, isRgb, value) => (isDefault ? null : isRgb ? { rgb: value } : value)
+    const cell = buffer.getNullCell()
+    const lines = []
+    for (let y = top; y < bottom; y++) {
+      const line = buffer.getLine(y)
+      const cells = []
+      for (let x = 0; x < cols; x++) {
+        if (!line || !line.getCell(x, cell)) {
+          cells.push(null)
+          continue
+        }
+        const width = cell.getWidth()
+        // The right half of a wide character: drawn by its left half.
+        if (width === 0) {
+          cells.push(null)
+          continue
+        }
+        cells.push({
+          chars: cell.getChars(),
+          width,
+          fg: color(cell.isFgDefault(), cell.isFgRGB(), cell.getFgColor()),
+          bg: color(cell.isBgDefault(), cell.isBgRGB(), cell.getBgColor()),
+          bold: !!cell.isBold(),
+          dim: !!cell.isDim(),
+          italic: !!cell.isItalic(),
+          underline: !!cell.isUnderline(),
+          inverse: !!cell.isInverse(),
+          invisible: !!cell.isInvisible(),
+          strikethrough: !!cell.isStrikethrough(),
+        })
+      }
+      lines.push(cells)
+    }
+    return { cols, rows: lines.length, lines }
+  }
+
   dispose() {
     if (this.disposed) return
     this.disposed = true
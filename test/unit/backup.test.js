@@ -0,0 +1,191 @@
+// Backup and restore (backup.js): what a backup holds, that its signature and
+// passphrase are checked, that a restore is planned, staged and only then applied, and
+// that paths under the old home directory follow the user to the new one.
+//
+// Run: node --test test/unit/backup.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const backup = require('../../backup');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-backup-'));
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+let n = 0;
+function dsDir(files = {}) {
+  const dir = path.join(scratch, `ds-${++n}`);
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const OLD_HOME = '/home/ana';
+const NEW_HOME = '/Users/ana';
+
+function source() {
+  return dsDir({
+    'settings.json': { shellProfile: '~/.zshrc', maxIssueTitleLength: 25 },
+    'contexts.json': { contexts: [{ name: 'web', cwd: `${OLD_HOME}/src/web` }] },
+    'themes/dark.css': 'body { color: white; }',
+    'commands/deploy.md': 'Deploy it',
+    'auth-token': 'secret',
+    'state.json': '{}',
+  });
+}
+
+test('a backup holds the chosen categories and never runtime or secret state', () => {
+  const dir = source();
+  const opened = backup.openBackup(backup.createBackup({ dsDir: dir, home: OLD_HOME }));
+  const paths = opened.files.map(f => f.path).sort();
+  assert.deepStrictEqual(paths, ['commands/deploy.md', 'contexts.json', 'settings.json', 'themes/dark.css']);
+  assert.strictEqual(opened.header.home, OLD_HOME);
+  assert.strictEqual(opened.signer.fingerprint, backup.localFingerprint(dir));
+
+  const some = backup.openBackup(backup.createBackup({ dsDir: dir, categories: ['themes'] }));
+  assert.deepStrictEqual(some.files.map(f => f.path), ['themes/dark.css']);
+  assert.throws(() => backup.createBackup({ dsDir: dir, categories: ['sessions'] }), { code: 'CATEGORY' });
+});
+
+test('an encrypted backup needs its passphrase, and keeps its contents out of the file', () => {
+  const dir = source();
+  const text = backup.createBackup({ dsDir: dir, passphrase: 'correct horse' });
+  assert.ok(!text.includes(Buffer.from('Deploy it').toString('base64')));
+  assert.throws(() => backup.openBackup(text), { code: 'PASSPHRASE_REQUIRED' });
+  assert.throws(() => backup.openBackup(text, { passphrase: 'wrong' }), { code: 'BAD_PASSPHRASE' });
+  const opened = backup.openBackup(text, { passphrase: 'correct horse' });
+  assert.strictEqual(opened.files.find(f => f.path === 'commands/deploy.md').data.toString(), 'Deploy it');
+});
+
+test('a backup without a passphrase leaves out trigger tokens and webhook secrets; a restore mints new ones', () => {
+  const TOKEN = 'trigger-token-0123456789abcdef';
+  const SECRET = 'webhook-secret-0123456789abcdef';
+  const dir = dsDir({
+    'settings.json': {
+      triggers: [{ id: 'ci', task: 'nightly', token: TOKEN }],
+      webhooks: [{ id: 'slack', url: 'https://hooks.example.com/x', events: '*', secret: SECRET }],
+    },
+  });
+  const text = backup.createBackup({ dsDir: dir });
+  const opened = backup.openBackup(text);
+  const held = opened.files.map(f => f.data.toString()).join('\n');
+  for (const s of [TOKEN, SECRET]) assert.ok(!held.includes(s), 'nowhere in the backup');
+  assert.strictEqual(opened.header.secretsLeftOut, 2);
+  const kept = JSON.parse(opened.files.find(f => f.path === 'settings.json').data);
+  assert.deepStrictEqual(kept.triggers[0], { id: 'ci', task: 'nightly' }, 'the rest of each entry stays');
+  assert.deepStrictEqual(Object.keys(kept.webhooks[0]), ['id', 'url', 'events']);
+
+  const plan = backup.planRestore({ dsDir: dsDir(), backup: opened });
+  assert.strictEqual(plan.files.find(f => f.path === 'settings.json').newSecrets, 2);
+  const restored = JSON.parse(plan.writes.find(w => w.path === 'settings.json').data);
+  assert.match(restored.triggers[0].token, /^[0-9a-f]{48}$/);
+  assert.match(restored.webhooks[0].secret, /^[0-9a-f]{48}$/);
+  assert.notStrictEqual(restored.triggers[0].token, TOKEN);
+
+  // Behind a passphrase they travel, and the restore keeps them.
+  const sealed = backup.openBackup(backup.createBackup({ dsDir: dir, passphrase: 'correct horse' }), { passphrase: 'correct horse' });
+  const same = backup.planRestore({ dsDir: dsDir(), backup: sealed });
+  assert.strictEqual(same.files.find(f => f.path === 'settings.json').newSecrets, 0);
+  assert.strictEqual(JSON.parse(same.writes.find(w => w.path === 'settings.json').data).triggers[0].token, TOKEN);
+});
+
+test('an edited backup fails its signature check, encrypted or not', () => {
+  const dir = source();
+  for (const passphrase of [null, 'pw']) {
+    const archive = JSON.parse(backup.createBackup({ dsDir: dir, passphrase }));
+    archive.header.home = '/elsewhere';
+    assert.throws(() => backup.openBackup(JSON.stringify(archive), { passphrase }), { code: 'BAD_SIGNATURE' });
+  }
+  assert.throws(() => backup.openBackup('{"hello":1}'), { code: 'FORMAT' });
+  const future = JSON.parse(backup.createBackup({ dsDir: dir }));
+  future.version = backup.BACKUP_VERSION + 1;
+  assert.throws(() => backup.openBackup(JSON.stringify(future)), { code: 'VERSION' });
+});
+
+test('a signed archive that smuggles in a path outside the categories is refused', () => {
+  const dir = source();
+  const archive = JSON.parse(backup.createBackup({ dsDir: dir, categories: ['themes'] }));
+  for (const bad of ['auth-token', '../outside.json', 'themes/../auth-token', '/etc/passwd']) {
+    const inner = { files: [{ path: bad, category: 'themes', mode: 0o644, data: Buffer.from('x').toString('base64') }] };
+    archive.payload = Buffer.from(JSON.stringify(inner)).toString('base64');
+    // Re-signed with this install's own key: the signature is valid, the path is not.
+    const key = crypto.createPrivateKey(fs.readFileSync(path.join(dir, 'backup-signing-key.pem'), 'utf8'));
+    const signed = { format: archive.format, version: archive.version, header: archive.header, payload: archive.payload };
+    archive.signature.value = crypto.sign(null, Buffer.from(JSON.stringify(signed)), key).toString('base64');
+    assert.throws(() => backup.openBackup(JSON.stringify(archive)), { code: 'FORMAT' }, bad);
+  }
+});
+
+test('planRestore is a dry run: per-file status, changed keys, and home paths rewritten', () => {
+  const text = backup.createBackup({ dsDir: source(), home: OLD_HOME });
+  const target = dsDir({ 'settings.json': { shellProfile: '~/.bashrc', wsPort: 1 }, 'themes/dark.css': 'body { color: white; }' });
+  const plan = backup.planRestore({ dsDir: target, backup: backup.openBackup(text), home: NEW_HOME });
+
+  assert.strictEqual(plan.rewriteHome, true);
+  const byPath = Object.fromEntries(plan.files.map(f => [f.path, f]));
+  assert.strictEqual(byPath['themes/dark.css'].status, 'same');
+  assert.strictEqual(byPath['commands/deploy.md'].status, 'add');
+  assert.strictEqual(byPath['settings.json'].status, 'change');
+  assert.deepStrictEqual(byPath['settings.json'].keys, { added: ['maxIssueTitleLength'], changed: ['shellProfile'], removed: ['wsPort'] });
+  assert.strictEqual(byPath['contexts.json'].rewrites, 1);
+
+  const contexts = JSON.parse(plan.writes.find(w => w.path === 'contexts.json').data);
+  assert.strictEqual(contexts.contexts[0].cwd, `${NEW_HOME}/src/web`);
+  assert.ok(!plan.writes.some(w => w.path === 'themes/dark.css'), 'an identical file is not rewritten');
+  assert.ok(!fs.existsSync(path.join(target, 'contexts.json')), 'planning writes nothing');
+
+  assert.throws(() => backup.planRestore({
+    dsDir: target, backup: backup.openBackup(backup.createBackup({ dsDir: source(), categories: ['themes'] })), categories: ['settings'],
+  }), { code: 'CATEGORY' });
+});
+
+test('rewriteHome touches whole path prefixes only, in values and keys', () => {
+  const [out, count] = backup.rewriteHome(
+    { [`${OLD_HOME}/a`]: [OLD_HOME, `${OLD_HOME}x/b`, 'x /home/ana/c', 3] },
+    OLD_HOME, NEW_HOME,
+  );
+  assert.deepStrictEqual(out, { [`${NEW_HOME}/a`]: [NEW_HOME, `${OLD_HOME}x/b`, 'x /home/ana/c', 3] });
+  assert.strictEqual(count, 2);
+});
+
+test('a staged restore is applied once, keeping a copy of what it replaced', () => {
+  const text = backup.createBackup({ dsDir: source(), categories: ['settings', 'commands'] });
+  const target = dsDir({ 'settings.json': { old: true }, 'commands/mine.md': 'keep me' });
+  const plan = backup.planRestore({ dsDir: target, backup: backup.openBackup(text) });
+
+  assert.strictEqual(backup.applyPendingRestore(target), null, 'nothing staged yet');
+  backup.stageRestore(target, plan, { now: () => 0 });
+  assert.ok(backup.hasPendingRestore(target));
+  assert.strictEqual((fs.statSync(path.join(target, 'pending-restore.json')).mode & 0o777).toString(8), '600');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(target, 'settings.json'))), { old: true }, 'staging writes no target file');
+
+  const result = backup.applyPendingRestore(target, { now: () => 0 });
+  assert.strictEqual(result.applied, 2);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(target, 'settings.json'))).maxIssueTitleLength, 25);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'commands/deploy.md'), 'utf8'), 'Deploy it');
+  assert.strictEqual(fs.readFileSync(path.join(target, 'commands/mine.md'), 'utf8'), 'keep me', 'a restore never deletes');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(result.savedTo, 'settings.json'))), { old: true });
+  assert.ok(!backup.hasPendingRestore(target));
+  assert.strictEqual(backup.applyPendingRestore(target), null);
+});
+
+test('applyPendingRestore skips a staged path outside the categories', () => {
+  const target = dsDir({ 'auth-token': 'mine' });
+  fs.writeFileSync(path.join(target, 'pending-restore.json'), JSON.stringify({
+    stagedAt: 'x',
+    files: [
+      { path: 'auth-token', mode: 0o600, data: Buffer.from('theirs').toString('base64') },
+      { path: 'settings.json', mode: 0o644, data: Buffer.from('{}').toString('base64') },
+    ],
+  }));
+  const logged = [];
+  assert.strictEqual(backup.applyPendingRestore(target, { log: l => logged.push(l) }).applied, 1);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'auth-token'), 'utf8'), 'mine');
+  assert.ok(logged.some(l => l.includes('skipped auth-token')));
+});
@@ -0,0 +1,73 @@
+// Drift guards for the headless session verbs (`deepsteve ls/open/send/tail/close`).
+//
+// The verbs are thin wrappers over daemon routes, and their value is that a session
+// they drive is an ordinary one. The two ways that breaks silently are a route the
+// CLI calls going missing, and a server route growing its own copy of a pipeline the
+// UI already owns — a prompt written straight to the PTY instead of queued behind the
+// agent's readiness, or a screen read that diverges from read_session_screen.
+//
+// Pure file reads — no daemon, no PTYs.
+//
+// Run: node --test test/unit/cli-sessions.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const REPO = path.join(__dirname, '..', '..');
+const cli = fs.readFileSync(path.join(REPO, 'bin', 'deepsteve.js'), 'utf8');
+const server = fs.readFileSync(path.join(REPO, 'server.js'), 'utf8');
+
+/** The body of an `app.<method>('<route>', …)` handler, up to the next top-level route. */
+function routeBody(method, route) {
+  const start = server.indexOf(`app.${method}('${route}'`);
+  assert.ok(start !== -1, `server.js has no ${method.toUpperCase()} ${route}`);
+  const next = server.indexOf('\napp.', start + 1);
+  return server.slice(start, next === -1 ? undefined : next);
+}
+
+test('every session verb is dispatched and documented', () => {
+  for (const verb of ['ls', 'open', 'send', 'tail', 'close']) {
+    assert.match(cli, new RegExp(`case '${verb}': return cmd`), `main() does not dispatch "${verb}"`);
+    assert.match(cli, new RegExp(`\\n  ${verb}\\s`), `cmdHelp() does not list "${verb}"`);
+  }
+});
+
+test('each verb calls a route the daemon actually serves', () => {
+  const calls = [
+    ['get', '/api/shells', "api('/api/shells')"],
+    ['post', '/api/shells', "api('/api/shells', {"],
+    ['post', '/api/shells/:id/prompt', '/prompt`'],
+    ['get', '/api/shells/:id/screen', '/screen?lines='],
+    ['post', '/api/shells/:id/close', '/close`'],
+  ];
+  for (const [method, route, marker] of calls) {
+    assert.ok(cli.includes(marker), `the CLI no longer calls ${method.toUpperCase()} ${route}`);
+    routeBody(method, route);
+  }
+});
+
+test('send queues agent prompts through deliverPromptWhenReady', () => {
+  assert.match(routeBody('post', '/api/shells/:id/prompt'), /deliverPromptWhenReady\(id, text\)/,
+    'an agent prompt must wait for readiness like the UI\'s, not be typed straight into the PTY');
+  assert.match(routeBody('post', '/api/shells'), /deliverPromptWhenReady\(id,/,
+    '`open --prompt` must deliver through the same readiness pipeline');
+});
+
+test('the screen route returns read_session_screen\'s shape', () => {
+  const tool = fs.readFileSync(path.join(REPO, 'mods', 'deepsteve-core', 'tools.js'), 'utf8');
+  const body = routeBody('get', '/api/shells/:id/screen');
+  for (const field of ['session_id', 'state', 'seconds_since_output', 'lines']) {
+    assert.match(tool, new RegExp(`\\b${field}:`), `read_session_screen no longer returns ${field}`);
+    assert.match(body, new RegExp(`\\b${field}:`), `GET /api/shells/:id/screen does not return ${field}`);
+  }
+  assert.match(body, /readTerminalScreen\(entry, n\)/,
+    'the screen must be the interpreted terminal buffer, not raw scrollback');
+});
+
+test('tail --follow prints through screenDelta, which has its own tests', () => {
+  const tail = cli.slice(cli.indexOf('async function cmdTail('), cli.indexOf('async function cmdClose('));
+  assert.match(tail, /for \(const line of screenDelta\(prev, next\)\) say\(line\);/,
+    'the follow loop must not grow its own copy of the diff step (test/unit/screen-delta.test.js)');
+});
@@ -49,6 +49,9 @@ function loadArgumentHelpers(home) {
     PORT: 3456,
     AUTH_TOKEN: 'unit-token',
     CLAUDE_SCREEN_MARKERS: {},
+    // The manifest-agent registry is set up just above this range (it reads
+    // ~/.deepsteve/agents and watches it); an empty one means built-ins only.
+    agentRegistry: { get: () => null, ids: () => [] },
     settings: {},
     spawnSession: () => {},
     log: () => {},
@@ -92,6 +95,8 @@ function loadSubmitHelpers() {
     // #627: submitToShell releases any pending post-merge auto-close. Nothing to do
     // with codex submission — the binding just has to exist in the slice's scope.
     sessionAutoClose: { cancel: () => false },
+    // A recorded session's prompt marker: same, just has to exist.
+    recordingMarker: () => {},
     getEngine: () => null,
     // #607 read the SUBMIT_TIMINGS env overrides at slice-evaluation time. Codex
     // never takes the confirmed-Enter path (no screenMarkers), so the defaults are
@@ -0,0 +1,247 @@
+// Container sandboxes: the policy (container-config.js) and the engine that runs it
+// (engines/container.js).
+//
+// No Docker and no Podman: the engine takes an injected `exec` (every runtime call —
+// version, inspect, run, rm, kill, ps), an injected `execAsync` (discard()) and an
+// injected `spawnPty` (the attach client), the way ssh-engine.test.js drives
+// SshEngine. `exec` is a small fake runtime holding one container state per name.
+//
+// Run: node --test test/unit/container-engine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ContainerEngine = require('../../engines/container');
+const { sanitizeContainerPolicy, policyApplies, containerRunArgs, DETACH_KEYS } = require('../../container-config');
+
+const OWNER = '/home/me/.deepsteve';
+
+function makeEngine({ flavor = 'docker', containers = {}, images = ['ghcr.io/me/agent:1'], env = { PATH: '/usr/bin', SECRET: 's3cret', ANTHROPIC_API_KEY: 'sk-x' } } = {}) {
+  const calls = [];
+  const exec = (file, argv) => {
+    calls.push({ file, argv });
+    const [verb] = argv;
+    if (verb === 'version') return '27.1.1\n';
+    if (verb === 'image') {
+      if (!images.includes(argv[argv.length - 1])) throw Object.assign(new Error('x'), { stderr: 'Error: No such image\n' });
+      return 'sha256:1\n';
+    }
+    if (verb === 'inspect') {
+      const c = containers[argv[argv.length - 1]];
+      if (!c) throw Object.assign(new Error('No such object'), { status: 1 });
+      return argv.includes('{{.State.Running}}') ? `${c.running}\n` : `${c.exitCode || 0}\n`;
+    }
+    if (verb === 'run') {
+      containers[argv[argv.indexOf('--name') + 1]] = { running: true };
+      return 'f00dfeed\n';
+    }
+    if (verb === 'rm') { delete containers[argv[argv.length - 1]]; return ''; }
+    if (verb === 'ps') return Object.keys(containers).join('\n') + '\n';
+    return '';
+  };
+  const async = [];
+  const execAsync = (file, argv, opts, cb) => { async.push({ file, argv }); cb(null); };
+  const ptys = [];
+  const spawnPty = (file, argv, opts) => {
+    const pty = {
+      file, argv, opts, killed: false,
+      onData(cb) { pty.dataCb = cb; },
+      onExit(cb) { pty.exitCb = cb; },
+      write() {}, resize() {},
+      kill() { pty.killed = true; },
+      pid: 4242,
+    };
+    ptys.push(pty);
+    return pty;
+  };
+  const eng = new ContainerEngine({
+    binary: flavor, owner: OWNER, user: { uid: 501, gid: 20 }, env, exec, execAsync, spawnPty, now: () => 1000,
+  });
+  return { eng, calls, ptys, async, containers };
+}
+
+const POLICY = sanitizeContainerPolicy({ image: 'ghcr.io/me/agent:1', memory: '4G', cpus: '2', pidsLimit: 512, passEnv: ['ANTHROPIC_API_KEY'] });
+
+// ── container-config.js ───────────────────────────────────────────────
+
+test('sanitizeContainerPolicy keeps a well-formed policy and defaults the rest', () => {
+  assert.deepStrictEqual(POLICY, {
+    image: 'ghcr.io/me/agent:1', network: false, applyTo: 'issues',
+    memory: '4g', cpus: 2, pidsLimit: 512, passEnv: ['ANTHROPIC_API_KEY'],
+  });
+  assert.strictEqual(sanitizeContainerPolicy({ image: 'x', applyTo: 'all', network: true, mountGit: true }).mountGit, true);
+});
+
+test('sanitizeContainerPolicy drops what it cannot trust, and needs an image', () => {
+  assert.strictEqual(sanitizeContainerPolicy(null), null);
+  assert.strictEqual(sanitizeContainerPolicy({ image: '' }), null);
+  assert.strictEqual(sanitizeContainerPolicy({ image: '--privileged' }), null, 'an image is an argv element');
+  const p = sanitizeContainerPolicy({ image: 'alpine', memory: 'lots', cpus: -1, pidsLimit: 'x', network: 'yes', applyTo: 'everything', passEnv: ['OK_1', 'not ok', '$X'] });
+  assert.deepStrictEqual(p, { image: 'alpine', network: false, applyTo: 'issues', passEnv: ['OK_1'] });
+});
+
+test('policyApplies: issues-only policies cover issue sessions, "all" covers every session', () => {
+  assert.strictEqual(policyApplies(POLICY, { issue: true }), true);
+  assert.strictEqual(policyApplies(POLICY, { issue: false }), false);
+  assert.strictEqual(policyApplies({ ...POLICY, applyTo: 'all' }, {}), true);
+  assert.strictEqual(policyApplies(null, { issue: true }), false);
+});
+
+test('containerRunArgs: no network, limits, dropped capabilities, one mount at the same path', () => {
+  const argv = containerRunArgs({
+    name: 'ds-abc', owner: OWNER, id: 'abc', policy: POLICY, workdir: '/src/repo/.claude/worktrees/issue-7',
+    env: { DEEPSTEVE_SESSION_ID: 'abc' }, user: { uid: 501, gid: 20 }, argv: ['/bin/sh', '-l', '-c', 'claude'],
+  });
+  const joined = argv.join(' ');
+  assert.deepStrictEqual(argv.slice(0, 4), ['run', '-d', '-i', '-t']);
+  for (const frag of ['--pull never', '--network none', '--memory 4g', '--cpus 2', '--pids-limit 512',
+    '--cap-drop ALL', '--security-opt no-new-privileges', '--user 501:20', `--label deepsteve.owner=${OWNER}`,
+    '-v /src/repo/.claude/worktrees/issue-7:/src/repo/.claude/worktrees/issue-7',
+    '-w /src/repo/.claude/worktrees/issue-7', '-e DEEPSTEVE_SESSION_ID=abc']) {
+    assert.ok(joined.includes(frag), `missing "${frag}" in: ${joined}`);
+  }
+  assert.strictEqual(argv.filter(a => a === '-v').length, 1, 'only the worktree is mounted');
+  assert.deepStrictEqual(argv.slice(-5), ['ghcr.io/me/agent:1', '/bin/sh', '-l', '-c', 'claude']);
+});
+
+test('containerRunArgs: network on omits --network; podman keeps the user id instead of --user', () => {
+  const argv = containerRunArgs({ flavor: 'podman', name: 'ds-a', owner: OWNER, id: 'a', policy: { ...POLICY, network: true },
+    workdir: '/w', user: { uid: 1, gid: 1 }, argv: ['sh'] });
+  assert.ok(!argv.includes('--network'));
+  assert.ok(!argv.includes('--user'));
+  assert.ok(argv.join(' ').includes('--userns keep-id'));
+});
+
+test('containerRunArgs: a repo-root folder\'s .git goes over it read-only, after the read-write mount', () => {
+  const argv = containerRunArgs({ name: 'ds-a', owner: OWNER, id: 'a', policy: { ...POLICY, applyTo: 'all' },
+    workdir: '/src/repo', readOnly: ['/src/repo/.git'], argv: ['sh'] });
+  const mounts = argv.filter((a, i) => argv[i - 1] === '-v');
+  assert.deepStrictEqual(mounts, ['/src/repo:/src/repo', '/src/repo/.git:/src/repo/.git:ro']);
+  assert.throws(() => containerRunArgs({ name: 'ds-a', owner: OWNER, id: 'a', policy: POLICY, workdir: '/w',
+    readOnly: ['/w/a:b/.git'], argv: ['sh'] }), /Cannot mount/);
+});
+
+test('containerRunArgs refuses a mount -v cannot express', () => {
+  assert.throws(() => containerRunArgs({ name: 'ds-a', owner: OWNER, id: 'a', policy: POLICY, workdir: '/a:b', argv: ['sh'] }), /Cannot mount/);
+  assert.throws(() => containerRunArgs({ name: 'ds-a', owner: OWNER, id: 'a', policy: POLICY, workdir: 'rel', argv: ['sh'] }), /Cannot mount/);
+});
+
+// ── the engine ────────────────────────────────────────────────────────
+
+test('spawn() runs the container with only the session env plus passEnv, then attaches', () => {
+  const { eng, calls, ptys } = makeEngine();
+  eng.spawn('abc', '/bin/sh', ['-l', '-c', 'claude'], '/w', {
+    sandbox: POLICY, env: { PATH: '/usr/bin', SECRET: 's3cret', DEEPSTEVE_SESSION_ID: 'abc' },
+  });
+  const run = calls.find(c => c.argv[0] === 'run');
+  assert.ok(run);
+  const envs = run.argv.filter((a, i) => run.argv[i - 1] === '-e');
+  assert.ok(envs.includes('DEEPSTEVE_SESSION_ID=abc'));
+  assert.ok(envs.includes('ANTHROPIC_API_KEY=sk-x'), 'passEnv names come from the daemon env');
+  assert.ok(envs.includes('TERM=xterm-256color'));
+  assert.ok(envs.includes('LC_CTYPE=C.UTF-8'), 'the locale is a Linux one whatever the host is');
+  assert.ok(!envs.some(e => e.startsWith('SECRET=') || e.startsWith('PATH=')), 'nothing else of the host env goes in');
+  assert.deepStrictEqual(run.argv.filter((a, i) => run.argv[i - 1] === '-v'), ['/w:/w']);
+
+  assert.strictEqual(ptys.length, 1);
+  assert.strictEqual(ptys[0].file, 'docker');
+  assert.deepStrictEqual(ptys[0].argv, ['attach', '--sig-proxy=false', '--detach-keys', DETACH_KEYS, 'ds-abc']);
+  assert.ok(eng.has('abc'));
+});
+
+test('spawn() passes readOnly through to the run', () => {
+  const { eng, calls } = makeEngine();
+  eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY, readOnly: ['/w/.git'] });
+  const run = calls.find(c => c.argv[0] === 'run');
+  assert.deepStrictEqual(run.argv.filter((a, i) => run.argv[i - 1] === '-v'), ['/w:/w', '/w/.git:/w/.git:ro']);
+});
+
+test('spawn() without a policy refuses — there is no default image', () => {
+  const { eng } = makeEngine();
+  assert.throws(() => eng.spawn('abc', '/bin/sh', [], '/w', {}), TypeError);
+});
+
+test('spawn() adopts a running ds-{id} and replaces a stopped one', () => {
+  const running = makeEngine({ containers: { 'ds-abc': { running: true } } });
+  const adopted = [];
+  running.eng.on('adopt', id => adopted.push(id));
+  running.eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  assert.deepStrictEqual(adopted, ['abc']);
+  assert.ok(!running.calls.some(c => c.argv[0] === 'run'));
+
+  const stopped = makeEngine({ containers: { 'ds-abc': { running: false } } });
+  stopped.eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  const verbs = stopped.calls.map(c => c.argv[0]);
+  assert.ok(verbs.indexOf('rm') !== -1 && verbs.indexOf('rm') < verbs.indexOf('run'), 'the name is freed first');
+});
+
+test('an attach that dies while the container runs is re-attached, not reported', () => {
+  const { eng, ptys } = makeEngine();
+  eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  const exits = [];
+  eng.on('exit', id => exits.push(id));
+  ptys[0].exitCb({ exitCode: 0 });
+  assert.strictEqual(ptys.length, 2);
+  assert.deepStrictEqual(exits, []);
+});
+
+test('a stopped container is an exit, with the container\'s own exit code', () => {
+  const { eng, ptys, containers } = makeEngine();
+  eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  const codes = [];
+  eng.onExit('abc', ({ exitCode }) => codes.push(exitCode));
+  containers['ds-abc'] = { running: false, exitCode: 3 };
+  ptys[0].exitCb({ exitCode: 0 });
+  assert.deepStrictEqual(codes, [3]);
+  assert.strictEqual(eng.has('abc'), false);
+});
+
+test('detach() leaves the container alone; destroy() and discard() remove it', () => {
+  const { eng, calls, ptys, async } = makeEngine();
+  eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  const exits = [];
+  eng.on('exit', id => exits.push(id));
+  assert.strictEqual(eng.detach('abc'), true);
+  assert.strictEqual(ptys[0].killed, true);
+  assert.deepStrictEqual(exits, []);
+  assert.ok(!calls.some(c => c.argv[0] === 'rm'));
+
+  eng.destroy('abc');
+  assert.ok(calls.some(c => c.argv.join(' ') === 'rm -f ds-abc'));
+  eng.discard('xyz');
+  assert.deepStrictEqual(async.map(c => c.argv.join(' ')), ['rm -f ds-xyz']);
+});
+
+test('sandboxProblem() names a missing image, and how to get it', () => {
+  const { eng } = makeEngine();
+  assert.strictEqual(eng.sandboxProblem(POLICY), null);
+  assert.match(eng.sandboxProblem({ ...POLICY, image: 'alpine' }), /alpine is not available.*docker pull alpine/);
+});
+
+test('kill() signals through the runtime; getPid() is null', () => {
+  const { eng, calls } = makeEngine();
+  eng.spawn('abc', '/bin/sh', [], '/w', { sandbox: POLICY });
+  eng.kill('abc', 'SIGINT');
+  assert.ok(calls.some(c => c.argv.join(' ') === 'kill --signal INT ds-abc'));
+  assert.strictEqual(eng.getPid('abc'), null);
+});
+
+test('listSessions() asks only for this daemon\'s containers', () => {
+  const { eng, calls } = makeEngine({ containers: { 'ds-aaa': { running: true }, 'ds-bbb': { running: false } } });
+  assert.deepStrictEqual(eng.listSessions(), ['aaa', 'bbb']);
+  const ps = calls.find(c => c.argv[0] === 'ps');
+  assert.ok(ps.argv.includes(`label=deepsteve.owner=${OWNER}`));
+});
+
+test('an unreachable runtime is reported, and retried', () => {
+  let up = false;
+  const eng = new ContainerEngine({
+    binary: 'podman', owner: OWNER,
+    exec: () => { if (!up) throw Object.assign(new Error('x'), { stderr: 'Cannot connect to Podman\n' }); return '5.0.0'; },
+  });
+  assert.strictEqual(eng.flavor, 'podman');
+  assert.strictEqual(eng.connect(), false);
+  assert.strictEqual(eng.unavailableReason, 'Cannot connect to Podman');
+  up = true;
+  assert.strictEqual(eng.connect(), true);
+  assert.strictEqual(eng.version, '5.0.0');
+});
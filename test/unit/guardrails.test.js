@@ -0,0 +1,201 @@
+// Unit tests for guardrails.js: policy merging, breach detection, and the screen
+// fingerprint the "stuck" limit compares.
+//
+// What decides whether a runaway session gets interrupted — which limit applies,
+// whether it already tripped, what counts as "no new output" — is all here and
+// pure. The last block runs the server's sweep-side wiring (enforceGuardrails and
+// tripGuardrail, lifted out of server.js into a vm) against these, with fake timers.
+//
+// Run: node --test test/unit/guardrails.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  ACTION_KEYS, sanitizeGuardrails, effectiveGuardrails, checkGuardrails, describeBreach, screenFingerprint,
+} = require('../../guardrails');
+
+test('sanitize: keeps non-negative integer limits and a known action, else null', () => {
+  assert.deepStrictEqual(
+    sanitizeGuardrails({ maxWallMinutes: '90', maxTokens: 2e6, maxStuckMinutes: 4.6, action: 'stop', extra: 1 }),
+    { maxWallMinutes: 90, maxTokens: 2000000, maxStuckMinutes: 5, action: 'stop' },
+  );
+  assert.deepStrictEqual(sanitizeGuardrails({ maxWallMinutes: -1, maxTokens: 'lots', maxStuckMinutes: 0, action: 'explode' }), { maxStuckMinutes: 0 });
+  assert.strictEqual(sanitizeGuardrails({ maxWallMinutes: '' }), null);
+  assert.strictEqual(sanitizeGuardrails(null), null);
+});
+
+test('effective: session fields override the context, 0 switches a limit off', () => {
+  const context = { maxWallMinutes: 120, maxTokens: 1e6, action: 'stop' };
+  assert.deepStrictEqual(effectiveGuardrails({ maxWallMinutes: 30 }, context), { action: 'stop', maxWallMinutes: 30, maxTokens: 1e6 });
+  assert.deepStrictEqual(effectiveGuardrails({ maxTokens: 0, action: 'interrupt' }, context), { action: 'interrupt', maxWallMinutes: 120 });
+  assert.strictEqual(effectiveGuardrails({ maxWallMinutes: 0, maxTokens: 0 }, context), null);
+  assert.strictEqual(effectiveGuardrails(null, null), null);
+  assert.strictEqual(effectiveGuardrails({ maxStuckMinutes: 5 }, null).action, 'interrupt');
+});
+
+test('check: the first limit reached that has not tripped yet', () => {
+  const policy = { maxWallMinutes: 60, maxTokens: 1000, maxStuckMinutes: 5 };
+  const stats = { wallMs: 61 * 60000, tokens: 1500, stuckMs: 0 };
+  assert.deepStrictEqual(checkGuardrails(policy, stats), { rule: 'maxWallMinutes', limit: 60, value: 61 });
+  assert.deepStrictEqual(checkGuardrails(policy, stats, { maxWallMinutes: 1 }), { rule: 'maxTokens', limit: 1000, value: 1500 });
+  assert.strictEqual(checkGuardrails(policy, stats, { maxWallMinutes: 1, maxTokens: 1 }), null);
+  assert.strictEqual(checkGuardrails(policy, { wallMs: 0, tokens: 0, stuckMs: 4.9 * 60000 }), null);
+  assert.strictEqual(checkGuardrails(policy, { wallMs: 0, tokens: 0, stuckMs: 5 * 60000 }).rule, 'maxStuckMinutes');
+  assert.strictEqual(checkGuardrails(null, stats), null);
+});
+
+test('describe: says what was done and which limit', () => {
+  assert.strictEqual(
+    describeBreach({ rule: 'maxTokens', limit: 2e6, value: 2.04e6 }, 'stop'),
+    'Stopped: session has used 2.0M tokens (limit 2.0M)',
+  );
+  assert.strictEqual(
+    describeBreach({ rule: 'maxStuckMinutes', limit: 10, value: 10.2 }),
+    'Interrupted: busy for 10 min with no new output (limit 10 min)',
+  );
+});
+
+test('fingerprint: a ticking spinner or counter is not progress, new output is', () => {
+  const spinner = /esc to interrupt|[✢✳✶✻✽]/i;
+  const at = (secs, tokens, extra = []) => screenFingerprint([
+    '⏺ Bash(npm test)',
+    '  ⎿  Running…',
+    ...extra,
+    `✻ Percolating… (${secs}s · ↓ ${tokens} tokens · esc to interrupt)`,
+    `  ${tokens} tokens used`,
+  ], spinner);
+  assert.strictEqual(at(12, 300), at(95, 4100));
+  assert.notStrictEqual(at(12, 300), at(13, 300, ['  ⎿  1 passing']));
+});
+
+// ── server.js: the sweep that enforces them ──────────────────────────
+
+const serverSource = fs.readFileSync(path.join(__dirname, '..', '..', 'server.js'), 'utf8');
+
+function sourceBetween(start, end) {
+  const from = serverSource.indexOf(start);
+  const to = serverSource.indexOf(end, from);
+  assert.ok(from >= 0, `missing source marker: ${start}`);
+  assert.ok(to > from, `missing source marker: ${end}`);
+  return serverSource.slice(from, to);
+}
+
+const SPINNER = /esc to interrupt/i;
+const ID = 'guard001';
+
+function makeHarness({ guardrails = null, contexts = [], agentType = 'claude', cwd = '/repo/app' } = {}) {
+  const createdAt = 1_000_000;
+  let now = createdAt + 10 * 60000;   // ten minutes into the session
+  const timers = [];
+  const submits = [];
+  const events = [];
+  const sent = [];
+  let saves = 0;
+  let screen = ['⏺ Bash(npm test)', '✻ Working… (3s · esc to interrupt)'];
+  const entry = {
+    agentType, cwd, guardrails, createdAt, waitingForInput: false, killed: false,
+    clients: new Set([{ send: (m) => sent.push(JSON.parse(m)) }]),
+    terminalScreen: { linesSync: () => screen },
+  };
+  const shells = new Map([[ID, entry]]);
+  const context = {
+    shells, contexts,
+    ACTION_KEYS, effectiveGuardrails, checkGuardrails, describeBreach, screenFingerprint,
+    getAgentConfig: (t) => (t === 'claude' ? { screenMarkers: { spinner: SPINNER } } : {}),
+    submitToShell: (id, key, eng, options) => { submits.push({ id, key, options }); },
+    sessionLog: { emit: (_, ev) => events.push(ev) },
+    saveState: () => { saves++; },
+    log: () => {},
+    Date: { now: () => now },
+    setTimeout: (fn, ms) => { timers.push({ fn, at: now + ms }); },
+  };
+  const code = sourceBetween('// --- Guardrails: wall-time', '// Token use comes from the transcript')
+    + sourceBetween('function pathInside(', '\nfunction ');
+  vm.runInNewContext(`${code}
+result = { enforceGuardrails }`, context);
+  return {
+    entry, submits, events, sent,
+    get saves() { return saves; },
+    sweep: () => context.result.enforceGuardrails(entry, ID),
+    advance(ms) { now += ms; },
+    setScreen(lines) { screen = lines; },
+    flush() { for (const t of timers.splice(0).sort((a, b) => a.at - b.at)) { now = Math.max(now, t.at); t.fn(); } },
+  };
+}
+
+test('sweep: a breached limit types the action keys with noEnter, once', () => {
+  const h = makeHarness({ guardrails: { maxWallMinutes: 5, action: 'stop' } });
+  h.sweep();
+  assert.deepStrictEqual(h.submits, [], 'the keys go out on timers, not inline');
+  h.flush();
+  assert.deepStrictEqual(h.submits.map(s => [s.key, s.options.noEnter]), [['\x03', true], ['\x03', true]]);
+
+  assert.deepStrictEqual(h.sent.map(m => [m.type, m.notice.rule, m.notice.action]), [['guardrail', 'maxWallMinutes', 'stop']]);
+  assert.match(h.entry.guardrailNotice.message, /^Stopped: session has run 10 min \(limit 5 min\)/);
+  assert.deepStrictEqual(h.events.map(e => [e.type, e.session_id, e.rule, e.limit, e.value, e.action]),
+    [['guardrail', ID, 'maxWallMinutes', 5, 10, 'stop']]);
+  assert.strictEqual(h.saves, 1);
+
+  h.advance(60000);
+  h.sweep();
+  h.flush();
+  assert.strictEqual(h.submits.length, 2, 'a tripped limit does not fire again');
+});
+
+test('sweep: the project policy applies by cwd, and the session overrides it', () => {
+  const contexts = [
+    { id: 'outer', dirs: ['/repo'], guardrails: { maxWallMinutes: 60 } },
+    { id: 'inner', dirs: ['/repo/app/'], guardrails: { maxWallMinutes: 5 } },
+  ];
+  const h = makeHarness({ contexts });
+  h.sweep();
+  h.flush();
+  assert.deepStrictEqual(h.submits.map(s => [s.key, s.options.noEnter]), [['\x1b', true]], 'deepest project wins; interrupt by default');
+
+  const off = makeHarness({ contexts, guardrails: { maxWallMinutes: 0 } });
+  off.sweep();
+  off.flush();
+  assert.deepStrictEqual(off.submits, [], '0 switches the limit off for this session');
+});
+
+test('sweep: stuck is the same screen for the limit while busy, and waiting resets it', () => {
+  const h = makeHarness({ guardrails: { maxStuckMinutes: 3 } });
+  h.sweep();
+  h.advance(2 * 60000);
+  h.setScreen(['⏺ Bash(npm test)', '✻ Working… (123s · esc to interrupt)']);
+  h.sweep();
+  assert.deepStrictEqual(h.events, [], 'a ticking spinner is not progress, but 2 min is under the limit');
+  h.advance(60000);
+  h.sweep();
+  h.flush();
+  assert.deepStrictEqual(h.events.map(e => e.rule), ['maxStuckMinutes']);
+
+  // The turn ends: the next turn gets its own stuck budget.
+  h.entry.waitingForInput = true;
+  h.sweep();
+  assert.strictEqual(h.entry.guardrailStuck, null);
+  assert.strictEqual(h.entry.guardrailTripped.maxStuckMinutes, undefined);
+  h.entry.waitingForInput = false;
+  h.sweep();
+  h.advance(3 * 60000);
+  h.sweep();
+  h.flush();
+  assert.deepStrictEqual(h.events.map(e => e.rule), ['maxStuckMinutes', 'maxStuckMinutes']);
+});
+
+test('sweep: never a plain terminal, and no keys into a session closed meanwhile', () => {
+  const term = makeHarness({ agentType: 'terminal', guardrails: { maxWallMinutes: 1 } });
+  term.sweep();
+  term.flush();
+  assert.deepStrictEqual([term.submits, term.events], [[], []]);
+
+  const h = makeHarness({ guardrails: { maxWallMinutes: 1 } });
+  h.sweep();
+  h.entry.killed = true;
+  h.flush();
+  assert.deepStrictEqual(h.submits, []);
+});
@@ -0,0 +1,217 @@
+// The mod marketplace (mod-catalog.js): catalogs with versions, checksums and
+// signatures; which version a mod is offered; installs that keep the version they
+// replace, rollback and pinning; and a mirror directory that installs work from with
+// no network.
+//
+// Run: node --test test/unit/mod-catalog.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-modcatalog-'));
+process.env.DEEPSTEVE_HOME = path.join(scratch, 'state');
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const {
+  normalizeCatalog, loadCatalog, annotateCatalog, latestCompatible, sanitizeCatalogSource, sanitizeTrustedKeys,
+  readPackage, signPackage, verifyPackage, createModInstaller, writeMirror,
+} = require('../../mod-catalog');
+
+let packageCount = 0;
+// A mod tarball the way the catalog's are: one top-level directory holding mod.json.
+function modPackage(id, version, files = {}) {
+  const root = path.join(scratch, `pkg-${packageCount++}`);
+  fs.mkdirSync(path.join(root, id), { recursive: true });
+  fs.writeFileSync(path.join(root, id, 'mod.json'), JSON.stringify({ name: id, version }));
+  for (const [name, body] of Object.entries(files)) fs.writeFileSync(path.join(root, id, name), body);
+  return execFileSync('tar', ['czf', '-', '-C', root, id]);
+}
+
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest('hex');
+
+function publisher(name) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ type: 'spki', format: 'der' }).subarray(-32).toString('base64');
+  return { name, privateKey, trusted: sanitizeTrustedKeys([`${name} ${raw}`]) };
+}
+
+test('catalog entries: one release or a list of versions, newest first, with relative URLs resolved', () => {
+  const { mods } = normalizeCatalog({
+    mods: [
+      { id: 'legacy', name: 'Legacy', version: '1.0.0', downloadUrl: 'https://example.com/legacy.tar.gz', minDeepsteveVersion: '0.5.0' },
+      {
+        id: 'multi', name: 'Multi', author: 'ana',
+        versions: [
+          { version: '1.2.0', downloadUrl: 'packages/multi-1.2.0.tar.gz', sha256: 'A'.repeat(64) },
+          { version: '2.0.0', downloadUrl: 'packages/multi-2.0.0.tar.gz', minDeepsteveVersion: '99.0.0' },
+          { version: '1.10.0', downloadUrl: 'file:///etc/passwd' },
+          { version: '1.3.0', downloadUrl: 'packages/x.tar.gz', sha256: 'not-a-checksum' },
+          { version: '../../x', downloadUrl: 'packages/y.tar.gz' },
+        ],
+      },
+      { id: '../escape', version: '1.0.0', downloadUrl: 'https://example.com/e.tar.gz' },
+      { id: 'nothing-usable', versions: [] },
+    ],
+  }, 'https://mods.example.com/catalog/catalog.json');
+
+  assert.deepStrictEqual(mods.map(m => m.id), ['legacy', 'multi']);
+  assert.deepStrictEqual(mods[0].versions.map(v => [v.version, v.minDeepsteveVersion]), [['1.0.0', '0.5.0']]);
+  const multi = mods[1];
+  assert.deepStrictEqual(multi.versions.map(v => v.version), ['2.0.0', '1.2.0'], 'a web catalog cannot name local files; bad checksums and versions are dropped');
+  assert.strictEqual(multi.versions[1].downloadUrl, 'https://mods.example.com/catalog/packages/multi-1.2.0.tar.gz');
+  assert.strictEqual(multi.versions[1].sha256, 'a'.repeat(64));
+  assert.deepStrictEqual([multi.name, multi.author, multi.version], ['Multi', 'ana', '2.0.0'], 'the newest release is mirrored at the top level');
+});
+
+test('the offered version is the newest compatible one, and a pin hides updates', () => {
+  const catalog = normalizeCatalog({
+    mods: [
+      { id: 'a', versions: [
+        { version: '1.0.0', downloadUrl: 'https://x/a1.tgz' },
+        { version: '1.1.0', downloadUrl: 'https://x/a11.tgz' },
+        { version: '2.0.0', downloadUrl: 'https://x/a2.tgz', minDeepsteveVersion: '9.0.0' },
+      ] },
+      { id: 'b', version: '3.0.0', downloadUrl: 'https://x/b.tgz', minDeepsteveVersion: '9.0.0' },
+    ],
+  }, 'https://x/catalog.json');
+  assert.strictEqual(latestCompatible(catalog.mods[0], '1.0.0').version, '1.1.0');
+
+  const annotate = installed => Object.fromEntries(annotateCatalog(catalog, { installed: new Map(installed), deepsteveVersion: '1.0.0' }).map(m => [m.id, m]));
+  let out = annotate([['a', { version: '1.0.0', pinned: false }]]);
+  assert.deepStrictEqual([out.a.version, out.a.installedVersion, out.a.updateAvailable, out.a.newerIncompatible], ['1.1.0', '1.0.0', true, '2.0.0']);
+  assert.deepStrictEqual(out.a.versions.map(v => v.compatible), [false, true, true]);
+  assert.deepStrictEqual([out.b.compatible, out.b.installed, out.b.version, out.b.minDeepsteveVersion], [false, false, '3.0.0', '9.0.0']);
+
+  out = annotate([['a', { version: '1.0.0', pinned: true }]]);
+  assert.deepStrictEqual([out.a.pinned, out.a.updateAvailable], [true, false]);
+});
+
+test('checksums must match, and a signature counts only from a trusted key, for that version', () => {
+  const pkg = modPackage('signed', '1.0.0');
+  const acme = publisher('acme');
+  const other = publisher('other');
+  const { signature } = signPackage(pkg, { id: 'signed', version: '1.0.0', privateKey: acme.privateKey });
+  const release = { version: '1.0.0', sha256: sha256(pkg), signature };
+
+  const ok = verifyPackage(pkg, { id: 'signed', release, trustedKeys: acme.trusted });
+  assert.deepStrictEqual([ok.checksum, ok.signature, ok.signer], ['verified', 'verified', { name: 'acme', fingerprint: acme.trusted[0].fingerprint }]);
+  assert.match(acme.trusted[0].fingerprint, /^[0-9a-f]{4}(:[0-9a-f]{4}){3}$/);
+
+  assert.throws(() => verifyPackage(Buffer.concat([pkg, Buffer.from('x')]), { id: 'signed', release }), { code: 'CHECKSUM' });
+  assert.strictEqual(verifyPackage(pkg, { id: 'signed', release, trustedKeys: other.trusted }).signature, 'untrusted');
+  assert.throws(() => verifyPackage(pkg, { id: 'signed', release, trustedKeys: other.trusted, requireSignature: true }), { code: 'UNTRUSTED' });
+  assert.throws(() => verifyPackage(pkg, { id: 'signed', release: { version: '1.0.0' }, requireSignature: true }), { code: 'UNSIGNED' });
+  const relabelled = verifyPackage(pkg, { id: 'signed', release: { ...release, version: '2.0.0' }, trustedKeys: acme.trusted });
+  assert.strictEqual(relabelled.signature, 'untrusted', 'a v1 signature does not vouch for the same bytes served as v2');
+
+  const pem = crypto.createPublicKey(acme.privateKey).export({ type: 'spki', format: 'pem' });
+  const keys = sanitizeTrustedKeys([{ name: 'acme pem', publicKey: pem }, 'junk', { name: 'dup', publicKey: acme.trusted[0].publicKey }]);
+  assert.deepStrictEqual(keys.map(k => [k.name, k.fingerprint]), [['acme pem', acme.trusted[0].fingerprint]], 'bad keys and duplicates are dropped');
+  assert.strictEqual(sanitizeTrustedKeys(42), null);
+});
+
+test('catalog sources: the public one, URLs and absolute or home paths', () => {
+  assert.strictEqual(sanitizeCatalogSource(''), '');
+  assert.strictEqual(sanitizeCatalogSource('https://raw.githubusercontent.com/deepsteve/deepsteve-mods/main/catalog.json'), '');
+  assert.strictEqual(sanitizeCatalogSource(' https://mods.example.com/c.json '), 'https://mods.example.com/c.json');
+  assert.strictEqual(sanitizeCatalogSource('/srv/mods'), '/srv/mods');
+  assert.strictEqual(sanitizeCatalogSource('~/mods-mirror'), '~/mods-mirror');
+  assert.strictEqual(sanitizeCatalogSource('relative/dir'), null);
+  assert.strictEqual(sanitizeCatalogSource(7), null);
+});
+
+test('an update keeps the old version, rollback puts it back pinned, and a bad package changes nothing', () => {
+  const modsDir = path.join(scratch, 'mods-install');
+  const stateDir = path.join(scratch, 'state-install');
+  fs.mkdirSync(modsDir, { recursive: true });
+  const installer = createModInstaller({ modsDir, stateDir, keep: 2 });
+  const install = (version, opts = {}) => {
+    const pkg = modPackage('widget', version, { 'index.html': `v${version}` });
+    return installer.install('widget', pkg, { release: { version }, verification: verifyPackage(pkg, { id: 'widget', release: { version, sha256: sha256(pkg) } }), ...opts });
+  };
+  const html = () => fs.readFileSync(path.join(modsDir, 'widget', 'index.html'), 'utf8');
+
+  assert.strictEqual(installer.describe('widget'), null);
+  assert.throws(() => installer.rollback('widget'), { code: 'NO_HISTORY' });
+  const first = install('1.0.0');
+  assert.deepStrictEqual(first.history, []);
+  const updated = install('1.1.0');
+  assert.deepStrictEqual([updated.version, updated.checksum, updated.history.map(h => h.version)], ['1.1.0', 'verified', ['1.0.0']]);
+  assert.strictEqual(html(), 'v1.1.0');
+  assert.strictEqual(fs.readFileSync(path.join(modsDir, 'widget', '.source'), 'utf8'), 'official');
+
+  assert.throws(() => installer.install('widget', modPackage('widget', '9.9.9'), { release: { version: '1.2.0' } }), { code: 'VERSION' });
+  assert.throws(() => installer.install('widget', Buffer.from('not a tarball')), { code: 'INVALID' });
+  assert.strictEqual(html(), 'v1.1.0', 'a refused package leaves the installed one alone');
+  assert.deepStrictEqual(fs.readdirSync(modsDir), ['widget'], 'and no staging directory behind');
+
+  const back = installer.rollback('widget');
+  assert.deepStrictEqual([back.version, back.pinned, back.history.map(h => h.version)], ['1.0.0', true, ['1.1.0']]);
+  assert.strictEqual(html(), 'v1.0.0');
+  assert.strictEqual(back.sha256, first.sha256, 'with the checksum it was installed with');
+
+  assert.strictEqual(installer.setPinned('widget', false).pinned, false);
+  install('1.2.0');
+  install('1.3.0');
+  assert.deepStrictEqual(installer.describe('widget').history.map(h => h.version), ['1.2.0', '1.0.0'], 'only the newest `keep` are kept');
+  assert.deepStrictEqual(fs.readdirSync(path.join(stateDir, 'mod-history', 'widget')).sort(), ['1.0.0', '1.2.0']);
+  assert.throws(() => installer.rollback('widget', '1.1.0'), { code: 'NO_HISTORY' });
+  assert.strictEqual(installer.rollback('widget', '1.0.0').version, '1.0.0');
+
+  assert.strictEqual(createModInstaller({ modsDir, stateDir }).describe('widget').pinned, true, 'records survive a restart');
+  installer.forget('widget');
+  assert.strictEqual(fs.existsSync(path.join(stateDir, 'mod-history', 'widget')), false);
+  assert.throws(() => installer.setPinned('missing', true), { code: 'NOT_FOUND' });
+});
+
+test('a mirror copies the catalog and packages, and installs from it with no network', async () => {
+  const upstream = path.join(scratch, 'upstream');
+  fs.mkdirSync(upstream, { recursive: true });
+  const v1 = modPackage('clock', '1.0.0');
+  const v2 = modPackage('clock', '2.0.0');
+  fs.writeFileSync(path.join(upstream, 'clock-1.tgz'), v1);
+  fs.writeFileSync(path.join(upstream, 'clock-2.tgz'), v2);
+  fs.writeFileSync(path.join(upstream, 'catalog.json'), JSON.stringify({
+    mods: [{ id: 'clock', name: 'Clock', versions: [
+      { version: '1.0.0', downloadUrl: 'clock-1.tgz', sha256: sha256(v1) },
+      { version: '2.0.0', downloadUrl: pathToFileURL(path.join(upstream, 'clock-2.tgz')).href, minDeepsteveVersion: '99.0.0' },
+    ] }],
+  }));
+
+  const mirror = path.join(scratch, 'mirror');
+  const noNetwork = () => { throw new Error('no network in this test'); };
+  const first = await writeMirror(await loadCatalog(upstream), mirror, { fetchImpl: noNetwork });
+  assert.deepStrictEqual([first.mods, first.downloaded, first.reused], [1, 2, 0]);
+  const again = await writeMirror(await loadCatalog(upstream), mirror, { fetchImpl: noNetwork });
+  assert.deepStrictEqual([again.downloaded, again.reused], [1, 1], 'a package with a known checksum is not fetched twice');
+
+  const written = JSON.parse(fs.readFileSync(path.join(mirror, 'catalog.json'), 'utf8'));
+  assert.deepStrictEqual(written.mods[0].versions.map(v => v.downloadUrl), ['packages/clock-2.0.0.tar.gz', 'packages/clock-1.0.0.tar.gz']);
+  assert.strictEqual(written.mods[0].versions[0].sha256, sha256(v2), 'a release without a checksum gets the one of what was mirrored');
+  assert.strictEqual(written.mods[0].downloadUrl, 'packages/clock-2.0.0.tar.gz', 'older deepsteve versions read the top-level release');
+
+  // The mirror moves with its directory: the URLs are relative to the catalog.
+  const moved = path.join(scratch, 'share', 'mods');
+  fs.mkdirSync(path.dirname(moved), { recursive: true });
+  fs.renameSync(mirror, moved);
+  const catalog = await loadCatalog(pathToFileURL(moved).href, { fetchImpl: noNetwork });
+  const release = catalog.mods[0].versions[1];
+  assert.deepStrictEqual(catalog.mods[0].versions.map(v => v.minDeepsteveVersion), ['99.0.0', null], 'the newest release\'s requirement, repeated at the top level, is not every release\'s');
+  assert.strictEqual(release.downloadUrl, pathToFileURL(path.join(moved, 'packages', 'clock-1.0.0.tar.gz')).href);
+  const modsDir = path.join(scratch, 'mods-mirror');
+  fs.mkdirSync(modsDir);
+  const pkg = await readPackage(release.downloadUrl, { fetchImpl: noNetwork });
+  const installed = createModInstaller({ modsDir, stateDir: path.join(scratch, 'state-mirror') })
+    .install('clock', pkg, { release, verification: verifyPackage(pkg, { id: 'clock', release }) });
+  assert.deepStrictEqual([installed.version, installed.checksum], ['1.0.0', 'verified']);
+
+  fs.writeFileSync(path.join(upstream, 'clock-1.tgz'), v2);
+  fs.rmSync(path.join(moved, 'packages', 'clock-1.0.0.tar.gz'));
+  await assert.rejects(writeMirror(await loadCatalog(upstream), moved, { fetchImpl: noNetwork }), { code: 'CHECKSUM' });
+  await assert.rejects(loadCatalog(path.join(scratch, 'nowhere')), { code: 'CATALOG' });
+});
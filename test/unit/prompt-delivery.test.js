@@ -73,6 +73,13 @@ function makeHarness({ agentType = 'claude', waitingForInput = true, screen = 'u
     log: (m) => logs.push(m),
     auditWaiting: () => {},
     auditScreenTail: () => '',
+    // What a waiting transition fans out to — recordings, shared views, Web Push,
+    // the event bus — and the sweep's guardrail check: none of it decides delivery.
+    recordingMarker: () => {},
+    shareSend: () => {},
+    pushOnWaiting: () => {},
+    sessionLog: { emit: () => {} },
+    enforceGuardrails: () => {},
     classifyScreenTail,
     getAgentConfig: (t) => AGENT_CONFIGS[t] || AGENT_CONFIGS.claude,
     deliverToWindow: (msg) => windowMsgs.push(msg),
@@ -52,6 +52,7 @@ function makeHarness({ agentType = 'claude', screen = F.EMPTY_COMPOSER, state =
   const timers = [];
   const writes = [];
   const logs = [];
+  const markers = [];
   const shells = new Map();
   let now = 0;
 
@@ -76,6 +77,8 @@ function makeHarness({ agentType = 'claude', screen = F.EMPTY_COMPOSER, state =
     // that input from ANY source (meta_type, a delivered prompt, an inherited /rc)
     // means the session isn't finished. Irrelevant to submission mechanics.
     sessionAutoClose: { cancel: () => false },
+    // A recorded session gets a chapter marker per prompt (session-recording.js).
+    recordingMarker: (id, label) => markers.push(label),
     auditScreenTail: () => '',
     getEngine: () => engine,
     process: { env: ENV },
@@ -100,7 +103,7 @@ result = { submitToShell, submitWithConfirmedEnter, confirmPromptSubmitted, prom
 
   const h = {
     ...context.result,
-    shells, timers, writes, logs, entry, engine, view,
+    shells, timers, writes, logs, markers, entry, engine, view,
     get now() { return now; },
     // Fire the earliest live timer, then let the microtask queue drain so the async
     // helper advances to its next await.
@@ -144,6 +147,20 @@ test('without confirmEcho the legacy fixed 1000ms deferred Enter is unchanged',
   assert.strictEqual(screenReads, 0, 'the legacy path never reads the screen');
 });
 
+test('noEnter writes the bare keystroke: no Enter after it, no prompt marker', async () => {
+  const h = makeHarness();
+  await h.submitToShell(ID, '\x1b', h.engine, { noEnter: true });
+  assert.deepStrictEqual(h.writes, ['\x1b']);
+  assert.strictEqual(h.timers.length, 0, 'no deferred Enter is even scheduled');
+  assert.deepStrictEqual(h.markers, []);
+});
+
+test('a submitted prompt is a marker in the session recording', () => {
+  const h = makeHarness();
+  h.submitToShell(ID, 'npm test', h.engine, {});
+  assert.deepStrictEqual(h.markers, ['prompt: npm test']);
+});
+
 // --- Layer 2: echo-confirmed Enter -----------------------------------------
 
 test('the text is written alone before anything else', async () => {
@@ -0,0 +1,75 @@
+// Unit tests for push-rules.js: which events become a push notification, and what
+// it says.
+//
+// A notification that should have been silent wakes someone at 3am; one that should
+// have come leaves a run blocked on a prompt all night. So the mute and quiet-hours
+// edges (a window across midnight, an exclusive end, the allow list) are pinned here.
+//
+// Run: node --test test/unit/push-rules.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeNotifyRules, sanitizeQuietHours, inQuietHours, suppressReason, lastScreenLine, buildNotification } = require('../../push-rules');
+
+const at = (h, m = 0) => new Date(2026, 5, 1, h, m);
+
+test('sanitize: mute lists keep known kinds, all three collapse to "all"', () => {
+  assert.deepStrictEqual(sanitizeNotifyRules({ mute: ['waiting', 'bogus'] }), { mute: ['waiting'] });
+  assert.deepStrictEqual(sanitizeNotifyRules({ mute: ['waiting', 'permission', 'scheduled'] }), { mute: 'all' });
+  assert.deepStrictEqual(sanitizeNotifyRules({ mute: 'all' }), { mute: 'all' });
+  assert.strictEqual(sanitizeNotifyRules({ mute: [] }), null);
+  assert.strictEqual(sanitizeNotifyRules(null), null);
+
+  assert.deepStrictEqual(sanitizeQuietHours({ start: '7:30', end: '22:00', allow: ['permission', 'x'] }), { start: '07:30', end: '22:00', allow: ['permission'] });
+  assert.strictEqual(sanitizeQuietHours({ start: '24:00', end: '07:00' }), null);
+  assert.strictEqual(sanitizeQuietHours({ start: '22:00', end: '22:00' }), null);
+  assert.strictEqual(sanitizeQuietHours(false), null);
+});
+
+test('quiet hours: same-day and overnight windows, end exclusive', () => {
+  const night = sanitizeQuietHours({ start: '22:00', end: '07:00' });
+  assert.strictEqual(inQuietHours(night, at(23, 30)), true);
+  assert.strictEqual(inQuietHours(night, at(3)), true);
+  assert.strictEqual(inQuietHours(night, at(7)), false);
+  assert.strictEqual(inQuietHours(night, at(21, 59)), false);
+  const lunch = sanitizeQuietHours({ start: '12:00', end: '13:00' });
+  assert.strictEqual(inQuietHours(lunch, at(12, 30)), true);
+  assert.strictEqual(inQuietHours(lunch, at(13)), false);
+  assert.strictEqual(inQuietHours(false, at(3)), false);
+});
+
+test('suppression: project mute first, then quiet hours with their allow list', () => {
+  const quietHours = sanitizeQuietHours({ start: '22:00', end: '07:00', allow: ['permission'] });
+  assert.strictEqual(suppressReason('waiting', { rules: { mute: ['waiting'] }, now: at(12) }), 'muted');
+  assert.strictEqual(suppressReason('permission', { rules: { mute: ['waiting'] }, now: at(12) }), null);
+  assert.strictEqual(suppressReason('permission', { rules: { mute: 'all' }, quietHours, now: at(3) }), 'muted');
+  assert.strictEqual(suppressReason('waiting', { quietHours, now: at(3) }), 'quiet-hours');
+  assert.strictEqual(suppressReason('permission', { quietHours, now: at(3) }), null);
+  assert.strictEqual(suppressReason('scheduled', { quietHours, now: at(12) }), null);
+});
+
+test('last screen line skips the composer and its chrome', () => {
+  assert.strictEqual(lastScreenLine([
+    '⏺ All 42 tests pass. The fix is in src/auth.js.',
+    '',
+    '────────────────────────────',
+    '❯ ',
+    '────────────────────────────',
+    '  ? for shortcuts',
+  ]), '⏺ All 42 tests pass. The fix is in src/auth.js.');
+  assert.strictEqual(lastScreenLine(['│ boxed output │', '╰──────╯']), 'boxed output');
+  assert.strictEqual(lastScreenLine([]), '');
+  assert.strictEqual(lastScreenLine(['x'.repeat(400)]).length, 160);
+});
+
+test('notification text per kind, tagged by session', () => {
+  const waiting = buildNotification({ kind: 'waiting', sessionId: 's1', label: 'api', project: 'deepsteve', line: 'Done.' });
+  assert.deepStrictEqual(waiting, { title: 'api is waiting · deepsteve', body: 'Done.', tag: 's1', kind: 'waiting', sessionId: 's1' });
+  const perm = buildNotification({ kind: 'permission', sessionId: 's1', label: 'api', prompt: { kind: 'permission', tool: 'Bash command', command: 'npm test' } });
+  assert.deepStrictEqual([perm.title, perm.body], ['api needs approval', 'Bash command: npm test']);
+  const question = buildNotification({ kind: 'permission', sessionId: 's1', label: 'api', prompt: { kind: 'question', question: 'Which scope?' } });
+  assert.deepStrictEqual([question.title, question.body], ['api has a question', 'Which scope?']);
+  const run = buildNotification({ kind: 'scheduled', sessionId: 's2', label: 'Nightly deps', status: 'timed-out', line: 'Timed out after 61m.' });
+  assert.strictEqual(run.title, 'Scheduled run timed out: Nightly deps');
+});
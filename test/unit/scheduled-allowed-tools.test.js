@@ -62,6 +62,9 @@ function loadArgumentHelpers(home) {
     PORT: 3456,
     AUTH_TOKEN: 'unit-token',
     CLAUDE_SCREEN_MARKERS: {},
+    // The manifest-agent registry is set up just above this range (it reads
+    // ~/.deepsteve/agents and watches it); an empty one means built-ins only.
+    agentRegistry: { get: () => null, ids: () => [] },
     settings: {},
     spawnSession: () => {},
     log: () => {},
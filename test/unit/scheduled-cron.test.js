@@ -0,0 +1,222 @@
+// The scheduled-tasks cron grammar (mods/scheduled-tasks/cron.js): seconds, names,
+// the month-relative day forms (L, W, #), macros, per-task IANA timezones — and what
+// a schedule does on the two nights a year the wall clock jumps.
+//
+// DST cases use explicit zones so they hold on any machine; the local-time path is
+// pinned by setting TZ before anything reads the clock.
+//
+// Run: node --test test/unit/scheduled-cron.test.js
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mod reads ~/.deepsteve/scheduled-tasks.json at require time — point HOME at a
+// scratch dir BEFORE loading it so tests never touch the real file.
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-sched-cron-home-'));
+
+const cron = require('../../mods/scheduled-tasks/cron.js');
+const { init, registerRoutes } = require('../../mods/scheduled-tasks/tools.js');
+
+// An instant as "YYYY-MM-DD HH:MM:SS ±HH:MM" in `timeZone` — what a person in that
+// zone would read off the wall clock, with the offset that was in force.
+function wall(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'longOffset',
+  }).formatToParts(ms).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ${parts.timeZoneName.replace('GMT', '') || '+00:00'}`;
+}
+const runs = (expr, from, count, timezone) => cron.nextRuns(expr, new Date(from), count, { timezone }).map(t => wall(t, timezone || process.env.TZ));
+
+test('five-field crons behave as before', () => {
+  assert.deepStrictEqual(runs('0 9 * * 1', '2026-03-04T12:00:00Z', 2), ['2026-03-09 09:00:00 +01:00', '2026-03-16 09:00:00 +01:00']);
+  assert.deepStrictEqual(runs('*/20 * * * *', '2026-03-04T12:05:00Z', 3), ['2026-03-04 13:20:00 +01:00', '2026-03-04 13:40:00 +01:00', '2026-03-04 14:00:00 +01:00']);
+  // Classic OR rule: both day fields restricted → either one.
+  assert.deepStrictEqual(runs('0 0 13 * 5', '2026-02-01T00:00:00Z', 3), ['2026-02-06 00:00:00 +01:00', '2026-02-13 00:00:00 +01:00', '2026-02-20 00:00:00 +01:00']);
+  assert.strictEqual(cron.describe('0 9 * * 1'), 'Every Monday at 09:00');
+  assert.strictEqual(cron.describe('30 * * * *'), 'Every hour at :30');
+  assert.strictEqual(cron.describe('* * * * *'), 'Every minute');
+  assert.strictEqual(cron.describe('*/5 * * * *'), '*/5 * * * *', 'a step is not "every minute"');
+  assert.strictEqual(cron.describe('0 7 15 * *'), 'Monthly on day 15 at 07:00');
+  assert.throws(() => cron.parseCron('0 9 * *'), /5 fields/);
+  assert.throws(() => cron.parseCron('0 25 * * *'), /out of range/);
+  assert.throws(() => cron.parseCron('0 9 5-1 * *'), /Descending/);
+});
+
+test('a sixth, leading field is seconds', () => {
+  assert.deepStrictEqual(runs('*/15 * * * * *', '2026-03-04T12:00:05Z', 3), ['2026-03-04 13:00:15 +01:00', '2026-03-04 13:00:30 +01:00', '2026-03-04 13:00:45 +01:00']);
+  assert.deepStrictEqual(runs('30 0 9 * * *', '2026-03-04T12:00:00Z', 1), ['2026-03-05 09:00:30 +01:00']);
+  assert.strictEqual(cron.parseCron('0 9 * * *').hasSeconds, false);
+  assert.strictEqual(cron.describe('30 0 9 * * *'), '30 0 9 * * *');
+  assert.strictEqual(cron.describe('0 0 9 * * *'), 'Every day at 09:00', 'a :00 seconds field changes nothing');
+});
+
+test('month and weekday names, in any case, in lists and ranges', () => {
+  assert.deepStrictEqual(runs('0 9 * * MON-FRI', '2026-03-06T12:00:00Z', 3), ['2026-03-09 09:00:00 +01:00', '2026-03-10 09:00:00 +01:00', '2026-03-11 09:00:00 +01:00']);
+  assert.deepStrictEqual(runs('0 0 1 jan,Jul *', '2026-03-01T00:00:00Z', 2), ['2026-07-01 00:00:00 +02:00', '2027-01-01 00:00:00 +01:00']);
+  assert.strictEqual(cron.describe('0 9 * * MON-FRI'), 'Every weekday at 09:00');
+  // Sunday closes a range as 7: 2026-03-06 is a Friday.
+  const weekend = ['2026-03-06 18:00:00 +01:00', '2026-03-07 18:00:00 +01:00', '2026-03-08 18:00:00 +01:00', '2026-03-13 18:00:00 +01:00'];
+  assert.deepStrictEqual(runs('0 18 * * FRI-SUN', '2026-03-06T12:00:00Z', 4), weekend);
+  assert.deepStrictEqual(runs('0 18 * * 5-7', '2026-03-06T12:00:00Z', 4), weekend);
+  assert.deepStrictEqual([...cron.parseCron('0 9 * * sat-sun').dow.set].sort(), [0, 6]);
+  assert.deepStrictEqual([...cron.parseCron('0 9 * * 7').dow.set], [0]);
+  assert.throws(() => cron.parseCron('0 9 * * SUN-FRI/0'), /Invalid cron step/);
+  assert.throws(() => cron.parseCron('0 9 * * 6-5'), /Descending/);
+  assert.throws(() => cron.parseCron('0 9 * * 0-8'), /out of range \(0-7\)/);
+  assert.throws(() => cron.parseCron('0 9 * * MONDAY'), /Invalid cron value/);
+  assert.throws(() => cron.parseCron('0 9 * FOO *'), /Invalid cron value/);
+});
+
+test('L, L-n, W and LW pick days relative to the month', () => {
+  assert.deepStrictEqual(runs('0 0 L * *', '2026-01-15T00:00:00Z', 3), ['2026-01-31 00:00:00 +01:00', '2026-02-28 00:00:00 +01:00', '2026-03-31 00:00:00 +02:00']);
+  assert.deepStrictEqual(runs('0 0 L * *', '2028-02-01T00:00:00Z', 1), ['2028-02-29 00:00:00 +01:00'], 'leap year');
+  assert.deepStrictEqual(runs('0 0 L-2 * *', '2026-04-01T00:00:00Z', 1), ['2026-04-28 00:00:00 +02:00']);
+  // 2026-02-15 is a Sunday → Monday the 16th; 2026-08-01 is a Saturday → never back
+  // into July, so Monday the 3rd; 2026-05-31 is a Sunday → Friday the 29th.
+  assert.deepStrictEqual(runs('0 9 15W * *', '2026-02-01T00:00:00Z', 1), ['2026-02-16 09:00:00 +01:00']);
+  assert.deepStrictEqual(runs('0 9 1W * *', '2026-07-05T00:00:00Z', 1), ['2026-08-03 09:00:00 +02:00']);
+  assert.deepStrictEqual(runs('0 9 31W * *', '2026-05-01T00:00:00Z', 1), ['2026-05-29 09:00:00 +02:00']);
+  // LW: the last weekday; 2026-05-31 is a Sunday.
+  assert.deepStrictEqual(runs('0 18 LW * *', '2026-05-01T00:00:00Z', 1), ['2026-05-29 18:00:00 +02:00']);
+  assert.strictEqual(cron.describe('0 0 L * *'), 'Monthly on the last day at 00:00');
+  assert.strictEqual(cron.describe('0 9 15W * *'), 'Monthly on the weekday nearest day 15 at 09:00');
+});
+
+test('# is the nth weekday of the month and L after a weekday the last one', () => {
+  assert.deepStrictEqual(runs('0 9 * * MON#2', '2026-03-01T00:00:00Z', 3), ['2026-03-09 09:00:00 +01:00', '2026-04-13 09:00:00 +02:00', '2026-05-11 09:00:00 +02:00']);
+  // A fifth Friday only exists in some months.
+  assert.deepStrictEqual(runs('0 9 * * 5#5', '2026-01-01T00:00:00Z', 2), ['2026-01-30 09:00:00 +01:00', '2026-05-29 09:00:00 +02:00']);
+  assert.deepStrictEqual(runs('0 17 * * FRIL', '2026-03-01T00:00:00Z', 2), ['2026-03-27 17:00:00 +01:00', '2026-04-24 17:00:00 +02:00']);
+  assert.strictEqual(cron.describe('0 9 * * MON#2'), 'Every second Monday of the month at 09:00');
+  assert.strictEqual(cron.describe('0 17 * * 5L'), 'Every last Friday of the month at 17:00');
+  assert.throws(() => cron.parseCron('0 9 * * MON#6'), /1-5/);
+});
+
+test('macros expand to their five-field forms', () => {
+  assert.strictEqual(cron.describe('@daily'), 'Every day at 00:00');
+  assert.strictEqual(cron.describe('@hourly'), 'Every hour at :00');
+  assert.strictEqual(cron.describe('@weekly'), 'Every Sunday at 00:00');
+  assert.deepStrictEqual(runs('@yearly', '2026-03-01T00:00:00Z', 1), ['2027-01-01 00:00:00 +01:00']);
+  assert.deepStrictEqual(runs('@MONTHLY', '2026-03-01T00:00:00Z', 1), ['2026-04-01 00:00:00 +02:00']);
+  assert.throws(() => cron.parseCron('@reboot'), /Unknown cron macro/);
+});
+
+test('an expression that can never match returns null, one that rarely does is still found', () => {
+  assert.strictEqual(cron.nextRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z')), null);
+  assert.deepStrictEqual(runs('0 0 29 2 *', '2026-03-01T00:00:00Z', 1), ['2028-02-29 00:00:00 +01:00']);
+  assert.deepStrictEqual(cron.nextRuns('0 0 30 2 *', new Date(), 10), []);
+});
+
+test('timezones: the cron is read on the zone\'s wall clock', () => {
+  const tz = 'America/New_York';
+  assert.deepStrictEqual(runs('0 9 * * *', '2026-01-10T00:00:00Z', 2, tz), ['2026-01-10 09:00:00 -05:00', '2026-01-11 09:00:00 -05:00']);
+  assert.strictEqual(cron.nextRun('0 9 * * *', new Date('2026-01-10T00:00:00Z'), { timezone: tz }), Date.parse('2026-01-10T14:00:00Z'));
+  assert.strictEqual(cron.nextRun('0 9 * * *', new Date('2026-01-10T00:00:00Z'), { timezone: 'Asia/Kolkata' }), Date.parse('2026-01-10T03:30:00Z'), 'half-hour offsets');
+  assert.ok(cron.matches('0 9 * * *', new Date('2026-01-10T14:00:00Z'), { timezone: tz }));
+  assert.ok(!cron.matches('0 9 * * *', new Date('2026-01-10T14:00:00Z')));
+  assert.strictEqual(cron.normalizeTimezone('america/new_york'), 'America/New_York');
+  assert.strictEqual(cron.normalizeTimezone(''), null);
+  assert.throws(() => cron.normalizeTimezone('Mars/Olympus_Mons'), /Unknown timezone/);
+});
+
+test('DST spring forward: a skipped time fires just after the jump, once', () => {
+  const tz = 'America/New_York'; // 2026-03-08: 02:00 EST → 03:00 EDT
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-03-07T12:00:00Z', 3, tz), [
+    '2026-03-08 03:30:00 -04:00',
+    '2026-03-09 02:30:00 -04:00',
+    '2026-03-10 02:30:00 -04:00',
+  ]);
+  // Every half hour across the gap: 02:00 and 02:30 don't exist and land on 03:00 and
+  // 03:30, which do — each fires once, none twice.
+  assert.deepStrictEqual(runs('*/30 1-3 * * *', '2026-03-08T05:00:00Z', 4, tz), [
+    '2026-03-08 01:00:00 -05:00', '2026-03-08 01:30:00 -05:00', '2026-03-08 03:00:00 -04:00', '2026-03-08 03:30:00 -04:00',
+  ]);
+  // Hourly jobs don't double up or lose the hour after the gap.
+  assert.deepStrictEqual(runs('0 * * * *', '2026-03-08T05:30:00Z', 3, tz), [
+    '2026-03-08 01:00:00 -05:00', '2026-03-08 03:00:00 -04:00', '2026-03-08 04:00:00 -04:00',
+  ]);
+});
+
+test('DST fall back: a repeated time fires the first time only', () => {
+  const tz = 'America/New_York'; // 2026-11-01: 02:00 EDT → 01:00 EST
+  assert.deepStrictEqual(runs('30 1 * * *', '2026-10-31T12:00:00Z', 2, tz), ['2026-11-01 01:30:00 -04:00', '2026-11-02 01:30:00 -05:00']);
+  assert.deepStrictEqual(runs('*/20 1 * * *', '2026-11-01T04:00:00Z', 4, tz), [
+    '2026-11-01 01:00:00 -04:00', '2026-11-01 01:20:00 -04:00', '2026-11-01 01:40:00 -04:00', '2026-11-02 01:00:00 -05:00',
+  ]);
+  // Asked during the second 01:xx (a restart, say), it doesn't re-fire the first pass.
+  assert.deepStrictEqual(runs('30 1 * * *', '2026-11-01T06:10:00Z', 1, tz), ['2026-11-02 01:30:00 -05:00']);
+  // Southern hemisphere, opposite season: Sydney leaves daylight time on 2026-04-05.
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-04-04T00:00:00Z', 2, 'Australia/Sydney'), ['2026-04-05 02:30:00 +11:00', '2026-04-06 02:30:00 +10:00']);
+});
+
+test('DST in local time when a task names no zone', () => {
+  // TZ is Europe/Berlin: 2026-03-29 02:00 CET → 03:00 CEST; 2026-10-25 03:00 → 02:00.
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-03-28T12:00:00Z', 2), ['2026-03-29 03:30:00 +02:00', '2026-03-30 02:30:00 +02:00']);
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-10-24T12:00:00Z', 2), ['2026-10-25 02:30:00 +02:00', '2026-10-26 02:30:00 +01:00']);
+});
+
+// --- wired through the mod -------------------------------------------------
+
+const ctx = {
+  settings: { scheduledTasksEnabled: true },
+  log: () => {},
+  broadcast: () => {},
+  shells: new Map(),
+  getContexts: () => [],
+};
+const tools = init(ctx); // .unref()'d timers, so this doesn't hang the test process
+const routes = new Map();
+registerRoutes({
+  get: (p, h) => routes.set(`GET ${p}`, h),
+  post: (p, h) => routes.set(`POST ${p}`, h),
+  put: (p, h) => routes.set(`PUT ${p}`, h),
+  delete: (p, h) => routes.set(`DELETE ${p}`, h),
+}, ctx);
+function get(p, query = {}) {
+  let body = null;
+  routes.get(`GET ${p}`)({ query, params: {} }, { json: (b) => { body = b; }, status() { return this; } });
+  return body;
+}
+
+test('schedule_task takes a timezone and jitter, and list_scheduled_tasks previews the next fires', async () => {
+  const bad = await tools.schedule_task.handler({ title: 't', prompt: 'p', project: '', cron: '0 9 * * *', timezone: 'Nowhere/Special' }, {});
+  assert.match(bad.content[0].text, /Could not schedule task: Unknown timezone/);
+
+  const before = Date.now();
+  const res = await tools.schedule_task.handler({
+    title: 'standup digest', prompt: 'p', project: '', cron: '0 9 * * MON-FRI', timezone: 'asia/tokyo', jitter_minutes: 500,
+  }, {});
+  const id = /#(\w+)/.exec(res.content[0].text)[1];
+  assert.match(res.content[0].text, /Every weekday at 09:00 \(Asia\/Tokyo\) \+ up to 30 min jitter/, 'jitter is capped');
+
+  const list = (await tools.list_scheduled_tasks.handler({ scope: 'all' }, {})).content[0].text;
+  assert.match(list, /cron: 0 9 \* \* MON-FRI, Asia\/Tokyo/);
+  const upcoming = /upcoming \(Asia\/Tokyo\): (.*)/.exec(list);
+  assert.ok(upcoming, list);
+  assert.strictEqual(upcoming[1].split('; ').length, 10);
+
+  // The stored next run is the cron's next 09:00 Tokyo, delayed by at most 30 minutes.
+  const base = cron.nextRun('0 9 * * MON-FRI', new Date(before), { timezone: 'Asia/Tokyo' });
+  const task = get('/api/scheduled-tasks').tasks.find(t => t.id === id);
+  assert.ok(task.nextRun >= base && task.nextRun < base + 30 * 60e3, `${task.nextRun} vs ${base}`);
+  assert.strictEqual(task.upcoming[0], base, 'the preview shows the cron\'s own times');
+
+  const upd = await tools.update_scheduled_task.handler({ id, timezone: '', jitter_minutes: 0 }, {});
+  assert.match(upd.content[0].text, /Every weekday at 09:00\. Next run/, 'back to local time, no jitter');
+  await tools.unschedule_task.handler({ id }, {});
+});
+
+test('the preview route explains a cron or says what is wrong with it', () => {
+  const ok = get('/api/scheduled-tasks/preview', { cron: '0 9 * * MON#2', timezone: 'Europe/London' });
+  assert.strictEqual(ok.description, 'Every second Monday of the month at 09:00');
+  assert.strictEqual(ok.timezone, 'Europe/London');
+  assert.strictEqual(ok.times.length, 10);
+  assert.ok(ok.times.every((t, i) => i === 0 || t > ok.times[i - 1]));
+  assert.match(get('/api/scheduled-tasks/preview', { cron: '0 9 * *' }).error, /5 fields/);
+  assert.match(get('/api/scheduled-tasks/preview', { cron: '0 9 * * *', timezone: 'Nope/Nope' }).error, /Unknown timezone/);
+});
@@ -0,0 +1,239 @@
+// Event-driven scheduled tasks (mods/scheduled-tasks/events.js): a task that runs
+// when files change, a branch moves, the machine goes idle, or another task ends,
+// instead of on a cron.
+//
+// The parsing, glob and idle rules are pure and tested directly. The wiring is
+// driven through the mod with a fake ctx, the same way the run-now tests do it:
+// a files task fires once per change (never on the first look, never on its own
+// run's edits), and an `after` task fires when the task it follows reports in.
+//
+// Run: node --test test/unit/scheduled-events.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mod reads ~/.deepsteve/scheduled-tasks.json at require time — point HOME at a
+// scratch dir BEFORE loading it so tests never touch the real file.
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-sched-events-home-'));
+
+const events = require('../../mods/scheduled-tasks/events.js');
+const { init, pollEvents } = require('../../mods/scheduled-tasks/tools.js');
+
+test('parseEvent normalizes each type and refuses what it cannot watch', () => {
+  assert.deepStrictEqual(events.parseEvent({ type: 'files', glob: './src/**/*.ts', extra: 1 }), { type: 'files', glob: 'src/**/*.ts' });
+  assert.deepStrictEqual(events.parseEvent({ type: 'commit', branch: ' origin/main ' }), { type: 'commit', branch: 'origin/main' });
+  assert.deepStrictEqual(events.parseEvent({ type: 'idle', minutes: '30' }), { type: 'idle', minutes: 30 });
+  assert.deepStrictEqual(events.parseEvent({ type: 'after', task: 'abc12345' }), { type: 'after', task: 'abc12345', status: 'succeeded' });
+
+  assert.throws(() => events.parseEvent(null), /object/);
+  assert.throws(() => events.parseEvent({ type: 'cron' }), /unknown event type/);
+  assert.throws(() => events.parseEvent({ type: 'files', glob: '../elsewhere/*' }), /inside the project/);
+  assert.throws(() => events.parseEvent({ type: 'files', glob: '/etc/*' }), /inside the project/);
+  // A branch is handed to git — no options, ranges or revision syntax.
+  for (const branch of ['--all', 'main..dev', 'main@{1}', 'main ^x', '']) {
+    assert.throws(() => events.parseEvent({ type: 'commit', branch }), /branch name/, branch);
+  }
+  assert.throws(() => events.parseEvent({ type: 'idle', minutes: 0 }), /minutes/);
+  assert.throws(() => events.parseEvent({ type: 'idle', minutes: 2000 }), /minutes/);
+  assert.throws(() => events.parseEvent({ type: 'after', task: 'x', status: 'maybe' }), /status/);
+});
+
+test('describeEvent reads as a schedule', () => {
+  assert.strictEqual(events.describeEvent({ type: 'files', glob: '*.md' }), 'When *.md changes');
+  assert.strictEqual(events.describeEvent({ type: 'commit', branch: 'main' }), 'On a new commit to main');
+  assert.strictEqual(events.describeEvent({ type: 'idle', minutes: 15 }), 'After 15 min idle');
+  assert.strictEqual(events.describeEvent({ type: 'after', task: 'a1', status: 'failed' }, { taskTitle: 'Nightly' }), 'After "Nightly" failed');
+  assert.strictEqual(events.describeEvent({ type: 'after', task: 'a1', status: 'any' }), 'After task a1 ends');
+});
+
+test('globToRegExp: ** spans directories, * and ? stay in one, {a,b} alternates', () => {
+  const m = (glob, p) => events.globToRegExp(glob).test(p);
+  assert.ok(m('src/**/*.ts', 'src/a.ts'));
+  assert.ok(m('src/**/*.ts', 'src/a/b/c.ts'));
+  assert.ok(!m('src/**/*.ts', 'lib/a.ts'));
+  assert.ok(m('src/*.js', 'src/a.js'));
+  assert.ok(!m('src/*.js', 'src/a/b.js'));
+  assert.ok(m('*.md', 'docs/deep/README.md'), 'no slash matches at any depth, like .gitignore');
+  assert.ok(m('test/?.js', 'test/a.js'));
+  assert.ok(!m('test/?.js', 'test/ab.js'));
+  assert.ok(m('src/*.{js,jsx}', 'src/app.jsx'));
+  assert.ok(!m('src/*.{js,jsx}', 'src/app.ts'));
+  assert.ok(!m('a.b', 'axb'), 'dots are literal');
+  assert.strictEqual(events.globBase('src/lib/**/*.ts'), 'src/lib');
+  assert.strictEqual(events.globBase('src/*/x.ts'), 'src');
+  assert.strictEqual(events.globBase('*.ts'), '');
+});
+
+test('scanFiles + diffScans see added, changed and removed files, and skip .git and node_modules', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-sched-events-scan-'));
+  for (const f of ['src/a.js', 'src/deep/b.js', 'src/c.txt', 'node_modules/x/i.js', '.git/hooks/h.js', '.claude/worktrees/w/src/z.js']) {
+    fs.mkdirSync(path.dirname(path.join(root, f)), { recursive: true });
+    fs.writeFileSync(path.join(root, f), 'v1');
+  }
+  const first = await events.scanFiles(root, '**/*.js');
+  assert.deepStrictEqual([...first.files.keys()].sort(), ['src/a.js', 'src/deep/b.js']);
+  assert.strictEqual(first.truncated, false);
+  assert.strictEqual(events.fingerprint(first.files), events.fingerprint(new Map([...first.files].reverse())), 'order-independent');
+
+  fs.writeFileSync(path.join(root, 'src/a.js'), 'version two');
+  fs.rmSync(path.join(root, 'src/deep/b.js'));
+  fs.writeFileSync(path.join(root, 'src/new.js'), 'v1');
+  const second = await events.scanFiles(root, 'src/**/*.js');
+  assert.deepStrictEqual(events.diffScans(first.files, second.files), {
+    added: ['src/new.js'], changed: ['src/a.js'], removed: ['src/deep/b.js'],
+  });
+  assert.notStrictEqual(events.fingerprint(first.files), events.fingerprint(second.files));
+
+  assert.strictEqual((await events.scanFiles(root, '**/*', { maxEntries: 2 })).truncated, true);
+  assert.strictEqual((await events.scanFiles(path.join(root, 'missing'), '*.js')).files.size, 0);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('chainMatches: failed covers every way a run ends without succeeding', () => {
+  const after = (status) => ({ type: 'after', task: 'a', status });
+  assert.ok(events.chainMatches(after('succeeded'), { status: 'succeeded' }));
+  assert.ok(!events.chainMatches(after('succeeded'), { status: 'failed' }));
+  for (const status of ['failed', 'timed-out', 'ended']) assert.ok(events.chainMatches(after('failed'), { status }), status);
+  assert.ok(!events.chainMatches(after('failed'), { status: 'succeeded' }));
+  assert.ok(events.chainMatches(after('any'), { status: 'timed-out' }));
+  assert.ok(!events.chainMatches({ type: 'files', glob: '*' }, { status: 'succeeded' }));
+});
+
+test('idleStep fires once per idle stretch, and not for one already under way at startup', () => {
+  const min = 60e3;
+  let s = events.idleStep(false, 45 * min, 30);
+  assert.deepStrictEqual(s, { fire: false, armed: false }, 'starts disarmed: idle since before the daemon came up');
+  s = events.idleStep(s.armed, 1000, 30);
+  assert.deepStrictEqual(s, { fire: false, armed: true }, 'someone used the machine — armed');
+  s = events.idleStep(s.armed, 31 * min, 30);
+  assert.deepStrictEqual(s, { fire: true, armed: false });
+  s = events.idleStep(s.armed, 60 * min, 30);
+  assert.strictEqual(s.fire, false, 'same stretch does not fire again');
+  assert.deepStrictEqual(events.idleStep(true, null, 30), { fire: false, armed: true }, 'no reading, no change');
+});
+
+test('parseHidIdle reads ioreg nanoseconds as milliseconds', () => {
+  assert.strictEqual(events.parseHidIdle('  |   "HIDIdleTime" = 125000000000\n'), 125000);
+  assert.strictEqual(events.parseHidIdle('nothing here'), null);
+  assert.strictEqual(events.parseHidIdle(null), null);
+});
+
+// --- wired through the mod -------------------------------------------------
+
+const prompts = []; // every prompt runTask delivered, in order
+const settings = { scheduledTasksEnabled: true, scheduledTasksOpenInBackground: true };
+const ctx = {
+  settings,
+  log: () => {},
+  broadcast: () => {},
+  shells: new Map(),
+  getContexts: () => [],
+  getDefaultEngine: () => ({ onExit: () => {} }),
+  getAgentConfig: () => ({ supportsWorktree: false, supportsSessionWatch: false }),
+  getSpawnArgs: () => [],
+  spawnSession: () => {},
+  sessionEnv: () => ({}),
+  mcpConfigArgs: () => [],
+  wireShellOutput: () => {},
+  emitSessionOpen: () => {},
+  watchClaudeSessionDir: () => {},
+  unwatchClaudeSessionDir: () => {},
+  deliverPromptWhenReady: (id, prompt) => prompts.push(prompt),
+  validateWorktree: (n) => n,
+  handleShellGone: () => {},
+  closeSession: () => {},
+  saveState: () => {},
+  isShuttingDown: () => false,
+  deliverToWindow: () => {},
+};
+const tools = init(ctx); // .unref()'d timers, so this doesn't hang the test process
+const asRun = (shellId) => ({ requestInfo: { url: new URL(`http://localhost/mcp?shellId=${shellId}`) } });
+const lastShell = () => [...ctx.shells.keys()].pop();
+
+async function schedule(args) {
+  const res = await tools.schedule_task.handler({ title: 'event test', prompt: 'look at it', ...args }, {});
+  const m = /#(\w+)/.exec(res.content[0].text);
+  assert.ok(m, res.content[0].text);
+  return m[1];
+}
+
+test('schedule_task takes a cron or an event, exactly one, and validates the event', async () => {
+  const both = await tools.schedule_task.handler({ title: 't', prompt: 'p', cron: '0 9 * * 1', event: { type: 'idle', minutes: 5 } }, {});
+  assert.match(both.content[0].text, /not both/);
+  const neither = await tools.schedule_task.handler({ title: 't', prompt: 'p' }, {});
+  assert.match(neither.content[0].text, /cron schedule or an event/);
+  const noProject = await tools.schedule_task.handler({ title: 't', prompt: 'p', project: '', event: { type: 'files', glob: '*.md' } }, {});
+  assert.match(noProject.content[0].text, /watches the project/);
+  const dangling = await tools.schedule_task.handler({ title: 't', prompt: 'p', event: { type: 'after', task: 'nope0000' } }, {});
+  assert.match(dangling.content[0].text, /no scheduled task with id nope0000/);
+
+  const id = await schedule({ project: '', event: { type: 'idle', minutes: 20 } });
+  const list = await tools.list_scheduled_tasks.handler({ scope: 'all' }, {});
+  assert.match(list.content[0].text, new RegExp(`#${id} "event test"\\n  After 20 min idle \\(event: `));
+  const self = await tools.update_scheduled_task.handler({ id, event: { type: 'after', task: id } }, {});
+  assert.match(self.content[0].text, /cannot run after itself/);
+  const back = await tools.update_scheduled_task.handler({ id, event: null }, {});
+  assert.match(back.content[0].text, /needs a cron schedule to go back to/, 'an event task has no cron of its own');
+  const cron = await tools.update_scheduled_task.handler({ id, cron: '0 9 * * 1' }, {});
+  assert.match(cron.content[0].text, /Every Monday|Next run/, 'a cron on its own replaces the event');
+  await tools.unschedule_task.handler({ id }, {});
+});
+
+test('a files task fires on a change — not on the first look, and not on its own run\'s edits', async () => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-sched-events-proj-'));
+  fs.writeFileSync(path.join(project, 'notes.md'), 'one');
+  const id = await schedule({ project, isolate_worktree: false, event: { type: 'files', glob: '*.md' } });
+  prompts.length = 0;
+
+  await pollEvents();
+  assert.strictEqual(prompts.length, 0, 'the first scan is the baseline');
+  await pollEvents();
+  assert.strictEqual(prompts.length, 0, 'nothing changed');
+
+  fs.writeFileSync(path.join(project, 'todo.md'), 'new');
+  await pollEvents();
+  assert.strictEqual(prompts.length, 1, 'a new matching file fires the task');
+  assert.match(prompts[0], /look at it/);
+  assert.match(prompts[0], /files matching \*\.md changed/);
+  assert.match(prompts[0], /Added: todo\.md/);
+
+  // The run is in flight: what it writes is its own work, not a new event.
+  fs.writeFileSync(path.join(project, 'notes.md'), 'edited by the run');
+  await pollEvents();
+  assert.strictEqual(prompts.length, 1, 'no second run while the first is active, and no backlog after');
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'tidied' }, asRun(lastShell()));
+  await pollEvents();
+  assert.strictEqual(prompts.length, 1, 'the run\'s own edit was absorbed into the baseline');
+
+  fs.writeFileSync(path.join(project, 'notes.md'), 'edited by a person, later');
+  await pollEvents();
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[1], /Changed: notes\.md/);
+  await tools.scheduled_task_finished.handler({ success: true }, asRun(lastShell()));
+  await tools.unschedule_task.handler({ id }, {});
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+test('an after task runs when the task it follows ends with the matching status', async () => {
+  const upstream = await schedule({ title: 'build', project: '', cron: '0 3 * * *' });
+  const onFail = await schedule({ title: 'triage', project: '', event: { type: 'after', task: upstream, status: 'failed' } });
+  const onPass = await schedule({ title: 'deploy', project: '', event: { type: 'after', task: upstream } });
+  prompts.length = 0;
+
+  await tools.run_scheduled_task_now.handler({ id: upstream }, {});
+  assert.strictEqual(prompts.length, 1);
+  await tools.scheduled_task_finished.handler({ success: false, summary: 'tests red' }, asRun(lastShell()));
+  assert.strictEqual(prompts.length, 2, 'only the failure follower ran');
+  assert.match(prompts[1], /"build" failed: tests red/);
+
+  await tools.run_scheduled_task_now.handler({ id: upstream }, {});
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'green' }, asRun(lastShell()));
+  assert.strictEqual(prompts.length, 4, 'the success follower ran');
+  assert.match(prompts[3], /"build" succeeded: green/);
+
+  const list = await tools.list_scheduled_tasks.handler({ scope: 'all' }, {});
+  assert.match(list.content[0].text, /After "build" failed/);
+  for (const id of [onFail, onPass, upstream]) await tools.unschedule_task.handler({ id }, {});
+});
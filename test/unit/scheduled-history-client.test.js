@@ -291,3 +291,27 @@ test('a failed fetch leaves an explanation, not a blank page', async () => {
   globalThis.fetch = prev;
   reset(m);
 });
+
+test('trigger fires render in their own section, refused ones included', async () => {
+  const m = await openWith(PAYLOAD([TASK()], {
+    triggers: [{
+      id: 'ci-failed', automation: 'triage', targetLabel: 'automation triage', enabled: true,
+      rateLimit: { count: 3, perMinutes: 60 },
+      fires: [
+        { id: 'f2', at: 2000, status: 'rate-limited', sessionId: null, error: 'limit is 3 fires per 60 min', payloadBytes: 12 },
+        { id: 'f1', at: 1000, status: 'started', sessionId: 'here', error: null, payloadBytes: 12 },
+      ],
+    }],
+  }), { getSessions: () => [{ id: 'here' }] });
+  const heads = document.querySelectorAll('.sched-hist-group-head').map(h => h.textContent);
+  assert.ok(heads.includes('Triggers'));
+  const rows = document.querySelectorAll('.sched-hist-row');
+  const triggerRow = rows[rows.length - 1];
+  assert.match(triggerRow.querySelector('.sched-hist-task-sub').textContent, /→ automation triage · 3\/60m/);
+  const cells = triggerRow.querySelectorAll('.sched-hist-cell');
+  assert.strictEqual(cells.length, 2);
+  assert.ok(cells[0].classList.contains('bad'), 'a rate-limited fire is a refusal, not a quiet gap');
+  cells[1].onclick({ stopPropagation: () => {} });
+  assert.ok(document.querySelector('.sched-hist-go'), 'a started fire can jump to its session');
+  reset(m);
+});
@@ -222,3 +222,26 @@ test('the history route is registered before the routes that could shadow it', (
   assert.ok(history >= 0 && firstParam >= 0);
   assert.ok(history < firstParam, 'history must be registered before any /:id route');
 });
+
+test('triggers list their fires under a target label, and never their token', () => {
+  const out = build({
+    tasks: [task({ id: 'a', title: 'Nightly', project: '/repos/x' }), task({ id: 'gone', deleted: true })],
+    triggers: [
+      { id: 'ci', task: 'a', token: 'secret-secret-secret', enabled: true },
+      { id: 'old', task: 'gone', token: 'secret-secret-secret', enabled: true },
+      { id: 'auto', automation: 'triage', token: 'secret-secret-secret', enabled: false },
+    ],
+    fires: [
+      { id: 'f2', triggerId: 'ci', at: 20, status: 'rate-limited', error: 'limit', payloadBytes: 9 },
+      { id: 'f1', triggerId: 'ci', at: 10, status: 'started', sessionId: 's1', payloadBytes: 9 },
+      { id: 'f0', triggerId: 'nobody', at: 5, status: 'started' },
+    ],
+  });
+  assert.deepStrictEqual(out.triggers.map(t => [t.id, t.targetLabel, t.fires.map(f => f.id)]), [
+    ['ci', 'Nightly', ['f2', 'f1']],
+    ['old', 'task gone (not found)', []],
+    ['auto', 'automation triage', []],
+  ]);
+  assert.ok(out.triggers.every(t => !('token' in t)));
+  assert.deepStrictEqual(build().triggers, [], 'no triggers configured → empty list, not missing');
+});
@@ -0,0 +1,318 @@
+// Multi-step workflow tasks (mods/scheduled-tasks/workflow.js): a task whose
+// `steps` form a small DAG, each step its own session, outputs passed forward
+// through scheduled_task_finished.
+//
+// Step parsing and the run planner are pure and tested directly: ordering,
+// fan-out, parallelism caps, and the three failure policies. The wiring is driven
+// through the mod with a fake ctx, the same way the event tests do it: a
+// triage → fan-out → summarize run spawns the sessions in order, hands each one
+// what came before, holds the overlap guard for the whole run, and chains once.
+//
+// Run: node --test test/unit/scheduled-workflow.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mod reads ~/.deepsteve/scheduled-tasks.json at require time — point HOME at a
+// scratch dir BEFORE loading it so tests never touch the real file.
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-sched-workflow-home-'));
+
+const workflow = require('../../mods/scheduled-tasks/workflow.js');
+const { init, registerRoutes } = require('../../mods/scheduled-tasks/tools.js');
+
+test('parseSteps fills in ids and a pipeline by default, and refuses a broken graph', () => {
+  const steps = workflow.parseSteps([
+    { prompt: 'triage' },
+    { id: 'fix', prompt: 'fix {{item}}', forEach: 'step1', onFailure: 'retry', retries: 9, maxParallel: 50 },
+    { id: 'report', prompt: 'report', after: ['fix'], onFailure: 'continue' },
+  ]);
+  assert.deepStrictEqual(steps.map(s => [s.id, s.after]), [['step1', []], ['fix', ['step1']], ['report', ['fix']]]);
+  assert.strictEqual(steps[1].retries, workflow.MAX_RETRIES);
+  assert.strictEqual(steps[1].maxParallel, workflow.MAX_PARALLEL);
+  assert.strictEqual(steps[0].maxParallel, 1, 'only a forEach step runs in parallel');
+  assert.strictEqual(steps[2].retries, 0);
+  assert.strictEqual(workflow.parseSteps([]), null, 'no steps is a single-prompt task');
+  assert.strictEqual(workflow.parseSteps(undefined), null);
+
+  // Given out of order, returned in an order that can run.
+  const reordered = workflow.parseSteps([{ id: 'b', prompt: 'b', after: ['a'] }, { id: 'a', prompt: 'a', after: [] }]);
+  assert.deepStrictEqual(reordered.map(s => s.id), ['a', 'b']);
+
+  assert.throws(() => workflow.parseSteps({}), /list/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a' }]), /needs a prompt/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a', prompt: 'x' }, { id: 'a', prompt: 'y' }]), /two steps are called "a"/);
+  assert.throws(() => workflow.parseSteps([{ id: 'has space', prompt: 'x' }]), /letters, digits/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a', prompt: 'x', after: ['ghost'] }]), /"ghost", which is not a step/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a', prompt: 'x', after: ['a'] }]), /after itself/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a', prompt: 'x', after: ['b'] }, { id: 'b', prompt: 'y', after: ['a'] }]), /cycle: a, b/);
+  assert.throws(() => workflow.parseSteps([{ id: 'a', prompt: 'x', onFailure: 'shrug' }]), /onFailure/);
+  assert.throws(() => workflow.parseSteps(Array.from({ length: workflow.MAX_STEPS + 1 }, (_, i) => ({ prompt: `p${i}` }))), /at most/);
+});
+
+test('describeSteps and depths lay a graph out', () => {
+  const steps = workflow.parseSteps([
+    { id: 'lint', prompt: 'x', after: [] },
+    { id: 'test', prompt: 'x', after: [] },
+    { id: 'fix', prompt: 'x', forEach: 'test' },
+    { id: 'report', prompt: 'x', after: ['lint', 'fix'] },
+  ]);
+  assert.strictEqual(workflow.describeSteps(steps), 'lint → test (at start) → fix (each of test) → report (after lint, fix)');
+  assert.deepStrictEqual(workflow.depths(steps), { lint: 0, test: 0, fix: 1, report: 2 });
+});
+
+// Play a session to its end: what a self-report writes on the run row.
+function finish(run, launched, status, extra = {}) {
+  const { instance } = launched;
+  instance.sessionId = instance.sessionId || `s${Math.random().toString(16).slice(2, 8)}`;
+  workflow.recordEnd(run, instance.sessionId, { status, summary: `${status} ${instance.item || ''}`.trim(), ...extra });
+  return workflow.advance(run);
+}
+function started(launch) {
+  for (const l of launch) l.instance.sessionId = `s${Math.random().toString(16).slice(2, 8)}`;
+  return launch;
+}
+
+test('advance runs a fan-out no wider than maxParallel, and ends when every step has', () => {
+  const steps = workflow.parseSteps([
+    { id: 'triage', prompt: 'find bugs' },
+    { id: 'fix', prompt: 'fix {{item}}', forEach: 'triage', maxParallel: 2 },
+    { id: 'summarize', prompt: 'sum up' },
+  ]);
+  const run = workflow.newRun(steps, { id: 'r1' });
+  let launch = started(workflow.advance(run));
+  assert.deepStrictEqual(launch.map(l => l.step.id), ['triage']);
+
+  launch = started(finish(run, launch[0], 'succeeded', { items: ['#1', '#2', '#3', '#2'] }));
+  assert.deepStrictEqual(run.steps.fix.items, ['#1', '#2', '#3'], 'duplicates dropped');
+  assert.deepStrictEqual(launch.map(l => l.instance.item), ['#1', '#2'], 'two at a time');
+
+  const next = started(finish(run, launch[0], 'succeeded'));
+  assert.deepStrictEqual(next.map(l => l.instance.item), ['#3'], 'a slot freed, the third starts');
+  assert.deepStrictEqual(finish(run, launch[1], 'succeeded'), []);
+  const last = started(finish(run, next[0], 'succeeded'));
+  assert.deepStrictEqual(last.map(l => l.step.id), ['summarize']);
+  assert.strictEqual(run.status, 'running');
+  finish(run, last[0], 'succeeded');
+  assert.strictEqual(run.status, 'succeeded');
+  assert.ok(run.endedAt);
+  assert.strictEqual(workflow.summarize(run), '3/3 steps succeeded');
+});
+
+test('a forEach over no items succeeds without a session, and the steps after it still run', () => {
+  const run = workflow.newRun(workflow.parseSteps([
+    { id: 'triage', prompt: 'x' }, { id: 'fix', prompt: 'x', forEach: 'triage' }, { id: 'sum', prompt: 'x' },
+  ]), { id: 'r2' });
+  const launch = started(workflow.advance(run));
+  const after = finish(run, launch[0], 'succeeded');
+  assert.strictEqual(run.steps.fix.status, 'succeeded');
+  assert.deepStrictEqual(after.map(l => l.step.id), ['sum']);
+});
+
+test('failure policies: stop skips what follows, continue carries on, retry reruns then stops', () => {
+  const mk = (onFailure) => workflow.newRun(workflow.parseSteps([
+    { id: 'a', prompt: 'x', onFailure, retries: 1 }, { id: 'b', prompt: 'y' },
+  ]), { id: `r-${onFailure}` });
+
+  const stop = mk('stop');
+  assert.deepStrictEqual(finish(stop, started(workflow.advance(stop))[0], 'timed-out'), []);
+  assert.strictEqual(stop.steps.b.status, 'skipped');
+  assert.strictEqual(stop.status, 'failed');
+  assert.strictEqual(workflow.summarize(stop), '0/2 steps succeeded, 1 failed, 1 skipped');
+
+  const cont = mk('continue');
+  const then = finish(cont, started(workflow.advance(cont))[0], 'failed');
+  assert.deepStrictEqual(then.map(l => l.step.id), ['b'], 'continue runs the next step anyway');
+  finish(cont, started(then)[0], 'succeeded');
+  assert.strictEqual(cont.status, 'failed', 'a failed step still fails the run');
+
+  const retry = mk('retry');
+  const again = started(finish(retry, started(workflow.advance(retry))[0], 'ended'));
+  assert.deepStrictEqual(again.map(l => [l.step.id, l.instance.attempt]), [['a', 2]]);
+  const b = started(finish(retry, again[0], 'succeeded'));
+  assert.deepStrictEqual(b.map(l => l.step.id), ['b'], 'the retry succeeded, so the run goes on');
+  assert.strictEqual(retry.steps.a.status, 'succeeded');
+
+  const exhausted = mk('retry');
+  const second = started(finish(exhausted, started(workflow.advance(exhausted))[0], 'failed'));
+  assert.deepStrictEqual(finish(exhausted, second[0], 'failed'), [], 'out of retries');
+  assert.strictEqual(exhausted.steps.b.status, 'skipped');
+});
+
+test('a failure stops a fan-out from starting its remaining items', () => {
+  const run = workflow.newRun(workflow.parseSteps([
+    { id: 't', prompt: 'x' }, { id: 'each', prompt: '{{item}}', forEach: 't', maxParallel: 1 },
+  ]), { id: 'r3' });
+  const first = started(finish(run, started(workflow.advance(run))[0], 'succeeded', { items: ['a', 'b', 'c'] }));
+  assert.deepStrictEqual(finish(run, first[0], 'failed'), []);
+  assert.deepStrictEqual(run.steps.each.instances.map(i => i.status), ['failed', 'cancelled', 'cancelled']);
+  assert.strictEqual(run.status, 'failed');
+});
+
+test('recordEnd ignores a session it does not know, and a second report of the same one', () => {
+  const run = workflow.newRun(workflow.parseSteps([{ id: 'a', prompt: 'x' }]), { id: 'r4' });
+  const [l] = started(workflow.advance(run));
+  assert.strictEqual(workflow.recordEnd(run, 'nope', { status: 'succeeded' }), null);
+  assert.ok(workflow.recordEnd(run, l.instance.sessionId, { status: 'succeeded', summary: 'ok' }));
+  assert.strictEqual(workflow.recordEnd(run, l.instance.sessionId, { status: 'ended' }), null, 'the tab closing after the report');
+  assert.strictEqual(l.instance.status, 'succeeded');
+});
+
+test('stepPrompt tells a step what came before it and what it is for', () => {
+  const steps = workflow.parseSteps([
+    { id: 'triage', prompt: 'find bugs' },
+    { id: 'fix', prompt: 'Fix issue {{item}}.', forEach: 'triage', onFailure: 'continue' },
+    { id: 'sum', prompt: 'Summarize.' },
+  ]);
+  const run = workflow.newRun(steps, { id: 'r5', brief: 'Keep the tracker clean.', note: 'Started by CI.' });
+  const [triage] = started(workflow.advance(run));
+  const triagePrompt = workflow.stepPrompt(run, triage.step, triage.instance, { title: 'Bug sweep' });
+  assert.match(triagePrompt, /step "triage" of the workflow "Bug sweep"/);
+  assert.match(triagePrompt, /Keep the tracker clean\./);
+  assert.match(triagePrompt, /Started by CI\./);
+  assert.match(triagePrompt, /Pass that list as `items`/, 'the step a later one fans out over is told to report items');
+
+  const fixes = started(finish(run, triage, 'succeeded', { summary: 'found two', items: ['#7', '#9'] }));
+  const fixPrompt = workflow.stepPrompt(run, fixes[1].step, fixes[1].instance, { title: 'Bug sweep' });
+  assert.match(fixPrompt, /item 2 of 2:\n#9/);
+  assert.match(fixPrompt, /- triage \(succeeded\): found two\n {2}items: #7; #9/);
+  assert.match(fixPrompt, /Your step:\nFix issue #9\./);
+  assert.doesNotMatch(fixPrompt, /Pass that list/);
+
+  finish(run, fixes[0], 'succeeded', { summary: 'fixed 7' });
+  const [sum] = started(finish(run, fixes[1], 'failed', { summary: 'could not repro 9' }));
+  const sumPrompt = workflow.stepPrompt(run, sum.step, sum.instance, { title: 'Bug sweep' });
+  assert.match(sumPrompt, /- fix \(failed, 2 sessions\):\n {2}- #7 \(succeeded\): fixed 7\n {2}- #9 \(failed\): could not repro 9/);
+});
+
+test('cleanItems keeps short strings and drops empties', () => {
+  assert.deepStrictEqual(workflow.cleanItems([' a ', '', 3, null]), ['a', '3']);
+  assert.strictEqual(workflow.cleanItems('a'), null);
+  assert.strictEqual(workflow.cleanItems(['x'.repeat(600)])[0].length, 501);
+});
+
+// --- wired through the mod -------------------------------------------------
+
+const prompts = []; // [shellId, prompt] for every prompt runTask delivered, in order
+const settings = { scheduledTasksEnabled: true, scheduledTasksOpenInBackground: true };
+const ctx = {
+  settings,
+  log: () => {},
+  broadcast: () => {},
+  shells: new Map(),
+  getContexts: () => [],
+  getDefaultEngine: () => ({ onExit: () => {} }),
+  getAgentConfig: () => ({ supportsWorktree: false, supportsSessionWatch: false }),
+  getSpawnArgs: () => [],
+  spawnSession: () => {},
+  sessionEnv: () => ({}),
+  mcpConfigArgs: () => [],
+  wireShellOutput: () => {},
+  emitSessionOpen: () => {},
+  watchClaudeSessionDir: () => {},
+  unwatchClaudeSessionDir: () => {},
+  deliverPromptWhenReady: (id, prompt) => prompts.push([id, prompt]),
+  validateWorktree: (n) => n,
+  handleShellGone: () => {},
+  closeSession: () => {},
+  saveState: () => {},
+  isShuttingDown: () => false,
+  deliverToWindow: () => {},
+};
+const tools = init(ctx); // .unref()'d timers, so this doesn't hang the test process
+const asRun = (shellId) => ({ requestInfo: { url: new URL(`http://localhost/mcp?shellId=${shellId}`) } });
+
+async function schedule(args) {
+  const res = await tools.schedule_task.handler({ title: 'workflow test', prompt: '', project: '', ...args }, {});
+  const m = /#(\w+)/.exec(res.content[0].text);
+  assert.ok(m, res.content[0].text);
+  return m[1];
+}
+
+test('schedule_task validates steps and lists the workflow', async () => {
+  const bad = await tools.schedule_task.handler({ title: 't', prompt: '', project: '', cron: '0 9 * * 1', steps: [{ id: 'a', prompt: 'x', after: ['b'] }] }, {});
+  assert.match(bad.content[0].text, /Could not schedule task: step "a" runs after "b"/);
+  const id = await schedule({ cron: '0 9 * * 1', steps: [{ id: 'one', prompt: 'x' }, { id: 'two', prompt: 'y', model: 'haiku', on_failure: 'continue' }] });
+  const list = await tools.list_scheduled_tasks.handler({ scope: 'all' }, {});
+  assert.match(list.content[0].text, /workflow: one → two/);
+  const off = await tools.update_scheduled_task.handler({ id, steps: null }, {});
+  assert.match(off.content[0].text, /Updated/);
+  assert.doesNotMatch((await tools.list_scheduled_tasks.handler({ scope: 'all' }, {})).content[0].text, /workflow:/);
+  await tools.unschedule_task.handler({ id }, {});
+});
+
+test('a workflow run: triage fans out one session per item, then summarizes, then chains once', async () => {
+  const id = await schedule({
+    title: 'Bug sweep', prompt: 'Keep the tracker clean.', cron: '0 3 * * *',
+    steps: [
+      { id: 'triage', prompt: 'List open bugs.' },
+      { id: 'fix', prompt: 'Work on issue {{item}}.', for_each: 'triage', max_parallel: 2 },
+      { id: 'summarize', prompt: 'Summarize the results.' },
+    ],
+  });
+  const follower = await schedule({ title: 'after sweep', prompt: 'celebrate', event: { type: 'after', task: id } });
+  prompts.length = 0;
+
+  const started = await tools.run_scheduled_task_now.handler({ id }, {});
+  assert.match(started.content[0].text, /Running #/);
+  assert.strictEqual(prompts.length, 1);
+  const [triageId, triagePrompt] = prompts[0];
+  assert.match(triagePrompt, /step "triage" of the workflow "Bug sweep"/);
+  assert.match(triagePrompt, /Keep the tracker clean\./);
+
+  // The whole workflow run holds the overlap guard, not just its newest session.
+  const overlap = await tools.run_scheduled_task_now.handler({ id }, {});
+  assert.match(overlap.content[0].text, /not started/);
+
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'three bugs', items: ['#1', '#2', '#3'] }, asRun(triageId));
+  assert.strictEqual(prompts.length, 3, 'two fan-out sessions at once');
+  assert.match(prompts[1][1], /Work on issue #1\./);
+  assert.match(prompts[2][1], /Work on issue #2\./);
+
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'fixed 1' }, asRun(prompts[1][0]));
+  assert.strictEqual(prompts.length, 4);
+  assert.match(prompts[3][1], /Work on issue #3\./);
+  assert.match((await tools.run_scheduled_task_now.handler({ id }, {})).content[0].text, /not started/,
+    'still blocked between fan-out sessions');
+
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'fixed 2' }, asRun(prompts[2][0]));
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'fixed 3' }, asRun(prompts[3][0]));
+  assert.strictEqual(prompts.length, 5);
+  assert.match(prompts[4][1], /step "summarize"/);
+  assert.match(prompts[4][1], /- #3 \(succeeded\): fixed 3/);
+  assert.ok(!prompts.some(([, p]) => /celebrate/.test(p)), 'no chaining on a step ending');
+
+  await tools.scheduled_task_finished.handler({ success: true, summary: 'all fixed' }, asRun(prompts[4][0]));
+  assert.strictEqual(prompts.length, 6, 'the follower ran once, for the whole workflow');
+  assert.match(prompts[5][1], /"Bug sweep" succeeded: 3\/3 steps succeeded/);
+
+  const list = await tools.list_scheduled_tasks.handler({ scope: 'all' }, {});
+  assert.match(list.content[0].text, /last workflow run: .* \[succeeded\] — 3\/3 steps succeeded/);
+  await tools.scheduled_task_finished.handler({ success: true }, asRun(prompts[5][0]));
+  for (const t of [follower, id]) await tools.unschedule_task.handler({ id: t }, {});
+});
+
+test('the history view carries each workflow run as a graph, and step rows say where they belong', async () => {
+  const id = await schedule({ cron: '0 4 * * *', steps: [{ id: 'a', prompt: 'x' }, { id: 'b', prompt: 'y', model: 'haiku' }] });
+  prompts.length = 0;
+  await tools.run_scheduled_task_now.handler({ id }, {});
+  await tools.scheduled_task_finished.handler({ success: false, summary: 'broke' }, asRun(prompts[0][0]));
+  assert.strictEqual(prompts.length, 1, 'stop is the default: b never starts');
+
+  const routes = new Map();
+  const app = {};
+  for (const m of ['get', 'post', 'put', 'delete']) app[m] = (p, h) => routes.set(`${m} ${p}`, h);
+  registerRoutes(app, ctx);
+  let body;
+  routes.get('get /api/scheduled-tasks/history')({}, { json: (b) => { body = b; } });
+  const task = body.groups.flatMap(g => g.repos).flatMap(r => r.tasks).find(t => t.id === id);
+  assert.strictEqual(task.workflowRuns.length, 1);
+  const wf = task.workflowRuns[0];
+  assert.strictEqual(wf.status, 'failed');
+  assert.strictEqual(wf.summary, '0/2 steps succeeded, 1 failed, 1 skipped');
+  assert.deepStrictEqual(wf.steps.map(s => [s.id, s.depth, s.status]), [['a', 0, 'failed'], ['b', 1, 'skipped']]);
+  assert.strictEqual(wf.steps[0].sessions[0].summary, 'broke');
+  assert.deepStrictEqual(task.runs[0].workflow, { runId: wf.id, step: 'a', index: 0, attempt: 1, item: null });
+  await tools.unschedule_task.handler({ id }, {});
+});
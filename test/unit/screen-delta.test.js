@@ -0,0 +1,77 @@
+// Unit tests for screen-delta.js: what `deepsteve tail --follow` prints between two
+// reads of a session's screen.
+//
+// The screens are the interpreted shapes from fixtures/composer-screens.js (which
+// are transcribed from real captures), moved on by one poll the way an agent moves
+// them: a spinner line redrawn in place, output scrolling the transcript, a prompt
+// submitted, the pane cleared, and a pane with nothing on it.
+//
+// Run: node --test test/unit/screen-delta.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { screenDelta } = require('../../screen-delta');
+const F = require('./fixtures/composer-screens');
+
+test('an unchanged screen prints nothing', () => {
+  assert.deepStrictEqual(screenDelta(F.EMPTY_COMPOSER, [...F.EMPTY_COMPOSER]), []);
+});
+
+test('a line redrawn in place is printed again, and only it', () => {
+  const later = [F.WORKING_NO_COMPOSER[0], '✽ Writing revendor-demo.sh… (13s · ↓ 25.3k tokens)'];
+  assert.deepStrictEqual(screenDelta(F.WORKING_NO_COMPOSER, later), [later[1]]);
+});
+
+test('output that scrolls the screen prints only the new lines', () => {
+  const log = [
+    '⏺ Bash(npm test)',
+    '  ⎿  > deepsteve@1 test',
+    '     ✔ users (12ms)',
+    '     ✔ triggers (8ms)',
+    '     ✔ webhooks (9ms)',
+    '     ✔ guardrails (4ms)',
+    '     ✔ approval-rules (3ms)',
+  ];
+  assert.deepStrictEqual(screenDelta(log.slice(0, 5), log.slice(1, 6)), ['     ✔ guardrails (4ms)']);
+  assert.deepStrictEqual(screenDelta(log.slice(0, 5), log.slice(2, 7)), log.slice(5, 7));
+});
+
+test('output above a fixed composer prints the new lines and the chrome redrawn below them', () => {
+  // The transcript grows above the composer box, which stays at the bottom.
+  const chrome = F.EMPTY_COMPOSER.slice(3);
+  const before = ['⏺ Bash(npm test)', '  ⎿  Running…', ...chrome];
+  const after = ['  ⎿  Running…', '     ✔ users (12ms)', ...chrome];
+  assert.deepStrictEqual(screenDelta(before, after), ['     ✔ users (12ms)', ...chrome]);
+});
+
+test('a submitted draft: the reads agree down to the first changed line', () => {
+  const staged = [
+    '⏺ I will start by exploring the codebase.',
+    '✻ Sautéed for 12s',
+    F.RULE,
+    '❯ Work on GitHub issue #607',
+    F.RULE,
+    '⏵⏵ auto mode on (shift+tab to cycle)',
+  ];
+  const submitted = [...staged.slice(0, 3), '❯', ...staged.slice(4)];
+  assert.deepStrictEqual(screenDelta(staged, submitted), submitted.slice(3));
+});
+
+test('a screen with nothing in common is printed whole', () => {
+  assert.deepStrictEqual(screenDelta(F.EMPTY_COMPOSER, F.STARTUP_BANNER), F.STARTUP_BANNER);
+});
+
+test('an empty pane prints nothing, and what appears on it prints whole', () => {
+  assert.deepStrictEqual(screenDelta([], []), []);
+  assert.deepStrictEqual(screenDelta(F.STAGED_DRAFT, []), []);
+  assert.deepStrictEqual(screenDelta([], F.STARTUP_BANNER), F.STARTUP_BANNER);
+  assert.deepStrictEqual(screenDelta(['', ''], ['', '', '']), [], 'blank rows are not content');
+});
+
+test('blank lines alone never anchor an alignment', () => {
+  // Lined up on the blank row, a new screen would print without its own first row.
+  const before = ['⏺ first turn', '', '⏺ second turn'];
+  const after = ['', 'stub claude ready', 'Starting…'];
+  assert.deepStrictEqual(screenDelta(before, after), after);
+});
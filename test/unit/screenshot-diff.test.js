@@ -0,0 +1,186 @@
+// Screenshot diffing: the PNG codec (png.js), the pixel comparison and baseline store
+// (mods/screenshots/diff.js), and screenshot_compare end to end — first call sets the
+// baseline, a changed image fails with a diff image, approving makes it the baseline.
+//
+// Run: node --test test/unit/screenshot-diff.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-shotdiff-'));
+process.env.DEEPSTEVE_HOME = path.join(scratch, 'state');
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const { decodePng, encodePng, crc32 } = require('../../png');
+const { compareImages, saveBaseline, readBaseline, listBaselines, deleteBaseline, validBaselineName } = require('../../mods/screenshots/diff');
+const screenshotsMod = require('../../mods/screenshots/tools');
+
+function image(width, height, fill = [255, 255, 255, 255]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(fill, i);
+  return { width, height, data };
+}
+
+function setPixel(img, x, y, rgba) {
+  img.data.set(rgba, (y * img.width + x) * 4);
+}
+
+// A PNG assembled by hand, for the colour types encodePng never writes.
+function rawPng({ width, height, depth, colorType, rows, extra = [] }) {
+  const chunk = (type, data) => {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = colorType;
+  const body = Buffer.concat(rows.map(r => Buffer.from([0, ...r])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...extra.map(([type, data]) => chunk(type, Buffer.from(data))),
+    chunk('IDAT', zlib.deflateSync(body)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+test('encodePng output decodes back to the same pixels', () => {
+  const img = image(5, 3, [10, 20, 30, 255]);
+  setPixel(img, 2, 1, [200, 0, 100, 128]);
+  setPixel(img, 4, 2, [0, 255, 0, 0]);
+  const back = decodePng(encodePng(img));
+  assert.strictEqual(back.width, 5);
+  assert.strictEqual(back.height, 3);
+  assert.deepStrictEqual(Buffer.from(back.data), Buffer.from(img.data));
+});
+
+test('decodePng reads palette, grey and 16-bit images, with tRNS', () => {
+  // 1-bit palette, 3 px wide: red, blue (transparent via tRNS), red.
+  const pal = decodePng(rawPng({
+    width: 3, height: 1, depth: 1, colorType: 3, rows: [[0b01000000]],
+    extra: [['PLTE', [255, 0, 0, 0, 0, 255]], ['tRNS', [255, 0]]],
+  }));
+  assert.deepStrictEqual([...pal.data], [255, 0, 0, 255, 0, 0, 255, 0, 255, 0, 0, 255]);
+
+  const grey = decodePng(rawPng({ width: 2, height: 1, depth: 4, colorType: 0, rows: [[0xf0]] }));
+  assert.deepStrictEqual([...grey.data], [255, 255, 255, 255, 0, 0, 0, 255]);
+
+  const rgb16 = decodePng(rawPng({ width: 1, height: 1, depth: 16, colorType: 2, rows: [[0x12, 0x34, 0xab, 0xcd, 0xff, 0xff]] }));
+  assert.deepStrictEqual([...rgb16.data], [0x12, 0xab, 0xff, 255]);
+
+  assert.throws(() => decodePng(Buffer.from('not a png')), { code: 'PNG' });
+});
+
+test('identical images match; a changed block is counted and drawn red', () => {
+  const a = image(20, 10);
+  assert.strictEqual(compareImages(a, image(20, 10)).diffPixels, 0);
+
+  const b = image(20, 10);
+  for (let x = 0; x < 4; x++) for (let y = 0; y < 5; y++) setPixel(b, x, y, [0, 0, 0, 255]);
+  const r = compareImages(a, b);
+  assert.strictEqual(r.diffPixels, 20);
+  assert.strictEqual(r.mismatch, 10);
+  assert.strictEqual(r.sizeMismatch, false);
+  assert.deepStrictEqual([...r.diff.data.subarray(0, 4)], [255, 0, 0, 255]);
+  assert.ok(r.diff.data[(9 * 20 + 19) * 4] > 200, 'unchanged pixels are faded, not red');
+});
+
+test('the threshold decides how different a pixel must be', () => {
+  const a = image(4, 4, [100, 100, 100, 255]);
+  const b = image(4, 4, [108, 108, 108, 255]);
+  assert.strictEqual(compareImages(a, b, { threshold: 0.1 }).diffPixels, 0);
+  assert.strictEqual(compareImages(a, b, { threshold: 0.01 }).diffPixels, 16);
+});
+
+test('a lone anti-aliased edge pixel is not counted unless asked for', () => {
+  // A hard vertical edge, with one pixel on it softened in the second image.
+  const edge = () => {
+    const img = image(6, 6);
+    for (let x = 3; x < 6; x++) for (let y = 0; y < 6; y++) setPixel(img, x, y, [0, 0, 0, 255]);
+    return img;
+  };
+  const a = edge();
+  const b = edge();
+  setPixel(b, 3, 3, [128, 128, 128, 255]);
+  const r = compareImages(a, b);
+  assert.strictEqual(r.diffPixels, 0);
+  assert.strictEqual(r.antialiasedPixels, 1);
+  assert.strictEqual(compareImages(a, b, { includeAA: true }).diffPixels, 1);
+});
+
+test('images of different sizes mismatch by the area only one of them covers', () => {
+  const r = compareImages(image(10, 10), image(10, 8));
+  assert.strictEqual(r.sizeMismatch, true);
+  assert.strictEqual(r.width, 10);
+  assert.strictEqual(r.height, 10);
+  assert.strictEqual(r.diffPixels, 20);
+  assert.strictEqual(r.mismatch, 20);
+});
+
+test('baselines are stored per project in .deepsteve/baselines, with checked names', () => {
+  const root = fs.mkdtempSync(path.join(scratch, 'proj-'));
+  const png = encodePng(image(2, 2));
+  const saved = saveBaseline(root, 'home-page', png, { width: 2, height: 2 });
+  assert.strictEqual(saved.path, path.join(root, '.deepsteve', 'baselines', 'home-page.png'));
+  assert.deepStrictEqual(readBaseline(root, 'home-page'), png);
+  assert.deepStrictEqual(listBaselines(root).map(b => [b.name, b.width]), [['home-page', 2]]);
+  assert.strictEqual(readBaseline(root, 'missing'), null);
+  for (const bad of ['../escape', 'a/b', '', '.hidden', 'x'.repeat(81)]) assert.ok(!validBaselineName(bad), bad);
+  assert.throws(() => saveBaseline(root, '../escape', png), /Invalid baseline name/);
+  assert.ok(deleteBaseline(root, 'home-page'));
+  assert.deepStrictEqual(listBaselines(root), []);
+});
+
+test('screenshot_compare: sets the baseline, then fails on a change, and approval moves it', async () => {
+  const root = fs.mkdtempSync(path.join(scratch, 'proj-'));
+  const broadcasts = [];
+  const tools = screenshotsMod.init({
+    broadcast: m => broadcasts.push(m), broadcastToWindow: () => {}, shells: new Map([['s1', { cwd: root }]]),
+    screenshots: new Map(), setScreenshot: () => {}, deleteScreenshot: () => {}, getScreenshotPath: () => null,
+    reloadClients: new Set(), displayTabs: new Map(),
+  });
+  const run = async (name, args) => {
+    const r = await tools[name].handler(args);
+    return { error: !!r.isError, text: r.content[0].text };
+  };
+  const file = (img) => {
+    const p = path.join(root, `shot-${Math.random().toString(36).slice(2)}.png`);
+    fs.writeFileSync(p, encodePng(img));
+    return p;
+  };
+
+  const first = await run('screenshot_compare', { name: 'card', image_path: file(image(8, 8)), session_id: 's1' });
+  assert.strictEqual(JSON.parse(first.text).baseline_created, true);
+
+  const same = JSON.parse((await run('screenshot_compare', { name: 'card', image_path: file(image(8, 8)), session_id: 's1' })).text);
+  assert.strictEqual(same.passed, true);
+  assert.strictEqual(same.mismatch_percent, 0);
+
+  const changed = image(8, 8);
+  for (let x = 0; x < 8; x++) setPixel(changed, x, 0, [255, 0, 0, 255]);
+  const out = JSON.parse((await run('screenshot_compare', { name: 'card', image_path: file(changed), session_id: 's1', max_mismatch_percent: 5 })).text);
+  assert.strictEqual(out.passed, false);
+  assert.strictEqual(out.mismatch_percent, 12.5);
+  assert.strictEqual(decodePng(fs.readFileSync(out.diff_path)).width, 8);
+  assert.ok(broadcasts.some(m => m.type === 'screenshot-comparison' && m.record.id === out.comparison_id));
+
+  const approved = await run('screenshot_baseline_save', { comparison_id: out.comparison_id });
+  assert.ok(!approved.error, approved.text);
+  assert.strictEqual(decodePng(readBaseline(root, 'card')).data[0], 255);
+  assert.strictEqual(decodePng(readBaseline(root, 'card')).data[1], 0, 'the changed image is now the baseline');
+
+  assert.match((await run('screenshot_compare', { name: 'card', session_id: 's1' })).text, /exactly one image source/);
+  assert.match((await run('screenshot_compare', { name: 'card', selector: '#x', session_id: 's1' })).text, /No deepsteve browser window/);
+  assert.match((await run('screenshot_compare', { name: 'card', image_path: file(image(1, 1)) })).text, /project/);
+  const listed = JSON.parse((await run('screenshot_baseline_list', { project: root })).text);
+  assert.deepStrictEqual(listed.map(b => b.name), ['card']);
+});
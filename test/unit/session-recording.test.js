@@ -0,0 +1,235 @@
+// Session recordings: the writer (session-recording.js) and the replay timeline
+// (public/js/asciicast.js) that reads what it wrote.
+//
+// Real files in a temp dir and a fake clock whose timer never fires, so every event
+// time is exact and nothing waits on the 250ms flush. asciicast.js is a DOM-free ES
+// module and is imported as-is.
+//
+// Run: node --test test/unit/session-recording.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  recordingFile, readCastHeader, createRecorder, listRecordings, pruneRecordings,
+} = require('../../session-recording');
+
+const castModule = import('../../public/js/asciicast.js');
+
+const dirs = [];
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-rec-'));
+  dirs.push(dir);
+  return dir;
+}
+after(() => { for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true }); });
+
+// now() in ms, advanced by hand. The flush timer never fires: a test that wants the
+// file written calls flush() or close() itself.
+function clock(startMs) {
+  let t = startMs;
+  return {
+    now: () => t,
+    advance: (ms) => { t += ms; },
+    setTimer: () => ({ unref() {} }),
+    clearTimer: () => {},
+  };
+}
+
+function lines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+}
+
+test('recordingFile refuses ids that could leave the directory', () => {
+  assert.strictEqual(recordingFile('/r', 'abc123'), path.join('/r', 'abc123.cast'));
+  assert.strictEqual(recordingFile('/r', '../x'), null);
+  assert.strictEqual(recordingFile('/r', ''), null);
+  assert.strictEqual(recordingFile('/r', undefined), null);
+});
+
+test('a recording is an asciicast v2 header then timed output, resize and marker events', () => {
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  const c = clock(1_700_000_000_500);
+  const rec = createRecorder({ file, cols: 120, rows: 40, title: 'my tab', meta: { agentType: 'claude' }, ...c });
+  c.advance(1500);
+  rec.output('hello\r\n');
+  c.advance(250);
+  rec.resize(100, 30);
+  rec.marker('prompt:   fix\nthe bug');
+  rec.close();
+
+  const [header, ...events] = lines(file);
+  assert.deepStrictEqual(header, {
+    version: 2, width: 120, height: 40, timestamp: 1_700_000_000,
+    env: { TERM: 'xterm-256color' }, agentType: 'claude', title: 'my tab',
+  });
+  // t is relative to the header's whole-second timestamp, not to the first write.
+  assert.deepStrictEqual(events, [
+    [2, 'o', 'hello\r\n'],
+    [2.25, 'r', '100x30'],
+    [2.25, 'm', 'prompt: fix the bug'],
+  ]);
+  assert.strictEqual((fs.statSync(file).mode & 0o777).toString(8), '600');
+});
+
+test('nothing reaches the file until a flush; close() flushes', () => {
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  const c = clock(1_000_000);
+  const rec = createRecorder({ file, cols: 80, rows: 24, ...c });
+  rec.output('x');
+  assert.strictEqual(lines(file).length, 1, 'only the header so far');
+  rec.flush();
+  assert.strictEqual(lines(file).length, 2);
+  rec.output('y');
+  rec.close();
+  assert.strictEqual(lines(file).length, 3);
+  rec.output('after close');
+  assert.strictEqual(lines(file).length, 3);
+});
+
+test('re-opening a recording continues its clock and marks the restart', () => {
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  const c = clock(10_000);
+  const first = createRecorder({ file, cols: 80, rows: 24, ...c });
+  first.output('before');
+  first.close();
+
+  c.advance(60_000);
+  const second = createRecorder({ file, cols: 100, rows: 30, ...c });
+  second.output('after');
+  second.close();
+
+  const [header, ...events] = lines(file);
+  assert.strictEqual(header.width, 80, 'the header is not rewritten');
+  assert.deepStrictEqual(events, [
+    [0, 'o', 'before'],
+    [60, 'm', 'deepsteve restarted'],
+    [60, 'o', 'after'],
+  ]);
+});
+
+test('a file without a valid header is started over, not appended to', () => {
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  fs.writeFileSync(file, 'garbage\n[1, "o", "x"]\n');
+  const rec = createRecorder({ file, cols: 80, rows: 24, ...clock(5000) });
+  rec.close();
+  const all = lines(file);
+  assert.strictEqual(all.length, 1);
+  assert.strictEqual(all[0].version, 2);
+});
+
+test('the size cap ends a recording with a marker saying so', () => {
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  const rec = createRecorder({ file, cols: 80, rows: 24, maxBytes: 400, ...clock(5000) });
+  for (let i = 0; i < 20; i++) rec.output('0123456789'.repeat(3));
+  rec.close();
+  assert.strictEqual(rec.stopped, true);
+  const events = lines(file).slice(1);
+  assert.deepStrictEqual(events[events.length - 1].slice(1), ['m', 'recording stopped: size limit']);
+  assert.ok(fs.statSync(file).size < 500);
+});
+
+test('listRecordings reads headers, newest first, and skips what is not a recording', () => {
+  const dir = tmpDir();
+  const c = clock(1_000_000_000);
+  createRecorder({ file: recordingFile(dir, 'old'), cols: 80, rows: 24, title: 'Old', meta: { cwd: '/src' }, ...c }).close();
+  createRecorder({ file: recordingFile(dir, 'new'), cols: 80, rows: 24, title: 'New', ...c }).close();
+  fs.utimesSync(recordingFile(dir, 'old'), 1000, 1000);
+  fs.writeFileSync(path.join(dir, 'junk.cast'), 'not json');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'x');
+
+  const list = listRecordings(dir);
+  assert.deepStrictEqual(list.map(r => r.id), ['new', 'old']);
+  assert.strictEqual(list[1].title, 'Old');
+  assert.strictEqual(list[1].cwd, '/src');
+  assert.strictEqual(list[1].startedAt, 1_000_000_000);
+  assert.strictEqual(readCastHeader(path.join(dir, 'junk.cast')), null);
+  assert.deepStrictEqual(listRecordings(path.join(dir, 'missing')), []);
+});
+
+test('pruneRecordings: age first, then oldest until under budget, never an active one', () => {
+  const dir = tmpDir();
+  const day = 24 * 60 * 60 * 1000;
+  const now = 100 * day;
+  const make = (id, ageDays, size) => {
+    const file = path.join(dir, `${id}.cast`);
+    fs.writeFileSync(file, JSON.stringify({ version: 2, width: 80, height: 24, timestamp: 1 }) + '\n' + 'x'.repeat(size));
+    const t = (now - ageDays * day) / 1000;
+    fs.utimesSync(file, t, t);
+  };
+  make('ancient', 30, 10);
+  make('ancient-live', 30, 10);
+  make('older', 3, 1000);
+  make('old', 2, 1000);
+  make('new', 1, 1000);
+
+  const removed = pruneRecordings(dir, { maxAgeDays: 14, maxTotalBytes: 2300, active: new Set(['ancient-live']), now });
+  assert.deepStrictEqual(removed.sort(), ['ancient', 'older']);
+  assert.deepStrictEqual(listRecordings(dir).map(r => r.id).sort(), ['ancient-live', 'new', 'old']);
+});
+
+// ── the replay side ──────────────────────────────────────────────────
+
+test('parseCast reads what the recorder wrote, dropping a torn last line', async () => {
+  const { parseCast } = await castModule;
+  const dir = tmpDir();
+  const file = recordingFile(dir, 'abc');
+  const c = clock(0);
+  const rec = createRecorder({ file, cols: 80, rows: 24, ...c });
+  c.advance(1000);
+  rec.output('a');
+  c.advance(1000);
+  rec.marker('working');
+  rec.close();
+  const text = fs.readFileSync(file, 'utf8') + '[3.5, "o", "tor';
+
+  const cast = parseCast(text);
+  assert.strictEqual(cast.header.width, 80);
+  assert.deepStrictEqual(cast.events, [{ t: 1, code: 'o', data: 'a' }, { t: 2, code: 'm', data: 'working' }]);
+  assert.strictEqual(cast.duration, 2);
+  assert.throws(() => parseCast('{"version":1}'), /v2/);
+  assert.throws(() => parseCast('nope'), /Not an asciicast/);
+});
+
+test('compressIdle caps every gap and moves markers with their events', async () => {
+  const { compressIdle, markersOf } = await castModule;
+  const events = [
+    { t: 1, code: 'o', data: 'a' },
+    { t: 601, code: 'm', data: 'waiting for input' },
+    { t: 602, code: 'o', data: 'b' },
+    { t: 1000, code: 'o', data: 'c' },
+  ];
+  const out = compressIdle(events, 2);
+  assert.deepStrictEqual(out.map(e => e.t), [1, 3, 4, 6]);
+  assert.deepStrictEqual(markersOf(out), [{ t: 3, label: 'waiting for input' }]);
+  assert.strictEqual(compressIdle(events, 0), events);
+});
+
+test('seekPlan joins output up to t and keeps resizes in order', async () => {
+  const { seekPlan } = await castModule;
+  const events = [
+    { t: 0.5, code: 'o', data: 'a' },
+    { t: 1, code: 'o', data: 'b' },
+    { t: 1, code: 'm', data: 'prompt submitted' },
+    { t: 2, code: 'r', data: '100x30' },
+    { t: 3, code: 'o', data: 'c' },
+    { t: 4, code: 'o', data: 'd' },
+  ];
+  assert.deepStrictEqual(seekPlan(events, 3), { steps: ['ab', { cols: 100, rows: 30 }, 'c'], index: 5 });
+  assert.deepStrictEqual(seekPlan(events, 0), { steps: [], index: 0 });
+  assert.deepStrictEqual(seekPlan(events, 99).index, events.length);
+});
+
+test('formatClock', async () => {
+  const { formatClock } = await castModule;
+  assert.strictEqual(formatClock(0), '0:00');
+  assert.strictEqual(formatClock(75.4), '1:15');
+  assert.strictEqual(formatClock(3725), '1:02:05');
+});
@@ -0,0 +1,181 @@
+// Read-only share links: the link store (share-links.js) and the guard that is the only
+// thing accepting a link's token (security.js verifyShareWsClient).
+//
+// The property that matters most is the negative one: a share token opens the share
+// socket and nothing else, and the install token does not open the share socket.
+//
+// Run: node --test test/unit/share-links.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// stateDir() is read when security.js loads, so DEEPSTEVE_HOME must be set first or the
+// test writes an auth-token into the real ~/.deepsteve.
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-share-'));
+const prevHome = process.env.DEEPSTEVE_HOME;
+process.env.DEEPSTEVE_HOME = scratch;
+const { createSecurity } = require('../../security');
+const {
+  createShareLinks, shareTokenFromProtocols, clampTtlMinutes,
+  SHARE_PROTOCOL, DEFAULT_TTL_MINUTES, MAX_TTL_MINUTES,
+} = require('../../share-links');
+
+after(() => {
+  if (prevHome === undefined) delete process.env.DEEPSTEVE_HOME;
+  else process.env.DEEPSTEVE_HOME = prevHome;
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+let n = 0;
+function store(now) {
+  const file = path.join(scratch, `links-${++n}.json`);
+  let t = now;
+  const links = createShareLinks({ file, now: () => t });
+  return { links, file, advance: (ms) => { t += ms; }, reopen: () => createShareLinks({ file, now: () => t }) };
+}
+
+test('a minted token resolves to its grant; anything else resolves to null', () => {
+  const { links } = store(1_000_000);
+  const { grant, token } = links.mint('abc123', { minutes: 30, label: '  demo\nrun ' });
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.deepStrictEqual(links.resolve(token), grant);
+  assert.strictEqual(grant.sessionId, 'abc123');
+  assert.strictEqual(grant.label, 'demo run');
+  assert.strictEqual(grant.expiresAt, 1_000_000 + 30 * 60 * 1000);
+  assert.strictEqual(grant.tokenHash, undefined, 'the hash never leaves the store');
+  assert.strictEqual(links.resolve('f'.repeat(64)), null);
+  assert.strictEqual(links.resolve(''), null);
+  assert.strictEqual(links.resolve(null), null);
+});
+
+test('links expire, and expire() reports which', () => {
+  const { links, advance } = store(0);
+  const short = links.mint('a', { minutes: 5 });
+  const long = links.mint('b', { minutes: 60 });
+  advance(5 * 60 * 1000);
+  assert.strictEqual(links.resolve(short.token), null, 'dead at its expiry, before any sweep');
+  assert.deepStrictEqual(links.expire(), [short.grant.id]);
+  assert.deepStrictEqual(links.list().map(l => l.id), [long.grant.id]);
+});
+
+test('revoke and revokeSession', () => {
+  const { links } = store(0);
+  const a1 = links.mint('a');
+  const a2 = links.mint('a');
+  const b = links.mint('b');
+  assert.strictEqual(links.revoke(b.grant.id).id, b.grant.id);
+  assert.strictEqual(links.revoke(b.grant.id), null);
+  assert.strictEqual(links.resolve(b.token), null);
+  assert.deepStrictEqual(links.revokeSession('a').sort(), [a1.grant.id, a2.grant.id].sort());
+  assert.strictEqual(links.resolve(a1.token), null);
+  assert.deepStrictEqual(links.list(), []);
+});
+
+test('links persist as hashes only, and survive a reopen', () => {
+  const { links, file, reopen, advance } = store(0);
+  const kept = links.mint('a', { minutes: 60 });
+  const lapsed = links.mint('b', { minutes: 5 });
+  const raw = fs.readFileSync(file, 'utf8');
+  assert.ok(!raw.includes(kept.token), 'the raw token is never written');
+  assert.strictEqual((fs.statSync(file).mode & 0o777).toString(8), '600');
+
+  advance(10 * 60 * 1000);
+  const again = reopen();
+  assert.deepStrictEqual(again.resolve(kept.token), kept.grant);
+  assert.strictEqual(again.resolve(lapsed.token), null);
+});
+
+test('viewers are listed under their link until they leave', () => {
+  const { links } = store(5000);
+  const { grant } = links.mint('a');
+  const v = links.addViewer(grant, { address: '192.168.1.20', userAgent: 'Firefox' });
+  const [listed] = links.list();
+  assert.deepStrictEqual(listed.viewers, [v]);
+  assert.strictEqual(v.connectedAt, 5000);
+  links.removeViewer(v.id);
+  assert.deepStrictEqual(links.list()[0].viewers, []);
+});
+
+test('clampTtlMinutes', () => {
+  assert.strictEqual(clampTtlMinutes(undefined), DEFAULT_TTL_MINUTES);
+  assert.strictEqual(clampTtlMinutes('abc'), DEFAULT_TTL_MINUTES);
+  assert.strictEqual(clampTtlMinutes(-3), DEFAULT_TTL_MINUTES);
+  assert.strictEqual(clampTtlMinutes(1), 5);
+  assert.strictEqual(clampTtlMinutes(90.4), 90);
+  assert.strictEqual(clampTtlMinutes(1e9), MAX_TTL_MINUTES);
+});
+
+test('the token is read from the subprotocol header, and only in the expected shape', () => {
+  const token = 'a'.repeat(64);
+  assert.strictEqual(shareTokenFromProtocols(`${SHARE_PROTOCOL}, ${token}`), token);
+  assert.strictEqual(shareTokenFromProtocols(`${SHARE_PROTOCOL},${token}`), token);
+  assert.strictEqual(shareTokenFromProtocols(`other, ${token}`), null);
+  assert.strictEqual(shareTokenFromProtocols(`${SHARE_PROTOCOL}, ${token}x`), null);
+  assert.strictEqual(shareTokenFromProtocols(SHARE_PROTOCOL), null);
+  assert.strictEqual(shareTokenFromProtocols(undefined), null);
+});
+
+// ── the guards ───────────────────────────────────────────────────────
+
+const security = createSecurity({
+  port: 3000, httpsPort: 3443, httpsEnabled: false,
+  getLanAddresses: () => ['localhost', '127.0.0.1'],
+  log: () => {},
+});
+
+function upgrade(verify, headers) {
+  const req = { headers: { host: '192.168.1.5:3000', ...headers } };
+  let result;
+  verify({ req, origin: headers.origin }, (ok, code) => { result = { ok, code }; });
+  return { ...result, req };
+}
+
+test('the share socket takes a live link from any host, with no Origin or cookie', () => {
+  const { links } = store(Date.now());
+  const { grant, token } = links.mint('abc');
+  const verify = security.verifyShareWsClient(req => links.resolve(shareTokenFromProtocols(req.headers['sec-websocket-protocol'])));
+
+  const ok = upgrade(verify, { 'sec-websocket-protocol': `${SHARE_PROTOCOL}, ${token}` });
+  assert.strictEqual(ok.ok, true);
+  assert.deepStrictEqual(ok.req.shareGrant, grant, 'the connection handler gets the grant');
+
+  links.revoke(grant.id);
+  assert.deepStrictEqual(upgrade(verify, { 'sec-websocket-protocol': `${SHARE_PROTOCOL}, ${token}` }).code, 401);
+});
+
+test('the install token does not open the share socket', () => {
+  const { links } = store(Date.now());
+  const verify = security.verifyShareWsClient(req => links.resolve(shareTokenFromProtocols(req.headers['sec-websocket-protocol'])));
+  const r = upgrade(verify, {
+    'sec-websocket-protocol': `${SHARE_PROTOCOL}, ${security.token}`,
+    authorization: `Bearer ${security.token}`,
+    cookie: `ds_auth=${security.token}`,
+  });
+  assert.strictEqual(r.ok, false);
+  assert.strictEqual(r.code, 401);
+});
+
+test('a share token opens neither the app socket nor the HTTP API', () => {
+  const { links } = store(Date.now());
+  const { token } = links.mint('abc');
+
+  const ws = upgrade(security.verifyWsClient, {
+    host: 'localhost:3000', origin: 'http://localhost:3000',
+    'sec-websocket-protocol': `${SHARE_PROTOCOL}, ${token}`,
+    authorization: `Bearer ${token}`, cookie: `ds_auth=${token}`,
+  });
+  assert.strictEqual(ws.ok, false);
+
+  let status = null;
+  let nexted = false;
+  const res = {
+    status(code) { status = code; return this; },
+    type() { return this; },
+    send() { return this; },
+  };
+  security.authGate({ method: 'POST', url: '/mcp', headers: { authorization: `Bearer ${token}` } }, res, () => { nexted = true; });
+  assert.strictEqual(nexted, false);
+  assert.strictEqual(status, 401);
+});
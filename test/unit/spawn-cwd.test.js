@@ -98,7 +98,7 @@ describe('the enforcement-point invariant', () => {
     const fn = src.indexOf('function spawnSession(');
     assert.ok(fn !== -1, 'found spawnSession');
     const check = src.indexOf('assertSpawnCwd(cwd)', fn);
-    const spawn = src.indexOf('eng.spawn(id, LOGIN_SHELL.path', fn);
+    const spawn = src.indexOf('eng.spawn(id, shell.path', fn);
     assert.ok(check !== -1, 'spawnSession must call assertSpawnCwd(cwd) (#632)');
     assert.ok(spawn !== -1, 'found the engine spawn call');
     assert.ok(check < spawn,
@@ -0,0 +1,296 @@
+// SshEngine (engines/ssh.js): the argv it hands ssh, and what it does when the
+// attach client dies.
+//
+// No sshd and no tmux: the engine takes an injected `exec` (every ssh round trip —
+// connect, new-session, has-session, kill) and an injected `spawnPty` (the attach
+// client), exactly as tmux-spawn-args.test.js drives TmuxEngine. `exec` here is a
+// tiny fake host: it answers by looking at the remote script, and a test can make a
+// verb fail with a given exit status — which is the whole protocol, since ssh's 255
+// ("I could not reach it") and tmux's 1 ("no such session") are how the engine tells
+// a dropped network from a finished agent.
+//
+// Run: node --test test/unit/ssh-engine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const SshEngine = require('../../engines/ssh');
+const { parseRemotePath, isRemotePath, formatRemotePath } = require('../../remote-path');
+
+const CONTROL_DIR = '/tmp/ds-fake/ssh';
+
+function fail(status, stderr = '') {
+  const e = new Error(`Command failed (status ${status})`);
+  e.status = status;
+  e.stderr = stderr;
+  return e;
+}
+
+/** The script inside `/bin/sh -c '…'`, unquoted, so assertions read like the script does. */
+function unwrapSh(line) {
+  const m = /^\/bin\/sh -c '([\s\S]*)'$/.exec(line);
+  return m ? m[1].split("'\\''").join("'") : line;
+}
+
+/**
+ * `failures` maps a substring of the remote script to the status that call exits
+ * with (a function may return one, to change its answer over time). `version` is what
+ * `tmux -V` prints there.
+ */
+function makeEngine({ version = '3.4', failures = {}, env = { PATH: '/usr/bin' } } = {}) {
+  const calls = [];
+  const exec = (file, argv, opts) => {
+    const script = unwrapSh(argv[argv.length - 1]);
+    calls.push({ file, argv, script, opts });
+    for (const [needle, status] of Object.entries(failures)) {
+      const s = typeof status === 'function' ? status() : status;
+      if (s != null && script.includes(needle)) throw fail(s, `boom: ${needle}`);
+    }
+    if (script.includes(' -V')) return `/bin/zsh\n/home/me\ntmux ${version}\n`;
+    if (script.includes('display-message')) return '777\n';
+    if (script.includes('list-sessions')) return 'ds-aaa\nds-bbb\nmine\n';
+    return '';
+  };
+  const ptys = [];
+  const spawnPty = (file, argv, opts) => {
+    const pty = {
+      file, argv, opts, killed: false, written: [],
+      onData(cb) { pty.dataCb = cb; },
+      onExit(cb) { pty.exitCb = cb; },
+      write(d) { pty.written.push(d); },
+      resize(c, r) { pty.size = [c, r]; },
+      kill() { pty.killed = true; },
+      pid: 4242,
+    };
+    ptys.push(pty);
+    return pty;
+  };
+  const timers = [];
+  const setTimer = (fn, ms) => { const t = { fn, ms }; timers.push(t); return t; };
+  const clearTimer = (t) => { t.cleared = true; };
+  let clock = 1000;
+  const eng = new SshEngine({
+    host: 'me@build', controlDir: CONTROL_DIR, forwardPort: 3000, env,
+    exec, spawnPty, setTimer, clearTimer, now: () => clock,
+  });
+  return { eng, calls, ptys, timers, tick: (ms) => { clock += ms; } };
+}
+
+// ── remote-path.js ────────────────────────────────────────────────────
+
+test('parseRemotePath reads the scp spelling, user@ and IPv6 included', () => {
+  assert.deepStrictEqual(parseRemotePath('build:/srv/repo'), { host: 'build', path: '/srv/repo' });
+  assert.deepStrictEqual(parseRemotePath('me@build.lan:/srv/repo/'), { host: 'me@build.lan', path: '/srv/repo' });
+  assert.deepStrictEqual(parseRemotePath('[fd00::7]:/srv//repo/./x'), { host: '[fd00::7]', path: '/srv/repo/x' });
+  assert.deepStrictEqual(parseRemotePath('build:/'), { host: 'build', path: '/' });
+  assert.strictEqual(formatRemotePath('build', '/srv/repo'), 'build:/srv/repo');
+});
+
+test('parseRemotePath refuses local paths, relative remote paths, drives and option-shaped hosts', () => {
+  for (const p of ['/srv/repo', '~/repo', 'build:repo', 'build:~/repo', 'C:/Users/me', '-oProxyCommand=x:/tmp', '', null, 42]) {
+    assert.strictEqual(parseRemotePath(p), null, `${JSON.stringify(p)} is not a remote path`);
+    assert.strictEqual(isRemotePath(p), false);
+  }
+});
+
+// ── the ssh argv ──────────────────────────────────────────────────────
+
+test('every round trip is one ControlMaster channel running /bin/sh -c on the host', () => {
+  const { eng, calls } = makeEngine();
+  assert.strictEqual(eng.connect(), true);
+  const { file, argv } = calls[0];
+  assert.strictEqual(file, 'ssh');
+  for (const opt of ['BatchMode=yes', 'ControlMaster=auto', `ControlPath=${CONTROL_DIR}/%C`, 'ControlPersist=10m']) {
+    assert.ok(argv.includes(opt), `missing -o ${opt}`);
+  }
+  const dash = argv.indexOf('--');
+  assert.ok(dash > 0, 'the host must follow `--`, so it can never be read as an option');
+  assert.strictEqual(argv[dash + 1], 'me@build');
+  assert.match(argv[dash + 2], /^\/bin\/sh -c '/, 'scripts run under sh whatever the login shell is');
+});
+
+test('connect() learns version, shell and home once, and forwards the API port', () => {
+  const { eng, calls } = makeEngine({ version: 'next-3.5' });
+  assert.strictEqual(eng.connect(), true);
+  assert.strictEqual(eng.version, '3.5');
+  assert.strictEqual(eng.loginShell, '/bin/zsh');
+  assert.strictEqual(eng.home, '/home/me');
+  const fwd = calls.find(c => c.argv.includes('-O'));
+  assert.ok(fwd, 'the reverse forward is added to the master');
+  assert.deepStrictEqual(fwd.argv.slice(fwd.argv.indexOf('-O'), fwd.argv.indexOf('-O') + 4),
+    ['-O', 'forward', '-R', '3000:127.0.0.1:3000']);
+  const n = calls.length;
+  eng.connect();
+  assert.strictEqual(calls.length, n, 'success is cached');
+});
+
+test('connect() failure is reported and NOT cached', () => {
+  let status = 255;
+  const { eng } = makeEngine({ failures: { ' -V': () => status } });
+  assert.strictEqual(eng.connect(), false);
+  assert.match(eng.unavailableReason, /boom/);
+  status = 127;
+  assert.strictEqual(eng.connect(), false);
+  assert.match(eng.unavailableReason, /no "tmux" on me@build/);
+  status = null;
+  assert.strictEqual(eng.connect(), true, 'a host that comes back is retried');
+  assert.strictEqual(eng.unavailableReason, null);
+});
+
+test('the constructor refuses a host ssh would read as an option', () => {
+  assert.throws(() => new SshEngine({ host: '-oProxyCommand=touch /tmp/x' }), TypeError);
+  assert.throws(() => new SshEngine({ host: '' }), TypeError);
+});
+
+// ── spawn ─────────────────────────────────────────────────────────────
+
+test('spawn() guards the cwd, adopts, creates with -e and the pane argv, then attaches', () => {
+  const { eng, calls, ptys } = makeEngine({ env: { PATH: '/usr/bin', HOME: '/Users/me' } });
+  eng.spawn('abc', '/bin/zsh', ['-l', '-c', 'claude'], '/srv/repo', {
+    cols: 100, rows: 30, shellCommand: undefined,
+    env: { PATH: '/usr/bin', HOME: '/Users/me', DEEPSTEVE_SESSION_ID: 'abc' },
+  });
+  const create = calls.find(c => c.script.includes('new-session'));
+  assert.ok(create);
+  assert.match(create.script, /test -d '?\/srv\/repo'? \|\| exit 66;/);
+  assert.match(create.script, /has-session' '-t' 'ds-abc' 2>\/dev\/null && exit 67;/);
+  assert.match(create.script, /'-c' '\/srv\/repo'/);
+  assert.match(create.script, /'-e' 'DEEPSTEVE_SESSION_ID=abc'/);
+  assert.doesNotMatch(create.script, /HOME=|PATH=/, "the daemon's PATH/HOME mean nothing on the host");
+  assert.match(create.script, /'\/bin\/zsh' '-l' '-c' 'claude'/, 'the pane argv, one element per argument');
+
+  assert.strictEqual(ptys.length, 1);
+  const { file, argv } = ptys[0];
+  assert.strictEqual(file, 'ssh');
+  const dash = argv.indexOf('--');
+  assert.strictEqual(argv[dash - 1], '-tt');
+  assert.strictEqual(argv[dash + 1], 'me@build');
+  assert.strictEqual(argv[dash + 2], "'tmux' '-L' 'deepsteve' '-u' '-T' 'RGB,256' 'attach-session' '-t' 'ds-abc'");
+  assert.ok(eng.has('abc'));
+});
+
+test('spawn() sends the API token on stdin to a 0600 file the pane sources, never in an argv', () => {
+  const { eng, calls, ptys } = makeEngine();
+  eng.spawn('abc', '/bin/zsh', ['-l', '-c', 'claude'], '/srv/repo', {
+    env: { DEEPSTEVE_SESSION_ID: 'abc', DEEPSTEVE_API_TOKEN: "t0k'en" },
+  });
+  for (const c of calls) assert.ok(!c.argv.join(' ').includes('t0k'), 'no ssh argv carries the token');
+  assert.ok(!ptys[0].argv.join(' ').includes('t0k'));
+
+  const create = calls.find(c => c.script.includes('new-session'));
+  assert.strictEqual(create.opts.input, "export DEEPSTEVE_API_TOKEN='t0k'\\''en'\n");
+  assert.match(create.script, /\(umask 077 && mkdir -p "\$HOME\/\.deepsteve\/session-env" && cat > "\$HOME\/\.deepsteve\/session-env\/"'ds-abc\.sh'\) \|\| exit 1; 'tmux'/,
+    'written in the create round trip, after the adopt check');
+  assert.match(create.script, /'-e' 'DEEPSTEVE_SESSION_ID=abc'/);
+  assert.match(create.script, /'\/bin\/sh' '-c' 'f="\$HOME\/\.deepsteve\/session-env\/\$1"; shift; \. "\$f"; rm -f "\$f"; exec "\$@"' 'sh' 'ds-abc\.sh' '\/bin\/zsh' '-l' '-c' 'claude'/,
+    'the pane sources and deletes it, then execs the real argv');
+});
+
+test('spawn() on a missing remote cwd throws the #632 error shape, naming host:path', () => {
+  const { eng, ptys } = makeEngine({ failures: { 'new-session': 66 } });
+  assert.throws(() => eng.spawn('abc', '/bin/sh', ['-l'], '/gone', {}),
+    (e) => e.code === 'cwd-missing' && e.cwd === 'me@build:/gone');
+  assert.strictEqual(ptys.length, 0);
+});
+
+test('spawn() adopts a ds-{id} that is already running instead of failing', () => {
+  const { eng, ptys } = makeEngine({ failures: { 'new-session': 67 } });
+  const adopted = [];
+  eng.on('adopt', id => adopted.push(id));
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv/repo', {});
+  assert.deepStrictEqual(adopted, ['abc']);
+  assert.strictEqual(ptys.length, 1);
+});
+
+test('spawn() refuses a shell-command string (#630)', () => {
+  const { eng } = makeEngine();
+  assert.throws(() => eng.spawn('abc', 'sh', [], '/srv', { shellCommand: 'claude' }), TypeError);
+});
+
+// ── attach death: alive, gone, unreachable ────────────────────────────
+
+test('an attach that dies while the pane lives is silently re-attached', () => {
+  const { eng, ptys } = makeEngine();
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  const exits = [];
+  eng.on('exit', id => exits.push(id));
+  ptys[0].exitCb({ exitCode: 0 });
+  assert.strictEqual(ptys.length, 2);
+  assert.deepStrictEqual(exits, []);
+  assert.ok(eng.has('abc'));
+});
+
+test('an attach that dies because the session is gone is an exit', () => {
+  const { eng, ptys } = makeEngine({ failures: { 'has-session': () => (ptys.length ? 1 : null) } });
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  const exits = [];
+  eng.onExit('abc', ({ exitCode }) => exits.push(exitCode));
+  ptys[0].exitCb({ exitCode: 0 });
+  assert.deepStrictEqual(exits, [0]);
+  assert.strictEqual(eng.has('abc'), false);
+});
+
+test('an unreachable host waits through RECONNECT_DELAYS_MS before reporting an exit', () => {
+  let status = null;
+  const { eng, ptys, timers } = makeEngine({ failures: { 'has-session': () => status } });
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  const exits = [];
+  const reconnecting = [];
+  eng.on('exit', id => exits.push(id));
+  eng.on('reconnecting', (id, n, delay) => reconnecting.push(delay));
+
+  status = 255;
+  ptys[0].exitCb({ exitCode: 255 });
+  assert.deepStrictEqual(exits, [], 'unknown is not dead');
+  assert.ok(eng.has('abc'));
+  for (let i = 0; i < SshEngine.RECONNECT_DELAYS_MS.length; i++) timers[i].fn();
+  assert.deepStrictEqual(reconnecting, SshEngine.RECONNECT_DELAYS_MS);
+  assert.deepStrictEqual(exits, ['abc'], 'only once the schedule is spent');
+});
+
+test('a host that comes back within the schedule is re-attached', () => {
+  let status = null;
+  const { eng, ptys, timers } = makeEngine({ failures: { 'has-session': () => status } });
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  status = 255;
+  ptys[0].exitCb({ exitCode: 255 });
+  timers[0].fn();
+  status = null;
+  timers[1].fn();
+  assert.strictEqual(ptys.length, 2, 'a fresh attach client');
+  assert.ok(eng.has('abc'));
+});
+
+test('detach() releases the client, cancels a pending reconnect and reports no exit', () => {
+  let status = null;
+  const { eng, ptys, timers, calls } = makeEngine({ failures: { 'has-session': () => status } });
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  status = 255;
+  ptys[0].exitCb({ exitCode: 255 });
+  const exits = [];
+  eng.on('exit', id => exits.push(id));
+  assert.strictEqual(eng.detach('abc'), true);
+  assert.strictEqual(timers[0].cleared, true);
+  assert.strictEqual(eng.has('abc'), false);
+  assert.deepStrictEqual(exits, []);
+  assert.ok(!calls.some(c => c.script.includes('kill-session')), 'the remote session keeps running');
+});
+
+// ── pids and signals ──────────────────────────────────────────────────
+
+test('getPid() is null — a remote pid must never reach a local process.kill()', () => {
+  const { eng } = makeEngine();
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  assert.strictEqual(eng.getPid('abc'), null);
+});
+
+test('kill() signals the pane process group on the host', () => {
+  const { eng, calls } = makeEngine();
+  eng.spawn('abc', '/bin/sh', ['-l'], '/srv', {});
+  eng.kill('abc', 'SIGHUP');
+  assert.ok(calls.some(c => c.script === 'kill -s HUP -- -777'));
+});
+
+test('listSessions() returns only our ds-* sessions, without the prefix', () => {
+  const { eng } = makeEngine();
+  assert.deepStrictEqual(eng.listSessions(), ['aaa', 'bbb']);
+});
@@ -0,0 +1,135 @@
+// Server-side terminal screenshots: TerminalScreen#snapshot reads cells, colours and
+// attributes out of the headless emulator; terminal-render.js draws them as PNG (bitmap
+// font and box/block shapes) or SVG in the active theme; and the screenshots mod's
+// screenshot_terminal tool saves the picture with no browser connected.
+//
+// Run: node --test test/unit/terminal-render.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-termrender-'));
+process.env.DEEPSTEVE_HOME = path.join(scratch, 'state');
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const { TerminalScreen } = require('../../terminal-screen');
+const { renderTerminalPng, renderTerminalSvg, terminalTheme, cellColors } = require('../../terminal-render');
+const { decodePng } = require('../../png');
+const screenshotsMod = require('../../mods/screenshots/tools');
+
+async function snapshotOf(output, { cols = 20, rows = 4, scrollback } = {}) {
+  const screen = new TerminalScreen({ cols, rows });
+  screen.write(output);
+  const snap = await screen.snapshot({ scrollback });
+  screen.dispose();
+  return snap;
+}
+
+function pixel(img, x, y) {
+  const o = (y * img.width + x) * 4;
+  return [...img.data.subarray(o, o + 3)];
+}
+
+test('snapshot reads characters, colours and attributes cell by cell', async () => {
+  const snap = await snapshotOf('\x1b[1;31mA\x1b[0m\x1b[48;5;21mB\x1b[0m\x1b[38;2;1;2;3;4;7mC\x1b[0m漢x');
+  assert.strictEqual(snap.cols, 20);
+  assert.strictEqual(snap.rows, 4);
+  const [a, b, c, wide, half, x] = snap.lines[0];
+  assert.deepStrictEqual([a.chars, a.fg, a.bg, a.bold], ['A', 1, null, true]);
+  assert.deepStrictEqual([b.chars, b.fg, b.bg], ['B', null, 21]);
+  assert.deepStrictEqual([c.chars, c.fg, c.underline, c.inverse], ['C', { rgb: 0x010203 }, true, true]);
+  assert.deepStrictEqual([wide.chars, wide.width, half], ['漢', 2, null]);
+  assert.strictEqual(x.chars, 'x');
+});
+
+test('snapshot includes the asked-for rows of scrollback above the viewport', async () => {
+  const out = Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\r\n');
+  const viewport = await snapshotOf(out);
+  const withHistory = await snapshotOf(out, { scrollback: 3 });
+  const text = (snap) => snap.lines.map(cells => cells.map(c => (c ? c.chars || ' ' : '')).join('').trimEnd());
+  assert.deepStrictEqual(text(viewport), ['line 6', 'line 7', 'line 8', 'line 9']);
+  assert.deepStrictEqual(text(withHistory), ['line 3', 'line 4', 'line 5', 'line 6', 'line 7', 'line 8', 'line 9']);
+});
+
+test('the theme comes from the active CSS, with bold-is-bright, dim and inverse applied', () => {
+  const plain = terminalTheme(null);
+  assert.deepStrictEqual(plain.background, [0x0d, 0x11, 0x17]);
+  assert.deepStrictEqual(plain.foreground, [255, 255, 255]);
+  assert.strictEqual(plain.palette.length, 256);
+  assert.deepStrictEqual(plain.palette[196], [255, 0, 0]);
+  assert.deepStrictEqual(plain.palette[232], [8, 8, 8]);
+
+  const win95 = terminalTheme(':root {\n  --ds-bg-primary: #c0c0c0;\n  --ds-terminal-foreground: #000;\n}');
+  assert.deepStrictEqual([win95.background, win95.foreground], [[192, 192, 192], [0, 0, 0]]);
+
+  const cell = { fg: 1, bg: null, bold: true };
+  assert.deepStrictEqual(cellColors(cell, plain).fg, plain.palette[9]);
+  assert.deepStrictEqual(cellColors({ fg: null, bg: null, inverse: true }, win95), { fg: [192, 192, 192], bg: [0, 0, 0] });
+  assert.deepStrictEqual(cellColors({ fg: { rgb: 0xff0000 }, bg: null, dim: true }, win95).fg, [223.5, 96, 96]);
+});
+
+test('PNG: a 6×10 cell per character at scale 1, drawn in the cell\'s colours', async () => {
+  const snap = await snapshotOf('\x1b[41m \x1b[0m\x1b[32m|\x1b[0m─█', { cols: 6, rows: 2 });
+  const img = decodePng(renderTerminalPng(snap, { scale: 1 }));
+  assert.strictEqual(img.width, 36);
+  assert.strictEqual(img.height, 20);
+  assert.deepStrictEqual(pixel(img, 3, 5), [0xcc, 0, 0], 'a red background cell');
+  assert.deepStrictEqual(pixel(img, 6 + 2, 4), [0x4e, 0x9a, 0x06], 'the | glyph\'s stroke, in green');
+  assert.deepStrictEqual(pixel(img, 6 + 0, 4), [0x0d, 0x11, 0x17], 'beside it, the theme background');
+  assert.deepStrictEqual(pixel(img, 12 + 0, 5), [255, 255, 255], 'box drawing spans the whole cell');
+  assert.deepStrictEqual(pixel(img, 12 + 0, 2), [0x0d, 0x11, 0x17]);
+  assert.deepStrictEqual(pixel(img, 18 + 5, 9), [255, 255, 255], 'a full block fills it');
+  assert.deepStrictEqual(pixel(img, 30, 15), [0x0d, 0x11, 0x17]);
+
+  const big = decodePng(renderTerminalPng(snap));
+  assert.deepStrictEqual([big.width, big.height], [72, 40], 'scale 2 by default');
+  assert.throws(() => renderTerminalPng({ cols: 2000, lines: Array(1000).fill([]) }), /too large/);
+});
+
+test('SVG: text runs stretched to their cells, with escaped characters and backgrounds', async () => {
+  const snap = await snapshotOf('a<b & \x1b[1;44mc\x1b[0m 漢', { cols: 12, rows: 1 });
+  const svg = renderTerminalSvg(snap, { theme: terminalTheme('--ds-bg-primary: #101010;') });
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="101" height="17"/);
+  assert.match(svg, /<rect width="100%" height="100%" fill="#101010"\/>/);
+  assert.match(svg, /textLength="42" lengthAdjust="spacingAndGlyphs">a&lt;b &amp;<\/text>/, 'trailing blanks are not stretched');
+  assert.match(svg, /<rect x="50.4" y="0" width="8.4" height="16.8" fill="#3465a4"\/>/);
+  assert.match(svg, /fill="#ffffff" textLength="8.4" lengthAdjust="spacingAndGlyphs" font-weight="bold">c<\/text>/);
+  assert.match(svg, /textLength="16.8" lengthAdjust="spacingAndGlyphs">漢<\/text>/);
+});
+
+test('screenshot_terminal saves a PNG to the collection, or an SVG to a file, with no browser', async () => {
+  const screen = new TerminalScreen({ cols: 10, rows: 2 });
+  screen.write('$ make\r\nok');
+  const saved = [];
+  const broadcasts = [];
+  const tools = screenshotsMod.init({
+    broadcast: m => broadcasts.push(m), broadcastToWindow: () => {}, shells: new Map([['s1', { cwd: scratch, terminalScreen: screen }]]),
+    screenshots: new Map(), setScreenshot: (meta, buf) => saved.push({ meta, buf }), deleteScreenshot: () => {},
+    getScreenshotPath: id => path.join(scratch, `${id}.png`), reloadClients: new Set(), displayTabs: new Map(),
+    renderTerminalScreenshot: async (entry, { format, scale }) => {
+      const snap = await entry.terminalScreen.snapshot();
+      return format === 'svg' ? { body: renderTerminalSvg(snap), type: 'image/svg+xml' } : { body: renderTerminalPng(snap, { scale }), type: 'image/png' };
+    },
+  });
+  const run = async (args, extra) => (await tools.screenshot_terminal.handler(args, extra)).content[0].text;
+
+  const png = await run({ session_id: 's1', scale: 1 });
+  assert.match(png, /^Screenshot saved to .*\.png \(screenshot id \w+\)$/);
+  assert.strictEqual(saved[0].meta.source, 'terminal');
+  assert.strictEqual(saved[0].meta.sessionId, 's1');
+  assert.deepStrictEqual([decodePng(saved[0].buf).width, decodePng(saved[0].buf).height], [60, 20]);
+  assert.ok(broadcasts.some(m => m.type === 'screenshot-added'));
+
+  const svgPath = path.join(scratch, 'out', 'term.svg');
+  assert.strictEqual(await run({ format: 'svg', output_path: svgPath }, { requestInfo: { url: new URL('http://x/mcp?shellId=s1') } }), `Screenshot saved to ${svgPath}`);
+  assert.match(fs.readFileSync(svgPath, 'utf8'), />\$ make<\/text>/);
+  assert.strictEqual(saved.length, 1, 'SVGs are not put in the PNG collection');
+
+  assert.match(await run({ session_id: 'nope' }), /Session "nope" not found/);
+
+  const compared = await tools.screenshot_compare.handler({ name: 'prompt', terminal_session_id: 's1', project: scratch });
+  assert.strictEqual(JSON.parse(compared.content[0].text).baseline_created, true);
+  screen.dispose();
+});
@@ -0,0 +1,138 @@
+// Unit tests for transcript search: the server-side cache + scan (transcript-search.js)
+// and the palette's pure row helpers (public/js/transcript-search.js).
+//
+// The index is driven with an injected fs and a trivial parser, so these tests pin
+// the search semantics — AND of terms, phrases, newest-first, per-session cap,
+// mtime invalidation, eviction — without any transcript format in the way
+// (transcript-export.test.js covers parsing).
+//
+// Run: node --test test/unit/transcript-search.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseQuery, makeSnippet, createTranscriptIndex } = require('../../transcript-search');
+
+const loadClient = () => import('../../public/js/transcript-search.js');
+
+// A fake fs: file → { text, mtimeMs }. `reads` counts readFile calls per file.
+function fakeFs(files) {
+  const reads = new Map();
+  return {
+    reads,
+    fsp: {
+      stat: async (f) => {
+        if (!files[f]) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+        return { mtimeMs: files[f].mtimeMs, size: files[f].text.length };
+      },
+      readFile: async (f) => {
+        reads.set(f, (reads.get(f) || 0) + 1);
+        return files[f].text;
+      },
+    },
+  };
+}
+
+// One turn per line: "<role>|<iso timestamp>|<text>".
+const parse = (text) => text.split('\n').filter(Boolean).map((line) => {
+  const [role, timestamp, ...rest] = line.split('|');
+  return { type: 'message', role, timestamp, text: rest.join('|') };
+});
+
+const src = (file, ref = file) => ({ file, ref, agentType: 'claude' });
+
+test('parseQuery keeps quoted phrases whole and lowercases', () => {
+  assert.deepStrictEqual(parseQuery('Flaky "restore modal"  TEST'), ['flaky', 'restore modal', 'test']);
+  assert.deepStrictEqual(parseQuery('   '), []);
+});
+
+test('every term must appear in the same turn', async () => {
+  const { fsp } = fakeFs({
+    a: { mtimeMs: 1, text: 'user|2026-10-01T00:00:00Z|fix the flaky test\nassistant|2026-10-01T00:01:00Z|the restore modal is flaky' },
+  });
+  const idx = createTranscriptIndex({ parse, fsp });
+  const { results } = await idx.search([src('a')], 'flaky restore');
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].turn.role, 'assistant');
+  assert.strictEqual(results[0].turn.index, 1);
+  assert.strictEqual((await idx.search([src('a')], '"restore flaky"')).results.length, 0, 'a phrase is not two terms');
+});
+
+test('results are newest first across sessions, capped per session', async () => {
+  const many = Array.from({ length: 6 }, (_, i) => `user|2026-10-0${i + 1}T00:00:00Z|deploy step ${i}`).join('\n');
+  const { fsp } = fakeFs({
+    old: { mtimeMs: 1, text: many },
+    new: { mtimeMs: 1, text: 'assistant|2026-10-09T00:00:00Z|deploy finished' },
+  });
+  const idx = createTranscriptIndex({ parse, fsp });
+  const { results, searched } = await idx.search([src('old'), src('new')], 'deploy');
+  assert.strictEqual(searched, 2);
+  assert.deepStrictEqual(results.map(r => r.source.ref), ['new', 'old', 'old', 'old']);
+  assert.deepStrictEqual(results.slice(1).map(r => r.turn.index), [5, 4, 3], 'the latest mentions in a session win');
+  assert.strictEqual((await idx.search([src('old'), src('new')], 'deploy', { limit: 2 })).results.length, 2);
+});
+
+test('a transcript is parsed once and re-read only when it changes', async () => {
+  const files = { a: { mtimeMs: 1, text: 'user|2026-10-01T00:00:00Z|hello world' } };
+  const { fsp, reads } = fakeFs(files);
+  const idx = createTranscriptIndex({ parse, fsp });
+  await idx.search([src('a')], 'hello');
+  await idx.search([src('a')], 'world');
+  assert.strictEqual(reads.get('a'), 1);
+  files.a = { mtimeMs: 2, text: 'user|2026-10-01T00:00:00Z|hello world\nuser|2026-10-02T00:00:00Z|hello again' };
+  const { results } = await idx.search([src('a')], 'hello');
+  assert.strictEqual(reads.get('a'), 2);
+  assert.strictEqual(results.length, 2);
+});
+
+test('files that stop being sources are evicted; missing files are skipped', async () => {
+  const { fsp } = fakeFs({ a: { mtimeMs: 1, text: 'user|x|alpha' }, b: { mtimeMs: 1, text: 'user|x|alpha' } });
+  const idx = createTranscriptIndex({ parse, fsp });
+  await idx.search([src('a'), src('b'), src('gone')], 'alpha');
+  assert.strictEqual(idx.size(), 2);
+  await idx.search([src('a')], 'alpha');
+  assert.strictEqual(idx.size(), 1);
+});
+
+test('an oversized transcript is skipped, not read', async () => {
+  const { fsp, reads } = fakeFs({ big: { mtimeMs: 1, text: 'user|x|' + 'needle '.repeat(100) } });
+  const idx = createTranscriptIndex({ parse, fsp, maxBytes: 50 });
+  assert.strictEqual((await idx.search([src('big')], 'needle')).results.length, 0);
+  assert.strictEqual(reads.get('big'), undefined);
+});
+
+test('one- and two-character queries return nothing', async () => {
+  const { fsp, reads } = fakeFs({ a: { mtimeMs: 1, text: 'user|x|a b c' } });
+  const idx = createTranscriptIndex({ parse, fsp });
+  assert.deepStrictEqual(await idx.search([src('a')], 'a'), { results: [], searched: 0 });
+  assert.strictEqual(reads.size, 0);
+});
+
+test('the snippet windows the first hit and highlights every term inside it', () => {
+  const text = 'x'.repeat(300) + ' the Restore   modal\nis flaky ' + 'y'.repeat(300);
+  const turn = { text, lower: text.toLowerCase() };
+  const { snippet, highlights } = makeSnippet(turn, ['restore', 'flaky']);
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.ok(snippet.includes('the Restore modal is flaky'), 'whitespace is collapsed for display');
+  assert.deepStrictEqual(highlights.map(([s, e]) => snippet.slice(s, e)), ['Restore', 'flaky']);
+});
+
+test('client: snippet segments alternate plain and highlighted runs', async () => {
+  const { snippetSegments } = await loadClient();
+  assert.deepStrictEqual(snippetSegments('fix the flaky test', [[8, 13]]), [
+    { text: 'fix the ', hit: false }, { text: 'flaky', hit: true }, { text: ' test', hit: false },
+  ]);
+  assert.deepStrictEqual(snippetSegments('abc', [[2, 9], [1, 0]]), [{ text: 'abc', hit: false }],
+    'malformed ranges are ignored rather than thrown on');
+});
+
+test('client: row title and meta', async () => {
+  const { resultTitle, resultMeta } = await loadClient();
+  const r = {
+    ref: 'ab12cd34', source: 'closed', agentType: 'codex', project: 'deepsteve', worktree: 'fix-restore',
+    name: null, label: 'Fix the restore modal', turn: { role: 'user', timestamp: '2026-10-01T00:00:00Z' },
+  };
+  assert.strictEqual(resultTitle(r), 'Fix the restore modal');
+  assert.strictEqual(resultMeta(r, Date.parse('2026-10-04T00:00:00Z')), 'deepsteve · ⎇ fix-restore · closed · codex · you, 3d ago');
+  assert.strictEqual(resultTitle({ ref: 'x', project: null }), 'x');
+});
@@ -0,0 +1,85 @@
+// Unit tests for triggers.js: which triggers are kept, whose token opens which
+// trigger, what a payload does to the prompt, and when a fire is refused.
+//
+// The fire route sits in front of the install-token gate, so the token check and
+// the limits are all that stand between a caller and a new agent session — they
+// are pinned here case by case.
+//
+// Run: node --test test/unit/triggers.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeTriggers, tokenMatches, renderTemplate, triggerPrompt, admitFire, triggerView, MAX_FIRES_PER_TRIGGER } = require('../../triggers');
+
+let n = 0;
+const fixed = { randomId: () => `id${++n}`, randomToken: () => 'generated-token-0123456789' };
+
+test('sanitize: exactly one target, ids and tokens filled in, limits clamped', () => {
+  n = 0;
+  assert.deepStrictEqual(sanitizeTriggers([
+    { automation: 'triage-ci' },
+    { id: 'nightly', task: 'ab12cd34', template: 'x {{payload}}', token: 'a-long-enough-token', maxConcurrent: 99, rateLimit: { count: 1000, perMinutes: 0 }, enabled: false },
+    { task: 'a', automation: 'b' },
+    { id: 'none' },
+    { automation: '../etc/passwd' },
+    { id: 'nightly', automation: 'dup', token: 'short' },
+  ], fixed), [
+    { id: 'id1', automation: 'triage-ci', token: 'generated-token-0123456789', maxConcurrent: 1, rateLimit: { count: 10, perMinutes: 60 }, enabled: true },
+    { id: 'nightly', task: 'ab12cd34', template: 'x {{payload}}', token: 'a-long-enough-token', maxConcurrent: 10, rateLimit: { count: MAX_FIRES_PER_TRIGGER, perMinutes: 60 }, enabled: false },
+    { id: 'id2', automation: 'dup', token: 'generated-token-0123456789', maxConcurrent: 1, rateLimit: { count: 10, perMinutes: 60 }, enabled: true },
+  ]);
+  assert.strictEqual(sanitizeTriggers({ not: 'a list' }), null);
+});
+
+test('token: only the trigger\'s own token matches', () => {
+  const t = { id: 'a', token: 'right-token-value' };
+  assert.strictEqual(tokenMatches(t, 'right-token-value'), true);
+  assert.strictEqual(tokenMatches(t, 'wrong-token-value'), false);
+  assert.strictEqual(tokenMatches(t, ''), false);
+  assert.strictEqual(tokenMatches(t, undefined), false);
+  assert.strictEqual(tokenMatches({ id: 'b' }, 'right-token-value'), false);
+});
+
+test('template: payload paths, whole payload, missing fields, other braces', () => {
+  const payload = { job: 'unit', counts: { failed: 3 }, tags: ['a'] };
+  assert.strictEqual(renderTemplate('{{payload.job}} failed {{ payload.counts.failed }} test(s)', payload), 'unit failed 3 test(s)');
+  assert.strictEqual(renderTemplate('{{payload.tags}}', payload), '[\n  "a"\n]');
+  assert.strictEqual(renderTemplate('[{{payload.nope.deeper}}]', payload), '[]');
+  assert.strictEqual(renderTemplate('{{payload.job.length}}', payload), '', 'no walking into string properties');
+  assert.strictEqual(renderTemplate('{{other}} {{payload}}', { a: 1 }), '{{other}} {\n  "a": 1\n}');
+  const long = renderTemplate('{{payload.log}}', { log: 'x'.repeat(20000) });
+  assert.ok(long.length < 17000 && long.includes('truncated'));
+});
+
+test('prompt: template when set, else the payload as a JSON block, else nothing', () => {
+  assert.strictEqual(triggerPrompt({ id: 't', template: 'Job {{payload.job}}' }, { job: 'e2e' }), 'Job e2e');
+  const block = triggerPrompt({ id: 't' }, { job: 'e2e' });
+  assert.match(block, /"t" trigger/);
+  assert.match(block, /```json\n\{\n  "job": "e2e"\n\}\n```/);
+  assert.strictEqual(triggerPrompt({ id: 't' }, {}), '');
+  assert.strictEqual(triggerPrompt({ id: 't' }, undefined), '');
+});
+
+test('admit: rate limit counts started fires in the window; concurrency counts live ones', () => {
+  const trigger = { id: 't', maxConcurrent: 2, rateLimit: { count: 3, perMinutes: 10 } };
+  const now = 100 * 60e3;
+  const fire = (minsAgo, status = 'started', sessionId = null) => ({ at: now - minsAgo * 60e3, status, sessionId });
+
+  assert.strictEqual(admitFire(trigger, [], { now }), null);
+  // Refused fires and fires older than the window don't count.
+  assert.strictEqual(admitFire(trigger, [fire(1), fire(2), fire(1, 'rate-limited'), fire(11)], { now }), null);
+  const limited = admitFire(trigger, [fire(1), fire(4), fire(8)], { now });
+  assert.strictEqual(limited.status, 'rate-limited');
+  assert.strictEqual(limited.retryAfterMs, 2 * 60e3, 'the oldest fire in the window ages out in 2 minutes');
+
+  const live = new Set(['s1', 's2']);
+  const busy = admitFire(trigger, [fire(1, 'started', 's1'), fire(2, 'started', 's2')], { now, isLive: id => live.has(id) });
+  assert.deepStrictEqual(busy, { status: 'busy', live: 2 });
+  live.delete('s2');
+  assert.strictEqual(admitFire(trigger, [fire(1, 'started', 's1'), fire(2, 'started', 's2')], { now, isLive: id => live.has(id) }), null);
+});
+
+test('view: the token never leaves', () => {
+  assert.deepStrictEqual(triggerView({ id: 't', automation: 'a', token: 'secret-secret-secret' }), { id: 't', automation: 'a' });
+});
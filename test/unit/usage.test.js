@@ -0,0 +1,132 @@
+// Unit tests for usage.js: transcript → usage records → cost → totals.
+//
+// The two parsers carry the subtle parts. Claude repeats one response's `usage` on
+// every content-block line, and Codex logs a cumulative total that repeats and can
+// restart; getting either wrong double-counts silently, and a cost panel that is
+// 3x high is worse than none. Aggregation and the budget rule are pinned as pure
+// functions over hand-built sessions.
+//
+// Run: node --test test/unit/usage.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseClaudeUsage, parseCodexUsage, priceFor, costOf, periodStart, dayKey,
+  aggregateUsage, budgetExceeded, createUsageIndex,
+} = require('../../usage');
+
+const jsonl = (...objs) => objs.map(o => JSON.stringify(o)).join('\n') + '\n';
+
+const claudeLine = (id, usage, extra = {}) => ({
+  type: 'assistant', requestId: `req_${id}`, timestamp: '2026-10-01T10:00:00Z',
+  message: { id, model: 'claude-sonnet-4-5-20250929', role: 'assistant', content: [], usage }, ...extra,
+});
+
+test('claude: one record per response, however many lines repeat its usage', () => {
+  const u = { input_tokens: 10, output_tokens: 200, cache_creation_input_tokens: 1000, cache_read_input_tokens: 5000 };
+  const text = jsonl(
+    { type: 'user', message: { role: 'user', content: 'hi' } },
+    claudeLine('msg_1', u),
+    claudeLine('msg_1', u),
+    claudeLine('msg_2', { input_tokens: 1, output_tokens: 2 }, { isSidechain: true }),
+    claudeLine('msg_3', { input_tokens: 0, output_tokens: 0 }, { message: { id: 'msg_3', model: '<synthetic>', usage: { input_tokens: 0 } } }),
+  ) + '{"type":"assistant","message":{"id":"msg_4"'; // a live transcript cut mid-line
+  const recs = parseClaudeUsage(text);
+  assert.deepStrictEqual(recs, [
+    { timestamp: '2026-10-01T10:00:00Z', model: 'claude-sonnet-4-5-20250929', input: 10, output: 200, cacheWrite: 1000, cacheRead: 5000 },
+    { timestamp: '2026-10-01T10:00:00Z', model: 'claude-sonnet-4-5-20250929', input: 1, output: 2, cacheWrite: 0, cacheRead: 0 },
+  ]);
+});
+
+test('codex: records are deltas of the cumulative total, cached input split out', () => {
+  const tc = (ts, input, cached, output) => ({
+    timestamp: ts, type: 'event_msg',
+    payload: { type: 'token_count', info: { total_token_usage: { input_tokens: input, cached_input_tokens: cached, output_tokens: output } } },
+  });
+  const text = jsonl(
+    { type: 'turn_context', payload: { model: 'gpt-5-codex' } },
+    { type: 'event_msg', payload: { type: 'token_count', info: null } },
+    tc('2026-10-01T10:00:00Z', 1000, 0, 100),
+    tc('2026-10-01T10:00:01Z', 1000, 0, 100),          // repeated total: nothing new
+    tc('2026-10-01T10:01:00Z', 3000, 1500, 250),
+    tc('2026-10-01T10:02:00Z', 400, 0, 40),            // counter restarted (resume)
+  );
+  assert.deepStrictEqual(parseCodexUsage(text).map(r => [r.model, r.input, r.cacheRead, r.output]), [
+    ['gpt-5-codex', 1000, 0, 100],
+    ['gpt-5-codex', 500, 1500, 150],
+    ['gpt-5-codex', 400, 0, 40],
+  ]);
+});
+
+test('pricing: specific ids win over their family; unknown models are unpriced, not free', () => {
+  assert.strictEqual(priceFor('claude-opus-4-1-20250805').input, 15);
+  assert.strictEqual(priceFor('claude-opus-4-5-20251101').input, 5);
+  assert.strictEqual(priceFor('gpt-5-mini').input, 0.25);
+  assert.strictEqual(priceFor('gpt-5-codex').input, 1.25);
+  assert.strictEqual(priceFor('mystery-model'), null);
+  const rec = { model: 'claude-sonnet-4-5', input: 1e6, output: 1e6, cacheWrite: 1e6, cacheRead: 1e6 };
+  assert.strictEqual(costOf(rec), 3 + 15 + 3.75 + 0.3);
+  assert.strictEqual(costOf({ ...rec, model: 'mystery-model' }), null);
+  assert.strictEqual(costOf({ ...rec, model: 'mystery-model' }, [{ match: 'mystery', input: 1, output: 1 }]), 2);
+});
+
+test('periods start at local midnight, counting today as day one', () => {
+  const now = new Date(2026, 9, 19, 15, 30).getTime();
+  assert.strictEqual(periodStart('today', now), new Date(2026, 9, 19).getTime());
+  assert.strictEqual(periodStart('7d', now), new Date(2026, 9, 13).getTime());
+  assert.strictEqual(periodStart('all', now), 0);
+  assert.strictEqual(dayKey(new Date(2026, 0, 5, 23, 59).getTime()), '2026-01-05');
+});
+
+test('aggregate: totals by session, context, agent, task and day, within the window', () => {
+  const rec = (ts, model, input, output) => ({ timestamp: ts, model, input, output, cacheWrite: 0, cacheRead: 0 });
+  const proj = { key: '/src/app', label: 'app' };
+  const sessions = [
+    { ref: 'a', label: 'Fix login', agentType: 'claude', context: proj, task: null, records: [
+      rec('2026-10-01T10:00:00Z', 'claude-sonnet-4-5', 1e6, 0),
+      rec('2026-09-01T10:00:00Z', 'claude-sonnet-4-5', 1e6, 0), // before the window
+    ] },
+    { ref: 'b', label: '⏰ Nightly', agentType: 'codex', context: proj, task: { id: 't1', title: 'Nightly', runStartedAt: 5 }, records: [
+      rec('2026-10-02T03:00:00Z', 'gpt-5-codex', 0, 1e6),
+      rec('2026-10-02T03:01:00Z', 'mystery', 10, 10),
+    ] },
+  ];
+  const r = aggregateUsage(sessions, { since: Date.parse('2026-09-15T00:00:00Z') });
+  assert.strictEqual(r.totals.cost, 13);
+  assert.strictEqual(r.totals.unpricedTokens, 20);
+  assert.deepStrictEqual(r.sessions.map(s => [s.key, s.cost]), [['b', 10], ['a', 3]]);
+  assert.deepStrictEqual(r.contexts.map(c => [c.label, c.cost, c.requests]), [['app', 13, 3]]);
+  assert.deepStrictEqual(r.agents.map(a => a.key), ['codex', 'claude']);
+  assert.strictEqual(r.tasks.length, 1);
+  assert.deepStrictEqual(r.tasks[0].runs.map(x => [x.key, x.startedAt, x.cost]), [['b', 5, 10]]);
+  assert.deepStrictEqual(r.days.map(d => d.key), [dayKey(Date.parse('2026-10-01T10:00:00Z')), dayKey(Date.parse('2026-10-02T03:00:00Z'))]);
+});
+
+test('budget: alerts once per day, only when set and reached', () => {
+  assert.strictEqual(budgetExceeded({ budget: 0, spentToday: 99, today: 'd', lastAlertDay: null }), false);
+  assert.strictEqual(budgetExceeded({ budget: 10, spentToday: 9.99, today: 'd', lastAlertDay: null }), false);
+  assert.strictEqual(budgetExceeded({ budget: 10, spentToday: 10, today: 'd', lastAlertDay: null }), true);
+  assert.strictEqual(budgetExceeded({ budget: 10, spentToday: 50, today: 'd', lastAlertDay: 'd' }), false);
+  assert.strictEqual(budgetExceeded({ budget: 10, spentToday: 50, today: 'e', lastAlertDay: 'd' }), true);
+});
+
+test('index: parses each transcript once until it changes, and evicts dropped files', async () => {
+  const files = { a: { mtimeMs: 1, text: jsonl(claudeLine('m1', { input_tokens: 5, output_tokens: 5 })) } };
+  let reads = 0;
+  const fsp = {
+    stat: async (f) => { if (!files[f]) throw new Error('ENOENT'); return { mtimeMs: files[f].mtimeMs, size: files[f].text.length }; },
+    readFile: async (f) => { reads++; return files[f].text; },
+  };
+  const idx = createUsageIndex({ fsp });
+  const [first] = await idx.load([{ file: 'a', agentType: 'claude', ref: 'x' }]);
+  assert.strictEqual(first.ref, 'x');
+  assert.strictEqual(first.records.length, 1);
+  await idx.load([{ file: 'a', agentType: 'claude' }]);
+  assert.strictEqual(reads, 1);
+  files.a = { mtimeMs: 2, text: files.a.text + jsonl(claudeLine('m2', { input_tokens: 1, output_tokens: 1 })) };
+  assert.strictEqual((await idx.load([{ file: 'a', agentType: 'claude' }]))[0].records.length, 2);
+  assert.strictEqual(reads, 2);
+  await idx.load([]);
+  assert.strictEqual(idx.size(), 0);
+});
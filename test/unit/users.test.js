@@ -0,0 +1,239 @@
+// Named users: the store (users.js) and how the guards in security.js treat a user's token —
+// the role it carries, what a viewer is refused, and how adding the first user changes the
+// cookie handout.
+//
+// Run: node --test test/unit/users.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// stateDir() is read when security.js loads, so DEEPSTEVE_HOME must be set first or the
+// test writes an auth-token into the real ~/.deepsteve.
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-users-'));
+const prevHome = process.env.DEEPSTEVE_HOME;
+process.env.DEEPSTEVE_HOME = scratch;
+const { createSecurity, COOKIE_NAME } = require('../../security');
+const { createUserStore, roleAtLeast } = require('../../users');
+
+after(() => {
+  if (prevHome === undefined) delete process.env.DEEPSTEVE_HOME;
+  else process.env.DEEPSTEVE_HOME = prevHome;
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+let n = 0;
+function store() {
+  const file = path.join(scratch, `users-${++n}.json`);
+  return { users: createUserStore({ file, now: () => 1000 }), file };
+}
+
+test('roleAtLeast orders viewer < operator < admin', () => {
+  assert.ok(roleAtLeast('admin', 'operator'));
+  assert.ok(roleAtLeast('operator', 'operator'));
+  assert.ok(!roleAtLeast('viewer', 'operator'));
+  assert.ok(!roleAtLeast(undefined, 'viewer'));
+  assert.ok(!roleAtLeast('root', 'viewer'));
+});
+
+test('add issues a token that resolves to the user; bad input is an error, not a throw', () => {
+  const { users } = store();
+  const { user, token } = users.add('Ana', 'viewer');
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.deepStrictEqual(user, { name: 'ana', role: 'viewer', createdAt: 1000, lastSeenAt: null });
+  assert.deepStrictEqual(users.resolve(token), { name: 'ana', role: 'viewer' });
+  assert.strictEqual(users.resolve('0'.repeat(64)), null);
+  assert.strictEqual(users.resolve(undefined), null);
+
+  assert.match(users.add('ANA', 'admin').error, /already/, 'names are case-folded');
+  assert.match(users.add('owner', 'admin').error, /install token/);
+  assert.match(users.add('has space', 'admin').error, /user name/);
+  assert.match(users.add('bo', 'root').error, /Role must be/);
+  assert.strictEqual(users.size, 1);
+});
+
+test('role changes, rotation and removal take effect on the next resolve', () => {
+  const { users } = store();
+  const { token } = users.add('bo', 'operator');
+  users.setRole('bo', 'admin');
+  assert.strictEqual(users.resolve(token).role, 'admin');
+
+  const rotated = users.rotate('bo');
+  assert.strictEqual(users.resolve(token), null, 'the old token stops working');
+  assert.strictEqual(users.resolve(rotated.token).name, 'bo');
+
+  assert.strictEqual(users.remove('bo').user.name, 'bo');
+  assert.strictEqual(users.resolve(rotated.token), null);
+  assert.match(users.remove('bo').error, /No user/);
+  assert.match(users.setRole('bo', 'viewer').error, /No user/);
+});
+
+test('removal is by name in any case, and really removes the user', () => {
+  const { users, file } = store();
+  const { token } = users.add('dee', 'viewer');
+  users.resolve(token);
+  assert.strictEqual(users.remove(' DEE ').user.name, 'dee');
+  assert.strictEqual(users.resolve(token), null);
+  assert.deepStrictEqual(users.list(), []);
+  assert.deepStrictEqual(createUserStore({ file }).list(), [], 'nor does it come back on reopen');
+});
+
+test('users persist as hashes only, and survive a reopen', () => {
+  const { users, file } = store();
+  const { token } = users.add('cy', 'operator');
+  const raw = fs.readFileSync(file, 'utf8');
+  assert.ok(!raw.includes(token), 'the raw token is never written');
+  assert.strictEqual((fs.statSync(file).mode & 0o777).toString(8), '600');
+  const again = createUserStore({ file });
+  assert.deepStrictEqual(again.resolve(token), { name: 'cy', role: 'operator' });
+  assert.deepStrictEqual(again.list().map(u => u.name), ['cy']);
+});
+
+// ── the guards ───────────────────────────────────────────────────────
+
+function securityWith(users) {
+  return createSecurity({
+    port: 3000, httpsPort: 3443, httpsEnabled: false,
+    getLanAddresses: () => ['localhost', '127.0.0.1'],
+    users, log: () => {},
+  });
+}
+
+function gate(security, { method = 'GET', url = '/api/shells', headers = {} }) {
+  const req = { method, url, path: url.split('?')[0], headers: { host: 'localhost:3000', ...headers } };
+  const res = {
+    statusCode: 200, body: null,
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    send(b) { this.body = b; return this; },
+    json(b) { this.body = b; return this; },
+  };
+  let nexted = false;
+  security.authGate(req, res, () => { nexted = true; });
+  return { req, res, nexted };
+}
+
+test('authGate puts the principal on the request, for routes and for MCP tools', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const { token } = users.add('dee', 'operator');
+
+  const owner = gate(security, { headers: { authorization: `Bearer ${security.token}` } });
+  assert.ok(owner.nexted);
+  assert.deepStrictEqual({ ...owner.req.user }, { name: 'owner', role: 'admin', owner: true });
+
+  const dee = gate(security, { method: 'POST', url: '/mcp', headers: { authorization: `Bearer ${token}` } });
+  assert.ok(dee.nexted);
+  assert.deepStrictEqual(dee.req.auth, { token, clientId: 'dee', scopes: ['operator'] });
+});
+
+test('requireRole refuses a user below the role, and lets the owner through', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const requireAdmin = security.requireRole('admin');
+  const { token } = users.add('eve', 'operator');
+
+  const eve = gate(security, { method: 'POST', url: '/api/settings', headers: { authorization: `Bearer ${token}` } });
+  let nexted = false;
+  requireAdmin(eve.req, eve.res, () => { nexted = true; });
+  assert.strictEqual(nexted, false);
+  assert.strictEqual(eve.res.statusCode, 403);
+
+  const owner = gate(security, { method: 'POST', url: '/api/settings', headers: { authorization: `Bearer ${security.token}` } });
+  nexted = false;
+  requireAdmin(owner.req, owner.res, () => { nexted = true; });
+  assert.ok(nexted);
+});
+
+test('a viewer may read the API, and may neither change anything nor reach /mcp', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const { token } = users.add('vic', 'viewer');
+  const auth = { authorization: `Bearer ${token}` };
+
+  assert.ok(gate(security, { headers: auth }).nexted);
+  for (const [method, url] of [['POST', '/api/shells'], ['DELETE', '/api/shells/abc'], ['GET', '/mcp'], ['POST', '/mcp']]) {
+    const r = gate(security, { method, url, headers: auth });
+    assert.strictEqual(r.nexted, false, `${method} ${url}`);
+    assert.strictEqual(r.res.statusCode, 403, `${method} ${url}`);
+  }
+});
+
+test('the app socket accepts a user cookie and records who it is', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const { token } = users.add('fay', 'viewer');
+  const req = { headers: { host: 'localhost:3000', origin: 'http://localhost:3000', cookie: `${COOKIE_NAME}=${token}` } };
+  let ok = null;
+  security.verifyWsClient({ req, origin: req.headers.origin }, (v) => { ok = v; });
+  assert.strictEqual(ok, true);
+  assert.strictEqual(req.user.name, 'fay');
+  assert.strictEqual(req.user.role, 'viewer');
+});
+
+function pageLoad(security, headers = {}) {
+  const req = { method: 'GET', path: '/', headers: { accept: 'text/html', host: 'localhost:3000', ...headers }, secure: false };
+  let cookie = null;
+  let redirect = null;
+  const res = {
+    cookie: (name, value) => { cookie = { name, value }; },
+    redirect: (code, to) => { redirect = { code, to }; },
+  };
+  security.setAuthCookie(req, res, () => {});
+  let nexted = false;
+  security.loginRedirect(req, res, () => { nexted = true; });
+  return { cookie, redirect, nexted };
+}
+
+test('with no users, loopback page loads still get the install token and never see /login', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const r = pageLoad(security);
+  assert.strictEqual(r.cookie.value, security.token);
+  assert.ok(r.nexted);
+  assert.strictEqual(r.redirect, null);
+});
+
+test('once a user exists, the handout stops and a signed-out page load goes to /login', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const { token } = users.add('gus', 'operator');
+
+  const anon = pageLoad(security);
+  assert.strictEqual(anon.cookie, null, 'the install token is not handed to a loopback page load');
+  assert.deepStrictEqual(anon.redirect, { code: 302, to: '/login' });
+
+  const signedIn = pageLoad(security, { cookie: `${COOKIE_NAME}=${token}` });
+  assert.deepStrictEqual(signedIn.cookie, { name: COOKIE_NAME, value: token }, 'a signed-in cookie is renewed');
+  assert.ok(signedIn.nexted);
+});
+
+test('login trades a valid token for the cookie, and checks Origin first', () => {
+  const { users } = store();
+  const security = securityWith(users);
+  const { token } = users.add('hal', 'admin');
+  function login(body, origin = 'http://localhost:3000') {
+    let cookie = null;
+    const res = {
+      statusCode: 200, body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(b) { this.body = b; return this; },
+      cookie: (name, value) => { cookie = { name, value }; },
+    };
+    security.login({ method: 'POST', headers: { host: 'localhost:3000', origin }, body, secure: false }, res);
+    return { res, cookie };
+  }
+
+  const ok = login({ token });
+  assert.deepStrictEqual(ok.res.body, { name: 'hal', role: 'admin' });
+  assert.deepStrictEqual(ok.cookie, { name: COOKIE_NAME, value: token });
+
+  const bad = login({ token: 'f'.repeat(64) });
+  assert.strictEqual(bad.res.statusCode, 401);
+  assert.strictEqual(bad.cookie, null);
+
+  const crossSite = login({ token }, 'https://evil.example');
+  assert.strictEqual(crossSite.res.statusCode, 403);
+  assert.strictEqual(crossSite.cookie, null);
+});
@@ -0,0 +1,238 @@
+// Baby Browser's proxy (web-proxy.js): what it rewrites, how its cookie jar behaves,
+// that it refuses private addresses unless they are allowlisted, and — against a real
+// local site — that bodies, cookies, redirects and WebSockets make the round trip.
+//
+// Run: node --test test/unit/web-proxy.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const {
+  createWebProxy, createCookieJar, rewriteHtml, rewriteCss, proxyHref, parseProxyPath,
+  isPrivateAddress, hostAllowed, sanitizeAllowedHosts,
+} = require('../../web-proxy');
+
+const servers = [];
+after(() => servers.forEach(s => s.close()));
+
+function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('proxy paths round-trip, and only well-formed ones parse', () => {
+  const href = proxyHref('https://example.com:8443/a/b?c=1#top', 'tab1');
+  assert.strictEqual(href, '/api/proxy/tab1/https/example.com:8443/a/b?c=1#top');
+  const parsed = parseProxyPath('/api/proxy/tab1/https/example.com:8443/a/b?c=1');
+  assert.strictEqual(parsed.sid, 'tab1');
+  assert.strictEqual(parsed.target.href, 'https://example.com:8443/a/b?c=1');
+  assert.strictEqual(parseProxyPath('/api/proxy/tab1/https/example.com').target.href, 'https://example.com/');
+  for (const bad of ['/api/proxy/tab1/file/etc/passwd', '/api/proxy/bad sid/https/x', '/api/proxy/t/https/user:pw@x/', '/api/proxy?url=x']) {
+    assert.strictEqual(parseProxyPath(bad), null, bad);
+  }
+});
+
+test('private, loopback and mapped addresses are private; public ones are not', () => {
+  for (const a of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'nonsense']) {
+    assert.ok(isPrivateAddress(a), a);
+  }
+  for (const a of ['93.184.216.34', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.ok(!isPrivateAddress(a), a);
+  }
+});
+
+test('the allowlist matches hosts, ports, wildcards and CIDRs', () => {
+  const list = sanitizeAllowedHosts('localhost:5173\n*.lan, 10.0.0.0/8\n\nnot a host!\nLOCALHOST:5173');
+  assert.deepStrictEqual(list, ['localhost:5173', '*.lan', '10.0.0.0/8']);
+  assert.strictEqual(sanitizeAllowedHosts(42), null);
+  assert.ok(hostAllowed(list, 'localhost', 5173));
+  assert.ok(!hostAllowed(list, 'localhost', 3000));
+  assert.ok(hostAllowed(list, 'nas.lan', 80));
+  assert.ok(!hostAllowed(list, 'lan', 80));
+  assert.ok(hostAllowed(list, 'build-box', 80, ['10.4.0.2']));
+  assert.ok(!hostAllowed(list, 'build-box', 80, ['10.4.0.2', '192.168.0.2']), 'every address must be covered');
+});
+
+test('rewriteHtml proxies URL attributes, srcset and CSS, and leaves scripts and comments alone', () => {
+  const html = `<!doctype html><html><head><meta http-equiv="Content-Security-Policy" content="default-src 'self'">
+<link rel="stylesheet" href="/s.css" integrity="sha384-x"><style>body { background: url('bg.png') }</style></head>
+<body><!-- <a href="/in-comment"> --><a href="page?x=1&amp;y=2">p</a><a href="#top">t</a><a href="mailto:a@b.c">m</a>
+<img src="//cdn.example.net/i.png" srcset="a.png 1x, https://other.org/b.png 2x">
+<div style="background-image: url(/d.png)"></div><form action="/login" method="post"><button formaction="alt">b</button></form>
+<script>var s = '<a href="/in-script">';</script><meta http-equiv="refresh" content="5; url=/next"></body></html>`;
+  const out = rewriteHtml(html, { docUrl: 'https://example.com/dir/index.html', sid: 's1', cookies: [['a', '</script>']] });
+  const P = '/api/proxy/s1/';
+  assert.ok(!/Content-Security-Policy/.test(out.slice(out.indexOf('</script>') + 9)), 'CSP meta removed');
+  assert.ok(out.includes(`<link rel="stylesheet" href="${P}https/example.com/s.css">`), 'integrity dropped, href proxied');
+  assert.ok(out.includes(`url('${P}https/example.com/dir/bg.png')`));
+  assert.ok(out.includes('<!-- <a href="/in-comment"> -->'));
+  assert.ok(out.includes(`href="${P}https/example.com/dir/page?x=1&amp;y=2"`));
+  assert.ok(out.includes('href="#top"') && out.includes('href="mailto:a@b.c"'));
+  assert.ok(out.includes(`src="${P}https/cdn.example.net/i.png"`));
+  assert.ok(out.includes(`srcset="${P}https/example.com/dir/a.png 1x, ${P}https/other.org/b.png 2x"`));
+  assert.ok(out.includes(`style="background-image: url(${P}https/example.com/d.png)"`));
+  assert.ok(out.includes(`action="${P}https/example.com/login"`) && out.includes(`formaction="${P}https/example.com/dir/alt"`));
+  assert.ok(out.includes(`var s = '<a href="/in-script">';`));
+  assert.ok(out.includes(`content="5; url=${P}https/example.com/next"`));
+
+  const shimAt = out.indexOf('<head>') + '<head>'.length;
+  assert.ok(out.startsWith('<script>(function proxyShim', shimAt), 'shim is the first thing in <head>');
+  const shim = out.slice(shimAt, out.indexOf('</script>', shimAt));
+  assert.ok(!shim.includes('</script'), 'a cookie value cannot close the shim element');
+});
+
+test('rewriteHtml honours <base href> and adds a <head> when there is none', () => {
+  const out = rewriteHtml('<base href="https://cdn.example.org/v2/"><img src="x.png">', { docUrl: 'https://example.com/', sid: 's' });
+  assert.ok(out.includes('<base href="/api/proxy/s/https/cdn.example.org/v2/">'));
+  assert.ok(out.includes('src="/api/proxy/s/https/cdn.example.org/v2/x.png"'));
+  assert.ok(out.startsWith('<script>'));
+  assert.ok(rewriteHtml('<html><body></body></html>', { docUrl: 'https://e.com/', sid: 's' }).startsWith('<html><head><script>'));
+});
+
+test('rewriteCss proxies url() and @import against the stylesheet, not data: URLs', () => {
+  const css = '@import "theme.css"; .a { background: url("../img/a.png") } .b { background: url(data:image/png;base64,AAAA) }';
+  assert.strictEqual(
+    rewriteCss(css, 'https://example.com/css/site.css', 's'),
+    '@import "/api/proxy/s/https/example.com/css/theme.css"; .a { background: url("/api/proxy/s/https/example.com/img/a.png") } .b { background: url(data:image/png;base64,AAAA) }',
+  );
+});
+
+test('the cookie jar scopes by domain, path and Secure, expires, and keeps HttpOnly from scripts', () => {
+  let t = 1_000_000;
+  const jar = createCookieJar({ now: () => t });
+  const site = new URL('https://www.example.com/app/page');
+  assert.ok(jar.set(site, 'sid=1; HttpOnly; Path=/'));
+  assert.ok(jar.set(site, 'pref=dark; Domain=example.com; Path=/; Max-Age=60'));
+  assert.ok(jar.set(site, 'local=x'));                      // default path /app
+  assert.ok(!jar.set(site, 'evil=1; Domain=com'));          // no dotless domain
+  assert.ok(!jar.set(site, 'evil=1; Domain=other.org'));    // must cover the host
+  assert.ok(!jar.set(new URL('http://www.example.com/'), 's=1; Secure'));
+
+  assert.strictEqual(jar.header(site), 'local=x; sid=1; pref=dark');
+  assert.strictEqual(jar.header(new URL('https://api.example.com/')), 'pref=dark');
+  assert.strictEqual(jar.header(new URL('https://www.example.com/other')), 'sid=1; pref=dark');
+  assert.deepStrictEqual(jar.scriptCookies(site), [['local', 'x'], ['pref', 'dark']]);
+
+  assert.ok(!jar.set(site, 'sid=stolen; Path=/', { fromScript: true }), 'a script cannot overwrite an HttpOnly cookie');
+  assert.ok(!jar.set(site, 'x=1; HttpOnly', { fromScript: true }));
+  assert.ok(jar.set(site, 'local=; Max-Age=0'));
+  t += 61_000;
+  assert.strictEqual(jar.header(site), 'sid=1');
+});
+
+function proxyApp(proxy) {
+  const app = express();
+  app.post('/api/proxy-cookie/:sid', express.json(), proxy.scriptCookie);
+  app.get('/api/proxy', proxy.legacy);
+  app.all(/^\/api\/proxy\//, proxy.handle);
+  return app;
+}
+
+test('private targets are refused unless allowlisted', async () => {
+  const site = await listen((req, res) => res.end('hello'));
+  let allowed = [];
+  const front = await listen(proxyApp(createWebProxy({ getAllowedHosts: () => allowed })));
+  const base = `http://127.0.0.1:${front.address().port}`;
+  const path = `/api/proxy/t/http/127.0.0.1:${site.address().port}/`;
+
+  const refused = await fetch(base + path);
+  assert.strictEqual(refused.status, 403);
+  assert.match((await refused.json()).error, /private network/);
+
+  allowed = [`127.0.0.1:${site.address().port}`];
+  const ok = await fetch(base + path);
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(await ok.text(), 'hello');
+
+  const legacy = await fetch(`${base}/api/proxy?url=${encodeURIComponent('https://example.com/x?y=1')}&s=t`, { redirect: 'manual' });
+  assert.strictEqual(legacy.status, 302);
+  assert.strictEqual(legacy.headers.get('location'), '/api/proxy/t/https/example.com/x?y=1');
+  assert.strictEqual((await fetch(`${base}/api/proxy`)).status, 400);
+});
+
+test('bodies, cookies, headers and redirects make the round trip through a session', async () => {
+  const seen = [];
+  const site = await listen((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      seen.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.url === '/login') {
+        res.writeHead(303, { location: '/home', 'set-cookie': ['session=abc; HttpOnly; Path=/'], 'x-frame-options': 'DENY' });
+        return res.end();
+      }
+      res.writeHead(200, { 'content-type': 'text/html', 'content-security-policy': "frame-ancestors 'none'" });
+      res.end('<html><head></head><body><a href="/next">n</a></body></html>');
+    });
+  });
+  const port = site.address().port;
+  const front = await listen(proxyApp(createWebProxy({ getAllowedHosts: () => ['127.0.0.1'] })));
+  const origin = `http://127.0.0.1:${front.address().port}`;
+  const base = `${origin}/api/proxy/tab-a/http/127.0.0.1:${port}`;
+
+  const login = await fetch(`${base}/login`, {
+    method: 'POST', redirect: 'manual',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', cookie: 'ds_auth=secret', 'x-forwarded-for': '1.2.3.4' },
+    body: 'user=ana&pw=1',
+  });
+  assert.strictEqual(login.status, 303);
+  assert.strictEqual(login.headers.get('location'), `/api/proxy/tab-a/http/127.0.0.1:${port}/home`);
+  assert.strictEqual(login.headers.get('set-cookie'), null, 'site cookies stay in the jar');
+  assert.strictEqual(login.headers.get('x-frame-options'), null);
+  assert.strictEqual(seen[0].body, 'user=ana&pw=1');
+  assert.strictEqual(seen[0].headers.cookie, undefined, "deepsteve's cookie is never forwarded");
+  assert.strictEqual(seen[0].headers['x-forwarded-for'], undefined);
+
+  const home = await fetch(`${base}/home`);
+  assert.strictEqual(seen[1].headers.cookie, 'session=abc');
+  assert.strictEqual(home.headers.get('content-security-policy'), null);
+  const html = await home.text();
+  assert.ok(html.includes(`href="/api/proxy/tab-a/http/127.0.0.1:${port}/next"`));
+  assert.ok(html.includes('"cookies":[]'), 'an HttpOnly cookie is not handed to the page');
+
+  await fetch(`${origin}/api/proxy-cookie/tab-a`, {
+    method: 'POST', headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ url: `http://127.0.0.1:${port}/home`, cookie: 'theme=dark' }),
+  });
+  await fetch(`${base}/again`);
+  assert.strictEqual(seen[2].headers.cookie, 'session=abc; theme=dark');
+
+  await fetch(base.replace('/tab-a/', '/tab-b/') + '/again');
+  assert.strictEqual(seen[3].headers.cookie, undefined, 'another tab has its own jar');
+});
+
+test('WebSockets are relayed after the client is verified and the target checked', async () => {
+  const upstream = await listen((req, res) => res.end());
+  const upstreamWss = new WebSocketServer({ server: upstream });
+  let upstreamCookie;
+  upstreamWss.on('connection', (ws, req) => {
+    upstreamCookie = req.headers.cookie;
+    ws.on('message', m => ws.send(`echo:${m}`));
+  });
+  const port = upstream.address().port;
+  let verified = 0;
+  const proxy = createWebProxy({
+    getAllowedHosts: () => ['127.0.0.1'],
+    verifyWsClient: (info, cb) => { verified++; cb(info.req.headers.authorization === 'Bearer ok', 401, 'Unauthorized'); },
+  });
+  const front = await listen(proxyApp(proxy));
+  front.on('upgrade', (req, socket, head) => proxy.upgrade(req, socket, head));
+  const url = `ws://127.0.0.1:${front.address().port}/api/proxy/w/ws/127.0.0.1:${port}/socket`;
+
+  const denied = new WebSocket(url);
+  const status = await new Promise(resolve => denied.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+  assert.strictEqual(status, 401);
+
+  const ws = new WebSocket(url, { headers: { authorization: 'Bearer ok', cookie: 'ds_auth=secret' } });
+  await new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+  ws.send('hi');
+  const reply = await new Promise(resolve => ws.once('message', m => resolve(String(m))));
+  assert.strictEqual(reply, 'echo:hi');
+  assert.strictEqual(upstreamCookie, undefined);
+  assert.strictEqual(verified, 2);
+  ws.close();
+  upstreamWss.close();
+});
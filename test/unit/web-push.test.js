@@ -0,0 +1,104 @@
+// Unit tests for web-push.js: the VAPID header and the aes128gcm payload encryption.
+//
+// A push service answers a malformed message with a bare 400 or 403, and a browser
+// that can't decrypt one drops it silently — there is no error to debug from — so
+// these play the other side: verify the JWT with the public key, and decrypt the
+// body with a subscription key pair generated here, the way a browser would.
+//
+// Run: node --test test/unit/web-push.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { generateVapidKeys, vapidHeader, encryptPayload, sanitizeSubscription, MAX_PAYLOAD_BYTES } = require('../../web-push');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function browserKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return { ecdh, auth, keys: { p256dh: b64url(ecdh.getPublicKey()), auth: b64url(auth) } };
+}
+
+// RFC 8291 from the receiving end.
+function decrypt(body, { ecdh, auth }) {
+  const salt = body.subarray(0, 16);
+  const idlen = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idlen);
+  const sealed = body.subarray(21 + idlen);
+  const secret = ecdh.computeSecret(asPublic);
+  const info = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', secret, auth, info, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+  const plain = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()]);
+  assert.strictEqual(plain[plain.length - 1], 2, 'last-record delimiter');
+  return plain.subarray(0, plain.length - 1).toString('utf8');
+}
+
+test('vapid keys: 65-byte uncompressed public point, 32-byte private scalar', () => {
+  const { publicKey, privateKey } = generateVapidKeys();
+  assert.strictEqual(Buffer.from(publicKey, 'base64url').length, 65);
+  assert.strictEqual(Buffer.from(publicKey, 'base64url')[0], 4);
+  assert.strictEqual(Buffer.from(privateKey, 'base64url').length, 32);
+  assert.doesNotMatch(publicKey + privateKey, /[+/=]/);
+});
+
+test('vapid header: ES256 JWT for the endpoint origin, verifiable with k', () => {
+  const keys = generateVapidKeys();
+  const now = Date.UTC(2026, 0, 1);
+  const header = vapidHeader('https://fcm.googleapis.com/fcm/send/abc', keys, 'https://deepsteve.com', now);
+  const m = /^vapid t=([^.]+)\.([^.]+)\.([^,]+), k=(.+)$/.exec(header);
+  assert.ok(m, header);
+  assert.strictEqual(m[4], keys.publicKey);
+  assert.deepStrictEqual(JSON.parse(Buffer.from(m[1], 'base64url')), { typ: 'JWT', alg: 'ES256' });
+  const claims = JSON.parse(Buffer.from(m[2], 'base64url'));
+  assert.deepStrictEqual(claims, { aud: 'https://fcm.googleapis.com', exp: now / 1000 + 12 * 3600, sub: 'https://deepsteve.com' });
+
+  const pub = Buffer.from(keys.publicKey, 'base64url');
+  const key = crypto.createPublicKey({ key: { kty: 'EC', crv: 'P-256', x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33)) }, format: 'jwk' });
+  assert.ok(crypto.verify('sha256', Buffer.from(`${m[1]}.${m[2]}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(m[3], 'base64url')));
+});
+
+test('payload: one aes128gcm record the subscriber can decrypt', () => {
+  const browser = browserKeys();
+  const message = JSON.stringify({ title: 'api is waiting · deepsteve', body: 'All 42 tests pass.' });
+  const body = encryptPayload(message, browser.keys);
+  assert.strictEqual(body.readUInt32BE(16), 4096);
+  assert.strictEqual(body.readUInt8(20), 65);
+  assert.strictEqual(decrypt(body, browser), message);
+
+  // Fresh salt and sender key per message: the same text never encrypts the same.
+  assert.notDeepStrictEqual(encryptPayload(message, browser.keys), body);
+  // And a wrong auth secret fails to decrypt rather than yielding garbage.
+  assert.throws(() => decrypt(body, { ...browser, auth: crypto.randomBytes(16) }));
+  assert.throws(() => encryptPayload('x'.repeat(MAX_PAYLOAD_BYTES + 1), browser.keys), /too large/);
+});
+
+test('payload: RFC 8291 appendix A example, byte for byte', () => {
+  const body = encryptPayload('When I grow up, I want to be a watermelon', {
+    p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+    auth: 'BTBZMqHH6r4Tts7J_aSIgg',
+  }, {
+    salt: Buffer.from('DGv6ra1nlYgDCS1FRnbzlw', 'base64url'),
+    senderKeys: { privateKey: Buffer.from('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw', 'base64url') },
+  });
+  assert.strictEqual(body.toString('base64url'),
+    'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN');
+});
+
+test('subscription: https endpoint and well-formed keys only', () => {
+  const { keys } = browserKeys();
+  assert.deepStrictEqual(
+    sanitizeSubscription({ endpoint: 'https://updates.push.services.mozilla.com/wpush/v2/x', keys, expirationTime: null }),
+    { endpoint: 'https://updates.push.services.mozilla.com/wpush/v2/x', keys },
+  );
+  assert.strictEqual(sanitizeSubscription({ endpoint: 'http://push.example/x', keys }), null);
+  assert.strictEqual(sanitizeSubscription({ endpoint: 'https://push.example/x', keys: { p256dh: 'short', auth: keys.auth } }), null);
+  assert.strictEqual(sanitizeSubscription({ endpoint: 'https://push.example/x' }), null);
+  assert.strictEqual(sanitizeSubscription(null), null);
+});
@@ -0,0 +1,78 @@
+// Unit tests for webhooks.js: which hooks an event goes to, the signature, and the
+// retry policy.
+//
+// The signature is the receiver's only proof a POST came from this daemon, so it is
+// checked the way a receiver would — including the replay and tamper cases — and
+// the retry policy is pinned so a receiver that says "no" (a 4xx) is not hammered.
+//
+// Run: node --test test/unit/webhooks.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeWebhooks, hookWants, buildPayload, signPayload, verifySignature, retryPlan, MAX_ATTEMPTS } = require('../../webhooks');
+
+let n = 0;
+const fixed = { randomId: () => `id${++n}`, randomSecret: () => 'generated' };
+
+test('sanitize: http(s) urls only, known events, ids and secrets filled in', () => {
+  n = 0;
+  assert.deepStrictEqual(sanitizeWebhooks([
+    { url: 'http://localhost:9000/hook', events: ['close', 'bogus'] },
+    { url: 'https://ci.example/x', id: 'ci', secret: 's3cret', events: '*', enabled: false },
+    { url: 'ftp://nope' },
+    { url: 'not a url' },
+    { url: 'https://dup.example', id: 'ci' },
+  ], fixed), [
+    { id: 'id1', url: 'http://localhost:9000/hook', events: ['close'], secret: 'generated', enabled: true },
+    { id: 'ci', url: 'https://ci.example/x', events: '*', secret: 's3cret', enabled: false },
+    { id: 'id2', url: 'https://dup.example/', events: '*', secret: 'generated', enabled: true },
+  ]);
+  assert.strictEqual(sanitizeWebhooks({ url: 'http://x' }), null);
+  // Saved ids and secrets survive a re-save untouched.
+  const once = sanitizeWebhooks([{ url: 'http://localhost:1' }]);
+  assert.deepStrictEqual(sanitizeWebhooks(once), once);
+});
+
+test('routing: event list, all, paused hooks, and test goes anywhere enabled', () => {
+  const [only, all, paused] = sanitizeWebhooks([
+    { url: 'http://a', events: ['waiting'] },
+    { url: 'http://b' },
+    { url: 'http://c', enabled: false },
+  ], fixed);
+  assert.strictEqual(hookWants(only, 'waiting'), true);
+  assert.strictEqual(hookWants(only, 'close'), false);
+  assert.strictEqual(hookWants(only, 'test'), true);
+  assert.strictEqual(hookWants(all, 'merge_worktree'), true);
+  assert.strictEqual(hookWants(paused, 'close'), false);
+});
+
+test('payload: event type lifted out, the rest under data', () => {
+  const body = JSON.parse(buildPayload('d1', { type: 'close', ts: 5, session_id: 's1', reason: 'exited' }));
+  assert.deepStrictEqual(body, { id: 'd1', event: 'close', ts: 5, data: { session_id: 's1', reason: 'exited' } });
+});
+
+test('signature: verifies, and rejects tampering, a wrong secret and replays', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const body = buildPayload('d1', { type: 'waiting', ts: now, session_id: 's1' });
+  const header = signPayload('k', body, now);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature('k', body, header, now + 1000), true);
+  assert.strictEqual(verifySignature('k', body.replace('s1', 's2'), header, now), false);
+  assert.strictEqual(verifySignature('other', body, header, now), false);
+  assert.strictEqual(verifySignature('k', body, header, now + 10 * 60 * 1000), false);
+  assert.strictEqual(verifySignature('k', body, 'garbage', now), false);
+});
+
+test('retries: transient failures back off, refusals and successes are final', () => {
+  assert.deepStrictEqual(retryPlan(1, 200), { retry: false });
+  assert.deepStrictEqual(retryPlan(1, 400), { retry: false });
+  assert.deepStrictEqual(retryPlan(1, 410), { retry: false });
+  assert.deepStrictEqual(retryPlan(1, 503), { retry: true, delayMs: 10000 });
+  assert.deepStrictEqual(retryPlan(2, 429), { retry: true, delayMs: 30000 });
+  assert.deepStrictEqual(retryPlan(3, new Error('ECONNREFUSED')), { retry: true, delayMs: 120000 });
+  assert.deepStrictEqual(retryPlan(MAX_ATTEMPTS, 500), { retry: false });
+  const delays = [];
+  for (let a = 1; retryPlan(a, 500).retry; a++) delays.push(retryPlan(a, 500).delayMs);
+  assert.deepStrictEqual(delays, [...delays].sort((x, y) => x - y), 'backoff only grows');
+});
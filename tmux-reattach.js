@@ -81,6 +81,11 @@ function reattachAction(meta) {
  * @param {Function} deps.recordRecentSession
  * @param {string} [deps.socketPath] - our tmux socket (#625), named in the
  *   "not ours to kill" message so the reclaim command can be copy-pasted.
+ * @param {string} [deps.engineType] - what the live entries record: 'tmux', or 'ssh'
+ *   when `tmuxEngine` is an engines/ssh.js engine for one remote host. The rule and
+ *   the rollback are the same either way; only the engine's transport differs.
+ * @param {Function} [deps.killHint] - id → the manual reclaim command for a left-alone id,
+ *   when `tmux -S <socketPath>` is not it (a remote host's tmux).
  * @param {{cols?: number, rows?: number}} [deps.size]
  * @returns {{found: string[], reattached: string[], leftAlone: string[], reclaimed: string[], failed: string[]}}
  */
@@ -96,6 +101,8 @@ function reattachSurvivingTmuxSessions({
   handleShellGone,
   recordRecentSession,
   socketPath = null,
+  engineType = 'tmux',
+  killHint = null,
   size = {},
 }) {
   const summary = { found: [], reattached: [], leftAlone: [], reclaimed: [], failed: [] };
@@ -117,7 +124,7 @@ function reattachSurvivingTmuxSessions({
     if (action === 'leave-alone') {
       log(`tmux: session ${id} is on our socket but absent from state.json — leaving it ` +
           `alone (not ours to kill). Reclaim it manually with: ` +
-          `tmux${socketPath ? ` -S ${socketPath}` : ''} kill-session -t ds-${id}`);
+          (killHint ? killHint(id) : `tmux${socketPath ? ` -S ${socketPath}` : ''} kill-session -t ds-${id}`));
       summary.leftAlone.push(id);
       continue;
     }
@@ -170,7 +177,7 @@ function reattachSurvivingTmuxSessions({
         clients: new Set(),
         agentType: meta.agentType || 'claude',
         engine: tmuxEngine,
-        engineType: 'tmux',
+        engineType,
         restored: true,
         waitingForInput: false,
         lastActivity: meta.lastActivity || Date.now(),
@@ -0,0 +1,165 @@
+/**
+ * Full-text search over session transcripts — the command palette's "find that
+ * conversation" box.
+ *
+ * terminal-search.js searches one tab's xterm buffer, which is only what is still on
+ * screen in a tab that is still open. The conversation the user is actually looking
+ * for ("the session where we fixed the flaky restore test") is usually closed, and
+ * its record is the agent's transcript on disk. This module keeps a per-file cache of
+ * each transcript's user/assistant turns and scans it per query.
+ *
+ * Deliberately not an inverted index: a few hundred sessions' worth of turns is a
+ * few MB of text, a substring scan over that is milliseconds, and substring matching
+ * finds `restoreSessions` from `restoreSess` where a tokenizer would not. What is
+ * expensive is reading and parsing the JSONL, so that is what is cached — keyed by
+ * path, invalidated by mtime+size, and evicted when a file stops being a source.
+ *
+ * The caller (server.js) decides WHICH transcripts are sources — every live shell,
+ * state.json record (saved or tombstoned) and recent-sessions row it can locate a
+ * file for — and passes them in per search. This module never walks ~/.claude on
+ * its own, so it only ever searches conversations deepsteve spawned.
+ *
+ * Tool calls and their output are not indexed: they dominate transcript size, and a
+ * hit on a line of `npm test` output is noise next to the turn that discussed it.
+ */
+
+const fs = require('fs');
+
+const MAX_TURN_CHARS = 20000;       // a pasted log in a prompt is searchable, not unbounded
+const SNIPPET_CHARS = 160;
+const DEFAULT_LIMIT = 30;
+const PER_SESSION_HITS = 3;         // so one long session can't fill the whole list
+const MIN_QUERY_CHARS = 2;
+
+/**
+ * Split a query into lowercase terms. "Quoted phrases" stay one term; every term
+ * must appear in the same turn.
+ */
+function parseQuery(q) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || '')))) {
+    const t = (m[1] || m[2]).trim().toLowerCase();
+    if (t) terms.push(t);
+  }
+  return terms;
+}
+
+/** The turns worth searching, from a parsed transcript's items. */
+function turnsFromItems(items) {
+  const turns = [];
+  for (const item of items || []) {
+    if (item.type !== 'message' || !item.text) continue;
+    const text = item.text.length > MAX_TURN_CHARS ? item.text.slice(0, MAX_TURN_CHARS) : item.text;
+    turns.push({ index: turns.length, role: item.role, timestamp: item.timestamp || null, text, lower: text.toLowerCase() });
+  }
+  return turns;
+}
+
+/**
+ * A window of the turn around the first term's first hit, with every term's hits
+ * inside it as [start, end) ranges relative to the snippet.
+ */
+function makeSnippet(turn, terms, width = SNIPPET_CHARS) {
+  const first = turn.lower.indexOf(terms[0]);
+  let start = Math.max(0, first - Math.floor((width - terms[0].length) / 3));
+  const end = Math.min(turn.text.length, start + width);
+  start = Math.max(0, Math.min(start, end - width));
+  const raw = turn.text.slice(start, end);
+  // Collapse whitespace for display, keeping an offset map so highlight ranges line
+  // up with the collapsed text.
+  let snippet = '';
+  const map = [];
+  for (let i = 0; i < raw.length; i++) {
+    const ch = /\s/.test(raw[i]) ? ' ' : raw[i];
+    if (ch === ' ' && snippet.endsWith(' ')) { map.push(snippet.length - 1); continue; }
+    map.push(snippet.length);
+    snippet += ch;
+  }
+  const lowerRaw = raw.toLowerCase();
+  const highlights = [];
+  for (const term of terms) {
+    let at = lowerRaw.indexOf(term);
+    while (at !== -1) {
+      highlights.push([map[at], map[at + term.length - 1] + 1]);
+      at = lowerRaw.indexOf(term, at + term.length);
+    }
+  }
+  highlights.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const h of highlights) {
+    const last = merged[merged.length - 1];
+    if (last && h[0] <= last[1]) last[1] = Math.max(last[1], h[1]);
+    else merged.push([...h]);
+  }
+  const lead = start > 0 ? '…' : '';
+  const tail = end < turn.text.length ? '…' : '';
+  return {
+    snippet: lead + snippet + tail,
+    highlights: merged.map(([s, e]) => [s + lead.length, e + lead.length]),
+  };
+}
+
+function timeOf(ts, fallback) {
+  const t = ts ? Date.parse(ts) : NaN;
+  return Number.isNaN(t) ? fallback : t;
+}
+
+/**
+ * The cache + search. `parse(text, agentType)` returns a transcript's items (see
+ * transcript-export.js); fs access is injectable for tests.
+ */
+function createTranscriptIndex({ parse, maxBytes = 64 * 1024 * 1024, fsp = fs.promises } = {}) {
+  const cache = new Map(); // file → { mtimeMs, size, turns }
+
+  async function turnsFor(source) {
+    let st;
+    try { st = await fsp.stat(source.file); } catch { cache.delete(source.file); return []; }
+    const hit = cache.get(source.file);
+    if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.turns;
+    if (st.size > maxBytes) { cache.set(source.file, { mtimeMs: st.mtimeMs, size: st.size, turns: [] }); return []; }
+    let turns = [];
+    try {
+      turns = turnsFromItems(parse(await fsp.readFile(source.file, 'utf8'), source.agentType));
+    } catch { /* unreadable now; retried when its mtime moves */ }
+    cache.set(source.file, { mtimeMs: st.mtimeMs, size: st.size, turns });
+    return turns;
+  }
+
+  /**
+   * Search `sources` ([{ file, agentType, ...anything }]) for `query`. Files are read
+   * one at a time: a first search after startup parses every transcript, and doing
+   * that in parallel would hold them all in memory at once.
+   * Returns { results: [{ source, turn: {index, role, timestamp, snippet, highlights}, at }], searched }.
+   */
+  async function search(sources, query, { limit = DEFAULT_LIMIT, perSession = PER_SESSION_HITS } = {}) {
+    const terms = parseQuery(query);
+    const live = new Set(sources.map(s => s.file));
+    for (const file of cache.keys()) if (!live.has(file)) cache.delete(file);
+    if (!terms.length || terms.join(' ').length < MIN_QUERY_CHARS) return { results: [], searched: 0 };
+
+    const results = [];
+    for (const source of sources) {
+      const turns = await turnsFor(source);
+      const hits = [];
+      // Newest turns first: "resume here" is most useful on the latest mention.
+      for (let i = turns.length - 1; i >= 0 && hits.length < perSession; i--) {
+        const turn = turns[i];
+        if (!terms.every(t => turn.lower.includes(t))) continue;
+        hits.push({
+          source,
+          at: timeOf(turn.timestamp, source.updatedAt || 0),
+          turn: { index: turn.index, role: turn.role, timestamp: turn.timestamp, ...makeSnippet(turn, terms) },
+        });
+      }
+      results.push(...hits);
+    }
+    results.sort((a, b) => b.at - a.at);
+    return { results: results.slice(0, limit), searched: sources.length };
+  }
+
+  return { search, size: () => cache.size };
+}
+
+module.exports = { parseQuery, turnsFromItems, makeSnippet, createTranscriptIndex };
@@ -0,0 +1,169 @@
+/**
+ * Inbound triggers — something outside deepsteve (a local CI job, a git hook, a
+ * monitoring script) starting an agent session with one HTTP POST:
+ *
+ *   curl -X POST http://localhost:3000/api/triggers/ci-failed/fire \
+ *        -H "Authorization: Bearer <trigger token>" \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"job": "unit", "log": "…"}'
+ *
+ * A trigger is plain JSON, kept in the `triggers` setting:
+ *
+ *   { "id": "ci-failed", "automation": "triage-ci",
+ *     "template": "CI job {{payload.job}} failed. Output:\n{{payload.log}}" }
+ *
+ *   id             the handle in the URL
+ *   task           a scheduled task id to run, or
+ *   automation     a saved automation (~/.deepsteve/automations/<id>.md) to start
+ *   template       what the payload adds to the target's prompt: {{payload}} is the
+ *                  whole body as JSON, {{payload.a.b}} one field. Omitted = the body
+ *                  as a JSON block
+ *   token          the bearer secret for this trigger alone; generated when missing
+ *   maxConcurrent  live sessions this trigger may have at once (default 1)
+ *   rateLimit      { count, perMinutes }: accepted fires per sliding window
+ *   enabled        false refuses fires without deleting the trigger
+ *
+ * The token is per trigger, not the install token, so a CI job that can start one
+ * automation can't drive every shell on the machine. The fire route is the one
+ * /api route that sits in front of security.js's authGate (server.js), and this
+ * token is the only credential it takes.
+ *
+ * The payload is whatever the caller sent, and it lands in an agent's prompt — it
+ * is untrusted input, and a template should present it as data, not as orders.
+ *
+ * Which fires are let through and what the prompt says are here; the fire log and
+ * the spawning are mods/scheduled-tasks/tools.js. Pure apart from node:crypto.
+ */
+
+const crypto = require('crypto');
+
+const ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+const TARGET_ID_RE = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/; // server.js AUTOMATION_ID_RE; task ids are 8 hex chars
+const DEFAULT_RATE_LIMIT = { count: 10, perMinutes: 60 };
+// The fire log keeps MAX_FIRES_PER_TRIGGER rows per trigger, and the rate limit is
+// counted from that log — so a window can never hold more fires than it keeps.
+const MAX_FIRES_PER_TRIGGER = 50;
+const MAX_CONCURRENT = 10;
+const MAX_BODY_BYTES = 256 * 1024;
+// A CI log pasted whole would bury the instructions it was sent with. Each
+// substitution, and the default JSON block, is cut to this.
+const MAX_FIELD_CHARS = 16000;
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) && n >= min ? Math.min(n, max) : fallback;
+}
+
+/** Triggers from untrusted JSON, with ids and tokens filled in; null when unreadable. */
+function sanitizeTriggers(raw, { randomId = () => crypto.randomBytes(4).toString('hex'), randomToken = () => crypto.randomBytes(24).toString('hex') } = {}) {
+  if (!Array.isArray(raw)) return null;
+  const out = [];
+  const ids = new Set();
+  for (const t of raw) {
+    if (!t || typeof t !== 'object') continue;
+    // Exactly one target. Both or neither is a trigger that can't say what it starts.
+    const task = typeof t.task === 'string' && TARGET_ID_RE.test(t.task) ? t.task : null;
+    const automation = typeof t.automation === 'string' && TARGET_ID_RE.test(t.automation) ? t.automation : null;
+    if (!task === !automation) continue;
+    let id = typeof t.id === 'string' && ID_RE.test(t.id) ? t.id : randomId();
+    while (ids.has(id)) id = randomId();
+    ids.add(id);
+    const rate = t.rateLimit && typeof t.rateLimit === 'object' ? t.rateLimit : {};
+    out.push({
+      id,
+      ...(task ? { task } : { automation }),
+      ...(typeof t.template === 'string' && t.template.trim() ? { template: t.template } : {}),
+      token: typeof t.token === 'string' && t.token.trim().length >= 16 ? t.token.trim() : randomToken(),
+      maxConcurrent: clampInt(t.maxConcurrent, 1, MAX_CONCURRENT, 1),
+      rateLimit: {
+        count: clampInt(rate.count, 1, MAX_FIRES_PER_TRIGGER, DEFAULT_RATE_LIMIT.count),
+        perMinutes: clampInt(rate.perMinutes, 1, 24 * 60, DEFAULT_RATE_LIMIT.perMinutes),
+      },
+      enabled: t.enabled !== false,
+    });
+  }
+  return out;
+}
+
+/** Whether `candidate` is this trigger's token. Constant-time, like security.js. */
+function tokenMatches(trigger, candidate) {
+  if (!trigger || typeof trigger.token !== 'string' || typeof candidate !== 'string' || !candidate) return false;
+  const a = crypto.createHash('sha256').update(trigger.token).digest();
+  const b = crypto.createHash('sha256').update(candidate).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function clip(s) {
+  return s.length > MAX_FIELD_CHARS ? `${s.slice(0, MAX_FIELD_CHARS)}\n…(truncated, ${s.length - MAX_FIELD_CHARS} more characters)` : s;
+}
+
+function stringify(v) {
+  if (v === undefined || v === null) return '';
+  return typeof v === 'string' ? v : JSON.stringify(v, null, 2);
+}
+
+/**
+ * `template` with {{payload}} and {{payload.a.b}} filled in from `payload`. A path
+ * that isn't there renders empty; anything that isn't a string renders as JSON.
+ * Only `payload` paths are recognised — any other {{…}} is left as written.
+ */
+function renderTemplate(template, payload) {
+  return String(template).replace(/\{\{\s*payload((?:\.[A-Za-z0-9_$-]+)*)\s*\}\}/g, (_, pathStr) => {
+    let v = payload;
+    for (const key of pathStr.split('.').slice(1)) {
+      v = v !== null && typeof v === 'object' && Object.prototype.hasOwnProperty.call(v, key) ? v[key] : undefined;
+    }
+    return clip(stringify(v));
+  });
+}
+
+/**
+ * What a fire adds to its target's prompt: the trigger's template rendered against
+ * the payload, or, with no template, the payload itself as a JSON block. Empty when
+ * there is neither a template nor a payload.
+ */
+function triggerPrompt(trigger, payload) {
+  if (trigger.template) return renderTemplate(trigger.template, payload);
+  const empty = payload === undefined || payload === null
+    || (typeof payload === 'object' && !Array.isArray(payload) && !Object.keys(payload).length);
+  if (empty) return '';
+  return `This run was started by the "${trigger.id}" trigger. The caller sent:\n\n\`\`\`json\n${clip(JSON.stringify(payload, null, 2))}\n\`\`\``;
+}
+
+/**
+ * Whether a fire may start a session now, given this trigger's earlier fires
+ * (newest first, any order works): null to go ahead, or { status: 'rate-limited',
+ * retryAfterMs } / { status: 'busy', live } to refuse. Only fires that started
+ * something count against the rate limit; `isLive(sessionId)` says which of them
+ * still have a session, for maxConcurrent.
+ */
+function admitFire(trigger, fires, { now = Date.now(), isLive = () => false } = {}) {
+  const started = (fires || []).filter(f => f.status === 'started');
+  const { count, perMinutes } = trigger.rateLimit || DEFAULT_RATE_LIMIT;
+  const windowStart = now - perMinutes * 60e3;
+  const inWindow = started.filter(f => f.at > windowStart).map(f => f.at).sort((a, b) => a - b);
+  if (inWindow.length >= count) {
+    // The window frees a slot when the oldest fire in it ages out.
+    return { status: 'rate-limited', retryAfterMs: Math.max(1000, inWindow[inWindow.length - count] - windowStart) };
+  }
+  const live = started.filter(f => f.sessionId && isLive(f.sessionId)).length;
+  if (live >= (trigger.maxConcurrent || 1)) return { status: 'busy', live };
+  return null;
+}
+
+/** A trigger as the UI and the history page see it: everything but the token. */
+function triggerView(trigger) {
+  const { token, ...rest } = trigger;
+  return rest;
+}
+
+module.exports = {
+  MAX_FIRES_PER_TRIGGER,
+  MAX_BODY_BYTES,
+  sanitizeTriggers,
+  tokenMatches,
+  renderTemplate,
+  triggerPrompt,
+  admitFire,
+  triggerView,
+};
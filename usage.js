@@ -0,0 +1,282 @@
+/**
+ * Token usage and estimated cost, totalled from the agents' own transcripts.
+ *
+ * The screen classifier sees `↓ 18.3k tokens` on a spinner line, but that is one
+ * turn, in flight, of one tab — it is gone when the turn ends and was never there
+ * for a session nobody was watching. The transcripts are the durable record: every
+ * Claude assistant line carries the API `usage` block for its request, and a Codex
+ * rollout logs a running `token_count` event. This module reads those and nothing
+ * else, so "what did this cost" has the same answer for a live tab, a closed one,
+ * and a scheduled run that opened and closed overnight.
+ *
+ * Three stages, all pure except the cache:
+ *
+ *   parse     — transcript text → usage records
+ *                 { timestamp, model, input, output, cacheWrite, cacheRead }
+ *               `input` is uncached input only, for both agents, so the four
+ *               counts add up to the request's total and each has one price.
+ *   price     — a record's estimated USD cost from PRICING (list prices per
+ *               million tokens). An unknown model costs null, not 0: the panel
+ *               says "unpriced" rather than quietly under-reporting.
+ *   aggregate — the caller's sessions (each with its records and labels) → totals
+ *               by session, context (project), agent, scheduled task and day.
+ *
+ * The caller (mods/usage/tools.js) decides which transcripts count, exactly as
+ * server.js does for transcript search: only sessions deepsteve spawned.
+ *
+ * Root-level *.js ships with no packaging change (same as screen-classifier.js).
+ */
+
+const fs = require('fs');
+const { jsonLines } = require('./transcript-export');
+
+// USD per million tokens, first match wins — so a specific id must precede the
+// family it belongs to. Estimates at list price: a plan subscription, batch or
+// priority tier bills differently, and the panel says "estimated" for that reason.
+// Claude cache writes are the 5-minute tier (1.25x input), reads 0.1x input.
+const PRICING = [
+  { match: 'claude-opus-4-1', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: 'claude-opus-4-2025', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: 'claude-3-opus', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: 'opus', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: 'sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: 'claude-3-5-haiku', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { match: 'haiku', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: 'gpt-5-nano', input: 0.05, output: 0.4, cacheWrite: 0, cacheRead: 0.005 },
+  { match: 'gpt-5-mini', input: 0.25, output: 2, cacheWrite: 0, cacheRead: 0.025 },
+  { match: 'gpt-5', input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.125 },
+  { match: 'o4-mini', input: 1.1, output: 4.4, cacheWrite: 0, cacheRead: 0.275 },
+  { match: 'gpt-4.1', input: 2, output: 8, cacheWrite: 0, cacheRead: 0.5 },
+];
+
+const PERIODS = ['today', '7d', '30d', 'all'];
+
+const num = (v) => (Number.isFinite(v) && v > 0 ? v : 0);
+
+// --- Parsing -----------------------------------------------------------------
+
+/**
+ * Claude Code writes one JSONL line per content block, and every line of a
+ * multi-block response repeats the same `usage` — so records are keyed by
+ * message id (+ request id) and the last line of each wins. Sidechain (subagent)
+ * lines are kept: they are billed like any other request. `<synthetic>` lines are
+ * Claude Code's own placeholders and have no request behind them.
+ */
+function parseClaudeUsage(text) {
+  const byMessage = new Map();
+  for (const obj of jsonLines(text)) {
+    if (obj.type !== 'assistant' || !obj.message || !obj.message.usage) continue;
+    const m = obj.message;
+    if (m.model === '<synthetic>') continue;
+    const u = m.usage;
+    const key = m.id ? `${m.id}:${obj.requestId || ''}` : `line:${byMessage.size}`;
+    byMessage.set(key, {
+      timestamp: obj.timestamp || null,
+      model: m.model || null,
+      input: num(u.input_tokens),
+      output: num(u.output_tokens),
+      cacheWrite: num(u.cache_creation_input_tokens),
+      cacheRead: num(u.cache_read_input_tokens),
+    });
+  }
+  return [...byMessage.values()].filter(r => r.input + r.output + r.cacheWrite + r.cacheRead > 0);
+}
+
+/**
+ * Codex logs `token_count` events carrying the session's cumulative
+ * `total_token_usage`, often several with the same total in a row. The record for
+ * each event is the difference from the previous total, so repeats add nothing and
+ * a resumed rollout (whose totals start over) is not double counted. OpenAI counts
+ * cached tokens inside input_tokens; they are split out here.
+ */
+function parseCodexUsage(text) {
+  const out = [];
+  let model = null;
+  let prev = { input: 0, cached: 0, output: 0 };
+  for (const obj of jsonLines(text)) {
+    const p = obj.payload || {};
+    if (obj.type === 'turn_context' && p.model) { model = p.model; continue; }
+    if (obj.type !== 'event_msg' || p.type !== 'token_count' || !p.info || !p.info.total_token_usage) continue;
+    const t = p.info.total_token_usage;
+    const cur = { input: num(t.input_tokens), cached: num(t.cached_input_tokens), output: num(t.output_tokens) };
+    // Totals went backwards: the counter restarted, so this event's total is all new.
+    const base = cur.input < prev.input || cur.output < prev.output ? { input: 0, cached: 0, output: 0 } : prev;
+    const input = cur.input - base.input;
+    const cached = Math.max(0, cur.cached - base.cached);
+    const output = cur.output - base.output;
+    prev = cur;
+    if (input + output <= 0) continue;
+    out.push({
+      timestamp: obj.timestamp || null,
+      model,
+      input: Math.max(0, input - cached),
+      output,
+      cacheWrite: 0,
+      cacheRead: Math.min(cached, input),
+    });
+  }
+  return out;
+}
+
+function parseUsage(text, agentType) {
+  return agentType === 'codex' ? parseCodexUsage(text) : parseClaudeUsage(text);
+}
+
+// --- Pricing -----------------------------------------------------------------
+
+/** The PRICING row for a model id, or null. `overrides` rows are tried first. */
+function priceFor(model, overrides = []) {
+  if (!model) return null;
+  const id = String(model).toLowerCase();
+  return [...overrides, ...PRICING].find(p => p && p.match && id.includes(String(p.match).toLowerCase())) || null;
+}
+
+/** Estimated USD for one record, or null when its model has no price. */
+function costOf(rec, overrides = []) {
+  const p = priceFor(rec.model, overrides);
+  if (!p) return null;
+  return (rec.input * num(p.input) + rec.output * num(p.output)
+    + rec.cacheWrite * num(p.cacheWrite) + rec.cacheRead * num(p.cacheRead)) / 1e6;
+}
+
+// --- Aggregation -------------------------------------------------------------
+
+/** Local calendar day of a timestamp, 'YYYY-MM-DD' — budgets reset at local midnight. */
+function dayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** Start of a period ('today' | '7d' | '30d' | 'all'), as epoch ms; 0 for 'all'. */
+function periodStart(period, now = Date.now()) {
+  if (period === 'all') return 0;
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  const days = period === '30d' ? 29 : period === '7d' ? 6 : 0;
+  // setDate, not subtracting 24h multiples: a DST change inside the window would shift it an hour.
+  midnight.setDate(midnight.getDate() - days);
+  return midnight.getTime();
+}
+
+function emptyBucket(key, label) {
+  return { key, label: label || key, input: 0, output: 0, cacheWrite: 0, cacheRead: 0, tokens: 0, cost: 0, unpricedTokens: 0, requests: 0 };
+}
+
+function addTo(bucket, rec, cost) {
+  const tokens = rec.input + rec.output + rec.cacheWrite + rec.cacheRead;
+  bucket.input += rec.input;
+  bucket.output += rec.output;
+  bucket.cacheWrite += rec.cacheWrite;
+  bucket.cacheRead += rec.cacheRead;
+  bucket.tokens += tokens;
+  bucket.requests++;
+  if (cost === null) bucket.unpricedTokens += tokens;
+  else bucket.cost += cost;
+}
+
+/**
+ * Total `sessions` — [{ ref, label, agentType, context, task, records }] where
+ * `context` is { key, label } and `task` is null or { id, title, runStartedAt } —
+ * over the records timestamped in [since, until). A record with no timestamp
+ * counts only toward an unbounded ('all') window.
+ *
+ * Every breakdown is a list of buckets sorted by cost, then tokens, descending.
+ * `tasks` additionally lists each task's runs, newest first.
+ */
+function aggregateUsage(sessions, { since = 0, until = Infinity, pricing = [] } = {}) {
+  const totals = emptyBucket('total', 'Total');
+  const maps = { sessions: new Map(), contexts: new Map(), agents: new Map(), tasks: new Map(), days: new Map() };
+  const bucket = (map, key, label, extra) => {
+    if (!map.has(key)) map.set(key, Object.assign(emptyBucket(key, label), extra));
+    return map.get(key);
+  };
+
+  for (const s of sessions) {
+    for (const rec of s.records || []) {
+      const at = rec.timestamp ? Date.parse(rec.timestamp) : NaN;
+      if (Number.isNaN(at) ? since > 0 : (at < since || at >= until)) continue;
+      const cost = costOf(rec, pricing);
+      addTo(totals, rec, cost);
+      const agent = s.agentType || 'claude';
+      addTo(bucket(maps.sessions, s.ref, s.label, { agentType: agent, context: s.context ? s.context.label : null }), rec, cost);
+      if (s.context) addTo(bucket(maps.contexts, s.context.key, s.context.label), rec, cost);
+      addTo(bucket(maps.agents, agent, agent), rec, cost);
+      if (s.task) {
+        const t = bucket(maps.tasks, s.task.id, s.task.title, { runs: new Map() });
+        addTo(t, rec, cost);
+        addTo(bucket(t.runs, s.ref, s.label, { startedAt: s.task.runStartedAt || null }), rec, cost);
+      }
+      if (!Number.isNaN(at)) addTo(bucket(maps.days, dayKey(at), dayKey(at)), rec, cost);
+    }
+  }
+
+  const sorted = (map) => [...map.values()].sort((a, b) => (b.cost - a.cost) || (b.tokens - a.tokens));
+  return {
+    totals,
+    sessions: sorted(maps.sessions),
+    contexts: sorted(maps.contexts),
+    agents: sorted(maps.agents),
+    tasks: sorted(maps.tasks).map(t => ({ ...t, runs: [...t.runs.values()].sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0)) })),
+    days: [...maps.days.values()].sort((a, b) => a.key.localeCompare(b.key)),
+  };
+}
+
+/**
+ * Should a daily budget alert fire? Once per local day, the first time today's
+ * estimated spend reaches the budget. A budget of 0 (or unset) is off.
+ */
+function budgetExceeded({ budget, spentToday, today, lastAlertDay }) {
+  return num(budget) > 0 && spentToday >= budget && lastAlertDay !== today;
+}
+
+// --- Cache -------------------------------------------------------------------
+
+/**
+ * Per-file record cache, keyed by path and invalidated by mtime+size, like
+ * transcript-search.js's: parsing the JSONL is the expensive part, and a closed
+ * session's transcript never changes again. Files that stop being sources are
+ * evicted on the next read.
+ */
+function createUsageIndex({ maxBytes = 64 * 1024 * 1024, fsp = fs.promises } = {}) {
+  const cache = new Map(); // file → { mtimeMs, size, records }
+
+  async function recordsFor(source) {
+    let st;
+    try { st = await fsp.stat(source.file); } catch { cache.delete(source.file); return []; }
+    const hit = cache.get(source.file);
+    if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.records;
+    let records = [];
+    if (st.size <= maxBytes) {
+      try { records = parseUsage(await fsp.readFile(source.file, 'utf8'), source.agentType); }
+      catch { /* unreadable now; retried when its mtime moves */ }
+    }
+    cache.set(source.file, { mtimeMs: st.mtimeMs, size: st.size, records });
+    return records;
+  }
+
+  /** `sources` ([{ file, agentType, ...}]) → the same objects with `records` attached. Sequential, for memory. */
+  async function load(sources) {
+    const live = new Set(sources.map(s => s.file));
+    for (const file of cache.keys()) if (!live.has(file)) cache.delete(file);
+    const out = [];
+    for (const source of sources) out.push({ ...source, records: await recordsFor(source) });
+    return out;
+  }
+
+  return { load, size: () => cache.size };
+}
+
+module.exports = {
+  PRICING,
+  PERIODS,
+  parseClaudeUsage,
+  parseCodexUsage,
+  parseUsage,
+  priceFor,
+  costOf,
+  dayKey,
+  periodStart,
+  aggregateUsage,
+  budgetExceeded,
+  createUsageIndex,
+};
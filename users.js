@@ -0,0 +1,150 @@
+/**
+ * Named users with their own tokens and a role — for a dev box several people share.
+ *
+ * Without any users, deepsteve is what it always was: one per-install token
+ * (security.js), handed to loopback page loads as a cookie, with full control. Adding
+ * the first user turns on multi-user mode: each person signs in at /login with their
+ * own token, and what they can do follows their role:
+ *
+ *   viewer   — watch: read-only API (GET), attach to a session without typing into it
+ *   operator — work: open, drive and close sessions, everything a tab can do
+ *   admin    — run the install: settings, mods, users, restart, killall, meta_type
+ *
+ * The install token stays valid in both modes and is always admin — agents, the MCP
+ * config and the CLI authenticate with it. That is also why roles are not a sandbox:
+ * an operator can run commands as the user the daemon runs as, and so can read that
+ * token. The split keeps people from reaching settings they should not change; only
+ * `viewer` — no shell at all — is a hard boundary.
+ *
+ * Only a SHA-256 of each token is stored (~/.deepsteve/users.json, 0600); a token is
+ * shown once, when it is created or rotated.
+ *
+ * Root-level *.js ships with no packaging change (same as share-links.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+// Names are case-folded, so "Alice" and "alice" can't be two people in the audit trail.
+const NAME_RE = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+// Reserved for the install token's principal, so the audit trail can't be forged by
+// naming a user after it.
+const OWNER_NAME = 'owner';
+
+function roleAtLeast(role, min) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(min);
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * The user store. Mutators return `{ error }` for anything a caller could fix (an
+ * unknown role, a taken name), so routes and the CLI can pass the message straight on.
+ */
+function createUserStore({ file, now = Date.now, fsImpl = fs, log = () => {} }) {
+  const users = new Map();   // name → { name, role, tokenHash, createdAt }
+  const byHash = new Map();  // tokenHash → name
+  const lastSeen = new Map(); // name → ms; in memory only, so a GET doesn't write a file
+
+  try {
+    const saved = JSON.parse(fsImpl.readFileSync(file, 'utf8'));
+    for (const u of Array.isArray(saved) ? saved : []) {
+      if (!u || !NAME_RE.test(u.name) || !ROLES.includes(u.role) || typeof u.tokenHash !== 'string') continue;
+      users.set(u.name, { name: u.name, role: u.role, tokenHash: u.tokenHash, createdAt: u.createdAt || null });
+      byHash.set(u.tokenHash, u.name);
+    }
+  } catch { /* single-user install */ }
+
+  function save() {
+    try {
+      fsImpl.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = file + '.tmp';
+      fsImpl.writeFileSync(tmp, JSON.stringify([...users.values()], null, 2), { mode: 0o600 });
+      fsImpl.renameSync(tmp, file);
+    } catch (e) {
+      log(`[users] could not save users: ${e.message}`);
+    }
+  }
+
+  function view(u) {
+    return { name: u.name, role: u.role, createdAt: u.createdAt, lastSeenAt: lastSeen.get(u.name) || null };
+  }
+
+  function issueToken(u) {
+    if (u.tokenHash) byHash.delete(u.tokenHash);
+    const token = crypto.randomBytes(32).toString('hex');
+    u.tokenHash = hashToken(token);
+    byHash.set(u.tokenHash, u.name);
+    return token;
+  }
+
+  function list() {
+    return [...users.values()].sort((a, b) => a.name.localeCompare(b.name)).map(view);
+  }
+
+  function add(name, role) {
+    name = normalizeName(name);
+    if (!NAME_RE.test(name)) return { error: 'A user name is 1-32 letters, digits, ".", "_" or "-"' };
+    if (name === OWNER_NAME) return { error: `"${OWNER_NAME}" is the install token's name` };
+    if (users.has(name)) return { error: `There is already a user "${name}"` };
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    const u = { name, role, tokenHash: null, createdAt: now() };
+    users.set(name, u);
+    const token = issueToken(u);
+    save();
+    return { user: view(u), token };
+  }
+
+  function setRole(name, role) {
+    const u = users.get(normalizeName(name));
+    if (!u) return { error: `No user "${name}"` };
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    u.role = role;
+    save();
+    return { user: view(u) };
+  }
+
+  /** A new token for `name`; the old one stops working at once. */
+  function rotate(name) {
+    const u = users.get(normalizeName(name));
+    if (!u) return { error: `No user "${name}"` };
+    const token = issueToken(u);
+    save();
+    return { user: view(u), token };
+  }
+
+  function remove(name) {
+    const u = users.get(normalizeName(name));
+    if (!u) return { error: `No user "${name}"` };
+    users.delete(u.name);
+    byHash.delete(u.tokenHash);
+    lastSeen.delete(u.name);
+    save();
+    return { user: view(u) };
+  }
+
+  /** The user a token belongs to, as { name, role }, or null. */
+  function resolve(token) {
+    if (!token || typeof token !== 'string') return null;
+    const u = users.get(byHash.get(hashToken(token)));
+    if (!u) return null;
+    lastSeen.set(u.name, now());
+    return { name: u.name, role: u.role };
+  }
+
+  return {
+    list, add, setRole, rotate, remove, resolve,
+    get size() { return users.size; },
+  };
+}
+
+module.exports = { createUserStore, roleAtLeast, ROLES, OWNER_NAME };
@@ -0,0 +1,789 @@
+/**
+ * The Baby Browser proxy: /api/proxy/<session>/<scheme>/<host>/<path> (mods/baby-browser).
+ *
+ * Baby Browser shows a page in an iframe on deepsteve's own origin, which only works if
+ * every request the page makes comes back through here. So this is a small forward
+ * proxy, not a fetch-one-page endpoint:
+ *
+ *   - The target lives in the PATH, not a ?url= query, so a relative URL the page builds
+ *     at run time (`./chunk.js`, an ES module import) resolves under the proxy by itself.
+ *     GET /api/proxy?url= still works and redirects into this form.
+ *   - Each Baby Browser tab has a session (the first path segment) with its own cookie
+ *     jar: Set-Cookie is kept here and replayed to the site, never stored in the user's
+ *     browser, where it would land on deepsteve's origin. Sessions live in memory only
+ *     and are dropped after SESSION_IDLE_MS.
+ *   - Every method is forwarded, bodies streamed. Request headers pass through an
+ *     allowlist (REQUEST_HEADERS) — in particular deepsteve's own cookie never leaves —
+ *     and response headers through a blocklist (RESPONSE_DROP) of the ones that would
+ *     stop the page from framing, or act on deepsteve's origin (Clear-Site-Data, HSTS).
+ *   - HTML and CSS are rewritten: every URL attribute, srcset, inline style and <style>
+ *     block, CSS url() and @import, meta refresh and Location. JavaScript is not; instead
+ *     an injected shim (proxyShim) routes fetch, XHR, WebSocket, EventSource, sendBeacon,
+ *     window.open, history and the src/href setters through the proxy, and gives the
+ *     page a document.cookie backed by the jar. WebSockets are relayed by upgrade().
+ *
+ * It is not a way into the LAN. A target whose name resolves to a loopback, private,
+ * link-local or otherwise non-public address is refused unless it matches the
+ * `proxyAllowedHosts` setting (`localhost:5173`, `*.lan`, `192.168.1.0/24`) — and the
+ * connection goes to the address that was checked, so a DNS answer that changes between
+ * the check and the connect (rebinding) can't slip past it.
+ *
+ * What it can't fix: the page runs on deepsteve's origin and sees /api/proxy/… as its
+ * location, so a single-page app that routes on location.pathname gets confused. Those
+ * pages are what the headless backend (mods/baby-browser/headless.js) is for.
+ */
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const PROXY_PREFIX = '/api/proxy/';
+const COOKIE_ROUTE = '/api/proxy-cookie/';
+const SESSION_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_SESSION = 'shared';
+const SESSION_IDLE_MS = 12 * 60 * 60 * 1000;
+const MAX_SESSIONS = 32;
+const MAX_COOKIES = 500;
+const MAX_COOKIE_BYTES = 4096;
+const MAX_REWRITE_BYTES = 15 * 1024 * 1024;
+const UPSTREAM_TIMEOUT_MS = 30000;
+const MAX_ALLOWED_HOSTS = 100;
+
+// Request headers a page may send on to the site. Everything else is dropped: Cookie
+// (deepsteve's), Host/Origin/Referer (rewritten below), hop-by-hop and forwarding headers.
+const REQUEST_HEADERS = new Set([
+  'accept', 'accept-language', 'authorization', 'cache-control', 'content-length', 'content-type',
+  'dnt', 'if-match', 'if-modified-since', 'if-none-match', 'if-range', 'if-unmodified-since',
+  'pragma', 'range', 'user-agent', 'x-requested-with',
+]);
+const REQUEST_X_DROP = /^x-(forwarded-|real-ip|deepsteve)/;
+
+// Response headers that must not reach the browser through deepsteve's origin.
+const RESPONSE_DROP = new Set([
+  'alt-svc', 'clear-site-data', 'connection', 'content-security-policy', 'content-security-policy-report-only',
+  'cross-origin-embedder-policy', 'cross-origin-opener-policy', 'cross-origin-resource-policy', 'keep-alive',
+  'link', 'nel', 'proxy-authenticate', 'public-key-pins', 'report-to', 'service-worker-allowed', 'set-cookie',
+  'strict-transport-security', 'transfer-encoding', 'upgrade', 'x-frame-options',
+]);
+
+function proxyError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// --- which hosts may be reached ---
+
+// Everything that is not the public internet. ::ffff:a.b.c.d is checked as the IPv4
+// address it carries, so a mapped literal can't dodge the IPv4 ranges.
+const NON_PUBLIC = new net.BlockList();
+for (const [net4, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) NON_PUBLIC.addSubnet(net4, bits, 'ipv4');
+for (const [net6, bits] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC.addSubnet(net6, bits, 'ipv6');
+}
+
+/** Whether an IP address is loopback, private, link-local, reserved or otherwise not public. */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return NON_PUBLIC.check(mapped[1], 'ipv4');
+  const family = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+  return family ? NON_PUBLIC.check(address, family) : true;
+}
+
+function parseCidr(entry) {
+  const m = /^([0-9a-f.:]+)\/(\d{1,3})$/i.exec(entry);
+  if (!m) return null;
+  const family = net.isIPv4(m[1]) ? 'ipv4' : net.isIPv6(m[1]) ? 'ipv6' : null;
+  const bits = Number(m[2]);
+  if (!family || bits > (family === 'ipv4' ? 32 : 128)) return null;
+  return { address: m[1], bits, family };
+}
+
+/**
+ * Normalize `proxyAllowedHosts`: a list (or newline/comma-separated text) of
+ * `host`, `host:port`, `*.domain`, `*.domain:port`, or an IP CIDR. null when unreadable.
+ */
+function sanitizeAllowedHosts(raw) {
+  const list = typeof raw === 'string' ? raw.split(/[\n,]/) : Array.isArray(raw) ? raw : null;
+  if (!list) return null;
+  const out = [];
+  for (const item of list) {
+    const entry = String(item || '').trim().toLowerCase();
+    if (!entry) continue;
+    if (parseCidr(entry) || /^(\*\.)?[a-z0-9.-]+(:\d{1,5})?$/.test(entry) || /^\[[0-9a-f:]+\](:\d{1,5})?$/.test(entry)) {
+      if (!out.includes(entry)) out.push(entry);
+    }
+  }
+  return out.slice(0, MAX_ALLOWED_HOSTS);
+}
+
+/** Whether `hostname` (port `port`), resolving to `addresses`, is on the allowlist. */
+function hostAllowed(entries, hostname, port, addresses = []) {
+  const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, '');
+  for (const entry of entries || []) {
+    const cidr = parseCidr(entry);
+    if (cidr) {
+      const list = new net.BlockList();
+      list.addSubnet(cidr.address, cidr.bits, cidr.family);
+      const candidates = net.isIP(host) ? [host] : addresses;
+      if (candidates.length && candidates.every(a => net.isIP(a) && list.check(a, net.isIPv6(a) ? 'ipv6' : 'ipv4'))) return true;
+      continue;
+    }
+    const m = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(entry);
+    if (!m) continue;
+    const pattern = m[1].replace(/^\[|\]$/g, '');
+    if (m[2] && Number(m[2]) !== Number(port)) continue;
+    if (pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern) return true;
+  }
+  return false;
+}
+
+// --- URLs ---
+
+function defaultPort(protocol) {
+  return protocol === 'https:' || protocol === 'wss:' ? 443 : 80;
+}
+
+/** The proxy path for an absolute http(s) or ws(s) URL, in session `sid`. */
+function proxyHref(url, sid) {
+  const u = url instanceof URL ? url : new URL(url);
+  return `${PROXY_PREFIX}${sid}/${u.protocol.slice(0, -1)}/${u.host}${u.pathname}${u.search}${u.hash}`;
+}
+
+/** `/api/proxy/<sid>/<scheme>/<host>/<path>?q` → { sid, target: URL }, or null. */
+function parseProxyPath(raw) {
+  const m = /^\/api\/proxy\/([A-Za-z0-9_-]{1,64})\/(https?|wss?)\/([^/?#]+)([^#]*)$/.exec(String(raw || ''));
+  if (!m) return null;
+  let rest = m[4] || '/';
+  if (!rest.startsWith('/')) rest = '/' + rest;
+  try {
+    const target = new URL(`${m[2]}://${m[3]}${rest}`);
+    return target.username || target.password ? null : { sid: m[1], target };
+  } catch {
+    return null;
+  }
+}
+
+// A URL as the page wrote it → what to put in the rewritten document.
+function rewriteUrl(value, base, sid) {
+  const v = String(value).trim();
+  if (!v || v.startsWith('#') || /^(data|blob|javascript|mailto|tel|sms|about):/i.test(v)) return value;
+  let abs;
+  try { abs = new URL(v, base); } catch { return value; }
+  return abs.protocol === 'http:' || abs.protocol === 'https:' ? proxyHref(abs, sid) : value;
+}
+
+// --- cookies ---
+
+function defaultCookiePath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const i = pathname.lastIndexOf('/');
+  return i <= 0 ? '/' : pathname.slice(0, i);
+}
+
+function domainMatches(host, domain) {
+  return host === domain || (host.endsWith('.' + domain) && !net.isIP(host));
+}
+
+function pathMatches(reqPath, cookiePath) {
+  return reqPath === cookiePath
+    || (reqPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || reqPath[cookiePath.length] === '/'));
+}
+
+/**
+ * One session's cookies, RFC 6265 minus the public-suffix list: a Domain attribute must
+ * cover the request host and contain a dot, which stops `Domain=com` but not
+ * `Domain=co.uk`. Good enough for one user's browsing; not a general-purpose jar.
+ */
+function createCookieJar({ now = Date.now } = {}) {
+  let cookies = [];
+
+  function prune() {
+    const t = now();
+    cookies = cookies.filter(c => c.expires === null || c.expires > t);
+  }
+
+  /** Apply one Set-Cookie (or document.cookie write, `fromScript`). Returns whether it applied. */
+  function set(url, header, { fromScript = false } = {}) {
+    const text = String(header || '');
+    if (text.length > MAX_COOKIE_BYTES) return false;
+    const [pair, ...attrs] = text.split(';');
+    const eq = pair.indexOf('=');
+    const name = (eq === -1 ? '' : pair.slice(0, eq)).trim();
+    const value = (eq === -1 ? pair : pair.slice(eq + 1)).trim();
+    if (!name && !value) return false;
+
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const cookie = {
+      name, value, domain: host, hostOnly: true, path: defaultCookiePath(url.pathname),
+      expires: null, secure: false, httpOnly: false,
+    };
+    let maxAge = null;
+    for (const attr of attrs) {
+      const i = attr.indexOf('=');
+      const key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+      const val = i === -1 ? '' : attr.slice(i + 1).trim();
+      if (key === 'domain' && val) {
+        const d = val.replace(/^\./, '').toLowerCase();
+        if (!domainMatches(host, d) || (!d.includes('.') && d !== host)) return false;
+        cookie.domain = d;
+        cookie.hostOnly = d === host;
+      } else if (key === 'path' && val.startsWith('/')) {
+        cookie.path = val;
+      } else if (key === 'expires') {
+        const t = Date.parse(val);
+        if (!Number.isNaN(t)) cookie.expires = t;
+      } else if (key === 'max-age' && /^-?\d+$/.test(val)) {
+        maxAge = now() + Number(val) * 1000;
+      } else if (key === 'secure') {
+        cookie.secure = true;
+      } else if (key === 'httponly') {
+        cookie.httpOnly = true;
+      }
+    }
+    if (maxAge !== null) cookie.expires = maxAge;
+    if (fromScript && cookie.httpOnly) return false;
+    if (cookie.secure && url.protocol !== 'https:' && url.protocol !== 'wss:') return false;
+
+    const i = cookies.findIndex(c => c.name === name && c.domain === cookie.domain && c.path === cookie.path);
+    if (i !== -1) {
+      if (fromScript && cookies[i].httpOnly) return false;
+      cookies.splice(i, 1);
+    }
+    if (cookie.expires !== null && cookie.expires <= now()) return true; // a deletion
+    cookies.push(cookie);
+    if (cookies.length > MAX_COOKIES) cookies.shift();
+    return true;
+  }
+
+  function matching(url, { includeHttpOnly = true } = {}) {
+    prune();
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+    return cookies
+      .filter(c => (c.hostOnly ? host === c.domain : domainMatches(host, c.domain))
+        && pathMatches(url.pathname || '/', c.path)
+        && (!c.secure || secure)
+        && (includeHttpOnly || !c.httpOnly))
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+
+  return {
+    set,
+    /** The Cookie header for a request to `url`, or ''. */
+    header: (url) => matching(url).map(c => `${c.name}=${c.value}`).join('; '),
+    /** What document.cookie shows a page at `url`: no HttpOnly cookies. */
+    scriptCookies: (url) => matching(url, { includeHttpOnly: false }).map(c => [c.name, c.value]),
+    get size() { prune(); return cookies.length; },
+  };
+}
+
+// --- rewriting ---
+
+const ENTITY = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', '#39': '\'', '#34': '"' };
+const decodeAttr = (s) => s.replace(/&(amp|lt|gt|quot|apos|#39|#34);/g, (_, e) => ENTITY[e]);
+const encodeAttr = (s) => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/** Rewrite url() and @import in a stylesheet (or a style attribute) resolved against `base`. */
+function rewriteCss(css, base, sid) {
+  return css
+    .replace(/url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi, (m, q, u) => `url(${q}${rewriteUrl(u, base, sid)}${q})`)
+    .replace(/@import\s+(['"])([^'"]+)\1/gi, (m, q, u) => `@import ${q}${rewriteUrl(u, base, sid)}${q}`);
+}
+
+function rewriteSrcset(value, base, sid) {
+  return value.split(',').map((candidate) => {
+    const m = /^(\s*)(\S+)(.*)$/.exec(candidate);
+    return m ? `${m[1]}${rewriteUrl(m[2], base, sid)}${m[3]}` : candidate;
+  }).join(',');
+}
+
+// Which attributes hold a URL, per tag ('*' = any tag).
+const URL_ATTRS = {
+  href: new Set(['a', 'area', 'link', 'base']),
+  src: '*', action: new Set(['form']), formaction: new Set(['button', 'input']),
+  poster: new Set(['video']), data: new Set(['object']), background: '*', 'xlink:href': '*',
+};
+
+const TAG_RE = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTR_RE = /(\s+)([^\s"'>/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noscript']);
+
+function rewriteTag(tag, attrs, close, base, sid) {
+  const lower = attrs.toLowerCase();
+  if (tag === 'meta' && /http-equiv\s*=\s*["']?content-security-policy/.test(lower)) return '';
+  const isRefresh = tag === 'meta' && /http-equiv\s*=\s*["']?refresh/.test(lower);
+  const out = attrs.replace(ATTR_RE, (m, ws, rawName, eq, dq, sq, bare) => {
+    const name = rawName.toLowerCase();
+    if (eq === undefined) return m;
+    const value = decodeAttr(dq ?? sq ?? bare ?? '');
+    // Subresource integrity can't survive a rewritten stylesheet, and pins the bytes of
+    // a script this proxy may recompress; the page loses nothing it had before.
+    if (name === 'integrity' && (tag === 'script' || tag === 'link')) return '';
+    let next = null;
+    const where = URL_ATTRS[name];
+    if (where && (where === '*' || where.has(tag))) next = rewriteUrl(value, base, sid);
+    else if (name === 'srcset' || name === 'imagesrcset') next = rewriteSrcset(value, base, sid);
+    else if (name === 'style') next = rewriteCss(value, base, sid);
+    else if (name === 'content' && isRefresh) {
+      next = value.replace(/(url\s*=\s*)(['"]?)([^'"]+)\2/i, (mm, pre, q, u) => `${pre}${q}${rewriteUrl(u, base, sid)}${q}`);
+    }
+    if (next === null) return m;
+    return `${ws}${rawName}="${encodeAttr(next)}"`;
+  });
+  return `<${tag}${out}${close ? ' /' : ''}>`;
+}
+
+/**
+ * Rewrite an HTML document fetched from `docUrl` for session `sid`, injecting the shim
+ * as the first thing in <head>. `cookies` is what the shim's document.cookie starts with.
+ */
+function rewriteHtml(html, { docUrl, sid, cookies = [] }) {
+  // A <base href> changes what relative URLs mean; resolve against it, and keep it —
+  // proxied — so URLs the page builds later agree.
+  let base = docUrl;
+  const baseTag = /<base\s[^>]*href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(html);
+  if (baseTag) {
+    try { base = new URL(decodeAttr(baseTag[1] ?? baseTag[2] ?? baseTag[3]), docUrl).href; } catch {}
+  }
+
+  let out = '';
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) { out += html.slice(i); break; }
+    out += html.slice(i, lt);
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      const stop = end === -1 ? html.length : end + 3;
+      out += html.slice(lt, stop);
+      i = stop;
+      continue;
+    }
+    TAG_RE.lastIndex = lt;
+    const m = TAG_RE.exec(html);
+    if (!m) { out += '<'; i = lt + 1; continue; }
+    const [whole, closing, rawName, attrs, selfClose] = m;
+    const tag = rawName.toLowerCase();
+    i = lt + whole.length;
+    if (closing) { out += whole; continue; }
+    out += rewriteTag(tag, attrs, selfClose, base, sid);
+    if (RAW_TEXT.has(tag) && !selfClose) {
+      const endRe = new RegExp(`</${tag}\\s*>`, 'ig');
+      endRe.lastIndex = i;
+      const end = endRe.exec(html);
+      const stop = end ? end.index : html.length;
+      const inner = html.slice(i, stop);
+      out += tag === 'style' ? rewriteCss(inner, base, sid) : inner;
+      i = stop;
+    }
+  }
+
+  const shim = `<script>${shimSource({ sid, url: docUrl, base, cookies })}</script>`;
+  const head = /<head\b[^>]*>/i.exec(out);
+  if (head) return out.slice(0, head.index + head[0].length) + shim + out.slice(head.index + head[0].length);
+  const htmlTag = /<html\b[^>]*>/i.exec(out);
+  if (htmlTag) return out.slice(0, htmlTag.index + htmlTag[0].length) + `<head>${shim}</head>` + out.slice(htmlTag.index + htmlTag[0].length);
+  return shim + out;
+}
+
+// The shim, run first in every proxied document. Stringified into the page, so it must
+// be self-contained, and stick to what every browser Baby Browser runs in has.
+function proxyShim(cfg) {
+  var PREFIX = '/api/proxy/' + cfg.sid + '/';
+  var target = new URL(cfg.url);
+  var SKIP = /^\s*(#|data:|blob:|javascript:|mailto:|tel:|about:)/i;
+
+  function real(u) {
+    var abs;
+    if (/^\/api\/proxy\//.test(String(u))) return null; // already proxied
+    try { abs = new URL(String(u), cfg.base); } catch (e) { return null; }
+    if (abs.origin === location.origin) {
+      if (abs.pathname.indexOf('/api/proxy/') === 0) return null;
+      abs = new URL(abs.pathname + abs.search + abs.hash, target.origin);
+    }
+    return abs;
+  }
+  function proxied(u) {
+    if (u === null || u === undefined || SKIP.test(String(u))) return u;
+    var abs = real(u);
+    if (!abs || !/^(https?|wss?):$/.test(abs.protocol)) return u;
+    return PREFIX + abs.protocol.slice(0, -1) + '/' + abs.host + abs.pathname + abs.search + abs.hash;
+  }
+  function proxiedSocket(u) {
+    var abs = real(u);
+    if (!abs) return u;
+    var scheme = { 'http:': 'ws', 'https:': 'wss', 'ws:': 'ws', 'wss:': 'wss' }[abs.protocol];
+    if (!scheme) return u;
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + PREFIX + scheme + '/' + abs.host + abs.pathname + abs.search;
+  }
+
+  var origFetch = window.fetch;
+  if (origFetch) {
+    window.fetch = function (input, init) {
+      if (input && typeof input === 'object' && 'url' in input) input = new Request(proxied(input.url), input);
+      else input = proxied(input);
+      return origFetch.call(this, input, init);
+    };
+  }
+  var open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    var args = Array.prototype.slice.call(arguments);
+    args[1] = proxied(url);
+    return open.apply(this, args);
+  };
+  function wrapCtor(name, map) {
+    var Orig = window[name];
+    if (!Orig) return;
+    var Wrapped = function (url, opt) { return arguments.length > 1 ? new Orig(map(url), opt) : new Orig(map(url)); };
+    Wrapped.prototype = Orig.prototype;
+    for (var k in Orig) if (Object.prototype.hasOwnProperty.call(Orig, k)) Wrapped[k] = Orig[k];
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function (c) { if (c in Orig) Wrapped[c] = Orig[c]; });
+    window[name] = Wrapped;
+  }
+  wrapCtor('WebSocket', proxiedSocket);
+  wrapCtor('EventSource', proxied);
+  if (navigator.sendBeacon) {
+    var beacon = navigator.sendBeacon.bind(navigator);
+    navigator.sendBeacon = function (url, data) { return beacon(proxied(url), data); };
+  }
+  var winOpen = window.open;
+  window.open = function (url) {
+    var args = Array.prototype.slice.call(arguments);
+    if (args.length) args[0] = proxied(url);
+    return winOpen.apply(this, args);
+  };
+  ['pushState', 'replaceState'].forEach(function (fn) {
+    var orig = history[fn];
+    history[fn] = function (state, title, url) {
+      return arguments.length > 2 && url !== null && url !== undefined ? orig.call(this, state, title, proxied(url)) : orig.apply(this, arguments);
+    };
+  });
+  [['HTMLImageElement', 'src'], ['HTMLScriptElement', 'src'], ['HTMLLinkElement', 'href'], ['HTMLIFrameElement', 'src'],
+    ['HTMLSourceElement', 'src'], ['HTMLMediaElement', 'src'], ['HTMLFormElement', 'action'], ['HTMLAnchorElement', 'href']]
+    .forEach(function (pair) {
+      var C = window[pair[0]];
+      var d = C && Object.getOwnPropertyDescriptor(C.prototype, pair[1]);
+      if (!d || !d.set) return;
+      Object.defineProperty(C.prototype, pair[1], {
+        configurable: true, enumerable: d.enumerable, get: d.get,
+        set: function (v) { d.set.call(this, proxied(v)); },
+      });
+    });
+  var setAttr = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function (name, value) {
+    var n = String(name).toLowerCase();
+    if (n === 'src' || n === 'href' || n === 'action' || n === 'poster' || n === 'formaction') value = proxied(value);
+    return setAttr.call(this, name, value);
+  };
+  if (navigator.serviceWorker) {
+    navigator.serviceWorker.register = function () { return Promise.reject(new Error('Service workers are off in Baby Browser')); };
+  }
+
+  var jar = {};
+  cfg.cookies.forEach(function (c) { if (!(c[0] in jar)) jar[c[0]] = c[1]; });
+  Object.defineProperty(document, 'cookie', {
+    configurable: true,
+    get: function () { return Object.keys(jar).map(function (k) { return k ? k + '=' + jar[k] : jar[k]; }).join('; '); },
+    set: function (v) {
+      var s = String(v);
+      var pair = s.split(';')[0];
+      var eq = pair.indexOf('=');
+      var name = (eq === -1 ? '' : pair.slice(0, eq)).trim();
+      var expires = /;\s*expires\s*=\s*([^;]+)/i.exec(s);
+      var maxAge = /;\s*max-age\s*=\s*(-?\d+)/i.exec(s);
+      if ((maxAge && Number(maxAge[1]) <= 0) || (!maxAge && expires && Date.parse(expires[1]) <= Date.now())) delete jar[name];
+      else jar[name] = (eq === -1 ? pair : pair.slice(eq + 1)).trim();
+      (origFetch || fetch).call(window, '/api/proxy-cookie/' + cfg.sid, {
+        method: 'POST', keepalive: true, headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: cfg.url, cookie: s }),
+      }).catch(function () {});
+    },
+  });
+}
+
+function shimSource(cfg) {
+  // JSON is not quite a JavaScript string inside <script>: a '</script>' in a cookie value
+  // would end the element. Escaping < keeps it inert.
+  return `(${proxyShim})(${JSON.stringify(cfg).replace(/</g, '\\u003c').replace(/[\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16)}`)});`;
+}
+
+function decompress(body, encoding) {
+  switch (String(encoding || '').toLowerCase()) {
+    case 'gzip': case 'x-gzip': return zlib.gunzipSync(body);
+    case 'br': return zlib.brotliDecompressSync(body);
+    case 'deflate':
+      try { return zlib.inflateSync(body); } catch { return zlib.inflateRawSync(body); }
+    default: return body;
+  }
+}
+
+/**
+ * The proxy. `getAllowedHosts()` is read on every request, so a Settings save applies at
+ * once. `verifyWsClient` is security.js's socket guard, run before a WebSocket is relayed.
+ */
+function createWebProxy({
+  getAllowedHosts = () => [], verifyWsClient = (info, cb) => cb(true), log = () => {},
+  lookup = dns.lookup, now = Date.now,
+} = {}) {
+  const sessions = new Map(); // sid → { jar, lastUsed }
+
+  function jarFor(sid) {
+    const t = now();
+    for (const [id, s] of sessions) if (t - s.lastUsed > SESSION_IDLE_MS) sessions.delete(id);
+    let s = sessions.get(sid);
+    if (!s) {
+      if (sessions.size >= MAX_SESSIONS) {
+        const oldest = [...sessions.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed)[0];
+        sessions.delete(oldest[0]);
+      }
+      s = { jar: createCookieJar({ now }), lastUsed: t };
+      sessions.set(sid, s);
+    }
+    s.lastUsed = t;
+    return s.jar;
+  }
+
+  /** Resolve a target and check it against the allowlist. Returns the address to connect to. */
+  async function checkTarget(target) {
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    const port = target.port || defaultPort(target.protocol);
+    let addresses;
+    try {
+      addresses = await new Promise((resolve, reject) => {
+        lookup(hostname, { all: true }, (err, list) => (err ? reject(err) : resolve(list)));
+      });
+    } catch (e) {
+      throw proxyError(502, `Could not resolve ${hostname}: ${e.code || e.message}`);
+    }
+    if (!addresses.length) throw proxyError(502, `Could not resolve ${hostname}`);
+    const allowed = sanitizeAllowedHosts(getAllowedHosts()) || [];
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked && !hostAllowed(allowed, hostname, port, addresses.map(a => a.address))) {
+      throw proxyError(403, `${target.host} is on a private network (${blocked.address}). Baby Browser's proxy reaches those only when they are listed in Settings → Baby Browser Proxy.`);
+    }
+    return addresses[0];
+  }
+
+  // Connect to exactly the address checkTarget() approved.
+  const pinnedLookup = (pinned) => (host, opts, cb) => {
+    if (typeof opts === 'function') { cb = opts; opts = {}; }
+    if (opts && opts.all) cb(null, [pinned]);
+    else cb(null, pinned.address, pinned.family);
+  };
+
+  // The page a request came from, unproxied — for Referer and Origin.
+  function pageOf(req) {
+    try {
+      const ref = new URL(req.headers.referer);
+      return parseProxyPath(ref.pathname + ref.search)?.target || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function requestHeaders(req, target, jar) {
+    const out = {};
+    for (const [key, value] of Object.entries(req.headers)) {
+      const k = key.toLowerCase();
+      if (REQUEST_HEADERS.has(k) || (k.startsWith('x-') && !REQUEST_X_DROP.test(k))) out[k] = value;
+    }
+    const page = pageOf(req);
+    if (page) out.referer = page.href.replace(/#.*$/, '');
+    if (req.headers.origin) out.origin = (page || target).origin;
+    const cookie = jar.header(target);
+    if (cookie) out.cookie = cookie;
+    out['accept-encoding'] = 'gzip, deflate, br';
+    if (!out['user-agent']) out['user-agent'] = 'Mozilla/5.0';
+    return out;
+  }
+
+  function storeCookies(jar, target, setCookie) {
+    for (const line of [].concat(setCookie || [])) jar.set(target, line);
+  }
+
+  /** GET /api/proxy?url=…[&s=…] → the same page under the path form. */
+  function legacy(req, res) {
+    const url = req.query.url;
+    if (!url) return res.status(400).json({ error: 'Missing url parameter' });
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL' });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return res.status(400).json({ error: 'Invalid URL' });
+    const sid = SESSION_RE.test(String(req.query.s || '')) ? req.query.s : DEFAULT_SESSION;
+    res.redirect(302, proxyHref(parsed, sid));
+  }
+
+  /** Every method on /api/proxy/<sid>/<scheme>/<host>/<path>. */
+  async function handle(req, res) {
+    const parsed = parseProxyPath(req.originalUrl || req.url);
+    if (!parsed || !/^https?:$/.test(parsed.target.protocol)) return res.status(400).json({ error: 'Not a proxy URL' });
+    const { sid, target } = parsed;
+    let pinned;
+    try {
+      pinned = await checkTarget(target);
+    } catch (e) {
+      log(`[proxy] refused ${req.method} ${target.href}: ${e.message}`);
+      return res.status(e.status || 502).json({ error: e.message });
+    }
+    const dest = req.headers['sec-fetch-dest'];
+    if (dest === 'document' || dest === 'iframe') log(`[proxy] ${req.method} ${target.href} session=${sid}`);
+
+    const jar = jarFor(sid);
+    const mod = target.protocol === 'https:' ? https : http;
+    const upstream = mod.request({
+      protocol: target.protocol,
+      hostname: target.hostname.replace(/^\[|\]$/g, ''),
+      port: target.port || defaultPort(target.protocol),
+      path: target.pathname + target.search,
+      method: req.method,
+      headers: requestHeaders(req, target, jar),
+      lookup: pinnedLookup(pinned),
+      timeout: UPSTREAM_TIMEOUT_MS,
+    });
+    upstream.on('timeout', () => upstream.destroy(proxyError(504, `${target.host} did not answer within ${UPSTREAM_TIMEOUT_MS / 1000}s`)));
+    upstream.on('error', (e) => {
+      if (!res.headersSent) res.status(e.status || 502).json({ error: e.message });
+      else res.destroy();
+    });
+    upstream.on('response', (up) => respond(req, res, up, { sid, target, jar }));
+    if (req.method === 'GET' || req.method === 'HEAD') upstream.end();
+    else req.pipe(upstream);
+  }
+
+  function respond(req, res, up, { sid, target, jar }) {
+    storeCookies(jar, target, up.headers['set-cookie']);
+    const type = String(up.headers['content-type'] || '').toLowerCase();
+    const kind = /text\/html|application\/xhtml\+xml/.test(type) ? 'html' : type.includes('text/css') ? 'css' : null;
+    const length = Number(up.headers['content-length'] || 0);
+    const rewrite = kind && req.method !== 'HEAD' && up.statusCode !== 204 && up.statusCode !== 304 && length <= MAX_REWRITE_BYTES;
+
+    res.status(up.statusCode);
+    for (const [key, value] of Object.entries(up.headers)) {
+      const k = key.toLowerCase();
+      if (RESPONSE_DROP.has(k)) continue;
+      if (rewrite && (k === 'content-length' || k === 'content-encoding')) continue;
+      if (k === 'location') {
+        try { res.setHeader('location', proxyHref(new URL(value, target), sid)); } catch {}
+        continue;
+      }
+      res.setHeader(key, value);
+    }
+    if (!rewrite) {
+      up.pipe(res);
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    up.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_REWRITE_BYTES) { up.destroy(); res.destroy(); return; }
+      chunks.push(c);
+    });
+    up.on('end', () => {
+      let body;
+      try {
+        body = decompress(Buffer.concat(chunks), up.headers['content-encoding']).toString('utf8');
+      } catch (e) {
+        res.removeHeader('content-type');
+        return res.status(502).json({ error: `Could not decode ${target.href}: ${e.message}` });
+      }
+      const text = kind === 'html'
+        ? rewriteHtml(body, { docUrl: target.href, sid, cookies: jar.scriptCookies(target) })
+        : rewriteCss(body, target.href, sid);
+      const out = Buffer.from(text, 'utf8');
+      res.setHeader('content-length', out.length);
+      res.end(out);
+    });
+    up.on('error', () => res.destroy());
+  }
+
+  /** POST /api/proxy-cookie/:sid { url, cookie } — a page's document.cookie write. */
+  function scriptCookie(req, res) {
+    const sid = req.params.sid;
+    const { url, cookie } = req.body || {};
+    let target;
+    try { target = new URL(url); } catch { return res.status(400).json({ error: 'Invalid url' }); }
+    if (!SESSION_RE.test(sid || '') || !/^https?:$/.test(target.protocol) || typeof cookie !== 'string') {
+      return res.status(400).json({ error: 'Expected { url, cookie }' });
+    }
+    res.json({ ok: jarFor(sid).set(target, cookie, { fromScript: true }) });
+  }
+
+  // WebSockets: verify the client, check and connect the target, and only then finish the
+  // client's handshake — with the subprotocol the site chose, which isn't known earlier.
+  const relay = new WebSocketServer({ noServer: true, handleProtocols: (protocols, req) => req.upstreamProtocol || false });
+
+  function refuseUpgrade(socket, code, text) {
+    try { socket.end(`HTTP/1.1 ${code} ${text}\r\nConnection: close\r\n\r\n`); } catch {}
+  }
+
+  function upgrade(req, socket, head) {
+    const parsed = parseProxyPath(req.url);
+    if (!parsed || !/^wss?:$/.test(parsed.target.protocol)) return refuseUpgrade(socket, 400, 'Bad Request');
+    verifyWsClient({ req, origin: req.headers.origin }, async (ok, code = 401, text = 'Unauthorized') => {
+      if (!ok) return refuseUpgrade(socket, code, text);
+      const { sid, target } = parsed;
+      let pinned;
+      try {
+        pinned = await checkTarget(target);
+      } catch (e) {
+        log(`[proxy] refused WebSocket ${target.href}: ${e.message}`);
+        return refuseUpgrade(socket, e.status === 403 ? 403 : 502, e.status === 403 ? 'Forbidden' : 'Bad Gateway');
+      }
+      const jar = jarFor(sid);
+      const page = pageOf(req);
+      const headers = { 'user-agent': req.headers['user-agent'] || 'Mozilla/5.0' };
+      const cookie = jar.header(target);
+      if (cookie) headers.cookie = cookie;
+      const protocols = String(req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim()).filter(Boolean);
+      const upstream = new WebSocket(target.href, protocols, {
+        headers, origin: (page || new URL(target.href.replace(/^ws/, 'http'))).origin,
+        lookup: pinnedLookup(pinned), perMessageDeflate: false, handshakeTimeout: UPSTREAM_TIMEOUT_MS,
+      });
+      upstream.on('upgrade', (resp) => storeCookies(jar, target, resp.headers['set-cookie']));
+      upstream.once('error', (e) => {
+        log(`[proxy] WebSocket ${target.href} failed: ${e.message}`);
+        refuseUpgrade(socket, 502, 'Bad Gateway');
+      });
+      upstream.once('open', () => {
+        req.upstreamProtocol = upstream.protocol || false;
+        relay.handleUpgrade(req, socket, head, (client) => pipeSockets(client, upstream));
+      });
+    });
+  }
+
+  function pipeSockets(client, upstream) {
+    const closeCode = (code) => (code >= 1000 && code < 5000 && ![1004, 1005, 1006, 1015].includes(code) ? code : 1000);
+    upstream.removeAllListeners('error');
+    client.on('message', (data, isBinary) => { if (upstream.readyState === WebSocket.OPEN) upstream.send(data, { binary: isBinary }); });
+    upstream.on('message', (data, isBinary) => { if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary }); });
+    client.on('close', (code, reason) => { try { upstream.close(closeCode(code), reason); } catch { upstream.terminate(); } });
+    upstream.on('close', (code, reason) => { try { client.close(closeCode(code), reason); } catch { client.terminate(); } });
+    client.on('error', () => upstream.terminate());
+    upstream.on('error', () => client.terminate());
+  }
+
+  return {
+    handle, legacy, scriptCookie, upgrade,
+    /** Whether an HTTP upgrade is for this proxy (server.js routes by path). */
+    isProxyUpgrade: (req) => String(req.url || '').startsWith(PROXY_PREFIX),
+    dropSession: (sid) => sessions.delete(sid),
+    _sessions: sessions, // exposed for tests
+  };
+}
+
+module.exports = {
+  createWebProxy, createCookieJar, rewriteHtml, rewriteCss, proxyHref, parseProxyPath,
+  isPrivateAddress, hostAllowed, sanitizeAllowedHosts, PROXY_PREFIX, COOKIE_ROUTE,
+};
@@ -0,0 +1,156 @@
+/**
+ * Web Push — the two halves of the protocol a push service needs from us, built on
+ * node:crypto so the daemon takes no new dependency:
+ *
+ *   VAPID (RFC 8292)   an ES256-signed JWT in the Authorization header that proves
+ *                      the message comes from the application server the browser
+ *                      subscribed with (the public key is handed to
+ *                      pushManager.subscribe as applicationServerKey).
+ *   aes128gcm (RFC 8291 / RFC 8188)
+ *                      the payload encrypted to the subscription's p256dh key and
+ *                      auth secret, so the push service relays bytes it cannot read.
+ *
+ * Keys travel as base64url: a public key is the 65-byte uncompressed P-256 point,
+ * a private key the 32-byte scalar. The daemon generates one pair on first use and
+ * keeps it (server.js, ~/.deepsteve/vapid.json) — rotating it orphans every
+ * subscription, since each browser subscribed against the old public key.
+ *
+ * sendNotification speaks plain HTTPS to the subscription's endpoint (FCM, Mozilla
+ * autopush, Apple). A 404 or 410 means the browser dropped the subscription and the
+ * caller should forget it.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+
+// One record, so a payload must fit in it with the 16-byte tag and the 1-byte
+// delimiter. Push services cap the body at 4096 bytes anyway.
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = 3800;
+const JWT_TTL_SEC = 12 * 60 * 60; // RFC 8292 allows up to 24h
+const SEND_TIMEOUT_MS = 15000;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromB64url(s) {
+  return Buffer.from(String(s).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/** A fresh VAPID key pair: { publicKey, privateKey }, both base64url. */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+function vapidKeyObject({ publicKey, privateKey }) {
+  const pub = fromB64url(publicKey);
+  return crypto.createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', d: b64url(fromB64url(privateKey)), x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33, 65)) },
+    format: 'jwk',
+  });
+}
+
+/**
+ * The Authorization header for a push to `endpoint`: `vapid t=<jwt>, k=<public key>`.
+ * `subject` is the contact the push service may use (a mailto: or https: URL).
+ */
+function vapidHeader(endpoint, keys, subject, now = Date.now()) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + JWT_TTL_SEC,
+    sub: subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key: vapidKeyObject(keys), dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${keys.publicKey}`;
+}
+
+/**
+ * `payload` encrypted for the subscription's keys as one aes128gcm record: salt,
+ * record size and our ephemeral public key in the header, then the ciphertext.
+ * `salt` and `senderKeys` ({ privateKey } as a raw Buffer) are for tests; both
+ * are fresh per message otherwise.
+ */
+function encryptPayload(payload, { p256dh, auth }, { salt = crypto.randomBytes(16), senderKeys } = {}) {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) throw new Error(`push payload too large (${plaintext.length} bytes)`);
+  const uaPublic = fromB64url(p256dh);
+  const authSecret = fromB64url(auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  if (senderKeys) ecdh.setPrivateKey(senderKeys.privateKey);
+  else ecdh.generateKeys();
+  const asPublic = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 marks the last (only) record; no padding.
+  const body = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+/**
+ * A browser PushSubscription (its toJSON()) from untrusted input, or null:
+ * { endpoint, keys: { p256dh, auth } } with an https endpoint.
+ */
+function sanitizeSubscription(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.endpoint !== 'string') return null;
+  let url;
+  try { url = new URL(raw.endpoint); } catch { return null; }
+  if (url.protocol !== 'https:') return null;
+  const keys = raw.keys || {};
+  if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') return null;
+  if (fromB64url(keys.p256dh).length !== 65 || fromB64url(keys.auth).length < 16) return null;
+  return { endpoint: url.href, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+/**
+ * POST one encrypted message to `subscription`. Resolves { statusCode, body } for
+ * any HTTP answer (the caller decides what a 410 means); rejects on network errors.
+ */
+function sendNotification(subscription, payload, { vapid, subject, ttl = 60 * 60, urgency = 'normal', topic } = {}) {
+  const body = encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys);
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Encoding': 'aes128gcm',
+    'Content-Length': body.length,
+    TTL: String(ttl),
+    Urgency: urgency,
+    Authorization: vapidHeader(subscription.endpoint, vapid, subject),
+  };
+  // A newer message with the same topic replaces an undelivered older one.
+  if (topic) headers.Topic = String(topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  return new Promise((resolve, reject) => {
+    const req = https.request(subscription.endpoint, { method: 'POST', headers, timeout: SEND_TIMEOUT_MS }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (c) => { if (text.length < 2000) text += c; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: text }));
+    });
+    req.on('timeout', () => req.destroy(new Error('push service timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  generateVapidKeys,
+  vapidHeader,
+  encryptPayload,
+  sanitizeSubscription,
+  sendNotification,
+  MAX_PAYLOAD_BYTES,
+};
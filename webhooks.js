@@ -0,0 +1,118 @@
+/**
+ * Outbound webhooks — which lifecycle events go to which URL, how a delivery is
+ * signed, and when a failed one is tried again. The delivery queue and its log are
+ * mods/webhooks/tools.js; the events come off the core lifecycle bus (server.js
+ * `sessionLog`).
+ *
+ * A webhook is plain JSON, kept in the `webhooks` setting:
+ *
+ *   { "url": "https://ci.example/hooks/deepsteve", "events": ["close", "scheduled_task_finished"] }
+ *
+ *   url      http or https; a listener on localhost is fine
+ *   events   event types to send (EVENTS), or "*" / omitted for all of them
+ *   secret   HMAC key for the signature; generated when missing, so every hook is signed
+ *   enabled  false pauses the hook without deleting it
+ *   id       stable handle for the delivery log and the test button; generated too
+ *
+ * Every POST carries `X-Deepsteve-Signature: t=<unix seconds>,v1=<hex>`, where v1 is
+ * HMAC-SHA256(secret, `${t}.${body}`) — the timestamp is inside the MAC so a
+ * captured delivery can't be replayed later with a fresh header. A receiver checks
+ * it with verifySignature().
+ *
+ * Pure apart from node:crypto. Root-level *.js ships with no packaging change.
+ */
+
+const crypto = require('crypto');
+
+const EVENTS = [
+  'open', 'close', 'waiting', 'issue_complete', 'merge_worktree',
+  'scheduled_task_started', 'scheduled_task_finished', 'guardrail', 'test',
+];
+
+// Attempt n (1-based) failed: wait RETRY_DELAYS_MS[n - 1] before the next one. Six
+// attempts over about three quarters of an hour, then the delivery is given up.
+const RETRY_DELAYS_MS = [10e3, 30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+/** Webhooks from untrusted JSON, with ids and secrets filled in; null when unreadable. */
+function sanitizeWebhooks(raw, { randomId = () => crypto.randomBytes(4).toString('hex'), randomSecret = () => crypto.randomBytes(24).toString('hex') } = {}) {
+  if (!Array.isArray(raw)) return null;
+  const out = [];
+  const ids = new Set();
+  for (const h of raw) {
+    if (!h || typeof h !== 'object' || typeof h.url !== 'string') continue;
+    let url;
+    try { url = new URL(h.url.trim()); } catch { continue; }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+    let id = typeof h.id === 'string' && /^[A-Za-z0-9_-]{1,32}$/.test(h.id) ? h.id : randomId();
+    while (ids.has(id)) id = randomId();
+    ids.add(id);
+    const events = Array.isArray(h.events) ? EVENTS.filter(e => h.events.includes(e)) : [];
+    out.push({
+      id,
+      url: url.href,
+      events: events.length && !(Array.isArray(h.events) && h.events.includes('*')) ? events : '*',
+      secret: typeof h.secret === 'string' && h.secret.trim() ? h.secret.trim() : randomSecret(),
+      enabled: h.enabled !== false,
+    });
+  }
+  return out;
+}
+
+/** Whether `hook` takes events of `type`. A test event goes to whichever hook it is sent to. */
+function hookWants(hook, type) {
+  if (!hook || hook.enabled === false) return false;
+  return type === 'test' || hook.events === '*' || (Array.isArray(hook.events) && hook.events.includes(type));
+}
+
+/** The JSON body for a lifecycle event: { id, event, ts, data }. */
+function buildPayload(deliveryId, evt) {
+  const { type, ts, ...data } = evt;
+  return JSON.stringify({ id: deliveryId, event: type, ts: ts || Date.now(), data });
+}
+
+/** The X-Deepsteve-Signature header value for `body`. */
+function signPayload(secret, body, now = Date.now()) {
+  const t = Math.floor(now / 1000);
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+/**
+ * Receiver side: whether `header` is a valid signature of `body` under `secret`,
+ * made within the last five minutes.
+ */
+function verifySignature(secret, body, header, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const t = Number(parts.t);
+  if (!Number.isFinite(t) || !parts.v1 || Math.abs(now / 1000 - t) > SIGNATURE_TOLERANCE_SEC) return false;
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest();
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * What to do after attempt `attempt` (1-based) ended with `result` — an HTTP status
+ * or an Error: { retry: false } when it succeeded or can never succeed, otherwise
+ * { retry: true, delayMs }. Timeouts, 408, 429 and 5xx are retried; any other 4xx
+ * is the receiver refusing this payload and would refuse it again.
+ */
+function retryPlan(attempt, result) {
+  const status = typeof result === 'number' ? result : null;
+  if (status !== null && status >= 200 && status < 300) return { retry: false };
+  const transient = status === null || status === 408 || status === 429 || status >= 500;
+  if (!transient || attempt >= MAX_ATTEMPTS) return { retry: false };
+  return { retry: true, delayMs: RETRY_DELAYS_MS[attempt - 1] };
+}
+
+module.exports = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  sanitizeWebhooks,
+  hookWants,
+  buildPayload,
+  signPayload,
+  verifySignature,
+  retryPlan,
+};